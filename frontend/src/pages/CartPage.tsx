@@ -1,13 +1,44 @@
 // src/pages/CartPage.tsx
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ShoppingCartIcon, TrashIcon, MinusIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { ShoppingCartIcon, TrashIcon, MinusIcon, PlusIcon, TagIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
 import { useCartStore } from '../stores/cartStore';
 
 export default function CartPage() {
   const navigate = useNavigate();
-  const { items, removeItem, updateQuantity, clearCart, getTotal } = useCartStore();
+  const {
+    items,
+    coupon,
+    removeItem,
+    updateQuantity,
+    clearCart,
+    applyCoupon,
+    removeCoupon,
+    getTotal,
+    getDiscount,
+  } = useCartStore();
+  const [couponCode, setCouponCode] = useState('');
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
   const total = getTotal();
+  const discount = getDiscount();
+  const discountedTotal = total - discount;
+
+  const handleApplyCoupon = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!couponCode.trim()) return;
+
+    try {
+      setApplyingCoupon(true);
+      const applied = await applyCoupon(couponCode);
+      toast.success(`Coupon applied: ${applied.description}`);
+      setCouponCode('');
+    } catch (error: any) {
+      toast.error(error.message || 'Invalid coupon code');
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
 
   const handleCheckout = () => {
     if (items.length === 0) return;
@@ -147,20 +178,60 @@ export default function CartPage() {
                   ${total.toFixed(2)}
                 </span>
               </div>
+              {coupon && (
+                <div className="flex justify-between mb-2">
+                  <span className="text-sm text-green-700 flex items-center gap-1">
+                    <TagIcon className="w-4 h-4" />
+                    <span className="font-mono">{coupon.code}</span>
+                    <button
+                      onClick={removeCoupon}
+                      className="p-0.5 rounded hover:bg-green-50"
+                      title="Remove coupon"
+                    >
+                      <XMarkIcon className="w-3 h-3" />
+                    </button>
+                  </span>
+                  <span className="text-sm font-medium text-green-700">
+                    -${discount.toFixed(2)}
+                  </span>
+                </div>
+              )}
               <div className="flex justify-between mb-2">
                 <span className="text-sm text-slate-600">Tax (estimated)</span>
                 <span className="text-sm font-medium text-slate-900">
-                  ${(total * 0.1).toFixed(2)}
+                  ${(discountedTotal * 0.1).toFixed(2)}
                 </span>
               </div>
               <div className="flex justify-between pt-4 border-t border-slate-200">
                 <span className="font-semibold text-slate-900">Total</span>
                 <span className="text-xl font-bold text-violet-600">
-                  ${(total * 1.1).toFixed(2)}
+                  ${(discountedTotal * 1.1).toFixed(2)}
                 </span>
               </div>
+              {coupon && (
+                <p className="text-xs text-slate-500 mt-2">{coupon.description}</p>
+              )}
             </div>
 
+            {!coupon && (
+              <form onSubmit={handleApplyCoupon} className="flex gap-2 mb-6">
+                <input
+                  type="text"
+                  value={couponCode}
+                  onChange={(e) => setCouponCode(e.target.value)}
+                  placeholder="Coupon code"
+                  className="flex-1 min-w-0 px-3 py-2 rounded-xl border border-slate-200 text-sm uppercase focus:outline-none focus:ring-2 focus:ring-violet-500"
+                />
+                <button
+                  type="submit"
+                  disabled={applyingCoupon || !couponCode.trim()}
+                  className="px-4 py-2 rounded-xl border border-violet-200 text-violet-700 text-sm font-medium hover:bg-violet-50 disabled:opacity-50"
+                >
+                  {applyingCoupon ? 'Checking...' : 'Apply'}
+                </button>
+              </form>
+            )}
+
             <button
               onClick={handleCheckout}
               className="w-full px-4 py-3 rounded-xl bg-violet-600 text-white font-medium hover:bg-violet-700 mb-2"
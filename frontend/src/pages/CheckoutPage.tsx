@@ -8,9 +8,11 @@ import toast from 'react-hot-toast';
 
 export default function CheckoutPage() {
   const navigate = useNavigate();
-  const { items, getTotal, clearCart } = useCartStore();
+  const { items, coupon, getTotal, getDiscount, clearCart } = useCartStore();
   const [loading, setLoading] = useState(false);
   const total = getTotal();
+  const discount = getDiscount();
+  const discountedTotal = total - discount;
 
   const handleCheckout = async () => {
     if (items.length === 0) {
@@ -30,6 +32,7 @@ export default function CheckoutPage() {
         })),
         successUrl: `${window.location.origin}/checkout/success`,
         cancelUrl: `${window.location.origin}/cart`,
+        couponCode: coupon?.code,
       });
 
       // Redirect to Stripe Checkout
@@ -40,7 +43,7 @@ export default function CheckoutPage() {
       }
     } catch (error: any) {
       console.error('Checkout error:', error);
-      toast.error(error.response?.data?.error || 'Failed to initiate checkout');
+      toast.error(error.response?.data?.error || error.message || 'Failed to initiate checkout');
       setLoading(false);
     }
   };
@@ -132,14 +135,22 @@ export default function CheckoutPage() {
                 <span className="text-slate-600">Subtotal</span>
                 <span className="font-medium text-slate-900">${total.toFixed(2)}</span>
               </div>
+              {coupon && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-green-700">
+                    Coupon <span className="font-mono">{coupon.code}</span>
+                  </span>
+                  <span className="font-medium text-green-700">-${discount.toFixed(2)}</span>
+                </div>
+              )}
               <div className="flex justify-between text-sm">
                 <span className="text-slate-600">Tax (estimated)</span>
-                <span className="font-medium text-slate-900">${(total * 0.1).toFixed(2)}</span>
+                <span className="font-medium text-slate-900">${(discountedTotal * 0.1).toFixed(2)}</span>
               </div>
               <div className="flex justify-between pt-3 border-t border-slate-200">
                 <span className="font-semibold text-slate-900">Total</span>
                 <span className="text-xl font-bold text-violet-600">
-                  ${(total * 1.1).toFixed(2)}
+                  ${(discountedTotal * 1.1).toFixed(2)}
                 </span>
               </div>
             </div>
@@ -1,6 +1,6 @@
 // frontend/src/pages/DNSZoneEditorPage.tsx
 import React, { useState, useEffect } from 'react';
-import { PlusIcon, TrashIcon, PencilIcon, CloudIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, TrashIcon, PencilIcon, CloudIcon, DocumentDuplicateIcon, ArrowUpTrayIcon, ArrowDownTrayIcon, ShieldCheckIcon, ClockIcon, ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
 import { apiClient } from '../lib/apiClient';
 import toast from 'react-hot-toast';
 
@@ -11,6 +11,10 @@ interface DNSZone {
   serial: number;
   status: string;
   record_count: number;
+  sync_status?: 'pending' | 'synced' | 'error';
+  sync_error?: string | null;
+  last_synced_at?: string | null;
+  type?: ZoneType;
   created_at: string;
 }
 
@@ -34,6 +38,111 @@ interface NewRecordForm {
   priority: string;
 }
 
+interface ImportedRecord {
+  type: string;
+  name: string;
+  content: string;
+  ttl: number;
+  priority: number | null;
+  line?: number;
+}
+
+interface ZoneImportResult {
+  dryRun: boolean;
+  serial: number;
+  summary: { add: number; remove: number; update: number; unchanged: number; skipped: number };
+  diff: {
+    add: ImportedRecord[];
+    remove: DNSRecord[];
+    update: { id: number; from: DNSRecord; to: ImportedRecord }[];
+    skipped: (ImportedRecord & { reason: string })[];
+  };
+}
+
+interface ZoneLintProblem {
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+  recordId: number | null;
+  name: string | null;
+}
+
+interface ZoneLintResult {
+  problems: ZoneLintProblem[];
+  summary: { errors: number; warnings: number };
+}
+
+interface VersionRecord {
+  type: string;
+  name: string;
+  content: string;
+  ttl: number;
+  priority: number | null;
+}
+
+interface ZoneVersion {
+  id: number;
+  serial: string;
+  action: string;
+  summary: string;
+  source: 'ui' | 'api_key' | 'system';
+  user_email: string | null;
+  api_key_name: string | null;
+  ip_address: string | null;
+  change_count: number;
+  created_at: string;
+}
+
+interface RRsetChange {
+  name: string;
+  type: string;
+  before: VersionRecord[];
+  after: VersionRecord[];
+}
+
+interface ZoneDiff {
+  from: string;
+  to: string;
+  changes: RRsetChange[];
+  summary: string;
+}
+
+type ZoneType = 'NATIVE' | 'MASTER' | 'SLAVE';
+
+interface TsigKey {
+  id: number;
+  name: string;
+  algorithm: string;
+  zone_count: string;
+}
+
+interface ZoneTransfer {
+  type: ZoneType;
+  primaries: string[];
+  primary_tsig_key_id: number | null;
+  allow_transfer: string[];
+  also_notify: string[];
+  transfer_tsig_key_id: number | null;
+  lastTransferSerial: string | null;
+  lastTransferAt: string | null;
+  lastCheckAt: string | null;
+}
+
+const ZONE_TYPE_LABELS: Record<ZoneType, string> = {
+  NATIVE: 'Primary (served by our nameservers only)',
+  MASTER: 'Primary with external secondaries',
+  SLAVE: 'Secondary of a zone hosted elsewhere',
+};
+
+// One address per line or comma-separated
+const splitList = (text: string) => text.split(/[\s,]+/).map((entry) => entry.trim()).filter(Boolean);
+
+const SYNC_BADGES: Record<string, { label: string; className: string }> = {
+  synced: { label: 'Live on nameservers', className: 'bg-green-100 text-green-800' },
+  pending: { label: 'Sync pending', className: 'bg-yellow-100 text-yellow-800' },
+  error: { label: 'Sync failed', className: 'bg-red-100 text-red-800' },
+};
+
 const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SRV', 'CAA'];
 
 export default function DNSZoneEditorPage() {
@@ -52,6 +161,35 @@ export default function DNSZoneEditorPage() {
     ttl: 3600,
     priority: '',
   });
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [zoneFileText, setZoneFileText] = useState('');
+  const [importMode, setImportMode] = useState<'replace' | 'merge'>('replace');
+  const [importPreview, setImportPreview] = useState<ZoneImportResult | null>(null);
+  const [importing, setImporting] = useState(false);
+  const [lintResult, setLintResult] = useState<ZoneLintResult | null>(null);
+  const [linting, setLinting] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [versions, setVersions] = useState<ZoneVersion[]>([]);
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+  const [zoneDiff, setZoneDiff] = useState<ZoneDiff | null>(null);
+  const [rollingBack, setRollingBack] = useState(false);
+  const [newZoneType, setNewZoneType] = useState<ZoneType>('NATIVE');
+  const [newZonePrimaries, setNewZonePrimaries] = useState('');
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [transfer, setTransfer] = useState<ZoneTransfer | null>(null);
+  const [transferForm, setTransferForm] = useState({
+    type: 'NATIVE' as ZoneType,
+    primaries: '',
+    primaryKeyId: '',
+    allowTransfer: '',
+    alsoNotify: '',
+    transferKeyId: '',
+  });
+  const [tsigKeys, setTsigKeys] = useState<TsigKey[]>([]);
+  const [newKeyName, setNewKeyName] = useState('');
+  const [newKeySecret, setNewKeySecret] = useState<string | null>(null);
+  const [savingTransfer, setSavingTransfer] = useState(false);
 
   useEffect(() => {
     fetchZones();
@@ -73,6 +211,7 @@ export default function DNSZoneEditorPage() {
       const response = await apiClient.get(`/dns-zones/${zoneId}`);
       setSelectedZone(response.data.zone);
       setRecords(response.data.records);
+      setLintResult(null);
     } catch (error) {
       toast.error('Failed to fetch DNS records');
     }
@@ -80,10 +219,16 @@ export default function DNSZoneEditorPage() {
 
   const createZone = async () => {
     try {
-      await apiClient.post('/dns-zones', { domain: newZoneDomain });
+      await apiClient.post('/dns-zones', {
+        domain: newZoneDomain,
+        type: newZoneType,
+        ...(newZoneType === 'SLAVE' ? { primaries: splitList(newZonePrimaries) } : {}),
+      });
       toast.success('DNS zone created successfully');
       setShowNewZoneModal(false);
       setNewZoneDomain('');
+      setNewZoneType('NATIVE');
+      setNewZonePrimaries('');
       fetchZones();
     } catch (error: any) {
       toast.error(error.response?.data?.error || 'Failed to create DNS zone');
@@ -129,8 +274,8 @@ export default function DNSZoneEditorPage() {
         priority: '',
       });
       fetchZoneRecords(selectedZone.id);
-    } catch (error) {
-      toast.error('Failed to create DNS record');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to create DNS record');
     }
   };
 
@@ -153,8 +298,8 @@ export default function DNSZoneEditorPage() {
       toast.success('DNS record updated successfully');
       setEditingRecord(null);
       fetchZoneRecords(selectedZone.id);
-    } catch (error) {
-      toast.error('Failed to update DNS record');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to update DNS record');
     }
   };
 
@@ -171,6 +316,229 @@ export default function DNSZoneEditorPage() {
     }
   };
 
+  const closeImportModal = () => {
+    setShowImportModal(false);
+    setZoneFileText('');
+    setImportPreview(null);
+  };
+
+  const loadZoneFile = async (file: File | undefined) => {
+    if (!file) return;
+    setZoneFileText(await file.text());
+    setImportPreview(null);
+  };
+
+  const previewImport = async () => {
+    if (!selectedZone) return;
+
+    setImporting(true);
+    try {
+      const result = await apiClient.post<ZoneImportResult>(`/dns-zones/${selectedZone.id}/import`, {
+        zoneFile: zoneFileText,
+        mode: importMode,
+        dryRun: true,
+      });
+      setImportPreview(result);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to read zone file');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const applyImport = async () => {
+    if (!selectedZone || !importPreview) return;
+
+    setImporting(true);
+    try {
+      const result = await apiClient.post<ZoneImportResult>(`/dns-zones/${selectedZone.id}/import`, {
+        zoneFile: zoneFileText,
+        mode: importMode,
+        dryRun: false,
+        expectedSerial: importPreview.serial,
+      });
+      toast.success(`Zone imported: ${result.summary.add} added, ${result.summary.remove} removed, ${result.summary.update} updated`);
+      closeImportModal();
+      fetchZoneRecords(selectedZone.id);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to import zone file');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const exportZone = async () => {
+    if (!selectedZone) return;
+
+    try {
+      const blob = await apiClient.get<Blob>(`/dns-zones/${selectedZone.id}/export`, { responseType: 'blob' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${selectedZone.domain}.zone`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export zone file');
+    }
+  };
+
+  const lintZone = async () => {
+    if (!selectedZone) return;
+
+    setLinting(true);
+    try {
+      const result = await apiClient.get<ZoneLintResult>(`/dns-zones/${selectedZone.id}/lint`);
+      setLintResult(result);
+      if (result.problems.length === 0) {
+        toast.success('No problems found');
+      }
+    } catch (error) {
+      toast.error('Failed to check DNS zone');
+    } finally {
+      setLinting(false);
+    }
+  };
+
+  const syncZone = async () => {
+    if (!selectedZone) return;
+
+    try {
+      await apiClient.post(`/dns-zones/${selectedZone.id}/sync`);
+      toast.success('Zone pushed to nameservers');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to sync DNS zone');
+    } finally {
+      fetchZoneRecords(selectedZone.id);
+    }
+  };
+
+  const openHistory = async () => {
+    if (!selectedZone) return;
+
+    try {
+      const result = await apiClient.get<{ versions: ZoneVersion[] }>(`/dns-zones/${selectedZone.id}/versions`);
+      setVersions(result.versions);
+      setCompareFrom(result.versions[1]?.serial || '');
+      setCompareTo('');
+      setZoneDiff(null);
+      setShowHistoryModal(true);
+    } catch (error) {
+      toast.error('Failed to load zone history');
+    }
+  };
+
+  const compareVersions = async (from: string, to: string) => {
+    if (!selectedZone || !from) return;
+
+    try {
+      const query = new URLSearchParams({ from, ...(to ? { to } : {}) });
+      setZoneDiff(await apiClient.get<ZoneDiff>(`/dns-zones/${selectedZone.id}/diff?${query}`));
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to compare versions');
+    }
+  };
+
+  const rollbackTo = async (version: ZoneVersion) => {
+    if (!selectedZone) return;
+    if (!confirm(`Restore the records of ${new Date(version.created_at).toLocaleString()}? Current records not in that version will be removed.`)) return;
+
+    setRollingBack(true);
+    try {
+      await apiClient.post(`/dns-zones/${selectedZone.id}/rollback`, { serial: version.serial });
+      toast.success('Zone rolled back');
+      setShowHistoryModal(false);
+      fetchZoneRecords(selectedZone.id);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to roll back zone');
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const openTransfers = async () => {
+    if (!selectedZone) return;
+
+    try {
+      const [settings, keys] = await Promise.all([
+        apiClient.get<ZoneTransfer>(`/dns-zones/${selectedZone.id}/transfer`),
+        apiClient.get<{ keys: TsigKey[] }>('/dns-zones/tsig-keys'),
+      ]);
+      setTransfer(settings);
+      setTsigKeys(keys.keys);
+      setTransferForm({
+        type: settings.type,
+        primaries: settings.primaries.join('\n'),
+        primaryKeyId: settings.primary_tsig_key_id ? String(settings.primary_tsig_key_id) : '',
+        allowTransfer: settings.allow_transfer.join('\n'),
+        alsoNotify: settings.also_notify.join('\n'),
+        transferKeyId: settings.transfer_tsig_key_id ? String(settings.transfer_tsig_key_id) : '',
+      });
+      setNewKeySecret(null);
+      setShowTransferModal(true);
+    } catch (error) {
+      toast.error('Failed to load transfer settings');
+    }
+  };
+
+  const saveTransfer = async () => {
+    if (!selectedZone || !transfer) return;
+    if (transfer.type === 'SLAVE' && transferForm.type !== 'SLAVE'
+      && !confirm('The records last transferred from the primaries will become this zone\'s records. Continue?')) return;
+    if (transfer.type !== 'SLAVE' && transferForm.type === 'SLAVE'
+      && !confirm('The current records will be replaced by those transferred from the primaries. Continue?')) return;
+
+    setSavingTransfer(true);
+    try {
+      await apiClient.put(`/dns-zones/${selectedZone.id}/transfer`, {
+        type: transferForm.type,
+        primaries: splitList(transferForm.primaries),
+        primary_tsig_key_id: transferForm.primaryKeyId ? Number(transferForm.primaryKeyId) : null,
+        allow_transfer: splitList(transferForm.allowTransfer),
+        also_notify: splitList(transferForm.alsoNotify),
+        transfer_tsig_key_id: transferForm.transferKeyId ? Number(transferForm.transferKeyId) : null,
+      });
+      toast.success('Transfer settings saved');
+      setShowTransferModal(false);
+      fetchZoneRecords(selectedZone.id);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to save transfer settings');
+    } finally {
+      setSavingTransfer(false);
+    }
+  };
+
+  const createTsigKey = async () => {
+    try {
+      const key = await apiClient.post<TsigKey & { secret: string }>('/dns-zones/tsig-keys', { name: newKeyName });
+      setTsigKeys([...tsigKeys, key]);
+      setNewKeySecret(`${key.name} ${key.algorithm} ${key.secret}`);
+      setNewKeyName('');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to create TSIG key');
+    }
+  };
+
+  const runTransfer = async () => {
+    if (!selectedZone) return;
+
+    try {
+      const result = await apiClient.post<{ message: string }>(`/dns-zones/${selectedZone.id}/transfer`);
+      toast.success(result.message);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to trigger zone transfer');
+    }
+  };
+
+  const versionActor = (version: ZoneVersion) => {
+    if (version.source === 'system') return 'System';
+    if (version.source === 'api_key') return `API key ${version.api_key_name || ''} (${version.user_email || 'unknown user'})`;
+    return version.user_email || 'Unknown user';
+  };
+
+  const formatRecord = (record: ImportedRecord | DNSRecord | VersionRecord) =>
+    `${record.name} ${record.ttl} ${record.type} ${record.priority ?? ''} ${record.content}`.replace(/\s+/g, ' ');
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -260,16 +628,101 @@ export default function DNSZoneEditorPage() {
                   <p className="text-sm text-gray-500 mt-1">
                     Serial: {selectedZone.serial} • Default TTL: {selectedZone.default_ttl}s
                   </p>
+                  {selectedZone.sync_status && SYNC_BADGES[selectedZone.sync_status] && (
+                    <div className="mt-1 flex items-center gap-2">
+                      <span
+                        title={selectedZone.sync_error || undefined}
+                        className={`px-2 py-0.5 text-xs font-medium rounded-full ${SYNC_BADGES[selectedZone.sync_status].className}`}
+                      >
+                        {SYNC_BADGES[selectedZone.sync_status].label}
+                      </span>
+                      {selectedZone.sync_status !== 'synced' && (
+                        <button onClick={syncZone} className="text-xs text-blue-600 hover:text-blue-800">
+                          Sync now
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={lintZone}
+                    disabled={linting}
+                    className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 flex items-center gap-2 text-sm disabled:opacity-50"
+                  >
+                    <ShieldCheckIcon className="h-4 w-4" />
+                    Check
+                  </button>
+                  <button
+                    onClick={openTransfers}
+                    className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 flex items-center gap-2 text-sm"
+                  >
+                    <ArrowsRightLeftIcon className="h-4 w-4" />
+                    Transfers
+                  </button>
+                  <button
+                    onClick={openHistory}
+                    className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 flex items-center gap-2 text-sm"
+                  >
+                    <ClockIcon className="h-4 w-4" />
+                    History
+                  </button>
+                  <button
+                    onClick={() => setShowImportModal(true)}
+                    disabled={selectedZone.type === 'SLAVE'}
+                    className="disabled:opacity-50 border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 flex items-center gap-2 text-sm"
+                  >
+                    <ArrowUpTrayIcon className="h-4 w-4" />
+                    Import
+                  </button>
+                  <button
+                    onClick={exportZone}
+                    className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 flex items-center gap-2 text-sm"
+                  >
+                    <ArrowDownTrayIcon className="h-4 w-4" />
+                    Export
+                  </button>
+                  <button
+                    onClick={() => setShowNewRecordModal(true)}
+                    disabled={selectedZone.type === 'SLAVE'}
+                    className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2 text-sm disabled:bg-gray-300"
+                  >
+                    <PlusIcon className="h-4 w-4" />
+                    Add Record
+                  </button>
                 </div>
-                <button
-                  onClick={() => setShowNewRecordModal(true)}
-                  className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2 text-sm"
-                >
-                  <PlusIcon className="h-4 w-4" />
-                  Add Record
-                </button>
               </div>
 
+              {selectedZone.type === 'SLAVE' && (
+                <div className="p-4 border-b border-gray-200 bg-blue-50 text-sm text-blue-800">
+                  This zone is a secondary: its records are transferred from the primaries set under Transfers.
+                </div>
+              )}
+
+              {/* Lint Results */}
+              {lintResult && lintResult.problems.length > 0 && (
+                <div className="p-4 border-b border-gray-200 bg-gray-50">
+                  <div className="flex justify-between items-center mb-2">
+                    <p className="text-sm font-medium text-gray-900">
+                      {lintResult.summary.errors} errors • {lintResult.summary.warnings} warnings
+                    </p>
+                    <button onClick={() => setLintResult(null)} className="text-sm text-gray-500 hover:text-gray-700">
+                      Dismiss
+                    </button>
+                  </div>
+                  <ul className="space-y-1 text-sm">
+                    {lintResult.problems.map((problem, i) => (
+                      <li
+                        key={`${problem.code}-${i}`}
+                        className={problem.severity === 'error' ? 'text-red-700' : 'text-yellow-700'}
+                      >
+                        {problem.severity === 'error' ? 'Error' : 'Warning'}: {problem.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Records Table */}
               <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-gray-200">
@@ -319,7 +772,7 @@ export default function DNSZoneEditorPage() {
                 </table>
               </div>
 
-              {records.length === 0 && (
+              {records.length === 0 && selectedZone.type !== 'SLAVE' && (
                 <div className="p-8 text-center">
                   <DocumentDuplicateIcon className="h-12 w-12 text-gray-400 mx-auto mb-3" />
                   <p className="text-gray-500">No DNS records yet</p>
@@ -361,6 +814,31 @@ export default function DNSZoneEditorPage() {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Zone Type</label>
+                <select
+                  value={newZoneType}
+                  onChange={(e) => setNewZoneType(e.target.value as ZoneType)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {(Object.keys(ZONE_TYPE_LABELS) as ZoneType[]).map((type) => (
+                    <option key={type} value={type}>{ZONE_TYPE_LABELS[type]}</option>
+                  ))}
+                </select>
+              </div>
+              {newZoneType === 'SLAVE' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Primaries</label>
+                  <textarea
+                    value={newZonePrimaries}
+                    onChange={(e) => setNewZonePrimaries(e.target.value)}
+                    rows={3}
+                    placeholder={'192.0.2.1\n192.0.2.2:5300'}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Add a TSIG key under Transfers once the zone exists.</p>
+                </div>
+              )}
             </div>
 
             <div className="mt-6 flex gap-3">
@@ -372,7 +850,7 @@ export default function DNSZoneEditorPage() {
               </button>
               <button
                 onClick={createZone}
-                disabled={!newZoneDomain}
+                disabled={!newZoneDomain || (newZoneType === 'SLAVE' && !newZonePrimaries.trim())}
                 className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
               >
                 Create Zone
@@ -550,6 +1028,368 @@ export default function DNSZoneEditorPage() {
           </div>
         </div>
       )}
+
+      {/* Import Zone File Modal */}
+      {showImportModal && selectedZone && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-3xl w-full p-6 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Import Zone File into {selectedZone.domain}</h2>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Zone File
+                </label>
+                <input
+                  type="file"
+                  accept=".zone,.txt,.db,text/plain"
+                  onChange={(e) => loadZoneFile(e.target.files?.[0])}
+                  className="mb-2 text-sm"
+                />
+                <textarea
+                  value={zoneFileText}
+                  onChange={(e) => {
+                    setZoneFileText(e.target.value);
+                    setImportPreview(null);
+                  }}
+                  rows={10}
+                  placeholder={`$ORIGIN ${selectedZone.domain}.\n$TTL 3600\n@  IN  A  192.0.2.1`}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Mode
+                </label>
+                <select
+                  value={importMode}
+                  onChange={(e) => {
+                    setImportMode(e.target.value as 'replace' | 'merge');
+                    setImportPreview(null);
+                  }}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="replace">Replace – remove records not in the file</option>
+                  <option value="merge">Merge – only add and update records</option>
+                </select>
+              </div>
+
+              {importPreview && (
+                <div className="border border-gray-200 rounded-lg p-4 text-sm">
+                  <p className="font-medium text-gray-900 mb-2">
+                    {importPreview.summary.add} to add • {importPreview.summary.remove} to remove • {importPreview.summary.update} TTL changes • {importPreview.summary.unchanged} unchanged
+                  </p>
+                  <div className="font-mono text-xs space-y-1 max-h-64 overflow-y-auto">
+                    {importPreview.diff.add.map((record, i) => (
+                      <div key={`add-${i}`} className="text-green-700">+ {formatRecord(record)}</div>
+                    ))}
+                    {importPreview.diff.remove.map((record) => (
+                      <div key={`remove-${record.id}`} className="text-red-700">- {formatRecord(record)}</div>
+                    ))}
+                    {importPreview.diff.update.map(({ id, from, to }) => (
+                      <div key={`update-${id}`} className="text-yellow-700">
+                        ~ {formatRecord(to)} (TTL {from.ttl} → {to.ttl})
+                      </div>
+                    ))}
+                    {importPreview.diff.skipped.map((record, i) => (
+                      <div key={`skipped-${i}`} className="text-gray-500">
+                        skipped {record.type} {record.name}: {record.reason}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6 flex gap-3">
+              <button
+                onClick={closeImportModal}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              {importPreview ? (
+                <button
+                  onClick={applyImport}
+                  disabled={importing}
+                  className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+                >
+                  Apply Changes
+                </button>
+              ) : (
+                <button
+                  onClick={previewImport}
+                  disabled={!zoneFileText.trim() || importing}
+                  className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+                >
+                  Preview Changes
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Zone History Modal */}
+      {showHistoryModal && selectedZone && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-4xl w-full p-6 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold text-gray-900 mb-4">History of {selectedZone.domain}</h2>
+
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-72 overflow-y-auto text-sm">
+              {versions.length === 0 && (
+                <p className="p-4 text-gray-500">No changes recorded yet</p>
+              )}
+              {versions.map((version, i) => (
+                <div key={version.id} className="p-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{version.summary}</p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(version.created_at).toLocaleString()} • {versionActor(version)} • Serial {version.serial}
+                    </p>
+                  </div>
+                  <div className="flex gap-3 shrink-0">
+                    <button
+                      onClick={() => {
+                        setCompareFrom(version.serial);
+                        setCompareTo('');
+                        compareVersions(version.serial, '');
+                      }}
+                      className="text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      Compare with current
+                    </button>
+                    {i > 0 && (
+                      <button
+                        onClick={() => rollbackTo(version)}
+                        disabled={rollingBack}
+                        className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        Roll back
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-4 flex items-end gap-3 text-sm">
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                <select
+                  value={compareFrom}
+                  onChange={(e) => setCompareFrom(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="">Select a version</option>
+                  {versions.map((version) => (
+                    <option key={version.id} value={version.serial}>
+                      {new Date(version.created_at).toLocaleString()} – {version.summary}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                <select
+                  value={compareTo}
+                  onChange={(e) => setCompareTo(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="">Current records</option>
+                  {versions.map((version) => (
+                    <option key={version.id} value={version.serial}>
+                      {new Date(version.created_at).toLocaleString()} – {version.summary}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <button
+                onClick={() => compareVersions(compareFrom, compareTo)}
+                disabled={!compareFrom}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+              >
+                Compare
+              </button>
+            </div>
+
+            {zoneDiff && (
+              <div className="mt-4 border border-gray-200 rounded-lg p-4 text-sm">
+                <p className="font-medium text-gray-900 mb-2">{zoneDiff.summary}</p>
+                <div className="font-mono text-xs space-y-2 max-h-64 overflow-y-auto">
+                  {zoneDiff.changes.map((change) => (
+                    <div key={`${change.name}|${change.type}`}>
+                      {change.before.map((record, i) => (
+                        <div key={`before-${i}`} className="text-red-700">- {formatRecord(record)}</div>
+                      ))}
+                      {change.after.map((record, i) => (
+                        <div key={`after-${i}`} className="text-green-700">+ {formatRecord(record)}</div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="mt-6">
+              <button
+                onClick={() => setShowHistoryModal(false)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Zone Transfers Modal */}
+      {showTransferModal && selectedZone && transfer && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Zone transfers for {selectedZone.domain}</h2>
+
+            <div className="space-y-4 text-sm">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Zone Type</label>
+                <select
+                  value={transferForm.type}
+                  onChange={(e) => setTransferForm({ ...transferForm, type: e.target.value as ZoneType })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  {(Object.keys(ZONE_TYPE_LABELS) as ZoneType[]).map((type) => (
+                    <option key={type} value={type}>{ZONE_TYPE_LABELS[type]}</option>
+                  ))}
+                </select>
+              </div>
+
+              {transferForm.type === 'SLAVE' ? (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Primaries</label>
+                    <textarea
+                      value={transferForm.primaries}
+                      onChange={(e) => setTransferForm({ ...transferForm, primaries: e.target.value })}
+                      rows={3}
+                      placeholder={'192.0.2.1\n[2001:db8::1]:5300'}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Sign transfers with TSIG key</label>
+                    <select
+                      value={transferForm.primaryKeyId}
+                      onChange={(e) => setTransferForm({ ...transferForm, primaryKeyId: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                    >
+                      <option value="">No TSIG</option>
+                      {tsigKeys.map((key) => (
+                        <option key={key.id} value={key.id}>{key.name} ({key.algorithm})</option>
+                      ))}
+                    </select>
+                  </div>
+                  {transfer.type === 'SLAVE' && (
+                    <div className="bg-gray-50 rounded-lg p-3 text-gray-700">
+                      <p>Last transfer: {transfer.lastTransferAt ? new Date(transfer.lastTransferAt).toLocaleString() : 'never'}
+                        {transfer.lastTransferSerial && ` (serial ${transfer.lastTransferSerial})`}</p>
+                      <p>Last checked with primaries: {transfer.lastCheckAt ? new Date(transfer.lastCheckAt).toLocaleString() : 'never'}</p>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Allow transfers from</label>
+                    <textarea
+                      value={transferForm.allowTransfer}
+                      onChange={(e) => setTransferForm({ ...transferForm, allowTransfer: e.target.value })}
+                      rows={3}
+                      placeholder={'198.51.100.53\n203.0.113.0/24'}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Require TSIG key</label>
+                    <select
+                      value={transferForm.transferKeyId}
+                      onChange={(e) => setTransferForm({ ...transferForm, transferKeyId: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                    >
+                      <option value="">No TSIG</option>
+                      {tsigKeys.map((key) => (
+                        <option key={key.id} value={key.id}>{key.name} ({key.algorithm})</option>
+                      ))}
+                    </select>
+                  </div>
+                  {transferForm.type === 'MASTER' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Also NOTIFY</label>
+                      <textarea
+                        value={transferForm.alsoNotify}
+                        onChange={(e) => setTransferForm({ ...transferForm, alsoNotify: e.target.value })}
+                        rows={2}
+                        placeholder="198.51.100.53"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono"
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              <div className="border-t border-gray-200 pt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">New TSIG key</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={newKeyName}
+                    onChange={(e) => setNewKeyName(e.target.value)}
+                    placeholder={`transfer.${selectedZone.domain}`}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                  <button
+                    onClick={createTsigKey}
+                    disabled={!newKeyName}
+                    className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Generate
+                  </button>
+                </div>
+                {newKeySecret && (
+                  <p className="mt-2 p-2 bg-yellow-50 text-yellow-800 rounded font-mono text-xs break-all">
+                    {newKeySecret}
+                    <span className="block font-sans mt-1">Copy the secret now; it will not be shown again.</span>
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="mt-6 flex gap-3">
+              <button
+                onClick={() => setShowTransferModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              {transfer.type !== 'NATIVE' && transfer.type === transferForm.type && (
+                <button
+                  onClick={runTransfer}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  {transfer.type === 'SLAVE' ? 'Retrieve now' : 'Send NOTIFY'}
+                </button>
+              )}
+              <button
+                onClick={saveTransfer}
+                disabled={savingTransfer}
+                className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
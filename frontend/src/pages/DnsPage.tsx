@@ -17,6 +17,53 @@ type Record = {
   priority?: number | null;
 };
 
+type ServerCheck = {
+  status: 'propagated' | 'stale' | 'missing' | 'unexpected' | 'lame' | 'error';
+  address: string | null;
+  values?: string[];
+  ttl?: number | null;
+  serial?: number | null;
+  error?: string;
+};
+
+type PropagationResult = {
+  name: string;
+  type: string;
+  expected: string[];
+  delegation: {
+    status: 'ok' | 'mismatch' | 'not_delegated' | 'error';
+    parent: string | null;
+    nameservers: string[];
+    missing: string[];
+    extra: string[];
+    glue: { nameserver: string; addresses: string[]; expected: string[]; status: 'ok' | 'missing' | 'mismatch' }[];
+    error: string | null;
+  };
+  authoritative: (ServerCheck & { server: string })[];
+  resolvers: (ServerCheck & { resolver: string })[];
+  summary: { expectedSerial: number; authoritative: string; resolvers: string; propagated: boolean };
+};
+
+const CHECK_STATUS_STYLES: { [status: string]: string } = {
+  propagated: 'bg-emerald-50 text-emerald-700',
+  ok: 'bg-emerald-50 text-emerald-700',
+  stale: 'bg-amber-50 text-amber-700',
+  mismatch: 'bg-amber-50 text-amber-700',
+  missing: 'bg-red-50 text-red-700',
+  unexpected: 'bg-red-50 text-red-700',
+  lame: 'bg-red-50 text-red-700',
+  not_delegated: 'bg-red-50 text-red-700',
+  error: 'bg-slate-100 text-slate-600',
+};
+
+function CheckStatus({ status }: { status: string }) {
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-[11px] ${CHECK_STATUS_STYLES[status] || ''}`}>
+      {status.replace('_', ' ')}
+    </span>
+  );
+}
+
 export function DnsPage() {
   const [zones, setZones] = useState<Zone[]>([]);
   const [loadingZones, setLoadingZones] = useState(true);
@@ -37,6 +84,11 @@ export function DnsPage() {
     priority: '',
   });
 
+  const [checkQuery, setCheckQuery] = useState({ name: '@', type: 'A' });
+  const [propagation, setPropagation] = useState<PropagationResult | null>(null);
+  const [checking, setChecking] = useState(false);
+  const [checkError, setCheckError] = useState<string | null>(null);
+
   useEffect(() => {
     (async () => {
       try {
@@ -70,8 +122,29 @@ export function DnsPage() {
         setLoadingRecords(false);
       }
     })();
+    setPropagation(null);
+    setCheckError(null);
   }, [selectedZone?.id]);
 
+  const checkPropagation = async (name: string, type: string) => {
+    if (!selectedZone) return;
+    setCheckQuery({ name, type });
+    setChecking(true);
+    setCheckError(null);
+    try {
+      const params = new URLSearchParams({ name, type });
+      setPropagation(
+        await api.get<PropagationResult>(
+          `/dns/zones/${selectedZone.id}/propagation?${params}`
+        )
+      );
+    } catch (e: any) {
+      setCheckError(e.message || 'Failed to check propagation');
+    } finally {
+      setChecking(false);
+    }
+  };
+
   const openCreateRecord = () => {
     setEditingRecord(null);
     setRecordForm({ name: '@', type: 'A', content: '', ttl: 300, priority: '' });
@@ -211,6 +284,12 @@ export function DnsPage() {
                       <td className="px-4 py-2">{r.ttl}</td>
                       <td className="px-4 py-2">{r.priority ?? '—'}</td>
                       <td className="px-4 py-2 text-right space-x-2">
+                        <button
+                          onClick={() => checkPropagation(r.name, r.type)}
+                          className="text-[11px] px-3 py-1 rounded-full border border-slate-200 hover:bg-slate-50"
+                        >
+                          Check
+                        </button>
                         <button
                           onClick={() => openEditRecord(r)}
                           className="text-[11px] px-3 py-1 rounded-full border border-slate-200 hover:bg-slate-50"
@@ -229,6 +308,134 @@ export function DnsPage() {
                 </tbody>
               </table>
             )}
+
+            <h2 className="text-xs font-semibold text-slate-500 mt-6 mb-2">
+              Propagation
+            </h2>
+            <div className="border rounded-xl bg-white p-4 text-xs">
+              <div className="flex items-end gap-2">
+                <div>
+                  <label className="block font-semibold mb-1">Name</label>
+                  <input
+                    className="border rounded-lg px-3 py-2 text-sm w-48"
+                    value={checkQuery.name}
+                    onChange={(e) =>
+                      setCheckQuery((q) => ({ ...q, name: e.target.value }))
+                    }
+                  />
+                </div>
+                <div>
+                  <label className="block font-semibold mb-1">Type</label>
+                  <select
+                    className="border rounded-lg px-3 py-2 text-sm"
+                    value={checkQuery.type}
+                    onChange={(e) =>
+                      setCheckQuery((q) => ({ ...q, type: e.target.value }))
+                    }
+                  >
+                    {['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SRV', 'CAA', 'SOA'].map((t) => (
+                      <option key={t}>{t}</option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  onClick={() => checkPropagation(checkQuery.name, checkQuery.type)}
+                  disabled={checking}
+                  className="px-4 py-2 rounded-xl bg-violet-600 text-white text-sm font-medium disabled:opacity-50"
+                >
+                  {checking ? 'Checking…' : 'Check'}
+                </button>
+              </div>
+
+              {checkError && (
+                <div className="mt-3 rounded-lg bg-red-50 text-red-700 px-4 py-3 text-sm">
+                  {checkError}
+                </div>
+              )}
+
+              {propagation && (
+                <div className="mt-4 space-y-4">
+                  <div className="text-sm">
+                    {propagation.type} {propagation.name}:{' '}
+                    <b>{propagation.summary.propagated ? 'live everywhere' : 'not fully propagated'}</b>
+                    <span className="text-slate-500">
+                      {' '}— expected {propagation.expected.length > 0 ? propagation.expected.join(', ') : 'no records'}
+                    </span>
+                  </div>
+
+                  <div>
+                    <div className="font-semibold mb-1">
+                      Delegation{propagation.delegation.parent && ` in ${propagation.delegation.parent}`}{' '}
+                      <CheckStatus status={propagation.delegation.status} />
+                    </div>
+                    {propagation.delegation.error && (
+                      <div className="text-red-700">{propagation.delegation.error}</div>
+                    )}
+                    {propagation.delegation.nameservers.length > 0 && (
+                      <div>Nameservers: {propagation.delegation.nameservers.join(', ')}</div>
+                    )}
+                    {propagation.delegation.missing.length > 0 && (
+                      <div className="text-amber-700">
+                        Not delegated to: {propagation.delegation.missing.join(', ')}
+                      </div>
+                    )}
+                    {propagation.delegation.extra.length > 0 && (
+                      <div className="text-amber-700">
+                        Also delegated to: {propagation.delegation.extra.join(', ')}
+                      </div>
+                    )}
+                    {propagation.delegation.glue.map((g) => (
+                      <div key={g.nameserver}>
+                        Glue for {g.nameserver}: {g.addresses.join(', ') || 'none'}{' '}
+                        <CheckStatus status={g.status} />
+                        {g.status === 'mismatch' && ` (zone has ${g.expected.join(', ')})`}
+                      </div>
+                    ))}
+                  </div>
+
+                  <table className="min-w-full">
+                    <thead className="bg-slate-50 text-left">
+                      <tr>
+                        <th className="px-3 py-2">Server</th>
+                        <th className="px-3 py-2">Status</th>
+                        <th className="px-3 py-2">Answer</th>
+                        <th className="px-3 py-2">TTL</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {propagation.authoritative.map((a) => (
+                        <tr key={`ns-${a.server}`} className="border-t">
+                          <td className="px-3 py-2">
+                            {a.server}
+                            <span className="text-slate-400"> (authoritative{a.serial ? `, serial ${a.serial}` : ''})</span>
+                          </td>
+                          <td className="px-3 py-2"><CheckStatus status={a.status} /></td>
+                          <td className="px-3 py-2">{a.error || a.values?.join(', ') || '—'}</td>
+                          <td className="px-3 py-2">{a.ttl ?? '—'}</td>
+                        </tr>
+                      ))}
+                      {propagation.resolvers.map((r) => (
+                        <tr key={`resolver-${r.resolver}`} className="border-t">
+                          <td className="px-3 py-2">
+                            {r.resolver}
+                            <span className="text-slate-400"> ({r.address})</span>
+                          </td>
+                          <td className="px-3 py-2"><CheckStatus status={r.status} /></td>
+                          <td className="px-3 py-2">{r.error || r.values?.join(', ') || '—'}</td>
+                          <td className="px-3 py-2">{r.ttl ?? '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {propagation.summary.expectedSerial && (
+                    <div className="text-slate-500">
+                      Current zone serial: {propagation.summary.expectedSerial}. Resolvers
+                      showing an old answer update when its TTL runs out.
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
           </div>
         </div>
       )}
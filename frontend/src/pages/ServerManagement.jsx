@@ -15,6 +15,8 @@ import {
   RocketLaunchIcon,
   ChartBarIcon,
   ArrowPathIcon,
+  KeyIcon,
+  NoSymbolIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
@@ -258,6 +260,18 @@ export default function ServerManagement() {
             <ChartBarIcon className="w-5 h-5 inline-block mr-2" />
             Resources ({deployments.length})
           </button>
+
+          <button
+            onClick={() => setActiveTab('agents')}
+            className={`${
+              activeTab === 'agents'
+                ? 'border-indigo-500 text-indigo-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+          >
+            <KeyIcon className="w-5 h-5 inline-block mr-2" />
+            Agents
+          </button>
         </nav>
       </div>
 
@@ -288,6 +302,10 @@ export default function ServerManagement() {
         />
       )}
 
+      {activeTab === 'agents' && (
+        <AgentsTab servers={servers} />
+      )}
+
       {/* Add Server Modal */}
       {showAddServerModal && (
         <AddServerModal
@@ -566,6 +584,361 @@ function ResourcesTab({ deployments, onRefresh }) {
   );
 }
 
+// Agents Tab Component
+function AgentsTab({ servers }) {
+  const [agents, setAgents] = useState([]);
+  const [tokens, setTokens] = useState([]);
+  const [newToken, setNewToken] = useState(null);
+  const [tokenForm, setTokenForm] = useState({
+    serverId: '',
+    description: '',
+    expiresInHours: 24,
+  });
+
+  useEffect(() => {
+    fetchAgents();
+  }, []);
+
+  const authHeaders = () => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${localStorage.getItem('token')}`
+  });
+
+  const fetchAgents = async () => {
+    try {
+      const [agentsRes, tokensRes] = await Promise.all([
+        fetch('/api/agent', { headers: authHeaders() }),
+        fetch('/api/agent/enrollment-tokens', { headers: authHeaders() }),
+      ]);
+
+      if (agentsRes.ok) {
+        const data = await agentsRes.json();
+        setAgents(data.agents || []);
+      }
+
+      if (tokensRes.ok) {
+        const data = await tokensRes.json();
+        setTokens(data.tokens || []);
+      }
+    } catch (error) {
+      console.error('Error fetching agents:', error);
+    }
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await fetch('/api/agent/enrollment-tokens', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          serverId: tokenForm.serverId ? parseInt(tokenForm.serverId) : null,
+          description: tokenForm.description || null,
+          expiresInHours: parseInt(tokenForm.expiresInHours),
+        })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setNewToken(data.enrollment.token);
+        setTokenForm({ serverId: '', description: '', expiresInHours: 24 });
+        toast.success('Enrollment token created');
+        fetchAgents();
+      } else {
+        toast.error('Failed to create enrollment token');
+      }
+    } catch (error) {
+      console.error('Error creating enrollment token:', error);
+      toast.error('Failed to create enrollment token');
+    }
+  };
+
+  const handleRevokeToken = async (tokenId) => {
+    try {
+      const response = await fetch(`/api/agent/enrollment-tokens/${tokenId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        toast.success('Enrollment token revoked');
+        fetchAgents();
+      } else {
+        toast.error('Failed to revoke enrollment token');
+      }
+    } catch (error) {
+      console.error('Error revoking enrollment token:', error);
+      toast.error('Failed to revoke enrollment token');
+    }
+  };
+
+  const handleRotate = async (agentId) => {
+    try {
+      const response = await fetch(`/api/agent/${agentId}/rotate`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        toast.success('Agent will rotate its credential on its next report');
+        fetchAgents();
+      } else {
+        toast.error('Failed to request rotation');
+      }
+    } catch (error) {
+      console.error('Error requesting rotation:', error);
+      toast.error('Failed to request rotation');
+    }
+  };
+
+  const handleRevoke = async (agentId) => {
+    if (!confirm('Revoke this agent? It will stop reporting and executing jobs until re-enrolled.')) return;
+
+    try {
+      const response = await fetch(`/api/agent/${agentId}/revoke`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        toast.success('Agent revoked');
+        fetchAgents();
+      } else {
+        toast.error('Failed to revoke agent');
+      }
+    } catch (error) {
+      console.error('Error revoking agent:', error);
+      toast.error('Failed to revoke agent');
+    }
+  };
+
+  const getTokenStatus = (token) => {
+    if (token.revoked_at) return { label: 'revoked', color: 'bg-red-100 text-red-800' };
+    if (token.used_at) return { label: `used by agent ${token.used_by_agent_id}`, color: 'bg-gray-100 text-gray-800' };
+    if (new Date(token.expires_at) <= new Date()) return { label: 'expired', color: 'bg-yellow-100 text-yellow-800' };
+    return { label: 'unused', color: 'bg-green-100 text-green-800' };
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Enrollment Token Form */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Enroll a new agent</h3>
+        <form onSubmit={handleCreateToken} className="grid grid-cols-1 gap-4 sm:grid-cols-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Server</label>
+            <select
+              value={tokenForm.serverId}
+              onChange={(e) => setTokenForm({ ...tokenForm, serverId: e.target.value })}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              <option value="">Any server</option>
+              {servers.map((server) => (
+                <option key={server.id} value={server.id}>
+                  {server.name || server.hostname}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Description</label>
+            <input
+              type="text"
+              value={tokenForm.description}
+              onChange={(e) => setTokenForm({ ...tokenForm, description: e.target.value })}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              placeholder="web-01 install"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Expires in (hours)</label>
+            <input
+              type="number"
+              min="1"
+              max="720"
+              value={tokenForm.expiresInHours}
+              onChange={(e) => setTokenForm({ ...tokenForm, expiresInHours: e.target.value })}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            className="inline-flex justify-center items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            <PlusIcon className="w-5 h-5 mr-2" />
+            Create Token
+          </button>
+        </form>
+
+        {newToken && (
+          <div className="mt-4 bg-yellow-50 border-l-4 border-yellow-400 p-4">
+            <p className="text-sm text-yellow-700">
+              Copy this token into the agent's <code>controlPanel.enrollmentToken</code> now - it will not be shown again.
+            </p>
+            <code className="mt-2 block text-sm font-mono text-gray-900 break-all">{newToken}</code>
+          </div>
+        )}
+      </div>
+
+      {/* Agents Table */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Agent
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Last Seen
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Key
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {agents.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">
+                  No agents enrolled yet.
+                </td>
+              </tr>
+            ) : (
+              agents.map((agent) => (
+                <tr key={agent.id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{agent.hostname}</div>
+                    <div className="text-xs text-gray-400">
+                      #{agent.id} · {agent.os} · v{agent.agent_version}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                      agent.status === 'active'
+                        ? 'bg-green-100 text-green-800'
+                        : agent.status === 'revoked'
+                          ? 'bg-red-100 text-red-800'
+                          : 'bg-gray-100 text-gray-800'
+                    }`}>
+                      {agent.status}
+                    </span>
+                    {agent.rotation_requested && (
+                      <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                        rotation pending
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {agent.last_seen ? new Date(agent.last_seen).toLocaleString() : 'Never'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-500">
+                    {agent.active_key_id || 'legacy key'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    {agent.status !== 'revoked' && (
+                      <>
+                        {agent.active_key_id && (
+                          <button
+                            onClick={() => handleRotate(agent.id)}
+                            className="text-indigo-600 hover:text-indigo-900 mr-4"
+                            title="Rotate credential"
+                          >
+                            <ArrowPathIcon className="w-5 h-5 inline" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleRevoke(agent.id)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Revoke agent"
+                        >
+                          <NoSymbolIcon className="w-5 h-5 inline" />
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Enrollment Tokens Table */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Enrollment Token
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Server
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Expires
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {tokens.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">
+                  No enrollment tokens.
+                </td>
+              </tr>
+            ) : (
+              tokens.map((token) => {
+                const status = getTokenStatus(token);
+                return (
+                  <tr key={token.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {token.description || `Token #${token.id}`}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {token.server_hostname || 'Any'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.color}`}>
+                        {status.label}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(token.expires_at).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {status.label === 'unused' && (
+                        <button
+                          onClick={() => handleRevokeToken(token.id)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Revoke token"
+                        >
+                          <TrashIcon className="w-5 h-5 inline" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 // Add Server Modal Component
 function AddServerModal({ onClose, onSubmit }) {
   const [formData, setFormData] = useState({
@@ -4,6 +4,10 @@ import {
   PlusIcon,
   TrashIcon,
   CheckCircleIcon,
+  BanknotesIcon,
+  CurrencyDollarIcon,
+  LockClosedIcon,
+  ReceiptPercentIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
@@ -11,11 +15,154 @@ const ClientBilling = () => {
   const [paymentMethods, setPaymentMethods] = useState([]);
   const [billingInfo, setBillingInfo] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [credit, setCredit] = useState({ balance: 0, currency: 'USD', ledger: [] });
+  const [topUpAmount, setTopUpAmount] = useState('');
+  const [billingCurrency, setBillingCurrency] = useState(null);
+  const [taxProfile, setTaxProfile] = useState(null);
+  const [taxForm, setTaxForm] = useState({ country: '', vatNumber: '' });
+  const [savingTax, setSavingTax] = useState(false);
 
   useEffect(() => {
     fetchBillingData();
+    fetchCredit();
+    fetchBillingCurrency();
+    fetchTaxProfile();
   }, []);
 
+  const fetchTaxProfile = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('http://localhost:3000/api/tax/profile', {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setTaxProfile(data);
+        setTaxForm({ country: data.country || '', vatNumber: data.vatNumber || '' });
+      }
+    } catch (error) {
+      console.error('Error fetching tax details:', error);
+    }
+  };
+
+  const handleSaveTaxProfile = async (e) => {
+    e.preventDefault();
+    setSavingTax(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('http://localhost:3000/api/tax/profile', {
+        method: 'PUT',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ country: taxForm.country || null, vatNumber: taxForm.vatNumber }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setTaxProfile(data);
+        toast.success(data.vatStatus === 'unavailable'
+          ? 'Saved. The VAT registry is unavailable, so VAT is charged until your number is confirmed.'
+          : 'Tax details saved');
+      } else {
+        toast.error(data.error || 'Failed to save tax details');
+        if (data.vatStatus) setTaxProfile(data);
+      }
+    } catch (error) {
+      console.error('Error saving tax details:', error);
+      toast.error('Failed to save tax details');
+    } finally {
+      setSavingTax(false);
+    }
+  };
+
+  const fetchBillingCurrency = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('http://localhost:3000/api/currencies/customer', {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      if (response.ok) {
+        setBillingCurrency(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching billing currency:', error);
+    }
+  };
+
+  const handleCurrencyChange = async (currency) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('http://localhost:3000/api/currencies/customer', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ currency }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        toast.success(`You will be billed in ${data.currency}`);
+        setBillingCurrency((current) => ({ ...current, currency: data.currency }));
+        setCredit((current) => ({ ...current, currency: data.currency }));
+      } else {
+        toast.error(data.error || 'Failed to change currency');
+        fetchBillingCurrency();
+      }
+    } catch (error) {
+      console.error('Error changing billing currency:', error);
+      toast.error('Failed to change currency');
+    }
+  };
+
+  const fetchCredit = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('http://localhost:3000/api/invoices/credit', {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setCredit(data);
+      }
+    } catch (error) {
+      console.error('Error fetching account credit:', error);
+    }
+  };
+
+  const handleTopUp = async (e) => {
+    e.preventDefault();
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('http://localhost:3000/api/invoices/credit/top-up', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ amount: parseFloat(topUpAmount) }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        toast.success(`Invoice ${data.invoice.invoice_number} created - credit is added once it is paid`);
+        setTopUpAmount('');
+      } else {
+        toast.error(data.error || 'Failed to create top-up');
+      }
+    } catch (error) {
+      console.error('Error creating top-up:', error);
+      toast.error('Failed to create top-up');
+    }
+  };
+
+  const formatMoney = (amount) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency: credit.currency || 'USD' }).format(amount);
+
   const fetchBillingData = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -87,6 +234,165 @@ const ClientBilling = () => {
         </p>
       </div>
 
+      {/* Billing Currency */}
+      {billingCurrency && (
+        <div className="bg-white shadow rounded-lg p-6 mb-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center">
+              <CurrencyDollarIcon className="h-8 w-8 text-gray-400 mr-4" />
+              <div>
+                <h2 className="text-lg font-medium text-gray-900">Billing Currency</h2>
+                <p className="text-sm text-gray-500">
+                  {billingCurrency.locked
+                    ? 'Your currency was fixed by your first purchase'
+                    : 'Prices and invoices use this currency. It is fixed once you make your first purchase.'}
+                </p>
+              </div>
+            </div>
+            {billingCurrency.locked ? (
+              <span className="inline-flex items-center text-lg font-semibold text-gray-900">
+                <LockClosedIcon className="h-4 w-4 mr-1 text-gray-400" />
+                {billingCurrency.currency}
+              </span>
+            ) : (
+              <select
+                value={billingCurrency.currency}
+                onChange={(e) => handleCurrencyChange(e.target.value)}
+                className="border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              >
+                {billingCurrency.currencies.map((code) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Tax Details */}
+      {taxProfile && (
+        <div className="bg-white shadow rounded-lg p-6 mb-6">
+          <div className="flex items-center mb-4">
+            <ReceiptPercentIcon className="h-8 w-8 text-gray-400 mr-4" />
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">Tax Details</h2>
+              <p className="text-sm text-gray-500">
+                EU businesses with a valid VAT number in another member state are invoiced under the reverse charge
+              </p>
+            </div>
+          </div>
+          <form onSubmit={handleSaveTaxProfile} className="grid grid-cols-1 gap-4 sm:grid-cols-3 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Country</label>
+              <input
+                type="text"
+                maxLength={2}
+                value={taxForm.country}
+                onChange={(e) => setTaxForm({ ...taxForm, country: e.target.value.toUpperCase() })}
+                placeholder="DE"
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">VAT Number</label>
+              <input
+                type="text"
+                value={taxForm.vatNumber}
+                onChange={(e) => setTaxForm({ ...taxForm, vatNumber: e.target.value })}
+                placeholder="DE123456789"
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={savingTax}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {savingTax ? 'Checking...' : 'Save'}
+            </button>
+          </form>
+          {taxProfile.vatNumber && (
+            <p className="mt-3 text-sm text-gray-600">
+              {taxProfile.vatNumber}:{' '}
+              <span className={taxProfile.vatStatus === 'valid' ? 'text-green-600' : 'text-red-600'}>
+                {{
+                  valid: 'verified',
+                  invalid: 'not valid',
+                  unavailable: 'not yet verified',
+                }[taxProfile.vatStatus] || taxProfile.vatStatus}
+              </span>
+              {taxProfile.vatName && ` (${taxProfile.vatName})`}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Account Credit */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <BanknotesIcon className="h-8 w-8 text-gray-400 mr-4" />
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">Account Credit</h2>
+              <p className="text-sm text-gray-500">Applied automatically to new and unpaid invoices</p>
+            </div>
+          </div>
+          <p className="text-2xl font-bold text-gray-900">{formatMoney(credit.balance)}</p>
+        </div>
+
+        <form onSubmit={handleTopUp} className="flex items-end gap-3 mb-6">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Prepay amount</label>
+            <input
+              type="number"
+              min="1"
+              step="0.01"
+              value={topUpAmount}
+              onChange={(e) => setTopUpAmount(e.target.value)}
+              className="block w-40 border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              placeholder="100.00"
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add Credit
+          </button>
+        </form>
+
+        {credit.ledger.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {credit.ledger.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="py-2 text-sm text-gray-500">
+                    {new Date(entry.created_at).toLocaleDateString()}
+                  </td>
+                  <td className="py-2 text-sm text-gray-900">{entry.description || entry.type}</td>
+                  <td className={`py-2 text-sm text-right ${parseFloat(entry.amount) < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {formatMoney(entry.amount)}
+                  </td>
+                  <td className="py-2 text-sm text-right text-gray-900">{formatMoney(entry.balance_after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-500">No credit activity yet</p>
+        )}
+      </div>
+
       {/* Payment Methods */}
       <div className="bg-white shadow rounded-lg p-6 mb-6">
         <div className="flex items-center justify-between mb-4">
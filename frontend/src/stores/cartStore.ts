@@ -1,6 +1,7 @@
 // src/stores/cartStore.ts
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { apiClient } from '../lib/apiClient';
 
 export type CartItem = {
   productId: string;
@@ -17,20 +18,55 @@ export type CartItem = {
   };
 };
 
+export type AppliedCoupon = {
+  code: string;
+  name?: string | null;
+  discountType: 'percent' | 'fixed';
+  amount: number;
+  currency: string;
+  duration: 'once' | 'repeating' | 'forever';
+  durationCycles?: number | null;
+  appliesTo: string[];
+  description: string;
+};
+
 type CartStore = {
   items: CartItem[];
+  coupon: AppliedCoupon | null;
   addItem: (item: CartItem) => void;
   removeItem: (productId: string) => void;
   updateQuantity: (productId: string, quantity: number) => void;
   clearCart: () => void;
+  applyCoupon: (code: string) => Promise<AppliedCoupon>;
+  removeCoupon: () => void;
   getTotal: () => number;
+  getDiscount: () => number;
   getItemCount: () => number;
 };
 
+const eligibleItems = (coupon: AppliedCoupon, items: CartItem[]) =>
+  coupon.appliesTo.length === 0
+    ? items
+    : items.filter((item) => coupon.appliesTo.includes(String(item.productId)));
+
+// Mirrors CouponService.calculateDiscount; the server re-checks at checkout
+const calculateDiscount = (coupon: AppliedCoupon, items: CartItem[]) => {
+  const eligibleCents = eligibleItems(coupon, items).reduce(
+    (sum, item) => sum + Math.round(item.price * item.quantity * 100),
+    0
+  );
+  const discountCents =
+    coupon.discountType === 'percent'
+      ? Math.round((eligibleCents * coupon.amount) / 100)
+      : Math.min(Math.round(coupon.amount * 100), eligibleCents);
+  return discountCents / 100;
+};
+
 export const useCartStore = create<CartStore>()(
   persist(
     (set, get) => ({
       items: [],
+      coupon: null,
 
       addItem: (item) => {
         set((state) => {
@@ -55,9 +91,12 @@ export const useCartStore = create<CartStore>()(
       },
 
       removeItem: (productId) => {
-        set((state) => ({
-          items: state.items.filter((item) => item.productId !== productId),
-        }));
+        set((state) => {
+          const items = state.items.filter((item) => item.productId !== productId);
+          // Drop a coupon once nothing it applies to is left in the cart
+          const coupon = state.coupon && eligibleItems(state.coupon, items).length > 0 ? state.coupon : null;
+          return { items, coupon };
+        });
       },
 
       updateQuantity: (productId, quantity) => {
@@ -74,7 +113,26 @@ export const useCartStore = create<CartStore>()(
       },
 
       clearCart: () => {
-        set({ items: [] });
+        set({ items: [], coupon: null });
+      },
+
+      applyCoupon: async (code) => {
+        const items = get().items;
+        if (items.length === 0) {
+          throw new Error('Add something to your cart first');
+        }
+
+        const response = await apiClient.post<{ valid: boolean; coupon: AppliedCoupon }>('/coupons/validate', {
+          code: code.trim(),
+          items: items.map((item) => ({ productId: item.productId, quantity: item.quantity })),
+        });
+
+        set({ coupon: response.coupon });
+        return response.coupon;
+      },
+
+      removeCoupon: () => {
+        set({ coupon: null });
       },
 
       getTotal: () => {
@@ -82,6 +140,11 @@ export const useCartStore = create<CartStore>()(
         return items.reduce((total, item) => total + item.price * item.quantity, 0);
       },
 
+      getDiscount: () => {
+        const { coupon, items } = get();
+        return coupon ? calculateDiscount(coupon, items) : 0;
+      },
+
       getItemCount: () => {
         const items = get().items;
         return items.reduce((count, item) => count + item.quantity, 0);
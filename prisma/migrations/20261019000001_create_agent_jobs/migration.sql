@@ -0,0 +1,47 @@
+-- Agent Command Channel Migration
+-- Lets the panel queue signed provisioning jobs for server agents to execute
+
+-- Registered server agents (used by agentController)
+CREATE TABLE IF NOT EXISTS servers_agents (
+  id SERIAL PRIMARY KEY,
+  hostname VARCHAR(255) NOT NULL,
+  os VARCHAR(100),
+  arch VARCHAR(50),
+  platform VARCHAR(50),
+  agent_version VARCHAR(50),
+  api_key_hash TEXT,
+  status VARCHAR(20) DEFAULT 'active', -- 'active', 'inactive', 'revoked'
+  last_seen TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Link agents to the hosting servers they run on
+ALTER TABLE servers_agents
+  ADD COLUMN IF NOT EXISTS server_id INTEGER REFERENCES servers(id) ON DELETE SET NULL;
+
+-- Agent jobs table - commands queued for execution on a node
+CREATE TABLE IF NOT EXISTS agent_jobs (
+  id SERIAL PRIMARY KEY,
+  agent_id INTEGER NOT NULL REFERENCES servers_agents(id) ON DELETE CASCADE,
+  action VARCHAR(50) NOT NULL, -- 'create_vhost', 'reload_nginx', 'create_system_user', 'rotate_logs'
+  payload JSONB NOT NULL DEFAULT '{}',
+  signature VARCHAR(128), -- set when the job is dispatched
+  status VARCHAR(20) DEFAULT 'queued', -- 'queued', 'dispatched', 'succeeded', 'failed', 'expired'
+  result JSONB,
+  error_message TEXT,
+  attempts INTEGER DEFAULT 0,
+  created_by INTEGER,
+  expires_at TIMESTAMP NOT NULL,
+  dispatched_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_servers_agents_server_id ON servers_agents(server_id);
+CREATE INDEX IF NOT EXISTS idx_agent_jobs_agent_status ON agent_jobs(agent_id, status);
+CREATE INDEX IF NOT EXISTS idx_agent_jobs_created_at ON agent_jobs(created_at DESC);
+
+COMMENT ON TABLE agent_jobs IS 'Signed commands queued by the panel for server agents';
+COMMENT ON COLUMN agent_jobs.signature IS 'HMAC-SHA256 over the canonical job envelope, verified by the agent';
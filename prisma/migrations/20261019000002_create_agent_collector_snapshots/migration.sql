@@ -0,0 +1,17 @@
+-- Agent Collector Snapshots Migration
+-- Stores process, service, port and log samples reported by server agents
+
+CREATE TABLE IF NOT EXISTS agent_collector_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  agent_id INTEGER NOT NULL REFERENCES servers_agents(id) ON DELETE CASCADE,
+  collector VARCHAR(50) NOT NULL, -- 'processes', 'services', 'ports', 'logs'
+  collected_at TIMESTAMP NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_snapshots_agent_collector_time
+  ON agent_collector_snapshots(agent_id, collector, collected_at DESC);
+
+COMMENT ON TABLE agent_collector_snapshots IS 'Structured samples from extended agent collectors';
+COMMENT ON COLUMN agent_collector_snapshots.data IS 'JSONB payload exactly as produced by the agent collector';
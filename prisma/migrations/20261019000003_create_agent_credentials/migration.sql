@@ -0,0 +1,40 @@
+-- Agent Credentials Migration
+-- Replaces the shared agent API key with per-agent enrollment and rotatable HMAC credentials
+
+-- One-time tokens an admin hands to a new node; exchanged for a credential on enrollment
+CREATE TABLE IF NOT EXISTS agent_enrollment_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token, plaintext is shown once
+  server_id INTEGER REFERENCES servers(id) ON DELETE CASCADE,
+  description VARCHAR(255),
+  created_by INTEGER,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  used_by_agent_id INTEGER REFERENCES servers_agents(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-agent request signing credentials
+CREATE TABLE IF NOT EXISTS agent_credentials (
+  id SERIAL PRIMARY KEY,
+  agent_id INTEGER NOT NULL REFERENCES servers_agents(id) ON DELETE CASCADE,
+  key_id VARCHAR(64) NOT NULL UNIQUE,
+  secret_encrypted TEXT NOT NULL, -- needed in clear to verify HMAC signatures
+  status VARCHAR(20) DEFAULT 'active', -- 'active', 'retiring', 'revoked'
+  expires_at TIMESTAMP, -- end of the grace period for 'retiring' credentials
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE servers_agents
+  ADD COLUMN IF NOT EXISTS rotation_requested BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_agent_enrollment_tokens_server_id ON agent_enrollment_tokens(server_id);
+CREATE INDEX IF NOT EXISTS idx_agent_credentials_agent_status ON agent_credentials(agent_id, status);
+
+COMMENT ON TABLE agent_enrollment_tokens IS 'Single-use tokens for enrolling a server agent';
+COMMENT ON TABLE agent_credentials IS 'Rotatable per-agent HMAC credentials';
+COMMENT ON COLUMN agent_credentials.expires_at IS 'Retiring credentials keep working until this time so rotation never drops requests';
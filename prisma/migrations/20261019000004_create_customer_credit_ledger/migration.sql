@@ -0,0 +1,25 @@
+-- Customer Credit Ledger Migration
+-- Unused time from plan changes is stored as account credit and drawn down by later invoices
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS credit_balance DECIMAL(10, 2) DEFAULT 0;
+
+-- Every change to customers.credit_balance, with the balance it left behind
+CREATE TABLE IF NOT EXISTS customer_credit_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  amount DECIMAL(10, 2) NOT NULL, -- positive adds credit, negative consumes it
+  balance_after DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(3) DEFAULT 'USD',
+  type VARCHAR(50) NOT NULL, -- proration, invoice_applied, reversal, adjustment
+  description TEXT,
+  subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL,
+  invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+  metadata JSONB DEFAULT '{}',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_customer ON customer_credit_ledger(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_invoice ON customer_credit_ledger(invoice_id) WHERE invoice_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_subscription ON customer_credit_ledger(subscription_id) WHERE subscription_id IS NOT NULL;
@@ -0,0 +1,11 @@
+-- Invoice Credit Tracking Migration
+-- Lets account credit (top-ups, overpayments, promotional credit) pay invoices partly or in full
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credit_applied DECIMAL(10, 2) DEFAULT 0;
+
+ALTER TABLE customer_credit_ledger ADD COLUMN IF NOT EXISTS payment_id UUID REFERENCES payments(id) ON DELETE SET NULL;
+
+-- Unpaid invoices of customers with credit are swept daily
+CREATE INDEX IF NOT EXISTS idx_invoices_unpaid_customer ON invoices(customer_id) WHERE status IN ('draft', 'sent', 'pending');
+CREATE INDEX IF NOT EXISTS idx_customers_credit_balance ON customers(id) WHERE credit_balance > 0;
@@ -0,0 +1,53 @@
+-- Coupons Migration
+-- Discount codes for checkout, public signups and locally billed subscriptions
+
+CREATE TABLE IF NOT EXISTS coupons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+  code VARCHAR(64) NOT NULL,
+  name VARCHAR(255),
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0), -- percent off, or fixed amount off
+  currency VARCHAR(3) DEFAULT 'USD', -- fixed discounts only
+  duration VARCHAR(20) NOT NULL DEFAULT 'once' CHECK (duration IN ('once', 'repeating', 'forever')),
+  duration_cycles INTEGER CHECK (duration_cycles IS NULL OR duration_cycles > 0), -- repeating: number of billing cycles
+  applies_to TEXT[] DEFAULT '{}', -- catalog plan ids or product ids; empty applies to everything
+  starts_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  max_redemptions INTEGER CHECK (max_redemptions IS NULL OR max_redemptions > 0),
+  max_per_customer INTEGER DEFAULT 1 CHECK (max_per_customer IS NULL OR max_per_customer > 0),
+  times_redeemed INTEGER NOT NULL DEFAULT 0,
+  stripe_coupon_id VARCHAR(255),
+  active BOOLEAN DEFAULT true,
+  metadata JSONB DEFAULT '{}',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Codes are matched case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code ON coupons(UPPER(code));
+
+-- One row per use of a coupon; subscription redemptions count down cycles_remaining
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+  tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  email VARCHAR(255), -- public checkouts have no account yet
+  subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL,
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  stripe_session_id VARCHAR(255),
+  discount_amount DECIMAL(10, 2) DEFAULT 0, -- total discounted so far
+  cycles_remaining INTEGER, -- NULL means forever
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- active, completed, cancelled
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_customer ON coupon_redemptions(coupon_id, customer_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_user ON coupon_redemptions(coupon_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_subscription ON coupon_redemptions(subscription_id) WHERE status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupon_redemptions_session ON coupon_redemptions(stripe_session_id) WHERE stripe_session_id IS NOT NULL;
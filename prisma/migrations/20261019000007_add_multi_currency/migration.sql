@@ -0,0 +1,37 @@
+-- Multi-Currency Migration
+-- Per-currency product prices, customer currency locking and the exchange rate table used for reporting
+
+-- Product prices in currencies other than the product's own (products.price / products.currency)
+CREATE TABLE IF NOT EXISTS product_prices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  currency VARCHAR(3) NOT NULL,
+  price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+  stripe_price_id VARCHAR(255),
+  active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (product_id, currency)
+);
+
+-- A customer picks a currency until their first invoice, then it is fixed
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS currency_locked_at TIMESTAMP;
+
+-- Subscriptions renew in the currency they were sold in
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
+
+-- Value of one unit of currency in base_currency, from effective_date onwards
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  currency VARCHAR(3) NOT NULL,
+  base_currency VARCHAR(3) NOT NULL,
+  rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+  effective_date DATE NOT NULL,
+  source VARCHAR(100) DEFAULT 'manual',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (currency, base_currency, effective_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup ON exchange_rates(currency, base_currency, effective_date DESC);
+CREATE INDEX IF NOT EXISTS idx_invoices_currency ON invoices(currency);
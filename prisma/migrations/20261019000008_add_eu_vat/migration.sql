@@ -0,0 +1,29 @@
+-- EU VAT Migration
+-- Customer VAT numbers with their validation result, the tax treatment applied to each invoice and per-invoice tax breakdown lines
+
+-- vat_status: none, valid, invalid, unavailable (registry could not be reached)
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS vat_number VARCHAR(20);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS vat_status VARCHAR(20) DEFAULT 'none';
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS vat_validated_at TIMESTAMP;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS vat_validation JSONB DEFAULT '{}';
+
+-- tax_treatment: none, standard, domestic, eu_b2c, reverse_charge
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_treatment VARCHAR(30);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_country VARCHAR(2);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS customer_vat_number VARCHAR(20);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN DEFAULT false;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_note TEXT;
+
+CREATE TABLE IF NOT EXISTS invoice_tax_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  country VARCHAR(2),
+  rate DECIMAL(5, 4) NOT NULL DEFAULT 0,
+  taxable_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_tax_lines_invoice ON invoice_tax_lines(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_tax_treatment ON invoices(tax_treatment, tax_country);
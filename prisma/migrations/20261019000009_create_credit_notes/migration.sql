@@ -0,0 +1,67 @@
+-- Credit Notes Migration
+-- Full or line-level credit notes against invoices, with the refunds they trigger
+
+-- Gap-free numbering per tenant, document type and year (scope is the tenant id or 'default')
+CREATE TABLE IF NOT EXISTS document_sequences (
+  scope VARCHAR(64) NOT NULL,
+  document_type VARCHAR(50) NOT NULL,
+  year INT NOT NULL,
+  last_value INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (scope, document_type, year)
+);
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  credit_note_number VARCHAR(50) UNIQUE NOT NULL,
+  status VARCHAR(30) NOT NULL DEFAULT 'issued', -- issued, refund_failed
+  reason TEXT NOT NULL,
+  subtotal DECIMAL(10, 2) NOT NULL,
+  tax_rate DECIMAL(5, 4) DEFAULT 0,
+  tax_amount DECIMAL(10, 2) DEFAULT 0,
+  total DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(3) DEFAULT 'USD',
+  applied_to_invoice DECIMAL(10, 2) DEFAULT 0, -- part that reduced the invoice balance
+  refund_amount DECIMAL(10, 2) DEFAULT 0, -- part returned to the customer
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS credit_note_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  credit_note_id UUID NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+  invoice_item_id UUID REFERENCES invoice_items(id) ON DELETE SET NULL,
+  description TEXT NOT NULL,
+  quantity INT DEFAULT 1,
+  unit_price DECIMAL(10, 2) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  taxable BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- method: stripe (back to the card) or credit (account credit)
+CREATE TABLE IF NOT EXISTS credit_note_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  credit_note_id UUID NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+  payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+  method VARCHAR(20) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(3) DEFAULT 'USD',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, succeeded, failed
+  stripe_refund_id VARCHAR(255),
+  ledger_entry_id UUID REFERENCES customer_credit_ledger(id) ON DELETE SET NULL,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_credited DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_refunded DECIMAL(10, 2) DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice ON credit_notes(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_customer ON credit_notes(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_invoice_item ON credit_note_items(invoice_item_id) WHERE invoice_item_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_credit_note_refunds_credit_note ON credit_note_refunds(credit_note_id);
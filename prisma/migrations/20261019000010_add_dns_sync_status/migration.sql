@@ -0,0 +1,13 @@
+-- DNS Backend Sync Migration
+-- Tracks whether each zone has reached the authoritative nameservers
+
+-- sync_status: pending (changed, not pushed yet), synced, error
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS sync_status VARCHAR(20) DEFAULT 'pending';
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS sync_error TEXT;
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP;
+-- Last time the reconcile found the nameservers had been changed outside the panel
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS last_drift_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_dns_zones_sync_status ON dns_zones(sync_status) WHERE sync_status <> 'synced';
+
+COMMENT ON COLUMN dns_zones.sync_status IS 'pending, synced or error; set by the DNS backend sync';
@@ -0,0 +1,41 @@
+-- DNS Change History Migration
+-- One row per zone serial: the full record set after the change, the rrsets
+-- it changed and who made it
+
+CREATE TABLE IF NOT EXISTS dns_zone_versions (
+  id BIGSERIAL PRIMARY KEY,
+  zone_id INTEGER NOT NULL REFERENCES dns_zones(id) ON DELETE CASCADE,
+  serial BIGINT NOT NULL,
+  action VARCHAR(50) NOT NULL, -- record_created, record_updated, record_deleted, zone_imported, rollback, ...
+  summary TEXT,
+  source VARCHAR(20) NOT NULL DEFAULT 'ui', -- ui, api_key, system
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  api_key_id INTEGER,
+  ip_address VARCHAR(64),
+  records JSONB NOT NULL DEFAULT '[]', -- [{ type, name, content, ttl, priority }]
+  changes JSONB NOT NULL DEFAULT '[]', -- [{ name, type, before, after }] against the previous version
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (zone_id, serial)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_zone_versions_zone ON dns_zone_versions(zone_id, created_at DESC);
+
+-- Starting point for existing zones, so their first change has something to diff against
+INSERT INTO dns_zone_versions (zone_id, serial, action, source, summary, records)
+SELECT
+  z.id,
+  z.serial,
+  'baseline',
+  'system',
+  'Zone state when change history was enabled',
+  COALESCE(
+    (SELECT jsonb_agg(
+       jsonb_build_object('type', r.type, 'name', r.name, 'content', r.content, 'ttl', r.ttl, 'priority', r.priority)
+       ORDER BY r.type, r.name, r.content)
+     FROM dns_records r WHERE r.zone_id = z.id),
+    '[]'::jsonb
+  )
+FROM dns_zones z
+ON CONFLICT (zone_id, serial) DO NOTHING;
+
+COMMENT ON TABLE dns_zone_versions IS 'Versioned change history of DNS zones, used for diffs and rollback';
@@ -0,0 +1,49 @@
+-- DNS Templates Migration
+-- Reusable record sets with {{variables}}, attached to products and applied
+-- when zones are provisioned or re-applied to existing zones in bulk
+
+CREATE TABLE IF NOT EXISTS dns_templates (
+  id SERIAL PRIMARY KEY,
+  reseller_id INTEGER REFERENCES resellers(id) ON DELETE CASCADE, -- NULL for platform (admin) templates
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  records JSONB NOT NULL DEFAULT '[]', -- [{ type, name, content, ttl, priority }] with {{variables}}
+  variables JSONB NOT NULL DEFAULT '{}', -- Default values, e.g. { "mail_host": "mx.example.net" }
+  is_default BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_templates_reseller ON dns_templates(reseller_id);
+-- One default template for the platform and one per reseller
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dns_templates_default
+  ON dns_templates(COALESCE(reseller_id, 0)) WHERE is_default;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS dns_template_id INTEGER REFERENCES dns_templates(id) ON DELETE SET NULL;
+
+-- Template last applied to a zone, the variables used and the records it
+-- rendered, so a re-apply only touches records the template created
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES dns_templates(id) ON DELETE SET NULL;
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS template_variables JSONB;
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS template_records JSONB;
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS template_applied_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_dns_zones_template ON dns_zones(template_id);
+
+-- The record set new zones used to get from createDefaultRecords
+INSERT INTO dns_templates (name, description, records, is_default)
+SELECT
+  'Default',
+  'Nameservers, website and mail on the hosting server',
+  '[
+    { "type": "NS", "name": "@", "content": "{{ns1}}", "ttl": 3600 },
+    { "type": "NS", "name": "@", "content": "{{ns2}}", "ttl": 3600 },
+    { "type": "A", "name": "@", "content": "{{server_ip}}", "ttl": 3600 },
+    { "type": "CNAME", "name": "www", "content": "{{domain}}", "ttl": 3600 },
+    { "type": "MX", "name": "@", "content": "{{mail_host}}", "ttl": 3600, "priority": 10 }
+  ]'::jsonb,
+  true
+WHERE NOT EXISTS (SELECT 1 FROM dns_templates WHERE reseller_id IS NULL AND is_default);
+
+COMMENT ON TABLE dns_templates IS 'DNS record templates applied to new zones and re-applied to existing ones';
@@ -0,0 +1,35 @@
+-- Secondary DNS Migration
+-- Zone transfers in both directions: SLAVE zones pulled from the customer's
+-- primaries, and MASTER zones that external secondaries may transfer
+
+-- TSIG keys; the key name has to match the other side, so names are global
+CREATE TABLE IF NOT EXISTS dns_tsig_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL UNIQUE,
+  algorithm VARCHAR(20) NOT NULL DEFAULT 'hmac-sha256',
+  secret_encrypted TEXT NOT NULL, -- base64 secret, needed in clear by the nameservers
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_tsig_keys_user ON dns_tsig_keys(user_id);
+
+-- MASTER, SLAVE or NATIVE (created by provisioning already, missing on panel-created zones)
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'NATIVE';
+
+-- SLAVE zones: where to transfer from ("ip" or "ip:port") and the key to sign requests with
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS primaries JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS primary_tsig_key_id INTEGER REFERENCES dns_tsig_keys(id) ON DELETE SET NULL;
+
+-- MASTER zones: who may transfer (IPs or CIDRs), whom to NOTIFY and the key transfers must be signed with
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS allow_transfer JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS also_notify JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS transfer_tsig_key_id INTEGER REFERENCES dns_tsig_keys(id) ON DELETE SET NULL;
+
+-- Transfer status of SLAVE zones, read back from the nameservers
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS last_transfer_serial BIGINT;
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS last_transfer_at TIMESTAMP;
+ALTER TABLE dns_zones ADD COLUMN IF NOT EXISTS last_transfer_check_at TIMESTAMP;
+
+COMMENT ON TABLE dns_tsig_keys IS 'TSIG keys for signed zone transfers';
+COMMENT ON COLUMN dns_zones.last_transfer_at IS 'When a SLAVE zone last received a new serial from its primaries';
@@ -0,0 +1,20 @@
+-- ACME Accounts Migration
+-- One persisted ACME account per directory (Let's Encrypt staging/production,
+-- a local Pebble), plus multi-name certificates and DNS-01 challenges
+
+CREATE TABLE IF NOT EXISTS acme_accounts (
+  id SERIAL PRIMARY KEY,
+  directory_url VARCHAR(500) NOT NULL UNIQUE,
+  email VARCHAR(255),
+  account_key_encrypted TEXT NOT NULL,
+  account_url VARCHAR(500), -- set once the directory has registered the key
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Every name on the certificate (the first is the common name); may include wildcards
+ALTER TABLE ssl_certificates ADD COLUMN IF NOT EXISTS domains JSONB;
+
+-- http-01 or dns-01; wildcard certificates can only be validated with dns-01
+ALTER TABLE ssl_certificates ADD COLUMN IF NOT EXISTS challenge_type VARCHAR(10) DEFAULT 'http-01';
+
@@ -0,0 +1,34 @@
+-- TLS Endpoint Monitoring Migration
+-- Certificates served by any host:port, including ones we did not issue
+-- (customer custom domains, SMTP STARTTLS and IMAPS on the mail servers),
+-- checked on a schedule and alerted on through monitoring_alerts
+
+CREATE TABLE IF NOT EXISTS tls_endpoints (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  host VARCHAR(255) NOT NULL,
+  port INTEGER NOT NULL,
+  protocol VARCHAR(10) NOT NULL DEFAULT 'tls', -- tls (implicit, e.g. HTTPS/IMAPS), smtp, imap, pop3 (STARTTLS)
+  server_name VARCHAR(255), -- SNI and the name the certificate must cover; defaults to host
+  warn_days INTEGER NOT NULL DEFAULT 21,
+  critical_days INTEGER NOT NULL DEFAULT 7,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  last_status VARCHAR(20), -- ok, warning, critical, error
+  last_result JSONB, -- certificate details and issues from the last check
+  expires_at TIMESTAMP,
+  last_checked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, host, port, protocol)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tls_endpoints_user ON tls_endpoints(user_id);
+CREATE INDEX IF NOT EXISTS idx_tls_endpoints_enabled ON tls_endpoints(enabled) WHERE enabled = true;
+
+-- Identifies what an automatically raised alert is about (e.g. tls:expiring),
+-- so repeated checks update one open alert and resolve it once the problem is gone
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS alert_key VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_resource_key
+  ON monitoring_alerts(resource_type, resource_id, alert_key)
+  WHERE status <> 'resolved';
@@ -0,0 +1,29 @@
+-- Certificate Deployment Migration
+-- Issued and renewed certificates are pushed to the node serving the domain
+-- through the agent job channel, then checked by connecting to the node
+
+CREATE TABLE IF NOT EXISTS certificate_deployments (
+  id SERIAL PRIMARY KEY,
+  certificate_id VARCHAR(64) NOT NULL, -- ssl_certificates.id (SERIAL or UUID depending on the schema in use)
+  server_id INTEGER REFERENCES servers(id) ON DELETE SET NULL,
+  agent_job_id INTEGER REFERENCES agent_jobs(id) ON DELETE SET NULL,
+  domain VARCHAR(255) NOT NULL,
+  serial VARCHAR(128) NOT NULL, -- serial of the certificate being deployed
+  targets JSONB NOT NULL DEFAULT '[]', -- requested: nginx, apache, postfix, dovecot
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, deploying, verifying, deployed, failed
+  results JSONB, -- per target, as reported by the agent
+  verification JSONB, -- per target: host, port, served serial, status
+  error TEXT,
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificate_deployments_certificate ON certificate_deployments(certificate_id, created_at DESC);
+
+-- Where the certificate stands on its node, from the latest deployment
+ALTER TABLE ssl_certificates ADD COLUMN IF NOT EXISTS deploy_status VARCHAR(20);
+ALTER TABLE ssl_certificates ADD COLUMN IF NOT EXISTS deployed_serial VARCHAR(128);
+ALTER TABLE ssl_certificates ADD COLUMN IF NOT EXISTS deployed_at TIMESTAMP;
+
+COMMENT ON COLUMN agent_jobs.action IS 'create_vhost, reload_nginx, create_system_user, rotate_logs, deploy_certificate';
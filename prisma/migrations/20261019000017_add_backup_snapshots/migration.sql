@@ -0,0 +1,27 @@
+-- Deduplicated Backup Snapshots Migration
+-- Website and full-account backups are stored as content-defined chunks
+-- (uploaded once, shared between snapshots) plus a manifest per snapshot
+
+-- Every chunk in the backup bucket, keyed by the SHA-256 of its content
+CREATE TABLE IF NOT EXISTS backup_chunks (
+  hash CHAR(64) PRIMARY KEY,
+  size INTEGER NOT NULL, -- bytes before compression
+  stored_size INTEGER NOT NULL, -- bytes in the bucket
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Which snapshot uses which chunk; chunks with no row here are garbage
+CREATE TABLE IF NOT EXISTS backup_snapshot_chunks (
+  backup_id INTEGER NOT NULL REFERENCES backups(id) ON DELETE CASCADE,
+  chunk_hash CHAR(64) NOT NULL,
+  PRIMARY KEY (backup_id, chunk_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_backup_snapshot_chunks_hash ON backup_snapshot_chunks(chunk_hash);
+
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS format VARCHAR(20) DEFAULT 'archive'; -- archive (one file at path), snapshot (manifest at path)
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS uploaded_size BIGINT; -- bytes this backup actually added to the bucket
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS chunk_count INTEGER;
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS new_chunk_count INTEGER;
+
+COMMENT ON COLUMN backups.size IS 'Size in bytes of the backed up data (before deduplication for snapshots)';
@@ -0,0 +1,24 @@
+-- Customer-Held Backup Keys Migration
+-- Opt-in per customer: backups are sealed to the customer's public key and the
+-- private key is kept only wrapped under their passphrase
+
+CREATE TABLE IF NOT EXISTS backup_encryption_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  public_key TEXT NOT NULL, -- base64 X25519 SPKI
+  wrapped_private_key TEXT NOT NULL, -- AES-256-GCM under a scrypt key from the passphrase
+  kdf JSONB NOT NULL, -- { salt, N, r, p }
+  chunk_id_key_encrypted TEXT NOT NULL, -- HMAC key naming encrypted snapshot chunks, under ENCRYPTION_KEY
+  active BOOLEAN DEFAULT true, -- new backups are sealed to the active key
+  created_at TIMESTAMP DEFAULT NOW(),
+  rewrapped_at TIMESTAMP, -- last passphrase change
+  retired_at TIMESTAMP,
+  UNIQUE (user_id, version)
+);
+
+-- At most one key new backups go to
+CREATE UNIQUE INDEX IF NOT EXISTS idx_backup_encryption_keys_active ON backup_encryption_keys(user_id) WHERE active;
+
+-- Key a backup was sealed to; NULL for panel-managed backups
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS encryption_key_id INTEGER REFERENCES backup_encryption_keys(id);
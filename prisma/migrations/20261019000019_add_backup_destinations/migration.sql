@@ -0,0 +1,87 @@
+-- Backup Destinations Migration
+-- Backups go to configurable destinations (the panel's own bucket, other
+-- S3-compatible buckets, SFTP servers, local paths) instead of the one
+-- S3_* bucket, and a schedule can keep a copy on several of them
+
+CREATE TABLE IF NOT EXISTS backup_destinations (
+  id SERIAL PRIMARY KEY,
+  reseller_id INTEGER REFERENCES resellers(id) ON DELETE CASCADE, -- reseller storage for their clients
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- a customer's own storage; both NULL = platform
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  type VARCHAR(20) NOT NULL, -- panel (S3_* env bucket), s3, sftp, local
+  config JSONB NOT NULL DEFAULT '{}', -- endpoint, bucket, host, path... (no secrets)
+  credentials_encrypted TEXT, -- JSON secrets under ENCRYPTION_KEY
+  is_default BOOLEAN DEFAULT false, -- used by backups whose schedule names no destination
+  enabled BOOLEAN DEFAULT true,
+  last_tested_at TIMESTAMP,
+  last_test_status VARCHAR(20), -- ok, failed
+  last_test_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (reseller_id IS NULL OR user_id IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_backup_destinations_reseller ON backup_destinations(reseller_id);
+CREATE INDEX IF NOT EXISTS idx_backup_destinations_user ON backup_destinations(user_id);
+
+-- One default per owner
+CREATE UNIQUE INDEX IF NOT EXISTS idx_backup_destinations_default
+  ON backup_destinations(COALESCE(reseller_id, 0), COALESCE(user_id, 0)) WHERE is_default;
+
+-- The bucket backups went to until now
+INSERT INTO backup_destinations (name, type, is_default)
+SELECT 'Panel storage', 'panel', true
+WHERE NOT EXISTS (SELECT 1 FROM backup_destinations WHERE type = 'panel');
+
+-- Destinations a schedule's backups go to, primary first
+CREATE TABLE IF NOT EXISTS backup_schedule_destinations (
+  schedule_id INTEGER NOT NULL REFERENCES backup_schedules(id) ON DELETE CASCADE,
+  destination_id INTEGER NOT NULL REFERENCES backup_destinations(id),
+  position INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (schedule_id, destination_id)
+);
+
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS destination_id INTEGER REFERENCES backup_destinations(id); -- where path was written
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS schedule_id INTEGER REFERENCES backup_schedules(id) ON DELETE SET NULL;
+
+UPDATE backups SET destination_id = (SELECT id FROM backup_destinations WHERE type = 'panel' ORDER BY id LIMIT 1)
+WHERE destination_id IS NULL;
+
+-- Every place a backup is stored, the primary included
+CREATE TABLE IF NOT EXISTS backup_copies (
+  backup_id INTEGER NOT NULL REFERENCES backups(id) ON DELETE CASCADE,
+  destination_id INTEGER NOT NULL REFERENCES backup_destinations(id),
+  path VARCHAR(1024),
+  stored_size BIGINT, -- bytes this copy added to the destination
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, completed, failed
+  error TEXT,
+  completed_at TIMESTAMP,
+  PRIMARY KEY (backup_id, destination_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_backup_copies_destination ON backup_copies(destination_id);
+
+INSERT INTO backup_copies (backup_id, destination_id, path, stored_size, status, completed_at)
+SELECT id, destination_id, path, COALESCE(uploaded_size, size), 'completed', completed_at
+FROM backups
+WHERE status = 'completed'
+ON CONFLICT DO NOTHING;
+
+-- Chunks are deduplicated per destination: each holds its own
+ALTER TABLE backup_chunks ADD COLUMN IF NOT EXISTS destination_id INTEGER REFERENCES backup_destinations(id);
+UPDATE backup_chunks SET destination_id = (SELECT id FROM backup_destinations WHERE type = 'panel' ORDER BY id LIMIT 1)
+WHERE destination_id IS NULL;
+ALTER TABLE backup_chunks ALTER COLUMN destination_id SET NOT NULL;
+ALTER TABLE backup_chunks DROP CONSTRAINT IF EXISTS backup_chunks_pkey;
+ALTER TABLE backup_chunks ADD PRIMARY KEY (destination_id, hash);
+
+ALTER TABLE backup_snapshot_chunks ADD COLUMN IF NOT EXISTS destination_id INTEGER REFERENCES backup_destinations(id);
+UPDATE backup_snapshot_chunks SET destination_id = (SELECT id FROM backup_destinations WHERE type = 'panel' ORDER BY id LIMIT 1)
+WHERE destination_id IS NULL;
+ALTER TABLE backup_snapshot_chunks ALTER COLUMN destination_id SET NOT NULL;
+ALTER TABLE backup_snapshot_chunks DROP CONSTRAINT IF EXISTS backup_snapshot_chunks_pkey;
+ALTER TABLE backup_snapshot_chunks ADD PRIMARY KEY (backup_id, destination_id, chunk_hash);
+
+DROP INDEX IF EXISTS idx_backup_snapshot_chunks_hash;
+CREATE INDEX IF NOT EXISTS idx_backup_snapshot_chunks_chunk ON backup_snapshot_chunks(destination_id, chunk_hash);
@@ -0,0 +1,27 @@
+-- Backup Retention Rules Migration
+-- Schedules keep backups grandfather-father-son style (the newest backup of
+-- each of the last N hours, days, weeks, months and years) instead of
+-- deleting everything older than retention_days
+
+ALTER TABLE backup_schedules ADD COLUMN IF NOT EXISTS keep_hourly INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE backup_schedules ADD COLUMN IF NOT EXISTS keep_daily INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE backup_schedules ADD COLUMN IF NOT EXISTS keep_weekly INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE backup_schedules ADD COLUMN IF NOT EXISTS keep_monthly INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE backup_schedules ADD COLUMN IF NOT EXISTS keep_yearly INTEGER NOT NULL DEFAULT 0;
+
+-- Existing schedules keep about as much as their retention_days did
+UPDATE backup_schedules
+SET keep_daily = CASE WHEN frequency NOT IN ('weekly', 'monthly') THEN GREATEST(COALESCE(retention_days, 30), 1) ELSE 0 END,
+    keep_weekly = CASE WHEN frequency = 'weekly' THEN GREATEST(CEIL(COALESCE(retention_days, 30) / 7.0)::INTEGER, 1) ELSE 0 END,
+    keep_monthly = CASE WHEN frequency = 'monthly' THEN GREATEST(CEIL(COALESCE(retention_days, 30) / 30.0)::INTEGER, 1) ELSE 0 END;
+
+ALTER TABLE backup_schedules DROP COLUMN IF EXISTS retention_days;
+
+CREATE INDEX IF NOT EXISTS idx_backups_schedule ON backups(schedule_id, created_at DESC) WHERE schedule_id IS NOT NULL;
+
+COMMENT ON COLUMN backup_schedules.frequency IS 'Backup frequency: hourly, daily, weekly, or monthly';
+COMMENT ON COLUMN backup_schedules.keep_hourly IS 'Newest backup of each of this many most recent hours is kept';
+COMMENT ON COLUMN backup_schedules.keep_daily IS 'Newest backup of each of this many most recent days is kept';
+COMMENT ON COLUMN backup_schedules.keep_weekly IS 'Newest backup of each of this many most recent ISO weeks is kept';
+COMMENT ON COLUMN backup_schedules.keep_monthly IS 'Newest backup of each of this many most recent months is kept';
+COMMENT ON COLUMN backup_schedules.keep_yearly IS 'Newest backup of each of this many most recent years is kept';
@@ -0,0 +1,5 @@
+-- Agent Snapshot Cleanup Index
+-- The daily cleanup deletes collector snapshots by age across all agents
+
+CREATE INDEX IF NOT EXISTS idx_agent_snapshots_collected_at
+  ON agent_collector_snapshots(collected_at);
@@ -0,0 +1,17 @@
+-- Agent Request Replay Guard Migration
+-- Signed agent requests are accepted once, and a rotated-in credential waits
+-- as 'pending' until the agent first uses it
+
+-- Signatures seen within the clock skew window, per credential
+CREATE TABLE IF NOT EXISTS agent_request_signatures (
+  key_id VARCHAR(64) NOT NULL REFERENCES agent_credentials(key_id) ON DELETE CASCADE,
+  signature VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL, -- request timestamp plus the allowed skew
+  PRIMARY KEY (key_id, signature)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_request_signatures_expires ON agent_request_signatures(key_id, expires_at);
+
+COMMENT ON TABLE agent_request_signatures IS 'Recently accepted agent request signatures, to refuse replays';
+COMMENT ON COLUMN agent_credentials.status IS 'pending (rotated in, not yet used), active, retiring, revoked';
+COMMENT ON COLUMN agent_credentials.expires_at IS 'Retiring credentials keep working until this time; set once the agent uses its new credential';
@@ -0,0 +1,7 @@
+-- Coupon Stripe Product Scoping Migration
+-- Public checkouts discount only the plan, not the setup fee, through Stripe
+-- coupons limited to the plan's Stripe product
+
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS stripe_product_coupons JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN coupons.stripe_product_coupons IS 'Stripe coupon id per Stripe product id, for coupons applied to one line item';
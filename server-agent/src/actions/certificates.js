@@ -0,0 +1,173 @@
+/**
+ * Certificate Actions
+ * Installs a certificate for a domain and points every TLS service on the
+ * node at it: the nginx vhost, apache (whose SSL vhost references the same
+ * files), and the postfix and dovecot SNI maps. Each service's config is
+ * checked before it is reloaded, and put back if the check fails.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DOMAIN_PATTERN, run } from './run.js';
+import { enableVhostSsl } from './vhost.js';
+
+export const CERTIFICATE_TARGETS = ['nginx', 'apache', 'postfix', 'dovecot'];
+
+// The binary that shows a service is installed on this node
+const TARGET_BINARIES = {
+  nginx: 'nginx',
+  apache: 'apachectl',
+  postfix: 'postfix',
+  dovecot: 'dovecot',
+};
+
+const isCertificateName = (name) => DOMAIN_PATTERN.test(String(name).replace(/^\*\./, ''));
+
+async function isInstalled(target) {
+  try {
+    await run('which', [TARGET_BINARIES[target]]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeAtomic(file, content, mode) {
+  const temp = `${file}.tmp-${process.pid}`;
+  await fs.writeFile(temp, content, { encoding: 'utf8', mode });
+  await fs.rename(temp, file);
+}
+
+async function restore(file, content) {
+  if (content === null) {
+    await fs.rm(file, { force: true });
+  } else {
+    await writeAtomic(file, content, 0o644);
+  }
+}
+
+async function reloadApache() {
+  await run('apachectl', ['configtest']);
+  await run('systemctl', ['reload', 'apache2']);
+  return { reloaded: true };
+}
+
+/**
+ * Point postfix's SNI map at the certificate for each name (".example.com"
+ * for a wildcard), replacing earlier entries for those names
+ */
+async function updatePostfix(names, files, options) {
+  const mapPath = options.postfixSniMap || '/etc/postfix/tls_sni_map';
+  const keys = names.map((name) => name.replace(/^\*\./, '.'));
+
+  const current = (await readIfExists(mapPath)) || '';
+  const kept = current.split('\n').filter((line) => line.trim() && !keys.includes(line.trim().split(/\s+/)[0]));
+  const lines = [...kept, ...keys.map((key) => `${key} ${files.key} ${files.fullchain}`)];
+
+  await writeAtomic(mapPath, `${lines.join('\n')}\n`, 0o644);
+  try {
+    await run('postmap', ['-F', `hash:${mapPath}`]);
+    await run('postfix', ['check']);
+  } catch (error) {
+    await restore(mapPath, current || null);
+    await run('postmap', ['-F', `hash:${mapPath}`]).catch(() => {});
+    throw error;
+  }
+  await run('postfix', ['reload']);
+
+  return { map: mapPath, names: keys, reloaded: true };
+}
+
+/**
+ * Give dovecot a local_name block for the domain's names
+ */
+async function updateDovecot(domain, names, files, options) {
+  const directory = options.dovecotSniDirectory || '/etc/dovecot/mpanel-sni';
+  const configPath = path.join(directory, `${domain}.conf`);
+  const previous = await readIfExists(configPath);
+
+  await fs.mkdir(directory, { recursive: true });
+  await writeAtomic(configPath, `# Managed by mPanel agent - changes will be overwritten
+local_name ${names.join(' ')} {
+  ssl_cert = <${files.fullchain}
+  ssl_key = <${files.key}
+}
+`, 0o644);
+
+  try {
+    await run('doveconf', ['-n']);
+  } catch (error) {
+    await restore(configPath, previous);
+    throw error;
+  }
+  await run('doveadm', ['reload']);
+
+  return { configPath, reloaded: true };
+}
+
+export async function deployCertificate(payload, options = {}) {
+  const { domain, names = [domain], certificate, privateKey, targets = CERTIFICATE_TARGETS } = payload;
+  const directory = options.directory || '/etc/ssl/mpanel';
+
+  if (!DOMAIN_PATTERN.test(domain || '')) {
+    throw new Error(`Invalid domain: ${domain}`);
+  }
+  if (!Array.isArray(names) || names.length === 0 || !names.every(isCertificateName)) {
+    throw new Error(`Invalid certificate names: ${names}`);
+  }
+  if (!/^-----BEGIN CERTIFICATE-----/.test(certificate || '') || !/^-----BEGIN [A-Z ]*PRIVATE KEY-----/.test(privateKey || '')) {
+    throw new Error('Certificate and private key must be PEM');
+  }
+  const unknown = targets.filter((target) => !CERTIFICATE_TARGETS.includes(target));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown targets: ${unknown.join(', ')}`);
+  }
+
+  // One stable location per domain, so service configs never need to change on renewal
+  const certDir = path.join(directory, domain);
+  const files = { fullchain: path.join(certDir, 'fullchain.pem'), key: path.join(certDir, 'privkey.pem') };
+
+  await fs.mkdir(certDir, { recursive: true, mode: 0o755 });
+  await writeAtomic(files.key, privateKey, 0o600);
+  await writeAtomic(files.fullchain, certificate, 0o644);
+
+  // A service that rejects its config is put back as it was and reported;
+  // the others still move to the new certificate
+  const results = {};
+  for (const target of targets) {
+    if (!(await isInstalled(target))) {
+      results[target] = { status: 'skipped', reason: 'not installed' };
+      continue;
+    }
+
+    try {
+      if (target === 'nginx') {
+        const vhost = await enableVhostSsl(domain, { certificate: files.fullchain, key: files.key }, options.nginx);
+        results.nginx = { status: vhost.reason ? 'skipped' : 'deployed', ...vhost };
+      } else if (target === 'apache') {
+        results.apache = { status: 'deployed', ...(await reloadApache()) };
+      } else if (target === 'postfix') {
+        results.postfix = { status: 'deployed', ...(await updatePostfix(names, files, options)) };
+      } else if (target === 'dovecot') {
+        results.dovecot = { status: 'deployed', ...(await updateDovecot(domain, names, files, options)) };
+      }
+    } catch (error) {
+      results[target] = { status: 'failed', error: error.stderr?.trim() || error.message };
+    }
+  }
+
+  return {
+    domain,
+    files,
+    targets: results,
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Log Rotation Actions
+ * Forces a logrotate run for the whole node or a single logrotate.d entry
+ */
+
+import path from 'path';
+import { run } from './run.js';
+
+const CONFIG_NAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+
+export async function rotateLogs(payload = {}) {
+  const { config = null } = payload;
+
+  let configPath = '/etc/logrotate.conf';
+  if (config) {
+    if (!CONFIG_NAME_PATTERN.test(config)) {
+      throw new Error(`Invalid logrotate config name: ${config}`);
+    }
+    configPath = path.join('/etc/logrotate.d', config);
+  }
+
+  const { stdout, stderr } = await run('logrotate', ['--force', configPath], { timeout: 300000 });
+
+  return {
+    config: configPath,
+    output: [stdout, stderr].filter(Boolean).join('\n'),
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Nginx Actions
+ * Validates and reloads the nginx configuration
+ */
+
+import { run } from './run.js';
+
+export async function testNginxConfig() {
+  // nginx -t reports on stderr even when the config is valid
+  const { stderr } = await run('nginx', ['-t']);
+  return stderr;
+}
+
+export async function reloadNginx() {
+  const configTest = await testNginxConfig();
+  await run('systemctl', ['reload', 'nginx']);
+
+  return {
+    reloaded: true,
+    configTest,
+  };
+}
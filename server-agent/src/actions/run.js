@@ -0,0 +1,33 @@
+/**
+ * Command Runner
+ * Runs system binaries without a shell so payload values are never interpreted
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+export async function run(command, args = [], options = {}) {
+  const { stdout, stderr } = await execFileAsync(command, args, {
+    timeout: 60000,
+    maxBuffer: 1024 * 1024,
+    ...options,
+  });
+
+  return {
+    stdout: stdout.trim(),
+    stderr: stderr.trim(),
+  };
+}
+
+export const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+export const USERNAME_PATTERN = /^[a-z_][a-z0-9_-]{0,31}$/;
+
+// Paths that end up in config files; nothing nginx (or a shell) would read as syntax
+export const SAFE_PATH_PATTERN = /^\/[A-Za-z0-9._/-]+$/;
+
+export function isSafePath(value) {
+  return typeof value === 'string' && SAFE_PATH_PATTERN.test(value) && path.posix.normalize(value) === value;
+}
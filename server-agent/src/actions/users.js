@@ -0,0 +1,56 @@
+/**
+ * System User Actions
+ * Creates the unprivileged Linux user that owns a hosting account
+ */
+
+import fs from 'fs/promises';
+import { USERNAME_PATTERN, isSafePath, run } from './run.js';
+
+// Login-less shells are always allowed, whether or not /etc/shells lists them
+const NO_LOGIN_SHELLS = ['/usr/sbin/nologin', '/sbin/nologin', '/bin/false', '/usr/bin/false'];
+
+async function allowedShells(shellsFile) {
+  let listed = [];
+  try {
+    listed = (await fs.readFile(shellsFile, 'utf8'))
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return new Set([...NO_LOGIN_SHELLS, ...listed]);
+}
+
+async function userExists(username) {
+  try {
+    await run('id', ['-u', username]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function createSystemUser(payload, options = {}) {
+  const { username, homeDir = `/home/${payload.username}`, shell = '/usr/sbin/nologin' } = payload;
+
+  if (!USERNAME_PATTERN.test(username || '')) {
+    throw new Error(`Invalid username: ${username}`);
+  }
+  if (!isSafePath(homeDir)) {
+    throw new Error(`Home directory must be a normalized absolute path: ${homeDir}`);
+  }
+  if (!(await allowedShells(options.shellsFile || '/etc/shells')).has(shell)) {
+    throw new Error(`Shell is not listed in /etc/shells: ${shell}`);
+  }
+
+  // Jobs may be redelivered, so an existing user is not an error
+  if (await userExists(username)) {
+    return { username, homeDir, created: false };
+  }
+
+  await run('useradd', ['--create-home', '--home-dir', homeDir, '--shell', shell, '--user-group', username]);
+  await run('chmod', ['750', homeDir]);
+
+  return { username, homeDir, created: true };
+}
@@ -0,0 +1,133 @@
+/**
+ * Virtual Host Actions
+ * Writes an nginx server block for a hosted domain and enables it, and adds
+ * HTTPS to it once a certificate has been deployed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DOMAIN_PATTERN, USERNAME_PATTERN, isSafePath, run } from './run.js';
+import { reloadNginx } from './nginx.js';
+
+function renderServerBlock({ domain, documentRoot, phpSocket, ssl = null }) {
+  const phpLocation = phpSocket
+    ? `
+    location ~ \\.php$ {
+        include snippets/fastcgi-php.conf;
+        fastcgi_pass unix:${phpSocket};
+    }
+`
+    : '';
+
+  const sslDirectives = ssl
+    ? `    listen 443 ssl;
+    listen [::]:443 ssl;
+    ssl_certificate ${ssl.certificate};
+    ssl_certificate_key ${ssl.key};
+`
+    : '';
+
+  return `# Managed by mPanel agent - changes will be overwritten
+server {
+    listen 80;
+    listen [::]:80;
+${sslDirectives}    server_name ${domain} www.${domain};
+
+    root ${documentRoot};
+    index index.php index.html index.htm;
+
+    access_log /var/log/nginx/${domain}.access.log;
+    error_log /var/log/nginx/${domain}.error.log;
+
+    location / {
+        try_files $uri $uri/ /index.php?$args;
+    }
+${phpLocation}}
+`;
+}
+
+export async function createVhost(payload, options = {}) {
+  const { domain, username, documentRoot, phpSocket = null } = payload;
+  const sitesAvailable = options.sitesAvailable || '/etc/nginx/sites-available';
+  const sitesEnabled = options.sitesEnabled || '/etc/nginx/sites-enabled';
+
+  if (!DOMAIN_PATTERN.test(domain || '')) {
+    throw new Error(`Invalid domain: ${domain}`);
+  }
+  if (!USERNAME_PATTERN.test(username || '')) {
+    throw new Error(`Invalid username: ${username}`);
+  }
+  // Both are written into the nginx config as they are
+  if (!isSafePath(documentRoot)) {
+    throw new Error(`Document root must be a normalized absolute path of letters, digits, '.', '_', '-' and '/': ${documentRoot}`);
+  }
+  if (phpSocket && !isSafePath(phpSocket)) {
+    throw new Error(`PHP socket must be a normalized absolute path of letters, digits, '.', '_', '-' and '/': ${phpSocket}`);
+  }
+
+  await fs.mkdir(documentRoot, { recursive: true });
+  await run('chown', ['-R', `${username}:${username}`, documentRoot]);
+
+  const configPath = path.join(sitesAvailable, `${domain}.conf`);
+  const enabledPath = path.join(sitesEnabled, `${domain}.conf`);
+
+  await fs.writeFile(configPath, renderServerBlock({ domain, documentRoot, phpSocket }), 'utf8');
+
+  try {
+    await fs.symlink(configPath, enabledPath);
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  try {
+    await reloadNginx();
+  } catch (error) {
+    // Never leave a broken config enabled - nginx would refuse every later reload
+    await fs.rm(enabledPath, { force: true });
+    throw new Error(`Nginx rejected vhost for ${domain}: ${error.stderr || error.message}`);
+  }
+
+  return {
+    domain,
+    configPath,
+    documentRoot,
+  };
+}
+
+/**
+ * Serve an existing vhost over HTTPS with the given certificate files. The
+ * block is re-rendered from its current root and PHP socket; if nginx rejects
+ * it the previous config is put back.
+ */
+export async function enableVhostSsl(domain, ssl, options = {}) {
+  const sitesAvailable = options.sitesAvailable || '/etc/nginx/sites-available';
+  const configPath = path.join(sitesAvailable, `${domain}.conf`);
+
+  let current;
+  try {
+    current = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { configPath, updated: false, reason: 'no vhost for this domain' };
+    throw error;
+  }
+
+  const documentRoot = current.match(/^\s*root\s+([^;]+);/m)?.[1];
+  const phpSocket = current.match(/fastcgi_pass\s+unix:([^;]+);/)?.[1] || null;
+  if (!isSafePath(documentRoot) || (phpSocket && !isSafePath(phpSocket))) {
+    throw new Error(`Cannot read the document root and PHP socket from ${configPath}`);
+  }
+
+  const rendered = renderServerBlock({ domain, documentRoot, phpSocket, ssl });
+  if (rendered !== current) {
+    await fs.writeFile(configPath, rendered, 'utf8');
+  }
+
+  try {
+    await reloadNginx();
+  } catch (error) {
+    await fs.writeFile(configPath, current, 'utf8');
+    throw new Error(`Nginx rejected HTTPS for ${domain}: ${error.stderr || error.message}`);
+  }
+
+  return { configPath, updated: rendered !== current };
+}
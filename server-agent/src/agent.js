@@ -8,10 +8,15 @@ import os from 'os';
 import si from 'systeminformation';
 import { Config } from './config.js';
 import { MetricsReporter } from './reporter.js';
+import { JobExecutor } from './executor.js';
 import { collectCPUMetrics } from './collectors/cpu.js';
 import { collectMemoryMetrics } from './collectors/memory.js';
 import { collectDiskMetrics } from './collectors/disk.js';
 import { collectNetworkMetrics } from './collectors/network.js';
+import { collectProcessMetrics } from './collectors/processes.js';
+import { collectServiceMetrics } from './collectors/services.js';
+import { collectPortMetrics } from './collectors/ports.js';
+import { collectLogMetrics } from './collectors/logs.js';
 
 const AGENT_VERSION = '1.0.0';
 
@@ -19,8 +24,17 @@ class ServerAgent {
   constructor() {
     this.config = new Config();
     this.reporter = new MetricsReporter(this.config.config);
+    this.executor = new JobExecutor(this.config.config, () => this.reporter.getSigningSecrets());
     this.intervalId = null;
     this.isRunning = false;
+
+    // Persist credentials issued at enrollment or rotation
+    this.reporter.onCredentialChange = ({ agentId, credential }) => {
+      this.config.set('agent.agentId', agentId);
+      this.config.set('controlPanel.credential', credential);
+      this.config.set('controlPanel.enrollmentToken', null);
+      this.config.save();
+    };
   }
 
   async getSystemInfo() {
@@ -61,6 +75,22 @@ class ServerAgent {
       metrics.network = await collectNetworkMetrics();
     }
 
+    if (enabledCollectors.includes('processes')) {
+      metrics.processes = await collectProcessMetrics(this.config.get('agent.collectors.processes'));
+    }
+
+    if (enabledCollectors.includes('services')) {
+      metrics.services = await collectServiceMetrics(this.config.get('agent.collectors.services'));
+    }
+
+    if (enabledCollectors.includes('ports')) {
+      metrics.ports = await collectPortMetrics();
+    }
+
+    if (enabledCollectors.includes('logs')) {
+      metrics.logs = await collectLogMetrics(this.config.get('agent.collectors.logs'));
+    }
+
     return metrics;
   }
 
@@ -109,6 +139,12 @@ class ServerAgent {
       await this.collectAndReport();
     }, reportInterval);
 
+    // Start listening for jobs from the control panel
+    if (this.config.get('agent.commands.enabled')) {
+      console.log('[Agent] Command channel enabled');
+      this.commandLoop = this.runCommandLoop();
+    }
+
     console.log('[Agent] ✓ Agent started successfully');
     console.log('[Agent] Press Ctrl+C to stop');
     console.log('');
@@ -138,6 +174,21 @@ class ServerAgent {
         const txMB = (metrics.network.totals.txBytes / 1024 / 1024).toFixed(2);
         console.log(`  Network: RX ${rxMB} MB | TX ${txMB} MB`);
       }
+      if (metrics.processes?.topCpu?.length) {
+        const top = metrics.processes.topCpu[0];
+        console.log(`  Processes: ${metrics.processes.total} | Top CPU: ${top.name} (${top.cpu}%)`);
+      }
+      if (metrics.services) {
+        const failed = metrics.services.failed.length ? metrics.services.failed.join(', ') : 'none';
+        console.log(`  Services: ${metrics.services.services.length} tracked | Failed: ${failed}`);
+      }
+      if (metrics.ports) {
+        console.log(`  Ports: ${metrics.ports.count} listening`);
+      }
+      if (metrics.logs) {
+        const newLines = metrics.logs.files.reduce((sum, f) => sum + f.lines.length, 0);
+        console.log(`  Logs: ${newLines} new lines from ${metrics.logs.files.length} files`);
+      }
 
       // Submit to control panel
       const success = await this.reporter.submitMetrics(metrics);
@@ -156,6 +207,33 @@ class ServerAgent {
     }
   }
 
+  async runCommandLoop() {
+    const longPollSeconds = this.config.get('agent.commands.longPollSeconds') || 25;
+
+    while (this.isRunning) {
+      if (!this.reporter.agentId) {
+        // Not registered yet - the metrics cycle handles re-registration
+        await new Promise((resolve) => setTimeout(resolve, 10000));
+        continue;
+      }
+
+      try {
+        this.executor.agentId = this.reporter.agentId;
+        const jobs = await this.reporter.fetchJobs(longPollSeconds);
+
+        // Run sequentially: jobs for a node are ordered (user before vhost)
+        for (const job of jobs) {
+          console.log(`[Agent] Executing job ${job.id} (${job.action})`);
+          const outcome = await this.executor.execute(job);
+          await this.reporter.submitJobResult(job.id, outcome);
+        }
+      } catch (error) {
+        console.error('[Agent] Error fetching jobs:', error.message);
+        await new Promise((resolve) => setTimeout(resolve, 10000));
+      }
+    }
+  }
+
   stop() {
     if (this.intervalId) {
       clearInterval(this.intervalId);
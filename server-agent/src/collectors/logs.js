@@ -0,0 +1,82 @@
+/**
+ * Log Tail Collector
+ * Ships lines appended to selected log files since the previous sample
+ */
+
+import fs from 'fs/promises';
+
+const MAX_READ_BYTES = 64 * 1024;
+
+// Byte offset reached in each file, keyed by path
+const offsets = new Map();
+
+async function tailFile(file, maxLines) {
+  const stat = await fs.stat(file.path);
+  let offset = offsets.get(file.path) ?? 0;
+
+  // A file smaller than our offset was rotated - start over from the top
+  if (stat.size < offset) {
+    offset = 0;
+  }
+
+  // Never read more than MAX_READ_BYTES; on the first sample that means the tail
+  const start = Math.max(offset, stat.size - MAX_READ_BYTES);
+  const length = stat.size - start;
+  offsets.set(file.path, stat.size);
+
+  if (length <= 0) {
+    return [];
+  }
+
+  const handle = await fs.open(file.path, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, start);
+
+    let lines = buffer.toString('utf8').split('\n').filter(Boolean);
+    if (start > offset) {
+      // We skipped ahead, so the first line is partial
+      lines = lines.slice(1);
+    }
+    if (file.pattern) {
+      const regex = new RegExp(file.pattern, 'i');
+      lines = lines.filter((line) => regex.test(line));
+    }
+
+    return lines.slice(-maxLines).map((line) => line.slice(0, 2048));
+  } finally {
+    await handle.close();
+  }
+}
+
+export async function collectLogMetrics(options = {}) {
+  const files = options.files || [];
+  const maxLines = options.maxLines || 50;
+
+  try {
+    const results = [];
+
+    for (const file of files) {
+      try {
+        const lines = await tailFile(file, maxLines);
+        results.push({
+          name: file.name || file.path,
+          path: file.path,
+          lines,
+        });
+      } catch (error) {
+        results.push({
+          name: file.name || file.path,
+          path: file.path,
+          lines: [],
+          error: error.code || error.message,
+        });
+      }
+    }
+
+    return { files: results };
+  } catch (error) {
+    console.error('[Log Collector] Error:', error);
+    return null;
+  }
+}
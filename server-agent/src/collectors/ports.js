@@ -0,0 +1,38 @@
+/**
+ * Port Metrics Collector
+ * Collects listening TCP/UDP sockets and the processes that own them
+ */
+
+import si from 'systeminformation';
+
+export async function collectPortMetrics() {
+  try {
+    const connections = await si.networkConnections();
+    const seen = new Set();
+
+    const listening = connections
+      .filter((conn) => conn.state === 'LISTEN' || (conn.protocol?.startsWith('udp') && !conn.peerAddress))
+      .map((conn) => ({
+        protocol: conn.protocol,
+        address: conn.localAddress,
+        port: parseInt(conn.localPort) || 0,
+        pid: conn.pid || null,
+        process: conn.process || null,
+      }))
+      .filter((conn) => {
+        const key = `${conn.protocol}:${conn.address}:${conn.port}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.port - b.port);
+
+    return {
+      listening,
+      count: listening.length,
+    };
+  } catch (error) {
+    console.error('[Port Collector] Error:', error);
+    return null;
+  }
+}
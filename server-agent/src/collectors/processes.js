@@ -0,0 +1,51 @@
+/**
+ * Process Metrics Collector
+ * Collects the top CPU and memory consuming processes
+ */
+
+import si from 'systeminformation';
+
+function summarize(proc) {
+  return {
+    pid: proc.pid,
+    name: proc.name,
+    user: proc.user,
+    command: [proc.command, proc.params].filter(Boolean).join(' ').slice(0, 256),
+    cpu: parseFloat((proc.cpu || 0).toFixed(2)), // %
+    memPercent: parseFloat((proc.mem || 0).toFixed(2)),
+    memRss: Math.floor((proc.memRss || 0) / 1024), // MB
+    state: proc.state,
+    started: proc.started,
+  };
+}
+
+export async function collectProcessMetrics(options = {}) {
+  const limit = options.limit || 10;
+
+  try {
+    const processes = await si.processes();
+    const list = processes.list || [];
+
+    const topCpu = [...list]
+      .sort((a, b) => (b.cpu || 0) - (a.cpu || 0))
+      .slice(0, limit)
+      .map(summarize);
+
+    const topMemory = [...list]
+      .sort((a, b) => (b.memRss || 0) - (a.memRss || 0))
+      .slice(0, limit)
+      .map(summarize);
+
+    return {
+      total: processes.all,
+      running: processes.running,
+      blocked: processes.blocked,
+      sleeping: processes.sleeping,
+      topCpu,
+      topMemory,
+    };
+  } catch (error) {
+    console.error('[Process Collector] Error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Service Metrics Collector
+ * Collects systemd unit states for the hosting stack
+ */
+
+import { run } from '../actions/run.js';
+
+export const DEFAULT_UNITS = [
+  'nginx.service',
+  'php*-fpm.service',
+  'postfix.service',
+  'dovecot.service',
+  'mysql.service',
+  'mariadb.service',
+  'postgresql*.service',
+];
+
+const UNIT_PATTERN = /^[a-zA-Z0-9@._*:-]+$/;
+
+export async function collectServiceMetrics(options = {}) {
+  const units = (options.units || DEFAULT_UNITS).filter((unit) => UNIT_PATTERN.test(unit));
+
+  try {
+    const { stdout } = await run('systemctl', [
+      'list-units',
+      '--type=service',
+      '--all',
+      '--no-legend',
+      '--plain',
+      '--no-pager',
+      ...units,
+    ]);
+
+    const services = stdout
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        const [unit, load, active, sub, ...description] = line.trim().split(/\s+/);
+        return {
+          unit,
+          load,
+          active,
+          sub,
+          description: description.join(' '),
+        };
+      });
+
+    // Explicitly named units that systemd doesn't know about are reported as missing
+    for (const unit of units) {
+      if (!unit.includes('*') && !services.some((service) => service.unit === unit)) {
+        services.push({ unit, load: 'not-found', active: 'inactive', sub: 'dead', description: '' });
+      }
+    }
+
+    return {
+      services,
+      failed: services.filter((service) => service.active === 'failed').map((service) => service.unit),
+    };
+  } catch (error) {
+    console.error('[Service Collector] Error:', error.message);
+    return null;
+  }
+}
@@ -39,17 +39,69 @@ export class Config {
       controlPanel: {
         url: process.env.MPANEL_URL || 'http://localhost:3000',
         apiKey: process.env.MPANEL_API_KEY || '',
+        jobSigningSecret: process.env.MPANEL_JOB_SIGNING_SECRET || '', // legacy agents only
+        enrollmentToken: process.env.MPANEL_ENROLLMENT_TOKEN || null, // single use
+        credential: null, // { keyId, secret, issuedAt } - set after enrollment
       },
       agent: {
         reportInterval: parseInt(process.env.REPORT_INTERVAL) || 60, // seconds
         hostname: null, // auto-detect
         agentId: null, // set after registration
+        credentialRotationDays: 30,
         enabledCollectors: [
           'cpu',
           'memory',
           'disk',
           'network',
+          'processes',
+          'services',
+          'ports',
         ],
+        collectors: {
+          processes: {
+            limit: 10,
+          },
+          services: {
+            units: [
+              'nginx.service',
+              'php*-fpm.service',
+              'postfix.service',
+              'dovecot.service',
+              'mysql.service',
+              'mariadb.service',
+              'postgresql*.service',
+            ],
+          },
+          logs: {
+            maxLines: 50,
+            files: [], // e.g. { "path": "/var/log/nginx/error.log", "pattern": "error|crit" }
+          },
+        },
+        spool: {
+          directory: process.env.SPOOL_DIR || path.join(__dirname, '..', 'spool'),
+          maxSamples: 10080, // 7 days at a 60s interval
+          batchSize: 100,
+        },
+        commands: {
+          enabled: process.env.COMMANDS_ENABLED !== 'false',
+          longPollSeconds: 25,
+          allowedActions: [
+            'create_vhost',
+            'reload_nginx',
+            'create_system_user',
+            'rotate_logs',
+            'deploy_certificate',
+          ],
+        },
+        nginx: {
+          sitesAvailable: '/etc/nginx/sites-available',
+          sitesEnabled: '/etc/nginx/sites-enabled',
+        },
+        certificates: {
+          directory: '/etc/ssl/mpanel',
+          postfixSniMap: '/etc/postfix/tls_sni_map',
+          dovecotSniDirectory: '/etc/dovecot/mpanel-sni',
+        },
       },
       logging: {
         level: process.env.LOG_LEVEL || 'info',
@@ -77,8 +129,10 @@ export class Config {
       fs.writeFileSync(
         this.configPath,
         JSON.stringify(this.config, null, 2),
-        'utf8'
+        { encoding: 'utf8', mode: 0o600 }
       );
+      // The file holds the agent's credential secret
+      fs.chmodSync(this.configPath, 0o600);
       console.log('[Config] Configuration saved');
     } catch (error) {
       console.error('[Config] Error saving config:', error.message);
@@ -0,0 +1,70 @@
+/**
+ * Job Executor
+ * Verifies signed jobs from the control panel and runs the matching action
+ */
+
+import { verifyJobSignature } from './signing.js';
+import { createVhost } from './actions/vhost.js';
+import { reloadNginx } from './actions/nginx.js';
+import { createSystemUser } from './actions/users.js';
+import { rotateLogs } from './actions/logs.js';
+import { deployCertificate } from './actions/certificates.js';
+
+export class JobExecutor {
+  constructor(config, getSigningSecrets) {
+    this.getSigningSecrets = getSigningSecrets;
+    this.agentId = config.agent.agentId || null;
+    this.allowedActions = config.agent.commands?.allowedActions || [];
+    this.nginx = config.agent.nginx || {};
+    this.certificates = config.agent.certificates || {};
+    this.completedJobs = new Set();
+
+    this.handlers = {
+      create_vhost: (payload) => createVhost(payload, this.nginx),
+      reload_nginx: () => reloadNginx(),
+      create_system_user: (payload) => createSystemUser(payload),
+      rotate_logs: (payload) => rotateLogs(payload),
+      deploy_certificate: (payload) => deployCertificate(payload, { ...this.certificates, nginx: this.nginx }),
+    };
+  }
+
+  /**
+   * Reject jobs that are unsigned, tampered with, stale or not meant for this node
+   */
+  verify(job) {
+    if (!verifyJobSignature(job, this.getSigningSecrets())) {
+      throw new Error('Invalid job signature');
+    }
+    if (this.agentId && String(job.agentId) !== String(this.agentId)) {
+      throw new Error(`Job addressed to agent ${job.agentId}`);
+    }
+    if (new Date(job.expiresAt).getTime() <= Date.now()) {
+      throw new Error('Job has expired');
+    }
+    if (!this.allowedActions.includes(job.action) || !this.handlers[job.action]) {
+      throw new Error(`Action not allowed on this node: ${job.action}`);
+    }
+    if (this.completedJobs.has(job.id)) {
+      throw new Error('Job already executed');
+    }
+  }
+
+  /**
+   * Execute a job and return the outcome to report back to the panel
+   */
+  async execute(job) {
+    const startedAt = Date.now();
+
+    try {
+      this.verify(job);
+      const result = await this.handlers[job.action](job.payload || {});
+      this.completedJobs.add(job.id);
+
+      console.log(`[Executor] ✓ Job ${job.id} (${job.action}) completed in ${Date.now() - startedAt} ms`);
+      return { success: true, result };
+    } catch (error) {
+      console.error(`[Executor] ✗ Job ${job.id} (${job.action}) failed:`, error.message);
+      return { success: false, error: error.stderr?.trim() || error.message };
+    }
+  }
+}
@@ -4,40 +4,112 @@
  */
 
 import axios from 'axios';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MetricsSpool } from './spool.js';
+import { signRequest } from './signing.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export class MetricsReporter {
   constructor(config) {
     this.controlPanelUrl = config.controlPanel.url;
     this.apiKey = config.controlPanel.apiKey;
+    this.jobSigningSecret = config.controlPanel.jobSigningSecret;
+    this.enrollmentToken = config.controlPanel.enrollmentToken || null;
+    this.credential = config.controlPanel.credential || null;
+    this.previousCredential = null;
+    this.rotationDays = config.agent.credentialRotationDays || 30;
     this.agentId = config.agent.agentId || null;
-    this.retryCount = 0;
-    this.maxRetries = 3;
+    this.batchSize = config.agent.spool?.batchSize || 100;
+    this.spool = new MetricsSpool({
+      directory: config.agent.spool?.directory || path.join(__dirname, '..', 'spool'),
+      maxSamples: config.agent.spool?.maxSamples,
+    });
+
+    // Set by the agent to persist a newly issued credential
+    this.onCredentialChange = null;
   }
 
   /**
-   * Register agent with control panel
+   * Authentication headers: HMAC signature with this agent's credential, or
+   * the legacy shared API key for agents that have not enrolled
+   */
+  buildHeaders(method, urlPath, data) {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (this.credential?.keyId) {
+      const timestamp = new Date().toISOString();
+      headers['X-Agent-Key-Id'] = this.credential.keyId;
+      headers['X-Agent-Timestamp'] = timestamp;
+      headers['X-Agent-Signature'] = signRequest(this.credential.secret, {
+        method,
+        url: urlPath,
+        timestamp,
+        body: data,
+      });
+    } else if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Send a request to the control panel. urlPath includes any query string
+   * because it is part of the signature.
+   */
+  async request(method, urlPath, data = undefined, timeout = 10000) {
+    return axios({
+      method,
+      url: `${this.controlPanelUrl}${urlPath}`,
+      data,
+      headers: this.buildHeaders(method, urlPath, data),
+      timeout,
+    });
+  }
+
+  /**
+   * Secrets a job signature may have been made with
+   */
+  getSigningSecrets() {
+    return [this.credential?.secret, this.previousCredential?.secret, this.jobSigningSecret].filter(Boolean);
+  }
+
+  async saveCredential() {
+    if (this.onCredentialChange) {
+      await this.onCredentialChange({
+        agentId: this.agentId,
+        credential: this.credential,
+      });
+    }
+  }
+
+  /**
+   * Register agent with control panel (enrolls first if we hold an enrollment token)
    */
   async register(systemInfo) {
+    const info = {
+      hostname: systemInfo.hostname,
+      os: systemInfo.os,
+      arch: systemInfo.arch,
+      platform: systemInfo.platform,
+      agentVersion: systemInfo.version,
+    };
+
     try {
+      if (!this.credential?.keyId && this.enrollmentToken) {
+        return await this.enroll(info);
+      }
+
       console.log('[Reporter] Registering agent with control panel...');
-      
-      const response = await axios.post(
-        `${this.controlPanelUrl}/api/agent/register`,
-        {
-          hostname: systemInfo.hostname,
-          os: systemInfo.os,
-          arch: systemInfo.arch,
-          platform: systemInfo.platform,
-          agentVersion: systemInfo.version,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 10000,
-        }
-      );
+
+      const response = await this.request('post', '/api/agent/register', {
+        ...info,
+        ...(this.agentId ? { agentId: this.agentId } : {}),
+      });
 
       if (response.data && response.data.agentId) {
         this.agentId = response.data.agentId;
@@ -56,49 +128,207 @@ export class MetricsReporter {
   }
 
   /**
-   * Submit metrics to control panel
+   * Exchange the one-time enrollment token for this agent's own credential
+   */
+  async enroll(info) {
+    console.log('[Reporter] Enrolling agent with control panel...');
+
+    const response = await axios.post(
+      `${this.controlPanelUrl}/api/agent/enroll`,
+      {
+        enrollmentToken: this.enrollmentToken,
+        ...info,
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000,
+      }
+    );
+
+    if (!response.data?.agentId || !response.data?.credential?.keyId) {
+      throw new Error('Invalid enrollment response');
+    }
+
+    this.agentId = response.data.agentId;
+    this.credential = response.data.credential;
+    this.enrollmentToken = null;
+    await this.saveCredential();
+
+    console.log(`[Reporter] ✓ Enrolled successfully. Agent ID: ${this.agentId}, key: ${this.credential.keyId}`);
+    return response.data;
+  }
+
+  /**
+   * Replace our credential with a freshly issued one. The panel keeps the old
+   * one valid until we sign with the new one, then for a grace period, so a
+   * lost response or in-flight requests never lock us out.
+   */
+  async rotateCredential() {
+    if (!this.credential?.keyId) {
+      return false;
+    }
+
+    try {
+      const response = await this.request('post', '/api/agent/credentials/rotate', {
+        agentId: this.agentId,
+      });
+
+      if (!response.data?.credential?.keyId) {
+        throw new Error('Invalid rotation response');
+      }
+
+      this.previousCredential = this.credential;
+      this.credential = response.data.credential;
+      await this.saveCredential();
+
+      console.log(`[Reporter] ✓ Credential rotated. New key: ${this.credential.keyId}`);
+      return true;
+    } catch (error) {
+      console.error('[Reporter] Credential rotation failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Rotate when the panel asks for it or the credential is older than rotationDays
+   */
+  async maybeRotateCredential(responseData) {
+    if (!this.credential?.keyId) {
+      return;
+    }
+
+    const issuedAt = Date.parse(this.credential.issuedAt);
+    const ageDays = Number.isNaN(issuedAt) ? 0 : (Date.now() - issuedAt) / 86400000;
+
+    if (responseData?.rotateCredential || ageDays >= this.rotationDays) {
+      await this.rotateCredential();
+    }
+  }
+
+  /**
+   * Submit metrics to control panel, spooling the sample if it can't be delivered
    */
   async submitMetrics(metrics) {
+    const sample = {
+      timestamp: new Date().toISOString(),
+      metrics,
+    };
+
     if (!this.agentId) {
-      console.error('[Reporter] Cannot submit metrics: Agent not registered');
+      console.error('[Reporter] Cannot submit metrics: Agent not registered. Sample spooled.');
+      await this.spoolSample(sample);
       return false;
     }
 
+    // Older samples are still waiting - queue behind them so replay stays in order
+    if (await this.spool.size() > 0) {
+      await this.spoolSample(sample);
+      return this.flushSpool();
+    }
+
     try {
-      const payload = {
+      const response = await this.request('post', '/api/agent/metrics', {
         agentId: this.agentId,
-        timestamp: new Date().toISOString(),
-        metrics,
-      };
-
-      const response = await axios.post(
-        `${this.controlPanelUrl}/api/agent/metrics`,
-        payload,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 10000,
-        }
-      );
+        ...sample,
+      });
 
       if (response.data && response.data.received) {
         console.log('[Reporter] ✓ Metrics submitted successfully');
-        this.retryCount = 0; // Reset retry counter on success
+        await this.maybeRotateCredential(response.data);
         return true;
       }
 
+      await this.spoolSample(sample);
+      return false;
+    } catch (error) {
+      console.error('[Reporter] Failed to submit metrics, sample spooled:', error.message);
+      await this.spoolSample(sample);
       return false;
+    }
+  }
+
+  async spoolSample(sample) {
+    try {
+      await this.spool.push(sample);
     } catch (error) {
-      this.retryCount++;
-      console.error(`[Reporter] Failed to submit metrics (attempt ${this.retryCount}/${this.maxRetries}):`, error.message);
-      
-      if (this.retryCount >= this.maxRetries) {
-        console.error('[Reporter] Max retries reached. Will try again next cycle.');
-        this.retryCount = 0;
+      console.error('[Reporter] Failed to spool sample, dropping it:', error.message);
+    }
+  }
+
+  /**
+   * Replay spooled samples oldest-first in batches; stops at the first failure
+   */
+  async flushSpool() {
+    let replayed = 0;
+
+    while (this.agentId) {
+      const batch = await this.spool.peek(this.batchSize);
+      if (batch.length === 0) break;
+
+      try {
+        const response = await this.request(
+          'post',
+          '/api/agent/metrics/batch',
+          {
+            agentId: this.agentId,
+            samples: batch.map(({ sample }) => sample),
+          },
+          30000
+        );
+
+        if (!response.data || !response.data.received) {
+          return false;
+        }
+      } catch (error) {
+        if (error.response?.status === 400) {
+          // The panel will never accept this batch - don't let it block the spool
+          console.error('[Reporter] Batch rejected by control panel, discarding:', error.response.data?.error);
+        } else {
+          console.error(`[Reporter] Spool replay paused (${await this.spool.size()} samples queued):`, error.message);
+          return false;
+        }
       }
-      
+
+      await Promise.all(batch.map(({ file }) => this.spool.remove(file)));
+      replayed += batch.length;
+    }
+
+    if (replayed > 0) {
+      console.log(`[Reporter] ✓ Replayed ${replayed} spooled samples`);
+    }
+
+    return this.agentId !== null && await this.spool.size() === 0;
+  }
+
+  /**
+   * Long-poll the control panel for queued jobs
+   */
+  async fetchJobs(waitSeconds = 25) {
+    if (!this.agentId) {
+      return [];
+    }
+
+    const query = `agentId=${encodeURIComponent(this.agentId)}&wait=${waitSeconds}`;
+    const response = await this.request('get', `/api/agent/jobs?${query}`, undefined, (waitSeconds + 10) * 1000);
+
+    return response.data?.jobs || [];
+  }
+
+  /**
+   * Report the outcome of an executed job
+   */
+  async submitJobResult(jobId, outcome) {
+    try {
+      const response = await this.request('post', `/api/agent/jobs/${jobId}/result`, {
+        agentId: this.agentId,
+        ...outcome,
+      });
+
+      return response.data && response.data.received;
+    } catch (error) {
+      console.error(`[Reporter] Failed to report result for job ${jobId}:`, error.message);
       return false;
     }
   }
@@ -112,21 +342,17 @@ export class MetricsReporter {
     }
 
     try {
-      const response = await axios.post(
-        `${this.controlPanelUrl}/api/agent/heartbeat`,
+      const response = await this.request(
+        'post',
+        '/api/agent/heartbeat',
         {
           agentId: this.agentId,
           timestamp: new Date().toISOString(),
         },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 5000,
-        }
+        5000
       );
 
+      await this.maybeRotateCredential(response.data);
       return response.data && response.data.status === 'ok';
     } catch (error) {
       console.error('[Reporter] Heartbeat failed:', error.message);
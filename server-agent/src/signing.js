@@ -0,0 +1,53 @@
+/**
+ * Request and Job Signing
+ * Signs requests to the control panel and verifies the signature it attaches to each job
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Serialize a value with sorted object keys (must match the panel's agentJobService)
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Check a job against each candidate secret (current credential, the one it
+ * replaced during rotation, legacy shared secret)
+ */
+export function verifyJobSignature(job, secrets) {
+  if (typeof job.signature !== 'string') {
+    return false;
+  }
+
+  const { signature, ...envelope } = job;
+  const received = Buffer.from(signature, 'hex');
+
+  return secrets.filter(Boolean).some((secret) => {
+    const computed = Buffer.from(
+      crypto.createHmac('sha256', secret).update(canonicalize(envelope)).digest('hex'),
+      'hex'
+    );
+    return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+  });
+}
+
+/**
+ * Sign a request to the control panel (must match the panel's utils/agentSigning.js):
+ * method, path with query string, timestamp and a hash of the canonical JSON body
+ */
+export function signRequest(secret, { method, url, timestamp, body }) {
+  const payload = body && Object.keys(body).length > 0 ? canonicalize(body) : '';
+  const bodyHash = crypto.createHash('sha256').update(payload).digest('hex');
+  const stringToSign = [method.toUpperCase(), url, timestamp, bodyHash].join('\n');
+
+  return crypto.createHmac('sha256', secret).update(stringToSign).digest('hex');
+}
@@ -0,0 +1,76 @@
+/**
+ * Metrics Spool
+ * Bounded on-disk queue that keeps metric samples while the control panel is unreachable
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class MetricsSpool {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.maxSamples = options.maxSamples || 10080; // 7 days at a 60s interval
+    this.sequence = 0;
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  /**
+   * Spooled sample files, oldest first (names sort chronologically)
+   */
+  async list() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files.filter((file) => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async size() {
+    return (await this.list()).length;
+  }
+
+  async push(sample) {
+    await this.init();
+
+    const name = `${String(Date.parse(sample.timestamp) || Date.now()).padStart(15, '0')}-${String(this.sequence++ % 1e6).padStart(6, '0')}.json`;
+    await fs.writeFile(path.join(this.directory, name), JSON.stringify(sample), 'utf8');
+
+    // Drop the oldest samples once the spool is full
+    const files = await this.list();
+    const overflow = files.length - this.maxSamples;
+    if (overflow > 0) {
+      await Promise.all(files.slice(0, overflow).map((file) => this.remove(file)));
+      console.warn(`[Spool] Spool full, dropped ${overflow} oldest sample(s)`);
+    }
+  }
+
+  /**
+   * Read the oldest samples without removing them
+   */
+  async peek(limit) {
+    const files = (await this.list()).slice(0, limit);
+    const batch = [];
+
+    for (const file of files) {
+      try {
+        const sample = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        batch.push({ file, sample });
+      } catch (error) {
+        // A torn write (e.g. power loss) leaves an unreadable file - discard it
+        console.error(`[Spool] Discarding unreadable sample ${file}:`, error.message);
+        await this.remove(file);
+      }
+    }
+
+    return batch;
+  }
+
+  async remove(file) {
+    await fs.rm(path.join(this.directory, file), { force: true });
+  }
+}
@@ -0,0 +1,51 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { isSafePath } from '../actions/run.js';
+import { createVhost } from '../actions/vhost.js';
+import { createSystemUser } from '../actions/users.js';
+
+describe('Action payload validation', () => {
+  let root;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-actions-'));
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should only accept plain normalized absolute paths', () => {
+    assert.strictEqual(isSafePath('/home/site/public_html'), true);
+    assert.strictEqual(isSafePath('/run/php/php8.2-fpm.sock'), true);
+    for (const value of ['relative/path', '/home/site/../etc', '/home//site', '/srv/a;b', '/srv/{x}', '/srv/a\nb', '/srv/a b', null]) {
+      assert.strictEqual(isSafePath(value), false, JSON.stringify(value));
+    }
+  });
+
+  it('should refuse vhost paths that would add nginx directives', async () => {
+    const options = { sitesAvailable: root, sitesEnabled: root };
+    const payload = { domain: 'example.com', username: 'site', documentRoot: '/home/site/public_html' };
+
+    await assert.rejects(
+      createVhost({ ...payload, documentRoot: '/home/site;\n    include /etc/nginx/evil.conf' }, options),
+      /Document root/
+    );
+    await assert.rejects(
+      createVhost({ ...payload, phpSocket: '/run/php.sock; }\nserver { listen 8080' }, options),
+      /PHP socket/
+    );
+    assert.deepStrictEqual(await fs.readdir(root), []);
+  });
+
+  it('should refuse shells that /etc/shells does not list', async () => {
+    const shellsFile = path.join(root, 'shells');
+    await fs.writeFile(shellsFile, '# login shells\n/bin/bash\n');
+
+    await assert.rejects(createSystemUser({ username: 'site', shell: '/tmp/evil' }, { shellsFile }), /not listed/);
+    await assert.rejects(createSystemUser({ username: 'site', shell: '/bin/zsh' }, { shellsFile }), /not listed/);
+  });
+});
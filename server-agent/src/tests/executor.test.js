@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { canonicalize, verifyJobSignature } from '../signing.js';
+import { JobExecutor } from '../executor.js';
+
+const CURRENT = 'current-credential-secret';
+const PREVIOUS = 'previous-credential-secret';
+
+function signedJob(overrides = {}, secret = CURRENT) {
+  const envelope = {
+    id: 41,
+    agentId: 7,
+    action: 'reload_nginx',
+    payload: {},
+    expiresAt: new Date(Date.now() + 60000).toISOString(),
+    ...overrides,
+  };
+  return { ...envelope, signature: crypto.createHmac('sha256', secret).update(canonicalize(envelope)).digest('hex') };
+}
+
+function executor() {
+  const jobs = new JobExecutor(
+    { agent: { agentId: 7, commands: { allowedActions: ['reload_nginx', 'create_vhost'] } } },
+    () => [CURRENT, PREVIOUS]
+  );
+  jobs.handlers.reload_nginx = async () => ({ reloaded: true });
+  return jobs;
+}
+
+describe('Job signatures', () => {
+  it('should accept a job signed with the current or the rotated-out secret', () => {
+    assert.strictEqual(verifyJobSignature(signedJob(), [CURRENT, PREVIOUS]), true);
+    assert.strictEqual(verifyJobSignature(signedJob({}, PREVIOUS), [CURRENT, PREVIOUS]), true);
+    assert.strictEqual(verifyJobSignature(signedJob({}, 'someone-else'), [CURRENT, PREVIOUS]), false);
+  });
+
+  it('should not depend on key order', () => {
+    const job = signedJob({ payload: { domain: 'example.com', username: 'site' } });
+    const reordered = {
+      signature: job.signature,
+      payload: { username: 'site', domain: 'example.com' },
+      expiresAt: job.expiresAt,
+      action: job.action,
+      agentId: job.agentId,
+      id: job.id,
+    };
+
+    assert.strictEqual(verifyJobSignature(reordered, [CURRENT]), true);
+  });
+
+  it('should refuse unsigned and tampered jobs before running them', async () => {
+    const jobs = executor();
+    const { signature, ...unsigned } = signedJob();
+    assert.ok(signature);
+
+    const tampered = { ...signedJob({ action: 'create_vhost', payload: { domain: 'example.com' } }), payload: { domain: 'evil.example' } };
+    const retargeted = { ...signedJob(), agentId: 8 };
+
+    for (const job of [unsigned, { ...unsigned, signature: 'zz' }, tampered, retargeted]) {
+      assert.deepStrictEqual(await jobs.execute(job), { success: false, error: 'Invalid job signature' });
+    }
+  });
+
+  it('should run a valid job once and refuse expired or foreign ones', async () => {
+    const jobs = executor();
+    const job = signedJob();
+
+    assert.deepStrictEqual(await jobs.execute(job), { success: true, result: { reloaded: true } });
+    assert.deepStrictEqual(await jobs.execute(job), { success: false, error: 'Job already executed' });
+
+    const expired = await jobs.execute(signedJob({ id: 42, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+    assert.strictEqual(expired.error, 'Job has expired');
+
+    const foreign = await jobs.execute(signedJob({ id: 43, agentId: 8 }));
+    assert.strictEqual(foreign.error, 'Job addressed to agent 8');
+
+    const notAllowed = await jobs.execute(signedJob({ id: 44, action: 'rotate_logs' }));
+    assert.strictEqual(notAllowed.error, 'Action not allowed on this node: rotate_logs');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { collectLogMetrics } from '../collectors/logs.js';
+
+async function linesOf(file, options = {}) {
+  const { files } = await collectLogMetrics({ files: [file], ...options });
+  return files[0];
+}
+
+describe('Log tail collector', () => {
+  let root;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-logs-'));
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should only ship lines appended since the previous sample', async () => {
+    const file = { name: 'nginx', path: path.join(root, 'access.log') };
+    await fs.writeFile(file.path, 'one\ntwo\n');
+
+    assert.deepStrictEqual((await linesOf(file)).lines, ['one', 'two']);
+    assert.deepStrictEqual((await linesOf(file)).lines, []);
+
+    await fs.appendFile(file.path, 'three\nfour\n');
+    assert.deepStrictEqual((await linesOf(file)).lines, ['three', 'four']);
+  });
+
+  it('should start over when the file was rotated', async () => {
+    const file = { path: path.join(root, 'error.log') };
+    await fs.writeFile(file.path, 'a long line before rotation\nanother one\n');
+    await linesOf(file);
+
+    await fs.writeFile(file.path, 'fresh\n');
+    assert.deepStrictEqual((await linesOf(file)).lines, ['fresh']);
+  });
+
+  it('should skip the partial first line when a backlog is cut short', async () => {
+    const file = { path: path.join(root, 'big.log') };
+    const line = `${'x'.repeat(99)}\n`;
+    await fs.writeFile(file.path, line.repeat(1000));
+
+    const { lines } = await linesOf(file, { maxLines: 5000 });
+    // 64 KiB from the end starts part-way through line 345
+    assert.strictEqual(lines.length, 655);
+    assert.ok(lines.every((entry) => entry.length === 99));
+  });
+
+  it('should filter by pattern and keep the newest lines', async () => {
+    const file = { path: path.join(root, 'app.log'), pattern: 'error' };
+    await fs.writeFile(file.path, 'ERROR 1\ninfo\nerror 2\nerror 3\n');
+
+    assert.deepStrictEqual((await linesOf(file, { maxLines: 2 })).lines, ['error 2', 'error 3']);
+  });
+
+  it('should report files it cannot read', async () => {
+    const result = await linesOf({ name: 'missing', path: path.join(root, 'missing.log') });
+    assert.strictEqual(result.error, 'ENOENT');
+    assert.deepStrictEqual(result.lines, []);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MetricsSpool } from '../spool.js';
+import { MetricsReporter } from '../reporter.js';
+
+const sample = (minute) => ({ timestamp: `2026-10-19T12:${String(minute).padStart(2, '0')}:00.000Z`, metrics: { minute } });
+
+describe('Metrics spool', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-spool-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should hand samples back oldest first', async () => {
+    const spool = new MetricsSpool({ directory });
+    await spool.push(sample(2));
+    await spool.push(sample(0));
+    await spool.push(sample(1));
+
+    const batch = await spool.peek(2);
+    assert.deepStrictEqual(batch.map(({ sample: entry }) => entry.metrics.minute), [0, 1]);
+    assert.strictEqual(await spool.size(), 3);
+  });
+
+  it('should drop the oldest samples once full', async () => {
+    const spool = new MetricsSpool({ directory, maxSamples: 3 });
+    for (let minute = 0; minute < 5; minute++) {
+      await spool.push(sample(minute));
+    }
+
+    const batch = await spool.peek(10);
+    assert.deepStrictEqual(batch.map(({ sample: entry }) => entry.metrics.minute), [2, 3, 4]);
+  });
+
+  it('should discard a sample it cannot read', async () => {
+    const spool = new MetricsSpool({ directory });
+    await spool.push(sample(1));
+    await fs.writeFile(path.join(directory, '000000000000000-000000.json'), '{"timestamp":');
+
+    const batch = await spool.peek(10);
+    assert.deepStrictEqual(batch.map(({ sample: entry }) => entry.metrics.minute), [1]);
+    assert.strictEqual(await spool.size(), 1);
+  });
+
+  describe('replay', () => {
+    let reporter;
+    let sent;
+
+    beforeEach(() => {
+      reporter = new MetricsReporter({
+        controlPanel: { url: 'http://panel.test', apiKey: 'key' },
+        agent: { agentId: 7, spool: { directory, batchSize: 2 } },
+      });
+      sent = [];
+    });
+
+    it('should spool while the panel is down and replay in order once it is back', async () => {
+      reporter.request = async () => {
+        throw new Error('connect ECONNREFUSED');
+      };
+      assert.strictEqual(await reporter.submitMetrics({ minute: 0 }), false);
+      assert.strictEqual(await reporter.submitMetrics({ minute: 1 }), false);
+      assert.strictEqual(await reporter.spool.size(), 2);
+
+      reporter.request = async (method, urlPath, data) => {
+        sent.push({ urlPath, minutes: (data.samples || [data]).map((entry) => entry.metrics.minute) });
+        return { data: { received: true } };
+      };
+      assert.strictEqual(await reporter.submitMetrics({ minute: 2 }), true);
+
+      // The new sample queues behind the backlog rather than overtaking it
+      assert.deepStrictEqual(sent, [
+        { urlPath: '/api/agent/metrics/batch', minutes: [0, 1] },
+        { urlPath: '/api/agent/metrics/batch', minutes: [2] },
+      ]);
+      assert.strictEqual(await reporter.spool.size(), 0);
+    });
+
+    it('should keep the backlog when replay fails part-way', async () => {
+      for (let minute = 0; minute < 3; minute++) {
+        await reporter.spool.push(sample(minute));
+      }
+      reporter.request = async (method, urlPath, data) => {
+        if (sent.length > 0) throw new Error('socket hang up');
+        sent.push(data.samples.length);
+        return { data: { received: true } };
+      };
+
+      assert.strictEqual(await reporter.flushSpool(), false);
+      const left = await reporter.spool.peek(10);
+      assert.deepStrictEqual(left.map(({ sample: entry }) => entry.metrics.minute), [2]);
+    });
+
+    it('should drop a batch the panel rejects so it cannot block the spool', async () => {
+      await reporter.spool.push(sample(0));
+      reporter.request = async () => {
+        throw Object.assign(new Error('Request failed with status code 400'), { response: { status: 400, data: { error: 'bad sample' } } });
+      };
+
+      assert.strictEqual(await reporter.flushSpool(), true);
+      assert.strictEqual(await reporter.spool.size(), 0);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// Currency every report is converted to, and the currency of the default price book
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+export const SUPPORTED_CURRENCIES = Array.from(new Set([
+  BASE_CURRENCY,
+  ...(process.env.SUPPORTED_CURRENCIES || 'USD,EUR,GBP')
+    .split(',')
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean),
+]));
+
+// Minor units per currency; anything not listed uses 2
+const CURRENCY_DECIMALS = {
+  JPY: 0,
+  KRW: 0,
+  BHD: 3,
+  KWD: 3,
+};
+
+export function normalizeCurrency(code) {
+  if (!code) return null;
+  const upper = String(code).trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(upper) ? upper : null;
+}
+
+export function currencyDecimals(currency) {
+  return CURRENCY_DECIMALS[String(currency || BASE_CURRENCY).toUpperCase()] ?? 2;
+}
+
+export function roundMoney(amount, currency = BASE_CURRENCY) {
+  const factor = 10 ** currencyDecimals(currency);
+  return Math.round(parseFloat(amount || 0) * factor) / factor;
+}
+
+// Stripe amounts are integers in the currency's minor unit
+export function toMinorUnits(amount, currency = BASE_CURRENCY) {
+  return Math.round(parseFloat(amount || 0) * 10 ** currencyDecimals(currency));
+}
+
+export function fromMinorUnits(amount, currency = BASE_CURRENCY) {
+  return (parseInt(amount, 10) || 0) / 10 ** currencyDecimals(currency);
+}
+
+export function formatMoney(amount, currency = BASE_CURRENCY) {
+  const code = String(currency || BASE_CURRENCY).toUpperCase();
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: code,
+    minimumFractionDigits: currencyDecimals(code),
+    maximumFractionDigits: currencyDecimals(code),
+  }).format(parseFloat(amount || 0));
+}
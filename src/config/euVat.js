@@ -0,0 +1,98 @@
+// Standard VAT rates of the EU member states, as fractions. A tenant's active
+// tax_rules row for a country takes precedence, so a rate change can be
+// applied without a deploy.
+export const EU_VAT_RATES = {
+  AT: 0.20,
+  BE: 0.21,
+  BG: 0.20,
+  CY: 0.19,
+  CZ: 0.21,
+  DE: 0.19,
+  DK: 0.25,
+  EE: 0.24,
+  ES: 0.21,
+  FI: 0.255,
+  FR: 0.20,
+  GR: 0.24,
+  HR: 0.25,
+  HU: 0.27,
+  IE: 0.23,
+  IT: 0.22,
+  LT: 0.21,
+  LU: 0.17,
+  LV: 0.21,
+  MT: 0.18,
+  NL: 0.21,
+  PL: 0.23,
+  PT: 0.23,
+  RO: 0.21,
+  SE: 0.25,
+  SI: 0.22,
+  SK: 0.23,
+};
+
+export const EU_COUNTRIES = Object.keys(EU_VAT_RATES);
+
+// Greece is GR in ISO 3166 but EL in VAT numbers
+const VAT_PREFIXES = { GR: 'EL' };
+
+// National VAT number formats, without the country prefix
+const VAT_NUMBER_FORMATS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  GR: /^\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^\d{7}[A-W][A-I]?$|^\d[A-Z+*]\d{5}[A-W]$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{12}$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+};
+
+export function isEuCountry(country) {
+  return Boolean(country) && EU_COUNTRIES.includes(String(country).toUpperCase());
+}
+
+export function vatPrefix(country) {
+  const code = String(country || '').toUpperCase();
+  return VAT_PREFIXES[code] || code;
+}
+
+/**
+ * Split a VAT number into the ISO country it belongs to and its national part.
+ * Spaces, dots and dashes are ignored. Returns null when the prefix is not an
+ * EU member state.
+ */
+export function parseVatNumber(vatNumber) {
+  const cleaned = String(vatNumber || '').toUpperCase().replace(/[\s.-]/g, '');
+  const prefix = cleaned.slice(0, 2);
+  const country = Object.entries(VAT_PREFIXES).find(([, p]) => p === prefix)?.[0] || prefix;
+
+  if (!isEuCountry(country) || vatPrefix(country) !== prefix) {
+    return null;
+  }
+  return { country, prefix, number: cleaned.slice(2), vatNumber: cleaned };
+}
+
+export function isValidVatFormat(vatNumber) {
+  const parsed = parseVatNumber(vatNumber);
+  return Boolean(parsed) && VAT_NUMBER_FORMATS[parsed.country].test(parsed.number);
+}
@@ -1,3 +1,5 @@
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES } from './currencies.js';
+
 const terms = {
   monthly: { key: 'monthly', label: 'Monthly', months: 1 },
   annually: { key: 'annually', label: 'Annually (1 year)', months: 12 },
@@ -5,48 +7,109 @@ const terms = {
   triennially: { key: 'triennially', label: 'Triennially (3 years)', months: 36 },
 };
 
-const plan = (id, name, description, envPrefix) => ({
-  id,
-  name,
-  description,
-  prices: {
-    monthly: process.env[`PRICE_${envPrefix}_MONTHLY`] || null,
-    annually: process.env[`PRICE_${envPrefix}_ANNUAL`] || null,
-    biennially: process.env[`PRICE_${envPrefix}_BIENNIAL`] || null,
-    triennially: process.env[`PRICE_${envPrefix}_TRIENNIAL`] || null,
-  },
-});
+const termEnvKeys = {
+  monthly: 'MONTHLY',
+  annually: 'ANNUAL',
+  biennially: 'BIENNIAL',
+  triennially: 'TRIENNIAL',
+};
+
+const amount = (envKey, fallback) => {
+  const value = parseFloat(process.env[envKey]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// The base currency keeps the unsuffixed env names; other currencies add a
+// suffix, e.g. PRICE_STARTER_MONTHLY_EUR and AMOUNT_STARTER_MONTHLY_EUR. A term
+// with no amount in a currency is not sold in that currency.
+const priceBook = (envPrefix, currency, defaultAmounts) => {
+  const suffix = currency === BASE_CURRENCY ? '' : `_${currency}`;
+  const prices = {};
+  const amounts = {};
+  for (const [termKey, envTerm] of Object.entries(termEnvKeys)) {
+    prices[termKey] = process.env[`PRICE_${envPrefix}_${envTerm}${suffix}`] || null;
+    amounts[termKey] = amount(
+      `AMOUNT_${envPrefix}_${envTerm}${suffix}`,
+      currency === BASE_CURRENCY ? defaultAmounts[termKey] : null
+    );
+  }
+  return { currency, prices, amounts };
+};
+
+// Amounts are what one full term costs; used for local invoicing and proration.
+// prices/amounts are the base currency book, books holds every currency.
+const plan = (id, name, description, envPrefix, defaultAmounts) => {
+  const books = Object.fromEntries(
+    SUPPORTED_CURRENCIES.map((currency) => [currency, priceBook(envPrefix, currency, defaultAmounts)])
+  );
+
+  return {
+    id,
+    name,
+    description,
+    prices: books[BASE_CURRENCY].prices,
+    amounts: books[BASE_CURRENCY].amounts,
+    books,
+  };
+};
 
 export const PLAN_CATALOG = {
-  student: plan('student', 'Student Plan', 'Verified student hosting', 'STUDENT'),
-  starter: plan('starter', 'Starter', 'Single-site NVMe hosting', 'STARTER'),
-  premium: plan('premium', 'Premium', 'Multi-site performance hosting', 'PREMIUM'),
-  business: plan('business', 'Business', 'High-allowance business hosting', 'BUSINESS'),
+  student: plan('student', 'Student Plan', 'Verified student hosting', 'STUDENT',
+    { monthly: 1.49, annually: 14.99, biennially: 26.99, triennially: 35.99 }),
+  starter: plan('starter', 'Starter', 'Single-site NVMe hosting', 'STARTER',
+    { monthly: 2.99, annually: 29.99, biennially: 53.99, triennially: 71.99 }),
+  premium: plan('premium', 'Premium', 'Multi-site performance hosting', 'PREMIUM',
+    { monthly: 5.99, annually: 59.99, biennially: 107.99, triennially: 143.99 }),
+  business: plan('business', 'Business', 'High-allowance business hosting', 'BUSINESS',
+    { monthly: 9.99, annually: 99.99, biennially: 179.99, triennially: 239.99 }),
 };
 
+export const PLAN_TERMS = terms;
+
 export const SETUP_FEE_PRICE = process.env.PRICE_SETUP_FEE || null;
 
-export function resolvePriceId(planId, termKey) {
+const bookFor = (planId, currency) => {
   const planConfig = PLAN_CATALOG[planId];
   if (!planConfig) return null;
-  return planConfig.prices[termKey] || null;
+  return planConfig.books[String(currency || BASE_CURRENCY).toUpperCase()] || null;
+};
+
+export function resolvePriceId(planId, termKey, currency = BASE_CURRENCY) {
+  const book = bookFor(planId, currency);
+  if (!book) return null;
+  return book.prices[termKey] || null;
+}
+
+export function resolvePlanAmount(planId, termKey, currency = BASE_CURRENCY) {
+  const book = bookFor(planId, currency);
+  if (!book || !terms[termKey]) return null;
+  const value = book.amounts[termKey];
+  return Number.isFinite(value) ? value : null;
+}
+
+export function resolveSetupFeePrice(currency = BASE_CURRENCY) {
+  const code = String(currency || BASE_CURRENCY).toUpperCase();
+  return code === BASE_CURRENCY ? SETUP_FEE_PRICE : process.env[`PRICE_SETUP_FEE_${code}`] || null;
 }
 
-export function serializePlans() {
+export function serializePlans(currency = BASE_CURRENCY) {
   return Object.values(PLAN_CATALOG).map((planConfig) => {
-    const billing = Object.entries(planConfig.prices)
+    const book = planConfig.books[currency] || { prices: {}, amounts: {} };
+    const billing = Object.entries(book.prices)
       .filter(([, priceId]) => Boolean(priceId))
       .map(([termKey, priceId]) => ({
         term: termKey,
         label: terms[termKey]?.label || termKey,
         months: terms[termKey]?.months || null,
         priceId,
+        amount: book.amounts[termKey] ?? null,
       }));
 
     return {
       id: planConfig.id,
       name: planConfig.name,
       description: planConfig.description,
+      currency,
       billing,
     };
   });
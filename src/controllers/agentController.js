@@ -1,66 +1,113 @@
 import logger from '../config/logger.js';
 import pool from '../db/index.js';
-import bcrypt from 'bcrypt';
+import agentJobService from '../services/agentJobService.js';
+import agentCredentialService, { AgentAuthError } from '../services/agentCredentialService.js';
+
+const MAX_JOB_WAIT_SECONDS = 30;
+
+// Collectors whose output is stored as JSON snapshots rather than columns
+const SNAPSHOT_COLLECTORS = ['processes', 'services', 'ports', 'logs'];
+
+const MAX_BATCH_SAMPLES = 500;
 
 /**
- * Register a new agent
+ * Enroll a new agent with a single-use enrollment token
  */
-export const registerAgent = async (req, res) => {
+export const enrollAgent = async (req, res) => {
   try {
-    const { hostname, os, arch, platform, agentVersion } = req.body;
-    const apiKey = req.headers.authorization?.replace('Bearer ', '');
+    const { enrollmentToken, hostname, os, arch, platform, agentVersion } = req.body;
 
-    if (!hostname || !os) {
+    if (!enrollmentToken || !hostname || !os) {
       return res.status(400).json({
         success: false,
-        error: 'Hostname and OS are required',
+        error: 'Enrollment token, hostname and OS are required',
       });
     }
 
-    if (!apiKey) {
-      return res.status(401).json({
+    const { agentId, serverId, credential } = await agentCredentialService.enroll(enrollmentToken, {
+      hostname,
+      os,
+      arch,
+      platform,
+      agentVersion,
+    });
+
+    res.status(201).json({
+      success: true,
+      agentId,
+      serverId,
+      credential,
+      message: 'Agent enrolled successfully',
+    });
+  } catch (error) {
+    if (error instanceof AgentAuthError) {
+      return res.status(error.statusCode).json({
         success: false,
-        error: 'API key is required',
+        error: error.message,
+      });
+    }
+
+    logger.error('[Agent] Enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enroll agent',
+    });
+  }
+};
+
+/**
+ * Register an agent (refreshes system info for enrolled agents; creates the
+ * agent record for legacy shared-key agents). The server an agent serves,
+ * and so the provisioning jobs it receives, comes from its enrollment token
+ * or an admin, never from the hostname it reports.
+ */
+export const registerAgent = async (req, res) => {
+  try {
+    const { hostname, os, arch, platform, agentVersion } = req.body;
+
+    if (!hostname || !os) {
+      return res.status(400).json({
+        success: false,
+        error: 'Hostname and OS are required',
       });
     }
 
     logger.info(`[Agent] Registration attempt from ${hostname} (${os})`);
 
-    // For now, we'll use the API key as-is
-    // In production, you'd validate against a list of valid keys
-    const apiKeyHash = await bcrypt.hash(apiKey, 10);
+    let agentId = req.agent.legacy ? null : req.agent.id;
 
-    // Check if agent already exists
-    const existingAgent = await pool.query(
-      'SELECT id FROM servers_agents WHERE hostname = $1 AND api_key_hash = $2',
-      [hostname, apiKeyHash]
-    );
+    if (agentId === null) {
+      // Legacy agents are identified by hostname; enrolled agents never match
+      const existingAgent = await pool.query(`
+        SELECT id FROM servers_agents
+        WHERE hostname = $1 AND status <> 'revoked'
+          AND NOT EXISTS (SELECT 1 FROM agent_credentials c WHERE c.agent_id = servers_agents.id)
+        ORDER BY id ASC
+        LIMIT 1
+      `, [hostname]);
 
-    let agentId;
+      agentId = existingAgent.rows[0]?.id ?? null;
+    }
 
-    if (existingAgent.rows.length > 0) {
-      // Update existing agent
-      agentId = existingAgent.rows[0].id;
-      
+    if (agentId !== null) {
       await pool.query(`
         UPDATE servers_agents
-        SET os = $1, arch = $2, platform = $3, agent_version = $4,
+        SET hostname = $1, os = $2, arch = $3, platform = $4, agent_version = $5,
             last_seen = NOW(), updated_at = NOW(), status = 'active'
-        WHERE id = $5
-      `, [os, arch, platform, agentVersion, agentId]);
+        WHERE id = $6
+      `, [hostname, os, arch, platform, agentVersion, agentId]);
 
       logger.info(`[Agent] Updated existing agent: ${hostname} (ID: ${agentId})`);
     } else {
-      // Create new agent
       const result = await pool.query(`
         INSERT INTO servers_agents (
-          hostname, os, arch, platform, agent_version, api_key_hash, status, last_seen
-        ) VALUES ($1, $2, $3, $4, $5, $6, 'active', NOW())
+          hostname, os, arch, platform, agent_version, status, last_seen
+        ) VALUES ($1, $2, $3, $4, $5, 'active', NOW())
         RETURNING id
-      `, [hostname, os, arch, platform, agentVersion, apiKeyHash]);
+      `, [hostname, os, arch, platform, agentVersion]);
 
       agentId = result.rows[0].id;
-      logger.info(`[Agent] Registered new agent: ${hostname} (ID: ${agentId})`);
+      logger.info(`[Agent] Registered new legacy agent: ${hostname} (ID: ${agentId})`);
     }
 
     res.status(201).json({
@@ -73,17 +120,85 @@ export const registerAgent = async (req, res) => {
     res.status(500).json({
       success: false,
       error: 'Failed to register agent',
-      message: error.message,
     });
   }
 };
 
+/**
+ * Rotate the calling agent's credential (agent endpoint)
+ */
+export const rotateAgentCredential = async (req, res) => {
+  try {
+    if (req.agent.legacy) {
+      return res.status(400).json({
+        success: false,
+        error: 'Legacy agents must enroll before they can rotate credentials',
+      });
+    }
+
+    const credential = await agentCredentialService.rotateCredential(req.agent.id);
+
+    res.json({
+      success: true,
+      credential,
+      graceSeconds: agentCredentialService.rotationGraceSeconds,
+    });
+  } catch (error) {
+    logger.error('[Agent] Credential rotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate credential',
+    });
+  }
+};
+
+/**
+ * Store one metrics sample (core columns plus extended collector snapshots)
+ */
+const storeMetricsSample = async (db, agentId, timestamp, metrics) => {
+  await db.query(`
+    INSERT INTO server_metrics (
+      agent_id, timestamp,
+      cpu_usage, cpu_load_1min, cpu_load_5min, cpu_load_15min,
+      memory_total, memory_used, memory_free, memory_cached,
+      disk_total, disk_used, disk_free,
+      network_rx_bytes, network_tx_bytes
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+  `, [
+    agentId,
+    timestamp,
+    metrics.cpu?.usage || null,
+    metrics.cpu?.load?.['1min'] || null,
+    metrics.cpu?.load?.['5min'] || null,
+    metrics.cpu?.load?.['15min'] || null,
+    metrics.memory?.total || null,
+    metrics.memory?.used || null,
+    metrics.memory?.free || null,
+    metrics.memory?.cached || null,
+    metrics.disk?.disks?.[0]?.total || null,
+    metrics.disk?.disks?.[0]?.used || null,
+    metrics.disk?.disks?.[0]?.free || null,
+    metrics.network?.totals?.rxBytes || null,
+    metrics.network?.totals?.txBytes || null,
+  ]);
+
+  for (const collector of SNAPSHOT_COLLECTORS) {
+    if (!metrics[collector]) continue;
+
+    await db.query(`
+      INSERT INTO agent_collector_snapshots (agent_id, collector, collected_at, data)
+      VALUES ($1, $2, $3, $4)
+    `, [agentId, collector, timestamp, JSON.stringify(metrics[collector])]);
+  }
+};
+
 /**
  * Submit metrics from agent
  */
 export const submitMetrics = async (req, res) => {
   try {
-    const { agentId, timestamp, metrics } = req.body;
+    const { timestamp, metrics } = req.body;
+    const agentId = req.agent.id;
 
     if (!agentId || !metrics) {
       return res.status(400).json({
@@ -94,7 +209,7 @@ export const submitMetrics = async (req, res) => {
 
     // Verify agent exists
     const agentResult = await pool.query(
-      'SELECT id FROM servers_agents WHERE id = $1',
+      "SELECT id FROM servers_agents WHERE id = $1 AND status <> 'revoked'",
       [agentId]
     );
 
@@ -105,32 +220,7 @@ export const submitMetrics = async (req, res) => {
       });
     }
 
-    // Insert metrics
-    await pool.query(`
-      INSERT INTO server_metrics (
-        agent_id, timestamp,
-        cpu_usage, cpu_load_1min, cpu_load_5min, cpu_load_15min,
-        memory_total, memory_used, memory_free, memory_cached,
-        disk_total, disk_used, disk_free,
-        network_rx_bytes, network_tx_bytes
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-    `, [
-      agentId,
-      timestamp || new Date(),
-      metrics.cpu?.usage || null,
-      metrics.cpu?.load?.['1min'] || null,
-      metrics.cpu?.load?.['5min'] || null,
-      metrics.cpu?.load?.['15min'] || null,
-      metrics.memory?.total || null,
-      metrics.memory?.used || null,
-      metrics.memory?.free || null,
-      metrics.memory?.cached || null,
-      metrics.disk?.disks?.[0]?.total || null,
-      metrics.disk?.disks?.[0]?.used || null,
-      metrics.disk?.disks?.[0]?.free || null,
-      metrics.network?.totals?.rxBytes || null,
-      metrics.network?.totals?.txBytes || null,
-    ]);
+    await storeMetricsSample(pool, agentId, timestamp || new Date(), metrics);
 
     // Update last_seen timestamp
     await pool.query(
@@ -144,6 +234,7 @@ export const submitMetrics = async (req, res) => {
       success: true,
       received: true,
       nextReportIn: 60, // seconds
+      rotateCredential: Boolean(req.agent.rotationRequested),
     });
   } catch (error) {
     logger.error('[Agent] Metrics submission error:', error);
@@ -155,12 +246,88 @@ export const submitMetrics = async (req, res) => {
   }
 };
 
+/**
+ * Submit spooled metrics from agent in one batch (replayed after an outage)
+ */
+export const submitMetricsBatch = async (req, res) => {
+  const { samples } = req.body;
+  const agentId = req.agent.id;
+
+  if (!agentId || !Array.isArray(samples) || samples.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Agent ID and a non-empty samples array are required',
+    });
+  }
+
+  if (samples.length > MAX_BATCH_SAMPLES) {
+    return res.status(400).json({
+      success: false,
+      error: `A batch may contain at most ${MAX_BATCH_SAMPLES} samples`,
+    });
+  }
+
+  if (samples.some((sample) => !sample?.metrics || Number.isNaN(Date.parse(sample.timestamp)))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Every sample needs metrics and a valid timestamp',
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const agentResult = await client.query(
+      "SELECT id FROM servers_agents WHERE id = $1 AND status <> 'revoked'",
+      [agentId]
+    );
+
+    if (agentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    // Keep the original sample timestamps and insert oldest first
+    const ordered = [...samples].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    await client.query('BEGIN');
+    for (const sample of ordered) {
+      await storeMetricsSample(client, agentId, new Date(sample.timestamp), sample.metrics);
+    }
+    await client.query(
+      'UPDATE servers_agents SET last_seen = NOW() WHERE id = $1',
+      [agentId]
+    );
+    await client.query('COMMIT');
+
+    logger.info(`[Agent] Replayed ${ordered.length} spooled samples from agent ${agentId}`);
+
+    res.json({
+      success: true,
+      received: true,
+      accepted: ordered.length,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('[Agent] Batch metrics submission error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit metrics batch',
+      message: error.message,
+    });
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * Heartbeat from agent
  */
 export const heartbeat = async (req, res) => {
   try {
-    const { agentId } = req.body;
+    const agentId = req.agent.id;
 
     if (!agentId) {
       return res.status(400).json({
@@ -171,7 +338,7 @@ export const heartbeat = async (req, res) => {
 
     // Update last_seen timestamp
     const result = await pool.query(
-      'UPDATE servers_agents SET last_seen = NOW() WHERE id = $1 RETURNING id',
+      "UPDATE servers_agents SET last_seen = NOW() WHERE id = $1 AND status <> 'revoked' RETURNING id",
       [agentId]
     );
 
@@ -185,6 +352,7 @@ export const heartbeat = async (req, res) => {
     res.json({
       success: true,
       status: 'ok',
+      rotateCredential: Boolean(req.agent.rotationRequested),
     });
   } catch (error) {
     logger.error('[Agent] Heartbeat error:', error);
@@ -203,7 +371,13 @@ export const getAgents = async (req, res) => {
     const result = await pool.query(`
       SELECT 
         id, hostname, os, arch, platform, agent_version,
-        status, last_seen, created_at
+        status, last_seen, created_at, server_id, rotation_requested, revoked_at,
+        (
+          SELECT key_id FROM agent_credentials c
+          WHERE c.agent_id = servers_agents.id AND c.status = 'active'
+          ORDER BY c.created_at DESC
+          LIMIT 1
+        ) AS active_key_id
       FROM servers_agents
       ORDER BY created_at DESC
     `);
@@ -227,7 +401,31 @@ export const getAgents = async (req, res) => {
 export const getAgentMetrics = async (req, res) => {
   try {
     const { id } = req.params;
-    const { limit = 100 } = req.query;
+    const { limit = 100, collector } = req.query;
+
+    // ?collector=processes|services|ports|logs returns that collector's history
+    if (collector) {
+      if (!SNAPSHOT_COLLECTORS.includes(collector)) {
+        return res.status(400).json({
+          success: false,
+          error: `Collector must be one of: ${SNAPSHOT_COLLECTORS.join(', ')}`,
+        });
+      }
+
+      const snapshots = await pool.query(`
+        SELECT collected_at, data
+        FROM agent_collector_snapshots
+        WHERE agent_id = $1 AND collector = $2
+        ORDER BY collected_at DESC
+        LIMIT $3
+      `, [id, collector, limit]);
+
+      return res.json({
+        success: true,
+        collector,
+        snapshots: snapshots.rows,
+      });
+    }
 
     const result = await pool.query(`
       SELECT *
@@ -237,9 +435,20 @@ export const getAgentMetrics = async (req, res) => {
       LIMIT $2
     `, [id, limit]);
 
+    // Latest snapshot of each extended collector
+    const latest = await pool.query(`
+      SELECT DISTINCT ON (collector) collector, collected_at, data
+      FROM agent_collector_snapshots
+      WHERE agent_id = $1
+      ORDER BY collector, collected_at DESC
+    `, [id]);
+
     res.json({
       success: true,
       metrics: result.rows,
+      latest: Object.fromEntries(
+        latest.rows.map((row) => [row.collector, { collectedAt: row.collected_at, ...row.data }])
+      ),
     });
   } catch (error) {
     logger.error('[Agent] Get metrics error:', error);
@@ -249,3 +458,316 @@ export const getAgentMetrics = async (req, res) => {
     });
   }
 };
+
+/**
+ * Long-poll for queued jobs (agent endpoint)
+ */
+export const getPendingJobs = async (req, res) => {
+  try {
+    const agentId = req.agent.id;
+    const wait = Math.min(parseInt(req.query.wait) || 0, MAX_JOB_WAIT_SECONDS);
+
+    if (!agentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Agent ID is required',
+      });
+    }
+
+    const agentResult = await pool.query(
+      "SELECT id FROM servers_agents WHERE id = $1 AND status = 'active'",
+      [agentId]
+    );
+
+    if (agentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+    });
+
+    const deadline = Date.now() + wait * 1000;
+    let jobs = await agentJobService.claimJobs(agentId, 5, req.agent.secret);
+
+    while (jobs.length === 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      // Don't claim jobs for a client that is no longer listening
+      if (closed) {
+        return;
+      }
+      jobs = await agentJobService.claimJobs(agentId, 5, req.agent.secret);
+    }
+
+    await pool.query(
+      'UPDATE servers_agents SET last_seen = NOW() WHERE id = $1',
+      [agentId]
+    );
+
+    res.json({
+      success: true,
+      jobs,
+    });
+  } catch (error) {
+    logger.error('[Agent] Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs',
+    });
+  }
+};
+
+/**
+ * Report the result of an executed job (agent endpoint)
+ */
+export const submitJobResult = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { success, result, error } = req.body;
+    const agentId = req.agent.id;
+
+    if (!agentId || typeof success !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Agent ID and success flag are required',
+      });
+    }
+
+    const job = await agentJobService.completeJob(agentId, jobId, {
+      success,
+      result,
+      error,
+    }, { legacy: Boolean(req.agent.legacy) });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dispatched job not found for this agent',
+      });
+    }
+
+    res.json({
+      success: true,
+      received: true,
+      status: job.status,
+    });
+  } catch (error) {
+    logger.error('[Agent] Job result error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record job result',
+    });
+  }
+};
+
+/**
+ * Create a single-use enrollment token (admin)
+ */
+export const createEnrollmentToken = async (req, res) => {
+  try {
+    const { serverId = null, description = null, expiresInHours = 24 } = req.body;
+
+    const hours = parseInt(expiresInHours);
+    if (!hours || hours < 1 || hours > 24 * 30) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresInHours must be between 1 and 720',
+      });
+    }
+
+    const enrollment = await agentCredentialService.createEnrollmentToken({
+      serverId,
+      description,
+      expiresInHours: hours,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      enrollment,
+      message: 'Copy this token now - it will not be shown again',
+    });
+  } catch (error) {
+    logger.error('[Agent] Create enrollment token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create enrollment token',
+    });
+  }
+};
+
+/**
+ * List enrollment tokens (admin)
+ */
+export const getEnrollmentTokens = async (req, res) => {
+  try {
+    const tokens = await agentCredentialService.listEnrollmentTokens();
+
+    res.json({
+      success: true,
+      tokens,
+    });
+  } catch (error) {
+    logger.error('[Agent] Get enrollment tokens error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch enrollment tokens',
+    });
+  }
+};
+
+/**
+ * Revoke an unused enrollment token (admin)
+ */
+export const revokeEnrollmentToken = async (req, res) => {
+  try {
+    const revoked = await agentCredentialService.revokeEnrollmentToken(req.params.tokenId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unused enrollment token not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Enrollment token revoked',
+    });
+  } catch (error) {
+    logger.error('[Agent] Revoke enrollment token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke enrollment token',
+    });
+  }
+};
+
+/**
+ * List an agent's credentials, without secrets (admin)
+ */
+export const getAgentCredentials = async (req, res) => {
+  try {
+    const credentials = await agentCredentialService.listCredentials(req.params.id);
+
+    res.json({
+      success: true,
+      credentials,
+    });
+  } catch (error) {
+    logger.error('[Agent] Get credentials error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch credentials',
+    });
+  }
+};
+
+/**
+ * Ask an agent to rotate its credential on its next report (admin)
+ */
+export const requestCredentialRotation = async (req, res) => {
+  try {
+    const requested = await agentCredentialService.requestRotation(req.params.id);
+
+    if (!requested) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    logger.info(`[Agent] Credential rotation requested for agent ${req.params.id}`, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Agent will rotate its credential on its next report',
+    });
+  } catch (error) {
+    logger.error('[Agent] Request rotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request credential rotation',
+    });
+  }
+};
+
+/**
+ * Link an agent to the hosting server it runs on, so provisioning jobs for
+ * that server go to it (admin)
+ */
+export const linkAgentServer = async (req, res) => {
+  try {
+    const serverId = req.body.serverId ?? null;
+
+    if (serverId !== null) {
+      const server = await pool.query('SELECT id FROM servers WHERE id = $1', [serverId]);
+      if (server.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Server not found',
+        });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE servers_agents SET server_id = $1, updated_at = NOW()
+       WHERE id = $2 AND status <> 'revoked'
+       RETURNING id, server_id`,
+      [serverId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    logger.info(`[Agent] Agent ${req.params.id} linked to server ${serverId ?? '(none)'}`, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      agent: result.rows[0],
+    });
+  } catch (error) {
+    logger.error('[Agent] Link server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to link agent to server',
+    });
+  }
+};
+
+/**
+ * Revoke an agent and all of its credentials (admin)
+ */
+export const revokeAgent = async (req, res) => {
+  try {
+    const revoked = await agentCredentialService.revokeAgent(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    logger.warn(`[Agent] Agent ${req.params.id} revoked`, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Agent revoked',
+    });
+  } catch (error) {
+    logger.error('[Agent] Revoke agent error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke agent',
+    });
+  }
+};
@@ -12,22 +12,44 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import archiver from 'archiver';
 import extract from 'extract-zip';
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+  createSnapshot,
+  copySnapshot,
+  loadManifest,
+  restoreSnapshot,
+  listSnapshotEntries,
+  deleteSnapshot
+} from '../services/backupSnapshotService.js';
+import { listDumpTables, extractTable } from '../utils/pgDump.js';
+import {
+  InvalidPassphraseError,
+  validatePassphrase,
+  getActiveKey,
+  getEncryptionStatus,
+  enableEncryption,
+  changePassphrase,
+  rotateKey,
+  disableEncryption,
+  unlockKey,
+  encryptorFor,
+  decryptorFor
+} from '../services/backupKeyService.js';
+import {
+  DestinationUnavailableError,
+  resolveDestinations,
+  openStorage
+} from '../services/backupDestinationService.js';
+import {
+  DEFAULT_RETENTION,
+  RETENTION_RULES,
+  normalizeRetention,
+  scheduleRetention,
+  validateRetention,
+  selectRetained
+} from '../services/backupRetentionService.js';
 
 const execAsync = promisify(exec);
 
-// Initialize S3/MinIO client
-const s3Client = new S3Client({
-  endpoint: process.env.S3_ENDPOINT || 'http://localhost:9000',
-  region: process.env.S3_REGION || 'us-east-1',
-  credentials: {
-    accessKeyId: process.env.S3_ACCESS_KEY || 'minioadmin',
-    secretAccessKey: process.env.S3_SECRET_KEY || 'minioadmin',
-  },
-  forcePathStyle: true, // Required for MinIO
-});
-
-const BACKUP_BUCKET = process.env.BACKUP_BUCKET || 'mpanel-backups';
 const BACKUP_DIR = process.env.BACKUP_DIR || '/var/mpanel/backups';
 
 /**
@@ -98,11 +120,14 @@ export const getBackup = async (req, res) => {
 export const createBackup = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { type, resource_type, resource_id, description } = req.body;
+    const { type, resource_type, resource_id, description, destination_ids } = req.body;
 
     if (!type || !resource_type || !resource_id) {
       return res.status(400).json({ error: 'Type, resource_type, and resource_id are required' });
     }
+    if (destination_ids !== undefined && !Array.isArray(destination_ids)) {
+      return res.status(400).json({ error: 'destination_ids must be a list' });
+    }
 
     // Validate resource ownership
     const ownershipCheck = await verifyResourceOwnership(userId, resource_type, resource_id);
@@ -110,19 +135,21 @@ export const createBackup = async (req, res) => {
       return res.status(403).json({ error: 'You do not have access to this resource' });
     }
 
+    const destinations = await resolveDestinations(userId, { destinationIds: destination_ids });
+
     // Create backup record
     const backupName = `${resource_type}_${resource_id}_${Date.now()}`;
     const result = await pool.query(
-      `INSERT INTO backups (user_id, name, type, resource_type, resource_id, description, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO backups (user_id, name, type, resource_type, resource_id, description, status, destination_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [userId, backupName, type, resource_type, resource_id, description, 'pending']
+      [userId, backupName, type, resource_type, resource_id, description, 'pending', destinations[0].id]
     );
 
     const backup = result.rows[0];
 
     // Start backup process asynchronously
-    performBackup(backup.id, userId, resource_type, resource_id)
+    performBackup(backup.id, userId, resource_type, resource_id, destinations)
       .catch(error => logger.error(`Backup ${backup.id} failed:`, error));
 
     // Log activity
@@ -134,15 +161,21 @@ export const createBackup = async (req, res) => {
     logger.info(`Backup initiated: ${backupName}`);
     res.status(201).json(backup);
   } catch (error) {
+    if (error instanceof DestinationUnavailableError) {
+      return res.status(422).json({ error: error.message });
+    }
     logger.error('Error creating backup:', error);
     res.status(500).json({ error: 'Failed to create backup' });
   }
 };
 
 /**
- * Perform actual backup process
+ * Perform actual backup process: write it to the first destination, then
+ * copy it to the others
  */
-async function performBackup(backupId, userId, resourceType, resourceId) {
+async function performBackup(backupId, userId, resourceType, resourceId, destinations) {
+  const [primary, ...copies] = destinations;
+
   try {
     // Update status to in_progress
     await pool.query(
@@ -150,46 +183,73 @@ async function performBackup(backupId, userId, resourceType, resourceId) {
       ['in_progress', backupId]
     );
 
-    let backupPath;
-    let size = 0;
-
-    // Perform backup based on resource type
-    switch (resourceType) {
-      case 'website':
-        backupPath = await backupWebsite(resourceId);
-        break;
-      case 'database':
-        backupPath = await backupDatabase(resourceId);
-        break;
-      case 'email':
-        backupPath = await backupEmail(resourceId);
-        break;
-      case 'full':
-        backupPath = await backupFull(userId);
-        break;
-      default:
-        throw new Error(`Unknown resource type: ${resourceType}`);
+    // Customers holding their own key get backups only they can read
+    const key = await getActiveKey(userId);
+    const encryption = key ? encryptorFor(key) : null;
+    const store = await openStorage(primary);
+
+    try {
+      // Websites and full accounts are deduplicated snapshots: only chunks the
+      // destination does not already hold are uploaded
+      if (resourceType === 'website' || resourceType === 'full') {
+        const sources = resourceType === 'website'
+          ? await websiteSources(resourceId)
+          : await fullAccountSources(userId);
+        const snapshot = await createSnapshot(
+          { id: backupId, user_id: userId, resource_type: resourceType, resource_id: resourceId },
+          sources,
+          { store, destinationId: primary.id, encryption }
+        );
+
+        await pool.query(
+          `UPDATE backups
+           SET status = $1, format = 'snapshot', path = $2, size = $3, uploaded_size = $4,
+               chunk_count = $5, new_chunk_count = $6, encryption_key_id = $7, destination_id = $8, completed_at = NOW()
+           WHERE id = $9`,
+          ['completed', snapshot.path, snapshot.size, snapshot.uploadedSize, snapshot.chunkCount, snapshot.newChunkCount, encryption?.keyId ?? null, primary.id, backupId]
+        );
+        await recordCopy(backupId, primary.id, { path: snapshot.path, storedSize: snapshot.uploadedSize });
+      } else {
+        let backupPath;
+
+        // Perform backup based on resource type
+        switch (resourceType) {
+          case 'database':
+            backupPath = await backupDatabase(resourceId);
+            break;
+          case 'email':
+            backupPath = await backupEmail(resourceId);
+            break;
+          default:
+            throw new Error(`Unknown resource type: ${resourceType}`);
+        }
+
+        if (encryption) {
+          await fs.writeFile(backupPath, encryption.seal(await fs.readFile(backupPath)));
+        }
+
+        // Upload to the destination
+        const body = await fs.readFile(backupPath);
+        const storageKey = `backups/${userId}/${path.basename(backupPath)}`;
+        await store.put(storageKey, body);
+
+        // Update backup record
+        await pool.query(
+          `UPDATE backups 
+           SET status = $1, format = 'archive', path = $2, size = $3, uploaded_size = $3, encryption_key_id = $4,
+               destination_id = $5, completed_at = NOW()
+           WHERE id = $6`,
+          ['completed', storageKey, body.length, encryption?.keyId ?? null, primary.id, backupId]
+        );
+        await recordCopy(backupId, primary.id, { path: storageKey, storedSize: body.length });
+
+        // Clean up local file
+        await fs.unlink(backupPath);
+      }
+    } finally {
+      await store.close();
     }
 
-    // Get file size
-    const stats = await fs.stat(backupPath);
-    size = stats.size;
-
-    // Upload to S3/MinIO
-    const s3Key = `backups/${userId}/${path.basename(backupPath)}`;
-    await uploadToS3(backupPath, s3Key);
-
-    // Update backup record
-    await pool.query(
-      `UPDATE backups 
-       SET status = $1, path = $2, size = $3, completed_at = NOW()
-       WHERE id = $4`,
-      ['completed', s3Key, size, backupId]
-    );
-
-    // Clean up local file
-    await fs.unlink(backupPath);
-
     logger.info(`Backup ${backupId} completed successfully`);
   } catch (error) {
     logger.error(`Backup ${backupId} failed:`, error);
@@ -197,32 +257,68 @@ async function performBackup(backupId, userId, resourceType, resourceId) {
       `UPDATE backups SET status = $1, error = $2 WHERE id = $3`,
       ['failed', error.message, backupId]
     );
+    return;
+  }
+
+  if (copies.length > 0) {
+    await copyBackup(backupId, primary, copies);
+  }
+}
+
+async function recordCopy(backupId, destinationId, { path: copyPath = null, storedSize = null, error = null }) {
+  await pool.query(
+    `INSERT INTO backup_copies (backup_id, destination_id, path, stored_size, status, error, completed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $6::text IS NULL THEN NOW() END)
+     ON CONFLICT (backup_id, destination_id) DO UPDATE
+     SET path = EXCLUDED.path, stored_size = EXCLUDED.stored_size, status = EXCLUDED.status,
+         error = EXCLUDED.error, completed_at = EXCLUDED.completed_at`,
+    [backupId, destinationId, copyPath, storedSize, error ? 'failed' : 'completed', error]
+  );
+}
+
+/**
+ * Copy a completed backup from its primary destination to the others. A copy
+ * that fails is recorded on its destination; the backup itself stands.
+ */
+async function copyBackup(backupId, primary, destinations) {
+  const result = await pool.query(`SELECT * FROM backups WHERE id = $1`, [backupId]);
+  const backup = result.rows[0];
+  const from = await openStorage(primary);
+
+  try {
+    for (const destination of destinations) {
+      let to = null;
+      try {
+        to = await openStorage(destination);
+        if (backup.format === 'snapshot') {
+          const copied = await copySnapshot(backup, { from, fromId: primary.id, to, toId: destination.id });
+          await recordCopy(backupId, destination.id, { path: backup.path, storedSize: copied.uploadedSize });
+        } else {
+          const body = await from.get(backup.path);
+          await to.put(backup.path, body);
+          await recordCopy(backupId, destination.id, { path: backup.path, storedSize: body.length });
+        }
+      } catch (error) {
+        logger.error(`Copying backup ${backupId} to destination ${destination.id} failed:`, error);
+        await recordCopy(backupId, destination.id, { path: backup.path, error: error.message });
+      } finally {
+        await to?.close();
+      }
+    }
+  } finally {
+    await from.close();
   }
 }
 
 /**
- * Backup website files
+ * Snapshot sources for a website's files
  */
-async function backupWebsite(websiteId) {
+async function websiteSources(websiteId) {
   const website = await pool.query(`SELECT * FROM websites WHERE id = $1`, [websiteId]);
   if (website.rows.length === 0) throw new Error('Website not found');
 
   const sitePath = website.rows[0].path || `/var/www/${website.rows[0].domain}`;
-  const backupPath = path.join(BACKUP_DIR, `website_${websiteId}_${Date.now()}.zip`);
-
-  await fs.mkdir(BACKUP_DIR, { recursive: true });
-
-  return new Promise((resolve, reject) => {
-    const output = require('fs').createWriteStream(backupPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-
-    output.on('close', () => resolve(backupPath));
-    archive.on('error', reject);
-
-    archive.pipe(output);
-    archive.directory(sitePath, false);
-    archive.finalize();
-  });
+  return [{ type: 'directory', path: sitePath, prefix: '' }];
 }
 
 /**
@@ -272,54 +368,26 @@ async function backupEmail(emailId) {
 }
 
 /**
- * Full account backup
+ * Snapshot sources for a full account: every website and a dump of every database
  */
-async function backupFull(userId) {
-  const backupPath = path.join(BACKUP_DIR, `full_${userId}_${Date.now()}.zip`);
-  await fs.mkdir(BACKUP_DIR, { recursive: true });
-
-  return new Promise(async (resolve, reject) => {
-    const output = require('fs').createWriteStream(backupPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
+async function fullAccountSources(userId) {
+  const sources = [];
 
-    output.on('close', () => resolve(backupPath));
-    archive.on('error', reject);
-
-    archive.pipe(output);
-
-    // Add all user websites
-    const websites = await pool.query(`SELECT * FROM websites WHERE user_id = $1`, [userId]);
-    for (const site of websites.rows) {
-      const sitePath = site.path || `/var/www/${site.domain}`;
-      archive.directory(sitePath, `websites/${site.domain}`);
-    }
-
-    // Add all user databases
-    const databases = await pool.query(`SELECT * FROM databases WHERE user_id = $1`, [userId]);
-    for (const db of databases.rows) {
-      const { stdout } = await execAsync(
-        `pg_dump -h ${process.env.DB_HOST || 'localhost'} -U ${process.env.DB_USER || 'postgres'} ${db.name}`
-      );
-      archive.append(stdout, { name: `databases/${db.name}.sql` });
-    }
-
-    archive.finalize();
-  });
-}
+  const websites = await pool.query(`SELECT * FROM websites WHERE user_id = $1`, [userId]);
+  for (const site of websites.rows) {
+    const sitePath = site.path || `/var/www/${site.domain}`;
+    sources.push({ type: 'directory', path: sitePath, prefix: `websites/${site.domain}` });
+  }
 
-/**
- * Upload file to S3/MinIO
- */
-async function uploadToS3(filePath, key) {
-  const fileContent = await fs.readFile(filePath);
-  
-  const command = new PutObjectCommand({
-    Bucket: BACKUP_BUCKET,
-    Key: key,
-    Body: fileContent,
-  });
+  const databases = await pool.query(`SELECT * FROM databases WHERE user_id = $1`, [userId]);
+  for (const db of databases.rows) {
+    const { stdout } = await execAsync(
+      `pg_dump -h ${process.env.DB_HOST || 'localhost'} -U ${process.env.DB_USER || 'postgres'} ${db.name}`
+    );
+    sources.push({ type: 'file', name: `databases/${db.name}.sql`, content: stdout });
+  }
 
-  await s3Client.send(command);
+  return sources;
 }
 
 /**
@@ -348,9 +416,15 @@ export const restoreBackup = async (req, res) => {
       return res.status(400).json({ error: 'Backup is not in a restorable state' });
     }
 
+    const decryption = await unlockForRequest(req, res, backupData);
+    if (decryption === false) return;
+    const store = await storageForRequest(req, res, backupData);
+    if (store === false) return;
+
     // Start restore process asynchronously
-    performRestore(backupData)
-      .catch(error => logger.error(`Restore ${id} failed:`, error));
+    performRestore(backupData, store, decryption)
+      .catch(error => logger.error(`Restore ${id} failed:`, error))
+      .finally(() => store.close());
 
     // Log activity
     await pool.query(
@@ -368,11 +442,17 @@ export const restoreBackup = async (req, res) => {
 /**
  * Perform actual restore process
  */
-async function performRestore(backup) {
+async function performRestore(backup, store, decryption = null) {
   try {
-    // Download from S3
+    if (backup.format === 'snapshot') {
+      await restoreFromSnapshot(backup, store, decryption);
+      logger.info(`Restore completed for backup ${backup.id}`);
+      return;
+    }
+
+    // Download from the destination
     const localPath = path.join(BACKUP_DIR, path.basename(backup.path));
-    await downloadFromS3(backup.path, localPath);
+    await downloadBackup(store, backup.path, localPath, decryption);
 
     // Restore based on resource type
     switch (backup.resource_type) {
@@ -401,22 +481,49 @@ async function performRestore(backup) {
 }
 
 /**
- * Download file from S3/MinIO
+ * Restore a website or full account from a deduplicated snapshot
  */
-async function downloadFromS3(key, localPath) {
-  const command = new GetObjectCommand({
-    Bucket: BACKUP_BUCKET,
-    Key: key,
-  });
+async function restoreFromSnapshot(backup, store, encryption) {
+  const manifest = await loadManifest(backup, { store, encryption });
+
+  if (backup.resource_type === 'full') {
+    const extractPath = path.join(BACKUP_DIR, `restore_${backup.user_id}_${Date.now()}`);
+    await restoreSnapshot(manifest, extractPath, { store, encryption });
+    // An account without websites or databases has no entries under them
+    await fs.mkdir(path.join(extractPath, 'websites'), { recursive: true });
+    await fs.mkdir(path.join(extractPath, 'databases'), { recursive: true });
+    await restoreAccountTree(extractPath);
+    return;
+  }
 
-  const response = await s3Client.send(command);
-  const chunks = [];
-  
-  for await (const chunk of response.Body) {
-    chunks.push(chunk);
+  const website = await pool.query(`SELECT * FROM websites WHERE id = $1`, [backup.resource_id]);
+  if (website.rows.length === 0) throw new Error('Website not found');
+
+  const sitePath = website.rows[0].path || `/var/www/${website.rows[0].domain}`;
+
+  // Backup current state before restore
+  const backupCurrent = `${sitePath}_backup_${Date.now()}`;
+  await execAsync(`mv ${sitePath} ${backupCurrent}`);
+
+  try {
+    await restoreSnapshot(manifest, sitePath, { store, encryption });
+  } catch (error) {
+    // Restore original on failure
+    await execAsync(`rm -rf ${sitePath}`);
+    await execAsync(`mv ${backupCurrent} ${sitePath}`);
+    throw error;
   }
-  
-  await fs.writeFile(localPath, Buffer.concat(chunks));
+
+  await execAsync(`rm -rf ${backupCurrent}`);
+}
+
+/**
+ * Download a backup file from its destination, opening it if it was sealed
+ * to a customer key
+ */
+async function downloadBackup(store, key, localPath, decryption = null) {
+  const body = await store.get(key);
+  await fs.writeFile(localPath, decryption ? decryption.open(body) : body);
 }
 
 /**
@@ -495,7 +602,13 @@ async function restoreEmail(emailId, backupPath) {
 async function restoreFull(userId, backupPath) {
   const extractPath = path.join(BACKUP_DIR, `restore_${userId}_${Date.now()}`);
   await extract(backupPath, { dir: extractPath });
+  await restoreAccountTree(extractPath);
+}
 
+/**
+ * Put back the websites and databases of an extracted full account backup
+ */
+async function restoreAccountTree(extractPath) {
   // Restore websites
   const websitesPath = path.join(extractPath, 'websites');
   const websites = await fs.readdir(websitesPath);
@@ -519,33 +632,384 @@ async function restoreFull(userId, backupPath) {
 }
 
 /**
- * Delete backup
+ * Clean a path inside a backup or site; null when it tries to leave it
  */
-export const deleteBackup = async (req, res) => {
+function normalizeBackupPath(value) {
+  if (typeof value !== 'string' || value.includes('\0')) return null;
+  const parts = value.split('/').filter(Boolean);
+  if (parts.some((part) => part === '.' || part === '..')) return null;
+  return parts.join('/');
+}
+
+const backupDate = (backup) => new Date(backup.created_at).toISOString().slice(0, 10);
+
+/**
+ * Backup the user can see, or null
+ */
+async function findUserBackup(id, user) {
+  const isAdmin = user.role === 'admin';
+  const result = await pool.query(
+    isAdmin ? `SELECT * FROM backups WHERE id = $1` : `SELECT * FROM backups WHERE id = $1 AND user_id = $2`,
+    isAdmin ? [id] : [id, user.id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Unlock a backup sealed to a customer key with the passphrase sent in the
+ * body or, for GETs, the X-Backup-Passphrase header. Null for backups that
+ * are not sealed; false once an error response has been sent.
+ */
+async function unlockForRequest(req, res, backup) {
+  if (!backup.encryption_key_id) return null;
+
+  const passphrase = req.body?.passphrase || req.get('X-Backup-Passphrase');
+  if (!passphrase) {
+    res.status(400).json({ error: 'This backup is encrypted with your backup passphrase', passphrase_required: true });
+    return false;
+  }
+
+  try {
+    return decryptorFor(await unlockKey(backup.encryption_key_id, passphrase, backup.user_id));
+  } catch (error) {
+    if (error instanceof InvalidPassphraseError) {
+      res.status(403).json({ error: error.message, passphrase_required: true });
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Storage to read a backup from: its copy on the destination the request
+ * names (destination_id in the body or query), or else where it was written.
+ * False once an error response has been sent; close it when done.
+ */
+async function storageForRequest(req, res, backup) {
+  const requested = req.body?.destination_id ?? req.query.destination_id;
+  const destinationId = requested === undefined || requested === '' ? backup.destination_id : Number(requested);
+
+  const result = await pool.query(
+    `SELECT d.* FROM backup_copies c
+     JOIN backup_destinations d ON d.id = c.destination_id
+     WHERE c.backup_id = $1 AND c.destination_id = $2 AND c.status = 'completed'`,
+    [backup.id, destinationId]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Backup has no copy on that destination' });
+    return false;
+  }
+  return openStorage(result.rows[0]);
+}
+
+/**
+ * The SQL dump inside a backup: the backup itself for a database, or
+ * databases/<name>.sql from a full account snapshot. Null if it has none.
+ */
+async function readBackupDump(backup, store, database, encryption = null) {
+  const workDir = path.join(BACKUP_DIR, `browse_${backup.id}_${Date.now()}`);
+  await fs.mkdir(workDir, { recursive: true });
+
+  try {
+    if (backup.resource_type === 'database' && backup.format !== 'snapshot') {
+      const localPath = path.join(workDir, 'dump.sql');
+      await downloadBackup(store, backup.path, localPath, encryption);
+      return await fs.readFile(localPath, 'utf-8');
+    }
+
+    const file = `databases/${database}.sql`;
+    const manifest = await loadManifest(backup, { store, encryption });
+    if (!manifest.entries.some((entry) => entry.path === file)) return null;
+
+    await restoreSnapshot(manifest, workDir, { store, paths: [file], encryption });
+    return await fs.readFile(path.join(workDir, file), 'utf-8');
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Browse the files in a backup
+ */
+export const getBackupContents = async (req, res) => {
+  try {
+    const backup = await findUserBackup(req.params.id, req.user);
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    if (backup.status !== 'completed') {
+      return res.status(400).json({ error: 'Backup is not in a restorable state' });
+    }
+    if (backup.format !== 'snapshot') {
+      return res.status(422).json({ error: 'This backup is a single archive and can only be restored as a whole' });
+    }
+
+    const dir = normalizeBackupPath(req.query.path || '');
+    if (dir === null) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+
+    const decryption = await unlockForRequest(req, res, backup);
+    if (decryption === false) return;
+    const store = await storageForRequest(req, res, backup);
+    if (store === false) return;
+
+    try {
+      const manifest = await loadManifest(backup, { store, encryption: decryption });
+      res.json({ path: dir, entries: listSnapshotEntries(manifest, dir) });
+    } finally {
+      await store.close();
+    }
+  } catch (error) {
+    logger.error('Error fetching backup contents:', error);
+    res.status(500).json({ error: 'Failed to fetch backup contents' });
+  }
+};
+
+/**
+ * List the tables in a database backup, or in one database of a full account backup
+ */
+export const getBackupTables = async (req, res) => {
+  try {
+    const backup = await findUserBackup(req.params.id, req.user);
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    if (backup.status !== 'completed') {
+      return res.status(400).json({ error: 'Backup is not in a restorable state' });
+    }
+    if (backup.resource_type !== 'database' && backup.resource_type !== 'full') {
+      return res.status(422).json({ error: 'Only database and full account backups contain tables' });
+    }
+
+    if (backup.resource_type === 'full' && backup.format !== 'snapshot') {
+      return res.status(422).json({ error: 'This backup is a single archive and can only be restored as a whole' });
+    }
+
+    const { database } = req.query;
+    if (backup.resource_type === 'full' && !database) {
+      return res.status(400).json({ error: 'Database is required for a full account backup' });
+    }
+
+    const decryption = await unlockForRequest(req, res, backup);
+    if (decryption === false) return;
+    const store = await storageForRequest(req, res, backup);
+    if (store === false) return;
+
+    const dump = await readBackupDump(backup, store, database, decryption).finally(() => store.close());
+    if (dump === null) {
+      return res.status(404).json({ error: 'Database not found in backup' });
+    }
+
+    res.json({ database: database || null, tables: listDumpTables(dump) });
+  } catch (error) {
+    logger.error('Error fetching backup tables:', error);
+    res.status(500).json({ error: 'Failed to fetch backup tables' });
+  }
+};
+
+/**
+ * Restore selected files and directories from a website or full account
+ * backup, next to the live site (restored-<date>) or over it
+ */
+export const restoreBackupFiles = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
+    const { paths, destination } = req.body;
 
     const backup = await pool.query(
       `SELECT * FROM backups WHERE id = $1 AND user_id = $2`,
       [id, userId]
     );
+    if (backup.rows.length === 0) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const backupData = backup.rows[0];
+    if (backupData.status !== 'completed') {
+      return res.status(400).json({ error: 'Backup is not in a restorable state' });
+    }
+    if (backupData.format !== 'snapshot') {
+      return res.status(422).json({ error: 'This backup is a single archive and can only be restored as a whole' });
+    }
+
+    const selected = Array.isArray(paths) ? paths.map(normalizeBackupPath) : [];
+    if (selected.length === 0 || selected.some((selectedPath) => !selectedPath)) {
+      return res.status(400).json({ error: 'Paths must be a list of files or directories in the backup' });
+    }
+    const target = destination === undefined ? `restored-${backupDate(backupData)}` : normalizeBackupPath(destination);
+    if (target === null) {
+      return res.status(400).json({ error: 'Destination must be a path inside the website' });
+    }
+
+    // A full account backup holds websites/<domain>/...; restore into one site at a time
+    let website;
+    let prefix = '';
+    if (backupData.resource_type === 'full') {
+      const domains = new Set(selected.map((selectedPath) => selectedPath.match(/^websites\/([^/]+)/)?.[1]));
+      if (domains.size !== 1 || domains.has(undefined)) {
+        return res.status(400).json({ error: 'Select files from one website at a time' });
+      }
+      const [domain] = domains;
+      prefix = `websites/${domain}`;
+      website = await pool.query(`SELECT * FROM websites WHERE domain = $1 AND user_id = $2`, [domain, backupData.user_id]);
+    } else if (backupData.resource_type === 'website') {
+      website = await pool.query(`SELECT * FROM websites WHERE id = $1`, [backupData.resource_id]);
+    } else {
+      return res.status(422).json({ error: 'Only website and full account backups contain files' });
+    }
+    if (website.rows.length === 0) {
+      return res.status(422).json({ error: 'The website this backup belongs to no longer exists' });
+    }
+
+    const decryption = await unlockForRequest(req, res, backupData);
+    if (decryption === false) return;
+    const store = await storageForRequest(req, res, backupData);
+    if (store === false) return;
+
+    const relative = selected.map((selectedPath) => (prefix ? selectedPath.slice(prefix.length + 1) : selectedPath));
+    let manifest;
+    try {
+      manifest = await loadManifest(backupData, { store, encryption: decryption });
+    } catch (error) {
+      await store.close();
+      throw error;
+    }
+    const missing = selected.filter((selectedPath) => !manifest.entries.some(
+      (entry) => entry.path === selectedPath || entry.path.startsWith(`${selectedPath}/`)
+    ));
+    if (missing.length > 0) {
+      await store.close();
+      return res.status(404).json({ error: `Not found in backup: ${missing.join(', ')}` });
+    }
 
+    const sitePath = website.rows[0].path || `/var/www/${website.rows[0].domain}`;
+    const targetDir = path.join(sitePath, target);
+    // Selecting websites/<domain> itself means the whole site
+    const restorePaths = relative.includes('') ? null : relative;
+
+    // The destination is inside the customer's site, which may hold links to anywhere
+    restoreSnapshot(manifest, targetDir, { store, prefix, paths: restorePaths, encryption: decryption, jail: sitePath })
+      .then((restored) => pool.query(
+        `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+        [userId, 'backup_restored', `Restored ${restored.files} files from backup #${id} to ${target || 'their original location'}`]
+      ))
+      .catch(error => logger.error(`File restore from backup ${id} failed:`, error))
+      .finally(() => store.close());
+
+    logger.info(`File restore initiated from backup ${id}: ${selected.join(', ')} -> ${targetDir}`);
+    res.status(202).json({ message: 'Restore initiated', destination: target });
+  } catch (error) {
+    logger.error('Error restoring backup files:', error);
+    res.status(500).json({ error: 'Failed to restore backup files' });
+  }
+};
+
+/**
+ * Restore one table from a database or full account backup, either next to
+ * the live one (in a restored_<date> schema) or in its place
+ */
+export const restoreBackupTable = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { table, schema = 'public', database, mode = 'side_by_side' } = req.body;
+
+    if (typeof table !== 'string' || !table || typeof schema !== 'string') {
+      return res.status(400).json({ error: 'Table is required' });
+    }
+    if (!['side_by_side', 'replace'].includes(mode)) {
+      return res.status(400).json({ error: 'Mode must be side_by_side or replace' });
+    }
+
+    const backup = await pool.query(
+      `SELECT * FROM backups WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
     if (backup.rows.length === 0) {
       return res.status(404).json({ error: 'Backup not found' });
     }
 
     const backupData = backup.rows[0];
+    if (backupData.status !== 'completed') {
+      return res.status(400).json({ error: 'Backup is not in a restorable state' });
+    }
+
+    let db;
+    if (backupData.resource_type === 'database') {
+      db = await pool.query(`SELECT * FROM databases WHERE id = $1`, [backupData.resource_id]);
+    } else if (backupData.resource_type === 'full') {
+      if (backupData.format !== 'snapshot') {
+        return res.status(422).json({ error: 'This backup is a single archive and can only be restored as a whole' });
+      }
+      if (!database) {
+        return res.status(400).json({ error: 'Database is required for a full account backup' });
+      }
+      db = await pool.query(`SELECT * FROM databases WHERE name = $1 AND user_id = $2`, [database, backupData.user_id]);
+    } else {
+      return res.status(422).json({ error: 'Only database and full account backups contain tables' });
+    }
+    if (db.rows.length === 0) {
+      return res.status(422).json({ error: 'The database this backup belongs to no longer exists' });
+    }
+
+    const decryption = await unlockForRequest(req, res, backupData);
+    if (decryption === false) return;
+    const store = await storageForRequest(req, res, backupData);
+    if (store === false) return;
+
+    const dbName = db.rows[0].name;
+    const dump = await readBackupDump(backupData, store, dbName, decryption).finally(() => store.close());
+    const targetSchema = mode === 'side_by_side' ? `restored_${backupDate(backupData).replace(/-/g, '')}` : null;
+    const sql = dump === null ? null : extractTable(dump, table, { schema, targetSchema, replace: mode === 'replace' });
+    if (sql === null) {
+      return res.status(404).json({ error: `Table ${schema}.${table} not found in backup` });
+    }
 
-    // Delete from S3
-    if (backupData.path) {
-      const command = new DeleteObjectCommand({
-        Bucket: BACKUP_BUCKET,
-        Key: backupData.path,
-      });
-      await s3Client.send(command);
+    const sqlPath = path.join(BACKUP_DIR, `table_${id}_${Date.now()}.sql`);
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    await fs.writeFile(sqlPath, sql);
+
+    // One transaction: a replace that fails (say, other tables still
+    // reference the live one) leaves the live table as it was
+    execAsync(
+      `psql -h ${process.env.DB_HOST || 'localhost'} -U ${process.env.DB_USER || 'postgres'} -v ON_ERROR_STOP=1 --single-transaction ${dbName} < ${sqlPath}`
+    )
+      .then(() => pool.query(
+        `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+        [userId, 'backup_restored', `Restored table ${schema}.${table} from backup #${id} into ${targetSchema || schema} of ${dbName}`]
+      ))
+      .catch(error => logger.error(`Table restore from backup ${id} failed:`, error))
+      .finally(() => fs.unlink(sqlPath).catch(() => {}));
+
+    logger.info(`Table restore initiated from backup ${id}: ${schema}.${table} -> ${dbName}.${targetSchema || schema}`);
+    res.status(202).json({ message: 'Restore initiated', database: dbName, schema: targetSchema || schema, table });
+  } catch (error) {
+    logger.error('Error restoring backup table:', error);
+    res.status(500).json({ error: 'Failed to restore backup table' });
+  }
+};
+
+/**
+ * Delete backup
+ */
+export const deleteBackup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const backup = await pool.query(
+      `SELECT * FROM backups WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+
+    if (backup.rows.length === 0) {
+      return res.status(404).json({ error: 'Backup not found' });
     }
 
+    await removeBackupCopies(backup.rows[0]);
+
     // Delete from database
     await pool.query(`DELETE FROM backups WHERE id = $1`, [id]);
 
@@ -563,6 +1027,179 @@ export const deleteBackup = async (req, res) => {
   }
 };
 
+/**
+ * Delete a backup from every destination holding a copy. A snapshot's chunks
+ * are left for garbage collection, since other snapshots may share them.
+ * @param {Object} backup - backups row
+ */
+export async function removeBackupCopies(backup) {
+  const copies = await pool.query(
+    `SELECT c.path, d.* FROM backup_copies c
+     JOIN backup_destinations d ON d.id = c.destination_id
+     WHERE c.backup_id = $1`,
+    [backup.id]
+  );
+
+  for (const { path: copyPath, ...destination } of copies.rows) {
+    if (!copyPath) continue;
+    const store = await openStorage(destination);
+    try {
+      if (backup.format === 'snapshot') {
+        await deleteSnapshot({ ...backup, path: copyPath }, { store });
+      } else {
+        await store.delete(copyPath);
+      }
+    } finally {
+      await store.close();
+    }
+  }
+}
+
+/**
+ * Customer-held encryption status and key versions
+ */
+export const getEncryption = async (req, res) => {
+  try {
+    res.json(await getEncryptionStatus(req.user.id));
+  } catch (error) {
+    logger.error('Error fetching backup encryption:', error);
+    res.status(500).json({ error: 'Failed to fetch backup encryption' });
+  }
+};
+
+/**
+ * Encrypt future backups with a key only the customer's passphrase unlocks
+ */
+export const enableBackupEncryption = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { passphrase } = req.body;
+
+    const invalid = validatePassphrase(passphrase);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (await getActiveKey(userId)) {
+      return res.status(409).json({ error: 'Backup encryption is already enabled' });
+    }
+
+    const key = await enableEncryption(userId, passphrase);
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+      [userId, 'backup_encryption_enabled', `Enabled backup encryption (key version ${key.version})`]
+    );
+
+    res.status(201).json(await getEncryptionStatus(userId));
+  } catch (error) {
+    if (error instanceof InvalidPassphraseError) {
+      return res.status(403).json({ error: 'Use the passphrase of your earlier backup keys' });
+    }
+    logger.error('Error enabling backup encryption:', error);
+    res.status(500).json({ error: 'Failed to enable backup encryption' });
+  }
+};
+
+/**
+ * Change the backup passphrase; keys are re-wrapped, backups are untouched
+ */
+export const changeBackupPassphrase = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { current_passphrase, new_passphrase } = req.body;
+
+    if (!current_passphrase) {
+      return res.status(400).json({ error: 'Current passphrase is required' });
+    }
+    const invalid = validatePassphrase(new_passphrase);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const rewrapped = await changePassphrase(userId, current_passphrase, new_passphrase);
+    if (rewrapped === 0) {
+      return res.status(404).json({ error: 'Backup encryption has never been enabled' });
+    }
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+      [userId, 'backup_passphrase_changed', `Changed backup passphrase (${rewrapped} keys re-wrapped)`]
+    );
+
+    res.json({ message: 'Backup passphrase changed', keys: rewrapped });
+  } catch (error) {
+    if (error instanceof InvalidPassphraseError) {
+      return res.status(403).json({ error: error.message });
+    }
+    logger.error('Error changing backup passphrase:', error);
+    res.status(500).json({ error: 'Failed to change backup passphrase' });
+  }
+};
+
+/**
+ * Start a new backup key; older backups stay readable with theirs
+ */
+export const rotateBackupKey = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { passphrase } = req.body;
+
+    if (!passphrase) {
+      return res.status(400).json({ error: 'Passphrase is required' });
+    }
+    if (!(await getActiveKey(userId))) {
+      return res.status(422).json({ error: 'Backup encryption is not enabled' });
+    }
+
+    const key = await rotateKey(userId, passphrase);
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+      [userId, 'backup_key_rotated', `Rotated backup key (now version ${key.version})`]
+    );
+
+    res.json(await getEncryptionStatus(userId));
+  } catch (error) {
+    if (error instanceof InvalidPassphraseError) {
+      return res.status(403).json({ error: error.message });
+    }
+    logger.error('Error rotating backup key:', error);
+    res.status(500).json({ error: 'Failed to rotate backup key' });
+  }
+};
+
+/**
+ * Stop encrypting new backups; existing ones still need the passphrase
+ */
+export const disableBackupEncryption = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { passphrase } = req.body;
+
+    if (!passphrase) {
+      return res.status(400).json({ error: 'Passphrase is required' });
+    }
+    if (!(await getActiveKey(userId))) {
+      return res.status(422).json({ error: 'Backup encryption is not enabled' });
+    }
+
+    await disableEncryption(userId, passphrase);
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+      [userId, 'backup_encryption_disabled', 'Disabled backup encryption for new backups']
+    );
+
+    res.json(await getEncryptionStatus(userId));
+  } catch (error) {
+    if (error instanceof InvalidPassphraseError) {
+      return res.status(403).json({ error: error.message });
+    }
+    logger.error('Error disabling backup encryption:', error);
+    res.status(500).json({ error: 'Failed to disable backup encryption' });
+  }
+};
+
 /**
  * Get backup schedules
  */
@@ -571,7 +1208,14 @@ export const getSchedules = async (req, res) => {
     const userId = req.user.id;
 
     const result = await pool.query(
-      `SELECT * FROM backup_schedules WHERE user_id = $1 ORDER BY created_at DESC`,
+      `SELECT s.*,
+              COALESCE(ARRAY(
+                SELECT destination_id FROM backup_schedule_destinations d
+                WHERE d.schedule_id = s.id ORDER BY d.position
+              ), '{}') AS destination_ids
+       FROM backup_schedules s
+       WHERE s.user_id = $1
+       ORDER BY s.created_at DESC`,
       [userId]
     );
 
@@ -584,57 +1228,111 @@ export const getSchedules = async (req, res) => {
 
 /**
  * Create backup schedule
+ * Body: { resource_type, resource_id, frequency, retention: { hourly, daily, weekly, monthly, yearly }, destination_ids }
  */
 export const createSchedule = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { resource_type, resource_id, frequency, retention_days } = req.body;
+    const { resource_type, resource_id, frequency, retention = DEFAULT_RETENTION, destination_ids = [] } = req.body;
 
     if (!resource_type || !resource_id || !frequency) {
       return res.status(400).json({ error: 'Resource type, resource ID, and frequency are required' });
     }
+    if (!SCHEDULE_INTERVALS[frequency]) {
+      return res.status(400).json({ error: 'Frequency must be hourly, daily, weekly or monthly' });
+    }
+    const errors = validateRetention(retention);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+    if (!Array.isArray(destination_ids)) {
+      return res.status(400).json({ error: 'destination_ids must be a list' });
+    }
+    if (!(await verifyResourceOwnership(userId, resource_type, resource_id))) {
+      return res.status(403).json({ error: 'You do not have access to this resource' });
+    }
+    if (destination_ids.length > 0) {
+      await resolveDestinations(userId, { destinationIds: destination_ids });
+    }
 
+    const keep = normalizeRetention(retention);
     const result = await pool.query(
-      `INSERT INTO backup_schedules (user_id, resource_type, resource_id, frequency, retention_days)
-       VALUES ($1, $2, $3, $4, $5)
+      `INSERT INTO backup_schedules
+         (user_id, resource_type, resource_id, frequency, keep_hourly, keep_daily, keep_weekly, keep_monthly, keep_yearly, next_run)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + $10::interval)
        RETURNING *`,
-      [userId, resource_type, resource_id, frequency, retention_days || 30]
+      [userId, resource_type, resource_id, frequency, ...RETENTION_RULES.map((rule) => keep[rule]), SCHEDULE_INTERVALS[frequency]]
     );
+    const schedule = result.rows[0];
+    schedule.destination_ids = await setScheduleDestinations(schedule.id, destination_ids);
 
     logger.info(`Backup schedule created for ${resource_type} #${resource_id}`);
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(schedule);
   } catch (error) {
+    if (error instanceof DestinationUnavailableError) {
+      return res.status(422).json({ error: error.message });
+    }
     logger.error('Error creating backup schedule:', error);
     res.status(500).json({ error: 'Failed to create backup schedule' });
   }
 };
 
 /**
- * Update backup schedule
+ * Update backup schedule. Retention replaces all the rules; ones left out
+ * become 0.
  */
 export const updateSchedule = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { frequency, retention_days, enabled } = req.body;
+    const { frequency, retention, enabled, destination_ids } = req.body;
+
+    if (frequency !== undefined && !SCHEDULE_INTERVALS[frequency]) {
+      return res.status(400).json({ error: 'Frequency must be hourly, daily, weekly or monthly' });
+    }
+    if (retention !== undefined) {
+      const errors = validateRetention(retention);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0].message, errors });
+      }
+    }
+    if (destination_ids !== undefined && !Array.isArray(destination_ids)) {
+      return res.status(400).json({ error: 'destination_ids must be a list' });
+    }
+    if (destination_ids?.length > 0) {
+      await resolveDestinations(userId, { destinationIds: destination_ids });
+    }
 
+    const keep = retention === undefined ? {} : normalizeRetention(retention);
     const result = await pool.query(
       `UPDATE backup_schedules 
        SET frequency = COALESCE($1, frequency),
-           retention_days = COALESCE($2, retention_days),
-           enabled = COALESCE($3, enabled),
+           keep_hourly = COALESCE($2, keep_hourly),
+           keep_daily = COALESCE($3, keep_daily),
+           keep_weekly = COALESCE($4, keep_weekly),
+           keep_monthly = COALESCE($5, keep_monthly),
+           keep_yearly = COALESCE($6, keep_yearly),
+           enabled = COALESCE($7, enabled),
            updated_at = NOW()
-       WHERE id = $4 AND user_id = $5
+       WHERE id = $8 AND user_id = $9
        RETURNING *`,
-      [frequency, retention_days, enabled, id, userId]
+      [frequency, ...RETENTION_RULES.map((rule) => keep[rule]), enabled, id, userId]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Backup schedule not found' });
     }
 
-    res.json(result.rows[0]);
+    const schedule = result.rows[0];
+    schedule.destination_ids = destination_ids === undefined
+      ? await getScheduleDestinations(schedule.id)
+      : await setScheduleDestinations(schedule.id, destination_ids);
+
+    res.json(schedule);
   } catch (error) {
+    if (error instanceof DestinationUnavailableError) {
+      return res.status(422).json({ error: error.message });
+    }
     logger.error('Error updating backup schedule:', error);
     res.status(500).json({ error: 'Failed to update backup schedule' });
   }
@@ -664,6 +1362,153 @@ export const deleteSchedule = async (req, res) => {
   }
 };
 
+/**
+ * Which of a schedule's backups its retention rules (saved, or proposed in
+ * the body) keep and which the next cleanup prunes
+ * POST /api/backups/schedules/:id/retention-preview
+ * Body: { retention? }
+ */
+export const previewScheduleRetention = async (req, res) => {
+  try {
+    const schedule = await pool.query(
+      `SELECT * FROM backup_schedules WHERE id = $1 AND user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+    if (schedule.rows.length === 0) {
+      return res.status(404).json({ error: 'Backup schedule not found' });
+    }
+
+    const proposed = req.body?.retention;
+    if (proposed !== undefined) {
+      const errors = validateRetention(proposed);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0].message, errors });
+      }
+    }
+    const retention = proposed === undefined ? scheduleRetention(schedule.rows[0]) : normalizeRetention(proposed);
+
+    const { keep, prune } = selectRetained(await scheduleBackups(schedule.rows[0].id), retention);
+    const summary = ({ id, name, size, created_at }) => ({ id, name, size, created_at });
+
+    res.json({
+      retention,
+      keep: keep.map(({ backup, reasons }) => ({ ...summary(backup), reasons })),
+      prune: prune.map(summary),
+      prune_size: prune.reduce((total, backup) => total + Number(backup.size || 0), 0)
+    });
+  } catch (error) {
+    logger.error('Error previewing backup retention:', error);
+    res.status(500).json({ error: 'Failed to preview backup retention' });
+  }
+};
+
+const SCHEDULE_INTERVALS = { hourly: '1 hour', daily: '1 day', weekly: '7 days', monthly: '1 month' };
+
+// Completed backups a schedule took, the ones its retention rules apply to
+async function scheduleBackups(scheduleId) {
+  const result = await pool.query(
+    `SELECT * FROM backups WHERE schedule_id = $1 AND status = 'completed' ORDER BY created_at DESC`,
+    [scheduleId]
+  );
+  return result.rows;
+}
+
+async function getScheduleDestinations(scheduleId) {
+  const result = await pool.query(
+    `SELECT destination_id FROM backup_schedule_destinations WHERE schedule_id = $1 ORDER BY position`,
+    [scheduleId]
+  );
+  return result.rows.map((row) => row.destination_id);
+}
+
+/**
+ * Replace a schedule's destinations; an empty list means the account default
+ */
+async function setScheduleDestinations(scheduleId, destinationIds) {
+  const ids = [...new Set(destinationIds.map(Number))];
+  await pool.query(`DELETE FROM backup_schedule_destinations WHERE schedule_id = $1`, [scheduleId]);
+  for (const [position, destinationId] of ids.entries()) {
+    await pool.query(
+      `INSERT INTO backup_schedule_destinations (schedule_id, destination_id, position) VALUES ($1, $2, $3)`,
+      [scheduleId, destinationId, position]
+    );
+  }
+  return ids;
+}
+
+/**
+ * Take the backups whose schedule is due, one after another
+ * @returns {Promise<Object>} - { started, failed }
+ */
+export async function runDueSchedules() {
+  const due = await pool.query(
+    `UPDATE backup_schedules
+     SET last_run = NOW(),
+         next_run = NOW() + CASE frequency
+           WHEN 'hourly' THEN INTERVAL '1 hour'
+           WHEN 'weekly' THEN INTERVAL '7 days'
+           WHEN 'monthly' THEN INTERVAL '1 month'
+           ELSE INTERVAL '1 day'
+         END
+     WHERE enabled = true AND (next_run IS NULL OR next_run <= NOW())
+     RETURNING *`
+  );
+
+  const summary = { started: 0, failed: 0 };
+  for (const schedule of due.rows) {
+    try {
+      const destinations = await resolveDestinations(schedule.user_id, { scheduleId: schedule.id });
+      const result = await pool.query(
+        `INSERT INTO backups (user_id, name, type, resource_type, resource_id, status, destination_id, schedule_id)
+         VALUES ($1, $2, 'scheduled', $3, $4, 'pending', $5, $6)
+         RETURNING *`,
+        [schedule.user_id, `${schedule.resource_type}_${schedule.resource_id}_${Date.now()}`, schedule.resource_type,
+          schedule.resource_id, destinations[0].id, schedule.id]
+      );
+
+      await performBackup(result.rows[0].id, schedule.user_id, schedule.resource_type, schedule.resource_id, destinations);
+      summary.started++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Scheduled backup ${schedule.id} could not start:`, error);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Prune every schedule's backups its retention rules no longer keep
+ * @returns {Promise<Object>} - { pruned, failed }
+ */
+export async function pruneScheduledBackups() {
+  const schedules = await pool.query(`SELECT * FROM backup_schedules ORDER BY id`);
+
+  const summary = { pruned: 0, failed: 0 };
+  for (const schedule of schedules.rows) {
+    // Rules that keep nothing would prune everything; leave those backups be
+    const retention = scheduleRetention(schedule);
+    if (validateRetention(retention).length > 0) {
+      logger.warn(`Backup schedule ${schedule.id} has no retention rules, not pruning`);
+      continue;
+    }
+
+    const { prune } = selectRetained(await scheduleBackups(schedule.id), retention);
+    for (const backup of prune) {
+      try {
+        await removeBackupCopies(backup);
+        await pool.query(`DELETE FROM backups WHERE id = $1`, [backup.id]);
+        summary.pruned++;
+      } catch (error) {
+        summary.failed++;
+        logger.error(`Failed to prune backup #${backup.id} of schedule ${schedule.id}:`, error);
+      }
+    }
+  }
+
+  return summary;
+}
+
 /**
  * Verify resource ownership
  */
@@ -0,0 +1,313 @@
+// src/controllers/backupDestinationController.js
+/**
+ * Backup Destination Controller
+ * Admins manage platform destinations, resellers destinations their clients'
+ * backups can go to, and customers their own. Credentials are write-only:
+ * responses say whether a destination has them, never what they are.
+ */
+
+import pool from '../db/pool.js';
+import logger from '../utils/logger.js';
+import {
+  encryptCredentials,
+  mergeCredentials,
+  publicDestination,
+  validateDestination,
+  testDestination,
+  destinationUsage
+} from '../services/backupDestinationService.js';
+
+/**
+ * Admin, the reseller account of the user, or the customer themselves
+ */
+const destinationOwner = async (req) => {
+  if (req.user.role === 'admin') {
+    return { isAdmin: true, resellerId: null, userId: null };
+  }
+  const result = await pool.query(
+    `SELECT id FROM resellers WHERE user_id = $1 AND is_active = true`,
+    [req.user.id]
+  );
+  return result.rows[0]
+    ? { isAdmin: false, resellerId: result.rows[0].id, userId: null }
+    : { isAdmin: false, resellerId: null, userId: req.user.id };
+};
+
+const ownsDestination = (destination, owner) => owner.isAdmin
+  || (owner.resellerId !== null && destination.reseller_id === owner.resellerId)
+  || (owner.userId !== null && destination.user_id === owner.userId);
+
+// Destinations the user may send backups to (platform, their reseller's, their own)
+const VISIBLE = `
+  d.user_id = $1
+  OR (d.user_id IS NULL AND d.reseller_id IS NULL)
+  OR r.user_id = $1
+  OR r.tenant_id = (SELECT tenant_id FROM users WHERE id = $1)`;
+
+const findDestination = async (id, req, owner, { forWrite = false } = {}) => {
+  const result = owner.isAdmin
+    ? await pool.query(`SELECT * FROM backup_destinations WHERE id = $1`, [id])
+    : await pool.query(
+      `SELECT d.* FROM backup_destinations d
+       LEFT JOIN resellers r ON r.id = d.reseller_id
+       WHERE d.id = $2 AND (${VISIBLE})`,
+      [req.user.id, id]
+    );
+  const destination = result.rows[0];
+  if (!destination) return null;
+  return !forWrite || ownsDestination(destination, owner) ? destination : null;
+};
+
+const invalidDestination = (res, errors) =>
+  res.status(400).json({ error: errors[0].message, errors });
+
+/**
+ * List destinations the user can use, with what is stored on them. Owners
+ * see the destination's total; everyone else only their own backups.
+ * GET /api/backup-destinations
+ */
+export const getDestinations = async (req, res) => {
+  try {
+    const owner = await destinationOwner(req);
+    const result = owner.isAdmin
+      ? await pool.query(`SELECT * FROM backup_destinations ORDER BY reseller_id NULLS FIRST, user_id NULLS FIRST, name`)
+      : await pool.query(
+        `SELECT d.* FROM backup_destinations d
+         LEFT JOIN resellers r ON r.id = d.reseller_id
+         WHERE ${VISIBLE}
+         ORDER BY d.reseller_id NULLS FIRST, d.user_id NULLS FIRST, d.name`,
+        [req.user.id]
+      );
+
+    const owned = result.rows.filter((destination) => ownsDestination(destination, owner)).map((destination) => destination.id);
+    const shared = result.rows.filter((destination) => !ownsDestination(destination, owner)).map((destination) => destination.id);
+    const usage = new Map([
+      ...(await destinationUsage(owned)),
+      ...(await destinationUsage(shared, { userId: req.user.id }))
+    ]);
+
+    res.json({
+      destinations: result.rows.map((destination) => ({
+        ...publicDestination(destination),
+        can_manage: ownsDestination(destination, owner),
+        usage: usage.get(destination.id)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching backup destinations:', error);
+    res.status(500).json({ error: 'Failed to fetch backup destinations' });
+  }
+};
+
+/**
+ * Add a destination
+ * POST /api/backup-destinations
+ * Body: { name, type: 's3' | 'sftp' | 'local', config, credentials, is_default }
+ */
+export const createDestination = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const owner = await destinationOwner(req);
+    const { name, type, config = {}, credentials = {}, is_default = false } = req.body;
+
+    const errors = validateDestination({ name, type, config, credentials }, { isAdmin: owner.isAdmin });
+    if (errors.length > 0) {
+      return invalidDestination(res, errors);
+    }
+
+    await client.query('BEGIN');
+    if (is_default) {
+      await client.query(
+        `UPDATE backup_destinations SET is_default = false
+         WHERE is_default AND reseller_id IS NOT DISTINCT FROM $1 AND user_id IS NOT DISTINCT FROM $2`,
+        [owner.resellerId, owner.userId]
+      );
+    }
+    const result = await client.query(
+      `INSERT INTO backup_destinations (reseller_id, user_id, created_by, name, type, config, credentials_encrypted, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [owner.resellerId, owner.userId, req.user.id, name, type, JSON.stringify(config), encryptCredentials(credentials), Boolean(is_default)]
+    );
+    await client.query('COMMIT');
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+      [req.user.id, 'backup_destination_created', `Added ${type} backup destination ${name}`]
+    );
+
+    logger.info(`Backup destination created: ${name} (${type})`, { userId: req.user.id });
+    res.status(201).json(publicDestination(result.rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Error creating backup destination:', error);
+    res.status(500).json({ error: 'Failed to create backup destination' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Update a destination. Credentials left out are kept; a new SFTP host
+ * forgets the pinned host key.
+ * PUT /api/backup-destinations/:id
+ */
+export const updateDestination = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const owner = await destinationOwner(req);
+    const destination = await findDestination(req.params.id, req, owner, { forWrite: true });
+    if (!destination) {
+      return res.status(404).json({ error: 'Backup destination not found' });
+    }
+
+    const {
+      name = destination.name,
+      is_default = destination.is_default,
+      enabled = destination.enabled,
+      credentials = {}
+    } = req.body;
+    let config = destination.config;
+    let credentialsEncrypted = destination.credentials_encrypted;
+
+    // The panel's own storage is configured through the environment
+    if (destination.type !== 'panel') {
+      config = { ...destination.config, ...(req.body.config || {}) };
+      if (destination.type === 'sftp' && config.host !== destination.config.host && !req.body.config?.host_key) {
+        delete config.host_key;
+      }
+      const errors = validateDestination(
+        { name, type: destination.type, config, credentials },
+        { isAdmin: owner.isAdmin, existing: destination }
+      );
+      if (errors.length > 0) {
+        return invalidDestination(res, errors);
+      }
+      if (Object.values(credentials).some(Boolean)) {
+        credentialsEncrypted = mergeCredentials(destination, credentials);
+      }
+    } else if (!name) {
+      return invalidDestination(res, [{ field: 'name', message: 'Name is required' }]);
+    }
+
+    await client.query('BEGIN');
+    if (is_default && !destination.is_default) {
+      await client.query(
+        `UPDATE backup_destinations SET is_default = false
+         WHERE is_default AND reseller_id IS NOT DISTINCT FROM $1 AND user_id IS NOT DISTINCT FROM $2`,
+        [destination.reseller_id, destination.user_id]
+      );
+    }
+    const result = await client.query(
+      `UPDATE backup_destinations
+       SET name = $1, config = $2, credentials_encrypted = $3, is_default = $4, enabled = $5, updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [name, JSON.stringify(config), credentialsEncrypted, Boolean(is_default), Boolean(enabled), destination.id]
+    );
+    await client.query('COMMIT');
+
+    res.json(publicDestination(result.rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Error updating backup destination:', error);
+    res.status(500).json({ error: 'Failed to update backup destination' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a destination no backup or schedule uses
+ * DELETE /api/backup-destinations/:id
+ */
+export const deleteDestination = async (req, res) => {
+  try {
+    const owner = await destinationOwner(req);
+    const destination = await findDestination(req.params.id, req, owner, { forWrite: true });
+    if (!destination) {
+      return res.status(404).json({ error: 'Backup destination not found' });
+    }
+    if (destination.type === 'panel') {
+      return res.status(422).json({ error: 'The panel storage cannot be deleted' });
+    }
+
+    const inUse = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM backup_copies WHERE destination_id = $1) AS backups,
+         (SELECT COUNT(*) FROM backup_schedule_destinations WHERE destination_id = $1) AS schedules`,
+      [destination.id]
+    );
+    const { backups, schedules } = inUse.rows[0];
+    if (parseInt(backups, 10) > 0 || parseInt(schedules, 10) > 0) {
+      return res.status(409).json({
+        error: 'Backup destination is in use; delete its backups and remove it from schedules first',
+        backups: parseInt(backups, 10),
+        schedules: parseInt(schedules, 10)
+      });
+    }
+
+    await pool.query(`DELETE FROM backup_destinations WHERE id = $1`, [destination.id]);
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+      [req.user.id, 'backup_destination_deleted', `Deleted backup destination ${destination.name}`]
+    );
+
+    logger.info(`Backup destination deleted: ${destination.name}`, { userId: req.user.id });
+    res.json({ message: 'Backup destination deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting backup destination:', error);
+    res.status(500).json({ error: 'Failed to delete backup destination' });
+  }
+};
+
+/**
+ * Check a saved destination's credentials: write, read back and delete a
+ * probe. An SFTP destination pins the host key it sees on its first test.
+ * POST /api/backup-destinations/:id/test
+ */
+export const testSavedDestination = async (req, res) => {
+  try {
+    const owner = await destinationOwner(req);
+    const destination = await findDestination(req.params.id, req, owner, { forWrite: true });
+    if (!destination) {
+      return res.status(404).json({ error: 'Backup destination not found' });
+    }
+
+    const { ok, error, hostKey } = await testDestination(destination);
+    res.json({ ok, error, host_key: hostKey });
+  } catch (error) {
+    logger.error('Error testing backup destination:', error);
+    res.status(500).json({ error: 'Failed to test backup destination' });
+  }
+};
+
+/**
+ * Check credentials before saving them
+ * POST /api/backup-destinations/test
+ * Body: { type, config, credentials }
+ */
+export const testNewDestination = async (req, res) => {
+  try {
+    const owner = await destinationOwner(req);
+    const { name = 'test', type, config = {}, credentials = {} } = req.body;
+
+    const errors = validateDestination({ name, type, config, credentials }, { isAdmin: owner.isAdmin });
+    if (errors.length > 0) {
+      return invalidDestination(res, errors);
+    }
+
+    const { ok, error, hostKey } = await testDestination({
+      type,
+      config,
+      reseller_id: owner.resellerId,
+      user_id: owner.userId,
+      credentials_encrypted: encryptCredentials(credentials)
+    });
+    res.json({ ok, error, host_key: hostKey });
+  } catch (error) {
+    logger.error('Error testing backup destination:', error);
+    res.status(500).json({ error: 'Failed to test backup destination' });
+  }
+};
@@ -5,6 +5,9 @@ import logger from '../utils/logger.js';
 import emailService from '../services/email.js';
 import queueService from '../services/queueService.js';
 import { shouldSendEmail } from './emailPreferencesController.js';
+import CouponService from '../services/CouponService.js';
+import CurrencyService from '../services/CurrencyService.js';
+import { normalizeCurrency, toMinorUnits, fromMinorUnits } from '../config/currencies.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -14,7 +17,7 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 export const createCheckoutSession = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { items, successUrl, cancelUrl } = req.body;
+    const { items, successUrl, cancelUrl, couponCode } = req.body;
 
     if (!items || items.length === 0) {
       return res.status(400).json({ error: 'Cart is empty' });
@@ -34,13 +37,35 @@ export const createCheckoutSession = async (req, res) => {
       return res.status(400).json({ error: 'Some products not found' });
     }
 
+    // Customers choose a currency until their first purchase locks it
+    const customerResult = await pool.query(
+      'SELECT id, currency, currency_locked_at FROM customers WHERE user_id = $1 LIMIT 1',
+      [userId]
+    );
+    const customer = customerResult.rows[0];
+    const requestedCurrency = req.body.currency ? normalizeCurrency(req.body.currency) : null;
+    if (req.body.currency && !requestedCurrency) {
+      return res.status(400).json({ error: `Unsupported currency ${req.body.currency}` });
+    }
+    const lockedCurrency = customer?.currency_locked_at ? CurrencyService.customerCurrency(customer) : null;
+    if (lockedCurrency && requestedCurrency && requestedCurrency !== lockedCurrency) {
+      return res.status(409).json({ error: `Your account is billed in ${lockedCurrency}` });
+    }
+    const currency = lockedCurrency || requestedCurrency || CurrencyService.customerCurrency(customer);
+
+    const prices = await CurrencyService.getProductPrices(productIds, currency);
+    if (prices.size !== products.length) {
+      return res.status(400).json({ error: `Some products are not sold in ${currency}` });
+    }
+
     // Create Stripe line items
     const lineItems = items.map(item => {
       const product = products.find(p => p.id === item.productId);
+      const price = prices.get(String(product.id)).price;
       
       return {
         price_data: {
-          currency: 'usd',
+          currency: currency.toLowerCase(),
           product_data: {
             name: product.name,
             description: item.configuration?.domain || item.configuration?.email_address || product.category,
@@ -50,7 +75,7 @@ export const createCheckoutSession = async (req, res) => {
               billing_cycle: product.billing_cycle,
             },
           },
-          unit_amount: Math.round(product.price * 100), // Convert to cents
+          unit_amount: toMinorUnits(price, currency), // Convert to cents
           recurring: product.billing_cycle !== 'one_time' ? {
             interval: product.billing_cycle === 'yearly' ? 'year' : 'month',
           } : undefined,
@@ -59,6 +84,23 @@ export const createCheckoutSession = async (req, res) => {
       };
     });
 
+    // Coupons are re-checked here; the cart's validation is only a preview
+    let coupon = null;
+    let discounts;
+    if (couponCode) {
+      const validation = await CouponService.validate(couponCode, { itemIds: productIds, currency, userId });
+      if (validation.error) {
+        return res.status(422).json({ error: validation.error });
+      }
+      coupon = validation.coupon;
+
+      const pricedItems = items.map(item => ({
+        id: item.productId,
+        amount: prices.get(String(item.productId)).price * (item.quantity || 1),
+      }));
+      discounts = await CouponService.stripeDiscountsFor(coupon, pricedItems, currency);
+    }
+
     // Create Stripe Checkout Session
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
@@ -68,17 +110,21 @@ export const createCheckoutSession = async (req, res) => {
       cancel_url: cancelUrl || `${process.env.FRONTEND_URL}/cart`,
       customer_email: req.user.email,
       client_reference_id: userId,
+      discounts,
       metadata: {
         user_id: userId,
         cart_items: JSON.stringify(items),
+        currency,
+        ...(coupon && { coupon_id: coupon.id, coupon_code: coupon.code }),
       },
     });
 
-    logger.info(`Checkout session created: ${session.id}`, { userId });
+    logger.info(`Checkout session created: ${session.id}`, { userId, coupon: coupon?.code });
 
     res.json({
       sessionId: session.id,
       url: session.url,
+      currency,
     });
   } catch (error) {
     logger.error('Error creating checkout session:', error);
@@ -135,6 +181,8 @@ export const handleCheckoutSuccess = async (req, res) => {
 
     const userId = session.metadata.user_id;
     const cartItems = JSON.parse(session.metadata.cart_items);
+    const currency = (session.currency || session.metadata.currency || 'usd').toUpperCase();
+    const prices = await CurrencyService.getProductPrices(cartItems.map(item => item.productId), currency);
 
     // Create order record
     const orderQuery = `
@@ -151,15 +199,32 @@ export const handleCheckoutSuccess = async (req, res) => {
 
     const orderResult = await pool.query(orderQuery, [
       userId,
-      session.amount_total / 100, // Convert from cents
+      fromMinorUnits(session.amount_total, session.currency),
       'completed',
       'stripe',
       sessionId,
-      JSON.stringify({ items: cartItems }),
+      JSON.stringify({
+        items: cartItems,
+        currency,
+        coupon_code: session.metadata.coupon_code || null,
+        discount: fromMinorUnits(session.total_details?.amount_discount, session.currency),
+      }),
     ]);
 
     const order = orderResult.rows[0];
 
+    await CouponService.recordCheckoutRedemption(session, { orderId: order.id, userId });
+
+    const customerResult = await pool.query('SELECT id FROM customers WHERE user_id = $1 LIMIT 1', [userId]);
+    if (customerResult.rows[0]) {
+      try {
+        await CurrencyService.lockCustomerCurrency(customerResult.rows[0].id, currency);
+      } catch (lockError) {
+        // The order is paid either way; a mismatch only needs a look from billing
+        logger.warn(`Order ${order.id} paid in ${currency}: ${lockError.message}`);
+      }
+    }
+
     // Create services from cart items
     const createdServices = [];
     for (const item of cartItems) {
@@ -199,7 +264,7 @@ export const handleCheckoutSuccess = async (req, res) => {
           domain || item.configuration?.email_address || item.name || product.name,
           'pending', // Start as pending, will become active after provisioning
           JSON.stringify(item.configuration || {}),
-          product.price,
+          prices.get(String(product.id))?.price ?? product.price,
           product.billing_cycle,
           true,
           renewalDate,
@@ -0,0 +1,211 @@
+import CouponService from '../services/CouponService.js';
+import logger from '../config/logger.js';
+import CurrencyService from '../services/CurrencyService.js';
+import { resolvePlanAmount } from '../config/planCatalog.js';
+import { BASE_CURRENCY } from '../config/currencies.js';
+
+/**
+ * Priced items ([{ id, amount }]) for a cart of products, or null when a
+ * product no longer exists or is not sold in the currency
+ */
+export const priceCartItems = async (items, currency = BASE_CURRENCY) => {
+  const prices = await CurrencyService.getProductPrices(items.map((item) => item.productId), currency);
+
+  const priced = [];
+  for (const item of items) {
+    const entry = prices.get(String(item.productId));
+    if (!entry) {
+      return null;
+    }
+    priced.push({ id: item.productId, amount: entry.price * (item.quantity || 1) });
+  }
+  return priced;
+};
+
+/**
+ * List coupons
+ * GET /api/coupons?active=true
+ */
+export const listCoupons = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const coupons = await CouponService.list({
+      active: active === undefined ? undefined : active === 'true'
+    });
+    res.json({ coupons });
+  } catch (error) {
+    logger.error('Error listing coupons:', error);
+    res.status(500).json({ error: 'Failed to list coupons' });
+  }
+};
+
+/**
+ * Get a coupon with its redemptions
+ * GET /api/coupons/:id
+ */
+export const getCoupon = async (req, res) => {
+  try {
+    const coupon = await CouponService.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const redemptions = await CouponService.getRedemptions(coupon.id);
+    res.json({ coupon, redemptions });
+  } catch (error) {
+    logger.error('Error fetching coupon:', error);
+    res.status(500).json({ error: 'Failed to fetch coupon' });
+  }
+};
+
+/**
+ * Create a coupon
+ * POST /api/coupons
+ * Body: { code, name?, discountType, amount, currency?, duration?, durationCycles?,
+ *         appliesTo?, startsAt?, expiresAt?, maxRedemptions?, maxPerCustomer? }
+ */
+export const createCoupon = async (req, res) => {
+  try {
+    const validationError = CouponService.validateDefinition(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (await CouponService.findByCode(req.body.code)) {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+
+    const coupon = await CouponService.create(req.body, {
+      tenantId: req.user.tenantId,
+      createdBy: req.user.id
+    });
+
+    logger.info(`Coupon ${coupon.code} created`, { userId: req.user.id });
+    res.status(201).json(coupon);
+  } catch (error) {
+    logger.error('Error creating coupon:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+};
+
+/**
+ * Update a coupon. The code cannot be changed.
+ * PUT /api/coupons/:id
+ */
+export const updateCoupon = async (req, res) => {
+  try {
+    const existing = await CouponService.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const merged = {
+      discountType: existing.discount_type,
+      duration: existing.duration,
+      durationCycles: existing.duration_cycles,
+      ...req.body
+    };
+    const validationError = CouponService.validateDefinition(merged, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const changes = { ...req.body };
+    delete changes.code;
+    const coupon = await CouponService.update(req.params.id, changes);
+
+    logger.info(`Coupon ${coupon.code} updated`, { userId: req.user.id });
+    res.json(coupon);
+  } catch (error) {
+    logger.error('Error updating coupon:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+};
+
+/**
+ * Deactivate a coupon. Existing subscription redemptions keep running.
+ * DELETE /api/coupons/:id
+ */
+export const deactivateCoupon = async (req, res) => {
+  try {
+    const coupon = await CouponService.deactivate(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    logger.info(`Coupon ${coupon.code} deactivated`, { userId: req.user.id });
+    res.json(coupon);
+  } catch (error) {
+    logger.error('Error deactivating coupon:', error);
+    res.status(500).json({ error: 'Failed to deactivate coupon' });
+  }
+};
+
+/**
+ * Check a code against the signed-in user's cart
+ * POST /api/coupons/validate
+ * Body: { code, items: [{ productId, quantity }], currency? }
+ */
+export const validateCoupon = async (req, res) => {
+  try {
+    const { code, items = [], currency = BASE_CURRENCY } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+
+    const priced = await priceCartItems(items, currency);
+    if (!priced) {
+      return res.status(400).json({ error: 'Some products not found' });
+    }
+
+    const { coupon, error } = await CouponService.validate(code, {
+      itemIds: priced.map((item) => item.id),
+      currency,
+      userId: req.user.id
+    });
+    if (error) {
+      return res.status(422).json({ valid: false, error });
+    }
+
+    const { discount, eligibleIds } = CouponService.calculateDiscount(coupon, priced, currency);
+    res.json({
+      valid: true,
+      coupon: CouponService.serialize(coupon),
+      discount,
+      eligibleProductIds: eligibleIds
+    });
+  } catch (error) {
+    logger.error('Error validating coupon:', error);
+    res.status(500).json({ error: 'Failed to validate coupon' });
+  }
+};
+
+/**
+ * Check a code for a public plan signup
+ * POST /api/public/coupons/validate
+ * Body: { code, planId, term?, email?, currency? }
+ */
+export const validatePublicCoupon = async (req, res) => {
+  try {
+    const { code, planId, term = 'monthly', email, currency = BASE_CURRENCY } = req.body || {};
+    if (!code || !planId) {
+      return res.status(400).json({ error: 'Missing code or planId' });
+    }
+
+    const amount = resolvePlanAmount(planId, term, currency);
+    if (amount === null) {
+      return res.status(400).json({ error: 'Plan does not support requested term' });
+    }
+
+    const { coupon, error } = await CouponService.validate(code, { itemIds: [planId], currency, email });
+    if (error) {
+      return res.status(422).json({ valid: false, error });
+    }
+
+    const { discount } = CouponService.calculateDiscount(coupon, [{ id: planId, amount }], currency);
+    res.json({ valid: true, coupon: CouponService.serialize(coupon), discount });
+  } catch (error) {
+    logger.error('Error validating public coupon:', error);
+    res.status(500).json({ error: 'Failed to validate coupon' });
+  }
+};
@@ -0,0 +1,180 @@
+import CurrencyService from '../services/CurrencyService.js';
+import logger from '../config/logger.js';
+import pool from '../db/index.js';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES, normalizeCurrency } from '../config/currencies.js';
+
+const findUserCustomer = async (userId) => {
+  const result = await pool.query('SELECT * FROM customers WHERE user_id = $1 LIMIT 1', [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Currencies we sell in
+ * GET /api/currencies
+ */
+export const listCurrencies = (req, res) => {
+  res.json({ baseCurrency: BASE_CURRENCY, currencies: SUPPORTED_CURRENCIES });
+};
+
+/**
+ * Stored exchange rates
+ * GET /api/currencies/rates?currency=EUR
+ */
+export const listExchangeRates = async (req, res) => {
+  try {
+    const { currency, limit = 100 } = req.query;
+    const rates = await CurrencyService.listRates({ currency, limit: parseInt(limit) });
+    res.json({ baseCurrency: BASE_CURRENCY, rates });
+  } catch (error) {
+    logger.error('Error listing exchange rates:', error);
+    res.status(500).json({ error: 'Failed to list exchange rates' });
+  }
+};
+
+/**
+ * Record an exchange rate (value of one unit of currency in the base currency)
+ * POST /api/currencies/rates
+ * Body: { currency, rate, effectiveDate?, source? }
+ */
+export const setExchangeRate = async (req, res) => {
+  try {
+    const { rate, effectiveDate, source } = req.body;
+    const currency = normalizeCurrency(req.body.currency);
+
+    if (!currency || currency === BASE_CURRENCY) {
+      return res.status(400).json({ error: `currency must be one of ${SUPPORTED_CURRENCIES.filter((c) => c !== BASE_CURRENCY).join(', ')}` });
+    }
+    if (!(parseFloat(rate) > 0)) {
+      return res.status(400).json({ error: 'rate must be greater than zero' });
+    }
+    if (effectiveDate && Number.isNaN(new Date(effectiveDate).getTime())) {
+      return res.status(400).json({ error: 'Invalid effectiveDate' });
+    }
+
+    const entry = await CurrencyService.setRate({
+      currency,
+      rate: parseFloat(rate),
+      effectiveDate: effectiveDate || new Date(),
+      source,
+      createdBy: req.user.id
+    });
+    res.status(201).json(entry);
+  } catch (error) {
+    logger.error('Error setting exchange rate:', error);
+    res.status(500).json({ error: 'Failed to set exchange rate' });
+  }
+};
+
+/**
+ * The signed-in customer's billing currency
+ * GET /api/currencies/customer
+ */
+export const getCustomerCurrency = async (req, res) => {
+  try {
+    const customer = await findUserCustomer(req.user.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json({
+      currency: CurrencyService.customerCurrency(customer),
+      locked: Boolean(customer.currency_locked_at),
+      lockedAt: customer.currency_locked_at,
+      currencies: SUPPORTED_CURRENCIES
+    });
+  } catch (error) {
+    logger.error('Error fetching customer currency:', error);
+    res.status(500).json({ error: 'Failed to fetch billing currency' });
+  }
+};
+
+/**
+ * Choose a billing currency. Allowed until the first purchase.
+ * PUT /api/currencies/customer
+ * Body: { currency }
+ */
+export const selectCustomerCurrency = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.body.currency);
+    if (!currency) {
+      return res.status(400).json({ error: `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const customer = await findUserCustomer(req.user.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    try {
+      const updated = await CurrencyService.selectCustomerCurrency(customer.id, currency);
+      logger.info(`Customer ${customer.id} selected ${currency}`, { userId: req.user.id });
+      res.json({ currency: updated.currency, locked: false });
+    } catch (error) {
+      res.status(409).json({ error: error.message, currency: CurrencyService.customerCurrency(customer) });
+    }
+  } catch (error) {
+    logger.error('Error selecting customer currency:', error);
+    res.status(500).json({ error: 'Failed to update billing currency' });
+  }
+};
+
+/**
+ * A product's price book
+ * GET /api/currencies/products/:productId/prices
+ */
+export const listProductPrices = async (req, res) => {
+  try {
+    const prices = await CurrencyService.listProductPrices(req.params.productId);
+    res.json({ prices });
+  } catch (error) {
+    logger.error('Error listing product prices:', error);
+    res.status(500).json({ error: 'Failed to list product prices' });
+  }
+};
+
+/**
+ * Set a product's price in a currency
+ * PUT /api/currencies/products/:productId/prices/:currency
+ * Body: { price, stripePriceId?, active? }
+ */
+export const setProductPrice = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
+    const { price, stripePriceId, active } = req.body;
+    if (!(parseFloat(price) >= 0)) {
+      return res.status(400).json({ error: 'price must be zero or more' });
+    }
+
+    const entry = await CurrencyService.setProductPrice(req.params.productId, {
+      currency,
+      price: parseFloat(price),
+      stripePriceId,
+      active
+    });
+    res.json(entry);
+  } catch (error) {
+    logger.error('Error setting product price:', error);
+    res.status(500).json({ error: 'Failed to set product price' });
+  }
+};
+
+/**
+ * Stop selling a product in a currency
+ * DELETE /api/currencies/products/:productId/prices/:currency
+ */
+export const removeProductPrice = async (req, res) => {
+  try {
+    const removed = await CurrencyService.removeProductPrice(req.params.productId, req.params.currency);
+    if (!removed) {
+      return res.status(404).json({ error: 'Price not found' });
+    }
+    res.json({ message: 'Price removed' });
+  } catch (error) {
+    logger.error('Error removing product price:', error);
+    res.status(500).json({ error: 'Failed to remove product price' });
+  }
+};
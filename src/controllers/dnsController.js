@@ -1,5 +1,16 @@
 import DNSZone from '../models/DNSZone.js';
 import logger from '../config/logger.js';
+import { validateRecordChanges } from '../utils/dnsValidation.js';
+import { scheduleZoneSync } from '../services/dnsSyncService.js';
+import { actorFromRequest, trackZoneChange } from '../services/dnsHistoryService.js';
+import { CHECK_TYPES, checkPropagation } from '../services/dnsPropagationService.js';
+
+// Record columns a client may set
+const RECORD_FIELDS = ['name', 'type', 'content', 'ttl', 'priority'];
+
+const pickRecordFields = (body) => Object.fromEntries(
+  RECORD_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
 
 export const createZone = async (req, res) => {
   try {
@@ -20,6 +31,9 @@ export const createZone = async (req, res) => {
       );
     }
     
+    await trackZoneChange(zone.id, 'zone_created', actorFromRequest(req));
+    await scheduleZoneSync(zone.id);
+
     logger.info(`DNS zone created: ${zone.id}`, { userId: req.user.id });
     res.status(201).json(zone);
   } catch (error) {
@@ -63,7 +77,23 @@ export const getZoneRecords = async (req, res) => {
 
 export const createRecord = async (req, res) => {
   try {
-    const record = await DNSZone.addRecord(req.params.id, req.body);
+    const zone = await DNSZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const data = pickRecordFields(req.body);
+    data.type = String(data.type || '').toUpperCase();
+
+    const errors = validateRecordChanges(await DNSZone.getRecords(zone.id), [data], { domain: zone.name });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+
+    const record = await DNSZone.addRecord(req.params.id, data);
+    await trackZoneChange(zone.id, 'record_created', actorFromRequest(req));
+    await scheduleZoneSync(zone.id);
+
     logger.info(`DNS record created in zone: ${req.params.id}`, { userId: req.user.id });
     res.status(201).json(record);
   } catch (error) {
@@ -74,10 +104,33 @@ export const createRecord = async (req, res) => {
 
 export const updateRecord = async (req, res) => {
   try {
-    const record = await DNSZone.updateRecord(req.params.recordId, req.body);
-    if (!record) {
+    const existing = await DNSZone.findRecordById(req.params.recordId);
+    if (!existing) {
       return res.status(404).json({ error: 'DNS record not found' });
     }
+
+    const updates = pickRecordFields(req.body);
+    if (updates.type) {
+      updates.type = String(updates.type).toUpperCase();
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const zone = await DNSZone.findById(existing.zone_id);
+    const errors = validateRecordChanges(
+      await DNSZone.getRecords(zone.id),
+      [{ ...existing, ...updates }],
+      { domain: zone.name }
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+
+    const record = await DNSZone.updateRecord(req.params.recordId, updates);
+    await trackZoneChange(zone.id, 'record_updated', actorFromRequest(req));
+    await scheduleZoneSync(zone.id);
+
     logger.info(`DNS record updated: ${req.params.recordId}`, { userId: req.user.id });
     res.json(record);
   } catch (error) {
@@ -88,7 +141,11 @@ export const updateRecord = async (req, res) => {
 
 export const deleteRecord = async (req, res) => {
   try {
-    await DNSZone.deleteRecord(req.params.recordId);
+    const zoneId = await DNSZone.deleteRecord(req.params.recordId);
+    if (zoneId) {
+      await trackZoneChange(zoneId, 'record_deleted', actorFromRequest(req));
+      await scheduleZoneSync(zoneId);
+    }
     logger.info(`DNS record deleted: ${req.params.recordId}`, { userId: req.user.id });
     res.json({ message: 'DNS record deleted successfully' });
   } catch (error) {
@@ -96,3 +153,29 @@ export const deleteRecord = async (req, res) => {
     res.status(500).json({ error: 'Failed to delete DNS record' });
   }
 };
+
+/**
+ * Whether a name is live: delegation at the parent, each authoritative
+ * nameserver and each configured resolver compared with the zone's records
+ * GET /api/dns/zones/:id/propagation?name=www&type=A
+ */
+export const getZonePropagation = async (req, res) => {
+  try {
+    const { name = '@' } = req.query;
+    const type = String(req.query.type || 'A').toUpperCase();
+    if (!CHECK_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${CHECK_TYPES.join(', ')}` });
+    }
+
+    const zone = await DNSZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const result = await checkPropagation(zone, await DNSZone.getRecords(zone.id), { name, type });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error checking DNS propagation:', error);
+    res.status(500).json({ error: 'Failed to check DNS propagation' });
+  }
+};
@@ -0,0 +1,302 @@
+// src/controllers/dnsTemplateController.js
+/**
+ * DNS Template Controller
+ * Admins manage platform templates and resellers their own. Templates are
+ * attached to products (products.dns_template_id) and can be re-applied to
+ * the zones created from them.
+ */
+
+import pool from '../db/pool.js';
+import logger from '../utils/logger.js';
+import {
+  APPLY_MODES,
+  templateVariableNames,
+  renderTemplate,
+  validateTemplate,
+  applyTemplateToZones
+} from '../services/dnsTemplateService.js';
+import { actorFromRequest } from '../services/dnsHistoryService.js';
+
+const MAX_BULK_ZONES = 1000;
+
+/**
+ * Admin, or the reseller account of the user; null for anyone else
+ */
+const templateOwner = async (req) => {
+  if (req.user.role === 'admin') {
+    return { isAdmin: true, resellerId: null };
+  }
+  const result = await pool.query(
+    `SELECT id FROM resellers WHERE user_id = $1 AND is_active = true`,
+    [req.user.id]
+  );
+  return result.rows[0] ? { isAdmin: false, resellerId: result.rows[0].id } : null;
+};
+
+// Resellers may use platform templates but only change their own
+const findTemplate = async (id, owner, { forWrite = false } = {}) => {
+  const result = await pool.query(`SELECT * FROM dns_templates WHERE id = $1`, [id]);
+  const template = result.rows[0];
+  if (!template || owner.isAdmin) return template || null;
+  if (template.reseller_id === owner.resellerId) return template;
+  return !forWrite && template.reseller_id === null ? template : null;
+};
+
+const withVariables = (template) => ({ ...template, variableNames: templateVariableNames(template.records) });
+
+const invalidTemplate = (res, errors) =>
+  res.status(400).json({ error: errors[0].message, errors });
+
+/**
+ * List templates visible to the user
+ * GET /api/dns-templates
+ */
+export const getTemplates = async (req, res) => {
+  try {
+    const owner = await templateOwner(req);
+    if (!owner) {
+      return res.status(403).json({ error: 'Only admins and resellers can manage DNS templates' });
+    }
+
+    const result = owner.isAdmin
+      ? await pool.query(
+        `SELECT t.*, (SELECT COUNT(*) FROM dns_zones z WHERE z.template_id = t.id) AS zone_count
+         FROM dns_templates t ORDER BY t.reseller_id NULLS FIRST, t.name`
+      )
+      : await pool.query(
+        `SELECT t.*, (SELECT COUNT(*) FROM dns_zones z WHERE z.template_id = t.id) AS zone_count
+         FROM dns_templates t WHERE t.reseller_id IS NULL OR t.reseller_id = $1
+         ORDER BY t.reseller_id NULLS FIRST, t.name`,
+        [owner.resellerId]
+      );
+
+    res.json({ templates: result.rows.map(withVariables) });
+  } catch (error) {
+    logger.error('Error fetching DNS templates:', error);
+    res.status(500).json({ error: 'Failed to fetch DNS templates' });
+  }
+};
+
+/**
+ * Get one template
+ * GET /api/dns-templates/:id
+ */
+export const getTemplate = async (req, res) => {
+  try {
+    const owner = await templateOwner(req);
+    const template = owner && await findTemplate(req.params.id, owner);
+    if (!template) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+    res.json(withVariables(template));
+  } catch (error) {
+    logger.error('Error fetching DNS template:', error);
+    res.status(500).json({ error: 'Failed to fetch DNS template' });
+  }
+};
+
+/**
+ * Create a template
+ * POST /api/dns-templates
+ * Body: { name, description, records: [{ type, name, content, ttl, priority }], variables, is_default }
+ */
+export const createTemplate = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const owner = await templateOwner(req);
+    if (!owner) {
+      return res.status(403).json({ error: 'Only admins and resellers can manage DNS templates' });
+    }
+
+    const { name, description, records, variables = {}, is_default = false } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    const errors = validateTemplate({ records, variables });
+    if (errors.length > 0) {
+      return invalidTemplate(res, errors);
+    }
+
+    await client.query('BEGIN');
+    if (is_default) {
+      await client.query(
+        `UPDATE dns_templates SET is_default = false WHERE is_default AND reseller_id IS NOT DISTINCT FROM $1`,
+        [owner.resellerId]
+      );
+    }
+    const result = await client.query(
+      `INSERT INTO dns_templates (reseller_id, created_by, name, description, records, variables, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [owner.resellerId, req.user.id, name, description || null, JSON.stringify(records), JSON.stringify(variables), Boolean(is_default)]
+    );
+    await client.query('COMMIT');
+
+    logger.info(`DNS template created: ${name}`, { userId: req.user.id });
+    res.status(201).json(withVariables(result.rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Error creating DNS template:', error);
+    res.status(500).json({ error: 'Failed to create DNS template' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Update a template. Zones keep their records until the template is re-applied.
+ * PUT /api/dns-templates/:id
+ */
+export const updateTemplate = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const owner = await templateOwner(req);
+    const template = owner && await findTemplate(req.params.id, owner, { forWrite: true });
+    if (!template) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+
+    const {
+      name = template.name,
+      description = template.description,
+      records = template.records,
+      variables = template.variables,
+      is_default = template.is_default
+    } = req.body;
+    const errors = validateTemplate({ records, variables });
+    if (errors.length > 0) {
+      return invalidTemplate(res, errors);
+    }
+
+    await client.query('BEGIN');
+    if (is_default && !template.is_default) {
+      await client.query(
+        `UPDATE dns_templates SET is_default = false WHERE is_default AND reseller_id IS NOT DISTINCT FROM $1`,
+        [template.reseller_id]
+      );
+    }
+    const result = await client.query(
+      `UPDATE dns_templates
+       SET name = $1, description = $2, records = $3, variables = $4, is_default = $5, updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [name, description, JSON.stringify(records), JSON.stringify(variables), Boolean(is_default), template.id]
+    );
+    await client.query('COMMIT');
+
+    res.json(withVariables(result.rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Error updating DNS template:', error);
+    res.status(500).json({ error: 'Failed to update DNS template' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a template. Products using it fall back to the default template.
+ * DELETE /api/dns-templates/:id
+ */
+export const deleteTemplate = async (req, res) => {
+  try {
+    const owner = await templateOwner(req);
+    const template = owner && await findTemplate(req.params.id, owner, { forWrite: true });
+    if (!template) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+
+    await pool.query(`DELETE FROM dns_templates WHERE id = $1`, [template.id]);
+
+    logger.info(`DNS template deleted: ${template.name}`, { userId: req.user.id });
+    res.json({ message: 'DNS template deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting DNS template:', error);
+    res.status(500).json({ error: 'Failed to delete DNS template' });
+  }
+};
+
+/**
+ * Render a template for a domain without touching any zone
+ * POST /api/dns-templates/:id/render
+ * Body: { domain, variables }
+ */
+export const renderTemplatePreview = async (req, res) => {
+  try {
+    const owner = await templateOwner(req);
+    const template = owner && await findTemplate(req.params.id, owner);
+    if (!template) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+
+    const { domain, variables = {} } = req.body;
+    if (!domain) {
+      return res.status(400).json({ error: 'Domain is required' });
+    }
+
+    res.json(renderTemplate(template, domain, variables));
+  } catch (error) {
+    logger.error('Error rendering DNS template:', error);
+    res.status(500).json({ error: 'Failed to render DNS template' });
+  }
+};
+
+/**
+ * Re-apply a template to zones. Without zoneIds it goes to every zone the
+ * template was last applied to. Only a plan is returned unless dryRun is false.
+ * POST /api/dns-templates/:id/apply
+ * Body: { zoneIds, mode: 'merge' | 'replace', variables, dryRun }
+ */
+export const applyTemplate = async (req, res) => {
+  try {
+    const owner = await templateOwner(req);
+    const template = owner && await findTemplate(req.params.id, owner);
+    if (!template) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+
+    const { zoneIds, mode = 'merge', variables = {}, dryRun = true } = req.body;
+    if (!APPLY_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${APPLY_MODES.join(', ')}` });
+    }
+    if (zoneIds !== undefined && (!Array.isArray(zoneIds) || zoneIds.length === 0)) {
+      return res.status(400).json({ error: 'zoneIds must be a non-empty array' });
+    }
+
+    // Resellers can only reach zones created from their own templates
+    const zoneResult = owner.isAdmin
+      ? await pool.query(
+        zoneIds ? `SELECT id FROM dns_zones WHERE id = ANY($1::int[])` : `SELECT id FROM dns_zones WHERE template_id = $1`,
+        [zoneIds || template.id]
+      )
+      : await pool.query(
+        `SELECT z.id FROM dns_zones z
+         JOIN dns_templates t ON t.id = z.template_id
+         WHERE t.reseller_id = $1 AND ${zoneIds ? 'z.id = ANY($2::int[])' : 'z.template_id = $2'}`,
+        [owner.resellerId, zoneIds || template.id]
+      );
+
+    const ids = zoneResult.rows.map((row) => row.id);
+    if (zoneIds && ids.length !== new Set(zoneIds.map(String)).size) {
+      return res.status(404).json({ error: 'One or more DNS zones not found' });
+    }
+    if (ids.length > MAX_BULK_ZONES) {
+      return res.status(422).json({ error: `A template can be applied to at most ${MAX_BULK_ZONES} zones at once` });
+    }
+
+    const result = await applyTemplateToZones(template, ids, {
+      mode,
+      variables,
+      dryRun: dryRun !== false,
+      actor: actorFromRequest(req)
+    });
+
+    if (dryRun === false) {
+      logger.info(`DNS template ${template.id} applied to ${result.summary.applied} zones`, { userId: req.user.id });
+    }
+    res.json({ dryRun: dryRun !== false, mode, ...result });
+  } catch (error) {
+    logger.error('Error applying DNS template:', error);
+    res.status(500).json({ error: 'Failed to apply DNS template' });
+  }
+};
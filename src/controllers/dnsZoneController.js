@@ -6,6 +6,58 @@
 
 import pool from '../db/pool.js';
 import logger from '../utils/logger.js';
+import { parseZoneFile, diffZone, renderZoneFile } from '../utils/zoneFile.js';
+import { validateRecordChanges, normalizeZoneDomain, isPublicSuffix } from '../utils/dnsValidation.js';
+import { lintZone as lintZoneRecords } from '../services/dnsLintService.js';
+import {
+  scheduleZoneSync,
+  syncZone,
+  removeZoneFromBackend,
+  getDnsDriver,
+  triggerZoneTransfer,
+  fetchTransferredRecords,
+  removeTsigKeyFromBackend
+} from '../services/dnsSyncService.js';
+import {
+  actorFromRequest,
+  recordZoneVersion,
+  trackZoneChange,
+  listVersions,
+  getVersion,
+  diffVersions,
+  rollbackZone
+} from '../services/dnsHistoryService.js';
+import {
+  validateTransferSettings,
+  createTsigKey as createTsigKeyRecord,
+  listTsigKeys
+} from '../services/dnsTransferService.js';
+
+const IMPORT_MODES = ['replace', 'merge'];
+
+const getZoneRecords = async (zoneId, db = pool) => {
+  const result = await db.query(
+    `SELECT * FROM dns_records WHERE zone_id = $1 ORDER BY type, name`,
+    [zoneId]
+  );
+  return result.rows;
+};
+
+const invalidRecords = (res, errors) =>
+  res.status(400).json({ error: errors[0].message, errors });
+
+const isSecondary = (zone) => String(zone.type || '').toUpperCase() === 'SLAVE';
+
+const secondaryZone = (res) =>
+  res.status(422).json({ error: 'Records of a secondary zone come from its primaries' });
+
+// Admins may use any key, everyone else only their own
+const findTsigKey = async (id, user) => {
+  const result = user.role === 'admin'
+    ? await pool.query(`SELECT id, user_id, name, algorithm FROM dns_tsig_keys WHERE id = $1`, [id])
+    : await pool.query(`SELECT id, user_id, name, algorithm FROM dns_tsig_keys WHERE id = $1 AND user_id = $2`, [id, user.id]);
+  return result.rows[0] || null;
+};
 
 /**
  * Get all DNS zones for user
@@ -78,38 +130,67 @@ export const getZone = async (req, res) => {
 };
 
 /**
- * Create new DNS zone
+ * Create new DNS zone. A SLAVE zone is a secondary for a zone hosted
+ * elsewhere: it gets no default records and is filled by transfer.
+ * Body: { domain, default_ttl, type?: 'NATIVE'|'MASTER'|'SLAVE', primaries?, primary_tsig_key_id? }
  */
 export const createZone = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { domain, default_ttl } = req.body;
+    const { default_ttl, type = 'NATIVE', primaries = [], primary_tsig_key_id = null } = req.body;
+    const domain = normalizeZoneDomain(req.body.domain);
 
     if (!domain) {
       return res.status(400).json({ error: 'Domain is required' });
     }
+    if (isPublicSuffix(domain)) {
+      return res.status(400).json({ error: `${domain} is a public suffix and cannot be a zone` });
+    }
 
-    // Check if zone already exists
+    const { errors, values } = validateTransferSettings({ type, primaries });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+    if (primary_tsig_key_id && !(await findTsigKey(primary_tsig_key_id, req.user))) {
+      return res.status(400).json({ error: 'TSIG key not found' });
+    }
+
+    // The same domain, or a parent or child zone held by another account,
+    // would let one customer answer for another's names
     const existing = await pool.query(
-      `SELECT id FROM dns_zones WHERE domain = $1`,
+      `SELECT id, user_id, lower(domain) AS domain FROM dns_zones
+       WHERE lower(domain) = $1
+          OR right($1, length(domain) + 1) = '.' || lower(domain)
+          OR right(lower(domain), length($1) + 1) = '.' || $1`,
       [domain]
     );
 
-    if (existing.rows.length > 0) {
+    if (existing.rows.some((zone) => zone.domain === domain)) {
       return res.status(400).json({ error: 'DNS zone already exists for this domain' });
     }
+    if (existing.rows.some((zone) => String(zone.user_id) !== String(userId))) {
+      return res.status(409).json({ error: `${domain} overlaps a DNS zone that belongs to another account` });
+    }
 
     const result = await pool.query(
-      `INSERT INTO dns_zones (user_id, domain, default_ttl, serial)
-       VALUES ($1, $2, $3, $4)
+      `INSERT INTO dns_zones (user_id, domain, default_ttl, serial, type, primaries, primary_tsig_key_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [userId, domain, default_ttl || 3600, Date.now()]
+      [
+        userId,
+        domain,
+        default_ttl || 3600,
+        Date.now(),
+        values.type,
+        JSON.stringify(values.type === 'SLAVE' ? values.primaries : []),
+        values.type === 'SLAVE' ? primary_tsig_key_id : null
+      ]
     );
 
     const zone = result.rows[0];
 
-    // Create default DNS records
-    const defaultRecords = [
+    // Create default DNS records; a secondary zone gets its records from the primaries
+    const defaultRecords = isSecondary(zone) ? [] : [
       { type: 'SOA', name: '@', content: `ns1.${domain}. admin.${domain}. ${zone.serial} 3600 1800 1209600 300`, ttl: 3600 },
       { type: 'NS', name: '@', content: `ns1.${domain}.`, ttl: 3600 },
       { type: 'NS', name: '@', content: `ns2.${domain}.`, ttl: 3600 },
@@ -131,6 +212,9 @@ export const createZone = async (req, res) => {
       [userId, 'dns_zone_created', `Created DNS zone for ${domain}`]
     );
 
+    await trackZoneChange(zone.id, 'zone_created', actorFromRequest(req));
+    await scheduleZoneSync(zone.id);
+
     logger.info(`DNS zone created for ${domain}`);
     res.status(201).json(zone);
   } catch (error) {
@@ -160,6 +244,8 @@ export const updateZone = async (req, res) => {
       return res.status(404).json({ error: 'DNS zone not found' });
     }
 
+    await trackZoneChange(id, 'zone_updated', actorFromRequest(req), `Default TTL set to ${default_ttl}`);
+    await scheduleZoneSync(id);
     res.json(result.rows[0]);
   } catch (error) {
     logger.error('Error updating DNS zone:', error);
@@ -202,6 +288,8 @@ export const deleteZone = async (req, res) => {
       [userId, 'dns_zone_deleted', `Deleted DNS zone for ${zone.domain}`]
     );
 
+    await removeZoneFromBackend(zone.domain);
+
     logger.info(`DNS zone deleted: ${zone.domain}`);
     res.json({ message: 'DNS zone deleted successfully' });
   } catch (error) {
@@ -265,12 +353,21 @@ export const createRecord = async (req, res) => {
     if (zoneResult.rows.length === 0) {
       return res.status(404).json({ error: 'DNS zone not found' });
     }
+    if (isSecondary(zoneResult.rows[0])) {
+      return secondaryZone(res);
+    }
+
+    const record = { type: type.toUpperCase(), name, content, ttl: ttl || 3600, priority: priority ?? null };
+    const errors = validateRecordChanges(await getZoneRecords(zoneId), [record], { domain: zoneResult.rows[0].domain });
+    if (errors.length > 0) {
+      return invalidRecords(res, errors);
+    }
 
     const result = await pool.query(
       `INSERT INTO dns_records (zone_id, type, name, content, ttl, priority)
        VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING *`,
-      [zoneId, type, name, content, ttl || 3600, priority || null]
+      [zoneId, record.type, record.name, record.content, record.ttl, record.priority]
     );
 
     // Update zone serial
@@ -279,6 +376,9 @@ export const createRecord = async (req, res) => {
       [Date.now(), zoneId]
     );
 
+    await trackZoneChange(zoneId, 'record_created', actorFromRequest(req));
+    await scheduleZoneSync(zoneId);
+
     logger.info(`DNS record created: ${type} ${name} in zone ${zoneId}`);
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -305,13 +405,22 @@ export const updateRecord = async (req, res) => {
     if (zoneResult.rows.length === 0) {
       return res.status(404).json({ error: 'DNS zone not found' });
     }
+    if (isSecondary(zoneResult.rows[0])) {
+      return secondaryZone(res);
+    }
+
+    const record = { id: recordId, type: String(type || '').toUpperCase(), name, content, ttl, priority: priority ?? null };
+    const errors = validateRecordChanges(await getZoneRecords(zoneId), [record], { domain: zoneResult.rows[0].domain });
+    if (errors.length > 0) {
+      return invalidRecords(res, errors);
+    }
 
     const result = await pool.query(
       `UPDATE dns_records 
        SET type = $1, name = $2, content = $3, ttl = $4, priority = $5, updated_at = NOW()
        WHERE id = $6 AND zone_id = $7
        RETURNING *`,
-      [type, name, content, ttl, priority, recordId, zoneId]
+      [record.type, name, content, ttl, record.priority, recordId, zoneId]
     );
 
     if (result.rows.length === 0) {
@@ -324,6 +433,8 @@ export const updateRecord = async (req, res) => {
       [Date.now(), zoneId]
     );
 
+    await trackZoneChange(zoneId, 'record_updated', actorFromRequest(req));
+    await scheduleZoneSync(zoneId);
     res.json(result.rows[0]);
   } catch (error) {
     logger.error('Error updating DNS record:', error);
@@ -348,6 +459,9 @@ export const deleteRecord = async (req, res) => {
     if (zoneResult.rows.length === 0) {
       return res.status(404).json({ error: 'DNS zone not found' });
     }
+    if (isSecondary(zoneResult.rows[0])) {
+      return secondaryZone(res);
+    }
 
     const result = await pool.query(
       `DELETE FROM dns_records WHERE id = $1 AND zone_id = $2 RETURNING *`,
@@ -364,6 +478,8 @@ export const deleteRecord = async (req, res) => {
       [Date.now(), zoneId]
     );
 
+    await trackZoneChange(zoneId, 'record_deleted', actorFromRequest(req));
+    await scheduleZoneSync(zoneId);
     res.json({ message: 'DNS record deleted successfully' });
   } catch (error) {
     logger.error('Error deleting DNS record:', error);
@@ -393,14 +509,29 @@ export const bulkCreateRecords = async (req, res) => {
     if (zoneResult.rows.length === 0) {
       return res.status(404).json({ error: 'DNS zone not found' });
     }
+    if (isSecondary(zoneResult.rows[0])) {
+      return secondaryZone(res);
+    }
+
+    const candidates = records.map((record) => ({
+      type: String(record.type || '').toUpperCase(),
+      name: record.name,
+      content: record.content,
+      ttl: record.ttl || 3600,
+      priority: record.priority ?? null
+    }));
+    const errors = validateRecordChanges(await getZoneRecords(zoneId), candidates, { domain: zoneResult.rows[0].domain });
+    if (errors.length > 0) {
+      return invalidRecords(res, errors);
+    }
 
     const createdRecords = [];
-    for (const record of records) {
+    for (const record of candidates) {
       const result = await pool.query(
         `INSERT INTO dns_records (zone_id, type, name, content, ttl, priority)
          VALUES ($1, $2, $3, $4, $5, $6)
          RETURNING *`,
-        [zoneId, record.type, record.name, record.content, record.ttl || 3600, record.priority || null]
+        [zoneId, record.type, record.name, record.content, record.ttl, record.priority]
       );
       createdRecords.push(result.rows[0]);
     }
@@ -411,6 +542,9 @@ export const bulkCreateRecords = async (req, res) => {
       [Date.now(), zoneId]
     );
 
+    await trackZoneChange(zoneId, 'records_bulk_created', actorFromRequest(req));
+    await scheduleZoneSync(zoneId);
+
     logger.info(`Bulk created ${createdRecords.length} DNS records in zone ${zoneId}`);
     res.status(201).json({ records: createdRecords });
   } catch (error) {
@@ -418,3 +552,660 @@ export const bulkCreateRecords = async (req, res) => {
     res.status(500).json({ error: 'Failed to bulk create DNS records' });
   }
 };
+
+/**
+ * Import a BIND zone file. Without dryRun: false only the diff against the
+ * current records is returned; pass the serial from the dry run as
+ * expectedSerial to apply exactly what was previewed.
+ * POST /api/dns-zones/:zoneId/import
+ * Body: { zoneFile, dryRun?, mode?: 'replace'|'merge', includeApexNs?, expectedSerial? }
+ */
+export const importZoneFile = async (req, res) => {
+  const { zoneId } = req.params;
+  const userId = req.user.id;
+  const { zoneFile, mode = 'replace', includeApexNs = false, expectedSerial } = req.body;
+  const dryRun = req.body.dryRun !== false;
+
+  if (typeof zoneFile !== 'string' || zoneFile.trim() === '') {
+    return res.status(400).json({ error: 'zoneFile is required' });
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the zone so the diff cannot go stale before it is applied
+    const zoneResult = await client.query(
+      `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+      [zoneId, userId]
+    );
+
+    if (zoneResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const zone = zoneResult.rows[0];
+    if (isSecondary(zone)) {
+      await client.query('ROLLBACK');
+      return secondaryZone(res);
+    }
+
+    const { records, errors } = parseZoneFile(zoneFile, {
+      domain: zone.domain,
+      defaultTtl: zone.default_ttl || 3600
+    });
+
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: `Zone file has ${errors.length} error(s); line ${errors[0].line}: ${errors[0].message}`,
+        errors
+      });
+    }
+    if (records.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Zone file contains no records' });
+    }
+
+    const current = await getZoneRecords(zoneId, client);
+    const diff = diffZone(current, records, { domain: zone.domain, mode, includeApexNs });
+
+    const changes = [...diff.add, ...diff.update.map(({ id, to }) => ({ ...to, id }))];
+    const invalid = validateRecordChanges(current, changes, {
+      domain: zone.domain,
+      removing: diff.remove.map((record) => record.id)
+    }).map(({ index, ...error }) => ({ line: changes[index].line, ...error }));
+
+    if (invalid.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: `Zone file has ${invalid.length} error(s); line ${invalid[0].line}: ${invalid[0].message}`,
+        errors: invalid
+      });
+    }
+    const summary = {
+      add: diff.add.length,
+      remove: diff.remove.length,
+      update: diff.update.length,
+      unchanged: diff.unchanged,
+      skipped: diff.skipped.length
+    };
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return res.json({ dryRun: true, serial: zone.serial, summary, diff });
+    }
+
+    if (expectedSerial !== undefined && String(expectedSerial) !== String(zone.serial)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Zone changed since the preview; run the dry run again', serial: zone.serial });
+    }
+
+    if (diff.remove.length > 0) {
+      await client.query(
+        `DELETE FROM dns_records WHERE zone_id = $1 AND id = ANY($2)`,
+        [zoneId, diff.remove.map((record) => record.id)]
+      );
+    }
+    for (const { id, to } of diff.update) {
+      await client.query(
+        `UPDATE dns_records SET ttl = $1, updated_at = NOW() WHERE id = $2 AND zone_id = $3`,
+        [to.ttl, id, zoneId]
+      );
+    }
+    for (const record of diff.add) {
+      await client.query(
+        `INSERT INTO dns_records (zone_id, type, name, content, ttl, priority)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [zoneId, record.type, record.name, record.content, record.ttl, record.priority]
+      );
+    }
+
+    const serial = Date.now();
+    await client.query(
+      `UPDATE dns_zones SET serial = $1, updated_at = NOW() WHERE id = $2`,
+      [serial, zoneId]
+    );
+    await recordZoneVersion(client, zoneId, { action: 'zone_imported', actor: actorFromRequest(req), note: 'Zone file import' });
+    await client.query(
+      `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+      [userId, 'dns_zone_imported', `Imported zone file into ${zone.domain} (+${summary.add} -${summary.remove} ~${summary.update})`]
+    );
+
+    await client.query('COMMIT');
+    await scheduleZoneSync(zoneId);
+
+    logger.info(`Zone file imported into DNS zone ${zoneId}`, summary);
+    res.json({ dryRun: false, serial, summary, diff });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Error importing zone file:', error);
+    res.status(500).json({ error: 'Failed to import zone file' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Export a DNS zone as a BIND zone file
+ * GET /api/dns-zones/:zoneId/export
+ */
+export const exportZoneFile = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const zone = zoneResult.rows[0];
+
+    res.setHeader('Content-Type', 'text/dns; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${zone.domain}.zone"`);
+    res.send(renderZoneFile(zone, await getZoneRecords(zoneId)));
+  } catch (error) {
+    logger.error('Error exporting zone file:', error);
+    res.status(500).json({ error: 'Failed to export zone file' });
+  }
+};
+
+/**
+ * Report problems with a zone's existing records: invalid syntax, CNAME
+ * conflicts, missing SPF/DMARC and CNAMEs pointing at names that no longer exist
+ * GET /api/dns-zones/:zoneId/lint
+ */
+export const lintZone = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const zone = zoneResult.rows[0];
+    res.json(await lintZoneRecords(zone, await getZoneRecords(zoneId)));
+  } catch (error) {
+    logger.error('Error linting DNS zone:', error);
+    res.status(500).json({ error: 'Failed to lint DNS zone' });
+  }
+};
+
+/**
+ * Whether the zone has reached the nameservers
+ * GET /api/dns-zones/:zoneId/sync
+ */
+export const getZoneSyncStatus = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const zone = zoneResult.rows[0];
+    res.json({
+      driver: getDnsDriver()?.name || 'none',
+      status: zone.sync_status,
+      error: zone.sync_error,
+      lastSyncedAt: zone.last_synced_at,
+      lastDriftAt: zone.last_drift_at,
+      serial: zone.serial
+    });
+  } catch (error) {
+    logger.error('Error fetching DNS sync status:', error);
+    res.status(500).json({ error: 'Failed to fetch DNS sync status' });
+  }
+};
+
+/**
+ * Push the zone to the nameservers now
+ * POST /api/dns-zones/:zoneId/sync
+ */
+export const syncZoneNow = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    const zoneQuery = isAdmin
+      ? `SELECT id FROM dns_zones WHERE id = $1`
+      : `SELECT id FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+    if (!getDnsDriver()) {
+      return res.status(422).json({ error: 'No DNS backend is configured' });
+    }
+
+    try {
+      res.json(await syncZone(zoneResult.rows[0].id));
+    } catch (error) {
+      // The failure is stored on the zone; report it as an upstream error
+      res.status(502).json({ error: `DNS sync failed: ${error.message}` });
+    }
+  } catch (error) {
+    logger.error('Error syncing DNS zone:', error);
+    res.status(500).json({ error: 'Failed to sync DNS zone' });
+  }
+};
+
+/**
+ * Change history of a zone, newest first
+ * GET /api/dns-zones/:zoneId/versions?limit=&offset=
+ */
+export const getZoneVersions = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const zone = zoneResult.rows[0];
+    res.json({ serial: zone.serial, versions: await listVersions(zone.id, { limit, offset }) });
+  } catch (error) {
+    logger.error('Error fetching DNS zone history:', error);
+    res.status(500).json({ error: 'Failed to fetch DNS zone history' });
+  }
+};
+
+/**
+ * One version of a zone with its records and changes
+ * GET /api/dns-zones/:zoneId/versions/:serial
+ */
+export const getZoneVersion = async (req, res) => {
+  try {
+    const { zoneId, serial } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!/^\d+$/.test(serial)) {
+      return res.status(400).json({ error: 'Serial must be a number' });
+    }
+
+    const zoneQuery = isAdmin
+      ? `SELECT id FROM dns_zones WHERE id = $1`
+      : `SELECT id FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const version = await getVersion(zoneResult.rows[0].id, serial);
+    if (!version) {
+      return res.status(404).json({ error: 'Zone version not found' });
+    }
+
+    res.json(version);
+  } catch (error) {
+    logger.error('Error fetching DNS zone version:', error);
+    res.status(500).json({ error: 'Failed to fetch DNS zone version' });
+  }
+};
+
+/**
+ * Rrset differences between two versions; without `to` the zone's current
+ * records are compared
+ * GET /api/dns-zones/:zoneId/diff?from=&to=
+ */
+export const diffZoneVersions = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const { from, to } = req.query;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!/^\d+$/.test(String(from || '')) || (to !== undefined && to !== '' && !/^\d+$/.test(String(to)))) {
+      return res.status(400).json({ error: 'from (and optionally to) must be zone serials' });
+    }
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const diff = await diffVersions(zoneResult.rows[0], from, to);
+    if (!diff) {
+      return res.status(404).json({ error: 'Zone version not found' });
+    }
+
+    res.json(diff);
+  } catch (error) {
+    logger.error('Error diffing DNS zone versions:', error);
+    res.status(500).json({ error: 'Failed to diff DNS zone versions' });
+  }
+};
+
+/**
+ * Restore the records of an earlier version
+ * POST /api/dns-zones/:zoneId/rollback
+ * Body: { serial }
+ */
+export const rollbackZoneVersion = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const { serial } = req.body;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!/^\d+$/.test(String(serial ?? ''))) {
+      return res.status(400).json({ error: 'Serial of the version to restore is required' });
+    }
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+    if (isSecondary(zoneResult.rows[0])) {
+      return secondaryZone(res);
+    }
+    if (String(zoneResult.rows[0].serial) === String(serial)) {
+      return res.status(422).json({ error: 'The zone is already at this version' });
+    }
+
+    const version = await rollbackZone(zoneResult.rows[0].id, serial, actorFromRequest(req));
+    if (!version) {
+      return res.status(404).json({ error: 'Zone version not found' });
+    }
+
+    logger.info(`DNS zone ${zoneId} rolled back to serial ${serial}`);
+    res.json(version);
+  } catch (error) {
+    logger.error('Error rolling back DNS zone:', error);
+    res.status(500).json({ error: 'Failed to roll back DNS zone' });
+  }
+};
+
+/**
+ * TSIG keys of the user, without their secrets
+ * GET /api/dns-zones/tsig-keys
+ */
+export const getTsigKeys = async (req, res) => {
+  try {
+    const keys = await listTsigKeys(req.user.role === 'admin' ? null : req.user.id);
+    res.json({ keys });
+  } catch (error) {
+    logger.error('Error fetching TSIG keys:', error);
+    res.status(500).json({ error: 'Failed to fetch TSIG keys' });
+  }
+};
+
+/**
+ * Create a TSIG key. The secret is only ever returned in this response.
+ * POST /api/dns-zones/tsig-keys
+ * Body: { name, algorithm?, secret? } - a secret is generated when none is given
+ */
+export const createTsigKey = async (req, res) => {
+  try {
+    const result = await createTsigKeyRecord(req.user.id, req.body);
+    if (result.error) {
+      return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+    }
+
+    logger.info(`TSIG key created: ${result.key.name}`, { userId: req.user.id });
+    res.status(201).json({ ...result.key, secret: result.secret });
+  } catch (error) {
+    logger.error('Error creating TSIG key:', error);
+    res.status(500).json({ error: 'Failed to create TSIG key' });
+  }
+};
+
+/**
+ * Delete a TSIG key that no zone uses
+ * DELETE /api/dns-zones/tsig-keys/:keyId
+ */
+export const deleteTsigKey = async (req, res) => {
+  try {
+    const key = await findTsigKey(req.params.keyId, req.user);
+    if (!key) {
+      return res.status(404).json({ error: 'TSIG key not found' });
+    }
+
+    const usage = await pool.query(
+      `SELECT COUNT(*) AS count FROM dns_zones WHERE primary_tsig_key_id = $1 OR transfer_tsig_key_id = $1`,
+      [key.id]
+    );
+    const zoneCount = parseInt(usage.rows[0].count, 10);
+    if (zoneCount > 0) {
+      return res.status(409).json({ error: `TSIG key is used by ${zoneCount} zone(s)` });
+    }
+
+    await pool.query(`DELETE FROM dns_tsig_keys WHERE id = $1`, [key.id]);
+    await removeTsigKeyFromBackend(key.name);
+
+    logger.info(`TSIG key deleted: ${key.name}`, { userId: req.user.id });
+    res.json({ message: 'TSIG key deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting TSIG key:', error);
+    res.status(500).json({ error: 'Failed to delete TSIG key' });
+  }
+};
+
+/**
+ * Transfer settings of a zone and, for a secondary, its last transfer
+ * GET /api/dns-zones/:zoneId/transfer
+ */
+export const getZoneTransfer = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const zone = zoneResult.rows[0];
+    res.json({
+      type: String(zone.type || 'NATIVE').toUpperCase(),
+      primaries: zone.primaries || [],
+      primary_tsig_key_id: zone.primary_tsig_key_id,
+      allow_transfer: zone.allow_transfer || [],
+      also_notify: zone.also_notify || [],
+      transfer_tsig_key_id: zone.transfer_tsig_key_id,
+      lastTransferSerial: zone.last_transfer_serial,
+      lastTransferAt: zone.last_transfer_at,
+      lastCheckAt: zone.last_transfer_check_at,
+      syncStatus: zone.sync_status,
+      syncError: zone.sync_error
+    });
+  } catch (error) {
+    logger.error('Error fetching DNS zone transfer settings:', error);
+    res.status(500).json({ error: 'Failed to fetch DNS zone transfer settings' });
+  }
+};
+
+/**
+ * Change the zone type and transfer settings. A secondary that becomes a
+ * primary keeps the records it last transferred.
+ * PUT /api/dns-zones/:zoneId/transfer
+ * Body: { type, primaries, primary_tsig_key_id, allow_transfer, also_notify, transfer_tsig_key_id }
+ */
+export const updateZoneTransfer = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { zoneId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+    const {
+      primary_tsig_key_id: primaryKeyId = null,
+      transfer_tsig_key_id: transferKeyId = null
+    } = req.body;
+
+    const { errors, values } = validateTransferSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+    for (const keyId of [primaryKeyId, transferKeyId].filter(Boolean)) {
+      if (!(await findTsigKey(keyId, req.user))) {
+        return res.status(400).json({ error: 'TSIG key not found' });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1 FOR UPDATE`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2 FOR UPDATE`;
+    const zoneResult = await client.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    const zone = zoneResult.rows[0];
+    const secondary = values.type === 'SLAVE';
+    const promoted = isSecondary(zone) && !secondary;
+
+    if (promoted) {
+      const records = await fetchTransferredRecords(zone);
+      if (!records || !records.some((record) => record.type === 'SOA')) {
+        await client.query('ROLLBACK');
+        return res.status(422).json({
+          error: 'The zone has not been transferred yet, so there are no records to keep as a primary'
+        });
+      }
+      await client.query(`DELETE FROM dns_records WHERE zone_id = $1`, [zone.id]);
+      for (const record of records) {
+        await client.query(
+          `INSERT INTO dns_records (zone_id, type, name, content, ttl, priority)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [zone.id, record.type, record.name, record.content, record.ttl, record.priority]
+        );
+      }
+    } else if (secondary && !isSecondary(zone)) {
+      // The primaries' copy replaces ours; history keeps the records
+      await client.query(`DELETE FROM dns_records WHERE zone_id = $1`, [zone.id]);
+    }
+
+    const result = await client.query(
+      `UPDATE dns_zones
+       SET type = $1, primaries = $2, primary_tsig_key_id = $3,
+           allow_transfer = $4, also_notify = $5, transfer_tsig_key_id = $6,
+           serial = $7, updated_at = NOW()
+       WHERE id = $8
+       RETURNING *`,
+      [
+        values.type,
+        JSON.stringify(secondary ? values.primaries : []),
+        secondary ? primaryKeyId : null,
+        JSON.stringify(values.allow_transfer),
+        JSON.stringify(secondary ? [] : values.also_notify),
+        transferKeyId,
+        Date.now(),
+        zone.id
+      ]
+    );
+
+    if (values.type !== String(zone.type || 'NATIVE').toUpperCase()) {
+      await recordZoneVersion(client, zone.id, {
+        action: 'zone_type_changed',
+        actor: actorFromRequest(req),
+        note: `Zone type set to ${values.type}`
+      });
+    }
+
+    await client.query('COMMIT');
+    await scheduleZoneSync(zone.id);
+
+    logger.info(`DNS zone ${zone.domain} transfer settings updated (${values.type})`);
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Error updating DNS zone transfer settings:', error);
+    res.status(500).json({ error: 'Failed to update DNS zone transfer settings' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Transfer a secondary zone from its primaries now, or send NOTIFY for a
+ * primary zone to its secondaries
+ * POST /api/dns-zones/:zoneId/transfer
+ */
+export const triggerTransfer = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    const zoneQuery = isAdmin
+      ? `SELECT * FROM dns_zones WHERE id = $1`
+      : `SELECT * FROM dns_zones WHERE id = $1 AND user_id = $2`;
+    const zoneResult = await pool.query(zoneQuery, isAdmin ? [zoneId] : [zoneId, userId]);
+
+    if (zoneResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS zone not found' });
+    }
+
+    let action;
+    try {
+      action = await triggerZoneTransfer(zoneResult.rows[0]);
+    } catch (error) {
+      return res.status(502).json({ error: `Zone transfer request failed: ${error.message}` });
+    }
+    if (!action) {
+      return res.status(422).json({
+        error: 'Only MASTER and SLAVE zones can be transferred, and only with a DNS backend that supports it'
+      });
+    }
+
+    res.json({ action, message: action === 'retrieve' ? 'Transfer from the primaries requested' : 'NOTIFY sent to the secondaries' });
+  } catch (error) {
+    logger.error('Error triggering DNS zone transfer:', error);
+    res.status(500).json({ error: 'Failed to trigger DNS zone transfer' });
+  }
+};
@@ -6,6 +6,7 @@
 import logger from '../config/logger.js';
 import pool from '../db/index.js';
 import namesiloService from '../services/namesiloService.js';
+import { checkDelegation as checkParentDelegation, configuredResolvers } from '../services/dnsPropagationService.js';
 
 /**
  * Check domain availability
@@ -328,6 +329,63 @@ export const updateNameServers = async (req, res) => {
   }
 };
 
+/**
+ * Check how the registry delegates a domain, e.g. after changing its
+ * nameservers. Registries publish changes with a delay, so this can lag.
+ * Query: nameservers - comma-separated expected nameservers (default: DNS_NAMESERVERS)
+ */
+export const checkDelegation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tenant_id } = req.user;
+
+    const domainResult = await pool.query(
+      'SELECT * FROM domains WHERE id = $1 AND tenant_id = $2',
+      [id, tenant_id]
+    );
+
+    if (domainResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Domain not found',
+      });
+    }
+
+    const domain = domainResult.rows[0];
+    const expectedNameservers = String(req.query.nameservers || process.env.DNS_NAMESERVERS || '')
+      .split(',')
+      .map((ns) => ns.trim())
+      .filter(Boolean);
+
+    // Glue is compared with our zone for the domain when we host it
+    const recordsResult = await pool.query(
+      `SELECT r.* FROM dns_records r
+       JOIN dns_zones z ON z.id = r.zone_id
+       WHERE LOWER(z.domain) = LOWER($1)`,
+      [domain.domain_name]
+    );
+
+    const delegation = await checkParentDelegation(domain.domain_name, {
+      expectedNameservers,
+      records: recordsResult.rows,
+      lookup: configuredResolvers()[0]?.address,
+    });
+
+    res.json({
+      success: true,
+      domain: domain.domain_name,
+      delegation,
+    });
+  } catch (error) {
+    logger.error('Error checking domain delegation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check domain delegation',
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Get domain info from NameSilo
  */
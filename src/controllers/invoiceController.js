@@ -1,9 +1,12 @@
 import Invoice from '../models/Invoice.js';
 import Payment from '../models/Payment.js';
 import BillingService from '../services/BillingService.js';
+import CreditService, { MANUAL_CREDIT_TYPES } from '../services/CreditService.js';
 import StripeService from '../services/StripeService.js';
+import CreditNoteService, { REFUND_DESTINATIONS } from '../services/CreditNoteService.js';
 import logger from '../config/logger.js';
-import { generateInvoicePDF } from '../services/pdfService.js';
+import { BASE_CURRENCY, roundMoney, toMinorUnits } from '../config/currencies.js';
+import { generateInvoicePDF, generateCreditNotePDF } from '../services/pdfService.js';
 import pool from '../db/index.js';
 import Stripe from 'stripe';
 import emailService from '../services/email.js';
@@ -60,7 +63,7 @@ export const getInvoice = async (req, res) => {
 export const payInvoice = async (req, res) => {
   try {
     const invoice = await Invoice.findById(req.params.id);
-    if (!invoice) {
+    if (!invoice || !(await canAccessCustomer(req, invoice.customer_id))) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
@@ -70,6 +73,25 @@ export const payInvoice = async (req, res) => {
 
     const { paymentMethod, paymentToken } = req.body;
 
+    // A top-up becomes credit only once Stripe confirms the card payment (or
+    // staff mark it paid), so it is never recorded as paid here
+    if (invoice.metadata?.creditTopUp) {
+      if (paymentMethod !== 'stripe') {
+        return res.status(400).json({ error: 'Top-up invoices can only be paid by card' });
+      }
+
+      const paymentIntent = await StripeService.createPaymentIntent(
+        Invoice.amountDue(invoice),
+        invoice.currency || 'USD',
+        { invoiceId: invoice.id }
+      );
+      return res.status(202).json({
+        invoice,
+        clientSecret: paymentIntent.client_secret,
+        message: 'The credit is added once the card payment is confirmed'
+      });
+    }
+
     let transactionId;
     if (paymentMethod === 'stripe') {
       // Process Stripe payment
@@ -89,6 +111,10 @@ export const payInvoice = async (req, res) => {
       metadata: { paymentToken }
     });
 
+    if (!payment) {
+      return res.status(400).json({ error: 'No account credit available' });
+    }
+
     logger.info(`Invoice paid: ${invoice.invoice_number}`, { userId: req.user.id });
     res.json({ invoice, payment });
   } catch (error) {
@@ -107,6 +133,16 @@ export const getDueInvoices = async (req, res) => {
   }
 };
 
+// Seller details printed on invoices and credit notes
+const companyDetails = () => ({
+  name: 'MigraHosting',
+  address: '123 Hosting Street',
+  city: 'San Francisco, CA 94102',
+  email: 'billing@migrahosting.com',
+  website: 'https://migrahosting.com',
+  vatNumber: process.env.TAX_SELLER_VAT_NUMBER || null,
+});
+
 /**
  * Get invoice PDF
  * GET /api/invoices/:id/pdf
@@ -133,6 +169,7 @@ export const downloadInvoicePDF = async (req, res) => {
     }
 
     const invoice = result.rows[0];
+    invoice.tax_lines = await Invoice.getTaxLines(invoice.id);
 
     const customer = {
       email: invoice.customer_email,
@@ -140,13 +177,7 @@ export const downloadInvoicePDF = async (req, res) => {
       last_name: invoice.last_name,
     };
 
-    const company = {
-      name: 'MigraHosting',
-      address: '123 Hosting Street',
-      city: 'San Francisco, CA 94102',
-      email: 'billing@migrahosting.com',
-      website: 'https://migrahosting.com',
-    };
+    const company = companyDetails();
 
     // Generate PDF
     const pdfBuffer = await generateInvoicePDF(invoice, customer, company);
@@ -191,7 +222,7 @@ export const createPaymentIntent = async (req, res) => {
       [id]
     );
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 || !(await canAccessCustomer(req, result.rows[0].customer_id))) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
@@ -209,8 +240,8 @@ export const createPaymentIntent = async (req, res) => {
 
     // Create Stripe payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amountDue * 100), // Convert to cents
-      currency: 'usd',
+      amount: toMinorUnits(amountDue, invoice.currency || BASE_CURRENCY),
+      currency: (invoice.currency || BASE_CURRENCY).toLowerCase(),
       metadata: {
         invoice_id: invoice.id,
         invoice_number: invoice.invoice_number,
@@ -252,6 +283,10 @@ export const markInvoicePaid = async (req, res) => {
 
     const invoice = result.rows[0];
 
+    if (invoice.metadata?.creditTopUp) {
+      await BillingService.settleCreditTopUp(invoice, { createdBy: req.user.id });
+    }
+
     // Send payment receipt email
     try {
       const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [invoice.user_id]);
@@ -280,3 +315,323 @@ export const markInvoicePaid = async (req, res) => {
     res.status(500).json({ error: 'Failed to mark invoice as paid' });
   }
 };
+
+const isBillingStaff = (user) => ['admin', 'manager'].includes(user.role);
+
+/**
+ * The customer a credit request is about: staff may name one with
+ * customerId, everyone else gets their own customer record
+ */
+const resolveCreditCustomer = async (req, customerId) => {
+  if (customerId && isBillingStaff(req.user)) {
+    const result = await pool.query('SELECT * FROM customers WHERE id = $1', [customerId]);
+    return result.rows[0] || null;
+  }
+
+  const result = await pool.query('SELECT * FROM customers WHERE user_id = $1 LIMIT 1', [req.user.id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Get account credit balance and ledger
+ * GET /api/invoices/credit?customerId=
+ */
+export const getAccountCredit = async (req, res) => {
+  try {
+    const customer = await resolveCreditCustomer(req, req.query.customerId);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const { limit = 50, offset = 0 } = req.query;
+    const ledger = await CreditService.getLedger(customer.id, parseInt(limit), parseInt(offset));
+
+    res.json({
+      customerId: customer.id,
+      balance: await CreditService.getBalance(customer.id),
+      currency: customer.currency || 'USD',
+      ledger,
+    });
+  } catch (error) {
+    logger.error('Error fetching account credit:', error);
+    res.status(500).json({ error: 'Failed to fetch account credit' });
+  }
+};
+
+/**
+ * Prepay account balance - creates an invoice that adds credit once paid
+ * POST /api/invoices/credit/top-up
+ * Body: { amount, customerId? }
+ */
+export const createCreditTopUp = async (req, res) => {
+  try {
+    const requested = parseFloat(req.body.amount);
+    const maxTopUp = parseFloat(process.env.CREDIT_TOP_UP_MAX || 10000);
+
+    if (!Number.isFinite(requested) || requested < 1 || requested > maxTopUp) {
+      return res.status(400).json({ error: `Amount must be between 1 and ${maxTopUp}` });
+    }
+
+    const customer = await resolveCreditCustomer(req, req.body.customerId);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const amount = roundMoney(requested, customer.currency || BASE_CURRENCY);
+
+    const invoice = await BillingService.createCreditTopUpInvoice(customer, amount);
+
+    logger.info(`Credit top-up invoice ${invoice.invoice_number} created`, { userId: req.user.id });
+    res.status(201).json({ invoice, message: 'Pay this invoice to add the amount to your account credit' });
+  } catch (error) {
+    logger.error('Error creating credit top-up:', error);
+    res.status(500).json({ error: 'Failed to create credit top-up' });
+  }
+};
+
+/**
+ * Record promotional credit, a manual adjustment or a refund kept as credit (staff)
+ * POST /api/invoices/credit/adjust
+ * Body: { customerId, amount, type, description }
+ */
+export const adjustAccountCredit = async (req, res) => {
+  try {
+    const { customerId, type = 'adjustment', description } = req.body;
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+
+    if (!customerId || !Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json({ error: 'customerId and a non-zero amount are required' });
+    }
+
+    if (!MANUAL_CREDIT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${MANUAL_CREDIT_TYPES.join(', ')}` });
+    }
+
+    if (amount < 0 && type !== 'adjustment') {
+      return res.status(400).json({ error: 'Only adjustments can remove credit' });
+    }
+
+    if (!description) {
+      return res.status(400).json({ error: 'A description is required for manual credit' });
+    }
+
+    const customer = await resolveCreditCustomer(req, customerId);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    let entry;
+    try {
+      entry = await CreditService.recordEntry({
+        tenantId: customer.tenant_id,
+        customerId: customer.id,
+        amount,
+        type,
+        description,
+        currency: customer.currency || 'USD',
+        createdBy: req.user.id,
+      });
+    } catch (error) {
+      if (error.message === 'Insufficient account credit') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    logger.info(`Account credit ${type} of ${amount} for customer ${customer.id}`, { userId: req.user.id });
+    res.status(201).json({ entry, balance: parseFloat(entry.balance_after) });
+  } catch (error) {
+    logger.error('Error adjusting account credit:', error);
+    res.status(500).json({ error: 'Failed to adjust account credit' });
+  }
+};
+
+/**
+ * Pay an invoice from account credit
+ * POST /api/invoices/:id/apply-credit
+ */
+export const applyCreditToInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!isBillingStaff(req.user)) {
+      const customer = await resolveCreditCustomer(req);
+      if (!customer || customer.id !== invoice.customer_id) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+    }
+
+    if (invoice.status === 'paid') {
+      return res.status(400).json({ error: 'Invoice already paid' });
+    }
+
+    if (invoice.metadata?.creditTopUp) {
+      return res.status(400).json({ error: 'Top-up invoices cannot be paid with account credit' });
+    }
+
+    const payment = await BillingService.applyCreditToInvoice(invoice, { createdBy: req.user.id });
+    if (!payment) {
+      return res.status(400).json({ error: 'No account credit available' });
+    }
+
+    res.json({
+      invoice: await Invoice.findById(invoice.id),
+      payment,
+      balance: await CreditService.getBalance(invoice.customer_id),
+    });
+  } catch (error) {
+    logger.error('Error applying account credit:', error);
+    res.status(500).json({ error: 'Failed to apply account credit' });
+  }
+};
+
+/**
+ * Customers only see their own invoices' credit notes
+ */
+const canAccessCustomer = async (req, customerId) => {
+  if (isBillingStaff(req.user)) {
+    return true;
+  }
+  const customer = await resolveCreditCustomer(req);
+  return Boolean(customer) && customer.id === customerId;
+};
+
+/**
+ * Credit notes issued against an invoice
+ * GET /api/invoices/:id/credit-notes
+ */
+export const listCreditNotes = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice || !(await canAccessCustomer(req, invoice.customer_id))) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.json({ creditNotes: await CreditNoteService.listForInvoice(invoice.id) });
+  } catch (error) {
+    logger.error('Error listing credit notes:', error);
+    res.status(500).json({ error: 'Failed to list credit notes' });
+  }
+};
+
+/**
+ * Issue a credit note for a whole invoice or for some of its lines. What the
+ * customer already paid is refunded to the card for Stripe payments and to
+ * account credit otherwise (or always, with refundTo: 'credit').
+ * POST /api/invoices/:id/credit-notes
+ * Body: { reason, lines?: [{ invoiceItemId, amount? }], refundTo?: 'original' | 'credit' }
+ */
+export const createCreditNote = async (req, res) => {
+  try {
+    const { reason, lines, refundTo = 'original' } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+    if (lines !== undefined && !Array.isArray(lines)) {
+      return res.status(400).json({ error: 'lines must be an array' });
+    }
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+      return res.status(400).json({ error: `refundTo must be one of: ${REFUND_DESTINATIONS.join(', ')}` });
+    }
+
+    const result = await CreditNoteService.issue(req.params.id, {
+      reason,
+      lines,
+      refundTo,
+      createdBy: req.user.id
+    });
+
+    if (result.notFound) {
+      return res.status(404).json({ error: result.error });
+    }
+    if (result.error) {
+      return res.status(422).json({ error: result.error });
+    }
+
+    const { creditNote } = result;
+    logger.info(`Credit note ${creditNote.credit_note_number} issued`, { userId: req.user.id });
+    res.status(201).json({
+      creditNote,
+      invoice: await Invoice.findById(req.params.id),
+      ...(creditNote.status === 'refund_failed' && { warning: 'Some refunds failed and can be retried' })
+    });
+  } catch (error) {
+    logger.error('Error issuing credit note:', error);
+    res.status(500).json({ error: 'Failed to issue credit note' });
+  }
+};
+
+/**
+ * Get a credit note
+ * GET /api/invoices/credit-notes/:creditNoteId
+ */
+export const getCreditNote = async (req, res) => {
+  try {
+    const creditNote = await CreditNoteService.findById(req.params.creditNoteId);
+    if (!creditNote || !(await canAccessCustomer(req, creditNote.customer_id))) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+    res.json(creditNote);
+  } catch (error) {
+    logger.error('Error fetching credit note:', error);
+    res.status(500).json({ error: 'Failed to fetch credit note' });
+  }
+};
+
+/**
+ * Get credit note PDF
+ * GET /api/invoices/credit-notes/:creditNoteId/pdf
+ */
+export const downloadCreditNotePDF = async (req, res) => {
+  try {
+    const creditNote = await CreditNoteService.findById(req.params.creditNoteId);
+    if (!creditNote || !(await canAccessCustomer(req, creditNote.customer_id))) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT u.email, u.first_name, u.last_name, i.customer_vat_number AS vat_number
+       FROM invoices i
+       JOIN customers c ON c.id = i.customer_id
+       LEFT JOIN users u ON u.id = c.user_id
+       WHERE i.id = $1`,
+      [creditNote.invoice_id]
+    );
+
+    const pdfBuffer = await generateCreditNotePDF(creditNote, result.rows[0] || {}, companyDetails());
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=credit-note-${creditNote.credit_note_number}.pdf`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    logger.error('Error generating credit note PDF:', error);
+    res.status(500).json({ error: 'Failed to generate credit note PDF' });
+  }
+};
+
+/**
+ * Retry a credit note's failed refunds (admin)
+ * POST /api/invoices/credit-notes/:creditNoteId/retry-refunds
+ */
+export const retryCreditNoteRefunds = async (req, res) => {
+  try {
+    const creditNote = await CreditNoteService.findById(req.params.creditNoteId);
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+    if (creditNote.status !== 'refund_failed') {
+      return res.status(400).json({ error: 'Credit note has no failed refunds' });
+    }
+
+    const updated = await CreditNoteService.retryRefunds(creditNote.id);
+    logger.info(`Retried refunds for credit note ${creditNote.credit_note_number}`, { userId: req.user.id });
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error retrying credit note refunds:', error);
+    res.status(500).json({ error: 'Failed to retry refunds' });
+  }
+};
@@ -1,7 +1,8 @@
 // src/controllers/monitoringController.js
 /**
  * Resource Monitoring & Alerts Controller
- * Handles system resource monitoring, metrics, and alert management
+ * Handles system resource monitoring, metrics, and alert management.
+ * raiseAlert/clearAlerts let scheduled checks (e.g. TLS endpoints) feed the same alerts.
  */
 
 import pool from '../db/pool.js';
@@ -12,6 +13,8 @@ import { promisify } from 'util';
 
 const execAsync = promisify(exec);
 
+const SEVERITY_ORDER = ['info', 'warning', 'critical'];
+
 /**
  * Get current resource metrics
  */
@@ -497,6 +500,63 @@ export const resolveAlert = async (req, res) => {
   }
 };
 
+/**
+ * Raise an alert from an automated check. An open alert with the same key on
+ * the same resource is updated instead of duplicated, and reopened if it got
+ * more severe after being acknowledged.
+ * @param {Object} alert - { userId, ruleId, resourceType, resourceId, key, severity, message }
+ * @returns {Promise<Object>} - monitoring_alerts row
+ */
+export async function raiseAlert({ userId, ruleId = null, resourceType, resourceId, key, severity = 'warning', message }) {
+  const existing = await pool.query(
+    `SELECT * FROM monitoring_alerts
+     WHERE resource_type = $1 AND resource_id = $2 AND alert_key = $3 AND status <> 'resolved'
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [resourceType, resourceId, key]
+  );
+
+  if (existing.rows.length > 0) {
+    const alert = existing.rows[0];
+    const escalated = SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(alert.severity);
+    const result = await pool.query(
+      `UPDATE monitoring_alerts
+       SET severity = $1, message = $2,
+           status = CASE WHEN $3 THEN 'active' ELSE status END,
+           acknowledged_at = CASE WHEN $3 THEN NULL ELSE acknowledged_at END
+       WHERE id = $4
+       RETURNING *`,
+      [severity, message, escalated, alert.id]
+    );
+    return result.rows[0];
+  }
+
+  const result = await pool.query(
+    `INSERT INTO monitoring_alerts (user_id, rule_id, resource_type, resource_id, alert_key, severity, message)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [userId, ruleId, resourceType, resourceId, key, severity, message]
+  );
+  logger.warn(`Alert raised for ${resourceType} ${resourceId}: ${message}`);
+  return result.rows[0];
+}
+
+/**
+ * Resolve the open alerts of a resource that an automated check no longer reports
+ * @param {Object} options - { resourceType, resourceId, keepKeys }
+ * @returns {Promise<number>} - Alerts resolved
+ */
+export async function clearAlerts({ resourceType, resourceId, keepKeys = [] }) {
+  const result = await pool.query(
+    `UPDATE monitoring_alerts
+     SET status = 'resolved', resolved_at = NOW()
+     WHERE resource_type = $1 AND resource_id = $2 AND alert_key IS NOT NULL
+       AND status <> 'resolved' AND NOT (alert_key = ANY($3))`,
+    [resourceType, resourceId, keepKeys]
+  );
+  return result.rowCount;
+}
+
 /**
  * Get dashboard stats
  */
@@ -559,6 +619,9 @@ async function verifyResourceAccess(userId, resourceType, resourceId) {
     case 'email':
       table = 'email_accounts';
       break;
+    case 'tls_endpoint':
+      table = 'tls_endpoints';
+      break;
     default:
       return false;
   }
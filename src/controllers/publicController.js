@@ -1,32 +1,54 @@
 import StripeService from '../services/StripeService.js';
-import { PLAN_CATALOG, resolvePriceId, serializePlans, SETUP_FEE_PRICE } from '../config/planCatalog.js';
+import CouponService from '../services/CouponService.js';
+import { PLAN_CATALOG, resolvePriceId, serializePlans, resolveSetupFeePrice } from '../config/planCatalog.js';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES, normalizeCurrency } from '../config/currencies.js';
 import logger from '../config/logger.js';
 
 export const listPublicPlans = (req, res) => {
-  const plans = serializePlans();
-  res.json({ plans });
+  const currency = normalizeCurrency(req.query.currency) || BASE_CURRENCY;
+  const plans = serializePlans(currency);
+  res.json({ plans, currency, currencies: SUPPORTED_CURRENCIES });
 };
 
 export const startPublicCheckout = async (req, res) => {
   try {
-    const { planId, term = 'monthly', successUrl, cancelUrl, email } = req.body || {};
+    const { planId, term = 'monthly', successUrl, cancelUrl, email, couponCode } = req.body || {};
     if (!planId || !term) {
       return res.status(400).json({ error: 'Missing planId or term' });
     }
 
+    const currency = normalizeCurrency(req.body.currency || BASE_CURRENCY);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
     const plan = PLAN_CATALOG[planId];
     if (!plan) {
       return res.status(404).json({ error: 'Unknown plan' });
     }
 
-    const priceId = resolvePriceId(planId, term);
+    const priceId = resolvePriceId(planId, term, currency);
     if (!priceId) {
-      return res.status(400).json({ error: 'Plan does not support requested term' });
+      return res.status(400).json({ error: `Plan does not support requested term in ${currency}` });
     }
 
     const lineItems = [{ price: priceId, quantity: 1 }];
-    if (term === 'monthly' && SETUP_FEE_PRICE) {
-      lineItems.push({ price: SETUP_FEE_PRICE, quantity: 1 });
+    const setupFeePrice = resolveSetupFeePrice(currency);
+    if (term === 'monthly' && setupFeePrice) {
+      lineItems.push({ price: setupFeePrice, quantity: 1 });
+    }
+
+    const metadata = { planId, term, currency };
+    let discounts;
+    if (couponCode) {
+      const { coupon, error } = await CouponService.validate(couponCode, { itemIds: [planId], currency, email });
+      if (error) {
+        return res.status(422).json({ error });
+      }
+      // Only the plan is discounted, never the setup fee
+      const productId = await StripeService.getPriceProductId(priceId);
+      discounts = [{ coupon: await CouponService.ensureProductStripeCoupon(coupon, productId) }];
+      Object.assign(metadata, { coupon_id: coupon.id, coupon_code: coupon.code });
     }
 
     const session = await StripeService.createCheckoutSession({
@@ -35,7 +57,8 @@ export const startPublicCheckout = async (req, res) => {
       successUrl: successUrl || process.env.CHECKOUT_SUCCESS_URL || 'http://localhost:5173/checkout/success',
       cancelUrl: cancelUrl || process.env.CHECKOUT_CANCEL_URL || 'http://localhost:5173/pricing',
       customerEmail: email,
-      metadata: { planId, term },
+      metadata,
+      discounts,
     });
 
     res.json({ url: session.url, id: session.id });
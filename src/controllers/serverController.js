@@ -1,5 +1,6 @@
 import Server from '../models/Server.js';
 import logger from '../config/logger.js';
+import agentJobService, { AGENT_JOB_ACTIONS } from '../services/agentJobService.js';
 
 export const createServer = async (req, res) => {
   try {
@@ -78,3 +79,31 @@ export const getServerMetrics = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch metrics' });
   }
 };
+
+export const createServerJob = async (req, res) => {
+  try {
+    const { action, payload = {} } = req.body;
+    if (!AGENT_JOB_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${AGENT_JOB_ACTIONS.join(', ')}` });
+    }
+
+    const job = await agentJobService.enqueueForServer(req.params.id, action, payload, {
+      createdBy: req.user.id
+    });
+    logger.info(`Agent job ${job.id} (${action}) queued for server ${req.params.id}`, { userId: req.user.id });
+    res.status(202).json(job);
+  } catch (error) {
+    logger.error('Error queueing server job:', error);
+    res.status(500).json({ error: 'Failed to queue server job' });
+  }
+};
+
+export const getServerJobs = async (req, res) => {
+  try {
+    const jobs = await agentJobService.listJobsForServer(req.params.id, parseInt(req.query.limit) || 50);
+    res.json(jobs);
+  } catch (error) {
+    logger.error('Error fetching server jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch server jobs' });
+  }
+};
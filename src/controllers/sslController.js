@@ -7,6 +7,17 @@
 import pool from '../db/pool.js';
 import logger from '../utils/logger.js';
 import acme from 'acme-client';
+import {
+  CHALLENGE_TYPES,
+  normalizeDomains,
+  chooseChallenge,
+  findZoneForName,
+  issueCertificate as issueAcmeCertificate,
+} from '../services/acmeService.js';
+import { validateEndpoint, checkEndpoint, recordEndpointCheck } from '../services/tlsMonitorService.js';
+import { assertPublicHost } from '../utils/netGuard.js';
+import { clearAlerts } from './monitoringController.js';
+import { DEPLOY_TARGETS, deployCertificate as deployToNode, listDeployments, uncoveredNames } from '../services/certificateDeployService.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -77,10 +88,10 @@ export const getCertificate = async (req, res) => {
 export const issueCertificate = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { domain, email } = req.body;
+    const { domain, domains, challenge } = req.body;
 
-    if (!domain || !email) {
-      return res.status(400).json({ error: 'Domain and email are required' });
+    if (!domain) {
+      return res.status(400).json({ error: 'Domain is required' });
     }
 
     // Check if certificate already exists
@@ -93,76 +104,56 @@ export const issueCertificate = async (req, res) => {
       return res.status(400).json({ error: 'Active certificate already exists for this domain' });
     }
 
-    // Initialize ACME client
-    const certDir = process.env.SSL_CERT_DIR || '/etc/mpanel/ssl';
-    await fs.mkdir(certDir, { recursive: true });
-
-    const accountKeyPath = path.join(certDir, 'account.key');
-    let accountKey;
-
-    try {
-      accountKey = await fs.readFile(accountKeyPath, 'utf8');
-    } catch (error) {
-      accountKey = await acme.forge.createPrivateKey();
-      await fs.writeFile(accountKeyPath, accountKey);
+    const names = Array.isArray(domains) && domains.length > 0 ? domains : [domain, `www.${domain}`];
+    const { domains: normalized, invalid } = normalizeDomains(names);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid domain names: ${invalid.join(', ')}` });
+    }
+    if (challenge && !CHALLENGE_TYPES.includes(challenge)) {
+      return res.status(400).json({ error: `Challenge must be one of: ${CHALLENGE_TYPES.join(', ')}` });
     }
 
-    const client = new acme.Client({
-      directoryUrl: acme.directory.letsencrypt.production,
-      accountKey,
-    });
-
-    // Create CSR
-    const [key, csr] = await acme.forge.createCsr({
-      commonName: domain,
-      altNames: [`www.${domain}`],
-    });
-
-    // Issue certificate
-    const cert = await client.auto({
-      csr,
-      email,
-      termsOfServiceAgreed: true,
-      challengeCreateFn: async (authz, challenge, keyAuthorization) => {
-        // HTTP-01 challenge
-        if (challenge.type === 'http-01') {
-          const challengeDir = path.join(
-            process.env.WEBROOT || '/var/www/html',
-            domain,
-            '.well-known/acme-challenge'
-          );
-          await fs.mkdir(challengeDir, { recursive: true });
-          await fs.writeFile(path.join(challengeDir, challenge.token), keyAuthorization);
+    // dns-01 writes into the zone of each name, so each has to be one of the user's zones
+    if (chooseChallenge(normalized, challenge) === 'dns-01') {
+      for (const name of normalized) {
+        const zone = await findZoneForName(name);
+        if (!zone || (req.user.role !== 'admin' && String(zone.user_id) !== String(userId))) {
+          return res.status(422).json({ error: `${name} must be in one of your DNS zones to validate over DNS` });
         }
-      },
-      challengeRemoveFn: async (authz, challenge, keyAuthorization) => {
-        if (challenge.type === 'http-01') {
+      }
+    }
+
+    const certDir = process.env.SSL_CERT_DIR || '/etc/mpanel/ssl';
+    const webroot = path.join(process.env.WEBROOT || '/var/www/html', domain, '.well-known/acme-challenge');
+
+    // Issue certificate; wildcards are validated over DNS in our zones
+    const issued = await issueAcmeCertificate(normalized, {
+      challenge,
+      http01: {
+        create: async (acmeChallenge, keyAuthorization) => {
+          await fs.mkdir(webroot, { recursive: true });
+          await fs.writeFile(path.join(webroot, acmeChallenge.token), keyAuthorization);
+        },
+        remove: async (acmeChallenge) => {
           try {
-            const challengePath = path.join(
-              process.env.WEBROOT || '/var/www/html',
-              domain,
-              '.well-known/acme-challenge',
-              challenge.token
-            );
-            await fs.unlink(challengePath);
+            await fs.unlink(path.join(webroot, acmeChallenge.token));
           } catch (error) {
             logger.warn('Failed to remove challenge file:', error);
           }
-        }
+        },
       },
     });
-
-    // Parse certificate to get expiry
-    const certInfo = acme.forge.readCertificateInfo(cert);
-    const expiresAt = certInfo.notAfter;
+    const cert = issued.certificate;
+    const key = issued.privateKey;
+    const expiresAt = issued.expiresAt;
 
     // Save to database
     const result = await pool.query(
       `INSERT INTO ssl_certificates 
-       (user_id, domain, certificate, private_key, issued_at, expires_at, status, auto_renew, type)
-       VALUES ($1, $2, $3, $4, NOW(), $5, $6, $7, $8)
+       (user_id, domain, certificate, private_key, issued_at, expires_at, status, auto_renew, type, domains, challenge_type)
+       VALUES ($1, $2, $3, $4, NOW(), $5, $6, $7, $8, $9, $10)
        RETURNING *`,
-      [userId, domain, cert, key, expiresAt, 'active', true, 'letsencrypt']
+      [userId, domain, cert, key, expiresAt, 'active', true, 'letsencrypt', JSON.stringify(issued.domains), issued.challenge]
     );
 
     // Save to filesystem
@@ -177,6 +168,11 @@ export const issueCertificate = async (req, res) => {
       [userId, 'ssl_issued', `SSL certificate issued for ${domain}`]
     );
 
+    // Push to the server hosting the domain in the background
+    deployToNode(result.rows[0].id, { createdBy: userId }).catch((error) => {
+      logger.error(`Deployment of SSL certificate ${result.rows[0].id} failed:`, error);
+    });
+
     logger.info(`SSL certificate issued for ${domain}`);
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -410,3 +406,240 @@ export const getSSLStats = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch SSL stats' });
   }
 };
+
+/**
+ * Find a certificate the user may see
+ */
+async function findCertificate(id, user) {
+  const isAdmin = user.role === 'admin';
+  const result = await pool.query(
+    isAdmin
+      ? `SELECT * FROM ssl_certificates WHERE id = $1`
+      : `SELECT * FROM ssl_certificates WHERE id = $1 AND user_id = $2`,
+    isAdmin ? [id] : [id, user.id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Deploy a certificate to the server hosting its domain again. Runs in the
+ * background; follow it in the deployment history.
+ */
+export const deployCertificate = async (req, res) => {
+  try {
+    const cert = await findCertificate(req.params.id, req.user);
+    if (!cert) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    const targets = req.body.targets || DEPLOY_TARGETS;
+    const unknown = Array.isArray(targets) ? targets.filter((target) => !DEPLOY_TARGETS.includes(target)) : [targets];
+    if (unknown.length > 0 || targets.length === 0) {
+      return res.status(400).json({ error: `Targets must be some of: ${DEPLOY_TARGETS.join(', ')}` });
+    }
+
+    // The service refuses these too, but only once the deployment is under way
+    const pem = cert.certificate_pem || cert.certificate;
+    const names = (cert.domains || [cert.domain]).filter(Boolean);
+    const uncovered = pem && names.length > 0 ? uncoveredNames(pem, names) : [];
+    if (uncovered.length > 0) {
+      return res.status(400).json({ error: `Certificate does not cover ${uncovered.join(', ')}` });
+    }
+
+    deployToNode(cert.id, { targets, createdBy: req.user.id }).catch((error) => {
+      logger.error(`Deployment of SSL certificate ${cert.id} failed:`, error);
+    });
+
+    logger.info(`SSL certificate ${cert.id} deployment requested`, { userId: req.user.id });
+    res.status(202).json({ message: 'Certificate deployment started', deploy_status: 'pending' });
+  } catch (error) {
+    logger.error('Error deploying SSL certificate:', error);
+    res.status(500).json({ error: 'Failed to deploy SSL certificate' });
+  }
+};
+
+/**
+ * Deployment history of a certificate
+ */
+export const getDeployments = async (req, res) => {
+  try {
+    const cert = await findCertificate(req.params.id, req.user);
+    if (!cert) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    const deployments = await listDeployments(cert.id);
+    res.json({
+      deploy_status: cert.deploy_status || null,
+      deployed_serial: cert.deployed_serial || null,
+      deployed_at: cert.deployed_at || null,
+      deployments
+    });
+  } catch (error) {
+    logger.error('Error fetching SSL certificate deployments:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate deployments' });
+  }
+};
+
+/**
+ * Find a monitored endpoint the user may see, with its owner's role
+ */
+async function findEndpoint(id, user) {
+  const isAdmin = user.role === 'admin';
+  const result = await pool.query(
+    `SELECT e.*, u.role AS owner_role
+     FROM tls_endpoints e
+     LEFT JOIN users u ON u.id = e.user_id
+     WHERE e.id = $1${isAdmin ? '' : ' AND e.user_id = $2'}`,
+    isAdmin ? [id] : [id, user.id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Customers may not point the monitor at the panel's own network
+ * @returns {Promise<Object[]>} - [{ field, message }]
+ */
+async function endpointHostErrors(host, ownerRole) {
+  if (ownerRole === 'admin') return [];
+  try {
+    await assertPublicHost(host);
+    return [];
+  } catch (error) {
+    return [{ field: 'host', message: error.code ? `${host} does not resolve` : error.message }];
+  }
+}
+
+/**
+ * List monitored TLS endpoints
+ */
+export const getEndpoints = async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+
+    const result = await pool.query(
+      isAdmin
+        ? `SELECT * FROM tls_endpoints ORDER BY expires_at NULLS FIRST, host`
+        : `SELECT * FROM tls_endpoints WHERE user_id = $1 ORDER BY expires_at NULLS FIRST, host`,
+      isAdmin ? [] : [req.user.id]
+    );
+
+    res.json({ endpoints: result.rows });
+  } catch (error) {
+    logger.error('Error fetching TLS endpoints:', error);
+    res.status(500).json({ error: 'Failed to fetch TLS endpoints' });
+  }
+};
+
+/**
+ * Register a host:port to monitor, and check it straight away
+ */
+export const createEndpoint = async (req, res) => {
+  try {
+    const { values, errors } = validateEndpoint(req.body);
+    if (errors.length === 0) {
+      errors.push(...await endpointHostErrors(values.host, req.user.role));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid endpoint', errors });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO tls_endpoints (user_id, host, port, protocol, server_name, warn_days, critical_days, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id, host, port, protocol) DO NOTHING
+       RETURNING *`,
+      [req.user.id, values.host, values.port, values.protocol, values.server_name, values.warn_days, values.critical_days, values.enabled]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: `${values.host}:${values.port} (${values.protocol}) is already monitored` });
+    }
+
+    const endpoint = result.rows[0];
+    const check = await checkEndpoint({ ...endpoint, owner_role: req.user.role });
+    await recordEndpointCheck(endpoint, check);
+
+    logger.info(`TLS endpoint registered: ${values.host}:${values.port} (${values.protocol})`);
+    res.status(201).json({ ...endpoint, last_status: check.status, last_result: check, expires_at: check.expiresAt || null });
+  } catch (error) {
+    logger.error('Error creating TLS endpoint:', error);
+    res.status(500).json({ error: 'Failed to create TLS endpoint' });
+  }
+};
+
+/**
+ * Update a monitored endpoint
+ */
+export const updateEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.params.endpointId, req.user);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Endpoint not found' });
+    }
+
+    const { values, errors } = validateEndpoint(req.body, endpoint);
+    if (errors.length === 0) {
+      errors.push(...await endpointHostErrors(values.host, endpoint.owner_role));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid endpoint', errors });
+    }
+
+    const result = await pool.query(
+      `UPDATE tls_endpoints
+       SET host = $1, port = $2, protocol = $3, server_name = $4, warn_days = $5, critical_days = $6, enabled = $7, updated_at = NOW()
+       WHERE id = $8
+       RETURNING *`,
+      [values.host, values.port, values.protocol, values.server_name, values.warn_days, values.critical_days, values.enabled, endpoint.id]
+    );
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'That endpoint is already monitored' });
+    }
+    logger.error('Error updating TLS endpoint:', error);
+    res.status(500).json({ error: 'Failed to update TLS endpoint' });
+  }
+};
+
+/**
+ * Stop monitoring an endpoint; its open alerts are resolved
+ */
+export const deleteEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.params.endpointId, req.user);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Endpoint not found' });
+    }
+
+    await pool.query(`DELETE FROM tls_endpoints WHERE id = $1`, [endpoint.id]);
+    await clearAlerts({ resourceType: 'tls_endpoint', resourceId: endpoint.id });
+
+    res.json({ message: 'Endpoint removed' });
+  } catch (error) {
+    logger.error('Error deleting TLS endpoint:', error);
+    res.status(500).json({ error: 'Failed to delete TLS endpoint' });
+  }
+};
+
+/**
+ * Check an endpoint now
+ */
+export const checkEndpointNow = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.params.endpointId, req.user);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Endpoint not found' });
+    }
+
+    const check = await checkEndpoint(endpoint);
+    await recordEndpointCheck(endpoint, check);
+
+    res.json(check);
+  } catch (error) {
+    logger.error('Error checking TLS endpoint:', error);
+    res.status(500).json({ error: 'Failed to check TLS endpoint' });
+  }
+};
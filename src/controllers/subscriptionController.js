@@ -2,18 +2,51 @@ import Subscription from '../models/Subscription.js';
 import logger from '../config/logger.js';
 import pool from '../db/index.js';
 import Stripe from 'stripe';
+import ProrationService from '../services/ProrationService.js';
+import CreditService from '../services/CreditService.js';
+import CouponService from '../services/CouponService.js';
+import { PLAN_CATALOG, resolvePlanAmount, resolvePriceId } from '../config/planCatalog.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_dummy');
 
 export const createSubscription = async (req, res) => {
   try {
+    const { couponCode, ...body } = req.body;
     const subscriptionData = {
       tenantId: req.user.tenantId,
-      ...req.body
+      ...body
     };
 
+    let coupon = null;
+    if (couponCode) {
+      const validation = await CouponService.validate(couponCode, {
+        itemIds: [body.metadata?.planId, body.productId],
+        customerId: body.customerId
+      });
+      if (validation.error) {
+        return res.status(422).json({ error: validation.error });
+      }
+      coupon = validation.coupon;
+    }
+
     const subscription = await Subscription.create(subscriptionData);
     logger.info(`Subscription created: ${subscription.id}`, { userId: req.user.id });
+
+    if (coupon) {
+      try {
+        const redemption = await CouponService.redeemForSubscription(coupon, {
+          subscription,
+          customerId: subscription.customer_id,
+          userId: req.user.id
+        });
+        return res.status(201).json({ ...subscription, coupon: CouponService.serialize(coupon), couponRedemption: redemption });
+      } catch (error) {
+        // Another signup took the last redemption between validation and now
+        logger.warn(`Coupon ${coupon.code} not applied to subscription ${subscription.id}: ${error.message}`);
+        return res.status(201).json({ ...subscription, couponError: error.message });
+      }
+    }
+
     res.status(201).json(subscription);
   } catch (error) {
     logger.error('Error creating subscription:', error);
@@ -187,72 +220,243 @@ export const createStripeSubscription = async (req, res) => {
   }
 };
 
+/**
+ * Load a subscription the requesting user may change (admins: any)
+ */
+const findChangeableSubscription = async (req) => {
+  const isAdmin = req.user.role === 'admin';
+  const subQuery = isAdmin
+    ? 'SELECT * FROM subscriptions WHERE id = $1'
+    : 'SELECT * FROM subscriptions WHERE id = $1 AND user_id = $2';
+  const subParams = isAdmin ? [req.params.id] : [req.params.id, req.user.id];
+  const subResult = await pool.query(subQuery, subParams);
+  return subResult.rows[0] || null;
+};
+
+const findSubscriptionCustomer = async (subscription) => {
+  const result = subscription.customer_id
+    ? await pool.query('SELECT * FROM customers WHERE id = $1', [subscription.customer_id])
+    : await pool.query('SELECT * FROM customers WHERE user_id = $1 LIMIT 1', [subscription.user_id]);
+  return result.rows[0] || null;
+};
+
+const validatePlanChange = (body) => {
+  const { newPlanId, term } = body;
+  if (!newPlanId || !PLAN_CATALOG[newPlanId]) {
+    return 'Unknown plan';
+  }
+  if (term && !resolvePlanAmount(newPlanId, term)) {
+    return 'Plan does not support requested term';
+  }
+  return null;
+};
+
+/**
+ * Preview the proration for a plan change without applying it
+ * POST /api/subscriptions/:id/change-plan/preview
+ * Body: { newPlanId, term? }
+ */
+export const previewPlanChange = async (req, res) => {
+  try {
+    const validationError = validatePlanChange(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const subscription = await findChangeableSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    let proration;
+    try {
+      proration = ProrationService.previewChange(subscription, {
+        newPlanId: req.body.newPlanId,
+        newTerm: req.body.term,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const creditBalance = subscription.customer_id
+      ? await CreditService.getBalance(subscription.customer_id)
+      : 0;
+
+    res.json({
+      proration,
+      creditBalance,
+      billedBy: subscription.stripe_subscription_id ? 'stripe' : 'local',
+    });
+  } catch (error) {
+    logger.error('Failed to preview plan change:', error);
+    res.status(500).json({ error: 'Failed to preview plan change' });
+  }
+};
+
+/**
+ * Apply a coupon to an existing subscription. Locally billed subscriptions
+ * get the discount on their next invoices; Stripe subscriptions get the
+ * mapped Stripe coupon.
+ * POST /api/subscriptions/:id/coupon
+ * Body: { code }
+ */
+export const applySubscriptionCoupon = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+
+    const subscription = await findChangeableSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const customer = await findSubscriptionCustomer(subscription);
+    const { coupon, error } = await CouponService.validate(code, {
+      itemIds: [subscription.metadata?.planId, subscription.plan_id, subscription.product_id],
+      currency: subscription.currency || customer?.currency,
+      customerId: customer?.id,
+      userId: subscription.user_id || req.user.id
+    });
+    if (error) {
+      return res.status(422).json({ error });
+    }
+
+    let redemption;
+    try {
+      redemption = await CouponService.redeemForSubscription(coupon, {
+        subscription: { ...subscription, currency: subscription.currency || customer?.currency },
+        customerId: customer?.id,
+        userId: subscription.user_id || req.user.id
+      });
+    } catch (redeemError) {
+      return res.status(422).json({ error: redeemError.message });
+    }
+
+    if (subscription.stripe_subscription_id) {
+      try {
+        await stripe.subscriptions.update(subscription.stripe_subscription_id, {
+          coupon: await CouponService.ensureStripeCoupon(coupon),
+        });
+      } catch (stripeError) {
+        await CouponService.cancelRedemption(redemption);
+        throw stripeError;
+      }
+    }
+
+    logger.info(`Coupon ${coupon.code} applied to subscription ${subscription.id}`, { userId: req.user.id });
+
+    res.json({
+      message: 'Coupon applied',
+      coupon: CouponService.serialize(coupon),
+      redemption,
+      billedBy: subscription.stripe_subscription_id ? 'stripe' : 'local',
+    });
+  } catch (error) {
+    logger.error('Failed to apply coupon:', error);
+    res.status(500).json({ error: 'Failed to apply coupon' });
+  }
+};
+
 /**
  * Update subscription plan (upgrade/downgrade)
  * PUT /api/subscriptions/:id/change-plan
- * Body: { newPlanId }
+ * Body: { newPlanId, term? }
+ *
+ * Stripe subscriptions are prorated by Stripe as of the same change date the
+ * preview used; local subscriptions credit unused time to the customer's
+ * ledger and invoice the new plan's charge against it.
  */
 export const changePlan = async (req, res) => {
   try {
     const { id } = req.params;
     const { newPlanId } = req.body;
-    const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
 
-    // Get current subscription
-    const subQuery = isAdmin
-      ? 'SELECT * FROM subscriptions WHERE id = $1'
-      : 'SELECT * FROM subscriptions WHERE id = $1 AND user_id = $2';
-    const subParams = isAdmin ? [id] : [id, userId];
-    const subResult = await pool.query(subQuery, subParams);
+    const validationError = validatePlanChange(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    if (subResult.rows.length === 0) {
+    const subscription = await findChangeableSubscription(req);
+    if (!subscription) {
       return res.status(404).json({ error: 'Subscription not found' });
     }
 
-    const subscription = subResult.rows[0];
+    const changeDate = new Date();
+    let proration;
+    try {
+      proration = ProrationService.previewChange(subscription, {
+        newPlanId,
+        newTerm: req.body.term,
+        changeDate,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    // Get new plan
-    const planResult = await pool.query(
-      'SELECT * FROM subscription_plans WHERE id = $1 AND active = true',
-      [newPlanId]
-    );
+    if (subscription.stripe_subscription_id) {
+      const priceId = resolvePriceId(newPlanId, proration.newTerm, proration.currency);
+      if (!priceId) {
+        return res.status(400).json({ error: 'Plan does not have a Stripe price for requested term' });
+      }
+
+      const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripe_subscription_id);
+
+      const updatedStripeSubscription = await stripe.subscriptions.update(subscription.stripe_subscription_id, {
+        items: [
+          {
+            id: stripeSubscription.items.data[0].id,
+            price: priceId,
+          },
+        ],
+        proration_behavior: 'create_prorations',
+        proration_date: Math.floor(changeDate.getTime() / 1000),
+      });
 
-    if (planResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Plan not found' });
+      await pool.query(
+        `UPDATE subscriptions 
+         SET status = $1, current_period_end = $2, billing_cycle = $3, price = $4,
+             metadata = COALESCE(metadata, '{}'::jsonb) || $5::jsonb, updated_at = NOW()
+         WHERE id = $6`,
+        [
+          updatedStripeSubscription.status,
+          new Date(updatedStripeSubscription.current_period_end * 1000),
+          proration.newTerm,
+          proration.newAmount,
+          JSON.stringify({ planId: newPlanId, term: proration.newTerm }),
+          id,
+        ]
+      );
+
+      logger.info(`Subscription ${id} changed to plan ${newPlanId} (${proration.newTerm}) via Stripe`);
+
+      return res.json({
+        message: 'Plan changed successfully',
+        proration,
+        subscription: updatedStripeSubscription,
+      });
     }
 
-    const newPlan = planResult.rows[0];
+    const customer = await findSubscriptionCustomer(subscription);
+    if (!customer) {
+      return res.status(409).json({ error: 'Subscription has no billing customer' });
+    }
 
-    // Update Stripe subscription
-    const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripe_subscription_id);
-    
-    const updatedStripeSubscription = await stripe.subscriptions.update(subscription.stripe_subscription_id, {
-      items: [
-        {
-          id: stripeSubscription.items.data[0].id,
-          price: newPlan.stripe_price_id,
-        },
-      ],
-      proration_behavior: 'create_prorations',
+    const { subscription: updatedSubscription, invoice } = await ProrationService.applyLocalChange(subscription, proration, {
+      customer,
+      createdBy: req.user.id,
     });
 
-    // Update database
-    await pool.query(
-      `UPDATE subscriptions 
-       SET plan_id = $1, status = $2, current_period_end = $3, updated_at = NOW()
-       WHERE id = $4`,
-      [
-        newPlanId,
-        updatedStripeSubscription.status,
-        new Date(updatedStripeSubscription.current_period_end * 1000),
-        id,
-      ]
-    );
+    logger.info(`Subscription ${id} changed to plan ${newPlanId} (${proration.newTerm})`, { userId: req.user.id });
 
-    logger.info(`Subscription ${id} changed to plan ${newPlanId}`);
-
-    res.json({ message: 'Plan changed successfully', subscription: updatedStripeSubscription });
+    res.json({
+      message: 'Plan changed successfully',
+      proration,
+      subscription: updatedSubscription,
+      invoice,
+      creditBalance: await CreditService.getBalance(customer.id),
+    });
   } catch (error) {
     logger.error('Failed to change plan:', error);
     res.status(500).json({ error: 'Failed to change plan' });
@@ -0,0 +1,216 @@
+import TaxService from '../services/TaxService.js';
+import { validateVatNumber } from '../services/vatValidator.js';
+import logger from '../config/logger.js';
+import pool from '../db/index.js';
+import { BASE_CURRENCY, normalizeCurrency, roundMoney } from '../config/currencies.js';
+
+// Request fields an admin may change on a tax rule, and their columns
+const RULE_FIELDS = {
+  country: 'country',
+  state: 'state',
+  taxName: 'tax_name',
+  taxRate: 'tax_rate',
+  isCompound: 'is_compound',
+  priority: 'priority',
+  active: 'active'
+};
+
+const findUserCustomer = async (userId) => {
+  const result = await pool.query('SELECT * FROM customers WHERE user_id = $1 LIMIT 1', [userId]);
+  return result.rows[0] || null;
+};
+
+const isValidRate = (rate) => parseFloat(rate) >= 0 && parseFloat(rate) < 1;
+
+/**
+ * The signed-in customer's tax details
+ * GET /api/tax/profile
+ */
+export const getTaxProfile = async (req, res) => {
+  try {
+    const customer = await findUserCustomer(req.user.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(TaxService.serializeProfile(customer));
+  } catch (error) {
+    logger.error('Error fetching tax profile:', error);
+    res.status(500).json({ error: 'Failed to fetch tax details' });
+  }
+};
+
+/**
+ * Update country and VAT number. A VAT number is validated before it is saved.
+ * PUT /api/tax/profile
+ * Body: { country?, vatNumber? }
+ */
+export const updateTaxProfile = async (req, res) => {
+  try {
+    const { country, vatNumber } = req.body;
+    if (country !== undefined && country !== null && !/^[A-Za-z]{2}$/.test(country)) {
+      return res.status(400).json({ error: 'country must be a two-letter ISO code' });
+    }
+
+    const customer = await findUserCustomer(req.user.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const updated = await TaxService.updateTaxProfile(customer.id, { country, vatNumber });
+    const profile = TaxService.serializeProfile(updated);
+
+    if (vatNumber && profile.vatStatus === 'invalid') {
+      return res.status(422).json({ error: 'VAT number is not valid', ...profile });
+    }
+
+    logger.info(`Tax details updated for customer ${customer.id}`, { userId: req.user.id });
+    res.json(profile);
+  } catch (error) {
+    logger.error('Error updating tax profile:', error);
+    res.status(500).json({ error: 'Failed to update tax details' });
+  }
+};
+
+/**
+ * Check a VAT number without saving it
+ * POST /api/tax/vat/validate
+ * Body: { vatNumber }
+ */
+export const checkVatNumber = async (req, res) => {
+  try {
+    if (!req.body.vatNumber) {
+      return res.status(400).json({ error: 'vatNumber is required' });
+    }
+    res.json(await validateVatNumber(req.body.vatNumber));
+  } catch (error) {
+    logger.error('Error validating VAT number:', error);
+    res.status(500).json({ error: 'Failed to validate VAT number' });
+  }
+};
+
+/**
+ * Show how a customer would be taxed on a set of items
+ * POST /api/tax/preview
+ * Body: { customerId, items: [{ description, amount, taxable? }], currency?, pricesIncludeTax? }
+ */
+export const previewTax = async (req, res) => {
+  try {
+    const { customerId, items, pricesIncludeTax } = req.body;
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : BASE_CURRENCY;
+
+    if (!customerId || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'customerId and items are required' });
+    }
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    if (items.some((item) => !Number.isFinite(parseFloat(item.amount)))) {
+      return res.status(400).json({ error: 'Each item needs a numeric amount' });
+    }
+
+    const lines = items.map((item) => ({
+      description: item.description,
+      quantity: 1,
+      unitPrice: parseFloat(item.amount),
+      amount: parseFloat(item.amount),
+      taxable: item.taxable !== false
+    }));
+
+    const tax = await TaxService.calculateInvoiceTax(customerId, lines, { currency, pricesIncludeTax });
+    res.json({ currency, ...tax, total: roundMoney(tax.subtotal + tax.taxAmount, currency) });
+  } catch (error) {
+    logger.error('Error previewing tax:', error);
+    res.status(500).json({ error: 'Failed to preview tax' });
+  }
+};
+
+/**
+ * Tax rules for the tenant
+ * GET /api/tax/rules
+ */
+export const listTaxRules = async (req, res) => {
+  try {
+    const rules = await TaxService.getTaxRules(req.user.tenantId);
+    res.json({ rules });
+  } catch (error) {
+    logger.error('Error listing tax rules:', error);
+    res.status(500).json({ error: 'Failed to list tax rules' });
+  }
+};
+
+/**
+ * Create a tax rule. A rule for an EU country overrides the built-in VAT rate.
+ * POST /api/tax/rules
+ * Body: { country?, state?, taxName, taxRate, isCompound?, priority? }
+ */
+export const createTaxRule = async (req, res) => {
+  try {
+    const { country, state, taxName, taxRate, isCompound, priority } = req.body;
+    if (!taxName || !isValidRate(taxRate)) {
+      return res.status(400).json({ error: 'taxName and a taxRate between 0 and 1 are required' });
+    }
+
+    const rule = await TaxService.createTaxRule({
+      tenantId: req.user.tenantId,
+      country: country ? country.toUpperCase() : null,
+      state: state || null,
+      taxName,
+      taxRate: parseFloat(taxRate),
+      isCompound,
+      priority
+    });
+    logger.info(`Tax rule ${rule.id} created`, { userId: req.user.id });
+    res.status(201).json(rule);
+  } catch (error) {
+    logger.error('Error creating tax rule:', error);
+    res.status(500).json({ error: 'Failed to create tax rule' });
+  }
+};
+
+/**
+ * Update a tax rule
+ * PUT /api/tax/rules/:id
+ */
+export const updateTaxRule = async (req, res) => {
+  try {
+    const updates = {};
+    for (const [field, column] of Object.entries(RULE_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        updates[column] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    if (updates.tax_rate !== undefined && !isValidRate(updates.tax_rate)) {
+      return res.status(400).json({ error: 'taxRate must be between 0 and 1' });
+    }
+    if (updates.country) {
+      updates.country = updates.country.toUpperCase();
+    }
+
+    const rule = await TaxService.updateTaxRule(req.params.id, updates);
+    if (!rule) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    logger.error('Error updating tax rule:', error);
+    res.status(500).json({ error: 'Failed to update tax rule' });
+  }
+};
+
+/**
+ * Deactivate a tax rule
+ * DELETE /api/tax/rules/:id
+ */
+export const deleteTaxRule = async (req, res) => {
+  try {
+    await TaxService.deactivateTaxRule(req.params.id);
+    res.json({ message: 'Tax rule deactivated' });
+  } catch (error) {
+    logger.error('Error deactivating tax rule:', error);
+    res.status(500).json({ error: 'Failed to deactivate tax rule' });
+  }
+};
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+import agentCredentialService, { AgentAuthError } from '../services/agentCredentialService.js';
+
+/**
+ * Authenticate a server agent request.
+ *
+ * Enrolled agents sign requests with their own credential (X-Agent-Key-Id,
+ * X-Agent-Timestamp, X-Agent-Signature). Agents that predate enrollment may
+ * still use the shared bearer key while AGENT_LEGACY_API_KEY is set.
+ * Sets req.agent = { id, serverId, keyId, secret, legacy }.
+ */
+export const authenticateAgent = async (req, res, next) => {
+  try {
+    const claimedAgentId = req.body?.agentId ?? req.query.agentId;
+
+    if (req.headers['x-agent-key-id']) {
+      req.agent = await agentCredentialService.verifyRequest(req);
+
+      // A credential only speaks for its own agent
+      if (claimedAgentId && String(claimedAgentId) !== String(req.agent.id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Credential does not belong to this agent',
+        });
+      }
+
+      return next();
+    }
+
+    const legacyKey = process.env.AGENT_LEGACY_API_KEY;
+    const bearer = req.headers.authorization?.replace('Bearer ', '') || '';
+
+    if (
+      legacyKey &&
+      bearer.length === legacyKey.length &&
+      crypto.timingSafeEqual(Buffer.from(bearer), Buffer.from(legacyKey))
+    ) {
+      // The shared key must not be a way to act as an agent that has its own credential
+      if (claimedAgentId && await agentCredentialService.isEnrolled(claimedAgentId)) {
+        logger.warn(`[AgentAuth] Refused legacy shared-key request for enrolled agent ${claimedAgentId}`);
+        return res.status(403).json({
+          success: false,
+          error: 'This agent is enrolled and must sign its requests',
+        });
+      }
+
+      logger.warn(`[AgentAuth] Legacy shared-key request from agent ${claimedAgentId || '(unregistered)'} - enroll this agent`);
+      req.agent = { id: claimedAgentId || null, legacy: true };
+      return next();
+    }
+
+    return res.status(401).json({
+      success: false,
+      error: 'Agent authentication required',
+    });
+  } catch (error) {
+    if (error instanceof AgentAuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('[AgentAuth] Authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Agent authentication failed',
+    });
+  }
+};
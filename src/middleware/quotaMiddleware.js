@@ -1,5 +1,6 @@
 import quotaService from '../services/quotaService.js';
 import logger from '../config/logger.js';
+import { RETENTION_RULES, retentionOverLimits } from '../services/backupRetentionService.js';
 
 /**
  * Quota tracking middleware
@@ -64,6 +65,55 @@ export const trackQuota = async (req, res, next) => {
   }
 };
 
+// Administrators' schedules are not limited
+const retentionLimitsFor = async (user) => (user.role === 'admin'
+  ? { plan: null, limits: Object.fromEntries(RETENTION_RULES.map((rule) => [rule, -1])) }
+  : quotaService.getBackupRetentionLimits(user.id));
+
+/**
+ * Backup retention limits
+ * Refuses schedule retention rules (and hourly frequency) beyond what the
+ * account's hosting plan allows
+ */
+export const enforceBackupRetention = async (req, res, next) => {
+  try {
+    const { retention, frequency } = req.body;
+    if (retention === undefined && frequency === undefined) {
+      return next();
+    }
+
+    const { plan, limits } = await retentionLimitsFor(req.user);
+    const errors = retentionOverLimits(retention, limits, { frequency });
+
+    if (errors.length > 0) {
+      return res.status(403).json({
+        error: 'Backup retention exceeds your plan',
+        message: `${errors[0].message}. Please upgrade your plan or keep fewer backups.`,
+        errors,
+        plan,
+        limits
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error checking backup retention limits:', error);
+    res.status(500).json({ error: 'Failed to check backup retention limits' });
+  }
+};
+
+/**
+ * Get backup retention limits of the user's plan
+ */
+export const getBackupRetentionLimits = async (req, res) => {
+  try {
+    res.json(await retentionLimitsFor(req.user));
+  } catch (error) {
+    logger.error('Error getting backup retention limits:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Get quota status
  */
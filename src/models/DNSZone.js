@@ -96,6 +96,14 @@ class DNSZone {
     return result.rows;
   }
 
+  static async findRecordById(recordId) {
+    const result = await pool.query(
+      'SELECT * FROM dns_records WHERE id = $1',
+      [recordId]
+    );
+    return result.rows[0];
+  }
+
   static async updateRecord(recordId, updates) {
     const fields = [];
     const values = [];
@@ -139,6 +147,8 @@ class DNSZone {
     if (record.rows[0]) {
       await this.incrementSerial(record.rows[0].zone_id);
     }
+
+    return record.rows[0]?.zone_id;
   }
 
   static async createDefaultRecords(zoneId, zoneName, ipAddress, ipAddressV6 = null) {
@@ -1,8 +1,13 @@
 import pool from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
+import { roundMoney } from '../config/currencies.js';
 
 class Invoice {
-  static async create(invoiceData) {
+  /**
+   * Create an invoice with its items; pass a client to create it inside the
+   * caller's transaction
+   */
+  static async create(invoiceData, client = null) {
     const {
       tenantId,
       customerId,
@@ -11,36 +16,51 @@ class Invoice {
       taxRate,
       currency = 'USD',
       dueDate,
-      notes
+      notes,
+      metadata = {},
+      taxLines = null,
+      taxTreatment = null,
+      taxCountry = null,
+      customerVatNumber = null,
+      taxNote = null,
+      pricesIncludeTax = false
     } = invoiceData;
 
-    const client = await pool.connect();
-    
+    const db = client || await pool.connect();
+    const ownsTransaction = !client;
+
     try {
-      await client.query('BEGIN');
+      if (ownsTransaction) await db.query('BEGIN');
 
-      // Calculate totals
-      const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
-      const taxAmount = items.reduce((sum, item) => {
-        return sum + (item.taxable ? item.amount * taxRate : 0);
-      }, 0);
-      const total = subtotal + taxAmount;
+      // Calculate totals, rounded to the invoice currency's minor unit
+      // Tax breakdown lines, when given, are the tax on the invoice
+      const subtotal = roundMoney(items.reduce((sum, item) => sum + item.amount, 0), currency);
+      const taxAmount = taxLines
+        ? roundMoney(taxLines.reduce((sum, line) => sum + line.taxAmount, 0), currency)
+        : roundMoney(items.reduce((sum, item) => {
+          return sum + (item.taxable ? item.amount * taxRate : 0);
+        }, 0), currency);
+      const total = roundMoney(subtotal + taxAmount, currency);
 
       // Create invoice
-      const invoiceResult = await client.query(
+      const invoiceResult = await db.query(
         `INSERT INTO invoices (
           tenant_id, customer_id, invoice_number, subtotal,
-          tax_rate, tax_amount, total, currency, due_date, notes, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'draft')
+          tax_rate, tax_amount, total, currency, due_date, notes, metadata,
+          tax_treatment, tax_country, customer_vat_number, tax_note, prices_include_tax, status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 'draft')
         RETURNING *`,
-        [tenantId, customerId, invoiceNumber, subtotal, taxRate, taxAmount, total, currency, dueDate, notes]
+        [
+          tenantId, customerId, invoiceNumber, subtotal, taxRate, taxAmount, total, currency, dueDate, notes, metadata,
+          taxTreatment, taxCountry, customerVatNumber, taxNote, pricesIncludeTax
+        ]
       );
 
       const invoice = invoiceResult.rows[0];
 
       // Create invoice items
       for (const item of items) {
-        await client.query(
+        await db.query(
           `INSERT INTO invoice_items (
             invoice_id, subscription_id, product_id, description,
             quantity, unit_price, amount, taxable
@@ -58,14 +78,22 @@ class Invoice {
         );
       }
 
-      await client.query('COMMIT');
+      for (const line of taxLines || []) {
+        await db.query(
+          `INSERT INTO invoice_tax_lines (invoice_id, name, country, rate, taxable_amount, tax_amount)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [invoice.id, line.name, line.country, line.rate, line.taxableAmount, line.taxAmount]
+        );
+      }
+
+      if (ownsTransaction) await db.query('COMMIT');
       return invoice;
       
     } catch (error) {
-      await client.query('ROLLBACK');
+      if (ownsTransaction) await db.query('ROLLBACK');
       throw error;
     } finally {
-      client.release();
+      if (ownsTransaction) db.release();
     }
   }
 
@@ -81,7 +109,18 @@ class Invoice {
             'amount', ii.amount,
             'taxable', ii.taxable
           )
-        ) as items
+        ) as items,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'name', tl.name,
+            'country', tl.country,
+            'rate', tl.rate,
+            'taxable_amount', tl.taxable_amount,
+            'tax_amount', tl.tax_amount
+          ) ORDER BY tl.created_at)
+          FROM invoice_tax_lines tl
+          WHERE tl.invoice_id = i.id
+        ), '[]') as tax_lines
       FROM invoices i
       LEFT JOIN invoice_items ii ON i.id = ii.invoice_id
       WHERE i.id = $1
@@ -91,6 +130,14 @@ class Invoice {
     return result.rows[0];
   }
 
+  static async getTaxLines(invoiceId) {
+    const result = await pool.query(
+      'SELECT * FROM invoice_tax_lines WHERE invoice_id = $1 ORDER BY created_at',
+      [invoiceId]
+    );
+    return result.rows;
+  }
+
   static async findByCustomer(customerId, limit = 10, offset = 0) {
     const result = await pool.query(
       `SELECT * FROM invoices 
@@ -113,6 +160,32 @@ class Invoice {
     return result.rows[0];
   }
 
+  /**
+   * Add a (possibly partial) payment; the invoice becomes paid once payments
+   * and credit notes cover it
+   */
+  static async recordPayment(id, amount, creditApplied = 0) {
+    const result = await pool.query(
+      `UPDATE invoices 
+       SET amount_paid = COALESCE(amount_paid, 0) + $1,
+           credit_applied = COALESCE(credit_applied, 0) + $2,
+           status = CASE WHEN COALESCE(amount_paid, 0) + COALESCE(amount_credited, 0) + $1 >= total THEN 'paid' ELSE status END,
+           paid_date = CASE WHEN COALESCE(amount_paid, 0) + COALESCE(amount_credited, 0) + $1 >= total THEN CURRENT_TIMESTAMP ELSE paid_date END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [amount, creditApplied, id]
+    );
+    return result.rows[0];
+  }
+
+  static amountDue(invoice) {
+    return Math.max(
+      Math.round((parseFloat(invoice.total) - parseFloat(invoice.amount_paid || 0) - parseFloat(invoice.amount_credited || 0)) * 100) / 100,
+      0
+    );
+  }
+
   static async generateInvoiceNumber(tenantId) {
     const result = await pool.query(
       `SELECT COUNT(*) as count FROM invoices WHERE tenant_id = $1`,
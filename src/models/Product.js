@@ -12,16 +12,17 @@ class Product {
       setupFee = 0,
       currency = 'USD',
       taxable = true,
+      dnsTemplateId = null,
       metadata = {}
     } = productData;
 
     const result = await pool.query(
       `INSERT INTO products (
         tenant_id, name, description, type, billing_cycle,
-        price, setup_fee, currency, taxable, metadata, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'active')
+        price, setup_fee, currency, taxable, dns_template_id, metadata, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'active')
       RETURNING *`,
-      [tenantId, name, description, type, billingCycle, price, setupFee, currency, taxable, metadata]
+      [tenantId, name, description, type, billingCycle, price, setupFee, currency, taxable, dnsTemplateId, metadata]
     );
     return result.rows[0];
   }
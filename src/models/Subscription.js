@@ -10,17 +10,18 @@ class Subscription {
       price,
       nextBillingDate,
       autoRenew = true,
+      currency = null,
       metadata = {}
     } = subscriptionData;
 
     const result = await pool.query(
       `INSERT INTO subscriptions (
         tenant_id, customer_id, product_id, billing_cycle,
-        price, next_billing_date, next_due_date, auto_renew,
+        price, currency, next_billing_date, next_due_date, auto_renew,
         metadata, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8, 'active')
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $8, $9, 'active')
       RETURNING *`,
-      [tenantId, customerId, productId, billingCycle, price, nextBillingDate, autoRenew, metadata]
+      [tenantId, customerId, productId, billingCycle, price, currency, nextBillingDate, autoRenew, metadata]
     );
     return result.rows[0];
   }
@@ -80,7 +81,7 @@ class Subscription {
 
   static async getDueForBilling(tenantId) {
     const result = await pool.query(
-      `SELECT s.*, c.user_id, c.currency, p.name as product_name
+      `SELECT s.*, c.user_id, COALESCE(s.currency, c.currency) AS currency, p.name as product_name
        FROM subscriptions s
        JOIN customers c ON s.customer_id = c.id
        JOIN products p ON s.product_id = p.id
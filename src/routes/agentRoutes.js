@@ -1,22 +1,51 @@
 import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateAgent } from '../middleware/agentAuth.js';
 import {
+  enrollAgent,
   registerAgent,
+  rotateAgentCredential,
   submitMetrics,
+  submitMetricsBatch,
   heartbeat,
   getAgents,
   getAgentMetrics,
+  getPendingJobs,
+  submitJobResult,
+  createEnrollmentToken,
+  getEnrollmentTokens,
+  revokeEnrollmentToken,
+  getAgentCredentials,
+  requestCredentialRotation,
+  linkAgentServer,
+  revokeAgent,
 } from '../controllers/agentController.js';
 
 const router = express.Router();
 
-// Agent endpoints (no auth required - uses API key in controller)
-router.post('/register', registerAgent);
-router.post('/metrics', submitMetrics);
-router.post('/heartbeat', heartbeat);
+// Enrollment (authenticated by the single-use token in the body)
+router.post('/enroll', enrollAgent);
+
+// Agent endpoints (per-agent HMAC signature, or legacy shared key)
+router.post('/register', authenticateAgent, registerAgent);
+router.post('/credentials/rotate', authenticateAgent, rotateAgentCredential);
+router.post('/metrics', authenticateAgent, submitMetrics);
+router.post('/metrics/batch', authenticateAgent, submitMetricsBatch);
+router.post('/heartbeat', authenticateAgent, heartbeat);
+router.get('/jobs', authenticateAgent, getPendingJobs);
+router.post('/jobs/:jobId/result', authenticateAgent, submitJobResult);
 
 // Admin endpoints (auth required)
-// Note: Add authenticateToken middleware when integrating with main app
-router.get('/', getAgents);
-router.get('/:id/metrics', getAgentMetrics);
+const requireAdmin = [authenticateToken, requireRole('admin', 'owner')];
+
+router.get('/', requireAdmin, getAgents);
+router.post('/enrollment-tokens', requireAdmin, createEnrollmentToken);
+router.get('/enrollment-tokens', requireAdmin, getEnrollmentTokens);
+router.delete('/enrollment-tokens/:tokenId', requireAdmin, revokeEnrollmentToken);
+router.get('/:id/metrics', requireAdmin, getAgentMetrics);
+router.get('/:id/credentials', requireAdmin, getAgentCredentials);
+router.post('/:id/rotate', requireAdmin, requestCredentialRotation);
+router.put('/:id/server', requireAdmin, linkAgentServer);
+router.post('/:id/revoke', requireAdmin, revokeAgent);
 
 export default router;
@@ -0,0 +1,18 @@
+// src/routes/backupDestinationRoutes.js
+import express from 'express';
+import * as backupDestinationController from '../controllers/backupDestinationController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication; the controller decides who owns what
+router.use(authenticateToken);
+
+router.get('/', backupDestinationController.getDestinations);
+router.post('/', backupDestinationController.createDestination);
+router.post('/test', backupDestinationController.testNewDestination);
+router.put('/:id', backupDestinationController.updateDestination);
+router.delete('/:id', backupDestinationController.deleteDestination);
+router.post('/:id/test', backupDestinationController.testSavedDestination);
+
+export default router;
@@ -1,24 +1,50 @@
 // src/routes/backupRoutes.js
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import * as backupController from '../controllers/backupController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { enforceBackupRetention, getBackupRetentionLimits } from '../middleware/quotaMiddleware.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
+// Every passphrase check is a full scrypt derivation. Refused passphrases
+// count per user, as does each attempt still in flight.
+const passphraseLimiter = rateLimit({
+  windowMs: parseInt(process.env.BACKUP_PASSPHRASE_WINDOW_MS) || 900000, // 15 minutes
+  max: parseInt(process.env.BACKUP_PASSPHRASE_MAX_ATTEMPTS) || 10,
+  keyGenerator: (req) => `backup-passphrase:${req.user.id}`,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 403,
+  message: { error: 'Too many backup passphrase attempts, please try again later.' }
+});
+
+// Customer-held encryption (before /:id)
+router.get('/encryption', backupController.getEncryption);
+router.post('/encryption', passphraseLimiter, backupController.enableBackupEncryption);
+router.put('/encryption/passphrase', passphraseLimiter, backupController.changeBackupPassphrase);
+router.post('/encryption/rotate', passphraseLimiter, backupController.rotateBackupKey);
+router.delete('/encryption', passphraseLimiter, backupController.disableBackupEncryption);
+
 // Backup routes
 router.get('/', backupController.getBackups);
 router.get('/:id', backupController.getBackup);
 router.post('/', backupController.createBackup);
-router.post('/:id/restore', backupController.restoreBackup);
+router.post('/:id/restore', passphraseLimiter, backupController.restoreBackup);
+router.get('/:id/contents', passphraseLimiter, backupController.getBackupContents);
+router.get('/:id/tables', passphraseLimiter, backupController.getBackupTables);
+router.post('/:id/restore-files', passphraseLimiter, backupController.restoreBackupFiles);
+router.post('/:id/restore-table', passphraseLimiter, backupController.restoreBackupTable);
 router.delete('/:id', backupController.deleteBackup);
 
 // Schedule routes
 router.get('/schedules/list', backupController.getSchedules);
-router.post('/schedules', backupController.createSchedule);
-router.put('/schedules/:id', backupController.updateSchedule);
+router.get('/schedules/retention-limits', getBackupRetentionLimits);
+router.post('/schedules', enforceBackupRetention, backupController.createSchedule);
+router.put('/schedules/:id', enforceBackupRetention, backupController.updateSchedule);
+router.post('/schedules/:id/retention-preview', backupController.previewScheduleRetention);
 router.delete('/schedules/:id', backupController.deleteSchedule);
 
 export default router;
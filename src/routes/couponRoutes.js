@@ -0,0 +1,25 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+  validateCoupon
+} from '../controllers/couponController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.post('/validate', validateCoupon);  // Check a code against the cart
+
+router.get('/', requireRole('admin', 'manager'), listCoupons);
+router.post('/', requireRole('admin', 'manager'), createCoupon);
+router.get('/:id', requireRole('admin', 'manager'), getCoupon);
+router.put('/:id', requireRole('admin', 'manager'), updateCoupon);
+router.delete('/:id', requireRole('admin', 'manager'), deactivateCoupon);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  listCurrencies,
+  listExchangeRates,
+  setExchangeRate,
+  getCustomerCurrency,
+  selectCustomerCurrency,
+  listProductPrices,
+  setProductPrice,
+  removeProductPrice
+} from '../controllers/currencyController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.get('/', listCurrencies);
+
+// Customer billing currency (fixed after the first purchase)
+router.get('/customer', getCustomerCurrency);
+router.put('/customer', selectCustomerCurrency);
+
+// Exchange rates used to report revenue in the base currency
+router.get('/rates', requireRole('admin', 'manager'), listExchangeRates);
+router.post('/rates', requireRole('admin'), setExchangeRate);
+
+// Per-currency product price books
+router.get('/products/:productId/prices', requireRole('admin', 'manager'), listProductPrices);
+router.put('/products/:productId/prices/:currency', requireRole('admin'), setProductPrice);
+router.delete('/products/:productId/prices/:currency', requireRole('admin'), removeProductPrice);
+
+export default router;
@@ -5,6 +5,7 @@ import {
   getZones,
   getZone,
   getZoneRecords,
+  getZonePropagation,
   createRecord,
   updateRecord,
   deleteRecord
@@ -19,6 +20,7 @@ router.use(authenticateToken);
 router.post('/zones', createZone);
 router.get('/zones', getZones);
 router.get('/zones/:id', getZone);
+router.get('/zones/:id/propagation', getZonePropagation);
 
 // DNS Records
 router.get('/zones/:id/records', getZoneRecords);
@@ -0,0 +1,19 @@
+// src/routes/dnsTemplateRoutes.js
+import express from 'express';
+import * as dnsTemplateController from '../controllers/dnsTemplateController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication; the controller limits them to admins and resellers
+router.use(authenticateToken);
+
+router.get('/', dnsTemplateController.getTemplates);
+router.get('/:id', dnsTemplateController.getTemplate);
+router.post('/', dnsTemplateController.createTemplate);
+router.put('/:id', dnsTemplateController.updateTemplate);
+router.delete('/:id', dnsTemplateController.deleteTemplate);
+router.post('/:id/render', dnsTemplateController.renderTemplatePreview);
+router.post('/:id/apply', dnsTemplateController.applyTemplate);
+
+export default router;
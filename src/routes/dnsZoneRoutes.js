@@ -2,11 +2,18 @@
 import express from 'express';
 import * as dnsZoneController from '../controllers/dnsZoneController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { verifyApiKey } from '../controllers/apiKeyController.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticateToken);
+// All routes require authentication; API clients send X-API-Key instead of a token
+router.use((req, res, next) =>
+  req.headers['x-api-key'] ? verifyApiKey(req, res, next) : authenticateToken(req, res, next));
+
+// TSIG key routes (before /:id so the path is not taken for a zone id)
+router.get('/tsig-keys', dnsZoneController.getTsigKeys);
+router.post('/tsig-keys', dnsZoneController.createTsigKey);
+router.delete('/tsig-keys/:keyId', dnsZoneController.deleteTsigKey);
 
 // Zone routes
 router.get('/', dnsZoneController.getZones);
@@ -14,6 +21,20 @@ router.get('/:id', dnsZoneController.getZone);
 router.post('/', dnsZoneController.createZone);
 router.put('/:id', dnsZoneController.updateZone);
 router.delete('/:id', dnsZoneController.deleteZone);
+router.get('/:zoneId/lint', dnsZoneController.lintZone);
+router.get('/:zoneId/sync', dnsZoneController.getZoneSyncStatus);
+router.post('/:zoneId/sync', dnsZoneController.syncZoneNow);
+
+// Zone transfer routes
+router.get('/:zoneId/transfer', dnsZoneController.getZoneTransfer);
+router.put('/:zoneId/transfer', dnsZoneController.updateZoneTransfer);
+router.post('/:zoneId/transfer', dnsZoneController.triggerTransfer);
+
+// Change history routes
+router.get('/:zoneId/versions', dnsZoneController.getZoneVersions);
+router.get('/:zoneId/versions/:serial', dnsZoneController.getZoneVersion);
+router.get('/:zoneId/diff', dnsZoneController.diffZoneVersions);
+router.post('/:zoneId/rollback', dnsZoneController.rollbackZoneVersion);
 
 // Record routes
 router.get('/:zoneId/records', dnsZoneController.getRecords);
@@ -22,4 +43,8 @@ router.post('/:zoneId/records/bulk', dnsZoneController.bulkCreateRecords);
 router.put('/:zoneId/records/:recordId', dnsZoneController.updateRecord);
 router.delete('/:zoneId/records/:recordId', dnsZoneController.deleteRecord);
 
+// Zone file routes
+router.post('/:zoneId/import', dnsZoneController.importZoneFile);
+router.get('/:zoneId/export', dnsZoneController.exportZoneFile);
+
 export default router;
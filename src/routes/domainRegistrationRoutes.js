@@ -12,6 +12,7 @@ import {
   renewDomain,
   transferDomain,
   updateNameServers,
+  checkDelegation,
   getDomainInfo,
   toggleDomainLock,
   getAuthCode,
@@ -64,6 +65,13 @@ router.post('/transfer', requirePermission('domains.create'), transferDomain);
  */
 router.put('/:id/nameservers', requirePermission('dns.edit'), updateNameServers);
 
+/**
+ * @route   GET /api/domain-registration/:id/delegation
+ * @desc    Check the nameservers and glue the registry delegates the domain to
+ * @access  Private - requires 'domains.read' permission
+ */
+router.get('/:id/delegation', requirePermission('domains.read'), checkDelegation);
+
 /**
  * @route   GET /api/domain-registration/:id/info
  * @desc    Get domain information from registrar
@@ -6,14 +6,20 @@ import subscriptionRoutes from './subscriptionRoutes.js';
 import dashboardRoutes from './dashboardRoutes.js';
 import servicesRoutes from './servicesRoutes.js';
 import checkoutRoutes from './checkoutRoutes.js';
+import couponRoutes from './couponRoutes.js';
+import currencyRoutes from './currencyRoutes.js';
+import taxRoutes from './taxRoutes.js';
 import emailPreferencesRoutes from './emailPreferencesRoutes.js';
 import sslRoutes from './sslRoutes.js';
 import dnsZoneRoutes from './dnsZoneRoutes.js';
+import dnsTemplateRoutes from './dnsTemplateRoutes.js';
 import backupRoutes from './backupRoutes.js';
+import backupDestinationRoutes from './backupDestinationRoutes.js';
 import monitoringRoutes from './monitoringRoutes.js';
 import appInstallerRoutes from './appInstallerRoutes.js';
 import apiKeyRoutes from './apiKeyRoutes.js';
 import serverRoutes from './serverRoutes.js';
+import agentRoutes from './agentRoutes.js';
 import websiteRoutes from './websiteRoutes.js';
 import dnsRoutes from './dnsRoutes.js';
 import mailboxRoutes from './mailboxRoutes.js';
@@ -86,16 +92,22 @@ router.use('/subscriptions', subscriptionRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/services', servicesRoutes);
 router.use('/checkout', checkoutRoutes);
+router.use('/coupons', couponRoutes);
+router.use('/currencies', currencyRoutes);
+router.use('/tax', taxRoutes);
 router.use('/email-preferences', emailPreferencesRoutes);
 
   // Phase 6: Advanced Features
   router.use('/ssl', sslRoutes);
   router.use('/dns-zones', dnsZoneRoutes);
+  router.use('/dns-templates', dnsTemplateRoutes);
   router.use('/backups', backupRoutes);
+  router.use('/backup-destinations', backupDestinationRoutes);
   router.use('/monitoring', monitoringRoutes);
   router.use('/app-installer', appInstallerRoutes);
   router.use('/api-keys', apiKeyRoutes);// Hosting control panel API routes
 router.use('/servers', serverRoutes);
+router.use('/agent', agentRoutes);
 router.use('/websites', websiteRoutes);
 router.use('/dns', dnsRoutes);
 router.use('/mailboxes', mailboxRoutes);
@@ -8,7 +8,16 @@ import {
   getDueInvoices,
   downloadInvoicePDF,
   createPaymentIntent,
-  markInvoicePaid
+  markInvoicePaid,
+  getAccountCredit,
+  createCreditTopUp,
+  adjustAccountCredit,
+  applyCreditToInvoice,
+  listCreditNotes,
+  createCreditNote,
+  getCreditNote,
+  downloadCreditNotePDF,
+  retryCreditNoteRefunds
 } from '../controllers/invoiceController.js';
 
 const router = express.Router();
@@ -19,10 +28,24 @@ router.use(authenticateToken);
 router.post('/', requireRole('admin', 'manager'), createInvoice);
 router.get('/', getInvoices);
 router.get('/due', requireRole('admin', 'manager'), getDueInvoices);
+
+// Account credit / prepaid balance
+router.get('/credit', getAccountCredit);
+router.post('/credit/top-up', createCreditTopUp);
+router.post('/credit/adjust', requireRole('admin', 'manager'), adjustAccountCredit);
+
+// Credit notes and refunds
+router.get('/credit-notes/:creditNoteId', getCreditNote);
+router.get('/credit-notes/:creditNoteId/pdf', downloadCreditNotePDF);
+router.post('/credit-notes/:creditNoteId/retry-refunds', requireRole('admin'), retryCreditNoteRefunds);
+
 router.get('/:id', getInvoice);
 router.get('/:id/pdf', downloadInvoicePDF);  // Download invoice PDF
 router.post('/:id/pay', payInvoice);
+router.post('/:id/apply-credit', applyCreditToInvoice);  // Pay from account credit
 router.post('/:id/payment-intent', createPaymentIntent);  // Create Stripe payment intent
 router.post('/:id/mark-paid', requireRole('admin'), markInvoicePaid);  // Admin manual mark paid
+router.get('/:id/credit-notes', listCreditNotes);
+router.post('/:id/credit-notes', requireRole('admin', 'manager'), createCreditNote);  // Credit note + refund
 
 export default router;
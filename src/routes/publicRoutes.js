@@ -1,9 +1,11 @@
 import express from 'express';
 import { listPublicPlans, startPublicCheckout } from '../controllers/publicController.js';
+import { validatePublicCoupon } from '../controllers/couponController.js';
 
 const router = express.Router();
 
 router.get('/plans', listPublicPlans);
 router.post('/checkout', startPublicCheckout);
+router.post('/coupons/validate', validatePublicCoupon);
 
 export default router;
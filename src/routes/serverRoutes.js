@@ -6,7 +6,9 @@ import {
   getServer,
   updateServer,
   reportServerMetrics,
-  getServerMetrics
+  getServerMetrics,
+  createServerJob,
+  getServerJobs
 } from '../controllers/serverController.js';
 
 const router = express.Router();
@@ -20,5 +22,7 @@ router.get('/:id', getServer);
 router.put('/:id', requireRole('admin', 'owner'), updateServer);
 router.post('/:id/metrics', reportServerMetrics);
 router.get('/:id/metrics', getServerMetrics);
+router.post('/:id/jobs', requireRole('admin', 'owner'), createServerJob);
+router.get('/:id/jobs', requireRole('admin', 'owner'), getServerJobs);
 
 export default router;
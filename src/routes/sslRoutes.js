@@ -14,6 +14,13 @@ router.get('/', sslController.getCertificates);
 // GET /api/ssl/stats - Get SSL statistics (admin only)
 router.get('/stats', requireRole('admin'), sslController.getSSLStats);
 
+// Monitored TLS endpoints (any host:port, including mail STARTTLS); before /:id
+router.get('/endpoints', sslController.getEndpoints);
+router.post('/endpoints', sslController.createEndpoint);
+router.put('/endpoints/:endpointId', sslController.updateEndpoint);
+router.delete('/endpoints/:endpointId', sslController.deleteEndpoint);
+router.post('/endpoints/:endpointId/check', sslController.checkEndpointNow);
+
 // GET /api/ssl/:id - Get single SSL certificate
 router.get('/:id', sslController.getCertificate);
 
@@ -26,6 +33,12 @@ router.post('/upload', sslController.uploadCertificate);
 // POST /api/ssl/:id/renew - Renew certificate
 router.post('/:id/renew', sslController.renewCertificate);
 
+// POST /api/ssl/:id/deploy - Push certificate to the server hosting the domain
+router.post('/:id/deploy', sslController.deployCertificate);
+
+// GET /api/ssl/:id/deployments - Deployment status and history
+router.get('/:id/deployments', sslController.getDeployments);
+
 // PUT /api/ssl/:id/auto-renew - Toggle auto-renewal
 router.put('/:id/auto-renew', sslController.toggleAutoRenew);
 
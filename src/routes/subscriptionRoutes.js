@@ -9,7 +9,9 @@ import {
   reactivateSubscription,
   getPlans,
   createStripeSubscription,
-  changePlan
+  changePlan,
+  previewPlanChange,
+  applySubscriptionCoupon
 } from '../controllers/subscriptionController.js';
 
 const router = express.Router();
@@ -25,7 +27,9 @@ router.post('/', createSubscription);
 router.post('/stripe', createStripeSubscription); // Stripe-powered subscription
 router.get('/', getSubscriptions);
 router.get('/:id', getSubscription);
+router.post('/:id/change-plan/preview', previewPlanChange); // Proration preview, changes nothing
 router.put('/:id/change-plan', changePlan); // Change plan (upgrade/downgrade)
+router.post('/:id/coupon', applySubscriptionCoupon); // Apply a coupon to future invoices
 router.post('/:id/cancel', cancelSubscription);
 router.post('/:id/suspend', suspendSubscription);
 router.post('/:id/reactivate', reactivateSubscription);
@@ -0,0 +1,32 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  getTaxProfile,
+  updateTaxProfile,
+  checkVatNumber,
+  previewTax,
+  listTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+} from '../controllers/taxController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Customer country and VAT number
+router.get('/profile', getTaxProfile);
+router.put('/profile', updateTaxProfile);
+router.post('/vat/validate', checkVatNumber);
+
+router.post('/preview', requireRole('admin', 'manager'), previewTax);
+
+// Tenant tax rules
+router.get('/rules', requireRole('admin', 'manager'), listTaxRules);
+router.post('/rules', requireRole('admin'), createTaxRule);
+router.put('/rules/:id', requireRole('admin'), updateTaxRule);
+router.delete('/rules/:id', requireRole('admin'), deleteTaxRule);
+
+export default router;
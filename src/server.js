@@ -10,6 +10,7 @@ import { metricsMiddleware } from './middleware/metrics.js';
 import routes from './routes/index.js';
 import BillingService from './services/BillingService.js';
 import StripeService from './services/StripeService.js';
+import CouponService from './services/CouponService.js';
 import { cache } from './services/cache.js';
 import { i18n, i18nMiddleware } from './services/i18n.js';
 import queueService from './services/queueService.js';
@@ -36,11 +37,19 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true
 }));
-app.post('/webhooks/stripe', bodyParser.raw({ type: 'application/json' }), (req, res) => {
+app.post('/webhooks/stripe', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
   try {
     const signature = req.headers['stripe-signature'];
     const event = StripeService.verifyWebhookSignature(req.body, signature);
     logger.info(`[webhook] ${event.type}`);
+    if (event.type === 'checkout.session.completed') {
+      // Public signups never reach the success page handler, so count coupon use here
+      await CouponService.recordCheckoutRedemption(event.data.object);
+    }
+    if (event.type === 'payment_intent.succeeded') {
+      // Top-up invoices only become account credit once the card payment is confirmed
+      await BillingService.handlePaymentIntentSucceeded(event.data.object);
+    }
     res.json({ received: true });
   } catch (error) {
     logger.error('Stripe webhook error', error);
@@ -48,6 +57,8 @@ app.post('/webhooks/stripe', bodyParser.raw({ type: 'application/json' }), (req,
   }
 });
 
+// Spooled agent metrics are replayed in large batches after an outage
+app.use('/api/agent/metrics/batch', express.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
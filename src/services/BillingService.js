@@ -2,7 +2,12 @@ import Invoice from '../models/Invoice.js';
 import Payment from '../models/Payment.js';
 import Subscription from '../models/Subscription.js';
 import TaxService from './TaxService.js';
+import CreditService from './CreditService.js';
+import CouponService from './CouponService.js';
+import CurrencyService from './CurrencyService.js';
+import { BASE_CURRENCY, roundMoney, toMinorUnits } from '../config/currencies.js';
 import logger from '../config/logger.js';
+import pool from '../config/database.js';
 
 class BillingService {
   /**
@@ -13,9 +18,6 @@ class BillingService {
       const tenantId = subscription.tenant_id;
       const invoiceNumber = await Invoice.generateInvoiceNumber(tenantId);
 
-      // Calculate tax
-      const taxRate = await TaxService.calculateTaxRate(customer);
-
       // Calculate due date (14 days from now)
       const dueDate = new Date();
       dueDate.setDate(dueDate.getDate() + 14);
@@ -32,17 +34,35 @@ class BillingService {
         }
       ];
 
-      const invoice = await Invoice.create({
+      // Coupon discounts reduce the taxable amount, so they are taxable lines too
+      const discount = await CouponService.discountForSubscription(subscription, subscription.price);
+      if (discount) {
+        items.push({
+          subscriptionId: subscription.id,
+          productId: null,
+          description: `Coupon ${discount.coupon.code} (${CouponService.describe(discount.coupon)})`,
+          quantity: 1,
+          unitPrice: -discount.amount,
+          amount: -discount.amount,
+          taxable: true
+        });
+      }
+
+      const invoice = await this.createInvoiceApplyingCredit({
         tenantId,
         customerId: customer.id,
         invoiceNumber,
         items,
-        taxRate,
-        currency: customer.currency || 'USD',
+        currency: subscription.currency || customer.currency || BASE_CURRENCY,
         dueDate,
-        notes: `Subscription renewal for ${subscription.product_name}`
+        notes: `Subscription renewal for ${subscription.product_name}`,
+        subscriptionId: subscription.id
       });
 
+      if (discount) {
+        await CouponService.consumeCycle(discount.redemptionId, discount.amount);
+      }
+
       logger.info(`Invoice ${invoice.invoice_number} generated for subscription ${subscription.id}`);
       return invoice;
 
@@ -52,6 +72,124 @@ class BillingService {
     }
   }
 
+  /**
+   * Invoice the new plan's charge after a plan change. The unused-time credit
+   * has already been added to the ledger, so it is drawn down here.
+   * ProrationService.applyLocalChange calls this inside its transaction.
+   */
+  static async generateProrationInvoice(subscription, customer, proration, client = null) {
+    try {
+      const charge = proration.lines.find((line) => line.type === 'charge');
+      if (!charge) {
+        return null;
+      }
+
+      const tenantId = subscription.tenant_id;
+      const invoiceNumber = await Invoice.generateInvoiceNumber(tenantId);
+
+      const dueDate = new Date();
+      dueDate.setDate(dueDate.getDate() + 14);
+
+      const invoice = await this.createInvoiceApplyingCredit({
+        tenantId,
+        customerId: customer.id,
+        invoiceNumber,
+        items: [
+          {
+            subscriptionId: subscription.id,
+            productId: subscription.product_id,
+            description: charge.description,
+            quantity: 1,
+            unitPrice: charge.amount,
+            amount: charge.amount,
+            taxable: true
+          }
+        ],
+        currency: subscription.currency || customer.currency || BASE_CURRENCY,
+        dueDate,
+        notes: `Plan change from ${proration.currentPlanId} (${proration.currentTerm}) to ${proration.newPlanId} (${proration.newTerm})`,
+        subscriptionId: subscription.id
+      }, client);
+
+      logger.info(`Proration invoice ${invoice.invoice_number} generated for subscription ${subscription.id}`);
+      return invoice;
+
+    } catch (error) {
+      logger.error('Error generating proration invoice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an invoice, paying as much of it as possible from account credit.
+   * Credit is reserved before the invoice exists and released if creation fails.
+   * Given a client, everything runs in the caller's transaction and a failure
+   * is left to its rollback.
+   * The first invoice fixes the customer's currency; later ones must match it.
+   * Tax is worked out here from the customer's tax profile.
+   */
+  static async createInvoiceApplyingCredit({ subscriptionId = null, pricesIncludeTax, ...invoiceData }, client = null) {
+    const { tenantId, customerId } = invoiceData;
+    const currency = await CurrencyService.lockCustomerCurrency(customerId, invoiceData.currency, client);
+
+    const tax = await TaxService.calculateInvoiceTax(customerId, invoiceData.items, { currency, pricesIncludeTax });
+    const items = tax.items;
+    const grossTotal = roundMoney(tax.subtotal + tax.taxAmount, currency);
+
+    const reservation = grossTotal > 0
+      ? await CreditService.reserveForInvoice({
+        tenantId,
+        customerId,
+        maxAmount: grossTotal,
+        currency,
+        subscriptionId
+      }, client)
+      : null;
+
+    const creditApplied = reservation ? Math.abs(parseFloat(reservation.amount)) : 0;
+    const invoiceItems = creditApplied > 0
+      ? [
+        ...items,
+        {
+          subscriptionId,
+          productId: null,
+          description: 'Account credit applied',
+          quantity: 1,
+          unitPrice: -creditApplied,
+          amount: -creditApplied,
+          taxable: false
+        }
+      ]
+      : items;
+
+    try {
+      const invoice = await Invoice.create({
+        ...invoiceData,
+        currency,
+        items: invoiceItems,
+        taxRate: tax.taxRate,
+        taxLines: tax.taxLines,
+        taxTreatment: tax.treatment,
+        taxCountry: tax.country,
+        customerVatNumber: tax.vatNumber,
+        taxNote: tax.note,
+        pricesIncludeTax: tax.pricesIncludeTax
+      }, client);
+
+      if (reservation) {
+        await CreditService.linkInvoice(reservation.id, invoice.id, client);
+        logger.info(`Applied ${creditApplied} account credit to invoice ${invoice.invoice_number}`);
+      }
+
+      return invoice;
+    } catch (error) {
+      if (reservation && !client) {
+        await CreditService.releaseReservation(reservation);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Process recurring billing for all due subscriptions
    */
@@ -129,15 +267,24 @@ class BillingService {
   }
 
   /**
-   * Process payment for invoice
+   * Process payment for invoice. Anything paid beyond the amount due is kept
+   * as account credit. A top-up invoice's credit is not added here but by
+   * settleCreditTopUp, once the payment is confirmed.
    */
   static async processPayment(invoice, paymentData) {
     try {
+      if (paymentData.method === 'credit') {
+        return this.applyCreditToInvoice(invoice, { createdBy: paymentData.createdBy });
+      }
+
+      const amountDue = Invoice.amountDue(invoice);
+      const amount = paymentData.amount !== undefined ? parseFloat(paymentData.amount) : amountDue;
+
       const payment = await Payment.create({
         tenantId: invoice.tenant_id,
         customerId: invoice.customer_id,
         invoiceId: invoice.id,
-        amount: invoice.total,
+        amount,
         currency: invoice.currency,
         paymentMethod: paymentData.method,
         transactionId: paymentData.transactionId,
@@ -148,7 +295,21 @@ class BillingService {
       await Payment.markCompleted(payment.id);
 
       // Update invoice status
-      await Invoice.updateStatus(invoice.id, 'paid', new Date());
+      await Invoice.recordPayment(invoice.id, Math.min(amount, amountDue));
+
+      const overpayment = roundMoney(amount - amountDue, invoice.currency);
+      if (overpayment > 0) {
+        await CreditService.addCredit({
+          tenantId: invoice.tenant_id,
+          customerId: invoice.customer_id,
+          amount: overpayment,
+          type: 'overpayment',
+          description: `Overpayment on invoice ${invoice.invoice_number}`,
+          invoiceId: invoice.id,
+          paymentId: payment.id,
+          currency: invoice.currency
+        });
+      }
 
       logger.info(`Payment processed for invoice ${invoice.invoice_number}`);
       return payment;
@@ -158,6 +319,204 @@ class BillingService {
       throw error;
     }
   }
+
+  /**
+   * Add a paid top-up invoice's total to the customer's credit. Only called
+   * once payment is confirmed (Stripe webhook or staff marking it paid); a
+   * top-up already credited is left alone, so webhook retries are safe.
+   * Returns the ledger entry, or null when it had been credited before.
+   */
+  static async settleCreditTopUp(invoice, { paymentId = null, createdBy = null } = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM invoices WHERE id = $1 FOR UPDATE', [invoice.id]);
+
+      const existing = await client.query(
+        `SELECT id FROM customer_credit_ledger WHERE invoice_id = $1 AND type = 'top_up'`,
+        [invoice.id]
+      );
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const entry = await CreditService.addCredit({
+        tenantId: invoice.tenant_id,
+        customerId: invoice.customer_id,
+        amount: parseFloat(invoice.total),
+        type: 'top_up',
+        description: `Prepaid balance (invoice ${invoice.invoice_number})`,
+        invoiceId: invoice.id,
+        paymentId,
+        currency: invoice.currency,
+        createdBy
+      }, client);
+
+      await client.query('COMMIT');
+      logger.info(`Top-up invoice ${invoice.invoice_number} credited to customer ${invoice.customer_id}`);
+      return entry;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stripe confirmed a payment intent. For a top-up invoice, record the
+   * payment and add the credit; other invoices are settled elsewhere.
+   */
+  static async handlePaymentIntentSucceeded(paymentIntent) {
+    const invoiceId = paymentIntent.metadata?.invoice_id || paymentIntent.metadata?.invoiceId;
+    if (!invoiceId) {
+      return null;
+    }
+
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice?.metadata?.creditTopUp) {
+      return null;
+    }
+
+    const currency = (invoice.currency || BASE_CURRENCY).toUpperCase();
+    if (String(paymentIntent.currency).toUpperCase() !== currency
+      || paymentIntent.amount_received < toMinorUnits(invoice.total, currency)) {
+      logger.warn(`Payment intent ${paymentIntent.id} does not cover top-up invoice ${invoice.invoice_number}`);
+      return null;
+    }
+
+    let paymentId = null;
+    if (invoice.status !== 'paid') {
+      const payment = await this.processPayment(invoice, {
+        method: 'stripe',
+        transactionId: paymentIntent.id,
+        metadata: { paymentIntentId: paymentIntent.id }
+      });
+      paymentId = payment.id;
+    }
+
+    return this.settleCreditTopUp(invoice, { paymentId });
+  }
+
+  /**
+   * Pay as much of an existing invoice as the customer's credit covers.
+   * Returns the credit payment, or null when there was nothing to apply.
+   */
+  static async applyCreditToInvoice(invoice, { createdBy = null } = {}) {
+    if (invoice.metadata?.creditTopUp) {
+      throw new Error('Top-up invoices cannot be paid with account credit');
+    }
+
+    const amountDue = Invoice.amountDue(invoice);
+    if (amountDue <= 0) {
+      return null;
+    }
+
+    const entry = await CreditService.reserveForInvoice({
+      tenantId: invoice.tenant_id,
+      customerId: invoice.customer_id,
+      maxAmount: amountDue,
+      currency: invoice.currency,
+      invoiceId: invoice.id,
+      createdBy
+    });
+
+    if (!entry) {
+      return null;
+    }
+
+    const applied = Math.abs(parseFloat(entry.amount));
+
+    const payment = await Payment.create({
+      tenantId: invoice.tenant_id,
+      customerId: invoice.customer_id,
+      invoiceId: invoice.id,
+      amount: applied,
+      currency: invoice.currency,
+      paymentMethod: 'credit',
+      transactionId: `credit-${entry.id}`,
+      metadata: { ledgerEntryId: entry.id }
+    });
+
+    await Payment.markCompleted(payment.id);
+    await CreditService.linkPayment(entry.id, payment.id);
+    await Invoice.recordPayment(invoice.id, applied, applied);
+
+    logger.info(`Applied ${applied} account credit to invoice ${invoice.invoice_number}`);
+    return payment;
+  }
+
+  /**
+   * Settle unpaid invoices from account credit, oldest due date first
+   */
+  static async applyCreditToDueInvoices() {
+    const result = await pool.query(
+      `SELECT i.*
+       FROM invoices i
+       JOIN customers c ON c.id = i.customer_id
+       WHERE i.status IN ('draft', 'sent', 'pending')
+       AND i.total > COALESCE(i.amount_paid, 0) + COALESCE(i.amount_credited, 0)
+       AND c.credit_balance > 0
+       AND COALESCE((i.metadata->>'creditTopUp')::boolean, false) = false
+       ORDER BY i.due_date ASC NULLS LAST, i.created_at ASC`
+    );
+
+    const results = { applied: 0, failed: 0 };
+
+    for (const invoice of result.rows) {
+      try {
+        const payment = await this.applyCreditToInvoice(invoice);
+        if (payment) results.applied++;
+      } catch (error) {
+        logger.error(`Failed to apply credit to invoice ${invoice.invoice_number}:`, error);
+        results.failed++;
+      }
+    }
+
+    logger.info(`Account credit sweep complete: ${results.applied} invoices paid from credit, ${results.failed} failed`);
+    return results;
+  }
+
+  /**
+   * Invoice a prepaid balance top-up; the credit is added once it is paid.
+   * Like any first invoice it fixes the customer's currency, so the credit
+   * ledger stays in one currency.
+   */
+  static async createCreditTopUpInvoice(customer, amount) {
+    const currency = await CurrencyService.lockCustomerCurrency(customer.id, customer.currency);
+    const invoiceNumber = await Invoice.generateInvoiceNumber(customer.tenant_id);
+
+    const dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + 14);
+
+    const invoice = await Invoice.create({
+      tenantId: customer.tenant_id,
+      customerId: customer.id,
+      invoiceNumber,
+      items: [
+        {
+          subscriptionId: null,
+          productId: null,
+          description: 'Account credit top-up',
+          quantity: 1,
+          unitPrice: amount,
+          amount,
+          taxable: false
+        }
+      ],
+      taxRate: 0,
+      currency,
+      dueDate,
+      notes: 'Prepaid account balance',
+      metadata: { creditTopUp: true }
+    });
+
+    logger.info(`Top-up invoice ${invoice.invoice_number} of ${amount} created for customer ${customer.id}`);
+    return invoice;
+  }
 }
 
 export default BillingService;
@@ -0,0 +1,616 @@
+import pool from '../config/database.js';
+import logger from '../config/logger.js';
+import StripeService from './StripeService.js';
+import { BASE_CURRENCY, toMinorUnits, fromMinorUnits } from '../config/currencies.js';
+
+
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+export const COUPON_DURATIONS = ['once', 'repeating', 'forever'];
+
+// Columns that change what a coupon is worth; Stripe coupons cannot be edited,
+// so changing any of these maps the coupon to a fresh Stripe coupon
+const STRIPE_FIELDS = ['discountType', 'amount', 'currency', 'duration', 'durationCycles'];
+
+const EDITABLE_FIELDS = {
+  name: 'name',
+  discountType: 'discount_type',
+  amount: 'amount',
+  currency: 'currency',
+  duration: 'duration',
+  durationCycles: 'duration_cycles',
+  appliesTo: 'applies_to',
+  startsAt: 'starts_at',
+  expiresAt: 'expires_at',
+  maxRedemptions: 'max_redemptions',
+  maxPerCustomer: 'max_per_customer',
+  active: 'active',
+  metadata: 'metadata'
+};
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+class CouponService {
+  /**
+   * Check a coupon definition (create or update payload). Returns an error
+   * message, or null when the definition is usable.
+   */
+  static validateDefinition(data, { partial = false } = {}) {
+    const has = (key) => data[key] !== undefined;
+
+    if (!partial || has('code')) {
+      if (!/^[A-Z0-9_-]{3,64}$/.test(normalizeCouponCode(data.code))) {
+        return 'Code must be 3-64 letters, digits, dashes or underscores';
+      }
+    }
+    if (!partial || has('discountType')) {
+      if (!DISCOUNT_TYPES.includes(data.discountType)) {
+        return `discountType must be one of ${DISCOUNT_TYPES.join(', ')}`;
+      }
+    }
+    if (!partial || has('amount')) {
+      const amount = parseFloat(data.amount);
+      if (!(amount > 0)) {
+        return 'Amount must be greater than zero';
+      }
+      if (data.discountType === 'percent' && amount > 100) {
+        return 'Percent discounts cannot exceed 100';
+      }
+    }
+    if (has('duration') && !COUPON_DURATIONS.includes(data.duration)) {
+      return `duration must be one of ${COUPON_DURATIONS.join(', ')}`;
+    }
+    if (data.duration === 'repeating' && !(parseInt(data.durationCycles, 10) > 0)) {
+      return 'Repeating coupons need durationCycles';
+    }
+    if (has('appliesTo') && !Array.isArray(data.appliesTo)) {
+      return 'appliesTo must be a list of plan or product ids';
+    }
+    for (const key of ['maxRedemptions', 'maxPerCustomer']) {
+      if (has(key) && data[key] !== null && !(parseInt(data[key], 10) > 0)) {
+        return `${key} must be a positive number`;
+      }
+    }
+    if (data.startsAt && data.expiresAt && new Date(data.expiresAt) <= new Date(data.startsAt)) {
+      return 'expiresAt must be after startsAt';
+    }
+    return null;
+  }
+
+  static async list({ active } = {}) {
+    const params = [];
+    let query = 'SELECT * FROM coupons';
+    if (active !== undefined) {
+      params.push(active);
+      query += ' WHERE active = $1';
+    }
+    query += ' ORDER BY created_at DESC';
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM coupons WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async findByCode(code) {
+    const result = await pool.query(
+      'SELECT * FROM coupons WHERE UPPER(code) = $1',
+      [normalizeCouponCode(code)]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async create(data, { tenantId = null, createdBy = null } = {}) {
+    const result = await pool.query(
+      `INSERT INTO coupons (
+        tenant_id, code, name, discount_type, amount, currency, duration, duration_cycles,
+        applies_to, starts_at, expires_at, max_redemptions, max_per_customer, metadata, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *`,
+      [
+        tenantId,
+        normalizeCouponCode(data.code),
+        data.name || null,
+        data.discountType,
+        data.amount,
+        (data.currency || BASE_CURRENCY).toUpperCase(),
+        data.duration || 'once',
+        data.duration === 'repeating' ? parseInt(data.durationCycles, 10) : null,
+        data.appliesTo || [],
+        data.startsAt || null,
+        data.expiresAt || null,
+        data.maxRedemptions || null,
+        data.maxPerCustomer === undefined ? 1 : data.maxPerCustomer,
+        data.metadata || {},
+        createdBy
+      ]
+    );
+
+    logger.info(`Coupon created: ${result.rows[0].code}`);
+    return result.rows[0];
+  }
+
+  static async update(id, data) {
+    const sets = [];
+    const params = [];
+
+    for (const [key, column] of Object.entries(EDITABLE_FIELDS)) {
+      if (data[key] !== undefined) {
+        params.push(column === 'currency' ? String(data[key]).toUpperCase() : data[key]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.findById(id);
+    }
+
+    if (STRIPE_FIELDS.some((key) => data[key] !== undefined)) {
+      sets.push('stripe_coupon_id = NULL', "stripe_product_coupons = '{}'");
+    }
+
+    params.push(id);
+    const result = await pool.query(
+      `UPDATE coupons SET ${sets.join(', ')}, updated_at = NOW()
+       WHERE id = $${params.length}
+       RETURNING *`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  static async deactivate(id) {
+    const result = await pool.query(
+      'UPDATE coupons SET active = false, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Whether a coupon can be used right now for the given items. Returns an
+   * error message, or null when the coupon applies.
+   */
+  static checkEligibility(coupon, { itemIds = [], currency = null, customerRedemptions = 0, now = new Date() } = {}) {
+    if (!coupon || !coupon.active) {
+      return 'Invalid coupon code';
+    }
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+      return 'This coupon is not active yet';
+    }
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+      return 'This coupon has expired';
+    }
+    if (coupon.max_redemptions && coupon.times_redeemed >= coupon.max_redemptions) {
+      return 'This coupon has reached its redemption limit';
+    }
+    if (coupon.max_per_customer && customerRedemptions >= coupon.max_per_customer) {
+      return 'You have already used this coupon';
+    }
+    if (coupon.discount_type === 'fixed' && currency && coupon.currency
+      && coupon.currency.toUpperCase() !== currency.toUpperCase()) {
+      return `This coupon is only valid for ${coupon.currency} orders`;
+    }
+    if ((coupon.applies_to || []).length > 0 && this.eligibleIds(coupon, itemIds).length === 0) {
+      return 'This coupon does not apply to the selected plan';
+    }
+    return null;
+  }
+
+  /**
+   * The subset of plan/product ids a coupon applies to
+   */
+  static eligibleIds(coupon, itemIds) {
+    const restriction = (coupon.applies_to || []).map(String);
+    const ids = itemIds.filter((id) => id !== null && id !== undefined).map(String);
+    return restriction.length === 0 ? ids : ids.filter((id) => restriction.includes(id));
+  }
+
+  /**
+   * Discount for one billing cycle of the given items ([{ id, amount }]).
+   * Percent coupons discount each eligible item; fixed coupons take their
+   * amount off the eligible subtotal once, never below zero. Amounts are in
+   * the order currency, which fixed coupons share.
+   */
+  static calculateDiscount(coupon, items, currency = coupon.currency || BASE_CURRENCY) {
+    const eligible = this.eligibleIds(coupon, items.map((item) => item.id));
+    const eligibleMinor = items
+      .filter((item) => eligible.includes(String(item.id)))
+      .reduce((sum, item) => sum + toMinorUnits(item.amount, currency), 0);
+
+    const discountMinor = coupon.discount_type === 'percent'
+      ? Math.round(eligibleMinor * parseFloat(coupon.amount) / 100)
+      : Math.min(toMinorUnits(coupon.amount, currency), eligibleMinor);
+
+    return {
+      eligibleAmount: fromMinorUnits(eligibleMinor, currency),
+      discount: fromMinorUnits(Math.max(discountMinor, 0), currency),
+      eligibleIds: eligible,
+      allItemsEligible: eligible.length === items.length
+    };
+  }
+
+  /**
+   * Billing cycles a new redemption is good for (null = every cycle)
+   */
+  static cyclesFor(coupon) {
+    if (coupon.duration === 'forever') return null;
+    if (coupon.duration === 'repeating') return coupon.duration_cycles;
+    return 1;
+  }
+
+  static describe(coupon) {
+    const value = coupon.discount_type === 'percent'
+      ? `${parseFloat(coupon.amount)}% off`
+      : `${parseFloat(coupon.amount).toFixed(2)} ${coupon.currency} off`;
+    const duration = coupon.duration === 'forever'
+      ? 'every billing cycle'
+      : coupon.duration === 'repeating'
+        ? `the first ${coupon.duration_cycles} billing cycles`
+        : 'the first billing cycle';
+    return `${value} ${duration}`;
+  }
+
+  /**
+   * Public view of a coupon, for carts and checkout pages
+   */
+  static serialize(coupon) {
+    return {
+      code: coupon.code,
+      name: coupon.name,
+      discountType: coupon.discount_type,
+      amount: parseFloat(coupon.amount),
+      currency: coupon.currency,
+      duration: coupon.duration,
+      durationCycles: coupon.duration_cycles,
+      appliesTo: coupon.applies_to || [],
+      expiresAt: coupon.expires_at,
+      description: this.describe(coupon)
+    };
+  }
+
+  static async countRedemptions(couponId, { customerId = null, userId = null, email = null } = {}) {
+    if (!customerId && !userId && !email) {
+      return 0;
+    }
+
+    const result = await pool.query(
+      `SELECT COUNT(*) AS count FROM coupon_redemptions
+       WHERE coupon_id = $1 AND status != 'cancelled'
+         AND (customer_id = $2 OR user_id = $3 OR LOWER(email) = LOWER($4))`,
+      [couponId, customerId, userId, email]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Look up a code and check it against the items being bought and the
+   * customer buying them. Resolves to { coupon } or { error }.
+   */
+  static async validate(code, { itemIds = [], currency = null, customerId = null, userId = null, email = null } = {}) {
+    const coupon = await this.findByCode(code);
+    if (!coupon) {
+      return { error: 'Invalid coupon code' };
+    }
+
+    const customerRedemptions = await this.countRedemptions(coupon.id, { customerId, userId, email });
+    const error = this.checkEligibility(coupon, { itemIds, currency, customerRedemptions });
+    return error ? { error, coupon } : { coupon };
+  }
+
+  /**
+   * Stripe coupon parameters matching a coupon. Stripe counts repeating
+   * coupons in months, so first-N-cycles coupons match exactly on monthly
+   * plans only.
+   */
+  static stripeCouponParams(coupon) {
+    const params = {
+      name: coupon.name || coupon.code,
+      duration: coupon.duration,
+      metadata: { coupon_id: coupon.id, code: coupon.code }
+    };
+    if (coupon.discount_type === 'percent') {
+      params.percent_off = parseFloat(coupon.amount);
+    } else {
+      params.amount_off = toMinorUnits(coupon.amount, coupon.currency);
+      params.currency = coupon.currency.toLowerCase();
+    }
+    if (coupon.duration === 'repeating') {
+      params.duration_in_months = coupon.duration_cycles;
+    }
+    if (coupon.max_redemptions) {
+      params.max_redemptions = coupon.max_redemptions;
+    }
+    if (coupon.expires_at) {
+      params.redeem_by = Math.floor(new Date(coupon.expires_at).getTime() / 1000);
+    }
+    return params;
+  }
+
+  /**
+   * Stripe coupon id for a coupon, creating the Stripe coupon on first use
+   */
+  static async ensureStripeCoupon(coupon) {
+    if (coupon.stripe_coupon_id) {
+      return coupon.stripe_coupon_id;
+    }
+
+    const stripeCoupon = await StripeService.createCoupon(this.stripeCouponParams(coupon));
+    await pool.query(
+      'UPDATE coupons SET stripe_coupon_id = $1, updated_at = NOW() WHERE id = $2',
+      [stripeCoupon.id, coupon.id]
+    );
+    return stripeCoupon.id;
+  }
+
+  /**
+   * Stripe coupon id for a coupon that only discounts one Stripe product, so
+   * other line items in the same checkout (a setup fee) are charged in full.
+   * Created on first use per product.
+   */
+  static async ensureProductStripeCoupon(coupon, productId) {
+    const existing = coupon.stripe_product_coupons?.[productId];
+    if (existing) {
+      return existing;
+    }
+
+    const stripeCoupon = await StripeService.createCoupon({
+      ...this.stripeCouponParams(coupon),
+      applies_to: { products: [productId] }
+    });
+    await pool.query(
+      `UPDATE coupons
+       SET stripe_product_coupons = COALESCE(stripe_product_coupons, '{}'::jsonb) || jsonb_build_object($1::text, $2::text),
+           updated_at = NOW()
+       WHERE id = $3`,
+      [productId, stripeCoupon.id, coupon.id]
+    );
+    return stripeCoupon.id;
+  }
+
+  /**
+   * Stripe discounts for a checkout. When the coupon covers every item the
+   * mapped coupon is used as-is; a cart where only some items qualify gets a
+   * single-use Stripe coupon for the discount on those items.
+   */
+  static async stripeDiscountsFor(coupon, items, currency = BASE_CURRENCY) {
+    const { discount, allItemsEligible } = this.calculateDiscount(coupon, items, currency);
+
+    if (allItemsEligible) {
+      return [{ coupon: await this.ensureStripeCoupon(coupon) }];
+    }
+
+    const oneOff = await StripeService.createCoupon({
+      name: coupon.name || coupon.code,
+      amount_off: toMinorUnits(discount, currency),
+      currency: currency.toLowerCase(),
+      duration: 'once',
+      max_redemptions: 1,
+      metadata: { coupon_id: coupon.id, code: coupon.code }
+    });
+    return [{ coupon: oneOff.id }];
+  }
+
+  /**
+   * Attach a coupon to a subscription. Limits are re-checked under a row lock
+   * so concurrent redemptions cannot exceed them. Stripe-billed subscriptions
+   * get their discount from Stripe, so their redemption is recorded as complete.
+   */
+  static async redeemForSubscription(coupon, { subscription, customerId = null, userId = null }) {
+    const stripeManaged = Boolean(subscription.stripe_subscription_id);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query('SELECT * FROM coupons WHERE id = $1 FOR UPDATE', [coupon.id]);
+      const current = locked.rows[0];
+
+      const customerRedemptions = await this.countRedemptions(coupon.id, { customerId, userId });
+      const error = this.checkEligibility(current, {
+        itemIds: [subscription.metadata?.planId, subscription.plan_id, subscription.product_id],
+        currency: subscription.currency,
+        customerRedemptions
+      });
+      if (error) {
+        throw new Error(error);
+      }
+
+      const result = await client.query(
+        `INSERT INTO coupon_redemptions (
+          coupon_id, tenant_id, customer_id, user_id, subscription_id, cycles_remaining, status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *`,
+        [
+          current.id,
+          subscription.tenant_id || current.tenant_id,
+          customerId,
+          userId,
+          subscription.id,
+          stripeManaged ? 0 : this.cyclesFor(current),
+          stripeManaged ? 'completed' : 'active'
+        ]
+      );
+
+      await client.query(
+        'UPDATE coupons SET times_redeemed = times_redeemed + 1, updated_at = NOW() WHERE id = $1',
+        [current.id]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Coupon ${current.code} redeemed for subscription ${subscription.id}`);
+      return result.rows[0];
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record the coupon used on a completed Stripe checkout. Safe to call from
+   * both the webhook and the success page; only the first call counts.
+   * Stripe applies any later cycles itself, so the redemption is complete.
+   * Checkouts validated together can complete after the coupon ran out; those
+   * are logged for billing and not counted, so times_redeemed never passes
+   * max_redemptions.
+   */
+  static async recordCheckoutRedemption(session, { orderId = null, userId = null } = {}) {
+    const couponId = session.metadata?.coupon_id;
+    if (!couponId) {
+      return null;
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const couponResult = await client.query(
+        'SELECT code, max_redemptions, times_redeemed FROM coupons WHERE id = $1 FOR UPDATE',
+        [couponId]
+      );
+      const coupon = couponResult.rows[0];
+      const recorded = await client.query(
+        'SELECT id FROM coupon_redemptions WHERE stripe_session_id = $1',
+        [session.id]
+      );
+      if (coupon?.max_redemptions && recorded.rows.length === 0
+        && coupon.times_redeemed >= coupon.max_redemptions) {
+        await client.query('ROLLBACK');
+        logger.warn(`Coupon ${coupon.code} was past its redemption limit when checkout ${session.id} completed`);
+        return null;
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO coupon_redemptions (
+          coupon_id, tenant_id, user_id, email, order_id, stripe_session_id, discount_amount, cycles_remaining, status
+        )
+        SELECT id, tenant_id, $2, $3, $4, $5, $6, 0, 'completed' FROM coupons WHERE id = $1
+        ON CONFLICT (stripe_session_id) WHERE stripe_session_id IS NOT NULL DO NOTHING
+        RETURNING *`,
+        [
+          couponId,
+          userId || session.metadata?.user_id || null,
+          session.customer_details?.email || session.customer_email || null,
+          orderId,
+          session.id,
+          fromMinorUnits(session.total_details?.amount_discount, session.currency)
+        ]
+      );
+
+      let redemption = inserted.rows[0];
+      if (redemption) {
+        await client.query(
+          'UPDATE coupons SET times_redeemed = times_redeemed + 1, updated_at = NOW() WHERE id = $1',
+          [couponId]
+        );
+      } else if (orderId) {
+        const updated = await client.query(
+          `UPDATE coupon_redemptions SET order_id = $1, updated_at = NOW()
+           WHERE stripe_session_id = $2 AND order_id IS NULL
+           RETURNING *`,
+          [orderId, session.id]
+        );
+        redemption = updated.rows[0];
+      }
+
+      await client.query('COMMIT');
+      return redemption || null;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Discount owed on the next invoice of a locally billed subscription
+   */
+  static async discountForSubscription(subscription, amount) {
+    const result = await pool.query(
+      `SELECT r.id AS redemption_id, r.cycles_remaining, c.*
+       FROM coupon_redemptions r
+       JOIN coupons c ON c.id = r.coupon_id
+       WHERE r.subscription_id = $1 AND r.status = 'active'
+         AND (r.cycles_remaining IS NULL OR r.cycles_remaining > 0)
+       ORDER BY r.created_at
+       LIMIT 1`,
+      [subscription.id]
+    );
+
+    const coupon = result.rows[0];
+    if (!coupon) {
+      return null;
+    }
+
+    // Plan restrictions were checked at redemption; the discount covers the whole subscription
+    const { discount } = this.calculateDiscount(
+      { ...coupon, applies_to: [] },
+      [{ id: subscription.id, amount }],
+      subscription.currency || BASE_CURRENCY
+    );
+    return discount > 0 ? { redemptionId: coupon.redemption_id, coupon, amount: discount } : null;
+  }
+
+  /**
+   * Count a billed cycle against a subscription redemption
+   */
+  static async consumeCycle(redemptionId, amount) {
+    await pool.query(
+      `UPDATE coupon_redemptions
+       SET discount_amount = discount_amount + $2,
+           cycles_remaining = CASE WHEN cycles_remaining IS NULL THEN NULL ELSE cycles_remaining - 1 END,
+           status = CASE WHEN cycles_remaining IS NOT NULL AND cycles_remaining <= 1 THEN 'completed' ELSE status END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [redemptionId, amount]
+    );
+  }
+
+  /**
+   * Undo a redemption that could not be applied, freeing its slot
+   */
+  static async cancelRedemption(redemption) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE coupon_redemptions SET status = 'cancelled', updated_at = NOW()
+         WHERE id = $1 AND status != 'cancelled'
+         RETURNING *`,
+        [redemption.id]
+      );
+      if (result.rows.length > 0) {
+        await client.query(
+          'UPDATE coupons SET times_redeemed = GREATEST(times_redeemed - 1, 0), updated_at = NOW() WHERE id = $1',
+          [redemption.coupon_id]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async getRedemptions(couponId) {
+    const result = await pool.query(
+      'SELECT * FROM coupon_redemptions WHERE coupon_id = $1 ORDER BY created_at DESC',
+      [couponId]
+    );
+    return result.rows;
+  }
+}
+
+export default CouponService;
@@ -0,0 +1,414 @@
+import pool from '../config/database.js';
+import logger from '../config/logger.js';
+import StripeService from './StripeService.js';
+import CreditService from './CreditService.js';
+import { roundMoney } from '../config/currencies.js';
+
+// Where a refund goes: back the way it was paid, or onto account credit
+export const REFUND_DESTINATIONS = ['original', 'credit'];
+
+const isStripePayment = (payment) =>
+  payment.payment_method === 'stripe' && /^pi_/.test(payment.transaction_id || '');
+
+// Negative lines that are not taxable are account credit used to pay the
+// invoice; they are a payment rather than something that was sold
+const isCreditApplied = (item) => !item.taxable && parseFloat(item.amount) < 0;
+
+class CreditNoteService {
+  /**
+   * Work out a credit note for an invoice. Without lines every item is
+   * credited in full (whatever earlier credit notes left); with lines only
+   * those items, optionally for part of their amount. Returns { error } when
+   * the request cannot be credited.
+   */
+  static plan(invoice, items, lines = null, { credited = new Map(), taxCredited = 0 } = {}) {
+    const currency = invoice.currency;
+    const creditable = items.filter((item) => !isCreditApplied(item));
+    const remaining = (item) => roundMoney(parseFloat(item.amount) - (credited.get(item.id) || 0), currency);
+    const toNoteItem = (item, amount) => ({
+      invoiceItemId: item.id,
+      description: item.description,
+      quantity: 1,
+      unitPrice: amount,
+      amount,
+      taxable: item.taxable
+    });
+
+    const full = !lines || lines.length === 0;
+    let noteItems;
+
+    if (full) {
+      noteItems = creditable
+        .filter((item) => remaining(item) !== 0)
+        .map((item) => toNoteItem(item, remaining(item)));
+    } else {
+      noteItems = [];
+      const seen = new Set();
+      for (const line of lines) {
+        const item = creditable.find((candidate) => candidate.id === line.invoiceItemId);
+        if (!item || seen.has(item.id)) {
+          return { error: `Invoice item ${line.invoiceItemId} cannot be credited` };
+        }
+        seen.add(item.id);
+
+        const left = remaining(item);
+        const amount = line.amount !== undefined ? roundMoney(parseFloat(line.amount), currency) : left;
+        if (!(amount > 0)) {
+          return { error: 'Credited amounts must be greater than zero' };
+        }
+        if (amount > left) {
+          return { error: `At most ${left} of "${item.description}" can still be credited` };
+        }
+        noteItems.push(toNoteItem(item, amount));
+      }
+    }
+
+    if (noteItems.length === 0) {
+      return { error: 'Nothing left to credit on this invoice' };
+    }
+
+    const taxRate = parseFloat(invoice.tax_rate || 0);
+    const subtotal = roundMoney(noteItems.reduce((sum, item) => sum + item.amount, 0), currency);
+    // A full credit returns exactly the tax that is left, so rounding cannot drift
+    const taxAmount = full
+      ? roundMoney(parseFloat(invoice.tax_amount || 0) - taxCredited, currency)
+      : roundMoney(noteItems.reduce((sum, item) => sum + (item.taxable ? item.amount * taxRate : 0), 0), currency);
+    const total = roundMoney(subtotal + taxAmount, currency);
+
+    const creditApplied = items.filter(isCreditApplied).reduce((sum, item) => sum - parseFloat(item.amount), 0);
+    const creditableTotal = roundMoney(
+      parseFloat(invoice.total) + creditApplied - parseFloat(invoice.amount_credited || 0),
+      currency
+    );
+
+    if (total <= 0) {
+      return { error: 'Credit note total must be greater than zero' };
+    }
+    if (total > creditableTotal) {
+      return { error: `At most ${creditableTotal} can still be credited on this invoice` };
+    }
+
+    return { items: noteItems, subtotal, taxRate, taxAmount, total, fullyCredited: total === creditableTotal };
+  }
+
+  /**
+   * Split a refund across the invoice's payments, newest first. Stripe charges
+   * are refunded to the card, anything else becomes account credit, as does
+   * whatever is left once the payments are used up (e.g. credit that was
+   * applied as an invoice line).
+   */
+  static allocateRefund(amount, payments, { refundTo = 'original', currency } = {}) {
+    const allocations = [];
+    let left = roundMoney(amount, currency);
+
+    if (refundTo === 'original') {
+      for (const payment of payments) {
+        if (left <= 0) break;
+        const refundable = roundMoney(parseFloat(payment.amount) - parseFloat(payment.amount_refunded || 0), currency);
+        if (refundable <= 0) continue;
+
+        const take = Math.min(left, refundable);
+        allocations.push({ payment, method: isStripePayment(payment) ? 'stripe' : 'credit', amount: take });
+        left = roundMoney(left - take, currency);
+      }
+    }
+
+    if (left > 0) {
+      allocations.push({ payment: null, method: 'credit', amount: left });
+    }
+    return allocations;
+  }
+
+  /**
+   * Next gap-free number for a document type. Runs inside the caller's
+   * transaction, so a rolled back document does not use up a number.
+   */
+  static async nextNumber(client, tenantId, documentType = 'credit_note', prefix = 'CN') {
+    const year = new Date().getFullYear();
+    const result = await client.query(
+      `INSERT INTO document_sequences (scope, document_type, year, last_value)
+       VALUES ($1, $2, $3, 1)
+       ON CONFLICT (scope, document_type, year)
+       DO UPDATE SET last_value = document_sequences.last_value + 1
+       RETURNING last_value`,
+      [tenantId || 'default', documentType, year]
+    );
+    return `${prefix}-${year}-${String(result.rows[0].last_value).padStart(6, '0')}`;
+  }
+
+  /**
+   * Issue a credit note against an invoice. The part that covers an unpaid
+   * balance reduces it; the rest is refunded. Returns { error } when the
+   * request cannot be credited, otherwise { creditNote }.
+   */
+  static async issue(invoiceId, { reason, lines = null, refundTo = 'original', createdBy = null }) {
+    const client = await pool.connect();
+    let creditNoteId;
+
+    try {
+      await client.query('BEGIN');
+
+      const invoiceResult = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId]);
+      if (invoiceResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { error: 'Invoice not found', notFound: true };
+      }
+      const invoice = invoiceResult.rows[0];
+
+      if (invoice.metadata?.creditTopUp) {
+        await client.query('ROLLBACK');
+        return { error: 'Top-up invoices cannot be credited; adjust the account credit instead' };
+      }
+
+      const itemsResult = await client.query(
+        'SELECT * FROM invoice_items WHERE invoice_id = $1 ORDER BY created_at',
+        [invoiceId]
+      );
+      const creditedResult = await client.query(
+        `SELECT cni.invoice_item_id, SUM(cni.amount) AS amount
+         FROM credit_note_items cni
+         JOIN credit_notes cn ON cn.id = cni.credit_note_id
+         WHERE cn.invoice_id = $1 AND cni.invoice_item_id IS NOT NULL
+         GROUP BY cni.invoice_item_id`,
+        [invoiceId]
+      );
+      const taxResult = await client.query(
+        'SELECT COALESCE(SUM(tax_amount), 0) AS tax FROM credit_notes WHERE invoice_id = $1',
+        [invoiceId]
+      );
+
+      const plan = this.plan(invoice, itemsResult.rows, lines, {
+        credited: new Map(creditedResult.rows.map((row) => [row.invoice_item_id, parseFloat(row.amount)])),
+        taxCredited: parseFloat(taxResult.rows[0].tax)
+      });
+      if (plan.error) {
+        await client.query('ROLLBACK');
+        return plan;
+      }
+
+      const currency = invoice.currency;
+      const amountPaid = parseFloat(invoice.amount_paid || 0);
+      const alreadyCredited = parseFloat(invoice.amount_credited || 0);
+      const balanceDue = Math.max(roundMoney(parseFloat(invoice.total) - amountPaid - alreadyCredited, currency), 0);
+      const appliedToInvoice = Math.min(plan.total, balanceDue);
+      const refundAmount = roundMoney(plan.total - appliedToInvoice, currency);
+
+      const number = await this.nextNumber(client, invoice.tenant_id);
+      const noteResult = await client.query(
+        `INSERT INTO credit_notes (
+          tenant_id, customer_id, invoice_id, credit_note_number, reason, subtotal,
+          tax_rate, tax_amount, total, currency, applied_to_invoice, refund_amount, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *`,
+        [invoice.tenant_id, invoice.customer_id, invoiceId, number, reason, plan.subtotal,
+          plan.taxRate, plan.taxAmount, plan.total, currency, appliedToInvoice, refundAmount, createdBy]
+      );
+      creditNoteId = noteResult.rows[0].id;
+
+      for (const item of plan.items) {
+        await client.query(
+          `INSERT INTO credit_note_items (credit_note_id, invoice_item_id, description, quantity, unit_price, amount, taxable)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [creditNoteId, item.invoiceItemId, item.description, item.quantity, item.unitPrice, item.amount, item.taxable]
+        );
+      }
+
+      // Fully credited invoices are closed; a credit that covers what is
+      // still owed settles the invoice
+      await client.query(
+        `UPDATE invoices
+         SET amount_credited = COALESCE(amount_credited, 0) + $1,
+             status = CASE
+               WHEN $2 THEN (CASE WHEN COALESCE(amount_paid, 0) > 0 THEN 'refunded' ELSE 'cancelled' END)
+               WHEN COALESCE(amount_paid, 0) + COALESCE(amount_credited, 0) + $1 >= total THEN 'paid'
+               ELSE status
+             END,
+             paid_date = CASE
+               WHEN NOT $2 AND status <> 'paid' AND COALESCE(amount_paid, 0) + COALESCE(amount_credited, 0) + $1 >= total
+               THEN CURRENT_TIMESTAMP ELSE paid_date
+             END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [plan.total, plan.fullyCredited, invoiceId]
+      );
+
+      if (refundAmount > 0) {
+        const paymentsResult = await client.query(
+          `SELECT * FROM payments
+           WHERE invoice_id = $1 AND status IN ('completed', 'refunded')
+           ORDER BY created_at DESC
+           FOR UPDATE`,
+          [invoiceId]
+        );
+
+        for (const allocation of this.allocateRefund(refundAmount, paymentsResult.rows, { refundTo, currency })) {
+          await client.query(
+            `INSERT INTO credit_note_refunds (credit_note_id, payment_id, method, amount, currency)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [creditNoteId, allocation.payment?.id || null, allocation.method, allocation.amount, currency]
+          );
+          // Reserve the amount so a concurrent credit note cannot refund it again
+          if (allocation.payment) {
+            await client.query(
+              'UPDATE payments SET amount_refunded = COALESCE(amount_refunded, 0) + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+              [allocation.amount, allocation.payment.id]
+            );
+          }
+        }
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Credit note ${number} of ${plan.total} issued for invoice ${invoice.invoice_number}`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Money moves only after the credit note is on the books
+    await this.processRefunds(creditNoteId);
+    return { creditNote: await this.findById(creditNoteId) };
+  }
+
+  /**
+   * Carry out a credit note's pending refunds. Failed Stripe refunds leave
+   * the credit note in refund_failed so they can be retried.
+   */
+  static async processRefunds(creditNoteId) {
+    const noteResult = await pool.query('SELECT * FROM credit_notes WHERE id = $1', [creditNoteId]);
+    const creditNote = noteResult.rows[0];
+    const refunds = await pool.query(
+      `SELECT r.*, p.transaction_id
+       FROM credit_note_refunds r
+       LEFT JOIN payments p ON p.id = r.payment_id
+       WHERE r.credit_note_id = $1 AND r.status = 'pending'
+       ORDER BY r.created_at`,
+      [creditNoteId]
+    );
+
+    let failed = false;
+
+    for (const refund of refunds.rows) {
+      try {
+        if (refund.method === 'stripe') {
+          const stripeRefund = await StripeService.refundPayment(
+            refund.transaction_id,
+            parseFloat(refund.amount),
+            refund.currency,
+            {
+              idempotencyKey: `credit-note-refund-${refund.id}`,
+              metadata: { credit_note_id: creditNote.id, credit_note_number: creditNote.credit_note_number }
+            }
+          );
+          await pool.query(
+            `UPDATE credit_note_refunds
+             SET status = 'succeeded', stripe_refund_id = $1, error = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [stripeRefund.id, refund.id]
+          );
+        } else {
+          const entry = await CreditService.addCredit({
+            tenantId: creditNote.tenant_id,
+            customerId: creditNote.customer_id,
+            amount: parseFloat(refund.amount),
+            type: 'refund_to_credit',
+            description: `Credit note ${creditNote.credit_note_number}`,
+            invoiceId: creditNote.invoice_id,
+            paymentId: refund.payment_id,
+            currency: refund.currency,
+            metadata: { creditNoteId: creditNote.id },
+            createdBy: creditNote.created_by
+          });
+          await pool.query(
+            `UPDATE credit_note_refunds
+             SET status = 'succeeded', ledger_entry_id = $1, error = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [entry.id, refund.id]
+          );
+        }
+
+        if (refund.payment_id) {
+          await pool.query(
+            `UPDATE payments
+             SET status = CASE WHEN amount_refunded >= amount THEN 'refunded' ELSE status END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [refund.payment_id]
+          );
+        }
+      } catch (error) {
+        failed = true;
+        logger.error(`Refund ${refund.id} for credit note ${creditNote.credit_note_number} failed:`, error);
+        await pool.query(
+          `UPDATE credit_note_refunds SET status = 'failed', error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+          [error.message, refund.id]
+        );
+      }
+    }
+
+    await pool.query(
+      `UPDATE credit_notes SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [failed ? 'refund_failed' : 'issued', creditNoteId]
+    );
+  }
+
+  /**
+   * Try failed refunds of a credit note again
+   */
+  static async retryRefunds(creditNoteId) {
+    await pool.query(
+      `UPDATE credit_note_refunds SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+       WHERE credit_note_id = $1 AND status = 'failed'`,
+      [creditNoteId]
+    );
+    await this.processRefunds(creditNoteId);
+    return this.findById(creditNoteId);
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT cn.*, i.invoice_number,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', cni.id,
+            'invoice_item_id', cni.invoice_item_id,
+            'description', cni.description,
+            'quantity', cni.quantity,
+            'unit_price', cni.unit_price,
+            'amount', cni.amount,
+            'taxable', cni.taxable
+          ) ORDER BY cni.created_at)
+          FROM credit_note_items cni WHERE cni.credit_note_id = cn.id
+        ), '[]') AS items,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', r.id,
+            'payment_id', r.payment_id,
+            'method', r.method,
+            'amount', r.amount,
+            'status', r.status,
+            'stripe_refund_id', r.stripe_refund_id,
+            'error', r.error
+          ) ORDER BY r.created_at)
+          FROM credit_note_refunds r WHERE r.credit_note_id = cn.id
+        ), '[]') AS refunds
+      FROM credit_notes cn
+      JOIN invoices i ON i.id = cn.invoice_id
+      WHERE cn.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async listForInvoice(invoiceId) {
+    const result = await pool.query(
+      'SELECT * FROM credit_notes WHERE invoice_id = $1 ORDER BY created_at',
+      [invoiceId]
+    );
+    return result.rows;
+  }
+}
+
+export default CreditNoteService;
@@ -0,0 +1,218 @@
+import pool from '../config/database.js';
+import logger from '../config/logger.js';
+import { BASE_CURRENCY, roundMoney } from '../config/currencies.js';
+
+export const CREDIT_TYPES = [
+  'top_up', // customer prepaid balance
+  'overpayment', // payment larger than the invoice it paid
+  'refund_to_credit', // refund kept on account instead of returned to the card
+  'promotional', // goodwill / marketing credit
+  'adjustment', // manual correction, may be negative
+  'proration', // unused time from a plan change
+  'invoice_applied', // credit used to pay an invoice
+  'reversal', // reserved credit given back
+];
+
+// Types staff may record by hand
+export const MANUAL_CREDIT_TYPES = ['promotional', 'adjustment', 'refund_to_credit'];
+
+class CreditService {
+  /**
+   * Current credit balance for a customer
+   */
+  static async getBalance(customerId) {
+    const result = await pool.query(
+      'SELECT COALESCE(credit_balance, 0) AS credit_balance FROM customers WHERE id = $1',
+      [customerId]
+    );
+    return result.rows.length > 0 ? parseFloat(result.rows[0].credit_balance) : 0;
+  }
+
+  /**
+   * Ledger entries for a customer, newest first
+   */
+  static async getLedger(customerId, limit = 50, offset = 0) {
+    const result = await pool.query(
+      `SELECT * FROM customer_credit_ledger
+       WHERE customer_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [customerId, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Add (positive amount) or consume (negative amount) credit and record it in
+   * the ledger. Runs on the given client when called inside a transaction.
+   */
+  static async recordEntry(entry, client = null) {
+    const {
+      tenantId = null,
+      customerId,
+      amount,
+      type,
+      description = null,
+      subscriptionId = null,
+      invoiceId = null,
+      paymentId = null,
+      currency = BASE_CURRENCY,
+      metadata = {},
+      createdBy = null
+    } = entry;
+
+    if (!CREDIT_TYPES.includes(type)) {
+      throw new Error(`Unknown credit type: ${type}`);
+    }
+
+    const db = client || await pool.connect();
+    const ownsTransaction = !client;
+
+    try {
+      if (ownsTransaction) await db.query('BEGIN');
+
+      const balanceResult = await db.query(
+        'SELECT COALESCE(credit_balance, 0) AS credit_balance FROM customers WHERE id = $1 FOR UPDATE',
+        [customerId]
+      );
+
+      if (balanceResult.rows.length === 0) {
+        throw new Error(`Customer ${customerId} not found`);
+      }
+
+      const rounded = roundMoney(amount, currency);
+      const balanceAfter = roundMoney(parseFloat(balanceResult.rows[0].credit_balance) + rounded, currency);
+      if (balanceAfter < 0) {
+        throw new Error('Insufficient account credit');
+      }
+
+      await db.query(
+        'UPDATE customers SET credit_balance = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [balanceAfter, customerId]
+      );
+
+      const result = await db.query(
+        `INSERT INTO customer_credit_ledger (
+          tenant_id, customer_id, amount, balance_after, currency, type,
+          description, subscription_id, invoice_id, payment_id, metadata, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *`,
+        [tenantId, customerId, rounded, balanceAfter, currency, type,
+          description, subscriptionId, invoiceId, paymentId, metadata, createdBy]
+      );
+
+      if (ownsTransaction) await db.query('COMMIT');
+
+      logger.info(`Credit ledger: ${type} ${rounded} for customer ${customerId} (balance ${balanceAfter})`);
+      return result.rows[0];
+
+    } catch (error) {
+      if (ownsTransaction) await db.query('ROLLBACK');
+      throw error;
+    } finally {
+      if (ownsTransaction) db.release();
+    }
+  }
+
+  static async addCredit(entry, client = null) {
+    return this.recordEntry({ ...entry, amount: Math.abs(entry.amount) }, client);
+  }
+
+  /**
+   * Reserve up to maxAmount of the customer's credit for an invoice.
+   * Returns the ledger entry, or null when there is no credit to apply.
+   * Credit is held in the customer's locked currency and is never applied
+   * to an invoice in another one. With a client, the reservation is part of
+   * the caller's transaction and is undone by its rollback.
+   */
+  static async reserveForInvoice(
+    { tenantId, customerId, maxAmount, currency, subscriptionId = null, invoiceId = null, createdBy = null },
+    client = null
+  ) {
+    const db = client || await pool.connect();
+    const ownsTransaction = !client;
+
+    try {
+      if (ownsTransaction) await db.query('BEGIN');
+
+      const balanceResult = await db.query(
+        `SELECT COALESCE(credit_balance, 0) AS credit_balance, currency, currency_locked_at
+         FROM customers WHERE id = $1 FOR UPDATE`,
+        [customerId]
+      );
+
+      const customer = balanceResult.rows[0];
+      const heldIn = (customer?.currency || BASE_CURRENCY).toUpperCase();
+      if (customer?.currency_locked_at && heldIn !== String(currency || BASE_CURRENCY).toUpperCase()) {
+        throw new Error(`Customer ${customerId} credit is held in ${heldIn}, not ${currency}`);
+      }
+
+      const balance = customer ? parseFloat(customer.credit_balance) : 0;
+      const applied = roundMoney(Math.min(balance, maxAmount), currency);
+
+      if (applied <= 0) {
+        if (ownsTransaction) await db.query('ROLLBACK');
+        return null;
+      }
+
+      const entry = await this.recordEntry({
+        tenantId,
+        customerId,
+        amount: -applied,
+        type: 'invoice_applied',
+        description: 'Account credit applied to invoice',
+        subscriptionId,
+        invoiceId,
+        currency,
+        createdBy
+      }, db);
+
+      if (ownsTransaction) await db.query('COMMIT');
+      return entry;
+
+    } catch (error) {
+      if (ownsTransaction) await db.query('ROLLBACK');
+      throw error;
+    } finally {
+      if (ownsTransaction) db.release();
+    }
+  }
+
+  /**
+   * Attach a reserved entry to the invoice it was applied to
+   */
+  static async linkInvoice(entryId, invoiceId, client = null) {
+    await (client || pool).query(
+      'UPDATE customer_credit_ledger SET invoice_id = $1 WHERE id = $2',
+      [invoiceId, entryId]
+    );
+  }
+
+  /**
+   * Attach an entry to the payment record that settled it
+   */
+  static async linkPayment(entryId, paymentId) {
+    await pool.query(
+      'UPDATE customer_credit_ledger SET payment_id = $1 WHERE id = $2',
+      [paymentId, entryId]
+    );
+  }
+
+  /**
+   * Give back credit reserved for an invoice that was never created
+   */
+  static async releaseReservation(entry) {
+    return this.recordEntry({
+      tenantId: entry.tenant_id,
+      customerId: entry.customer_id,
+      amount: Math.abs(parseFloat(entry.amount)),
+      type: 'reversal',
+      description: 'Reserved credit released',
+      subscriptionId: entry.subscription_id,
+      currency: entry.currency,
+      metadata: { reversedEntryId: entry.id }
+    });
+  }
+}
+
+export default CreditService;
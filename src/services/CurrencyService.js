@@ -0,0 +1,180 @@
+import pool from '../config/database.js';
+import logger from '../config/logger.js';
+import { BASE_CURRENCY, normalizeCurrency, roundMoney } from '../config/currencies.js';
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+class CurrencyService {
+  /**
+   * Stored exchange rates, newest first
+   */
+  static async listRates({ currency = null, limit = 100 } = {}) {
+    const params = [BASE_CURRENCY];
+    let query = 'SELECT * FROM exchange_rates WHERE base_currency = $1';
+    if (currency) {
+      params.push(currency.toUpperCase());
+      query += ` AND currency = $${params.length}`;
+    }
+    params.push(limit);
+    query += ` ORDER BY effective_date DESC, currency LIMIT $${params.length}`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Store the value of one unit of currency in the base currency from
+   * effectiveDate onwards. Re-posting a date replaces that day's rate.
+   */
+  static async setRate({ currency, rate, effectiveDate = new Date(), source = 'manual', createdBy = null }) {
+    const result = await pool.query(
+      `INSERT INTO exchange_rates (currency, base_currency, rate, effective_date, source, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (currency, base_currency, effective_date)
+       DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, created_by = EXCLUDED.created_by
+       RETURNING *`,
+      [currency.toUpperCase(), BASE_CURRENCY, rate, toDateString(effectiveDate), source, createdBy]
+    );
+
+    logger.info(`Exchange rate ${currency}/${BASE_CURRENCY} = ${rate} from ${toDateString(effectiveDate)}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Rate in force for a currency on a date. Falls back to the earliest stored
+   * rate for dates before the table starts.
+   */
+  static async getRate(currency, date = new Date()) {
+    const code = String(currency || BASE_CURRENCY).toUpperCase();
+    if (code === BASE_CURRENCY) {
+      return 1;
+    }
+
+    const result = await pool.query(
+      `SELECT rate FROM exchange_rates
+       WHERE currency = $1 AND base_currency = $2
+       ORDER BY (effective_date <= $3) DESC, ABS(effective_date - $3::date)
+       LIMIT 1`,
+      [code, BASE_CURRENCY, toDateString(date)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`No exchange rate for ${code}`);
+    }
+    return parseFloat(result.rows[0].rate);
+  }
+
+  static async convertToBase(amount, currency, date = new Date()) {
+    const rate = await this.getRate(currency, date);
+    return roundMoney(parseFloat(amount) * rate, BASE_CURRENCY);
+  }
+
+  /**
+   * Prices of products in a currency, keyed by product id. A product's own
+   * currency uses products.price; other currencies come from its price book.
+   * Products without a price in the currency are left out.
+   */
+  static async getProductPrices(productIds, currency = BASE_CURRENCY) {
+    const code = currency.toUpperCase();
+    const result = await pool.query(
+      `SELECT p.id,
+              CASE WHEN UPPER(COALESCE(p.currency, $3)) = $2 THEN p.price ELSE pp.price END AS price,
+              pp.stripe_price_id
+       FROM products p
+       LEFT JOIN product_prices pp ON pp.product_id = p.id AND pp.currency = $2 AND pp.active = true
+       WHERE p.id = ANY($1)`,
+      [productIds, code, BASE_CURRENCY]
+    );
+
+    const prices = new Map();
+    for (const row of result.rows) {
+      if (row.price !== null) {
+        prices.set(String(row.id), { price: parseFloat(row.price), stripePriceId: row.stripe_price_id });
+      }
+    }
+    return prices;
+  }
+
+  static async listProductPrices(productId) {
+    const result = await pool.query(
+      'SELECT * FROM product_prices WHERE product_id = $1 ORDER BY currency',
+      [productId]
+    );
+    return result.rows;
+  }
+
+  static async setProductPrice(productId, { currency, price, stripePriceId = null, active = true }) {
+    const result = await pool.query(
+      `INSERT INTO product_prices (product_id, currency, price, stripe_price_id, active)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (product_id, currency)
+       DO UPDATE SET price = EXCLUDED.price, stripe_price_id = EXCLUDED.stripe_price_id,
+                     active = EXCLUDED.active, updated_at = NOW()
+       RETURNING *`,
+      [productId, currency.toUpperCase(), price, stripePriceId, active]
+    );
+    return result.rows[0];
+  }
+
+  static async removeProductPrice(productId, currency) {
+    const result = await pool.query(
+      'DELETE FROM product_prices WHERE product_id = $1 AND currency = $2 RETURNING *',
+      [productId, currency.toUpperCase()]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Currency a customer is billed in
+   */
+  static customerCurrency(customer) {
+    return normalizeCurrency(customer?.currency) || BASE_CURRENCY;
+  }
+
+  /**
+   * Change a customer's currency. Only allowed until their first invoice.
+   */
+  static async selectCustomerCurrency(customerId, currency) {
+    const result = await pool.query(
+      `UPDATE customers SET currency = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND currency_locked_at IS NULL
+       RETURNING *`,
+      [currency, customerId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Billing currency is locked after the first purchase');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Fix a customer's currency at their first purchase. Billing them in any
+   * other currency afterwards is refused, since account credit and reporting
+   * assume one currency per customer.
+   */
+  static async lockCustomerCurrency(customerId, currency, client = null) {
+    const db = client || pool;
+    const code = String(currency || BASE_CURRENCY).toUpperCase();
+
+    const locked = await db.query(
+      `UPDATE customers SET currency = $1, currency_locked_at = NOW(), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND currency_locked_at IS NULL
+       RETURNING currency`,
+      [code, customerId]
+    );
+    if (locked.rows.length > 0) {
+      logger.info(`Customer ${customerId} currency locked to ${code}`);
+      return code;
+    }
+
+    const existing = await db.query('SELECT currency FROM customers WHERE id = $1', [customerId]);
+    const current = (existing.rows[0]?.currency || BASE_CURRENCY).toUpperCase();
+    if (existing.rows.length > 0 && current !== code) {
+      throw new Error(`Customer ${customerId} is billed in ${current}, not ${code}`);
+    }
+    return current;
+  }
+}
+
+export default CurrencyService;
@@ -0,0 +1,224 @@
+import pool from '../config/database.js';
+import logger from '../config/logger.js';
+import CreditService from './CreditService.js';
+import BillingService from './BillingService.js';
+import { PLAN_CATALOG, PLAN_TERMS, resolvePlanAmount } from '../config/planCatalog.js';
+import { BASE_CURRENCY } from '../config/currencies.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+class ProrationService {
+  /**
+   * Work out what a plan change costs, without touching the database.
+   *
+   * Unused time on the current period is credited at the price the customer
+   * actually paid. Staying on the same term keeps the renewal date and charges
+   * the new plan for the remaining time only; switching term starts a fresh
+   * full term on the change date.
+   */
+  static calculateProration({
+    currentPlanId,
+    currentTerm,
+    currentAmount,
+    newPlanId,
+    newTerm,
+    newAmount,
+    periodStart,
+    periodEnd,
+    changeDate = new Date(),
+    currency = BASE_CURRENCY
+  }) {
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+    const now = new Date(changeDate);
+
+    const periodMs = end - start;
+    if (!(periodMs > 0)) {
+      throw new Error('Invalid billing period');
+    }
+
+    const remainingMs = Math.min(Math.max(end - now, 0), periodMs);
+    const unusedRatio = remainingMs / periodMs;
+    const termChanged = currentTerm !== newTerm;
+
+    const unusedCreditCents = Math.round(toCents(currentAmount) * unusedRatio);
+    const newChargeCents = termChanged
+      ? toCents(newAmount)
+      : Math.round(toCents(newAmount) * unusedRatio);
+    const netCents = newChargeCents - unusedCreditCents;
+
+    const newPeriodStart = termChanged ? now : start;
+    const newPeriodEnd = termChanged ? addMonths(now, PLAN_TERMS[newTerm]?.months || 1) : end;
+    const remainingDays = Math.round(remainingMs / DAY_MS);
+
+    const currentName = PLAN_CATALOG[currentPlanId]?.name || currentPlanId;
+    const newName = PLAN_CATALOG[newPlanId]?.name || newPlanId;
+
+    const lines = [];
+    if (unusedCreditCents > 0) {
+      lines.push({
+        type: 'credit',
+        description: `Unused time on ${currentName} (${currentTerm}, ${remainingDays} days)`,
+        amount: fromCents(-unusedCreditCents)
+      });
+    }
+    if (newChargeCents > 0) {
+      lines.push({
+        type: 'charge',
+        description: termChanged
+          ? `${newName} (${newTerm})`
+          : `Remaining time on ${newName} (${newTerm}, ${remainingDays} days)`,
+        amount: fromCents(newChargeCents)
+      });
+    }
+
+    return {
+      currentPlanId,
+      currentTerm,
+      currentAmount: parseFloat(currentAmount),
+      newPlanId,
+      newTerm,
+      newAmount: parseFloat(newAmount),
+      currency,
+      direction: netCents > 0 ? 'upgrade' : netCents < 0 ? 'downgrade' : 'lateral',
+      termChanged,
+      changeDate: now.toISOString(),
+      periodStart: start.toISOString(),
+      periodEnd: end.toISOString(),
+      newPeriodStart: newPeriodStart.toISOString(),
+      newPeriodEnd: newPeriodEnd.toISOString(),
+      unusedRatio: Math.round(unusedRatio * 10000) / 10000,
+      unusedCredit: fromCents(unusedCreditCents),
+      newCharge: fromCents(newChargeCents),
+      amountDue: fromCents(Math.max(netCents, 0)),
+      creditIssued: fromCents(Math.max(-netCents, 0)),
+      lines
+    };
+  }
+
+  /**
+   * Current plan, term, price and period of a subscription row
+   */
+  static describeSubscription(subscription) {
+    const metadata = subscription.metadata || {};
+    const planId = metadata.planId || subscription.plan_id;
+    const term = metadata.term || subscription.billing_cycle || 'monthly';
+    const currency = (subscription.currency || metadata.currency || BASE_CURRENCY).toUpperCase();
+    const amount = subscription.price ?? resolvePlanAmount(planId, term, currency) ?? 0;
+
+    const periodEnd = subscription.current_period_end || subscription.next_billing_date;
+    if (!periodEnd) {
+      throw new Error('Subscription has no current billing period');
+    }
+
+    const periodStart = subscription.current_period_start
+      || metadata.periodStart
+      || addMonths(new Date(periodEnd), -(PLAN_TERMS[term]?.months || 1));
+
+    return { planId: planId ? String(planId) : null, term, currency, amount, periodStart, periodEnd };
+  }
+
+  /**
+   * Preview changing a subscription to another catalog plan and/or term
+   */
+  static previewChange(subscription, { newPlanId, newTerm, changeDate = new Date() }) {
+    const current = this.describeSubscription(subscription);
+    const term = newTerm || current.term;
+    const newAmount = resolvePlanAmount(newPlanId, term, current.currency);
+
+    if (newAmount === null) {
+      throw new Error(`Plan ${newPlanId} is not available on the ${term} term in ${current.currency}`);
+    }
+
+    if (current.planId === newPlanId && current.term === term) {
+      throw new Error('Subscription is already on this plan and term');
+    }
+
+    return this.calculateProration({
+      currentPlanId: current.planId,
+      currentTerm: current.term,
+      currentAmount: current.amount,
+      newPlanId,
+      newTerm: term,
+      newAmount,
+      periodStart: current.periodStart,
+      periodEnd: current.periodEnd,
+      changeDate,
+      currency: current.currency
+    });
+  }
+
+  /**
+   * Apply a previewed change to a subscription billed locally (no Stripe).
+   * Unused time goes to the customer's credit ledger and the charge for the
+   * new plan is invoiced through BillingService, which draws that credit
+   * down. All of it is one transaction: if the invoice cannot be created the
+   * plan and the ledger stay as they were.
+   */
+  static async applyLocalChange(subscription, proration, { customer, createdBy = null }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (proration.unusedCredit > 0) {
+        await CreditService.addCredit({
+          tenantId: subscription.tenant_id,
+          customerId: customer.id,
+          amount: proration.unusedCredit,
+          type: 'proration',
+          description: proration.lines.find((line) => line.type === 'credit')?.description,
+          subscriptionId: subscription.id,
+          currency: proration.currency,
+          metadata: { proration },
+          createdBy
+        }, client);
+      }
+
+      const result = await client.query(
+        `UPDATE subscriptions
+         SET billing_cycle = $1, price = $2, next_billing_date = $3, next_due_date = $3,
+             metadata = COALESCE(metadata, '{}'::jsonb) || $4::jsonb,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING *`,
+        [
+          proration.newTerm,
+          proration.newAmount,
+          proration.newPeriodEnd.split('T')[0],
+          JSON.stringify({
+            planId: proration.newPlanId,
+            term: proration.newTerm,
+            periodStart: proration.newPeriodStart
+          }),
+          subscription.id
+        ]
+      );
+      const updated = result.rows[0];
+
+      const invoice = await BillingService.generateProrationInvoice(updated, customer, proration, client);
+
+      await client.query('COMMIT');
+
+      logger.info(`Subscription ${subscription.id} moved to ${proration.newPlanId}/${proration.newTerm}: credit ${proration.unusedCredit}, charge ${proration.newCharge}`);
+      return { subscription: updated, invoice };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default ProrationService;
@@ -1,6 +1,7 @@
 import Stripe from 'stripe';
 import dotenv from 'dotenv';
 import logger from '../config/logger.js';
+import { BASE_CURRENCY, toMinorUnits } from '../config/currencies.js';
 
 dotenv.config();
 
@@ -19,7 +20,7 @@ class StripeService {
 
     try {
       const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100), // Convert to cents
+        amount: toMinorUnits(amount, currency),
         currency: currency.toLowerCase(),
         metadata,
         automatic_payment_methods: {
@@ -106,9 +107,9 @@ class StripeService {
   }
 
   /**
-   * Refund payment
+   * Refund payment. Omit amount for a full refund.
    */
-  static async refundPayment(paymentIntentId, amount = null) {
+  static async refundPayment(paymentIntentId, amount = null, currency = BASE_CURRENCY, { idempotencyKey, metadata } = {}) {
     if (!stripe) {
       throw new Error('Stripe is not configured');
     }
@@ -116,8 +117,9 @@ class StripeService {
     try {
       const refund = await stripe.refunds.create({
         payment_intent: paymentIntentId,
-        amount: amount ? Math.round(amount * 100) : undefined,
-      });
+        amount: amount ? toMinorUnits(amount, currency) : undefined,
+        metadata,
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       logger.info(`Refund created: ${refund.id}`);
       return refund;
@@ -128,7 +130,39 @@ class StripeService {
     }
   }
 
-  static async createCheckoutSession({ lineItems, mode = 'subscription', successUrl, cancelUrl, customerEmail, metadata = {} }) {
+  /**
+   * Create coupon in Stripe
+   */
+  static async createCoupon(params) {
+    if (!stripe) {
+      throw new Error('Stripe is not configured');
+    }
+
+    try {
+      const coupon = await stripe.coupons.create(params);
+
+      logger.info(`Stripe coupon created: ${coupon.id}`);
+      return coupon;
+
+    } catch (error) {
+      logger.error('Error creating Stripe coupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stripe product a price belongs to
+   */
+  static async getPriceProductId(priceId) {
+    if (!stripe) {
+      throw new Error('Stripe is not configured');
+    }
+
+    const price = await stripe.prices.retrieve(priceId);
+    return typeof price.product === 'string' ? price.product : price.product.id;
+  }
+
+  static async createCheckoutSession({ lineItems, mode = 'subscription', successUrl, cancelUrl, customerEmail, metadata = {}, discounts }) {
     if (!stripe) {
       throw new Error('Stripe is not configured');
     }
@@ -141,6 +175,7 @@ class StripeService {
         success_url: successUrl,
         cancel_url: cancelUrl,
         metadata,
+        discounts,
       });
       logger.info(`Stripe checkout session created: ${session.id}`);
       return session;
@@ -1,35 +1,109 @@
 import pool from '../config/database.js';
 import logger from '../config/logger.js';
+import { BASE_CURRENCY, roundMoney } from '../config/currencies.js';
+import { EU_VAT_RATES, isEuCountry, parseVatNumber } from '../config/euVat.js';
+import { validateVatNumber } from './vatValidator.js';
+
+const REVERSE_CHARGE_NOTE = 'Reverse charge: VAT to be accounted for by the recipient (Article 196, Council Directive 2006/112/EC)';
+
+const taxEnabled = () => Boolean(process.env.TAX_ENABLED) && process.env.TAX_ENABLED !== 'false';
 
 class TaxService {
   /**
-   * Calculate tax rate for a customer based on location
+   * Country the seller is established in (TAX_SELLER_COUNTRY)
    */
-  static async calculateTaxRate(customer) {
-    try {
-      if (!process.env.TAX_ENABLED || process.env.TAX_ENABLED === 'false') {
-        return 0;
-      }
+  static sellerCountry() {
+    return (process.env.TAX_SELLER_COUNTRY || '').trim().toUpperCase() || null;
+  }
+
+  /**
+   * Whether catalogue prices already include tax (TAX_PRICES_INCLUDE_TAX)
+   */
+  static pricesIncludeTax() {
+    return process.env.TAX_PRICES_INCLUDE_TAX === 'true';
+  }
+
+  /**
+   * Decide where a supply of digital services to a customer is taxed and how.
+   * Digital services are taxed where the customer is: a business with a
+   * validated EU VAT number in another member state accounts for the VAT
+   * itself (reverse charge), an EU consumer pays their own country's VAT, and
+   * customers outside the EU fall back to the tenant's tax rules.
+   */
+  static determineTreatment(customer, { sellerCountry = this.sellerCountry() } = {}) {
+    const vat = customer.vat_status === 'valid' ? parseVatNumber(customer.vat_number) : null;
+    // A registered business is taxed where it is established, i.e. its VAT number's country
+    const country = (vat?.country || customer.country || '').toUpperCase() || null;
+
+    if (!isEuCountry(country)) {
+      return { treatment: 'standard', country, vatNumber: null, note: null };
+    }
+    if (country === sellerCountry) {
+      return { treatment: 'domestic', country, vatNumber: vat?.vatNumber || null, note: null };
+    }
+    if (vat) {
+      return { treatment: 'reverse_charge', country, vatNumber: vat.vatNumber, note: REVERSE_CHARGE_NOTE };
+    }
+    return { treatment: 'eu_b2c', country, vatNumber: null, note: null };
+  }
 
-      // Find applicable tax rules
+  /**
+   * Rate and label for a treatment. An active tax rule for the exact country
+   * overrides the built-in EU rate.
+   */
+  static async rateFor(tenantId, { treatment, country }, state = null) {
+    if (treatment === 'reverse_charge') {
+      return { rate: 0, name: 'VAT reverse charge' };
+    }
+
+    if (treatment === 'domestic' || treatment === 'eu_b2c') {
       const result = await pool.query(
-        `SELECT tax_rate, is_compound, priority
+        `SELECT tax_name, tax_rate
          FROM tax_rules
-         WHERE tenant_id = $1
-         AND active = true
-         AND (country = $2 OR country IS NULL)
-         AND (state = $3 OR state IS NULL)
+         WHERE tenant_id = $1 AND active = true AND country = $2
          ORDER BY priority DESC, tax_rate DESC
          LIMIT 1`,
-        [customer.tenant_id, customer.country, customer.state]
+        [tenantId, country]
       );
-
       if (result.rows.length > 0) {
-        return parseFloat(result.rows[0].tax_rate);
+        return { rate: parseFloat(result.rows[0].tax_rate), name: result.rows[0].tax_name };
+      }
+      return { rate: EU_VAT_RATES[country], name: `VAT ${country}` };
+    }
+
+    // Find applicable tax rules
+    const result = await pool.query(
+      `SELECT tax_name, tax_rate, is_compound, priority
+       FROM tax_rules
+       WHERE tenant_id = $1
+       AND active = true
+       AND (country = $2 OR country IS NULL)
+       AND (state = $3 OR state IS NULL)
+       ORDER BY priority DESC, tax_rate DESC
+       LIMIT 1`,
+      [tenantId, country, state]
+    );
+
+    if (result.rows.length > 0) {
+      return { rate: parseFloat(result.rows[0].tax_rate), name: result.rows[0].tax_name };
+    }
+
+    // Return default tax rate if no rule found
+    return { rate: parseFloat(process.env.DEFAULT_TAX_RATE || 0), name: 'Tax' };
+  }
+
+  /**
+   * Calculate tax rate for a customer based on location
+   */
+  static async calculateTaxRate(customer) {
+    try {
+      if (!taxEnabled()) {
+        return 0;
       }
 
-      // Return default tax rate if no rule found
-      return parseFloat(process.env.DEFAULT_TAX_RATE || 0);
+      const treatment = this.determineTreatment(customer);
+      const { rate } = await this.rateFor(customer.tenant_id, treatment, customer.state);
+      return rate;
 
     } catch (error) {
       logger.error('Error calculating tax rate:', error);
@@ -37,6 +111,141 @@ class TaxService {
     }
   }
 
+  /**
+   * Apply one rate to invoice items. With tax-inclusive prices the taxable
+   * items are reduced to their net amounts so that subtotal + tax still equals
+   * the price the customer was shown. Returns the (net) items and one
+   * breakdown line per rate.
+   */
+  static applyTax(items, { rate, name, country = null, pricesIncludeTax = false, currency = BASE_CURRENCY }) {
+    const divisor = 1 + rate;
+    let grossTaxable = 0;
+    let netTaxable = 0;
+
+    const netItems = items.map((item) => {
+      const amount = parseFloat(item.amount);
+      if (!item.taxable) {
+        return { ...item, unitPrice: parseFloat(item.unitPrice), amount };
+      }
+
+      const netAmount = pricesIncludeTax ? roundMoney(amount / divisor, currency) : amount;
+      grossTaxable += amount;
+      netTaxable += netAmount;
+      return {
+        ...item,
+        unitPrice: pricesIncludeTax ? roundMoney(parseFloat(item.unitPrice) / divisor, currency) : parseFloat(item.unitPrice),
+        amount: netAmount
+      };
+    });
+
+    const taxAmount = pricesIncludeTax
+      ? roundMoney(grossTaxable - netTaxable, currency)
+      : roundMoney(netTaxable * rate, currency);
+
+    const hasTaxable = items.some((item) => item.taxable);
+    const taxLines = hasTaxable && name
+      ? [{ name, country, rate, taxableAmount: roundMoney(netTaxable, currency), taxAmount }]
+      : [];
+
+    return {
+      items: netItems,
+      taxLines,
+      taxAmount: taxLines.length > 0 ? taxAmount : 0,
+      subtotal: roundMoney(netItems.reduce((sum, item) => sum + item.amount, 0), currency)
+    };
+  }
+
+  /**
+   * Work out the tax on an invoice for a customer: the treatment, the rate,
+   * the breakdown lines and, for tax-inclusive prices, the net items.
+   */
+  static async calculateInvoiceTax(customerId, items, { currency = BASE_CURRENCY, pricesIncludeTax = this.pricesIncludeTax() } = {}) {
+    const result = await pool.query('SELECT * FROM customers WHERE id = $1', [customerId]);
+    let customer = result.rows[0] || { id: customerId };
+
+    // Retry numbers the registry could not confirm earlier
+    if (customer.vat_status === 'unavailable' && customer.vat_number) {
+      customer = await this.updateTaxProfile(customer.id, { vatNumber: customer.vat_number });
+    }
+
+    if (!taxEnabled()) {
+      return {
+        ...this.applyTax(items, { rate: 0, name: null, currency }),
+        taxRate: 0,
+        treatment: 'none',
+        country: customer.country || null,
+        vatNumber: null,
+        note: null,
+        pricesIncludeTax: false
+      };
+    }
+
+    const treatment = this.determineTreatment(customer);
+    const { rate, name } = await this.rateFor(customer.tenant_id, treatment, customer.state);
+    const taxed = this.applyTax(items, { rate, name, country: treatment.country, pricesIncludeTax, currency });
+
+    return { ...taxed, ...treatment, taxRate: rate, pricesIncludeTax };
+  }
+
+  /**
+   * A customer's tax details as shown to them
+   */
+  static serializeProfile(customer) {
+    return {
+      country: customer.country,
+      vatNumber: customer.vat_number,
+      vatStatus: customer.vat_status || 'none',
+      vatValidatedAt: customer.vat_validated_at,
+      vatName: customer.vat_validation?.name || null,
+      treatment: this.determineTreatment(customer).treatment
+    };
+  }
+
+  /**
+   * Update a customer's country and VAT number. A new VAT number is checked
+   * with the configured validator and the result kept for audit.
+   */
+  static async updateTaxProfile(customerId, { country, vatNumber }) {
+    const current = await pool.query('SELECT * FROM customers WHERE id = $1', [customerId]);
+    if (current.rows.length === 0) {
+      return null;
+    }
+    const customer = current.rows[0];
+
+    let vatFields = {};
+    if (vatNumber !== undefined) {
+      if (!vatNumber) {
+        vatFields = { vat_number: null, vat_status: 'none', vat_validated_at: null, vat_validation: {} };
+      } else {
+        const check = await validateVatNumber(vatNumber);
+        vatFields = {
+          vat_number: check.vatNumber,
+          vat_status: check.status,
+          vat_validated_at: new Date(),
+          vat_validation: check
+        };
+        logger.info(`VAT number ${check.vatNumber} for customer ${customerId}: ${check.status}`);
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE customers
+       SET country = $1, vat_number = $2, vat_status = $3,
+           vat_validated_at = $4, vat_validation = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [
+        country !== undefined ? (country ? country.toUpperCase() : null) : customer.country,
+        vatFields.vat_number !== undefined ? vatFields.vat_number : customer.vat_number,
+        vatFields.vat_status || customer.vat_status || 'none',
+        vatFields.vat_validated_at !== undefined ? vatFields.vat_validated_at : customer.vat_validated_at,
+        vatFields.vat_validation || customer.vat_validation || {},
+        customerId
+      ]
+    );
+    return result.rows[0];
+  }
+
   /**
    * Create a tax rule
    */
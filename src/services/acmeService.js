@@ -0,0 +1,307 @@
+/**
+ * ACME certificate issuance
+ * Orders certificates for one or more names (wildcards included) from the
+ * directory in ACME_DIRECTORY_URL, using one persisted account per directory.
+ * http-01 challenges are handed to the caller, which knows where the token
+ * is served from; dns-01 challenges are answered with an _acme-challenge TXT
+ * record in our own zone for the name, pushed to the nameservers like any
+ * other record change.
+ *
+ * ACME_DIRECTORY_URL takes "letsencrypt-staging", "letsencrypt-production" or
+ * any directory URL, e.g. a local Pebble at https://localhost:14000/dir.
+ */
+
+import dns from 'dns';
+import acme from 'acme-client';
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import { encrypt, decrypt } from '../utils/secretBox.js';
+import { queryDns } from '../utils/dnsWire.js';
+import { relativeName, txtStrings } from '../utils/zoneFile.js';
+import { getDnsDriver, scheduleZoneSync } from './dnsSyncService.js';
+
+export const CHALLENGE_TYPES = ['http-01', 'dns-01'];
+
+const DIRECTORIES = {
+  'letsencrypt-staging': acme.directory.letsencrypt.staging,
+  'letsencrypt-production': acme.directory.letsencrypt.production
+};
+
+const HOSTNAME = /^(\*\.)?((?!-)[a-z0-9-]{1,63}(?<!-)\.)+[a-z]{2,63}$/;
+
+const CHALLENGE_TTL = 60;
+
+/**
+ * Directory URL for this environment, from ACME_DIRECTORY_URL
+ * @returns {string}
+ */
+export function acmeDirectoryUrl() {
+  const configured = (process.env.ACME_DIRECTORY_URL || 'letsencrypt-staging').trim();
+  return DIRECTORIES[configured] || configured;
+}
+
+/**
+ * Lower-case, de-duplicated certificate names in order, the first being the
+ * common name
+ * @param {string[]} domains
+ * @returns {Object} - { domains, invalid }
+ */
+export function normalizeDomains(domains) {
+  const names = [...new Set((domains || []).map((d) => String(d).trim().toLowerCase().replace(/\.$/, '')).filter(Boolean))];
+  return { domains: names, invalid: names.filter((name) => !HOSTNAME.test(name)) };
+}
+
+/**
+ * Challenge to validate an order with. Wildcards can only be proven over DNS,
+ * so any wildcard name makes the whole order dns-01.
+ * @param {string[]} domains
+ * @param {string} [requested] - http-01 or dns-01
+ * @returns {string}
+ */
+export function chooseChallenge(domains, requested) {
+  if (domains.some((name) => name.startsWith('*.'))) return 'dns-01';
+  return CHALLENGE_TYPES.includes(requested) ? requested : 'http-01';
+}
+
+/**
+ * Name of the TXT record answering a dns-01 challenge, relative to the zone.
+ * "*.shop.example.com" in zone example.com is proven at "_acme-challenge.shop".
+ * @param {string} identifier - Name being validated, with or without "*."
+ * @param {string} zoneDomain - Zone holding the record
+ * @returns {string}
+ */
+export function challengeRecordName(identifier, zoneDomain) {
+  const host = relativeName(identifier.replace(/^\*\./, ''), zoneDomain);
+  return host === '@' ? '_acme-challenge' : `_acme-challenge.${host}`;
+}
+
+/**
+ * Our zone for a name: the one with the longest domain the name falls under.
+ * Secondary zones are skipped, their records come from elsewhere.
+ * @param {string} identifier
+ * @returns {Promise<Object|null>} - dns_zones row
+ */
+export async function findZoneForName(identifier) {
+  const name = identifier.replace(/^\*\./, '').toLowerCase();
+  const result = await pool.query(
+    `SELECT * FROM dns_zones
+     WHERE ($1 = LOWER(domain) OR $1 LIKE '%.' || LOWER(domain))
+       AND COALESCE(type, 'NATIVE') <> 'SLAVE'
+     ORDER BY LENGTH(domain) DESC
+     LIMIT 1`,
+    [name]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Addresses of a zone's nameservers, from its apex NS records
+ */
+async function nameserverAddresses(zone) {
+  const result = await pool.query(
+    `SELECT content FROM dns_records WHERE zone_id = $1 AND type = 'NS' AND name IN ('@', $2, $3)`,
+    [zone.id, zone.domain, `${zone.domain}.`]
+  );
+  const addresses = await Promise.all(result.rows.map(async ({ content }) => {
+    try {
+      return (await dns.promises.lookup(content.replace(/\.$/, ''), { all: true })).map((a) => a.address);
+    } catch (error) {
+      logger.warn(`[ACME] Could not resolve nameserver ${content}: ${error.message}`);
+      return [];
+    }
+  }));
+  return [...new Set(addresses.flat())];
+}
+
+/**
+ * Poll the given nameservers until every one of them serves a TXT value
+ * @param {string} name - Fully qualified record name
+ * @param {string} value - TXT value to wait for
+ * @param {string[]} servers - Nameserver addresses
+ * @param {Object} [options] - { timeoutMs, intervalMs, port }
+ * @returns {Promise<boolean>} - false when the timeout ran out first
+ */
+export async function waitForTxtRecord(name, value, servers, { timeoutMs = 120000, intervalMs = 5000, port } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let pending = [...servers];
+
+  while (pending.length > 0) {
+    const serving = await Promise.all(pending.map(async (server) => {
+      try {
+        const answer = await queryDns(server, name, 'TXT', { recursion: false, port });
+        return answer.answers.some((rr) => rr.type === 'TXT' && (txtStrings(rr.data) || []).join('') === value);
+      } catch (error) {
+        return false;
+      }
+    }));
+    pending = pending.filter((server, i) => !serving[i]);
+
+    if (pending.length === 0) return true;
+    if (Date.now() + intervalMs > deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+  return true;
+}
+
+async function touchZone(zoneId) {
+  await pool.query(`UPDATE dns_zones SET serial = $1, updated_at = NOW() WHERE id = $2`, [Date.now(), zoneId]);
+  await scheduleZoneSync(zoneId);
+}
+
+/**
+ * Publish the TXT record for a dns-01 challenge and, when the zone is served
+ * by our nameservers, wait until they all answer with it
+ * @param {string} identifier - Name being validated
+ * @param {string} value - TXT value from the ACME client
+ */
+export async function createDnsChallenge(identifier, value) {
+  const zone = await findZoneForName(identifier);
+  if (!zone) {
+    throw new Error(`No DNS zone hosted here for ${identifier}; dns-01 needs the zone on our nameservers`);
+  }
+
+  const name = challengeRecordName(identifier, zone.domain);
+  await pool.query(
+    `INSERT INTO dns_records (zone_id, type, name, content, ttl)
+     VALUES ($1, 'TXT', $2, $3, $4)`,
+    [zone.id, name, value, CHALLENGE_TTL]
+  );
+  await touchZone(zone.id);
+  logger.info(`[ACME] dns-01 challenge published at ${name}.${zone.domain}`);
+
+  if (!getDnsDriver()) return;
+
+  const servers = await nameserverAddresses(zone);
+  const timeoutMs = parseInt(process.env.ACME_DNS_PROPAGATION_TIMEOUT_MS || '120000', 10);
+  if (!(await waitForTxtRecord(`${name}.${zone.domain}`, value, servers, { timeoutMs }))) {
+    logger.warn(`[ACME] ${name}.${zone.domain} not on every nameserver after ${timeoutMs}ms, asking for validation anyway`);
+  }
+}
+
+/**
+ * Remove the TXT record of a dns-01 challenge. Never throws, a leftover
+ * record does no harm.
+ * @param {string} identifier
+ * @param {string} value
+ */
+export async function removeDnsChallenge(identifier, value) {
+  try {
+    const zone = await findZoneForName(identifier);
+    if (!zone) return;
+
+    const result = await pool.query(
+      `DELETE FROM dns_records WHERE zone_id = $1 AND type = 'TXT' AND name = $2 AND content = $3`,
+      [zone.id, challengeRecordName(identifier, zone.domain), value]
+    );
+    if (result.rowCount > 0) {
+      await touchZone(zone.id);
+    }
+  } catch (error) {
+    logger.error(`[ACME] Could not remove dns-01 challenge for ${identifier}:`, error);
+  }
+}
+
+/**
+ * ACME client for the configured directory, with its persisted account.
+ * The account key is created and stored the first time a directory is used.
+ * @returns {Promise<Object>} - { client, account }
+ */
+export async function getAcmeClient() {
+  const directoryUrl = acmeDirectoryUrl();
+  let result = await pool.query(`SELECT * FROM acme_accounts WHERE directory_url = $1`, [directoryUrl]);
+
+  if (result.rows.length === 0) {
+    const accountKey = (await acme.forge.createPrivateKey()).toString();
+    result = await pool.query(
+      `INSERT INTO acme_accounts (directory_url, email, account_key_encrypted)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (directory_url) DO UPDATE SET updated_at = acme_accounts.updated_at
+       RETURNING *`,
+      [directoryUrl, process.env.ACME_EMAIL || 'admin@migrahosting.com', encrypt(accountKey)]
+    );
+    logger.info(`[ACME] Created account key for ${directoryUrl}`);
+  }
+
+  const account = result.rows[0];
+  const client = new acme.Client({
+    directoryUrl,
+    accountKey: decrypt(account.account_key_encrypted),
+    ...(account.account_url && { accountUrl: account.account_url })
+  });
+  return { client, account };
+}
+
+/**
+ * Order a certificate for one or more names
+ * @param {string[]} domains - Names on the certificate, the first is the common name
+ * @param {Object} [options]
+ * @param {string} [options.challenge] - http-01 or dns-01; wildcards always use dns-01
+ * @param {Object} [options.http01] - { create(challenge, keyAuthorization), remove(challenge) } serving http-01 tokens
+ * @returns {Promise<Object>} - { certificate, privateKey, domains, challenge, expiresAt }
+ */
+export async function issueCertificate(domains, { challenge, http01 } = {}) {
+  const { domains: names, invalid } = normalizeDomains(domains);
+  if (names.length === 0 || invalid.length > 0) {
+    throw new Error(`Invalid certificate names: ${invalid.join(', ') || 'none given'}`);
+  }
+
+  const challengeType = chooseChallenge(names, challenge);
+  if (challengeType === 'http-01' && !http01) {
+    throw new Error('http-01 needs somewhere to serve challenge tokens from');
+  }
+
+  const { client, account } = await getAcmeClient();
+  const [key, csr] = await acme.forge.createCsr({ commonName: names[0], altNames: names });
+
+  const certificate = await client.auto({
+    csr,
+    email: account.email || undefined,
+    termsOfServiceAgreed: true,
+    challengePriority: [challengeType],
+    // Our own wait on the authoritative servers replaces the resolver check for dns-01
+    skipChallengeVerification: challengeType === 'dns-01',
+    challengeCreateFn: async (authz, acmeChallenge, keyAuthorization) => {
+      if (acmeChallenge.type === 'dns-01') {
+        await createDnsChallenge(authz.identifier.value, keyAuthorization);
+      } else {
+        await http01.create(acmeChallenge, keyAuthorization);
+      }
+    },
+    challengeRemoveFn: async (authz, acmeChallenge, keyAuthorization) => {
+      if (acmeChallenge.type === 'dns-01') {
+        await removeDnsChallenge(authz.identifier.value, keyAuthorization);
+      } else {
+        await http01.remove(acmeChallenge);
+      }
+    }
+  });
+
+  if (!account.account_url) {
+    await pool.query(
+      `UPDATE acme_accounts SET account_url = $1, updated_at = NOW() WHERE id = $2`,
+      [client.getAccountUrl(), account.id]
+    );
+  }
+
+  return {
+    certificate,
+    privateKey: key.toString(),
+    domains: names,
+    challenge: challengeType,
+    expiresAt: acme.forge.readCertificateInfo(certificate).notAfter
+  };
+}
+
+export default {
+  CHALLENGE_TYPES,
+  acmeDirectoryUrl,
+  normalizeDomains,
+  chooseChallenge,
+  challengeRecordName,
+  findZoneForName,
+  waitForTxtRecord,
+  createDnsChallenge,
+  removeDnsChallenge,
+  getAcmeClient,
+  issueCertificate
+};
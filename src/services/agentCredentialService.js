@@ -0,0 +1,361 @@
+/**
+ * Agent Credential Service - per-agent enrollment and request signing
+ *
+ * An admin issues a single-use enrollment token for a server. The agent
+ * exchanges it for its own credential (key id + secret) and signs every
+ * request with HMAC-SHA256; each signature is accepted once. Credentials can
+ * be rotated and revoked per agent. A rotated-in credential stays pending, and
+ * the previous one fully valid, until the agent first signs with the new one;
+ * only then does the previous one retire after a grace period. An agent that
+ * missed the rotation response therefore keeps working and can rotate again.
+ */
+
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+import pool from '../db/index.js';
+import { hmacHex, requestStringToSign, safeEqualHex } from '../utils/agentSigning.js';
+import { encrypt, decrypt } from '../utils/secretBox.js';
+
+export class AgentAuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AgentAuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class AgentCredentialService {
+  constructor() {
+    this.maxClockSkewSeconds = 300;
+    this.rotationGraceSeconds = 60 * 60;
+  }
+
+  // ========================================
+  // Enrollment tokens
+  // ========================================
+
+  async createEnrollmentToken({ serverId = null, description = null, expiresInHours = 24, createdBy = null }) {
+    const token = `mpe_${crypto.randomBytes(24).toString('hex')}`;
+
+    const result = await pool.query(
+      `INSERT INTO agent_enrollment_tokens (token_hash, server_id, description, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+       RETURNING id, server_id, description, expires_at, created_at`,
+      [hashToken(token), serverId, description, createdBy, expiresInHours]
+    );
+
+    logger.info(`[AgentAuth] Enrollment token ${result.rows[0].id} created for server ${serverId || 'any'}`);
+
+    // The plaintext token is only ever returned here
+    return { ...result.rows[0], token };
+  }
+
+  async listEnrollmentTokens() {
+    const result = await pool.query(
+      `SELECT t.id, t.server_id, s.hostname AS server_hostname, t.description,
+              t.expires_at, t.used_at, t.used_by_agent_id, t.revoked_at, t.created_at
+       FROM agent_enrollment_tokens t
+       LEFT JOIN servers s ON s.id = t.server_id
+       ORDER BY t.created_at DESC`
+    );
+    return result.rows;
+  }
+
+  async revokeEnrollmentToken(tokenId) {
+    const result = await pool.query(
+      `UPDATE agent_enrollment_tokens
+       SET revoked_at = NOW()
+       WHERE id = $1 AND used_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [tokenId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Exchange an enrollment token for a new agent and its first credential
+   */
+  async enroll(token, systemInfo) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(
+        `SELECT * FROM agent_enrollment_tokens
+         WHERE token_hash = $1
+         FOR UPDATE`,
+        [hashToken(token || '')]
+      );
+
+      const enrollment = tokenResult.rows[0];
+      if (!enrollment || enrollment.used_at || enrollment.revoked_at || new Date(enrollment.expires_at) <= new Date()) {
+        throw new AgentAuthError('Enrollment token is invalid, used, revoked or expired');
+      }
+
+      const agentResult = await client.query(
+        `INSERT INTO servers_agents (hostname, os, arch, platform, agent_version, server_id, status, last_seen)
+         VALUES ($1, $2, $3, $4, $5, $6, 'active', NOW())
+         RETURNING id`,
+        [systemInfo.hostname, systemInfo.os, systemInfo.arch, systemInfo.platform, systemInfo.agentVersion, enrollment.server_id]
+      );
+      const agentId = agentResult.rows[0].id;
+
+      await client.query(
+        `UPDATE agent_enrollment_tokens SET used_at = NOW(), used_by_agent_id = $1 WHERE id = $2`,
+        [agentId, enrollment.id]
+      );
+
+      const credential = await this.issueCredential(agentId, client);
+
+      await client.query('COMMIT');
+      logger.info(`[AgentAuth] Agent ${agentId} (${systemInfo.hostname}) enrolled with token ${enrollment.id}`);
+
+      return { agentId, serverId: enrollment.server_id, credential };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ========================================
+  // Credentials
+  // ========================================
+
+  /**
+   * Whether an agent has ever been given a credential. Enrolled agents must
+   * sign their requests; the legacy shared key never speaks for them.
+   */
+  async isEnrolled(agentId, db = pool) {
+    const result = await db.query(
+      'SELECT 1 FROM agent_credentials WHERE agent_id::text = $1 LIMIT 1',
+      [String(agentId)]
+    );
+    return result.rows.length > 0;
+  }
+
+  async issueCredential(agentId, db = pool, status = 'active') {
+    const keyId = `mpk_${crypto.randomBytes(12).toString('hex')}`;
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const result = await db.query(
+      `INSERT INTO agent_credentials (agent_id, key_id, secret_encrypted, status)
+       VALUES ($1, $2, $3, $4)
+       RETURNING created_at`,
+      [agentId, keyId, encrypt(secret), status]
+    );
+
+    return { keyId, secret, issuedAt: result.rows[0].created_at };
+  }
+
+  /**
+   * Issue a pending credential. The current one stays valid until the agent
+   * signs with the new one (see activatePending); a pending credential from
+   * an earlier rotation the agent never used is revoked.
+   */
+  async rotateCredential(agentId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE agent_credentials SET status = 'revoked', revoked_at = NOW()
+         WHERE agent_id = $1 AND status = 'pending'`,
+        [agentId]
+      );
+
+      const credential = await this.issueCredential(agentId, client, 'pending');
+
+      await client.query('COMMIT');
+      logger.info(`[AgentAuth] Credential rotated for agent ${agentId} (new key ${credential.keyId})`);
+
+      return credential;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Ask the agent to rotate on its next report
+   */
+  async requestRotation(agentId) {
+    const result = await pool.query(
+      `UPDATE servers_agents SET rotation_requested = true, updated_at = NOW()
+       WHERE id = $1 AND status <> 'revoked'
+       RETURNING id`,
+      [agentId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Revoke an agent and every credential it holds
+   */
+  async revokeAgent(agentId) {
+    const result = await pool.query(
+      `UPDATE servers_agents SET status = 'revoked', revoked_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING id`,
+      [agentId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await pool.query(
+      `UPDATE agent_credentials SET status = 'revoked', revoked_at = NOW()
+       WHERE agent_id = $1 AND status <> 'revoked'`,
+      [agentId]
+    );
+
+    await pool.query(
+      `UPDATE agent_jobs SET status = 'expired', updated_at = NOW()
+       WHERE agent_id = $1 AND status IN ('queued', 'dispatched')`,
+      [agentId]
+    );
+
+    logger.warn(`[AgentAuth] Agent ${agentId} revoked`);
+    return true;
+  }
+
+  async listCredentials(agentId) {
+    const result = await pool.query(
+      `SELECT id, key_id, status, expires_at, last_used_at, revoked_at, created_at
+       FROM agent_credentials
+       WHERE agent_id = $1
+       ORDER BY created_at DESC`,
+      [agentId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * First request signed with a pending credential: it becomes the active
+   * one and the previous credential retires after the grace period
+   */
+  async activatePending(credential) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE agent_credentials
+         SET status = 'retiring', expires_at = NOW() + make_interval(secs => $2)
+         WHERE agent_id = $1 AND status = 'active'`,
+        [credential.agent_id, this.rotationGraceSeconds]
+      );
+
+      await client.query(
+        `UPDATE agent_credentials SET status = 'active' WHERE id = $1 AND status = 'pending'`,
+        [credential.id]
+      );
+
+      await client.query(
+        'UPDATE servers_agents SET rotation_requested = false, updated_at = NOW() WHERE id = $1',
+        [credential.agent_id]
+      );
+
+      await client.query('COMMIT');
+      logger.info(`[AgentAuth] Agent ${credential.agent_id} switched to key ${credential.key_id}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ========================================
+  // Request verification
+  // ========================================
+
+  /**
+   * Verify an HMAC-signed agent request and return the authenticated agent
+   */
+  async verifyRequest(req) {
+    const keyId = req.headers['x-agent-key-id'];
+    const timestamp = req.headers['x-agent-timestamp'];
+    const signature = req.headers['x-agent-signature'];
+
+    if (!keyId || !timestamp || !signature) {
+      throw new AgentAuthError('Missing agent signature headers');
+    }
+
+    const skew = Math.abs(Date.now() - Date.parse(timestamp)) / 1000;
+    if (Number.isNaN(skew) || skew > this.maxClockSkewSeconds) {
+      throw new AgentAuthError('Request timestamp outside the allowed window');
+    }
+
+    const result = await pool.query(
+      `SELECT c.id, c.agent_id, c.key_id, c.secret_encrypted, c.status, c.expires_at,
+              a.server_id, a.status AS agent_status, a.rotation_requested
+       FROM agent_credentials c
+       JOIN servers_agents a ON a.id = c.agent_id
+       WHERE c.key_id = $1`,
+      [keyId]
+    );
+
+    const credential = result.rows[0];
+    if (!credential || credential.status === 'revoked' || credential.agent_status === 'revoked') {
+      throw new AgentAuthError('Unknown or revoked agent credential');
+    }
+    if (credential.status === 'retiring' && new Date(credential.expires_at) <= new Date()) {
+      throw new AgentAuthError('Agent credential has been rotated out');
+    }
+
+    const secret = decrypt(credential.secret_encrypted);
+    const expected = hmacHex(secret, requestStringToSign({
+      method: req.method,
+      url: req.originalUrl,
+      timestamp,
+      body: req.body,
+    }));
+
+    if (!safeEqualHex(signature, expected)) {
+      throw new AgentAuthError('Invalid agent signature');
+    }
+
+    // A signature is only good once; it is remembered until its timestamp
+    // falls outside the window anyway
+    const fresh = await pool.query(
+      `WITH expired AS (
+         DELETE FROM agent_request_signatures WHERE key_id = $1 AND expires_at < NOW()
+       )
+       INSERT INTO agent_request_signatures (key_id, signature, expires_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING key_id`,
+      [credential.key_id, signature.toLowerCase(), new Date(Date.parse(timestamp) + this.maxClockSkewSeconds * 1000)]
+    );
+    if (fresh.rows.length === 0) {
+      throw new AgentAuthError('Agent request has already been received');
+    }
+
+    if (credential.status === 'pending') {
+      await this.activatePending(credential);
+    }
+
+    await pool.query('UPDATE agent_credentials SET last_used_at = NOW() WHERE id = $1', [credential.id]);
+
+    return {
+      id: credential.agent_id,
+      serverId: credential.server_id,
+      keyId: credential.key_id,
+      secret,
+      // Stays set until the agent uses the credential a rotation gave it
+      rotationRequested: credential.status === 'pending' ? false : credential.rotation_requested,
+    };
+  }
+}
+
+export default new AgentCredentialService();
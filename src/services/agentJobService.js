@@ -0,0 +1,210 @@
+/**
+ * Agent Job Service - command channel from the panel to server agents
+ *
+ * The panel queues jobs in `agent_jobs`; agents long-poll `/api/agent/jobs`,
+ * verify the HMAC signature on each job, execute it on the node and report
+ * the outcome back through agentController.
+ */
+
+import logger from '../config/logger.js';
+import pool from '../db/index.js';
+import { canonicalize, hmacHex } from '../utils/agentSigning.js';
+import agentCredentialService from './agentCredentialService.js';
+
+export const AGENT_JOB_ACTIONS = [
+  'create_vhost',
+  'reload_nginx',
+  'create_system_user',
+  'rotate_logs',
+  'deploy_certificate',
+];
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'expired'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class AgentJobService {
+  constructor() {
+    this.defaultTtlSeconds = 15 * 60;
+    this.pollIntervalMs = 2000;
+  }
+
+  /**
+   * Queue a job for a specific agent
+   */
+  async enqueueJob({ agentId, action, payload = {}, createdBy = null, ttlSeconds = this.defaultTtlSeconds }) {
+    if (!AGENT_JOB_ACTIONS.includes(action)) {
+      throw new Error(`Unsupported agent action: ${action}`);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO agent_jobs (agent_id, action, payload, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+       RETURNING *`,
+      [agentId, action, JSON.stringify(payload), createdBy, ttlSeconds]
+    );
+
+    logger.info(`[AgentJobs] Queued ${action} job ${result.rows[0].id} for agent ${agentId}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Queue a job on whichever active agent runs on the given server
+   */
+  async enqueueForServer(serverId, action, payload = {}, options = {}) {
+    const agent = await this.getAgentForServer(serverId);
+    return this.enqueueJob({ agentId: agent.id, action, payload, ...options });
+  }
+
+  async getAgentForServer(serverId) {
+    const result = await pool.query(
+      `SELECT * FROM servers_agents
+       WHERE server_id = $1 AND status = 'active'
+       ORDER BY last_seen DESC NULLS LAST
+       LIMIT 1`,
+      [serverId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`No active agent linked to server ${serverId}`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Atomically hand queued jobs to an agent and sign them for delivery.
+   * Jobs are signed with the credential secret the agent authenticated with,
+   * falling back to the shared AGENT_JOB_SIGNING_SECRET for legacy agents.
+   * An enrolled agent's jobs are never signed with the shared secret.
+   */
+  async claimJobs(agentId, limit = 5, secret = null) {
+    if (!secret) {
+      if (await agentCredentialService.isEnrolled(agentId)) {
+        throw new Error(`Agent ${agentId} is enrolled; its jobs are only handed out to its own credential`);
+      }
+      secret = process.env.AGENT_JOB_SIGNING_SECRET;
+    }
+
+    await this.expireStaleJobs();
+
+    const result = await pool.query(
+      `UPDATE agent_jobs
+       SET status = 'dispatched', dispatched_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM agent_jobs
+         WHERE agent_id = $1 AND status = 'queued' AND expires_at > NOW()
+         ORDER BY id ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [agentId, limit]
+    );
+
+    const jobs = result.rows.sort((a, b) => a.id - b.id).map((job) => this.signJob(job, secret));
+
+    for (const job of jobs) {
+      await pool.query('UPDATE agent_jobs SET signature = $1 WHERE id = $2', [job.signature, job.id]);
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Build the envelope an agent receives and attach its HMAC signature
+   */
+  signJob(job, secret) {
+    if (!secret) {
+      throw new Error('No job signing secret available (set AGENT_JOB_SIGNING_SECRET or enroll the agent)');
+    }
+
+    const envelope = {
+      id: job.id,
+      agentId: job.agent_id,
+      action: job.action,
+      payload: job.payload || {},
+      expiresAt: new Date(job.expires_at).toISOString(),
+    };
+
+    return { ...envelope, signature: hmacHex(secret, canonicalize(envelope)) };
+  }
+
+  /**
+   * Record the outcome an agent reported for a dispatched job
+   */
+  async completeJob(agentId, jobId, { success, result = null, error = null }, { legacy = false } = {}) {
+    // A legacy (shared-key) report never completes an enrolled agent's job
+    const update = await pool.query(
+      `UPDATE agent_jobs
+       SET status = $1, result = $2, error_message = $3, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $4 AND agent_id = $5 AND status = 'dispatched'
+         AND NOT ($6 AND EXISTS (SELECT 1 FROM agent_credentials c WHERE c.agent_id = agent_jobs.agent_id))
+       RETURNING *`,
+      [success ? 'succeeded' : 'failed', result ? JSON.stringify(result) : null, error, jobId, agentId, legacy]
+    );
+
+    if (update.rows.length === 0) {
+      return null;
+    }
+
+    const job = update.rows[0];
+    if (success) {
+      logger.info(`[AgentJobs] Job ${jobId} (${job.action}) succeeded on agent ${agentId}`);
+    } else {
+      logger.warn(`[AgentJobs] Job ${jobId} (${job.action}) failed on agent ${agentId}: ${error}`);
+    }
+
+    return job;
+  }
+
+  async expireStaleJobs() {
+    await pool.query(
+      `UPDATE agent_jobs
+       SET status = 'expired', updated_at = NOW()
+       WHERE status IN ('queued', 'dispatched') AND expires_at <= NOW()`
+    );
+  }
+
+  async getJob(jobId) {
+    const result = await pool.query('SELECT * FROM agent_jobs WHERE id = $1', [jobId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Poll until a job reaches a terminal state; throws if it did not succeed
+   */
+  async waitForJob(jobId, { timeoutMs = 5 * 60 * 1000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const job = await this.getJob(jobId);
+
+      if (job && TERMINAL_STATUSES.includes(job.status)) {
+        if (job.status !== 'succeeded') {
+          throw new Error(`Agent job ${jobId} (${job.action}) ${job.status}: ${job.error_message || 'no result'}`);
+        }
+        return job;
+      }
+
+      await sleep(this.pollIntervalMs);
+    }
+
+    throw new Error(`Timed out waiting for agent job ${jobId}`);
+  }
+
+  async listJobsForServer(serverId, limit = 50) {
+    const result = await pool.query(
+      `SELECT j.*, a.hostname AS agent_hostname
+       FROM agent_jobs j
+       JOIN servers_agents a ON a.id = j.agent_id
+       WHERE a.server_id = $1
+       ORDER BY j.created_at DESC
+       LIMIT $2`,
+      [serverId, limit]
+    );
+    return result.rows;
+  }
+}
+
+export default new AgentJobService();
@@ -1,6 +1,7 @@
 import db from '../db/index.js';
 import logger from '../config/logger.js';
 import { cache, CacheTTL, CacheNamespace } from './cache.js';
+import { BASE_CURRENCY } from '../config/currencies.js';
 
 /**
  * Analytics Service
@@ -9,6 +10,8 @@ import { cache, CacheTTL, CacheNamespace } from './cache.js';
 class AnalyticsService {
   /**
    * Get revenue analytics
+   * Invoices in other currencies are converted to the base currency at the
+   * exchange rate in force on the invoice date (see exchange_rates).
    * @param {string} tenantId - Tenant ID
    * @param {Object} options - Query options
    * @param {string} options.period - Time period (day, week, month, year)
@@ -18,41 +21,81 @@ class AnalyticsService {
    */
   async getRevenueAnalytics(tenantId, options = {}) {
     const { period = 'month', startDate, endDate } = options;
-    const cacheKey = `revenue:${tenantId}:${period}:${startDate}:${endDate}`;
+    const cacheKey = `revenue:${tenantId}:${period}:${startDate}:${endDate}:${BASE_CURRENCY}`;
     
     // Try cache first
     const cached = await cache.get(CacheNamespace.STATS, cacheKey);
     if (cached) return cached;
 
     try {
-      const dateFilter = this._buildDateFilter(startDate, endDate);
-      const groupBy = this._getGroupByClause(period);
+      const dateFilter = this._buildDateFilter(startDate, endDate, 'i.created_at');
+      const groupBy = this._getGroupByClause(period, 'ci.created_at');
+
+      // Closest rate on or before the invoice date, else the earliest one after it
+      const convertedInvoices = `
+        SELECT i.*,
+          UPPER(COALESCE(i.currency, $2)) AS invoice_currency,
+          CASE WHEN UPPER(COALESCE(i.currency, $2)) = $2 THEN 1 ELSE r.rate END AS rate
+        FROM invoices i
+        LEFT JOIN LATERAL (
+          SELECT er.rate FROM exchange_rates er
+          WHERE er.currency = UPPER(i.currency) AND er.base_currency = $2
+          ORDER BY (er.effective_date <= i.created_at::date) DESC,
+                   ABS(er.effective_date - i.created_at::date)
+          LIMIT 1
+        ) r ON true
+        WHERE i.tenant_id = $1
+          AND i.status = 'paid'
+          ${dateFilter}
+      `;
 
       const query = `
         SELECT 
           ${groupBy} as period,
           COUNT(*) as transaction_count,
-          SUM(amount) as total_revenue,
-          AVG(amount) as average_order_value,
-          COUNT(DISTINCT user_id) as unique_customers
-        FROM invoices
-        WHERE tenant_id = $1 
-          AND status = 'paid'
-          ${dateFilter}
-        GROUP BY ${groupBy}
+          COALESCE(SUM(ci.total * ci.rate), 0) as total_revenue,
+          COALESCE(AVG(ci.total * ci.rate), 0) as average_order_value,
+          COUNT(DISTINCT ci.customer_id) as unique_customers,
+          COUNT(*) FILTER (WHERE ci.rate IS NULL) as unconverted_count
+        FROM (${convertedInvoices}) ci
+        GROUP BY 1
         ORDER BY period DESC
       `;
 
-      const result = await db.query(query, [tenantId]);
+      const byCurrencyQuery = `
+        SELECT ci.invoice_currency as currency,
+          COUNT(*) as transaction_count,
+          SUM(ci.total) as total_revenue,
+          SUM(ci.total * ci.rate) as converted_revenue,
+          COUNT(*) FILTER (WHERE ci.rate IS NULL) as unconverted_count
+        FROM (${convertedInvoices}) ci
+        GROUP BY ci.invoice_currency
+        ORDER BY ci.invoice_currency
+      `;
+
+      const [result, byCurrency] = await Promise.all([
+        db.query(query, [tenantId, BASE_CURRENCY]),
+        db.query(byCurrencyQuery, [tenantId, BASE_CURRENCY])
+      ]);
       
       const analytics = {
         period,
+        currency: BASE_CURRENCY,
         data: result.rows.map(row => ({
           period: row.period,
           transactionCount: parseInt(row.transaction_count),
           totalRevenue: parseFloat(row.total_revenue),
           averageOrderValue: parseFloat(row.average_order_value),
-          uniqueCustomers: parseInt(row.unique_customers)
+          uniqueCustomers: parseInt(row.unique_customers),
+          unconvertedCount: parseInt(row.unconverted_count)
+        })),
+        byCurrency: byCurrency.rows.map(row => ({
+          currency: row.currency,
+          transactionCount: parseInt(row.transaction_count),
+          totalRevenue: parseFloat(row.total_revenue),
+          convertedRevenue: row.converted_revenue === null ? null : parseFloat(row.converted_revenue),
+          // Invoices in a currency with no stored rate are left out of the converted totals
+          unconvertedCount: parseInt(row.unconverted_count)
         })),
         summary: this._calculateRevenueSummary(result.rows)
       };
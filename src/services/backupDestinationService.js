@@ -0,0 +1,366 @@
+/**
+ * Backup destinations
+ * Where backups are stored: the panel's own bucket (type 'panel', configured
+ * through S3_* env vars), any S3-compatible bucket, an SFTP server, or a
+ * local path. Admins manage platform destinations, resellers their own (used
+ * by their clients), and customers can add their own buckets.
+ *
+ * A backup is written to its first destination and then copied to the
+ * others, so a schedule with three destinations keeps three copies
+ * (backup_copies), e.g. for 3-2-1.
+ */
+
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import { encrypt, decrypt } from '../utils/secretBox.js';
+import { assertPublicHost, publicAddress, publicLookup } from '../utils/netGuard.js';
+import { createS3Storage } from './backupDrivers/s3.js';
+import { createSftpStorage } from './backupDrivers/sftp.js';
+import { createLocalStorage } from './backupDrivers/local.js';
+
+/**
+ * @typedef {Object} BackupStorage
+ * @property {string} name
+ * @property {(key: string, body: Buffer) => Promise<void>} put
+ * @property {(key: string) => Promise<Buffer>} get
+ * @property {(key: string) => Promise<void>} delete
+ * @property {() => Promise<Object>} test - Write, read back and delete a probe; { hostKey } for SFTP
+ * @property {() => Promise<void>} close
+ */
+
+export const DESTINATION_TYPES = ['s3', 'sftp', 'local'];
+
+/**
+ * A backup was sent to a destination its owner cannot use, or none is set up
+ */
+export class DestinationUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DestinationUnavailableError';
+  }
+}
+
+/**
+ * Encrypt a destination's secrets for storage
+ * @param {Object} credentials
+ * @returns {string|null}
+ */
+export function encryptCredentials(credentials) {
+  const present = Object.fromEntries(Object.entries(credentials || {}).filter(([, value]) => value));
+  return Object.keys(present).length > 0 ? encrypt(JSON.stringify(present)) : null;
+}
+
+const readCredentials = (destination) =>
+  (destination.credentials_encrypted ? JSON.parse(decrypt(destination.credentials_encrypted)) : {});
+
+/**
+ * A destination's secrets with some replaced, encrypted for storage
+ * @param {Object} destination - backup_destinations row
+ * @param {Object} credentials - Secrets to set; others are kept
+ * @returns {string|null}
+ */
+export function mergeCredentials(destination, credentials) {
+  return encryptCredentials({ ...readCredentials(destination), ...credentials });
+}
+
+/**
+ * Destination as the API shows it: config, but no secrets
+ * @param {Object} destination - backup_destinations row
+ * @returns {Object}
+ */
+export function publicDestination(destination) {
+  const { credentials_encrypted: credentials, ...rest } = destination;
+  return { ...rest, has_credentials: Boolean(credentials) };
+}
+
+const isPlatform = (destination) => destination.user_id === null && destination.reseller_id === null;
+
+/**
+ * Check a destination before it is saved
+ * @param {Object} destination - { name, type, config, credentials }
+ * @param {Object} options
+ * @param {boolean} options.isAdmin - Local paths are for admins only
+ * @param {Object} [options.existing] - Row being updated; its secrets are kept when none are sent
+ * @returns {Object[]} - Errors as { field, message }
+ */
+export function validateDestination({ name, type, config = {}, credentials = {} }, { isAdmin, existing = null }) {
+  const errors = [];
+  const secrets = { ...(existing ? readCredentials(existing) : {}), ...credentials };
+
+  if (!name || typeof name !== 'string') {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+  if (!DESTINATION_TYPES.includes(type)) {
+    return [...errors, { field: 'type', message: `Type must be one of: ${DESTINATION_TYPES.join(', ')}` }];
+  }
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    return [...errors, { field: 'config', message: 'Config must be an object' }];
+  }
+
+  switch (type) {
+    case 's3':
+      if (!config.bucket) errors.push({ field: 'config.bucket', message: 'Bucket is required' });
+      if (config.endpoint) {
+        let url = null;
+        try {
+          url = new URL(config.endpoint);
+        } catch {
+          errors.push({ field: 'config.endpoint', message: 'Endpoint must be a URL' });
+        }
+        // Customer credentials are only ever sent encrypted
+        if (url && url.protocol !== 'https:' && !(isAdmin && url.protocol === 'http:')) {
+          errors.push({ field: 'config.endpoint', message: 'Endpoint must use https' });
+        }
+      }
+      if (!secrets.access_key_id || !secrets.secret_access_key) {
+        errors.push({ field: 'credentials', message: 'Access key ID and secret access key are required' });
+      }
+      break;
+    case 'sftp':
+      if (!config.host) errors.push({ field: 'config.host', message: 'Host is required' });
+      if (!config.username) errors.push({ field: 'config.username', message: 'Username is required' });
+      if (config.port !== undefined && !(Number.isInteger(config.port) && config.port > 0 && config.port < 65536)) {
+        errors.push({ field: 'config.port', message: 'Port must be between 1 and 65535' });
+      }
+      if (!secrets.password && !secrets.private_key) {
+        errors.push({ field: 'credentials', message: 'A password or private key is required' });
+      }
+      break;
+    case 'local':
+      if (!isAdmin) {
+        errors.push({ field: 'type', message: 'Only administrators can store backups on the panel server' });
+      } else if (typeof config.path !== 'string' || !config.path.startsWith('/')) {
+        errors.push({ field: 'config.path', message: 'Path must be absolute' });
+      }
+      break;
+  }
+
+  return errors;
+}
+
+const drivers = {
+  panel: () => createS3Storage({
+    endpoint: process.env.S3_ENDPOINT || 'http://localhost:9000',
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.BACKUP_BUCKET || 'mpanel-backups',
+    accessKeyId: process.env.S3_ACCESS_KEY || 'minioadmin',
+    secretAccessKey: process.env.S3_SECRET_KEY || 'minioadmin',
+    forcePathStyle: true
+  }),
+  s3: (config, secrets, { lookup } = {}) => createS3Storage({
+    endpoint: config.endpoint || undefined,
+    region: config.region || 'us-east-1',
+    bucket: config.bucket,
+    prefix: config.prefix || '',
+    accessKeyId: secrets.access_key_id,
+    secretAccessKey: secrets.secret_access_key,
+    forcePathStyle: config.force_path_style,
+    lookup
+  }),
+  sftp: (config, secrets) => createSftpStorage({
+    host: config.host,
+    port: config.port || 22,
+    username: config.username,
+    password: secrets.password,
+    privateKey: secrets.private_key,
+    passphrase: secrets.passphrase,
+    path: config.path || '.',
+    hostKey: config.host_key || null
+  }),
+  local: (config) => createLocalStorage({ path: config.path })
+};
+
+/**
+ * Register a storage driver. The factory gets (config, secrets, { lookup })
+ * and returns a BackupStorage; lookup is set for destinations that must stay
+ * off the panel's network and should be used for every connection.
+ */
+export function registerStorageDriver(type, factory) {
+  drivers[type] = factory;
+}
+
+/**
+ * Open a destination's storage. Close it when done.
+ * @param {Object} destination - backup_destinations row
+ * @returns {Promise<BackupStorage>}
+ */
+export async function openStorage(destination) {
+  const factory = drivers[destination.type];
+  if (!factory) {
+    throw new Error(`Unknown backup destination type: ${destination.type}`);
+  }
+
+  const config = destination.config || {};
+  if (isPlatform(destination)) {
+    return factory(config, readCredentials(destination));
+  }
+
+  // Checked where the driver connects, so the name cannot be re-pointed
+  // inside between the check and the connection
+  if (destination.type === 's3') {
+    if (config.endpoint) await assertPublicHost(new URL(config.endpoint).hostname);
+    return factory(config, readCredentials(destination), { lookup: publicLookup });
+  }
+  if (destination.type === 'sftp' && config.host) {
+    return factory({ ...config, host: await publicAddress(config.host) }, readCredentials(destination), { lookup: publicLookup });
+  }
+  return factory(config, readCredentials(destination), { lookup: publicLookup });
+}
+
+/**
+ * Open a destination's storage by id
+ * @param {number} id
+ * @returns {Promise<BackupStorage>}
+ */
+export async function openStorageById(id) {
+  const result = await pool.query(`SELECT * FROM backup_destinations WHERE id = $1`, [id]);
+  if (result.rows.length === 0) {
+    throw new Error(`Backup destination ${id} not found`);
+  }
+  return openStorage(result.rows[0]);
+}
+
+/**
+ * Try a destination's credentials and record the outcome. An SFTP
+ * destination with no pinned host key pins the one it saw.
+ * @param {Object} destination - backup_destinations row (need not be saved yet)
+ * @returns {Promise<Object>} - { ok, error, hostKey }
+ */
+export async function testDestination(destination) {
+  let outcome;
+  let storage = null;
+  try {
+    storage = await openStorage(destination);
+    const { hostKey = null } = await storage.test();
+    outcome = { ok: true, error: null, hostKey };
+  } catch (error) {
+    outcome = { ok: false, error: error.message, hostKey: null };
+  } finally {
+    await storage?.close().catch(() => {});
+  }
+
+  if (destination.id) {
+    const pin = destination.type === 'sftp' && outcome.hostKey && !destination.config?.host_key;
+    await pool.query(
+      `UPDATE backup_destinations
+       SET last_tested_at = NOW(), last_test_status = $1, last_test_error = $2,
+           config = CASE WHEN $3::text IS NULL THEN config ELSE jsonb_set(config, '{host_key}', to_jsonb($3::text)) END
+       WHERE id = $4`,
+      [outcome.ok ? 'ok' : 'failed', outcome.error, pin ? outcome.hostKey : null, destination.id]
+    );
+    if (!outcome.ok) {
+      logger.warn(`Backup destination ${destination.id} failed its test: ${outcome.error}`);
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Destinations a user's backups may go to: the platform's, their
+ * reseller's and their own
+ * @param {number} userId
+ * @returns {Promise<Object[]>} - backup_destinations rows
+ */
+export async function usableDestinations(userId) {
+  const result = await pool.query(
+    `SELECT d.* FROM backup_destinations d
+     LEFT JOIN resellers r ON r.id = d.reseller_id
+     WHERE d.enabled = true AND (
+       (d.user_id IS NULL AND d.reseller_id IS NULL)
+       OR d.user_id = $1
+       OR r.user_id = $1
+       OR r.tenant_id = (SELECT tenant_id FROM users WHERE id = $1)
+     )
+     ORDER BY d.reseller_id NULLS FIRST, d.user_id NULLS FIRST, d.name`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Where a backup goes, in order (the first holds the primary copy): the
+ * schedule's destinations, else the user's default, their reseller's
+ * default, or the platform default
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {number} [options.scheduleId]
+ * @param {number[]} [options.destinationIds] - Chosen for a manual backup
+ * @returns {Promise<Object[]>} - backup_destinations rows
+ * @throws {DestinationUnavailableError}
+ */
+export async function resolveDestinations(userId, { scheduleId = null, destinationIds = null } = {}) {
+  const usable = await usableDestinations(userId);
+  const byId = new Map(usable.map((destination) => [destination.id, destination]));
+
+  let chosen = destinationIds;
+  if (!chosen && scheduleId) {
+    const result = await pool.query(
+      `SELECT destination_id FROM backup_schedule_destinations WHERE schedule_id = $1 ORDER BY position`,
+      [scheduleId]
+    );
+    chosen = result.rows.map((row) => row.destination_id);
+  }
+  if (chosen && chosen.length > 0) {
+    const destinations = [...new Set(chosen.map(Number))].map((id) => byId.get(id));
+    if (destinations.some((destination) => !destination)) {
+      throw new DestinationUnavailableError('Backup destination not found or not available to this account');
+    }
+    return destinations;
+  }
+
+  const defaults = usable.filter((destination) => destination.is_default);
+  const fallback = defaults.find((destination) => destination.user_id === userId)
+    || defaults.find((destination) => destination.reseller_id !== null)
+    || defaults.find(isPlatform);
+  if (!fallback) {
+    throw new DestinationUnavailableError('No backup destination is configured');
+  }
+  return [fallback];
+}
+
+/**
+ * Backups stored on destinations and the bytes they take
+ * @param {number[]} destinationIds
+ * @param {Object} [options]
+ * @param {number} [options.userId] - Only count this user's backups
+ * @returns {Promise<Map>} - id -> { backups, stored_bytes, failed }
+ */
+export async function destinationUsage(destinationIds, { userId = null } = {}) {
+  const result = await pool.query(
+    `SELECT c.destination_id,
+            COUNT(*) FILTER (WHERE c.status = 'completed') AS backups,
+            COALESCE(SUM(c.stored_size) FILTER (WHERE c.status = 'completed'), 0) AS stored_bytes,
+            COUNT(*) FILTER (WHERE c.status = 'failed') AS failed
+     FROM backup_copies c
+     JOIN backups b ON b.id = c.backup_id
+     WHERE c.destination_id = ANY($1::int[]) AND ($2::int IS NULL OR b.user_id = $2)
+     GROUP BY c.destination_id`,
+    [destinationIds, userId]
+  );
+
+  const usage = new Map(destinationIds.map((id) => [id, { backups: 0, stored_bytes: 0, failed: 0 }]));
+  for (const row of result.rows) {
+    usage.set(row.destination_id, {
+      backups: parseInt(row.backups, 10),
+      stored_bytes: Number(row.stored_bytes),
+      failed: parseInt(row.failed, 10)
+    });
+  }
+  return usage;
+}
+
+export default {
+  DESTINATION_TYPES,
+  DestinationUnavailableError,
+  encryptCredentials,
+  mergeCredentials,
+  publicDestination,
+  validateDestination,
+  registerStorageDriver,
+  openStorage,
+  openStorageById,
+  testDestination,
+  usableDestinations,
+  resolveDestinations,
+  destinationUsage
+};
@@ -0,0 +1,70 @@
+/**
+ * Local path backup storage driver
+ * A directory on the panel server, typically a mounted NAS or second disk.
+ * Only admins can create these, as the panel writes there with its own
+ * permissions.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a local storage driver
+ * @param {Object} options
+ * @param {string} options.path - Absolute directory to keep backups in
+ * @returns {Object} - Backup storage driver
+ */
+export function createLocalStorage({ path: rootPath }) {
+  if (!rootPath || !path.isAbsolute(rootPath)) {
+    throw new Error('Local storage needs an absolute path');
+  }
+  const root = path.resolve(rootPath);
+
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Storage key escapes the storage directory: ${key}`);
+    }
+    return resolved;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Via a temporary name, so a crash never leaves half an object under the real one
+      const partial = `${file}.${crypto.randomBytes(4).toString('hex')}.partial`;
+      await fs.writeFile(partial, body, { mode: 0o600 });
+      await fs.rename(partial, file);
+    },
+
+    async get(key) {
+      return fs.readFile(filePath(key));
+    },
+
+    async delete(key) {
+      await fs.rm(filePath(key), { force: true });
+    },
+
+    async test() {
+      const key = `.mpanel-test-${crypto.randomBytes(8).toString('hex')}`;
+      const probe = crypto.randomBytes(32);
+      await this.put(key, probe);
+      try {
+        if (!(await this.get(key)).equals(probe)) {
+          throw new Error('Read back different data than was written');
+        }
+      } finally {
+        await this.delete(key);
+      }
+      return {};
+    },
+
+    async close() {}
+  };
+}
+
+export default { createLocalStorage };
@@ -0,0 +1,86 @@
+/**
+ * S3 backup storage driver
+ * Any S3-compatible service: AWS, MinIO, Wasabi, Backblaze B2, a customer's
+ * own bucket. Keys are stored under an optional prefix.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+/**
+ * Create an S3 storage driver
+ * @param {Object} options
+ * @param {string} [options.endpoint] - Omit for AWS
+ * @param {string} [options.region] - Default: us-east-1
+ * @param {string} options.bucket
+ * @param {string} [options.prefix] - Key prefix, e.g. 'mpanel/'
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {boolean} [options.forcePathStyle] - Needed by MinIO and most non-AWS services (default: true with an endpoint)
+ * @param {Function} [options.lookup] - dns.lookup replacement for every connection, e.g. to refuse internal addresses
+ * @returns {Object} - Backup storage driver
+ */
+export function createS3Storage({ endpoint, region = 'us-east-1', bucket, prefix = '', accessKeyId, secretAccessKey, forcePathStyle, lookup }) {
+  if (!bucket) {
+    throw new Error('S3 storage needs a bucket');
+  }
+
+  const client = new S3Client({
+    ...(endpoint ? { endpoint } : {}),
+    region,
+    credentials: { accessKeyId, secretAccessKey },
+    forcePathStyle: forcePathStyle ?? Boolean(endpoint),
+    ...(lookup && {
+      requestHandler: {
+        httpAgent: new http.Agent({ keepAlive: true, lookup }),
+        httpsAgent: new https.Agent({ keepAlive: true, lookup })
+      }
+    })
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, body) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: objectKey(key), Body: body }));
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    // Write, read back and remove an object: proves the keys can do all three
+    async test() {
+      const key = `.mpanel-test-${crypto.randomBytes(8).toString('hex')}`;
+      const probe = crypto.randomBytes(32);
+      await this.put(key, probe);
+      try {
+        if (!(await this.get(key)).equals(probe)) {
+          throw new Error('Read back different data than was written');
+        }
+      } finally {
+        await this.delete(key);
+      }
+      return {};
+    },
+
+    async close() {
+      client.destroy();
+    }
+  };
+}
+
+export default { createS3Storage };
@@ -0,0 +1,170 @@
+/**
+ * SFTP backup storage driver
+ * Backups go to a directory on any SSH server. One connection is opened on
+ * first use and reused until close(), so copying a snapshot's chunks does
+ * not pay for a handshake per object.
+ *
+ * The server's host key is pinned by its OpenSSH SHA256 fingerprint. A
+ * destination without one yet learns it from its first successful test.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { Client } from 'ssh2';
+
+const NO_SUCH_FILE = 2;
+
+/**
+ * Host key fingerprint as OpenSSH prints it (SHA256:base64, no padding)
+ * @param {Buffer} key - Raw host key
+ * @returns {string}
+ */
+export function hostKeyFingerprint(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Create an SFTP storage driver
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} [options.port] - Default: 22
+ * @param {string} options.username
+ * @param {string} [options.password]
+ * @param {string} [options.privateKey] - PEM or OpenSSH private key
+ * @param {string} [options.passphrase] - For an encrypted private key
+ * @param {string} [options.path] - Directory on the server (default: login directory)
+ * @param {string} [options.hostKey] - Expected host key fingerprint; any key is accepted without one
+ * @param {number} [options.timeout] - Handshake timeout in ms (default: 20000)
+ * @returns {Object} - Backup storage driver
+ */
+export function createSftpStorage({
+  host,
+  port = 22,
+  username,
+  password,
+  privateKey,
+  passphrase,
+  path: root = '.',
+  hostKey = null,
+  timeout = 20000
+}) {
+  if (!host || !username) {
+    throw new Error('SFTP storage needs a host and username');
+  }
+  if (!password && !privateKey) {
+    throw new Error('SFTP storage needs a password or private key');
+  }
+
+  let session = null;
+  const directories = new Set();
+
+  const connect = () => {
+    session ||= new Promise((resolve, reject) => {
+      const client = new Client();
+      let seenKey = null;
+
+      client
+        .on('ready', () => {
+          client.sftp((error, sftp) => (error ? reject(error) : resolve({ client, sftp, hostKey: seenKey })));
+        })
+        .on('error', (error) => {
+          session = null;
+          if (hostKey && seenKey && seenKey !== hostKey) {
+            error.message = `Host key ${seenKey} does not match the pinned ${hostKey}`;
+          }
+          reject(error);
+        })
+        .on('close', () => {
+          session = null;
+          directories.clear();
+        })
+        .connect({
+          host,
+          port,
+          username,
+          password,
+          privateKey,
+          passphrase,
+          readyTimeout: timeout,
+          hostVerifier: (key) => {
+            seenKey = hostKeyFingerprint(key);
+            return !hostKey || seenKey === hostKey;
+          }
+        });
+    });
+    return session;
+  };
+
+  const call = async (method, ...args) => {
+    const { sftp } = await connect();
+    return new Promise((resolve, reject) => {
+      sftp[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+  };
+
+  const remotePath = (key) => {
+    const resolved = path.posix.join(root, key);
+    if (path.posix.relative(root, resolved).startsWith('..')) {
+      throw new Error(`Storage key escapes the storage directory: ${key}`);
+    }
+    return resolved;
+  };
+
+  // mkdir -p, remembering what exists for the life of the connection
+  const ensureDirectory = async (directory) => {
+    if (directory === '.' || directory === '/' || directories.has(directory)) return;
+    await ensureDirectory(path.posix.dirname(directory));
+    try {
+      await call('mkdir', directory);
+    } catch (error) {
+      // Already there (servers disagree on the status code, so check)
+      await call('stat', directory).catch(() => { throw error; });
+    }
+    directories.add(directory);
+  };
+
+  return {
+    name: 'sftp',
+
+    async put(key, body) {
+      const file = remotePath(key);
+      await ensureDirectory(path.posix.dirname(file));
+      await call('writeFile', file, body);
+    },
+
+    async get(key) {
+      return call('readFile', remotePath(key));
+    },
+
+    async delete(key) {
+      try {
+        await call('unlink', remotePath(key));
+      } catch (error) {
+        if (error.code !== NO_SUCH_FILE) throw error;
+      }
+    },
+
+    async test() {
+      const key = `.mpanel-test-${crypto.randomBytes(8).toString('hex')}`;
+      const probe = crypto.randomBytes(32);
+      await this.put(key, probe);
+      try {
+        if (!(await this.get(key)).equals(probe)) {
+          throw new Error('Read back different data than was written');
+        }
+      } finally {
+        await this.delete(key);
+      }
+      return { hostKey: (await connect()).hostKey };
+    },
+
+    async close() {
+      if (!session) return;
+      const current = await session.catch(() => null);
+      current?.client.end();
+      session = null;
+    }
+  };
+}
+
+export default { createSftpStorage, hostKeyFingerprint };
@@ -0,0 +1,288 @@
+/**
+ * Customer-held backup keys
+ * Opt-in per customer: backups are sealed to the customer's public key and
+ * can only be read with their passphrase (see utils/backupCrypto.js). Keys
+ * are versioned; rotating starts a new key for future backups while older
+ * backups stay readable with the old one, and a passphrase change re-wraps
+ * every version in place.
+ *
+ * Encrypted snapshots name their chunks with a per-key HMAC id key rather
+ * than the content hash. The panel holds that key (under ENCRYPTION_KEY) so
+ * it can deduplicate unattended; it reveals which chunks repeat, not what
+ * they contain.
+ */
+
+import crypto from 'crypto';
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import { encrypt, decrypt } from '../utils/secretBox.js';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  InvalidPassphraseError,
+  generateKeyPair,
+  wrapPrivateKey,
+  unwrapPrivateKey,
+  seal,
+  open,
+  keyedChunkId
+} from '../utils/backupCrypto.js';
+
+export { InvalidPassphraseError };
+
+/**
+ * Short, stable identifier of a public key to show customers
+ * @param {string} publicKey - base64 SPKI DER
+ * @returns {string}
+ */
+export function keyFingerprint(publicKey) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('hex').slice(0, 32).match(/.{4}/g).join(':');
+}
+
+/**
+ * Check a new passphrase
+ * @param {string} passphrase
+ * @returns {string|null} - What is wrong with it
+ */
+export function validatePassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Key new backups of a user are sealed to, if they have opted in
+ * @param {number} userId
+ * @returns {Promise<Object|null>} - backup_encryption_keys row
+ */
+export async function getActiveKey(userId) {
+  const result = await pool.query(
+    `SELECT * FROM backup_encryption_keys WHERE user_id = $1 AND active = true`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether a user has opted in, and their key versions
+ * @param {number} userId
+ * @returns {Promise<Object>} - { enabled, keys: [{ id, version, active, fingerprint, backups, created_at, rewrapped_at, retired_at }] }
+ */
+export async function getEncryptionStatus(userId) {
+  const result = await pool.query(
+    `SELECT k.id, k.version, k.active, k.public_key, k.created_at, k.rewrapped_at, k.retired_at,
+            (SELECT COUNT(*) FROM backups b WHERE b.encryption_key_id = k.id) AS backups
+     FROM backup_encryption_keys k
+     WHERE k.user_id = $1
+     ORDER BY k.version DESC`,
+    [userId]
+  );
+
+  const keys = result.rows.map(({ public_key: publicKey, backups, ...key }) => ({
+    ...key,
+    backups: parseInt(backups, 10),
+    fingerprint: keyFingerprint(publicKey)
+  }));
+  return { enabled: keys.some((key) => key.active), keys };
+}
+
+async function insertKey(client, userId, version, passphrase) {
+  const { publicKey, privateKey } = generateKeyPair();
+  const { wrappedKey, kdf } = await wrapPrivateKey(privateKey, passphrase);
+
+  const result = await client.query(
+    `INSERT INTO backup_encryption_keys (user_id, version, public_key, wrapped_private_key, kdf, chunk_id_key_encrypted, active)
+     VALUES ($1, $2, $3, $4, $5, $6, true)
+     RETURNING *`,
+    [userId, version, publicKey, wrappedKey, JSON.stringify(kdf), encrypt(crypto.randomBytes(32).toString('hex'))]
+  );
+  return result.rows[0];
+}
+
+/**
+ * All of a user's keys, after checking the passphrase opens them
+ */
+async function unlockAll(client, userId, passphrase) {
+  const result = await client.query(
+    `SELECT * FROM backup_encryption_keys WHERE user_id = $1 ORDER BY version FOR UPDATE`,
+    [userId]
+  );
+  const keys = [];
+  for (const key of result.rows) {
+    keys.push({ key, privateKey: await unwrapPrivateKey(key.wrapped_private_key, key.kdf, passphrase) });
+  }
+  return keys;
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Turn on customer-held encryption for a user's future backups. A user who
+ * had it before keeps their passphrase: it must match their earlier keys.
+ * @param {number} userId
+ * @param {string} passphrase
+ * @returns {Promise<Object>} - The new active key row
+ * @throws {InvalidPassphraseError}
+ */
+export async function enableEncryption(userId, passphrase) {
+  return inTransaction(async (client) => {
+    const existing = await unlockAll(client, userId, passphrase);
+    const version = existing.reduce((max, { key }) => Math.max(max, key.version), 0) + 1;
+    const key = await insertKey(client, userId, version, passphrase);
+
+    logger.info(`Customer-held backup encryption enabled for user ${userId} (key version ${version})`);
+    return key;
+  });
+}
+
+/**
+ * Change the passphrase: every key version is re-wrapped; no backup changes
+ * @param {number} userId
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ * @returns {Promise<number>} - Keys re-wrapped
+ * @throws {InvalidPassphraseError}
+ */
+export async function changePassphrase(userId, currentPassphrase, newPassphrase) {
+  return inTransaction(async (client) => {
+    const keys = await unlockAll(client, userId, currentPassphrase);
+    for (const { key, privateKey } of keys) {
+      const { wrappedKey, kdf } = await wrapPrivateKey(privateKey, newPassphrase);
+      await client.query(
+        `UPDATE backup_encryption_keys SET wrapped_private_key = $1, kdf = $2, rewrapped_at = NOW() WHERE id = $3`,
+        [wrappedKey, JSON.stringify(kdf), key.id]
+      );
+    }
+
+    logger.info(`Backup passphrase changed for user ${userId} (${keys.length} keys re-wrapped)`);
+    return keys.length;
+  });
+}
+
+/**
+ * Start a new key for future backups; existing backups keep theirs
+ * @param {number} userId
+ * @param {string} passphrase
+ * @returns {Promise<Object>} - The new active key row
+ * @throws {InvalidPassphraseError}
+ */
+export async function rotateKey(userId, passphrase) {
+  return inTransaction(async (client) => {
+    const keys = await unlockAll(client, userId, passphrase);
+    if (!keys.some(({ key }) => key.active)) {
+      throw new Error('Backup encryption is not enabled');
+    }
+
+    await client.query(
+      `UPDATE backup_encryption_keys SET active = false, retired_at = NOW() WHERE user_id = $1 AND active = true`,
+      [userId]
+    );
+    const version = keys.reduce((max, { key }) => Math.max(max, key.version), 0) + 1;
+    const key = await insertKey(client, userId, version, passphrase);
+
+    logger.info(`Backup key rotated for user ${userId} (now version ${version})`);
+    return key;
+  });
+}
+
+/**
+ * Go back to panel-managed backups. Keys stay, so backups already sealed
+ * can still be restored with the passphrase.
+ * @param {number} userId
+ * @param {string} passphrase
+ * @throws {InvalidPassphraseError}
+ */
+export async function disableEncryption(userId, passphrase) {
+  await inTransaction(async (client) => {
+    await unlockAll(client, userId, passphrase);
+    await client.query(
+      `UPDATE backup_encryption_keys SET active = false, retired_at = NOW() WHERE user_id = $1 AND active = true`,
+      [userId]
+    );
+  });
+  logger.info(`Customer-held backup encryption disabled for user ${userId}`);
+}
+
+/**
+ * Unwrap a key to read backups with
+ * @param {number} keyId
+ * @param {string} passphrase
+ * @param {number} [userId] - Only a key of this user
+ * @returns {Promise<Object>} - { id, publicKey, privateKey, idKey }
+ * @throws {InvalidPassphraseError}
+ */
+export async function unlockKey(keyId, passphrase, userId = null) {
+  const result = await pool.query(
+    userId === null
+      ? `SELECT * FROM backup_encryption_keys WHERE id = $1`
+      : `SELECT * FROM backup_encryption_keys WHERE id = $1 AND user_id = $2`,
+    userId === null ? [keyId] : [keyId, userId]
+  );
+  const key = result.rows[0];
+  if (!key) {
+    throw new Error(`Backup key ${keyId} not found`);
+  }
+
+  return {
+    id: key.id,
+    publicKey: key.public_key,
+    privateKey: await unwrapPrivateKey(key.wrapped_private_key, key.kdf, passphrase),
+    idKey: Buffer.from(decrypt(key.chunk_id_key_encrypted), 'hex')
+  };
+}
+
+/**
+ * What backup writers need to seal to a key: no passphrase involved
+ * @param {Object} key - backup_encryption_keys row
+ * @returns {Object} - { keyId, seal(data), chunkId(data) }
+ */
+export function encryptorFor(key) {
+  const recipient = { id: key.id, publicKey: key.public_key };
+  const idKey = Buffer.from(decrypt(key.chunk_id_key_encrypted), 'hex');
+  return {
+    keyId: key.id,
+    seal: (data) => seal(data, recipient),
+    chunkId: (data) => keyedChunkId(idKey, data)
+  };
+}
+
+/**
+ * What backup readers need, from an unlocked key
+ * @param {Object} unlocked - From unlockKey
+ * @returns {Object} - { keyId, open(data), chunkId(data) }
+ */
+export function decryptorFor(unlocked) {
+  return {
+    keyId: unlocked.id,
+    open: (data) => open(data, unlocked),
+    chunkId: (data) => keyedChunkId(unlocked.idKey, data)
+  };
+}
+
+export default {
+  InvalidPassphraseError,
+  keyFingerprint,
+  validatePassphrase,
+  getActiveKey,
+  getEncryptionStatus,
+  enableEncryption,
+  changePassphrase,
+  rotateKey,
+  disableEncryption,
+  unlockKey,
+  encryptorFor,
+  decryptorFor
+};
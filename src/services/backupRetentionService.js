@@ -0,0 +1,132 @@
+/**
+ * Backup retention
+ * Grandfather-father-son rules for scheduled backups: a schedule keeps the
+ * newest backup of each of its last N hours, days, ISO weeks, months and
+ * years (UTC). Periods without a backup do not count, so a paused schedule
+ * never loses its archive. The rules are independent - one backup can be the
+ * day's, the week's and the month's - and whatever no rule keeps is pruned.
+ */
+
+export const RETENTION_RULES = ['hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+
+// What a schedule keeps when it is created without rules; fits every plan
+export const DEFAULT_RETENTION = { hourly: 0, daily: 7, weekly: 4, monthly: 0, yearly: 0 };
+
+const MAX_KEEP = 1000;
+
+function isoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const periodOf = {
+  hourly: (date) => date.toISOString().slice(0, 13),
+  daily: (date) => date.toISOString().slice(0, 10),
+  weekly: isoWeek,
+  monthly: (date) => date.toISOString().slice(0, 7),
+  yearly: (date) => date.toISOString().slice(0, 4)
+};
+
+/**
+ * Rules of a backup_schedules row
+ */
+export function scheduleRetention(schedule) {
+  return Object.fromEntries(RETENTION_RULES.map((rule) => [rule, schedule[`keep_${rule}`] ?? 0]));
+}
+
+/**
+ * Fill in missing rules with 0
+ */
+export function normalizeRetention(retention) {
+  return Object.fromEntries(RETENTION_RULES.map((rule) => [rule, retention[rule] ?? 0]));
+}
+
+/**
+ * @param {Object} retention - { hourly, daily, weekly, monthly, yearly } counts; missing ones are 0
+ * @returns {Object[]} - [{ field, message }], empty when valid
+ */
+export function validateRetention(retention) {
+  if (!retention || typeof retention !== 'object' || Array.isArray(retention)) {
+    return [{ field: 'retention', message: 'Retention must give hourly, daily, weekly, monthly and yearly counts' }];
+  }
+
+  const errors = Object.keys(retention)
+    .filter((key) => !RETENTION_RULES.includes(key))
+    .map((key) => ({ field: `retention.${key}`, message: `Unknown retention rule ${key}` }));
+
+  for (const rule of RETENTION_RULES) {
+    const keep = retention[rule];
+    if (keep !== undefined && (!Number.isInteger(keep) || keep < 0 || keep > MAX_KEEP)) {
+      errors.push({ field: `retention.${rule}`, message: `Keep ${rule} must be a whole number from 0 to ${MAX_KEEP}` });
+    }
+  }
+
+  if (errors.length === 0 && !RETENTION_RULES.some((rule) => retention[rule] > 0)) {
+    errors.push({ field: 'retention', message: 'Retention must keep at least one backup' });
+  }
+  return errors;
+}
+
+/**
+ * Rules above a plan's limits (-1 is unlimited). Hourly backups need a plan
+ * that keeps hourly ones.
+ * @param {Object} retention - proposed rules; missing ones are not checked
+ * @param {Object} limits - plan maximum per rule
+ * @param {Object} options - { frequency }
+ * @returns {Object[]} - [{ field, message }]
+ */
+export function retentionOverLimits(retention, limits, { frequency } = {}) {
+  const errors = [];
+  for (const rule of RETENTION_RULES) {
+    const limit = limits[rule] ?? 0;
+    const keep = Number(retention?.[rule] ?? 0);
+    if (limit >= 0 && keep > limit) {
+      errors.push({
+        field: `retention.${rule}`,
+        message: limit === 0
+          ? `Your plan does not include ${rule} retention`
+          : `Your plan keeps at most ${limit} ${rule} backups`
+      });
+    }
+  }
+  if (frequency === 'hourly' && limits.hourly === 0) {
+    errors.push({ field: 'frequency', message: 'Your plan does not include hourly backups' });
+  }
+  return errors;
+}
+
+/**
+ * Split a schedule's completed backups into those its rules keep and those
+ * to prune
+ * @param {Object[]} backups - backups rows
+ * @param {Object} retention - { hourly, daily, weekly, monthly, yearly } counts
+ * @returns {Object} - { keep: [{ backup, reasons: [{ rule, period }] }], prune: [backup] }, newest first
+ */
+export function selectRetained(backups, retention) {
+  const newestFirst = [...backups].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const reasons = new Map(newestFirst.map((backup) => [backup, []]));
+
+  for (const rule of RETENTION_RULES) {
+    const keep = retention[rule] ?? 0;
+    let kept = 0;
+    let lastPeriod = null;
+    for (const backup of newestFirst) {
+      if (kept >= keep) break;
+      const period = periodOf[rule](new Date(backup.created_at));
+      if (period === lastPeriod) continue;
+      lastPeriod = period;
+      kept++;
+      reasons.get(backup).push({ rule, period });
+    }
+  }
+
+  return {
+    keep: newestFirst
+      .filter((backup) => reasons.get(backup).length > 0)
+      .map((backup) => ({ backup, reasons: reasons.get(backup) })),
+    prune: newestFirst.filter((backup) => reasons.get(backup).length === 0)
+  };
+}
@@ -0,0 +1,570 @@
+/**
+ * Deduplicated backup snapshots
+ * Website and full-account backups are stored restic-style: every file is cut
+ * into content-defined chunks, each chunk is uploaded once under
+ * chunks/<sha256> (gzipped), and a snapshot is just a manifest listing the
+ * files and the chunks they are made of. A nightly backup of an unchanged
+ * site uploads its manifest and nothing else.
+ *
+ * Every backup destination (backupDestinationService) holds its own chunks.
+ * backup_chunks indexes what is on each destination and
+ * backup_snapshot_chunks records which snapshot uses which chunk where, so
+ * once snapshots expire the chunks nothing refers to can be found and
+ * deleted (collectGarbage).
+ *
+ * Customers with their own backup key (backupKeyService) get sealed chunks
+ * and manifests instead, named by a keyed id so their chunks never dedupe
+ * against anyone else's.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import { openStorageById } from './backupDestinationService.js';
+import { DEFAULT_CHUNKING, chunkStream, chunkingParams } from '../utils/contentChunker.js';
+import { isSealed } from '../utils/backupCrypto.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+export const MANIFEST_VERSION = 1;
+
+// Chunks waiting for one "which of these do we have" lookup
+const BATCH_CHUNKS = 64;
+const BATCH_BYTES = 32 * 1024 * 1024;
+
+export const chunkKey = (hash) => `chunks/${hash.slice(0, 2)}/${hash}`;
+
+export const manifestKey = (userId, backupId) => `snapshots/${userId}/${backupId}.json.gz`;
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+// Snapshots hold this advisory lock shared and garbage collection holds it
+// exclusively, so a chunk a snapshot has just decided to reuse cannot be
+// deleted from under it
+const CHUNK_LOCK = 0x6d706263;
+
+async function withChunkLock(mode, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(mode === 'shared' ? 'SELECT pg_advisory_lock_shared($1)' : 'SELECT pg_advisory_lock($1)', [CHUNK_LOCK]);
+    try {
+      return await fn();
+    } finally {
+      await client.query(mode === 'shared' ? 'SELECT pg_advisory_unlock_shared($1)' : 'SELECT pg_advisory_unlock($1)', [CHUNK_LOCK]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Index of a destination's chunks, kept in backup_chunks
+ * @param {number} destinationId
+ * @returns {Object} - { missing(hashes) -> Set, add(chunks) }
+ */
+export function chunkIndex(destinationId) {
+  return {
+    async missing(hashes) {
+      const result = await pool.query(
+        `SELECT hash FROM backup_chunks WHERE destination_id = $1 AND hash = ANY($2)`,
+        [destinationId, hashes]
+      );
+      const present = new Set(result.rows.map((row) => row.hash));
+      return new Set(hashes.filter((hash) => !present.has(hash)));
+    },
+    async add(chunks) {
+      for (const chunk of chunks) {
+        await pool.query(
+          `INSERT INTO backup_chunks (destination_id, hash, size, stored_size)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (destination_id, hash) DO NOTHING`,
+          [destinationId, chunk.hash, chunk.size, chunk.storedSize]
+        );
+      }
+    }
+  };
+}
+
+async function addReferences(backupId, destinationId, hashes) {
+  for (let i = 0; i < hashes.length; i += 1000) {
+    await pool.query(
+      `INSERT INTO backup_snapshot_chunks (backup_id, destination_id, chunk_hash)
+       SELECT $1, $2, UNNEST($3::text[])
+       ON CONFLICT DO NOTHING`,
+      [backupId, destinationId, hashes.slice(i, i + 1000)]
+    );
+  }
+}
+
+/**
+ * Walk a directory depth first, in name order
+ */
+async function* walk(root, relative = '') {
+  const entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    const rel = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      yield { rel, type: 'dir' };
+      yield* walk(root, rel);
+    } else if (entry.isFile()) {
+      yield { rel, type: 'file' };
+    } else if (entry.isSymbolicLink()) {
+      yield { rel, type: 'symlink' };
+    }
+    // Sockets, FIFOs and devices have no place in a site backup
+  }
+}
+
+const joinPrefix = (prefix, rel) => (prefix ? `${prefix.replace(/\/+$/, '')}/${rel}` : rel);
+
+/**
+ * Chunk sources into the store and build the snapshot manifest
+ * @param {Object[]} sources - { type: 'directory', path, prefix } trees and
+ *   { type: 'file', name, content } in-memory files (e.g. database dumps)
+ * @param {Object} options
+ * @param {Object} options.store - { put, get, delete }
+ * @param {Object} options.index - { missing(hashes) -> Set, add(chunks) }
+ * @param {Object} [options.chunking] - { minSize, avgSize, maxSize }
+ * @param {Object} [options.encryption] - { seal(data), chunkId(data) } to seal chunks to a customer key
+ * @returns {Promise<Object>} - { manifest, hashes, stats: { files, size, chunks, newChunks, uploadedSize } }
+ */
+export async function writeSnapshot(sources, { store, index, chunking = DEFAULT_CHUNKING, encryption = null }) {
+  const params = chunkingParams(chunking);
+  const chunkId = encryption ? encryption.chunkId : sha256;
+  const entries = [];
+  const hashes = new Set();
+  const stats = { files: 0, size: 0, chunks: 0, newChunks: 0, uploadedSize: 0 };
+  let batch = [];
+  let batchBytes = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const unique = [...new Map(batch.map((chunk) => [chunk.hash, chunk])).values()];
+    const missing = await index.missing(unique.map((chunk) => chunk.hash));
+
+    const added = [];
+    for (const chunk of unique) {
+      if (!missing.has(chunk.hash)) continue;
+      const compressed = await gzip(chunk.data);
+      const body = encryption ? encryption.seal(compressed) : compressed;
+      await store.put(chunkKey(chunk.hash), body);
+      added.push({ hash: chunk.hash, size: chunk.data.length, storedSize: body.length });
+      stats.newChunks++;
+      stats.uploadedSize += body.length;
+    }
+    await index.add(added);
+    batch = [];
+    batchBytes = 0;
+  };
+
+  const addChunks = async (stream) => {
+    const list = [];
+    let size = 0;
+    for await (const data of chunkStream(stream, params)) {
+      const hash = chunkId(data);
+      list.push(hash);
+      size += data.length;
+      stats.chunks++;
+
+      // Already queued or uploaded by this snapshot
+      if (hashes.has(hash)) continue;
+      hashes.add(hash);
+      batch.push({ hash, data });
+      batchBytes += data.length;
+      if (batch.length >= BATCH_CHUNKS || batchBytes >= BATCH_BYTES) await flush();
+    }
+    stats.files++;
+    stats.size += size;
+    return { size, chunks: list };
+  };
+
+  for (const source of sources) {
+    if (source.type === 'file') {
+      entries.push({ path: source.name, type: 'file', mode: 0o644, ...(await addChunks([Buffer.from(source.content)])) });
+      continue;
+    }
+
+    for await (const { rel, type } of walk(source.path)) {
+      const absolute = path.join(source.path, rel);
+      const stat = await fs.promises.lstat(absolute);
+      const entry = { path: joinPrefix(source.prefix, rel), type, mode: stat.mode & 0o7777, mtime: stat.mtime.toISOString() };
+
+      if (type === 'symlink') {
+        entry.target = await fs.promises.readlink(absolute);
+      } else if (type === 'file') {
+        Object.assign(entry, await addChunks(fs.createReadStream(absolute, { highWaterMark: 1024 * 1024 })));
+      }
+      entries.push(entry);
+    }
+  }
+  await flush();
+
+  return {
+    manifest: {
+      version: MANIFEST_VERSION,
+      createdAt: new Date().toISOString(),
+      chunking: { minSize: params.minSize, avgSize: params.avgSize, maxSize: params.maxSize },
+      entries
+    },
+    hashes: [...hashes],
+    stats
+  };
+}
+
+// Restores never follow a link at the path they write
+const CREATE_FILE = fs.constants.O_WRONLY | fs.constants.O_CREAT | fs.constants.O_EXCL | fs.constants.O_NOFOLLOW;
+const OPEN_DIRECTORY = fs.constants.O_RDONLY | fs.constants.O_DIRECTORY | fs.constants.O_NOFOLLOW;
+
+/**
+ * Read a chunk back, checking it is what its name says
+ */
+async function readChunk(store, hash, encryption) {
+  const body = await store.get(chunkKey(hash));
+  const data = await gunzip(encryption ? encryption.open(body) : body);
+  if ((encryption ? encryption.chunkId : sha256)(data) !== hash) {
+    throw new Error(`Chunk ${hash} is corrupt`);
+  }
+  return data;
+}
+
+/**
+ * Write a snapshot's files (or some of them) into a directory
+ * @param {Object} manifest
+ * @param {string} targetDir
+ * @param {Object} options
+ * @param {Object} options.store - Destination storage holding the snapshot
+ * @param {string} [options.prefix] - Only restore entries under this path, relative to it
+ * @param {string[]} [options.paths] - Only restore these files and directories (relative to prefix)
+ * @param {Object} [options.encryption] - { open(data), chunkId(data) } for a sealed snapshot
+ * @param {string} [options.jail] - Directory the target must resolve inside, links included (default: the target itself)
+ * @returns {Promise<Object>} - { files, size }
+ */
+export async function restoreSnapshot(manifest, targetDir, { store, prefix = '', paths = null, encryption = null, jail = null }) {
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported snapshot manifest version ${manifest.version}`);
+  }
+
+  const root = path.resolve(targetDir);
+  const base = prefix.replace(/\/+$/, '');
+  const restored = { files: 0, size: 0 };
+  const directories = [];
+
+  const within = (real, top) => real === top || real.startsWith(`${top}${path.sep}`);
+
+  // The target itself may be a link the site owner planted; check the part
+  // that exists before creating the rest
+  if (jail) {
+    const realJail = await fs.promises.realpath(jail);
+    let existing = root;
+    // lstat, so a dangling link counts as there (and then resolves outside)
+    while (!(await fs.promises.lstat(existing).catch(() => null))) existing = path.dirname(existing);
+    if (!within(await fs.promises.realpath(existing), realJail)) {
+      throw new Error(`Restore directory ${targetDir} leads outside ${jail}`);
+    }
+    await fs.promises.mkdir(root, { recursive: true });
+    if (!within(await fs.promises.realpath(root), realJail)) {
+      throw new Error(`Restore directory ${targetDir} leads outside ${jail}`);
+    }
+  } else {
+    await fs.promises.mkdir(root, { recursive: true });
+  }
+  const realRoot = await fs.promises.realpath(root);
+
+  // The target may be a live site whose owner can plant symlinks in it
+  const assertInside = async (directory, entry) => {
+    if (!within(await fs.promises.realpath(directory), realRoot)) {
+      throw new Error(`Snapshot entry ${entry.path} would be written through a link outside the restore directory`);
+    }
+  };
+
+  for (const entry of manifest.entries) {
+    if (base && !entry.path.startsWith(`${base}/`)) continue;
+    const rel = base ? entry.path.slice(base.length + 1) : entry.path;
+    if (paths && !paths.some((selected) => rel === selected || rel.startsWith(`${selected}/`))) continue;
+    const destination = path.resolve(root, rel);
+
+    // Manifests come from the bucket; never let one write outside the target
+    if (!destination.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Snapshot entry escapes restore directory: ${entry.path}`);
+    }
+
+    if (entry.type === 'dir') {
+      await fs.promises.mkdir(destination, { recursive: true });
+      await assertInside(destination, entry);
+      directories.push({ destination, entry });
+      continue;
+    }
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await assertInside(path.dirname(destination), entry);
+    await fs.promises.rm(destination, { force: true });
+
+    if (entry.type === 'symlink') {
+      await fs.promises.symlink(entry.target, destination);
+      continue;
+    }
+
+    // A link created since the rm fails the open instead of being followed
+    const handle = await fs.promises.open(destination, CREATE_FILE, entry.mode || 0o644);
+    try {
+      for (const hash of entry.chunks) {
+        await handle.write(await readChunk(store, hash, encryption));
+      }
+      await handle.chmod(entry.mode || 0o644);
+      if (entry.mtime) {
+        await handle.utimes(new Date(entry.mtime), new Date(entry.mtime));
+      }
+    } finally {
+      await handle.close();
+    }
+    restored.files++;
+    restored.size += entry.size;
+  }
+
+  // Last, so writing the files inside does not undo them
+  for (const { destination, entry } of directories.reverse()) {
+    const handle = await fs.promises.open(destination, OPEN_DIRECTORY);
+    try {
+      await handle.chmod(entry.mode || 0o755);
+      if (entry.mtime) {
+        await handle.utimes(new Date(entry.mtime), new Date(entry.mtime));
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return restored;
+}
+
+/**
+ * What a snapshot holds directly under a path, directories first. Directory
+ * sizes are the total of the files below them.
+ * @param {Object} manifest
+ * @param {string} [dir] - Path inside the snapshot ('' for the top)
+ * @returns {Object[]} - [{ name, path, type, size, mtime }]
+ */
+export function listSnapshotEntries(manifest, dir = '') {
+  const base = dir.replace(/^\/+|\/+$/g, '');
+  const children = new Map();
+
+  for (const entry of manifest.entries) {
+    if (base && !entry.path.startsWith(`${base}/`)) continue;
+    const [name, ...rest] = (base ? entry.path.slice(base.length + 1) : entry.path).split('/');
+    const child = children.get(name) || {
+      name,
+      path: base ? `${base}/${name}` : name,
+      // Prefixes such as websites/<domain> have no entry of their own
+      type: rest.length ? 'dir' : entry.type,
+      size: 0,
+      mtime: null
+    };
+
+    if (rest.length === 0) {
+      child.type = entry.type;
+      child.mtime = entry.mtime || null;
+    }
+    if (entry.type === 'file') child.size += entry.size;
+    children.set(name, child);
+  }
+
+  return [...children.values()].sort((a, b) => (
+    (a.type === 'dir') === (b.type === 'dir') ? a.name.localeCompare(b.name) : a.type === 'dir' ? -1 : 1
+  ));
+}
+
+/**
+ * Snapshot a backup's sources onto a destination and record which chunks it uses
+ * @param {Object} backup - backups row
+ * @param {Object[]} sources - As writeSnapshot
+ * @param {Object} options
+ * @param {Object} options.store - The destination's storage
+ * @param {number} options.destinationId
+ * @param {Object} [options.chunking]
+ * @param {Object} [options.encryption]
+ * @returns {Promise<Object>} - { path, size, uploadedSize, chunkCount, newChunkCount }
+ */
+export async function createSnapshot(backup, sources, { store, destinationId, chunking, encryption = null }) {
+  return withChunkLock('shared', () => storeSnapshot(backup, sources, { store, destinationId, chunking, encryption }));
+}
+
+async function storeSnapshot(backup, sources, { store, destinationId, chunking, encryption }) {
+  const index = chunkIndex(destinationId);
+  const { manifest, hashes, stats } = await writeSnapshot(sources, { store, index, chunking, encryption });
+
+  const key = manifestKey(backup.user_id, backup.id);
+  const compressed = await gzip(JSON.stringify({
+    ...manifest,
+    backupId: backup.id,
+    resourceType: backup.resource_type,
+    resourceId: backup.resource_id
+  }));
+  const body = encryption ? encryption.seal(compressed) : compressed;
+  await store.put(key, body);
+  await addReferences(backup.id, destinationId, hashes);
+
+  logger.info(`Snapshot for backup ${backup.id}: ${stats.files} files, ${stats.chunks} chunks, ${stats.newChunks} new (${stats.uploadedSize} bytes uploaded)`);
+
+  return {
+    path: key,
+    size: stats.size,
+    uploadedSize: stats.uploadedSize + body.length,
+    chunkCount: stats.chunks,
+    newChunkCount: stats.newChunks
+  };
+}
+
+/**
+ * Copy a stored snapshot to another destination: its chunks (those the
+ * destination lacks) and manifest are copied as stored, so sealed snapshots
+ * are copied without their key
+ * @param {Object} backup - backups row with format 'snapshot'
+ * @param {Object} options
+ * @param {Object} options.from - Storage holding the snapshot
+ * @param {number} options.fromId - Its destination id
+ * @param {Object} options.to - Storage to copy to
+ * @param {number} options.toId - Its destination id
+ * @returns {Promise<Object>} - { uploadedSize, newChunkCount }
+ */
+export async function copySnapshot(backup, { from, fromId, to, toId }) {
+  return withChunkLock('shared', async () => {
+    const result = await pool.query(
+      `SELECT c.hash, c.size FROM backup_snapshot_chunks r
+       JOIN backup_chunks c ON c.destination_id = r.destination_id AND c.hash = r.chunk_hash
+       WHERE r.backup_id = $1 AND r.destination_id = $2`,
+      [backup.id, fromId]
+    );
+    const index = chunkIndex(toId);
+    const copied = { uploadedSize: 0, newChunkCount: 0 };
+
+    for (let i = 0; i < result.rows.length; i += BATCH_CHUNKS) {
+      const batch = result.rows.slice(i, i + BATCH_CHUNKS);
+      const missing = await index.missing(batch.map((chunk) => chunk.hash));
+
+      const added = [];
+      for (const chunk of batch) {
+        if (!missing.has(chunk.hash)) continue;
+        const body = await from.get(chunkKey(chunk.hash));
+        await to.put(chunkKey(chunk.hash), body);
+        added.push({ hash: chunk.hash, size: chunk.size, storedSize: body.length });
+        copied.newChunkCount++;
+        copied.uploadedSize += body.length;
+      }
+      await index.add(added);
+    }
+    await addReferences(backup.id, toId, result.rows.map((chunk) => chunk.hash));
+
+    const manifest = await from.get(backup.path);
+    await to.put(backup.path, manifest);
+    copied.uploadedSize += manifest.length;
+
+    logger.info(`Snapshot for backup ${backup.id} copied to destination ${toId}: ${copied.newChunkCount} new chunks (${copied.uploadedSize} bytes)`);
+    return copied;
+  });
+}
+
+/**
+ * Load a snapshot backup's manifest
+ * @param {Object} backup - backups row with format 'snapshot'
+ * @param {Object} options - { store, encryption }
+ * @returns {Promise<Object>}
+ */
+export async function loadManifest(backup, { store, encryption = null }) {
+  let body = await store.get(backup.path);
+  if (isSealed(body)) {
+    if (!encryption) throw new Error(`Backup ${backup.id} is encrypted with a customer key`);
+    body = encryption.open(body);
+  }
+  return JSON.parse((await gunzip(body)).toString('utf8'));
+}
+
+/**
+ * Remove a snapshot's manifest from a destination. Its chunk references go
+ * with the backups row; the chunks themselves wait for collectGarbage, as
+ * other snapshots may use them.
+ * @param {Object} backup - backups row with format 'snapshot'
+ * @param {Object} options - { store }
+ */
+export async function deleteSnapshot(backup, { store }) {
+  if (backup.path) {
+    await store.delete(backup.path);
+  }
+}
+
+/**
+ * Delete chunks no snapshot refers to any more, on every destination. Waits
+ * for running snapshots to finish, and holds new ones back until it is done.
+ * @param {Object} [options]
+ * @param {Function} [options.storeFor] - (destinationId) -> storage; default: the destination's driver
+ * @returns {Promise<Object>} - { deleted, freedBytes, failed }
+ */
+export async function collectGarbage({ storeFor = openStorageById } = {}) {
+  return withChunkLock('exclusive', async () => {
+    const result = await pool.query(
+      `SELECT destination_id, hash, stored_size FROM backup_chunks c
+       WHERE NOT EXISTS (
+         SELECT 1 FROM backup_snapshot_chunks r WHERE r.destination_id = c.destination_id AND r.chunk_hash = c.hash
+       )`
+    );
+
+    const byDestination = new Map();
+    for (const chunk of result.rows) {
+      if (!byDestination.has(chunk.destination_id)) byDestination.set(chunk.destination_id, []);
+      byDestination.get(chunk.destination_id).push(chunk);
+    }
+
+    const summary = { deleted: 0, freedBytes: 0, failed: 0 };
+    for (const [destinationId, chunks] of byDestination) {
+      let store;
+      try {
+        store = await storeFor(destinationId);
+      } catch (error) {
+        // Unreachable now; its chunks stay indexed and are tried next time
+        summary.failed += chunks.length;
+        logger.error(`Failed to open backup destination ${destinationId} for garbage collection:`, error);
+        continue;
+      }
+
+      try {
+        for (const chunk of chunks) {
+          try {
+            // Object first: a row without its object would be trusted by the next snapshot
+            await store.delete(chunkKey(chunk.hash));
+            await pool.query(`DELETE FROM backup_chunks WHERE destination_id = $1 AND hash = $2`, [destinationId, chunk.hash]);
+            summary.deleted++;
+            summary.freedBytes += Number(chunk.stored_size);
+          } catch (error) {
+            summary.failed++;
+            logger.error(`Failed to delete backup chunk ${chunk.hash} on destination ${destinationId}:`, error);
+          }
+        }
+      } finally {
+        await store.close?.();
+      }
+    }
+
+    return summary;
+  });
+}
+
+export default {
+  MANIFEST_VERSION,
+  chunkKey,
+  manifestKey,
+  chunkIndex,
+  writeSnapshot,
+  restoreSnapshot,
+  listSnapshotEntries,
+  createSnapshot,
+  copySnapshot,
+  loadManifest,
+  deleteSnapshot,
+  collectGarbage
+};
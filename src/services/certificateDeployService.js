@@ -0,0 +1,289 @@
+/**
+ * Certificate deployment
+ * Pushes an issued or renewed certificate to the node serving its domain as a
+ * deploy_certificate agent job (nginx/apache vhost, postfix/dovecot SNI),
+ * then connects to the node and checks that the new serial is what each
+ * service actually serves. Every attempt is kept in certificate_deployments.
+ */
+
+import { X509Certificate } from 'crypto';
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import agentJobService from './agentJobService.js';
+import { probeTls } from '../utils/tlsProbe.js';
+
+export const DEPLOY_TARGETS = ['nginx', 'apache', 'postfix', 'dovecot'];
+
+// Where each service answers after a reload
+export const VERIFY_ENDPOINTS = {
+  nginx: { port: 443, protocol: 'tls' },
+  apache: { port: 443, protocol: 'tls' },
+  postfix: { port: 587, protocol: 'smtp' },
+  dovecot: { port: 993, protocol: 'tls' }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Serials compare as hex numbers; leading zeros and case vary by tool
+const normalizeSerial = (serial) => String(serial || '').toUpperCase().replace(/[^0-9A-F]/g, '').replace(/^0+/, '');
+
+/**
+ * Serial number of the leaf in a PEM chain
+ * @param {string} pem
+ * @returns {string}
+ */
+export function certificateSerial(pem) {
+  return new X509Certificate(pem).serialNumber;
+}
+
+/**
+ * Names a certificate's SANs do not cover. Wildcard names need the same
+ * wildcard in the certificate.
+ * @param {string} pem
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export function uncoveredNames(pem, names) {
+  const certificate = new X509Certificate(pem);
+  const dnsNames = (certificate.subjectAltName || '').split(', ')
+    .filter((entry) => entry.startsWith('DNS:'))
+    .map((entry) => entry.slice(4).toLowerCase());
+
+  return names.filter((name) => (name.startsWith('*.')
+    ? !dnsNames.includes(name.toLowerCase())
+    : !certificate.checkHost(name)));
+}
+
+/**
+ * Name to ask for over SNI: the first name that is not a wildcard, or a
+ * name under the wildcard
+ * @param {string[]} names
+ * @returns {string}
+ */
+export function probeName(names) {
+  return names.find((name) => !name.startsWith('*.')) || names[0].replace(/^\*\./, 'www.');
+}
+
+/**
+ * Connect to each deployed service and compare the served serial
+ * @param {string} host - Node address
+ * @param {string[]} names - Certificate names
+ * @param {string} serial - Expected serial
+ * @param {string[]} targets - Services the agent deployed to
+ * @param {Object} [options] - { attempts, delayMs, timeoutMs, ca, endpoints }
+ * @returns {Promise<Object[]>} - [{ target, port, servername, servedSerial, status: ok|mismatch|error, error? }]
+ */
+export async function verifyDeployment(host, names, serial, targets, {
+  attempts = 3,
+  delayMs = 5000,
+  timeoutMs = 10000,
+  ca,
+  endpoints = VERIFY_ENDPOINTS
+} = {}) {
+  const servername = probeName(names);
+  const results = [];
+
+  for (const target of targets) {
+    const { port, protocol } = endpoints[target];
+    let check;
+
+    // Reloads are graceful, so old workers can answer for a moment
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const probe = await probeTls(host, port, { protocol, servername, timeoutMs, ca });
+        const servedSerial = probe.chain[0]?.serialNumber || null;
+        check = {
+          target,
+          port,
+          servername,
+          servedSerial,
+          status: normalizeSerial(servedSerial) === normalizeSerial(serial) ? 'ok' : 'mismatch'
+        };
+      } catch (error) {
+        check = { target, port, servername, servedSerial: null, status: 'error', error: error.message };
+      }
+
+      if (check.status === 'ok' || attempt === attempts) break;
+      await sleep(delayMs);
+    }
+    results.push(check);
+  }
+
+  return results;
+}
+
+/**
+ * The node serving a domain: the website's server, or its service's. Only
+ * the certificate owner's websites count, unless the owner is an admin.
+ */
+async function findServerForDomain(domain, cert) {
+  const anyOwner = cert.owner_role === 'admin';
+  const result = await pool.query(
+    `SELECT s.*
+     FROM websites w
+     JOIN servers s ON s.id = COALESCE(w.server_id, (SELECT server_id FROM services WHERE id = w.service_id))
+     WHERE LOWER(w.domain) = $1${anyOwner ? '' : ' AND w.user_id = $2'}
+     LIMIT 1`,
+    anyOwner ? [domain.toLowerCase()] : [domain.toLowerCase(), cert.user_id]
+  );
+  return result.rows[0] || null;
+}
+
+async function loadCertificate(certificateId) {
+  const result = await pool.query(`SELECT * FROM ssl_certificates WHERE id::text = $1`, [String(certificateId)]);
+  const cert = result.rows[0];
+  if (!cert) return null;
+
+  // Rows from the worker carry domain_id rather than the domain and its owner
+  if (cert.domain_id && (!cert.domain || !cert.user_id)) {
+    const domain = await pool.query(`SELECT domain_name, user_id FROM domains WHERE id = $1`, [cert.domain_id]);
+    cert.domain = cert.domain || domain.rows[0]?.domain_name;
+    cert.user_id = cert.user_id || domain.rows[0]?.user_id;
+  }
+
+  const owner = cert.user_id ? await pool.query(`SELECT role FROM users WHERE id = $1`, [cert.user_id]) : null;
+  cert.owner_role = owner?.rows[0]?.role || null;
+  return cert;
+}
+
+async function updateDeployment(id, fields) {
+  const columns = Object.keys(fields);
+  const result = await pool.query(
+    `UPDATE certificate_deployments
+     SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+     WHERE id = $${columns.length + 1}
+     RETURNING *`,
+    [...Object.values(fields).map((value) => (value && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value)), id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Deploy a certificate to the node serving its domain and verify it is served
+ * @param {string|number} certificateId - ssl_certificates id
+ * @param {Object} [options]
+ * @param {string[]} [options.targets] - Services to deploy to; the agent skips ones not installed (default: all)
+ * @param {number} [options.createdBy] - User who asked, for the job and history
+ * @param {number} [options.timeoutMs] - How long to wait for the agent (default: 5 minutes)
+ * @returns {Promise<Object|null>} - certificate_deployments row, or null when the certificate does not exist
+ */
+export async function deployCertificate(certificateId, { targets = DEPLOY_TARGETS, createdBy = null, timeoutMs } = {}) {
+  const cert = await loadCertificate(certificateId);
+  if (!cert) return null;
+
+  const pem = cert.certificate_pem || cert.certificate;
+  const privateKey = cert.private_key_pem || cert.private_key;
+  if (!pem || !privateKey) {
+    throw new Error(`Certificate ${certificateId} has no certificate or key to deploy`);
+  }
+
+  const names = cert.domains || [cert.domain];
+  const domain = (cert.domain || names[0]).replace(/^\*\./, '');
+  const uncovered = uncoveredNames(pem, [...new Set([...names, domain])]);
+  if (uncovered.length > 0) {
+    throw new Error(`Certificate ${certificateId} does not cover ${uncovered.join(', ')}`);
+  }
+
+  const serial = certificateSerial(pem);
+  const server = await findServerForDomain(domain, cert);
+
+  let deployment = (await pool.query(
+    `INSERT INTO certificate_deployments (certificate_id, server_id, domain, serial, targets, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [String(cert.id), server?.id || null, domain, serial, JSON.stringify(targets), createdBy]
+  )).rows[0];
+
+  const finish = async (fields) => {
+    deployment = await updateDeployment(deployment.id, { ...fields, completed_at: new Date() });
+    await pool.query(
+      `UPDATE ssl_certificates
+       SET deploy_status = $1,
+           deployed_serial = CASE WHEN $1 = 'deployed' THEN $2 ELSE deployed_serial END,
+           deployed_at = CASE WHEN $1 = 'deployed' THEN NOW() ELSE deployed_at END
+       WHERE id::text = $3`,
+      [deployment.status, serial, String(cert.id)]
+    );
+    return deployment;
+  };
+
+  if (!server) {
+    return finish({ status: 'failed', error: `No server found hosting ${domain}` });
+  }
+
+  let job;
+  try {
+    job = await agentJobService.enqueueForServer(server.id, 'deploy_certificate', {
+      domain,
+      names,
+      certificate: pem,
+      privateKey,
+      targets
+    }, { createdBy });
+    deployment = await updateDeployment(deployment.id, { status: 'deploying', agent_job_id: job.id });
+
+    job = await agentJobService.waitForJob(job.id, timeoutMs ? { timeoutMs } : undefined);
+  } catch (error) {
+    logger.error(`Certificate ${cert.id} deployment to server ${server.id} failed:`, error);
+    return finish({ status: 'failed', error: error.message });
+  } finally {
+    // The key has been delivered (or never will be); it need not sit in the job table
+    if (job) {
+      await pool.query(`UPDATE agent_jobs SET payload = payload - 'privateKey' WHERE id = $1`, [job.id]);
+    }
+  }
+
+  const results = job.result?.targets || {};
+  const deployed = Object.keys(results).filter((target) => results[target].status === 'deployed');
+  const failed = Object.keys(results).filter((target) => results[target].status === 'failed');
+
+  deployment = await updateDeployment(deployment.id, { status: 'verifying', results });
+  const verification = await verifyDeployment(server.ip_address, names, serial, deployed);
+  const unverified = verification.filter((check) => check.status !== 'ok').map((check) => check.target);
+
+  const problems = [
+    ...failed.map((target) => `${target}: ${results[target].error}`),
+    ...unverified.map((target) => `${target} does not serve serial ${serial}`)
+  ];
+  if (deployed.length === 0 && failed.length === 0) {
+    problems.push('No target service is installed on the server');
+  }
+
+  const status = problems.length === 0 ? 'deployed' : 'failed';
+  if (status === 'deployed') {
+    logger.info(`Certificate ${cert.id} (${serial}) deployed to ${server.hostname}: ${deployed.join(', ')}`);
+  } else {
+    logger.warn(`Certificate ${cert.id} deployment to ${server.hostname} incomplete: ${problems.join('; ')}`);
+  }
+
+  return finish({ status, verification, error: problems.join('; ') || null });
+}
+
+/**
+ * Deployment history of a certificate, newest first
+ * @param {string|number} certificateId
+ * @returns {Promise<Object[]>}
+ */
+export async function listDeployments(certificateId) {
+  const result = await pool.query(
+    `SELECT d.*, s.hostname AS server_hostname
+     FROM certificate_deployments d
+     LEFT JOIN servers s ON s.id = d.server_id
+     WHERE d.certificate_id = $1
+     ORDER BY d.created_at DESC
+     LIMIT 50`,
+    [String(certificateId)]
+  );
+  return result.rows;
+}
+
+export default {
+  DEPLOY_TARGETS,
+  VERIFY_ENDPOINTS,
+  certificateSerial,
+  uncoveredNames,
+  probeName,
+  verifyDeployment,
+  deployCertificate,
+  listDeployments
+};
@@ -3,15 +3,25 @@
  * 
  * Handles:
  * - Recurring billing (daily at 2 AM)
+ * - Account credit applied to unpaid invoices (daily at 2:30 AM)
  * - Service suspension for overdue invoices (daily at 3 AM)
  * - SSL renewal reminders (daily at 4 AM)
  * - Backup cleanup (daily at 5 AM)
+ * - Scheduled backups (every 15 minutes by default)
+ * - DNS reconcile with the nameservers (every 10 minutes by default)
+ * - TLS endpoint certificate checks (every 6 hours by default)
+ * - Agent collector snapshot cleanup (daily at 5:30 AM)
  */
 
 import cron from 'node-cron';
 import pool from '../db/index.js';
 import logger from '../config/logger.js';
 import queueService from './queueService.js';
+import BillingService from './BillingService.js';
+import { reconcileZones } from './dnsSyncService.js';
+import { checkAllEndpoints } from './tlsMonitorService.js';
+import { collectGarbage } from './backupSnapshotService.js';
+import { removeBackupCopies, runDueSchedules, pruneScheduledBackups } from '../controllers/backupController.js';
 
 class CronService {
   constructor() {
@@ -37,6 +47,13 @@ class CronService {
       })
     );
 
+    // 1b. Account Credit - Daily at 2:30 AM, after new invoices exist and before suspensions
+    this.jobs.push(
+      cron.schedule('30 2 * * *', async () => {
+        await this.processAccountCredit();
+      })
+    );
+
     // 2. Service Suspension - Daily at 3:00 AM
     this.jobs.push(
       cron.schedule('0 3 * * *', async () => {
@@ -58,6 +75,34 @@ class CronService {
       })
     );
 
+    // 5. DNS Reconcile - Every 10 minutes unless DNS_RECONCILE_SCHEDULE says otherwise
+    this.jobs.push(
+      cron.schedule(process.env.DNS_RECONCILE_SCHEDULE || '*/10 * * * *', async () => {
+        await this.processDnsReconcile();
+      })
+    );
+
+    // 6. TLS Endpoint Checks - Every 6 hours unless TLS_MONITOR_SCHEDULE says otherwise
+    this.jobs.push(
+      cron.schedule(process.env.TLS_MONITOR_SCHEDULE || '15 */6 * * *', async () => {
+        await this.processTlsEndpointChecks();
+      })
+    );
+
+    // 7. Scheduled Backups - Every 15 minutes unless BACKUP_SCHEDULE_CHECK says otherwise
+    this.jobs.push(
+      cron.schedule(process.env.BACKUP_SCHEDULE_CHECK || '*/15 * * * *', async () => {
+        await this.processScheduledBackups();
+      })
+    );
+
+    // 8. Agent Snapshot Cleanup - Daily at 5:30 AM
+    this.jobs.push(
+      cron.schedule('30 5 * * *', async () => {
+        await this.processAgentSnapshotCleanup();
+      })
+    );
+
     logger.info(`${this.jobs.length} cron jobs initialized`);
   }
 
@@ -172,6 +217,23 @@ class CronService {
     }
   }
 
+  /**
+   * Account Credit
+   * Pays unpaid invoices from customers' prepaid / credit balance
+   */
+  async processAccountCredit() {
+    try {
+      logger.info('Starting account credit process...');
+      const result = await BillingService.applyCreditToDueInvoices();
+      logger.info('Account credit process completed');
+      return result;
+
+    } catch (error) {
+      logger.error('Account credit process failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Service Suspension
    * Suspends services with overdue invoices
@@ -329,7 +391,9 @@ class CronService {
 
   /**
    * Backup Cleanup
-   * Deletes old backups based on retention policy
+   * Prunes scheduled backups by their schedule's retention rules, deletes
+   * other backups older than BACKUP_RETENTION_DAYS, then the snapshot chunks
+   * no remaining backup refers to
    */
   async processBackupCleanup() {
     try {
@@ -342,7 +406,8 @@ class CronService {
       const result = await pool.query(
         `SELECT * FROM backups
          WHERE created_at < $1
-         AND status = 'completed'`,
+         AND status = 'completed'
+         AND schedule_id IS NULL`,
         [cutoffDate]
       );
 
@@ -350,34 +415,9 @@ class CronService {
 
       for (const backup of result.rows) {
         try {
-          // Delete from storage (MinIO/S3)
-          if (backup.file_path) {
-            try {
-              const { S3Client, DeleteObjectCommand } = await import('@aws-sdk/client-s3');
-              
-              const s3Client = new S3Client({
-                endpoint: process.env.S3_ENDPOINT || 'http://localhost:9000',
-                region: process.env.S3_REGION || 'us-east-1',
-                credentials: {
-                  accessKeyId: process.env.S3_ACCESS_KEY || '',
-                  secretAccessKey: process.env.S3_SECRET_KEY || ''
-                },
-                forcePathStyle: true
-              });
-              
-              const bucket = process.env.S3_BACKUP_BUCKET || 'backups';
-              const key = backup.file_path.replace(`s3://${bucket}/`, '');
-              
-              await s3Client.send(new DeleteObjectCommand({
-                Bucket: bucket,
-                Key: key
-              }));
-              
-              logger.info(`Deleted backup file from S3: ${backup.file_path}`);
-            } catch (s3Error) {
-              logger.error(`Failed to delete S3 file ${backup.file_path}:`, s3Error.message);
-            }
-          }
+          // Delete from every destination; a snapshot's chunks go below,
+          // once nothing refers to them
+          await removeBackupCopies(backup);
 
           // Delete from database
           await pool.query('DELETE FROM backups WHERE id = $1', [backup.id]);
@@ -389,8 +429,14 @@ class CronService {
         }
       }
 
+      const pruned = await pruneScheduledBackups();
+      logger.info(`Pruned ${pruned.pruned} scheduled backups by retention rules${pruned.failed ? `, ${pruned.failed} failed` : ''}`);
+
+      const chunks = await collectGarbage();
+      logger.info(`Deleted ${chunks.deleted} unreferenced backup chunks (${chunks.freedBytes} bytes)${chunks.failed ? `, ${chunks.failed} failed` : ''}`);
+
       logger.info('Backup cleanup process completed');
-      return { deleted: result.rows.length };
+      return { deleted: result.rows.length, pruned, chunks };
 
     } catch (error) {
       logger.error('Backup cleanup process failed:', error);
@@ -398,6 +444,91 @@ class CronService {
     }
   }
 
+  /**
+   * Agent Snapshot Cleanup
+   * Deletes collector snapshots older than AGENT_SNAPSHOT_RETENTION_DAYS,
+   * keeping each agent's latest sample of every collector
+   */
+  async processAgentSnapshotCleanup() {
+    try {
+      logger.info('Starting agent snapshot cleanup process...');
+
+      const retentionDays = parseInt(process.env.AGENT_SNAPSHOT_RETENTION_DAYS || '14');
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+      const result = await pool.query(
+        `DELETE FROM agent_collector_snapshots s
+         WHERE s.collected_at < $1
+         AND EXISTS (
+           SELECT 1 FROM agent_collector_snapshots newer
+           WHERE newer.agent_id = s.agent_id
+           AND newer.collector = s.collector
+           AND newer.collected_at > s.collected_at
+         )`,
+        [cutoffDate]
+      );
+
+      logger.info(`Deleted ${result.rowCount} agent collector snapshots older than ${retentionDays} days`);
+      return { deleted: result.rowCount };
+
+    } catch (error) {
+      logger.error('Agent snapshot cleanup process failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scheduled Backups
+   * Takes the backups whose schedule is due and copies them to the schedule's destinations
+   */
+  async processScheduledBackups() {
+    try {
+      logger.info('Starting scheduled backups...');
+      const result = await runDueSchedules();
+      logger.info('Scheduled backups completed', result);
+      return result;
+
+    } catch (error) {
+      logger.error('Scheduled backups failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * DNS Reconcile
+   * Retries failed zone pushes and repairs changes made on the nameservers
+   */
+  async processDnsReconcile() {
+    try {
+      logger.info('Starting DNS reconcile process...');
+      const result = await reconcileZones();
+      logger.info('DNS reconcile process completed', result);
+      return result;
+
+    } catch (error) {
+      logger.error('DNS reconcile process failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * TLS Endpoint Checks
+   * Reads the certificates served by monitored endpoints and raises or resolves their alerts
+   */
+  async processTlsEndpointChecks() {
+    try {
+      logger.info('Starting TLS endpoint checks...');
+      const result = await checkAllEndpoints();
+      logger.info('TLS endpoint checks completed', result);
+      return result;
+
+    } catch (error) {
+      logger.error('TLS endpoint checks failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Manual trigger for testing
    */
@@ -405,12 +536,22 @@ class CronService {
     switch (jobName) {
       case 'recurring-billing':
         return await this.processRecurringBilling();
+      case 'account-credit':
+        return await this.processAccountCredit();
       case 'service-suspension':
         return await this.processServiceSuspensions();
       case 'ssl-renewal':
         return await this.processSSLRenewals();
       case 'backup-cleanup':
         return await this.processBackupCleanup();
+      case 'agent-snapshot-cleanup':
+        return await this.processAgentSnapshotCleanup();
+      case 'backup-schedules':
+        return await this.processScheduledBackups();
+      case 'dns-reconcile':
+        return await this.processDnsReconcile();
+      case 'tls-endpoints':
+        return await this.processTlsEndpointChecks();
       default:
         throw new Error(`Unknown job: ${jobName}`);
     }
@@ -0,0 +1,167 @@
+/**
+ * PowerDNS DNS driver
+ * Talks to the PowerDNS Authoritative HTTP API (/api/v1). Zones are
+ * addressed by their canonical name with a trailing dot.
+ */
+
+import axios from 'axios';
+
+/**
+ * Create a PowerDNS driver
+ * @param {Object} options
+ * @param {string} options.apiUrl - API base URL, e.g. http://ns1.internal:8081
+ * @param {string} options.apiKey - X-API-Key value
+ * @param {string} options.serverId - PowerDNS server id (default: 'localhost')
+ * @param {number} options.timeout - Request timeout in ms (default: 10000)
+ * @returns {Object} - DNS driver
+ */
+export function createPowerDNSDriver({ apiUrl, apiKey, serverId = 'localhost', timeout = 10000 }) {
+  if (!apiUrl) {
+    throw new Error('PowerDNS driver needs PDNS_API_URL');
+  }
+
+  const http = axios.create({
+    baseURL: `${apiUrl.replace(/\/$/, '')}/api/v1/servers/${encodeURIComponent(serverId)}`,
+    headers: { 'X-API-Key': apiKey || '' },
+    timeout
+  });
+
+  const zonePath = (name) => `/zones/${encodeURIComponent(name)}`;
+
+  // Surface the API's own message instead of a bare status code
+  const request = async (config) => {
+    try {
+      return await http.request(config);
+    } catch (error) {
+      const detail = error.response?.data?.error;
+      if (detail) {
+        error.message = `PowerDNS ${config.method.toUpperCase()} ${config.url}: ${detail}`;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'powerdns',
+
+    async listZones() {
+      const response = await request({ method: 'get', url: '/zones' });
+      return response.data.map((zone) => ({ name: zone.name, kind: zone.kind, serial: zone.serial }));
+    },
+
+    async getZone(name) {
+      try {
+        const response = await request({ method: 'get', url: zonePath(name) });
+        const { rrsets = [], serial, kind, masters = [] } = response.data;
+        return {
+          name: response.data.name,
+          kind,
+          serial,
+          masters,
+          // Unix time of the last successful SOA check of a secondary zone, 0 when never
+          lastCheck: response.data.last_check || 0,
+          rrsets: rrsets.map((rrset) => ({
+            name: rrset.name,
+            type: rrset.type,
+            ttl: rrset.ttl,
+            records: rrset.records.filter((r) => !r.disabled).map((r) => ({ content: r.content }))
+          }))
+        };
+      } catch (error) {
+        // Older PowerDNS versions answer 422 for unknown zones
+        if ([404, 422].includes(error.response?.status)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async createZone({ name, kind = 'Native', nameservers = [], masters = [], rrsets = [] }) {
+      await request({
+        method: 'post',
+        url: '/zones',
+        data: {
+          name,
+          kind,
+          nameservers,
+          masters,
+          // The panel owns the SOA serial; stop PowerDNS from rewriting it
+          soa_edit_api: '',
+          rrsets: rrsets.map((rrset) => ({ ...rrset, records: rrset.records.map((r) => ({ ...r, disabled: false })) }))
+        }
+      });
+    },
+
+    async patchRRsets(name, rrsets) {
+      await request({
+        method: 'patch',
+        url: zonePath(name),
+        data: {
+          rrsets: rrsets.map((rrset) => ({
+            ...rrset,
+            records: (rrset.records || []).map((r) => ({ ...r, disabled: false }))
+          }))
+        }
+      });
+    },
+
+    async updateZone(name, { kind, masters }) {
+      await request({ method: 'put', url: zonePath(name), data: { kind, masters } });
+    },
+
+    // Transfer settings live in zone metadata, e.g. ALLOW-AXFR-FROM, ALSO-NOTIFY
+    async getMetadata(name) {
+      const response = await request({ method: 'get', url: `${zonePath(name)}/metadata` });
+      return Object.fromEntries(response.data.map((entry) => [entry.kind, entry.metadata]));
+    },
+
+    async setMetadata(name, kind, values) {
+      const url = `${zonePath(name)}/metadata/${encodeURIComponent(kind)}`;
+      if (values.length === 0) {
+        await request({ method: 'delete', url });
+      } else {
+        await request({ method: 'put', url, data: { kind, metadata: values } });
+      }
+    },
+
+    async putTsigKey({ name, algorithm, secret }) {
+      const data = { name, algorithm, key: secret };
+      try {
+        await request({ method: 'put', url: `/tsigkeys/${encodeURIComponent(`${name}.`)}`, data });
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        await request({ method: 'post', url: '/tsigkeys', data });
+      }
+    },
+
+    async deleteTsigKey(name) {
+      try {
+        await request({ method: 'delete', url: `/tsigkeys/${encodeURIComponent(`${name}.`)}` });
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    },
+
+    // Ask a secondary zone to transfer from its primaries now
+    async retrieveZone(name) {
+      await request({ method: 'put', url: `${zonePath(name)}/axfr-retrieve` });
+    },
+
+    // Send NOTIFY for a primary zone to its secondaries
+    async notifyZone(name) {
+      await request({ method: 'put', url: `${zonePath(name)}/notify` });
+    },
+
+    async deleteZone(name) {
+      try {
+        await request({ method: 'delete', url: zonePath(name) });
+      } catch (error) {
+        if (![404, 422].includes(error.response?.status)) {
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+export default createPowerDNSDriver;
@@ -0,0 +1,313 @@
+/**
+ * DNS change history
+ * Every change to a zone is stored as a version keyed by the zone serial it
+ * produced: a full snapshot of the records, the rrsets that changed since the
+ * previous version and who made the change. Any two versions can be diffed,
+ * and a zone can be rolled back to an earlier snapshot.
+ */
+
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import { relativeName } from '../utils/zoneFile.js';
+import { scheduleZoneSync } from './dnsSyncService.js';
+
+const SUMMARY_ITEMS = 3;
+
+const recordKey = (record) => `${record.name}|${record.type}`;
+
+const compareRecords = (a, b) =>
+  a.type.localeCompare(b.type) || a.name.localeCompare(b.name) || a.content.localeCompare(b.content);
+
+/**
+ * Normalised, sorted copy of a zone's records as stored in a version
+ * @param {Object[]} records - dns_records rows (either column naming)
+ * @param {string} domain - Zone domain
+ * @returns {Object[]} - [{ type, name, content, ttl, priority }]
+ */
+export function snapshotRecords(records, domain) {
+  return records
+    .map((record) => ({
+      type: String(record.type).toUpperCase(),
+      name: relativeName(record.name, domain),
+      content: String(record.content ?? ''),
+      ttl: record.ttl === null || record.ttl === undefined ? null : parseInt(record.ttl, 10),
+      priority: record.priority ?? record.prio ?? null
+    }))
+    .sort(compareRecords);
+}
+
+/**
+ * Rrsets that differ between two snapshots
+ * @param {Object[]} before - Older snapshot
+ * @param {Object[]} after - Newer snapshot
+ * @returns {Object[]} - [{ name, type, before, after }]; before is empty for added rrsets, after for deleted ones
+ */
+export function diffSnapshots(before, after) {
+  const group = (records) => {
+    const sets = new Map();
+    for (const record of records) {
+      const key = recordKey(record);
+      if (!sets.has(key)) sets.set(key, []);
+      sets.get(key).push(record);
+    }
+    for (const set of sets.values()) {
+      set.sort(compareRecords);
+    }
+    return sets;
+  };
+
+  const oldSets = group(before);
+  const newSets = group(after);
+  const keys = [...new Set([...oldSets.keys(), ...newSets.keys()])].sort();
+  const changes = [];
+
+  for (const key of keys) {
+    const oldSet = oldSets.get(key) || [];
+    const newSet = newSets.get(key) || [];
+    if (JSON.stringify(oldSet) === JSON.stringify(newSet)) continue;
+
+    const [name, type] = key.split('|');
+    changes.push({ name, type, before: oldSet, after: newSet });
+  }
+
+  return changes;
+}
+
+/**
+ * One-line description of a set of rrset changes, e.g. "Deleted MX @"
+ * @param {Object[]} changes - Output of diffSnapshots
+ * @returns {string}
+ */
+export function summarizeChanges(changes) {
+  if (changes.length === 0) return 'No record changes';
+
+  const verb = (change) => {
+    if (change.before.length === 0) return 'Added';
+    if (change.after.length === 0) return 'Deleted';
+    return 'Changed';
+  };
+  const listed = changes.slice(0, SUMMARY_ITEMS).map((change) => `${verb(change)} ${change.type} ${change.name}`).join(', ');
+  return changes.length > SUMMARY_ITEMS ? `${listed} and ${changes.length - SUMMARY_ITEMS} more` : listed;
+}
+
+/**
+ * Who made a change, taken from an authenticated request
+ * @param {Object} req - Express request
+ * @returns {Object} - { userId, apiKeyId, source, ip }
+ */
+export function actorFromRequest(req) {
+  return {
+    userId: req.user?.id ?? null,
+    apiKeyId: req.apiKey?.id ?? null,
+    source: req.apiKey ? 'api_key' : 'ui',
+    ip: req.ip || null
+  };
+}
+
+/**
+ * Store the zone's current state as a new version. Call it after the change
+ * and the serial bump, with the same client when inside a transaction.
+ * @param {Object} db - pg pool or client
+ * @param {number} zoneId - dns_zones id
+ * @param {Object} options
+ * @param {string} options.action - What happened, e.g. 'record_deleted'
+ * @param {Object} options.actor - From actorFromRequest, or { source: 'system' }
+ * @param {string} options.note - Prefix for the generated summary
+ * @returns {Promise<Object|null>} - The version row, or null when the zone is gone or the serial is already recorded
+ */
+export async function recordZoneVersion(db, zoneId, { action, actor = {}, note }) {
+  const zoneResult = await db.query(`SELECT * FROM dns_zones WHERE id = $1`, [zoneId]);
+  if (zoneResult.rows.length === 0) return null;
+
+  const zone = zoneResult.rows[0];
+  const domain = zone.domain || zone.name;
+  const recordsResult = await db.query(`SELECT * FROM dns_records WHERE zone_id = $1`, [zoneId]);
+  const records = snapshotRecords(recordsResult.rows, domain);
+
+  const previousResult = await db.query(
+    `SELECT records FROM dns_zone_versions WHERE zone_id = $1 AND serial < $2
+     ORDER BY serial DESC LIMIT 1`,
+    [zoneId, zone.serial]
+  );
+  const previous = previousResult.rows[0]?.records || [];
+  const changes = diffSnapshots(snapshotRecords(previous, domain), records);
+  const summary = note ? `${note}: ${summarizeChanges(changes)}` : summarizeChanges(changes);
+
+  const result = await db.query(
+    `INSERT INTO dns_zone_versions
+       (zone_id, serial, action, summary, source, user_id, api_key_id, ip_address, records, changes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (zone_id, serial) DO NOTHING
+     RETURNING *`,
+    [
+      zoneId,
+      zone.serial,
+      action,
+      summary,
+      actor.source || 'system',
+      actor.userId ?? null,
+      actor.apiKeyId ?? null,
+      actor.ip ?? null,
+      JSON.stringify(records),
+      JSON.stringify(changes)
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * recordZoneVersion for writes that are already committed. Never throws, so
+ * a history failure cannot fail the change itself.
+ * @param {number} zoneId - dns_zones id
+ * @param {string} action - What happened
+ * @param {Object} actor - Who did it
+ * @param {string} note - Prefix for the generated summary
+ */
+export async function trackZoneChange(zoneId, action, actor, note) {
+  try {
+    await recordZoneVersion(pool, zoneId, { action, actor, note });
+  } catch (error) {
+    logger.error(`[DNS] Could not record history for zone ${zoneId}:`, error);
+  }
+}
+
+/**
+ * Versions of a zone, newest first, without their snapshots
+ * @param {number} zoneId - dns_zones id
+ * @param {Object} options
+ * @param {number} options.limit - Page size (default: 50)
+ * @param {number} options.offset - Rows to skip
+ * @returns {Promise<Object[]>}
+ */
+export async function listVersions(zoneId, { limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT v.id, v.serial, v.action, v.summary, v.source, v.user_id, v.api_key_id, v.ip_address,
+            v.created_at, jsonb_array_length(v.changes) AS change_count,
+            u.email AS user_email, ak.name AS api_key_name
+     FROM dns_zone_versions v
+     LEFT JOIN users u ON u.id = v.user_id
+     LEFT JOIN api_keys ak ON ak.id = v.api_key_id
+     WHERE v.zone_id = $1
+     ORDER BY v.serial DESC
+     LIMIT $2 OFFSET $3`,
+    [zoneId, limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * One version with its snapshot and changes
+ * @param {number} zoneId - dns_zones id
+ * @param {number|string} serial - Zone serial of the version
+ * @returns {Promise<Object|null>}
+ */
+export async function getVersion(zoneId, serial) {
+  const result = await pool.query(
+    `SELECT * FROM dns_zone_versions WHERE zone_id = $1 AND serial = $2`,
+    [zoneId, serial]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Rrset differences between two versions of a zone
+ * @param {Object} zone - dns_zones row
+ * @param {number|string} fromSerial - Older version
+ * @param {number|string} toSerial - Newer version; the zone's current records when omitted
+ * @returns {Promise<Object|null>} - { from, to, changes, summary }, or null when a version does not exist
+ */
+export async function diffVersions(zone, fromSerial, toSerial) {
+  const domain = zone.domain || zone.name;
+  const from = await getVersion(zone.id, fromSerial);
+  if (!from) return null;
+
+  let toRecords;
+  if (toSerial === undefined || toSerial === null || toSerial === '') {
+    const result = await pool.query(`SELECT * FROM dns_records WHERE zone_id = $1`, [zone.id]);
+    toRecords = result.rows;
+    toSerial = zone.serial;
+  } else {
+    const to = await getVersion(zone.id, toSerial);
+    if (!to) return null;
+    toRecords = to.records;
+  }
+
+  const changes = diffSnapshots(snapshotRecords(from.records, domain), snapshotRecords(toRecords, domain));
+  return { from: from.serial, to: String(toSerial), changes, summary: summarizeChanges(changes) };
+}
+
+/**
+ * Replace a zone's records with the snapshot of an earlier version. The
+ * rollback is itself a new version, so it can be undone the same way.
+ * @param {number} zoneId - dns_zones id
+ * @param {number|string} serial - Version to restore
+ * @param {Object} actor - Who asked for it
+ * @returns {Promise<Object|null>} - The new version, or null when the version does not exist
+ */
+export async function rollbackZone(zoneId, serial, actor) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const zoneResult = await client.query(`SELECT * FROM dns_zones WHERE id = $1 FOR UPDATE`, [zoneId]);
+    const versionResult = await client.query(
+      `SELECT * FROM dns_zone_versions WHERE zone_id = $1 AND serial = $2`,
+      [zoneId, serial]
+    );
+    if (zoneResult.rows.length === 0 || versionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const zone = zoneResult.rows[0];
+    const records = snapshotRecords(versionResult.rows[0].records, zone.domain || zone.name);
+
+    await client.query(`DELETE FROM dns_records WHERE zone_id = $1`, [zoneId]);
+    for (const record of records) {
+      await client.query(
+        `INSERT INTO dns_records (zone_id, type, name, content, ttl, priority)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [zoneId, record.type, record.name, record.content, record.ttl, record.priority]
+      );
+    }
+
+    await client.query(
+      `UPDATE dns_zones SET serial = $1, updated_at = NOW() WHERE id = $2`,
+      [Date.now(), zoneId]
+    );
+    const version = await recordZoneVersion(client, zoneId, {
+      action: 'rollback',
+      actor,
+      note: `Rolled back to ${serial}`
+    });
+
+    await client.query(
+      `INSERT INTO activity_logs (user_id, type, description) VALUES ($1, $2, $3)`,
+      [actor.userId ?? null, 'dns_zone_rolled_back', `Rolled back DNS zone ${zone.domain || zone.name} to serial ${serial}`]
+    );
+
+    await client.query('COMMIT');
+    await scheduleZoneSync(zoneId);
+
+    return version;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  snapshotRecords,
+  diffSnapshots,
+  summarizeChanges,
+  actorFromRequest,
+  recordZoneVersion,
+  trackZoneChange,
+  listVersions,
+  getVersion,
+  diffVersions,
+  rollbackZone,
+};
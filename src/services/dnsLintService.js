@@ -0,0 +1,205 @@
+/**
+ * DNS Zone Linting
+ * Reports problems in a zone's existing records. Syntax and zone rules come
+ * from utils/dnsValidation.js; the checks here are advisory ones that also
+ * look outside the zone, such as CNAMEs left pointing at removed websites.
+ */
+
+import { Resolver } from 'dns/promises';
+import pool from '../db/index.js';
+import { relativeName, txtStrings } from '../utils/zoneFile.js';
+import { validateRecord, validateRecordSet } from '../utils/dnsValidation.js';
+
+const RESOLVE_TIMEOUT_MS = parseInt(process.env.DNS_LINT_TIMEOUT_MS || '3000', 10);
+
+const bareName = (name) => String(name || '').toLowerCase().replace(/\.$/, '');
+
+const txtValues = (records, name, domain) => records
+  .filter((r) => ['TXT', 'SPF'].includes(String(r.type).toUpperCase()) && relativeName(r.name, domain) === name)
+  .map((r) => ({ record: r, value: (txtStrings(r.content) || [String(r.content)]).join('') }));
+
+/**
+ * Fully qualified target of a CNAME, MX or NS record, without the trailing dot
+ */
+function targetName(content, domain) {
+  const value = bareName(content);
+  if (value === '@' || value === '') return bareName(domain);
+  return String(content).trim().endsWith('.') || value.includes('.') ? value : `${value}.${bareName(domain)}`;
+}
+
+/**
+ * Whether a zone has anything at a relative name, counting wildcards
+ */
+function nameExists(records, name, domain) {
+  const names = new Set(records.map((r) => relativeName(r.name, domain)));
+  if (names.has(name)) return true;
+
+  const labels = name.split('.');
+  for (let i = 1; i <= labels.length; i++) {
+    const parent = labels.slice(i).join('.');
+    if (names.has(parent ? `*.${parent}` : '*')) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks that need nothing but the zone's own records
+ * @param {Object[]} records - Rows from dns_records
+ * @param {Object} options
+ * @param {string} options.domain - Zone domain
+ * @returns {Object[]} - Problems as { severity, code, message, recordId?, name? }
+ */
+export function lintRecords(records, { domain }) {
+  const problems = [];
+  const zone = bareName(domain);
+  const add = (severity, code, message, record = null) => problems.push({
+    severity,
+    code,
+    message,
+    recordId: record?.id ?? null,
+    name: record ? relativeName(record.name, domain) : null
+  });
+
+  for (const record of records) {
+    for (const error of validateRecord(record, { domain })) {
+      add('error', 'invalid_record', `${String(record.type).toUpperCase()} ${relativeName(record.name, domain)}: ${error.message}`, record);
+    }
+  }
+
+  for (const problem of validateRecordSet(records, { domain })) {
+    add('error', 'record_conflict', problem.message, problem.records[0]);
+  }
+
+  const spf = txtValues(records, '@', domain).filter(({ value }) => /^v=spf1(\s|$)/i.test(value));
+  const hasMx = records.some((r) => String(r.type).toUpperCase() === 'MX');
+  if (spf.length === 0) {
+    add('warning', 'missing_spf', hasMx
+      ? 'No SPF record; add a TXT record at @ such as "v=spf1 mx ~all"'
+      : 'No SPF record; if the domain sends no mail, add "v=spf1 -all" to stop spoofing');
+  } else if (spf.length > 1) {
+    add('error', 'multiple_spf', 'More than one SPF record at @; receivers treat this as a permanent error', spf[1].record);
+  }
+  for (const record of records.filter((r) => String(r.type).toUpperCase() === 'SPF')) {
+    add('warning', 'spf_record_type', 'The SPF record type is obsolete; publish SPF as a TXT record', record);
+  }
+
+  const dmarc = txtValues(records, '_dmarc', domain).filter(({ value }) => /^v=DMARC1(\s*;|$)/i.test(value));
+  if (dmarc.length === 0) {
+    add('warning', 'missing_dmarc', 'No DMARC record; add a TXT record at _dmarc such as "v=DMARC1; p=none"');
+  } else if (dmarc.length > 1) {
+    add('error', 'multiple_dmarc', 'More than one DMARC record at _dmarc', dmarc[1].record);
+  }
+
+  const cnameNames = new Set(records
+    .filter((r) => String(r.type).toUpperCase() === 'CNAME')
+    .map((r) => relativeName(r.name, domain)));
+
+  for (const record of records) {
+    const type = String(record.type).toUpperCase();
+    if (!['CNAME', 'MX', 'NS'].includes(type)) continue;
+
+    const target = targetName(record.content, domain);
+    if (target !== zone && !target.endsWith(`.${zone}`)) continue;
+
+    const targetRelative = relativeName(target, domain);
+    if (type !== 'CNAME' && cnameNames.has(targetRelative)) {
+      add('warning', 'target_is_cname', `${type} ${relativeName(record.name, domain)} points at ${target}, which is a CNAME`, record);
+    } else if (type === 'CNAME' && !nameExists(records, targetRelative, domain)) {
+      add('error', 'dangling_cname', `CNAME ${relativeName(record.name, domain)} points at ${target}, which has no records`, record);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Find CNAMEs whose out-of-zone target is gone: a name in another zone we
+ * host that has no records any more (typically a removed website), or an
+ * external name that no longer resolves
+ */
+async function lintExternalTargets(records, domain) {
+  const problems = [];
+  const zone = bareName(domain);
+  const resolver = new Resolver({ timeout: RESOLVE_TIMEOUT_MS, tries: 1 });
+
+  for (const record of records.filter((r) => String(r.type).toUpperCase() === 'CNAME')) {
+    const target = targetName(record.content, domain);
+    if (target === zone || target.endsWith(`.${zone}`)) continue;
+
+    const name = relativeName(record.name, domain);
+    const hosted = await pool.query(
+      `SELECT id, domain FROM dns_zones
+       WHERE $1 = LOWER(domain) OR $1 LIKE '%.' || LOWER(domain)
+       ORDER BY LENGTH(domain) DESC
+       LIMIT 1`,
+      [target]
+    );
+
+    if (hosted.rows.length > 0) {
+      const targetZone = hosted.rows[0];
+      const targetRecords = await pool.query(
+        `SELECT name, type FROM dns_records WHERE zone_id = $1`,
+        [targetZone.id]
+      );
+      if (!nameExists(targetRecords.rows, relativeName(target, targetZone.domain), targetZone.domain)) {
+        problems.push({
+          severity: 'error',
+          code: 'dangling_cname',
+          message: `CNAME ${name} points at ${target}, which no longer has any records (was the website removed?)`,
+          recordId: record.id ?? null,
+          name
+        });
+      }
+      continue;
+    }
+
+    try {
+      await resolver.resolve(target, 'A');
+    } catch (error) {
+      // Only a definite NXDOMAIN counts; timeouts say nothing about the target
+      if (error.code === 'ENOTFOUND') {
+        problems.push({
+          severity: 'warning',
+          code: 'dangling_cname',
+          message: `CNAME ${name} points at ${target}, which does not exist`,
+          recordId: record.id ?? null,
+          name
+        });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Lint a zone
+ * @param {Object} zone - Row from dns_zones
+ * @param {Object[]} records - Rows from dns_records
+ * @param {Object} options
+ * @param {boolean} options.checkExternal - Also check CNAME targets outside the zone (default: true)
+ * @returns {Promise<Object>} - { problems, summary: { errors, warnings } }
+ */
+export async function lintZone(zone, records, { checkExternal = true } = {}) {
+  const domain = zone.domain || zone.name;
+  const problems = lintRecords(records, { domain });
+
+  if (checkExternal) {
+    problems.push(...await lintExternalTargets(records, domain));
+  }
+
+  return {
+    zoneId: zone.id,
+    domain,
+    problems,
+    summary: {
+      errors: problems.filter((p) => p.severity === 'error').length,
+      warnings: problems.filter((p) => p.severity === 'warning').length
+    }
+  };
+}
+
+export default {
+  lintRecords,
+  lintZone,
+};
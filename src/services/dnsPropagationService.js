@@ -0,0 +1,310 @@
+/**
+ * DNS propagation checks
+ * Answers whether a change is live: asks the parent zone how the domain is
+ * delegated (and with which glue), asks each authoritative nameserver and a
+ * configurable set of public resolvers for a name, and compares every answer
+ * with dns_records.
+ *
+ * Resolvers come from DNS_CHECK_RESOLVERS, e.g. "Google=8.8.8.8,Local=127.0.0.1:5353".
+ * The first one is also used to find the parent zone and nameserver addresses.
+ */
+
+import logger from '../config/logger.js';
+import { queryDns } from '../utils/dnsWire.js';
+import { relativeName, recordData, soaSerial, txtStrings } from '../utils/zoneFile.js';
+
+const DEFAULT_RESOLVERS = 'Google=8.8.8.8,Cloudflare=1.1.1.1,Quad9=9.9.9.9,OpenDNS=208.67.222.222';
+
+export const CHECK_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SRV', 'CAA', 'SOA'];
+
+const timeoutMs = () => parseInt(process.env.DNS_CHECK_TIMEOUT_MS || '3000', 10);
+
+const bare = (name) => String(name || '').toLowerCase().replace(/\.$/, '');
+
+// IPv6 addresses have many spellings; the URL parser gives the canonical one
+const canonicalAddress = (address) => {
+  const value = String(address).trim().toLowerCase();
+  return value.includes(':') ? new URL(`http://[${value}]`).hostname.slice(1, -1) : value;
+};
+
+/**
+ * Resolvers to check, from DNS_CHECK_RESOLVERS
+ * @returns {Object[]} - [{ name, address }]
+ */
+export function configuredResolvers() {
+  return (process.env.DNS_CHECK_RESOLVERS || DEFAULT_RESOLVERS)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [label, address] = entry.includes('=') ? entry.split('=') : [entry, entry];
+      return { name: label.trim(), address: address.trim() };
+    });
+}
+
+/**
+ * Comparable form of record data: host names and hex lower case, TXT strings
+ * joined, whitespace collapsed
+ */
+function normalizeData(type, data) {
+  const value = String(data).trim();
+  if (type === 'TXT' || type === 'SPF') return (txtStrings(value) || [value]).join('');
+  if (type === 'CAA') return value.replace(/\s+/g, ' ');
+  if (type === 'AAAA') return canonicalAddress(value);
+  return value.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * What the nameservers should answer for a name, from the zone's records
+ * @param {Object} zone - dns_zones row
+ * @param {Object[]} records - dns_records rows
+ * @param {string} name - Relative name, '@' for the apex
+ * @param {string} type - Record type asked for
+ * @returns {{ type: string, values: string[] }} - type is CNAME when the name is an alias
+ */
+export function expectedAnswers(zone, records, name, type) {
+  const domain = bare(zone.domain || zone.name);
+  const matching = (owner) => records.filter((r) => relativeName(r.name, domain) === owner);
+
+  // A name without records of its own is answered by the closest wildcard
+  let owned = matching(name);
+  const labels = name === '@' ? [] : name.split('.');
+  for (let i = 1; owned.length === 0 && i <= labels.length; i++) {
+    const parent = labels.slice(i).join('.');
+    owned = matching(parent ? `*.${parent}` : '*');
+  }
+
+  const alias = owned.some((r) => String(r.type).toUpperCase() === 'CNAME') && type !== 'CNAME';
+  const answerType = alias ? 'CNAME' : type;
+  const values = owned
+    .filter((r) => String(r.type).toUpperCase() === answerType)
+    .map((r) => (answerType === 'SOA' ? String(soaSerial(zone.serial)) : normalizeData(answerType, recordData(r, domain))));
+
+  return { type: answerType, values: [...new Set(values)].sort() };
+}
+
+/**
+ * Compare one server's answer with the expected values
+ * @returns {Object} - { status, values, ttl }; status is 'propagated', 'stale', 'missing' or 'unexpected'
+ */
+function compareAnswer(response, fqdn, expected) {
+  const rrs = response.answers.filter((rr) => rr.type === expected.type && bare(rr.name) === fqdn);
+  const values = [...new Set(rrs.map((rr) => (expected.type === 'SOA'
+    ? rr.data.split(/\s+/)[2]
+    : normalizeData(rr.type, rr.data))))].sort();
+  const ttl = rrs.length > 0 ? Math.min(...rrs.map((rr) => rr.ttl)) : null;
+
+  let status;
+  if (JSON.stringify(values) === JSON.stringify(expected.values)) status = 'propagated';
+  else if (values.length === 0) status = 'missing';
+  else if (expected.values.length === 0) status = 'unexpected';
+  else status = 'stale';
+
+  return { status, values, ttl, rcode: response.rcode };
+}
+
+async function ask(server, name, type, options) {
+  try {
+    return { response: await queryDns(server, name, type, { timeoutMs: timeoutMs(), ...options }) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Addresses of a nameserver: glue from the parent when there is some,
+ * otherwise looked up through the first resolver
+ */
+async function nameserverAddresses(nameserver, glue, lookup) {
+  const known = glue.find((entry) => entry.nameserver === nameserver)?.addresses || [];
+  if (known.length > 0) return known;
+
+  const { response } = await ask(lookup, nameserver, 'A', { recursion: true });
+  return (response?.answers || []).filter((rr) => rr.type === 'A').map((rr) => rr.data);
+}
+
+/**
+ * How the parent zone delegates the domain. The parent is the closest
+ * enclosing zone that has nameservers, e.g. "com" for "example.com".
+ * @param {string} domain - Zone domain
+ * @param {Object} options
+ * @param {string[]} options.expectedNameservers - Nameservers the domain should be delegated to
+ * @param {Object[]} options.records - dns_records rows, to check glue for in-zone nameservers
+ * @param {string} options.lookup - Resolver for the parent's nameservers
+ * @param {number} options.port - Port of the parent's nameservers (default: 53)
+ * @returns {Promise<Object>} - { status, parent, nameservers, missing, extra, glue, error }
+ */
+export async function checkDelegation(domain, { expectedNameservers = [], records = [], lookup, port = 53 }) {
+  const zone = bare(domain);
+  const labels = zone.split('.');
+  const result = { status: 'error', parent: null, parentServer: null, nameservers: [], missing: [], extra: [], glue: [], error: null };
+
+  // Find the parent zone and its nameservers
+  let parentServers = [];
+  for (let i = 1; i < labels.length && parentServers.length === 0; i++) {
+    const parent = labels.slice(i).join('.');
+    const { response } = await ask(lookup, parent, 'NS', { recursion: true });
+    parentServers = (response?.answers || []).filter((rr) => rr.type === 'NS' && bare(rr.name) === parent).map((rr) => bare(rr.data));
+    if (parentServers.length > 0) result.parent = parent;
+  }
+  if (parentServers.length === 0) {
+    result.error = `Could not find the nameservers of the parent zone of ${zone}`;
+    return result;
+  }
+
+  // Ask the parent's servers in turn until one answers
+  let referral = null;
+  for (const server of parentServers.slice(0, 3)) {
+    for (const address of await nameserverAddresses(server, [], lookup)) {
+      const { response, error } = await ask(address, zone, 'NS', { recursion: false, port });
+      if (response && ['NOERROR', 'NXDOMAIN'].includes(response.rcode)) {
+        referral = response;
+        result.parentServer = server;
+        break;
+      }
+      result.error = error || `${server} answered ${response.rcode}`;
+    }
+    if (referral) break;
+  }
+  if (!referral) return result;
+  result.error = null;
+
+  if (referral.rcode === 'NXDOMAIN') {
+    result.status = 'not_delegated';
+    result.error = `${zone} does not exist in ${result.parent}; is the domain registered?`;
+    return result;
+  }
+
+  // A referral carries the nameservers in the authority section; a parent that also serves the child answers directly
+  const nsRecords = [...referral.answers, ...referral.authority].filter((rr) => rr.type === 'NS' && bare(rr.name) === zone);
+  result.nameservers = [...new Set(nsRecords.map((rr) => bare(rr.data)))].sort();
+  const glue = referral.additional.filter((rr) => ['A', 'AAAA'].includes(rr.type));
+
+  const expected = [...new Set(expectedNameservers.map(bare))].sort();
+  result.missing = expected.filter((ns) => !result.nameservers.includes(ns));
+  result.extra = result.nameservers.filter((ns) => !expected.includes(ns));
+
+  // Nameservers inside the zone cannot be found without glue, and the glue must match the zone
+  for (const nameserver of result.nameservers.filter((ns) => ns === zone || ns.endsWith(`.${zone}`))) {
+    const name = relativeName(nameserver, zone);
+    const addresses = glue.filter((rr) => bare(rr.name) === nameserver).map((rr) => canonicalAddress(rr.data)).sort();
+    const inZone = records
+      .filter((r) => ['A', 'AAAA'].includes(String(r.type).toUpperCase()) && relativeName(r.name, zone) === name)
+      .map((r) => canonicalAddress(r.content))
+      .sort();
+
+    let status = 'ok';
+    if (addresses.length === 0) status = 'missing';
+    else if (inZone.length > 0 && JSON.stringify(addresses) !== JSON.stringify(inZone)) status = 'mismatch';
+    result.glue.push({ nameserver, addresses, expected: inZone, status });
+  }
+
+  const glueOk = result.glue.every((entry) => entry.status === 'ok');
+  result.status = result.nameservers.length === 0
+    ? 'not_delegated'
+    : result.missing.length === 0 && result.extra.length === 0 && glueOk ? 'ok' : 'mismatch';
+
+  return result;
+}
+
+/**
+ * Check whether a name has propagated
+ * @param {Object} zone - dns_zones row
+ * @param {Object[]} records - dns_records rows
+ * @param {Object} query
+ * @param {string} query.name - Relative name, '@' for the apex
+ * @param {string} query.type - Record type (default: 'A')
+ * @param {Object[]} query.resolvers - [{ name, address }] (default: configuredResolvers())
+ * @param {number} query.port - Port of the parent and authoritative nameservers (default: 53)
+ * @returns {Promise<Object>} - { name, type, expected, delegation, authoritative, resolvers, summary }
+ */
+export async function checkPropagation(zone, records, { name = '@', type = 'A', resolvers = configuredResolvers(), port = 53 } = {}) {
+  const domain = bare(zone.domain || zone.name);
+  const relative = relativeName(name, domain);
+  const fqdn = relative === '@' ? domain : `${relative}.${domain}`;
+  const expected = expectedAnswers(zone, records, relative, type);
+  const lookup = resolvers[0]?.address;
+  if (!lookup) {
+    throw new Error('No resolvers configured; set DNS_CHECK_RESOLVERS');
+  }
+
+  const apexNs = records
+    .filter((r) => String(r.type).toUpperCase() === 'NS' && relativeName(r.name, domain) === '@')
+    .map((r) => bare(recordData(r, domain)));
+  const expectedNameservers = apexNs.length > 0
+    ? apexNs
+    : (process.env.DNS_NAMESERVERS || '').split(',').map(bare).filter(Boolean);
+
+  const delegation = await checkDelegation(domain, { expectedNameservers, records, lookup, port });
+
+  // Check the servers the world is sent to, falling back to the ones we expect
+  const servers = delegation.nameservers.length > 0 ? delegation.nameservers : expectedNameservers;
+  const authoritative = await Promise.all(servers.map(async (server) => {
+    const addresses = await nameserverAddresses(server, delegation.glue, lookup);
+    if (addresses.length === 0) {
+      return { server, address: null, status: 'error', error: `${server} has no address` };
+    }
+
+    const address = addresses[0];
+    const { response, error } = await ask(address, fqdn, expected.type, { recursion: false, port });
+    if (!response) return { server, address, status: 'error', error };
+    if (!['NOERROR', 'NXDOMAIN'].includes(response.rcode)) {
+      return { server, address, status: 'error', error: `Answered ${response.rcode}` };
+    }
+    if (!response.flags.aa) {
+      return { server, address, status: 'lame', error: `${server} is not authoritative for ${domain}` };
+    }
+
+    const soa = await ask(address, domain, 'SOA', { recursion: false, port });
+    const serialRecord = soa.response?.answers.find((rr) => rr.type === 'SOA');
+    return {
+      server,
+      address,
+      ...compareAnswer(response, fqdn, expected),
+      serial: serialRecord ? Number(serialRecord.data.split(/\s+/)[2]) : null
+    };
+  }));
+
+  const resolverResults = await Promise.all(resolvers.map(async (resolver) => {
+    const { response, error } = await ask(resolver.address, fqdn, expected.type, { recursion: true });
+    if (!response) return { resolver: resolver.name, address: resolver.address, status: 'error', error };
+    if (!['NOERROR', 'NXDOMAIN'].includes(response.rcode)) {
+      return { resolver: resolver.name, address: resolver.address, status: 'error', error: `Answered ${response.rcode}` };
+    }
+    return { resolver: resolver.name, address: resolver.address, ...compareAnswer(response, fqdn, expected) };
+  }));
+
+  const count = (results) => results.filter((r) => r.status === 'propagated').length;
+  const summary = {
+    expectedSerial: soaSerial(zone.serial),
+    delegation: delegation.status,
+    authoritative: `${count(authoritative)}/${authoritative.length}`,
+    resolvers: `${count(resolverResults)}/${resolverResults.length}`,
+    propagated: delegation.status === 'ok'
+      && authoritative.length > 0
+      && count(authoritative) === authoritative.length
+      && count(resolverResults) === resolverResults.length
+  };
+
+  if (!summary.propagated) {
+    logger.debug(`[DNS] ${expected.type} ${fqdn} not fully propagated`, summary);
+  }
+
+  return {
+    name: fqdn,
+    type: expected.type,
+    expected: expected.values,
+    delegation,
+    authoritative,
+    resolvers: resolverResults,
+    summary
+  };
+}
+
+export default {
+  CHECK_TYPES,
+  configuredResolvers,
+  expectedAnswers,
+  checkDelegation,
+  checkPropagation,
+};
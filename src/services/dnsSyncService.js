@@ -0,0 +1,510 @@
+/**
+ * DNS backend synchronisation
+ * Pushes zones from dns_zones/dns_records to the authoritative nameservers
+ * through a driver picked by DNS_DRIVER ('powerdns', or 'none' to keep DNS in
+ * the database only). Every change marks the zone pending and is pushed
+ * straight away; the scheduled reconcile retries failed pushes and repairs
+ * drift made on the nameservers behind the panel's back.
+ */
+
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import { createPowerDNSDriver } from './dnsDrivers/powerdns.js';
+import { relativeName, recordData, soaSerial, storedHost, parseZoneFile } from '../utils/zoneFile.js';
+import { loadTransferSettings } from './dnsTransferService.js';
+
+/**
+ * @typedef {Object} DnsDriver
+ * @property {string} name
+ * @property {() => Promise<Object[]>} listZones - [{ name, kind, serial }]
+ * @property {(name: string) => Promise<Object|null>} getZone - { name, kind, serial, rrsets }, or null when missing
+ * @property {(zone: Object) => Promise<void>} createZone - { name, kind, nameservers, masters, rrsets }
+ * @property {(name: string, rrsets: Object[]) => Promise<void>} patchRRsets - rrsets with changetype REPLACE or DELETE
+ * @property {(name: string) => Promise<void>} deleteZone
+ * @property {(name: string, zone: Object) => Promise<void>} [updateZone] - { kind, masters }
+ * @property {(name: string) => Promise<Object>} [getMetadata] - { KIND: [values] }
+ * @property {(name: string, kind: string, values: string[]) => Promise<void>} [setMetadata] - Empty values removes the kind
+ * @property {(key: Object) => Promise<void>} [putTsigKey] - { name, algorithm, secret }
+ * @property {(name: string) => Promise<void>} [deleteTsigKey]
+ * @property {(name: string) => Promise<void>} [retrieveZone] - Transfer a secondary zone now
+ * @property {(name: string) => Promise<void>} [notifyZone] - NOTIFY the secondaries of a primary zone
+ */
+
+const drivers = {
+  powerdns: () => createPowerDNSDriver({
+    apiUrl: process.env.PDNS_API_URL,
+    apiKey: process.env.PDNS_API_KEY,
+    serverId: process.env.PDNS_SERVER_ID || 'localhost',
+    timeout: parseInt(process.env.PDNS_TIMEOUT_MS || '10000')
+  }),
+};
+
+const ZONE_KINDS = { MASTER: 'Master', SLAVE: 'Slave', NATIVE: 'Native' };
+
+// Content compared as written; everything else is case-insensitive
+const CASE_SENSITIVE_TYPES = ['TXT', 'SPF', 'CAA'];
+
+let activeDriver = null;
+
+// Syncs run one at a time per zone so an older push cannot land after a newer one
+const running = new Map();
+
+/**
+ * Register a driver. The factory is called once and returns a DnsDriver.
+ */
+export function registerDnsDriver(name, factory) {
+  drivers[name] = factory;
+  if (activeDriver?.key === name) {
+    activeDriver = null;
+  }
+}
+
+/**
+ * The configured driver, or null when DNS_DRIVER is 'none' or unset
+ * @returns {DnsDriver|null}
+ */
+export function getDnsDriver() {
+  const name = process.env.DNS_DRIVER || 'none';
+  if (name === 'none') return null;
+  if (!drivers[name]) {
+    throw new Error(`Unknown DNS driver: ${name}`);
+  }
+  if (activeDriver?.key !== name) {
+    activeDriver = { key: name, driver: drivers[name]() };
+  }
+  return activeDriver.driver;
+}
+
+const zoneDomain = (zone) => String(zone.domain || zone.name).toLowerCase().replace(/\.$/, '');
+
+const configuredNameservers = () => (process.env.DNS_NAMESERVERS || '')
+  .split(',')
+  .map((ns) => ns.trim())
+  .filter(Boolean)
+  .map((ns) => (ns.endsWith('.') ? ns : `${ns}.`));
+
+function soaContent(content, zone) {
+  const domain = zoneDomain(zone);
+  const [mname, rname, , refresh = 3600, retry = 1800, expire = 1209600, minimum = 300] = content
+    ? String(content).trim().split(/\s+/)
+    : [`ns1.${domain}.`, `admin.${domain}.`];
+  return [storedHost(mname, domain), storedHost(rname, domain), soaSerial(zone.serial), refresh, retry, expire, minimum].join(' ');
+}
+
+/**
+ * The rrsets a zone should have on the nameservers. Records sharing a name
+ * and type form one rrset, which takes the lowest of their TTLs.
+ * @param {Object} zone - Row from dns_zones
+ * @param {Object[]} records - Rows from dns_records
+ * @returns {Object[]} - [{ name, type, ttl, records: [{ content }] }]
+ */
+export function buildRRsets(zone, records) {
+  const domain = zoneDomain(zone);
+  const apex = `${domain}.`;
+  const defaultTtl = zone.default_ttl || 3600;
+  const sets = new Map();
+
+  for (const record of records) {
+    if (record.disabled) continue;
+
+    const type = String(record.type).toUpperCase();
+    const relative = relativeName(record.name, domain);
+    const name = relative === '@' ? apex : `${relative}.${apex}`;
+    const key = `${name}|${type}`;
+    const ttl = parseInt(record.ttl, 10) || defaultTtl;
+
+    if (!sets.has(key)) {
+      sets.set(key, { name, type, ttl, records: [] });
+    }
+    const rrset = sets.get(key);
+    rrset.ttl = Math.min(rrset.ttl, ttl);
+
+    // A zone has exactly one SOA, carrying the zone's serial
+    if (type === 'SOA') {
+      if (rrset.records.length === 0) rrset.records.push({ content: soaContent(record.content, zone) });
+      continue;
+    }
+
+    const content = recordData(record, domain);
+    if (!rrset.records.some((r) => r.content === content)) {
+      rrset.records.push({ content });
+    }
+  }
+
+  if (!sets.has(`${apex}|SOA`)) {
+    sets.set(`${apex}|SOA`, { name: apex, type: 'SOA', ttl: defaultTtl, records: [{ content: soaContent(null, zone) }] });
+  }
+
+  return [...sets.values()];
+}
+
+function comparable(rrset) {
+  const contents = rrset.records.map(({ content }) => {
+    let value = String(content).trim().replace(/\s+/g, ' ');
+    if (rrset.type === 'SOA') {
+      // Serials are compared separately; only the rest of the SOA counts as drift
+      value = value.split(' ').filter((_, i) => i !== 2).join(' ');
+    }
+    return CASE_SENSITIVE_TYPES.includes(rrset.type) ? value : value.toLowerCase();
+  });
+  return `${rrset.ttl}|${contents.sort().join('\n')}`;
+}
+
+/**
+ * Work out what has to change on the nameservers
+ * @param {Object[]} desired - rrsets from buildRRsets
+ * @param {Object|null} remote - Zone as returned by the driver's getZone
+ * @returns {{ create: boolean, changes: Object[] }} - rrset changes with changetype REPLACE or DELETE
+ */
+export function planZoneSync(desired, remote) {
+  if (!remote) {
+    return { create: true, changes: desired.map((rrset) => ({ ...rrset, changetype: 'REPLACE' })) };
+  }
+
+  const key = (rrset) => `${rrset.name.toLowerCase()}|${rrset.type.toUpperCase()}`;
+  const remaining = new Map(remote.rrsets.map((rrset) => [key(rrset), rrset]));
+  const changes = [];
+  let soa = null;
+
+  for (const rrset of desired) {
+    const current = remaining.get(key(rrset));
+    remaining.delete(key(rrset));
+
+    if (rrset.type === 'SOA') {
+      soa = rrset;
+      if (current && comparable(current) === comparable(rrset)) continue;
+    } else if (current && comparable(current) === comparable(rrset)) {
+      continue;
+    }
+    changes.push({ ...rrset, changetype: 'REPLACE' });
+  }
+
+  for (const rrset of remaining.values()) {
+    changes.push({ name: rrset.name, type: rrset.type, changetype: 'DELETE', records: [] });
+  }
+
+  // Any change goes out with the current serial so secondaries pick it up
+  if (changes.length > 0 && soa && !changes.some((c) => c.type === 'SOA')) {
+    changes.push({ ...soa, changetype: 'REPLACE' });
+  }
+
+  return { create: false, changes };
+}
+
+const sameList = (a, b) => JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+
+/**
+ * Push TSIG keys and transfer ACLs. Every kind is written for every zone so
+ * settings left over from a previous zone type are cleared.
+ */
+async function pushTransferSettings(driver, name, kind, transfer) {
+  if (!driver.getMetadata) return;
+
+  for (const key of [transfer.primaryTsig, transfer.transferTsig]) {
+    if (key) await driver.putTsigKey(key);
+  }
+
+  const secondary = kind === 'Slave';
+  const desired = {
+    'AXFR-MASTER-TSIG': secondary && transfer.primaryTsig ? [transfer.primaryTsig.name] : [],
+    'ALLOW-AXFR-FROM': secondary ? [] : transfer.allowTransfer || [],
+    'TSIG-ALLOW-AXFR': !secondary && transfer.transferTsig ? [transfer.transferTsig.name] : [],
+    'ALSO-NOTIFY': kind === 'Master' ? transfer.alsoNotify || [] : []
+  };
+
+  const current = await driver.getMetadata(name);
+  for (const [metadataKind, values] of Object.entries(desired)) {
+    if (!sameList(current[metadataKind] || [], values)) {
+      await driver.setMetadata(name, metadataKind, values);
+    }
+  }
+}
+
+/**
+ * Push a zone to a driver
+ * @param {DnsDriver} driver
+ * @param {Object} zone - Row from dns_zones
+ * @param {Object[]} records - Rows from dns_records
+ * @param {Object} options
+ * @param {string[]} options.nameservers - Used for new zones that have no apex NS records
+ * @param {Object} options.transfer - From dnsTransferService.loadTransferSettings
+ * @returns {Promise<Object>} - { created, changes }, plus { transfer: { serial, lastCheck } } for secondary zones
+ */
+export async function pushZone(driver, zone, records, { nameservers = configuredNameservers(), transfer = {} } = {}) {
+  const name = `${zoneDomain(zone)}.`;
+  const kind = ZONE_KINDS[String(zone.type || '').toUpperCase()] || 'Native';
+  const remote = await driver.getZone(name);
+
+  // Secondary zones are filled by zone transfer, not by the panel
+  if (kind === 'Slave') {
+    const masters = transfer.primaries
+      || (zone.master ? String(zone.master).split(',').map((m) => m.trim()) : []);
+    if (!remote) {
+      await driver.createZone({ name, kind, masters });
+    } else if (driver.updateZone && (remote.kind !== kind || !sameList(remote.masters || [], masters))) {
+      await driver.updateZone(name, { kind, masters });
+    }
+    await pushTransferSettings(driver, name, kind, transfer);
+    return {
+      created: !remote,
+      changes: 0,
+      transfer: remote ? { serial: remote.serial, lastCheck: remote.lastCheck || 0 } : null
+    };
+  }
+
+  const desired = buildRRsets(zone, records);
+  const plan = planZoneSync(desired, remote);
+
+  if (plan.create) {
+    const hasApexNs = desired.some((rrset) => rrset.type === 'NS' && rrset.name === name);
+    await driver.createZone({ name, kind, nameservers: hasApexNs ? [] : nameservers, rrsets: desired });
+  } else {
+    // A zone that used to be a secondary keeps its transferred records until replaced here
+    if (driver.updateZone && remote.kind !== kind) {
+      await driver.updateZone(name, { kind, masters: [] });
+    }
+    if (plan.changes.length > 0) {
+      await driver.patchRRsets(name, plan.changes);
+    }
+  }
+  await pushTransferSettings(driver, name, kind, transfer);
+
+  // Secondaries would otherwise only see the change at their next SOA refresh
+  if (kind === 'Master' && !plan.create && plan.changes.length > 0 && driver.notifyZone) {
+    await driver.notifyZone(name);
+  }
+
+  return { created: plan.create, changes: plan.changes.length };
+}
+
+// A new serial on a secondary zone means a transfer succeeded since the last sync
+async function recordTransferStatus(zone, { serial, lastCheck }) {
+  const transferred = serial > 0 && String(serial) !== String(zone.last_transfer_serial ?? '');
+  await pool.query(
+    `UPDATE dns_zones
+     SET last_transfer_serial = CASE WHEN $2 THEN $3 ELSE last_transfer_serial END,
+         last_transfer_at = CASE WHEN $2 THEN NOW() ELSE last_transfer_at END,
+         last_transfer_check_at = CASE WHEN $4 > 0 THEN to_timestamp($4) ELSE last_transfer_check_at END
+     WHERE id = $1`,
+    [zone.id, transferred, serial, lastCheck]
+  );
+  if (transferred) {
+    logger.info(`[DNS] Secondary zone ${zoneDomain(zone)} transferred serial ${serial}`);
+  }
+}
+
+async function runZoneSync(zoneId, driver) {
+  const zoneResult = await pool.query('SELECT * FROM dns_zones WHERE id = $1', [zoneId]);
+  const zone = zoneResult.rows[0];
+  if (!zone) return null;
+
+  const recordsResult = await pool.query('SELECT * FROM dns_records WHERE zone_id = $1', [zoneId]);
+
+  try {
+    const transfer = await loadTransferSettings(zone);
+    const result = await pushZone(driver, zone, recordsResult.rows, { transfer });
+    const drift = zone.sync_status === 'synced' && result.changes > 0;
+
+    // Only a push of the latest serial counts; a newer edit keeps the zone pending
+    await pool.query(
+      `UPDATE dns_zones
+       SET sync_status = 'synced', sync_error = NULL, last_synced_at = NOW(),
+           last_drift_at = CASE WHEN $3 THEN NOW() ELSE last_drift_at END
+       WHERE id = $1 AND serial = $2`,
+      [zoneId, zone.serial, drift]
+    );
+
+    if (result.transfer) {
+      await recordTransferStatus(zone, result.transfer);
+    }
+
+    if (drift) {
+      logger.warn(`[DNS] Repaired drift in zone ${zoneDomain(zone)} (${result.changes} rrsets)`);
+    }
+    return { zoneId, domain: zoneDomain(zone), ...result, drift };
+  } catch (error) {
+    await pool.query(
+      `UPDATE dns_zones SET sync_status = 'error', sync_error = $2 WHERE id = $1`,
+      [zoneId, error.message]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Push one zone to the nameservers now and record the outcome on the zone
+ * @param {number} zoneId - dns_zones id
+ * @returns {Promise<Object|null>} - { zoneId, domain, created, changes, drift }, or null without a driver
+ */
+export async function syncZone(zoneId) {
+  const driver = getDnsDriver();
+  if (!driver) return null;
+
+  const previous = running.get(zoneId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => runZoneSync(zoneId, driver));
+  running.set(zoneId, next);
+
+  try {
+    return await next;
+  } finally {
+    if (running.get(zoneId) === next) {
+      running.delete(zoneId);
+    }
+  }
+}
+
+/**
+ * Mark a zone as changed and push it in the background. Never throws, so it
+ * can follow any write without failing the request; a failed push is left
+ * for the scheduled reconcile.
+ * @param {number} zoneId - dns_zones id
+ */
+export async function scheduleZoneSync(zoneId) {
+  try {
+    if (!getDnsDriver()) return;
+
+    await pool.query(`UPDATE dns_zones SET sync_status = 'pending' WHERE id = $1`, [zoneId]);
+    syncZone(zoneId).catch((error) => {
+      logger.error(`[DNS] Sync failed for zone ${zoneId}:`, error);
+    });
+  } catch (error) {
+    logger.error(`[DNS] Could not schedule sync for zone ${zoneId}:`, error);
+  }
+}
+
+/**
+ * Remove a deleted zone from the nameservers. Never throws.
+ * @param {string} domain - Zone domain
+ */
+export async function removeZoneFromBackend(domain) {
+  try {
+    const driver = getDnsDriver();
+    if (!driver) return;
+
+    await driver.deleteZone(`${String(domain).toLowerCase().replace(/\.$/, '')}.`);
+    logger.info(`[DNS] Zone ${domain} removed from ${driver.name}`);
+  } catch (error) {
+    logger.error(`[DNS] Failed to remove zone ${domain} from the nameservers:`, error);
+  }
+}
+
+/**
+ * Ask the nameservers to transfer a secondary zone from its primaries now,
+ * or to send NOTIFY for a primary zone to its secondaries
+ * @param {Object} zone - dns_zones row
+ * @returns {Promise<string|null>} - 'retrieve' or 'notify', or null without a driver that supports it
+ */
+export async function triggerZoneTransfer(zone) {
+  const driver = getDnsDriver();
+  const name = `${zoneDomain(zone)}.`;
+  const kind = ZONE_KINDS[String(zone.type || '').toUpperCase()] || 'Native';
+
+  if (kind === 'Slave' && driver?.retrieveZone) {
+    await driver.retrieveZone(name);
+    return 'retrieve';
+  }
+  if (kind === 'Master' && driver?.notifyZone) {
+    await driver.notifyZone(name);
+    return 'notify';
+  }
+  return null;
+}
+
+/**
+ * Records a secondary zone holds on the nameservers, in dns_records form.
+ * Used to keep the data when a secondary zone becomes a primary.
+ * @param {Object} zone - dns_zones row
+ * @returns {Promise<Object[]|null>} - null without a driver or when the zone has not been transferred yet
+ */
+export async function fetchTransferredRecords(zone) {
+  const driver = getDnsDriver();
+  if (!driver) return null;
+
+  const remote = await driver.getZone(`${zoneDomain(zone)}.`);
+  if (!remote || remote.rrsets.length === 0) return null;
+
+  // The nameservers return presentation format, which the zone file parser already reads
+  const text = remote.rrsets
+    .flatMap((rrset) => rrset.records.map((record) => `${rrset.name} ${rrset.ttl} IN ${rrset.type} ${record.content}`))
+    .join('\n');
+  const { records, errors } = parseZoneFile(text, { domain: zoneDomain(zone), defaultTtl: zone.default_ttl || 3600 });
+  if (errors.length > 0) {
+    logger.warn(`[DNS] Skipped ${errors.length} unreadable records transferred for ${zoneDomain(zone)}`);
+  }
+  return records;
+}
+
+/**
+ * Remove a TSIG key from the nameservers. Never throws.
+ * @param {string} name - Key name
+ */
+export async function removeTsigKeyFromBackend(name) {
+  try {
+    const driver = getDnsDriver();
+    if (!driver?.deleteTsigKey) return;
+
+    await driver.deleteTsigKey(name);
+  } catch (error) {
+    logger.error(`[DNS] Failed to remove TSIG key ${name} from the nameservers:`, error);
+  }
+}
+
+/**
+ * Bring every zone on the nameservers in line with the database. Zones the
+ * nameservers have but the database does not are reported, and deleted only
+ * when DNS_PRUNE_ORPHAN_ZONES is 'true'.
+ * @returns {Promise<Object>} - { zones, synced, failed, drifted, orphans }
+ */
+export async function reconcileZones() {
+  const driver = getDnsDriver();
+  if (!driver) {
+    return { skipped: true };
+  }
+
+  const zonesResult = await pool.query('SELECT * FROM dns_zones ORDER BY id');
+  const summary = { zones: zonesResult.rows.length, synced: 0, failed: 0, drifted: 0, orphans: [] };
+
+  for (const zone of zonesResult.rows) {
+    try {
+      const result = await syncZone(zone.id);
+      summary.synced++;
+      if (result?.drift) summary.drifted++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`[DNS] Reconcile failed for zone ${zoneDomain(zone)}:`, error);
+    }
+  }
+
+  const known = new Set(zonesResult.rows.map((zone) => `${zoneDomain(zone)}.`));
+  summary.orphans = (await driver.listZones())
+    .map((zone) => zone.name.toLowerCase())
+    .filter((name) => !known.has(name));
+
+  if (summary.orphans.length > 0) {
+    if (process.env.DNS_PRUNE_ORPHAN_ZONES === 'true') {
+      for (const name of summary.orphans) {
+        await driver.deleteZone(name);
+      }
+      logger.info(`[DNS] Removed ${summary.orphans.length} zones unknown to the panel`);
+    } else {
+      logger.warn(`[DNS] Nameservers have ${summary.orphans.length} zones unknown to the panel: ${summary.orphans.join(', ')}`);
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  registerDnsDriver,
+  getDnsDriver,
+  buildRRsets,
+  planZoneSync,
+  pushZone,
+  syncZone,
+  scheduleZoneSync,
+  removeZoneFromBackend,
+  triggerZoneTransfer,
+  fetchTransferredRecords,
+  removeTsigKeyFromBackend,
+  reconcileZones,
+};
@@ -0,0 +1,358 @@
+/**
+ * DNS templates
+ * Record sets with {{variables}} that new zones are created from and that
+ * can be re-applied to existing zones. A zone remembers the records its
+ * template rendered last time, so a merge re-apply swaps those for the new
+ * ones (a changed MX, say) and leaves the customer's own records alone.
+ */
+
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import { relativeName, storedHost } from '../utils/zoneFile.js';
+import { SUPPORTED_TYPES, validateRecord, validateRecordChanges } from '../utils/dnsValidation.js';
+import { recordZoneVersion } from './dnsHistoryService.js';
+import { scheduleZoneSync } from './dnsSyncService.js';
+
+export const APPLY_MODES = ['merge', 'replace'];
+
+const VARIABLE = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/gi;
+
+const HOST_TYPES = ['CNAME', 'NS', 'PTR', 'MX'];
+
+/**
+ * Used when no default template is stored
+ */
+export const BUILTIN_TEMPLATE = {
+  id: null,
+  name: 'Built-in default',
+  variables: {},
+  records: [
+    { type: 'NS', name: '@', content: '{{ns1}}', ttl: 3600 },
+    { type: 'NS', name: '@', content: '{{ns2}}', ttl: 3600 },
+    { type: 'A', name: '@', content: '{{server_ip}}', ttl: 3600 },
+    { type: 'CNAME', name: 'www', content: '{{domain}}', ttl: 3600 },
+    { type: 'MX', name: '@', content: '{{mail_host}}', ttl: 3600, priority: 10 },
+  ],
+};
+
+// Values filled in for every zone; template defaults and explicit values override them
+function builtinVariables(domain) {
+  const nameservers = (process.env.DNS_NAMESERVERS || '').split(',').map((ns) => ns.trim()).filter(Boolean);
+  return {
+    domain,
+    server_ip: process.env.DNS_DEFAULT_IP || '127.0.0.1',
+    mail_host: `mail.${domain}`,
+    ns1: nameservers[0] || `ns1.${domain}`,
+    ns2: nameservers[1] || `ns2.${domain}`,
+  };
+}
+
+/**
+ * Names of the variables a template's records use
+ * @param {Object[]} records - Template records
+ * @returns {string[]}
+ */
+export function templateVariableNames(records) {
+  const names = new Set();
+  for (const record of records) {
+    for (const field of ['name', 'content', 'ttl', 'priority']) {
+      for (const match of String(record[field] ?? '').matchAll(VARIABLE)) {
+        names.add(match[1].toLowerCase());
+      }
+    }
+  }
+  return [...names].sort();
+}
+
+const substitute = (value, variables, missing) => String(value ?? '').replace(VARIABLE, (token, name) => {
+  const key = name.toLowerCase();
+  if (variables[key] === undefined || variables[key] === null || variables[key] === '') {
+    missing.add(key);
+    return token;
+  }
+  return String(variables[key]);
+});
+
+/**
+ * Render a template for one zone
+ * @param {Object} template - { records, variables }
+ * @param {string} domain - Zone domain
+ * @param {Object} variables - Values for this zone, e.g. { server_ip }
+ * @returns {Object} - { records, variables, missing }; records are relative names with fully qualified host targets
+ */
+export function renderTemplate(template, domain, variables = {}) {
+  const values = Object.fromEntries(
+    Object.entries({ ...builtinVariables(domain), ...(template.variables || {}), ...variables })
+      .map(([key, value]) => [key.toLowerCase(), value])
+  );
+  const missing = new Set();
+
+  const records = (template.records || []).map((record) => {
+    const type = String(record.type).toUpperCase();
+    const content = substitute(record.content, values, missing).trim();
+    const priority = substitute(record.priority, values, missing);
+    const ttl = substitute(record.ttl, values, missing);
+    return {
+      type,
+      name: relativeName(substitute(record.name || '@', values, missing), domain),
+      content: HOST_TYPES.includes(type) && !content.includes('{{') ? storedHost(content, domain) : content,
+      ttl: /^\d+$/.test(ttl) ? parseInt(ttl, 10) : 3600,
+      priority: /^\d+$/.test(priority) ? parseInt(priority, 10) : null
+    };
+  });
+
+  return { records, variables: values, missing: [...missing].sort() };
+}
+
+/**
+ * Check a template before it is saved. Records are rendered for
+ * example.com, so only variables without a value are left unchecked.
+ * @param {Object} template - { records, variables }
+ * @returns {Object[]} - Errors as { index, field, message }
+ */
+export function validateTemplate(template) {
+  const errors = [];
+  const records = template.records;
+
+  if (!Array.isArray(records) || records.length === 0) {
+    return [{ index: null, field: 'records', message: 'A template needs at least one record' }];
+  }
+  if (template.variables && (typeof template.variables !== 'object' || Array.isArray(template.variables))) {
+    return [{ index: null, field: 'variables', message: 'Variables must be an object of default values' }];
+  }
+
+  const rendered = [];
+  records.forEach((record, index) => {
+    const type = String(record.type || '').toUpperCase();
+    if (type === 'SOA') {
+      errors.push({ index, field: 'type', message: 'SOA records are managed by the zone and cannot be templated' });
+      return;
+    }
+    if (!SUPPORTED_TYPES.includes(type)) {
+      errors.push({ index, field: 'type', message: `Record type must be one of: ${SUPPORTED_TYPES.join(', ')}` });
+      return;
+    }
+
+    const sample = renderTemplate({ records: [record], variables: template.variables }, 'example.com', {
+      server_ipv6: '2001:db8::1'
+    });
+    // Values that are only known when the template is applied
+    if (sample.missing.length > 0) return;
+
+    for (const error of validateRecord(sample.records[0], { domain: 'example.com' })) {
+      errors.push({ index, ...error });
+    }
+    rendered.push({ index, record: sample.records[0] });
+  });
+  if (errors.length > 0) return errors;
+
+  for (const error of validateRecordChanges([], rendered.map((r) => r.record), { domain: 'example.com' })) {
+    errors.push({ ...error, index: rendered[error.index].index });
+  }
+  return errors;
+}
+
+const identity = (record, domain) => {
+  const type = String(record.type).toUpperCase();
+  const content = String(record.content ?? '').trim();
+  return [
+    type,
+    relativeName(record.name, domain),
+    ['MX', 'SRV'].includes(type) ? record.priority ?? record.prio ?? '' : '',
+    HOST_TYPES.includes(type) ? storedHost(content, domain) : content
+  ].join('|');
+};
+
+/**
+ * Work out what applying rendered template records to a zone changes
+ * @param {Object[]} existing - Current dns_records of the zone
+ * @param {Object[]} rendered - Records from renderTemplate
+ * @param {Object} options
+ * @param {string} options.domain - Zone domain
+ * @param {string} options.mode - 'merge' removes only records the previous apply created; 'replace' removes every record not in the template
+ * @param {Object[]} options.previous - Records rendered the last time a template (this or another) was applied
+ * @returns {Object} - { add, remove, update, unchanged }
+ */
+export function planTemplateApply(existing, rendered, { domain, mode = 'merge', previous = [] }) {
+  const current = existing.filter((record) => String(record.type).toUpperCase() !== 'SOA');
+  const currentByKey = new Map(current.map((record) => [identity(record, domain), record]));
+  const renderedKeys = new Set(rendered.map((record) => identity(record, domain)));
+  const previousKeys = new Set(previous.map((record) => identity(record, domain)));
+
+  const plan = { add: [], remove: [], update: [], unchanged: 0 };
+
+  for (const record of rendered) {
+    const match = currentByKey.get(identity(record, domain));
+    if (!match) {
+      plan.add.push(record);
+    } else if (parseInt(match.ttl, 10) !== record.ttl) {
+      plan.update.push({ id: match.id, from: match, to: record });
+    } else {
+      plan.unchanged++;
+    }
+  }
+
+  for (const [key, record] of currentByKey) {
+    if (renderedKeys.has(key)) continue;
+    if (mode === 'replace' || previousKeys.has(key)) {
+      plan.remove.push(record);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * The template to create a zone from: the given one, else the reseller's
+ * default, else the platform default, else the built-in record set
+ * @param {Object} options
+ * @param {number} options.templateId - e.g. products.dns_template_id
+ * @param {number} options.resellerId - Reseller whose default applies
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Object>}
+ */
+export async function resolveTemplate({ templateId = null, resellerId = null } = {}, db = pool) {
+  if (templateId) {
+    const result = await db.query(`SELECT * FROM dns_templates WHERE id = $1`, [templateId]);
+    if (result.rows[0]) return result.rows[0];
+    logger.warn(`[DNS] Template ${templateId} not found, using the default template`);
+  }
+  const result = await db.query(
+    `SELECT * FROM dns_templates
+     WHERE is_default AND (reseller_id = $1 OR reseller_id IS NULL)
+     ORDER BY reseller_id NULLS LAST LIMIT 1`,
+    [resellerId]
+  );
+  return result.rows[0] || BUILTIN_TEMPLATE;
+}
+
+/**
+ * Apply a template to a zone inside the caller's transaction. The zone row
+ * should be locked; the serial is bumped and the change recorded in history.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} zone - dns_zones row
+ * @param {Object} template - dns_templates row or BUILTIN_TEMPLATE
+ * @param {Object} options
+ * @param {Object} options.variables - Values for this zone; merged over the ones it was last applied with
+ * @param {string} options.mode - 'merge' or 'replace'
+ * @param {boolean} options.dryRun - Only plan
+ * @param {Object} options.actor - Who applied it, for the change history
+ * @returns {Promise<Object>} - { zoneId, domain, plan, missing, errors, applied }
+ */
+export async function applyTemplateToZone(client, zone, template, { variables = {}, mode = 'merge', dryRun = false, actor = { source: 'system' } } = {}) {
+  const domain = zone.domain || zone.name;
+  const rendered = renderTemplate(template, domain, { ...(zone.template_variables || {}), ...variables });
+  const result = { zoneId: zone.id, domain, plan: null, missing: rendered.missing, errors: [], applied: false };
+
+  // Secondary zones take their records from the primaries
+  if (String(zone.type || '').toUpperCase() === 'SLAVE') {
+    result.errors = [{ message: 'Records of a secondary zone come from its primaries' }];
+    return result;
+  }
+  if (rendered.missing.length > 0) {
+    return result;
+  }
+
+  const existing = (await client.query(`SELECT * FROM dns_records WHERE zone_id = $1`, [zone.id])).rows;
+  const plan = planTemplateApply(existing, rendered.records, { domain, mode, previous: zone.template_records || [] });
+  result.plan = plan;
+
+  result.errors = validateRecordChanges(existing, plan.add, { domain, removing: plan.remove.map((r) => r.id) })
+    .map((error) => ({ ...error, record: plan.add[error.index] }));
+  if (dryRun || result.errors.length > 0) {
+    return result;
+  }
+
+  for (const record of plan.remove) {
+    await client.query(`DELETE FROM dns_records WHERE id = $1 AND zone_id = $2`, [record.id, zone.id]);
+  }
+  for (const { id, to } of plan.update) {
+    await client.query(
+      `UPDATE dns_records SET ttl = $1, updated_at = NOW() WHERE id = $2 AND zone_id = $3`,
+      [to.ttl, id, zone.id]
+    );
+  }
+  for (const record of plan.add) {
+    await client.query(
+      `INSERT INTO dns_records (zone_id, type, name, content, ttl, priority)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [zone.id, record.type, record.name, record.content, record.ttl, record.priority]
+    );
+  }
+
+  // Only what the caller passed is remembered; builtins and defaults are re-read on the next apply
+  await client.query(
+    `UPDATE dns_zones
+     SET template_id = $1, template_variables = $2, template_records = $3, template_applied_at = NOW(),
+         serial = $4, updated_at = NOW()
+     WHERE id = $5`,
+    [
+      template.id,
+      JSON.stringify({ ...(zone.template_variables || {}), ...variables }),
+      JSON.stringify(rendered.records),
+      Date.now(),
+      zone.id
+    ]
+  );
+  await recordZoneVersion(client, zone.id, { action: 'template_applied', actor, note: `Template "${template.name}"` });
+
+  result.applied = true;
+  return result;
+}
+
+/**
+ * Re-apply a template to many zones, each in its own transaction so one
+ * failing zone does not hold back the rest
+ * @param {Object} template - dns_templates row
+ * @param {number[]} zoneIds - Zones to apply it to
+ * @param {Object} options - As for applyTemplateToZone
+ * @returns {Promise<Object>} - { results, summary: { applied, skipped, failed } }
+ */
+export async function applyTemplateToZones(template, zoneIds, options = {}) {
+  const results = [];
+
+  for (const zoneId of zoneIds) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const zoneResult = await client.query(`SELECT * FROM dns_zones WHERE id = $1 FOR UPDATE`, [zoneId]);
+      if (zoneResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        results.push({ zoneId, errors: [{ message: 'DNS zone not found' }], applied: false });
+        continue;
+      }
+
+      const result = await applyTemplateToZone(client, zoneResult.rows[0], template, options);
+      await client.query(result.applied ? 'COMMIT' : 'ROLLBACK');
+      if (result.applied) {
+        await scheduleZoneSync(zoneId);
+      }
+      results.push(result);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      logger.error(`[DNS] Applying template ${template.id} to zone ${zoneId} failed:`, error);
+      results.push({ zoneId, errors: [{ message: error.message }], applied: false });
+    } finally {
+      client.release();
+    }
+  }
+
+  const failed = results.filter((r) => !r.applied && (r.errors.length > 0 || r.missing?.length > 0)).length;
+  const applied = results.filter((r) => r.applied).length;
+  return {
+    results,
+    summary: { applied, failed, skipped: results.length - applied - failed }
+  };
+}
+
+export default {
+  APPLY_MODES,
+  BUILTIN_TEMPLATE,
+  templateVariableNames,
+  renderTemplate,
+  validateTemplate,
+  planTemplateApply,
+  resolveTemplate,
+  applyTemplateToZone,
+  applyTemplateToZones,
+};
@@ -0,0 +1,189 @@
+/**
+ * DNS zone transfers
+ * Settings for SLAVE zones (the customer's primaries and the TSIG key to
+ * transfer with) and for MASTER zones (which secondaries may transfer, whom
+ * to NOTIFY and the TSIG key they must sign with). dnsSyncService pushes
+ * these to the nameservers along with the zone.
+ */
+
+import crypto from 'crypto';
+import { isIP } from 'net';
+import pool from '../db/index.js';
+import { encrypt, decrypt } from '../utils/secretBox.js';
+
+export const ZONE_TYPES = ['MASTER', 'SLAVE', 'NATIVE'];
+
+export const TSIG_ALGORITHMS = ['hmac-md5', 'hmac-sha1', 'hmac-sha224', 'hmac-sha256', 'hmac-sha384', 'hmac-sha512'];
+
+const KEY_NAME = /^(?!-)[a-z0-9_-]{1,63}(\.(?!-)[a-z0-9_-]{1,63})*$/i;
+
+/**
+ * Normalise a transfer endpoint: "192.0.2.1", "192.0.2.1:5300",
+ * "2001:db8::1" or "[2001:db8::1]:5300"
+ * @param {string} value
+ * @returns {string|null} - The endpoint, or null when it is not an address with an optional port
+ */
+export function parseEndpoint(value) {
+  const text = String(value ?? '').trim();
+  if (isIP(text)) return text;
+
+  const match = text.match(/^\[([0-9a-f:.]+)\]:(\d{1,5})$/i) || text.match(/^([0-9.]+):(\d{1,5})$/);
+  if (!match || !isIP(match[1]) || parseInt(match[2], 10) < 1 || parseInt(match[2], 10) > 65535) {
+    return null;
+  }
+  return isIP(match[1]) === 6 ? `[${match[1]}]:${match[2]}` : `${match[1]}:${match[2]}`;
+}
+
+/**
+ * An address or CIDR block allowed to transfer a zone
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isAclEntry(value) {
+  const [address, prefix, extra] = String(value ?? '').trim().split('/');
+  const version = isIP(address);
+  if (!version || extra !== undefined) return false;
+  if (prefix === undefined) return true;
+  return /^\d{1,3}$/.test(prefix) && parseInt(prefix, 10) <= (version === 4 ? 32 : 128);
+}
+
+/**
+ * Check transfer settings for a zone and normalise them
+ * @param {Object} settings - { type, primaries, allow_transfer, also_notify }
+ * @returns {{ errors: Object[], values: Object }} - errors as { field, message }
+ */
+export function validateTransferSettings({ type = 'NATIVE', primaries = [], allow_transfer = [], also_notify = [] }) {
+  const errors = [];
+  const values = { type: String(type).toUpperCase() };
+
+  if (!ZONE_TYPES.includes(values.type)) {
+    errors.push({ field: 'type', message: `Zone type must be one of: ${ZONE_TYPES.join(', ')}` });
+  }
+
+  const endpoints = (field, list) => {
+    if (!Array.isArray(list)) {
+      errors.push({ field, message: `${field} must be a list of addresses` });
+      return [];
+    }
+    const parsed = list.map(parseEndpoint);
+    const bad = list.filter((_, i) => parsed[i] === null);
+    if (bad.length > 0) {
+      errors.push({ field, message: `${bad.join(', ')} ${bad.length === 1 ? 'is not an' : 'are not'} IP address with an optional port` });
+    }
+    return [...new Set(parsed.filter(Boolean))];
+  };
+
+  values.primaries = endpoints('primaries', primaries);
+  values.also_notify = endpoints('also_notify', also_notify);
+
+  if (!Array.isArray(allow_transfer)) {
+    errors.push({ field: 'allow_transfer', message: 'allow_transfer must be a list of addresses or CIDR blocks' });
+    values.allow_transfer = [];
+  } else {
+    const bad = allow_transfer.filter((entry) => !isAclEntry(entry));
+    if (bad.length > 0) {
+      errors.push({ field: 'allow_transfer', message: `${bad.join(', ')} ${bad.length === 1 ? 'is not an' : 'are not'} IP address or CIDR block` });
+    }
+    values.allow_transfer = [...new Set(allow_transfer.map((entry) => String(entry).trim()))];
+  }
+
+  if (values.type === 'SLAVE' && values.primaries.length === 0) {
+    errors.push({ field: 'primaries', message: 'A secondary zone needs at least one primary to transfer from' });
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Create a TSIG key. Without a secret one is generated.
+ * @param {number} userId - Owner
+ * @param {Object} key - { name, algorithm, secret (base64) }
+ * @returns {Promise<Object>} - { key, secret } (the secret is only returned here), or { error, conflict }
+ */
+export async function createTsigKey(userId, { name, algorithm = 'hmac-sha256', secret }) {
+  const keyName = String(name ?? '').trim().toLowerCase().replace(/\.$/, '');
+  if (!KEY_NAME.test(keyName)) {
+    return { error: 'TSIG key name must be a domain-style name, e.g. transfer-key.example.com' };
+  }
+  if (!TSIG_ALGORITHMS.includes(algorithm)) {
+    return { error: `Algorithm must be one of: ${TSIG_ALGORITHMS.join(', ')}` };
+  }
+
+  const value = secret ? String(secret).trim() : crypto.randomBytes(32).toString('base64');
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value) || Buffer.from(value, 'base64').length < 16) {
+    return { error: 'TSIG secret must be base64 and at least 16 bytes long' };
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO dns_tsig_keys (user_id, name, algorithm, secret_encrypted)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, user_id, name, algorithm, created_at`,
+      [userId, keyName, algorithm, encrypt(value)]
+    );
+    return { key: result.rows[0], secret: value };
+  } catch (error) {
+    // unique_violation: key names are global on the nameservers
+    if (error.code === '23505') {
+      return { error: `A TSIG key named ${keyName} already exists`, conflict: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * TSIG keys without their secrets
+ * @param {number|null} userId - Owner, or null for every key
+ * @returns {Promise<Object[]>}
+ */
+export async function listTsigKeys(userId) {
+  const result = await pool.query(
+    `SELECT k.id, k.user_id, k.name, k.algorithm, k.created_at,
+            (SELECT COUNT(*) FROM dns_zones z
+             WHERE z.primary_tsig_key_id = k.id OR z.transfer_tsig_key_id = k.id) AS zone_count
+     FROM dns_tsig_keys k
+     WHERE $1::int IS NULL OR k.user_id = $1
+     ORDER BY k.name`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Everything the nameservers need to transfer a zone, with TSIG secrets in clear
+ * @param {Object} zone - dns_zones row
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Object>} - { primaries, primaryTsig, allowTransfer, alsoNotify, transferTsig }
+ */
+export async function loadTransferSettings(zone, db = pool) {
+  const keyIds = [zone.primary_tsig_key_id, zone.transfer_tsig_key_id].filter(Boolean);
+  const keys = new Map();
+  if (keyIds.length > 0) {
+    const result = await db.query(`SELECT * FROM dns_tsig_keys WHERE id = ANY($1::int[])`, [keyIds]);
+    for (const row of result.rows) {
+      keys.set(row.id, { name: row.name, algorithm: row.algorithm, secret: decrypt(row.secret_encrypted) });
+    }
+  }
+
+  // Zones from before primaries existed keep theirs in the comma-separated master column
+  const legacyPrimaries = zone.master ? String(zone.master).split(',').map((m) => m.trim()).filter(Boolean) : [];
+
+  return {
+    primaries: zone.primaries?.length > 0 ? zone.primaries : legacyPrimaries,
+    primaryTsig: keys.get(zone.primary_tsig_key_id) || null,
+    allowTransfer: zone.allow_transfer || [],
+    alsoNotify: zone.also_notify || [],
+    transferTsig: keys.get(zone.transfer_tsig_key_id) || null
+  };
+}
+
+export default {
+  ZONE_TYPES,
+  TSIG_ALGORITHMS,
+  parseEndpoint,
+  isAclEntry,
+  validateTransferSettings,
+  createTsigKey,
+  listTsigKeys,
+  loadTransferSettings,
+};
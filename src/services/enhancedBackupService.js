@@ -1,11 +1,13 @@
-const pool = require('../config/database');
-const logger = require('../utils/logger');
-const { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, CopyObjectCommand } = require('@aws-sdk/client-s3');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const fs = require('fs').promises;
-const path = require('path');
-const crypto = require('crypto');
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+import { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, CopyObjectCommand } from '@aws-sdk/client-s3';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import * as keys from './backupKeyService.js';
+import { isSealed, sealedKeyId } from '../utils/backupCrypto.js';
 
 const execAsync = promisify(exec);
 
@@ -101,7 +103,7 @@ class EnhancedBackupService {
 
       // Encrypt if requested
       if (encryption) {
-        backupPath = await this.encryptBackup(backupPath);
+        backupPath = await this.encryptBackup(backupPath, { userId: database.user_id });
       }
 
       // Calculate checksum
@@ -370,12 +372,23 @@ class EnhancedBackupService {
   }
 
   /**
-   * Encrypt backup file
+   * Encrypt backup file. Sealed to the owner's own key when they hold one
+   * (backupKeyService), otherwise under the panel-wide key.
    */
-  async encryptBackup(backupPath) {
+  async encryptBackup(backupPath, { userId = null } = {}) {
     const encryptedPath = `${backupPath}.enc`;
 
     try {
+      const customerKey = userId ? await keys.getActiveKey(userId) : null;
+      if (customerKey) {
+        const input = await fs.readFile(backupPath);
+        await fs.writeFile(encryptedPath, keys.encryptorFor(customerKey).seal(input));
+        await fs.unlink(backupPath);
+
+        logger.info(`Backup encrypted with customer key ${customerKey.id}: ${encryptedPath}`);
+        return encryptedPath;
+      }
+
       const algorithm = 'aes-256-cbc';
       const key = Buffer.from(this.encryptionKey, 'hex');
       const iv = crypto.randomBytes(16);
@@ -475,7 +488,8 @@ class EnhancedBackupService {
     const {
       targetDatabase = null,
       pointInTime = null,
-      verifyOnly = false
+      verifyOnly = false,
+      passphrase = null
     } = options;
 
     try {
@@ -497,7 +511,7 @@ class EnhancedBackupService {
       // Decrypt if encrypted
       let restorePath = localPath;
       if (backupData.encryption) {
-        restorePath = await this.decryptBackup(localPath);
+        restorePath = await this.decryptBackup(localPath, { passphrase });
       }
 
       // Decompress if compressed
@@ -731,16 +745,27 @@ class EnhancedBackupService {
   }
 
   /**
-   * Decrypt backup file
+   * Decrypt backup file; one sealed to a customer key needs their passphrase
    */
-  async decryptBackup(encryptedPath) {
+  async decryptBackup(encryptedPath, { passphrase = null } = {}) {
     const decryptedPath = encryptedPath.replace('.enc', '');
 
     try {
+      const encrypted = await fs.readFile(encryptedPath);
+      if (isSealed(encrypted)) {
+        if (!passphrase) {
+          throw new Error('Backup is encrypted with a customer key; the backup passphrase is required');
+        }
+        const unlocked = await keys.unlockKey(sealedKeyId(encrypted), passphrase);
+        await fs.writeFile(decryptedPath, keys.decryptorFor(unlocked).open(encrypted));
+        await fs.unlink(encryptedPath);
+
+        logger.info(`Backup decrypted: ${decryptedPath}`);
+        return decryptedPath;
+      }
+
       const algorithm = 'aes-256-cbc';
       const key = Buffer.from(this.encryptionKey, 'hex');
-      
-      const encrypted = await fs.readFile(encryptedPath);
       const iv = encrypted.slice(0, 16);
       const data = encrypted.slice(16);
 
@@ -921,4 +946,4 @@ class EnhancedBackupService {
   }
 }
 
-module.exports = new EnhancedBackupService();
+export default new EnhancedBackupService();
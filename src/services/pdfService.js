@@ -1,6 +1,10 @@
 // src/services/pdfService.js
 import PDFDocument from 'pdfkit';
 import { Readable } from 'stream';
+import { formatMoney } from '../config/currencies.js';
+
+// DECIMAL columns come back from pg as strings
+const num = (value) => parseFloat(value || 0);
 
 /**
  * Generate invoice PDF
@@ -12,6 +16,8 @@ import { Readable } from 'stream';
 export async function generateInvoicePDF(invoice, customer, company = {}) {
   return new Promise((resolve, reject) => {
     try {
+      const money = (value) => formatMoney(value, invoice.currency);
+
       const doc = new PDFDocument({ margin: 50 });
       const buffers = [];
 
@@ -28,6 +34,10 @@ export async function generateInvoicePDF(invoice, customer, company = {}) {
         .text(company.city || 'San Francisco, CA 94102', 50, 95)
         .text(company.email || 'billing@migrahosting.com', 50, 110);
 
+      if (company.vatNumber) {
+        doc.text(`VAT No: ${company.vatNumber}`, 50, 125);
+      }
+
       // Invoice title and number
       doc
         .fontSize(20)
@@ -36,7 +46,8 @@ export async function generateInvoicePDF(invoice, customer, company = {}) {
         .text(`Invoice #: ${invoice.invoice_number}`, 400, 80)
         .text(`Date: ${new Date(invoice.created_at).toLocaleDateString()}`, 400, 95)
         .text(`Due Date: ${new Date(invoice.due_date).toLocaleDateString()}`, 400, 110)
-        .text(`Status: ${invoice.status.toUpperCase()}`, 400, 125);
+        .text(`Status: ${invoice.status.toUpperCase()}`, 400, 125)
+        .text(`Currency: ${(invoice.currency || 'USD').toUpperCase()}`, 400, 140);
 
       // Customer information
       doc
@@ -48,6 +59,10 @@ export async function generateInvoicePDF(invoice, customer, company = {}) {
           ? `${customer.first_name} ${customer.last_name}` 
           : 'Customer', 50, 195);
 
+      if (invoice.customer_vat_number) {
+        doc.text(`VAT No: ${invoice.customer_vat_number}`, 50, 210);
+      }
+
       // Line items table
       const tableTop = 250;
       doc.fontSize(10);
@@ -72,13 +87,13 @@ export async function generateInvoicePDF(invoice, customer, company = {}) {
 
       if (invoice.line_items && invoice.line_items.length > 0) {
         invoice.line_items.forEach((item, index) => {
-          const amount = item.amount || (item.quantity * item.unit_price);
+          const amount = num(item.amount || (item.quantity * item.unit_price));
           
           doc
             .text(item.description || item.product_name || 'Item', 50, yPosition, { width: 230 })
             .text(item.quantity || 1, 300, yPosition, { width: 50, align: 'right' })
-            .text(`$${(item.unit_price || item.amount).toFixed(2)}`, 370, yPosition, { width: 70, align: 'right' })
-            .text(`$${amount.toFixed(2)}`, 450, yPosition, { width: 90, align: 'right' });
+            .text(money(item.unit_price || item.amount), 370, yPosition, { width: 70, align: 'right' })
+            .text(money(amount), 450, yPosition, { width: 90, align: 'right' });
 
           yPosition += 25;
         });
@@ -96,18 +111,26 @@ export async function generateInvoicePDF(invoice, customer, company = {}) {
       yPosition += 10;
 
       // Subtotal
-      const subtotal = invoice.subtotal || invoice.amount;
+      const subtotal = num(invoice.subtotal || invoice.amount);
       doc
-        .text('Subtotal:', 370, yPosition, { width: 100, align: 'right' })
-        .text(`$${subtotal.toFixed(2)}`, 480, yPosition, { width: 60, align: 'right' });
+        .text('Subtotal:', 350, yPosition, { width: 100, align: 'right' })
+        .text(money(subtotal), 450, yPosition, { width: 90, align: 'right' });
 
       yPosition += 20;
 
-      // Tax
-      if (invoice.tax_amount && invoice.tax_amount > 0) {
+      // Tax, one line per rate (rates are stored as fractions)
+      const percent = (rate) => `${+(num(rate) * 100).toFixed(2)}%`;
+      if (invoice.tax_lines && invoice.tax_lines.length > 0) {
+        invoice.tax_lines.forEach((line) => {
+          doc
+            .text(`${line.name} ${percent(line.rate)} on ${money(line.taxable_amount)}:`, 250, yPosition, { width: 200, align: 'right' })
+            .text(money(line.tax_amount), 450, yPosition, { width: 90, align: 'right' });
+          yPosition += 20;
+        });
+      } else if (num(invoice.tax_amount) > 0) {
         doc
-          .text(`Tax (${invoice.tax_rate || 0}%):`, 370, yPosition, { width: 100, align: 'right' })
-          .text(`$${invoice.tax_amount.toFixed(2)}`, 480, yPosition, { width: 60, align: 'right' });
+          .text(`Tax (${percent(invoice.tax_rate)}):`, 350, yPosition, { width: 100, align: 'right' })
+          .text(money(invoice.tax_amount), 450, yPosition, { width: 90, align: 'right' });
         yPosition += 20;
       }
 
@@ -115,28 +138,45 @@ export async function generateInvoicePDF(invoice, customer, company = {}) {
       doc
         .font('Helvetica-Bold')
         .fontSize(12)
-        .text('Total:', 370, yPosition, { width: 100, align: 'right' })
-        .text(`$${invoice.total.toFixed(2)}`, 480, yPosition, { width: 60, align: 'right' });
+        .text('Total:', 350, yPosition, { width: 100, align: 'right' })
+        .text(money(invoice.total), 450, yPosition, { width: 90, align: 'right' });
 
       // Amount paid
-      if (invoice.amount_paid && invoice.amount_paid > 0) {
+      if (num(invoice.amount_paid) > 0) {
         yPosition += 20;
         doc
           .font('Helvetica')
           .fontSize(10)
-          .text('Amount Paid:', 370, yPosition, { width: 100, align: 'right' })
-          .text(`-$${invoice.amount_paid.toFixed(2)}`, 480, yPosition, { width: 60, align: 'right' });
+          .text('Amount Paid:', 350, yPosition, { width: 100, align: 'right' })
+          .text(`-${money(invoice.amount_paid)}`, 450, yPosition, { width: 90, align: 'right' });
       }
 
       // Amount due
-      const amountDue = invoice.total - (invoice.amount_paid || 0);
+      const amountDue = num(invoice.total) - num(invoice.amount_paid);
       if (amountDue > 0) {
         yPosition += 20;
         doc
           .font('Helvetica-Bold')
           .fontSize(12)
-          .text('Amount Due:', 370, yPosition, { width: 100, align: 'right' })
-          .text(`$${amountDue.toFixed(2)}`, 480, yPosition, { width: 60, align: 'right' });
+          .text('Amount Due:', 350, yPosition, { width: 100, align: 'right' })
+          .text(money(amountDue), 450, yPosition, { width: 90, align: 'right' });
+      }
+
+      if (invoice.prices_include_tax) {
+        yPosition += 20;
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .text('Prices include tax.', 50, yPosition, { width: 500 });
+      }
+
+      // Reverse charge and other legal notices
+      if (invoice.tax_note) {
+        yPosition += 20;
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .text(invoice.tax_note, 50, yPosition, { width: 500 });
       }
 
       // Payment instructions
@@ -203,7 +243,7 @@ export async function generateReceiptPDF(payment, invoice, customer) {
         .text('Payment Details', 50, 260)
         .fontSize(10)
         .text(`Invoice #: ${invoice.invoice_number}`, 50, 285)
-        .text(`Amount Paid: $${payment.amount.toFixed(2)}`, 50, 305, { font: 'Helvetica-Bold', fontSize: 12 });
+        .text(`Amount Paid: ${formatMoney(payment.amount, payment.currency || invoice.currency)}`, 50, 305, { font: 'Helvetica-Bold', fontSize: 12 });
 
       // Thank you message
       doc
@@ -217,7 +257,144 @@ export async function generateReceiptPDF(payment, invoice, customer) {
   });
 }
 
+/**
+ * Generate credit note PDF
+ * @param {Object} creditNote - Credit note with items and refunds
+ * @param {Object} customer - Customer information
+ * @param {Object} company - Company information
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export async function generateCreditNotePDF(creditNote, customer, company = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const money = (value) => formatMoney(value, creditNote.currency);
+
+      const doc = new PDFDocument({ margin: 50 });
+      const buffers = [];
+
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      // Company header
+      doc
+        .fontSize(20)
+        .text(company.name || 'MigraHosting', 50, 50)
+        .fontSize(10)
+        .text(company.address || '123 Hosting Street', 50, 80)
+        .text(company.city || 'San Francisco, CA 94102', 50, 95)
+        .text(company.email || 'billing@migrahosting.com', 50, 110);
+
+      if (company.vatNumber) {
+        doc.text(`VAT No: ${company.vatNumber}`, 50, 125);
+      }
+
+      // Credit note title, number and the invoice it corrects
+      doc
+        .fontSize(20)
+        .text('CREDIT NOTE', 380, 50)
+        .fontSize(10)
+        .text(`Credit Note #: ${creditNote.credit_note_number}`, 380, 80)
+        .text(`Date: ${new Date(creditNote.created_at).toLocaleDateString()}`, 380, 95)
+        .text(`Invoice #: ${creditNote.invoice_number}`, 380, 110)
+        .text(`Currency: ${(creditNote.currency || 'USD').toUpperCase()}`, 380, 125);
+
+      // Customer information
+      doc
+        .fontSize(12)
+        .text('Credit To:', 50, 160)
+        .fontSize(10)
+        .text(customer.email, 50, 180)
+        .text(customer.first_name && customer.last_name
+          ? `${customer.first_name} ${customer.last_name}`
+          : 'Customer', 50, 195);
+
+      if (customer.vat_number) {
+        doc.text(`VAT No: ${customer.vat_number}`, 50, 210);
+      }
+
+      doc.text(`Reason: ${creditNote.reason}`, 50, 230, { width: 490 });
+
+      // Line items table
+      const tableTop = 270;
+      doc
+        .font('Helvetica-Bold')
+        .text('Description', 50, tableTop)
+        .text('Amount', 450, tableTop, { width: 90, align: 'right' });
+
+      doc
+        .moveTo(50, tableTop + 15)
+        .lineTo(540, tableTop + 15)
+        .stroke();
+
+      doc.font('Helvetica');
+      let yPosition = tableTop + 25;
+
+      (creditNote.items || []).forEach((item) => {
+        doc
+          .text(item.description, 50, yPosition, { width: 380 })
+          .text(money(item.amount), 450, yPosition, { width: 90, align: 'right' });
+        yPosition += 25;
+      });
+
+      // Totals section
+      yPosition += 20;
+      doc
+        .moveTo(350, yPosition)
+        .lineTo(540, yPosition)
+        .stroke();
+      yPosition += 10;
+
+      doc
+        .text('Subtotal:', 350, yPosition, { width: 100, align: 'right' })
+        .text(money(creditNote.subtotal), 450, yPosition, { width: 90, align: 'right' });
+      yPosition += 20;
+
+      if (num(creditNote.tax_amount) > 0) {
+        doc
+          .text(`Tax (${+(num(creditNote.tax_rate) * 100).toFixed(2)}%):`, 350, yPosition, { width: 100, align: 'right' })
+          .text(money(creditNote.tax_amount), 450, yPosition, { width: 90, align: 'right' });
+        yPosition += 20;
+      }
+
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(12)
+        .text('Total Credit:', 330, yPosition, { width: 120, align: 'right' })
+        .text(money(creditNote.total), 450, yPosition, { width: 90, align: 'right' });
+
+      // How the credit was settled
+      doc.font('Helvetica').fontSize(10);
+      if (num(creditNote.applied_to_invoice) > 0) {
+        yPosition += 20;
+        doc
+          .text('Applied to invoice:', 300, yPosition, { width: 150, align: 'right' })
+          .text(money(creditNote.applied_to_invoice), 450, yPosition, { width: 90, align: 'right' });
+      }
+
+      (creditNote.refunds || []).forEach((refund) => {
+        yPosition += 20;
+        const label = refund.method === 'stripe' ? 'Refunded to card' : 'Added to account credit';
+        doc
+          .text(`${label}:`, 300, yPosition, { width: 150, align: 'right' })
+          .text(money(refund.amount), 450, yPosition, { width: 90, align: 'right' });
+      });
+
+      // Footer
+      doc
+        .fontSize(8)
+        .text(`This credit note corrects invoice ${creditNote.invoice_number}.`, 50, 700, { align: 'center', width: 500 })
+        .text(company.website || 'https://migrahosting.com', 50, 715, { align: 'center', width: 500 });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
 export default {
   generateInvoicePDF,
   generateReceiptPDF,
+  generateCreditNotePDF,
 };
@@ -1,9 +1,15 @@
 /**
  * DNS Provisioning Service
- * Handles DNS zone and record provisioning via PowerDNS API
+ * Handles DNS zone and record provisioning. Zones are stored in the database
+ * and pushed to the nameservers by dnsSyncService.
  */
 
 import pool from '../../db/index.js';
+import { validateRecordChanges } from '../../utils/dnsValidation.js';
+import { scheduleZoneSync, removeZoneFromBackend } from '../dnsSyncService.js';
+import { trackZoneChange } from '../dnsHistoryService.js';
+import { resolveTemplate, renderTemplate } from '../dnsTemplateService.js';
+import { validateTransferSettings } from '../dnsTransferService.js';
 
 /**
  * Create DNS zone in database
@@ -11,10 +17,14 @@ import pool from '../../db/index.js';
  * @param {string} config.domain - Domain name (e.g., 'example.com')
  * @param {number} config.tenantId - Tenant ID
  * @param {string} config.type - Zone type ('MASTER', 'SLAVE', 'NATIVE')
+ * @param {string[]} config.primaries - For SLAVE zones: where to transfer from ("ip" or "ip:port")
+ * @param {number} config.templateId - DNS template for the records (default: the default template)
+ * @param {Object} config.variables - Template variables, e.g. { server_ip }
  * @returns {Promise<Object>} - Created zone
  */
 export async function createDNSZone(config) {
-  const { domain, tenantId, type = 'MASTER' } = config;
+  const { domain, tenantId, type = 'MASTER', primaries = [], templateId = null, variables = {} } = config;
+  const secondary = String(type).toUpperCase() === 'SLAVE';
   
   const client = await pool.connect();
   
@@ -28,6 +38,11 @@ export async function createDNSZone(config) {
     if (!domainRegex.test(domain)) {
       throw new Error(`Invalid domain format: ${domain}`);
     }
+
+    const { errors, values: transfer } = validateTransferSettings({ type, primaries });
+    if (errors.length > 0) {
+      throw new Error(`Invalid DNS zone ${domain}: ${errors.map((e) => e.message).join('; ')}`);
+    }
     
     // Check if zone already exists
     const checkQuery = `
@@ -51,24 +66,29 @@ export async function createDNSZone(config) {
         domain,
         type,
         master,
+        primaries,
         serial,
         created_at
-      ) VALUES ($1, $2, $3, $4, $5, NOW())
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
       RETURNING *
     `;
     
-    const values = [tenantId, domain, type, null, parseInt(serial)];
+    const values = [tenantId, domain, transfer.type, null, JSON.stringify(transfer.primaries), parseInt(serial)];
     const result = await client.query(insertQuery, values);
     
     const zone = result.rows[0];
     
-    // Create default SOA record
-    await createDefaultRecords(zone.id, domain, serial, tenantId, client);
+    // Create SOA and template records; a secondary zone is filled by transfer from its primaries
+    if (!secondary) {
+      await createDefaultRecords(zone.id, domain, serial, tenantId, client, { templateId, variables });
+    }
     
     console.log(`[DNS] ✓ Zone created: ${domain}`);
     console.log(`[DNS]   Serial: ${serial}`);
     
     await client.query('COMMIT');
+    await trackZoneChange(zone.id, 'zone_created', { source: 'system' });
+    await scheduleZoneSync(zone.id);
     
     return {
       success: true,
@@ -91,15 +111,24 @@ export async function createDNSZone(config) {
 }
 
 /**
- * Create default DNS records for a new zone
+ * Create the records of a new zone: the SOA plus the zone's DNS template
  * @param {number} zoneId - Zone ID
  * @param {string} domain - Domain name
  * @param {string} serial - SOA serial
  * @param {number} tenantId - Tenant ID
  * @param {Object} client - Database client
+ * @param {Object} options
+ * @param {number} options.templateId - DNS template; the default template when omitted
+ * @param {Object} options.variables - Template variables, e.g. { server_ip }
  */
-async function createDefaultRecords(zoneId, domain, serial, tenantId, client) {
-  console.log(`[DNS] Creating default records for ${domain}`);
+async function createDefaultRecords(zoneId, domain, serial, tenantId, client, { templateId = null, variables = {} } = {}) {
+  const template = await resolveTemplate({ templateId }, client);
+  console.log(`[DNS] Creating records for ${domain} from template "${template.name}"`);
+
+  const rendered = renderTemplate(template, domain, variables);
+  if (rendered.missing.length > 0) {
+    throw new Error(`DNS template "${template.name}" needs values for: ${rendered.missing.join(', ')}`);
+  }
   
   const records = [
     // SOA record
@@ -110,45 +139,13 @@ async function createDefaultRecords(zoneId, domain, serial, tenantId, client) {
       ttl: 3600,
       prio: 0,
     },
-    // NS records
-    {
-      name: domain,
-      type: 'NS',
-      content: `ns1.${domain}.`,
-      ttl: 3600,
-      prio: 0,
-    },
-    {
-      name: domain,
-      type: 'NS',
-      content: `ns2.${domain}.`,
-      ttl: 3600,
-      prio: 0,
-    },
-    // A record (pointing to server IP - should be configured)
-    {
-      name: domain,
-      type: 'A',
-      content: process.env.DNS_DEFAULT_IP || '127.0.0.1',
-      ttl: 3600,
-      prio: 0,
-    },
-    // WWW CNAME
-    {
-      name: `www.${domain}`,
-      type: 'CNAME',
-      content: `${domain}.`,
-      ttl: 3600,
-      prio: 0,
-    },
-    // MX record
-    {
-      name: domain,
-      type: 'MX',
-      content: `mail.${domain}.`,
-      ttl: 3600,
-      prio: 10,
-    },
+    ...rendered.records.map((record) => ({
+      name: record.name === '@' ? domain : `${record.name}.${domain}`,
+      type: record.type,
+      content: record.content,
+      ttl: record.ttl,
+      prio: record.priority ?? 0,
+    })),
   ];
   
   for (const record of records) {
@@ -177,6 +174,14 @@ async function createDefaultRecords(zoneId, domain, serial, tenantId, client) {
     
     console.log(`[DNS]   ✓ ${record.type} ${record.name} ${record.content}`);
   }
+
+  // Remembered so the template can be re-applied to the zone later
+  await client.query(
+    `UPDATE dns_zones
+     SET template_id = $1, template_variables = $2, template_records = $3, template_applied_at = NOW()
+     WHERE id = $4`,
+    [template.id, JSON.stringify(variables), JSON.stringify(rendered.records), zoneId]
+  );
 }
 
 /**
@@ -201,10 +206,29 @@ export async function createDNSRecord(config) {
     
     console.log(`[DNS] Creating record: ${type} ${name} ${content}`);
     
-    // Validate record type
-    const validTypes = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'SRV', 'PTR'];
-    if (!validTypes.includes(type.toUpperCase())) {
-      throw new Error(`Invalid DNS record type: ${type}`);
+    const zoneResult = await client.query(
+      'SELECT domain, type FROM dns_zones WHERE id = $1',
+      [zoneId]
+    );
+    if (zoneResult.rows.length === 0) {
+      throw new Error(`DNS zone ${zoneId} not found`);
+    }
+    if (String(zoneResult.rows[0].type || '').toUpperCase() === 'SLAVE') {
+      throw new Error(`DNS zone ${zoneResult.rows[0].domain} is a secondary; its records come from its primaries`);
+    }
+
+    // Validate record syntax and zone rules (CNAME conflicts, duplicates)
+    const existingResult = await client.query(
+      'SELECT * FROM dns_records WHERE zone_id = $1',
+      [zoneId]
+    );
+    const errors = validateRecordChanges(
+      existingResult.rows,
+      [{ name, type: type.toUpperCase(), content, ttl, prio }],
+      { domain: zoneResult.rows[0].domain }
+    );
+    if (errors.length > 0) {
+      throw new Error(`Invalid DNS record ${type} ${name}: ${errors.map((e) => e.message).join('; ')}`);
     }
     
     // Create record
@@ -233,6 +257,8 @@ export async function createDNSRecord(config) {
     console.log(`[DNS] ✓ Record created: ${type} ${name}`);
     
     await client.query('COMMIT');
+    await trackZoneChange(zoneId, 'record_created', { source: 'system' });
+    await scheduleZoneSync(zoneId);
     
     return {
       success: true,
@@ -312,6 +338,7 @@ export async function deleteDNSZone(zoneId, tenantId) {
     console.log(`[DNS] ✓ Zone deleted: ${domain}`);
     
     await client.query('COMMIT');
+    await removeZoneFromBackend(domain);
     
     return {
       success: true,
@@ -360,6 +387,8 @@ export async function deleteDNSRecord(recordId, tenantId) {
     console.log(`[DNS] ✓ Record deleted: ${type} ${name}`);
     
     await client.query('COMMIT');
+    await trackZoneChange(zone_id, 'record_deleted', { source: 'system' });
+    await scheduleZoneSync(zone_id);
     
     return {
       success: true,
@@ -18,6 +18,9 @@ import { promisify } from 'util';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
+import agentJobService from './agentJobService.js';
+import { resolveTemplate, applyTemplateToZone } from './dnsTemplateService.js';
+import { scheduleZoneSync } from './dnsSyncService.js';
 
 const execAsync = promisify(exec);
 
@@ -177,6 +180,9 @@ class ProvisioningService {
       } else if (server.control_panel === 'directadmin') {
         const result = await this.createDirectAdminAccount(server, accountData);
         accountData.da_url = result.da_url;
+      } else if (server.control_panel === 'mpanel') {
+        const result = await this.createAgentAccount(server, accountData);
+        accountData.agent_job_ids = result.job_ids;
       } else {
         // Generic/manual provisioning
         accountData.manual = true;
@@ -206,56 +212,58 @@ class ProvisioningService {
 
   /**
    * Step 2: Configure DNS
-   * Creates DNS zone and default records
+   * Creates the DNS zone from the product's DNS template (or the default one)
    */
   async configureDNS({ domain, serviceId, product }) {
     try {
       // Get server IP
       const service = await this.getServiceDetails(serviceId);
       const server = await this.getServerById(service.server_id);
+      const template = await resolveTemplate({ templateId: product?.dns_template_id });
 
       // Create DNS zone
       const client = await pool.connect();
       try {
+        await client.query('BEGIN');
+
         const zoneResult = await client.query(
           `INSERT INTO dns_zones (domain, service_id, ttl, refresh, retry, expire, minimum)
            VALUES ($1, $2, 3600, 7200, 3600, 1209600, 3600)
-           RETURNING id`,
+           RETURNING *`,
           [domain, serviceId]
         );
 
-        const zoneId = zoneResult.rows[0].id;
-
-        // Create default DNS records
-        const records = [
-          { type: 'A', name: '@', value: server.ip_address, ttl: 3600 },
-          { type: 'A', name: 'www', value: server.ip_address, ttl: 3600 },
-          { type: 'CNAME', name: 'mail', value: domain, ttl: 3600 },
-          { type: 'MX', name: '@', value: `mail.${domain}`, priority: 10, ttl: 3600 },
-          { type: 'TXT', name: '@', value: 'v=spf1 a mx ~all', ttl: 3600 }
-        ];
-
-        for (const record of records) {
-          await client.query(
-            `INSERT INTO dns_records (zone_id, type, name, value, ttl, priority)
-             VALUES ($1, $2, $3, $4, $5, $6)`,
-            [zoneId, record.type, record.name, record.value, record.ttl, record.priority || null]
-          );
+        const zone = zoneResult.rows[0];
+
+        // Create the template's DNS records
+        const result = await applyTemplateToZone(client, zone, template, {
+          variables: { server_ip: server.ip_address }
+        });
+        if (!result.applied) {
+          const problems = [
+            ...result.missing.map((name) => `no value for {{${name}}}`),
+            ...result.errors.map((error) => error.message)
+          ];
+          throw new Error(`DNS template "${template.name}" could not be applied to ${domain}: ${problems.join('; ')}`);
         }
 
-        client.release();
+        await client.query('COMMIT');
+        await scheduleZoneSync(zone.id);
 
-        logger.info(`DNS zone created for ${domain} with ${records.length} records`);
+        logger.info(`DNS zone created for ${domain} from template "${template.name}" with ${result.plan.add.length} records`);
         
         return {
-          zone_id: zoneId,
-          records: records.length,
+          zone_id: zone.id,
+          template_id: template.id,
+          records: result.plan.add.length,
           nameservers: [`ns1.${process.env.COMPANY_DOMAIN}`, `ns2.${process.env.COMPANY_DOMAIN}`]
         };
 
       } catch (dbError) {
-        client.release();
+        await client.query('ROLLBACK').catch(() => {});
         throw dbError;
+      } finally {
+        client.release();
       }
 
     } catch (error) {
@@ -575,6 +583,30 @@ class ProvisioningService {
     return iv.toString('hex') + ':' + encrypted;
   }
 
+  /**
+   * Create the account on an mPanel-native node through the agent command
+   * channel: system user first, then the nginx vhost (which reloads nginx)
+   */
+  async createAgentAccount(server, accountData) {
+    const homeDir = `/home/${accountData.username}`;
+
+    const userJob = await agentJobService.enqueueForServer(server.id, 'create_system_user', {
+      username: accountData.username,
+      homeDir
+    });
+    await agentJobService.waitForJob(userJob.id);
+
+    const vhostJob = await agentJobService.enqueueForServer(server.id, 'create_vhost', {
+      domain: accountData.domain,
+      username: accountData.username,
+      documentRoot: `${homeDir}/public_html`
+    });
+    await agentJobService.waitForJob(vhostJob.id);
+
+    logger.info(`Server account created via agent jobs: ${accountData.username} on ${server.hostname}`);
+    return { job_ids: [userJob.id, vhostJob.id] };
+  }
+
   // ========================================
   // Server Agent API Methods (mPanel Native - Low Level)
   // ========================================
@@ -55,6 +55,16 @@ class QuotaService {
         maxEmailAccounts: -1
       }
     };
+
+    // Backup retention limits by hosting plan (config/planCatalog.js); the
+    // most each schedule may keep per period, -1 for unlimited
+    this.backupRetentionLimits = {
+      none: { hourly: 0, daily: 7, weekly: 4, monthly: 0, yearly: 0 },
+      student: { hourly: 0, daily: 7, weekly: 4, monthly: 3, yearly: 0 },
+      starter: { hourly: 0, daily: 14, weekly: 4, monthly: 6, yearly: 0 },
+      premium: { hourly: 24, daily: 30, weekly: 8, monthly: 12, yearly: 1 },
+      business: { hourly: 48, daily: 60, weekly: 12, monthly: 24, yearly: 7 }
+    };
   }
 
   /**
@@ -121,6 +131,34 @@ class QuotaService {
     }
   }
 
+  /**
+   * Get backup retention limits for a user's hosting plan
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { plan, limits }; plan is 'none' without an active subscription
+   */
+  async getBackupRetentionLimits(userId) {
+    try {
+      const result = await db.query(
+        `SELECT s.*
+         FROM subscriptions s
+         JOIN customers c ON c.id = s.customer_id
+         WHERE c.user_id = $1 AND s.status IN ('active', 'trialing')
+         ORDER BY s.created_at DESC
+         LIMIT 1`,
+        [userId]
+      );
+
+      const subscription = result.rows[0];
+      const planId = subscription?.metadata?.planId || subscription?.plan_id;
+      const plan = Object.hasOwn(this.backupRetentionLimits, String(planId)) ? planId : 'none';
+
+      return { plan, limits: this.backupRetentionLimits[plan] };
+    } catch (error) {
+      logger.error('Error getting backup retention limits:', error);
+      throw new Error('Failed to retrieve backup retention limits');
+    }
+  }
+
   /**
    * Track API request usage
    * @param {string} apiKeyId - API key ID
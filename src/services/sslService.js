@@ -8,10 +8,15 @@ const connection = {
 
 export const sslQueue = new Queue('ssl-issuance', { connection });
 
-export async function enqueueSslIssue(domainId) {
+/**
+ * Queue a certificate order for a domain
+ * @param {string} domainId
+ * @param {Object} [options] - { domains, challenge }; names default to the domain itself
+ */
+export async function enqueueSslIssue(domainId, { domains, challenge } = {}) {
   await sslQueue.add(
     'issue',
-    { domainId },
+    { domainId, domains, challenge },
     {
       attempts: 5,
       backoff: { type: 'exponential', delay: 60_000 },
@@ -0,0 +1,290 @@
+/**
+ * TLS endpoint monitoring
+ * Watches certificates we did not necessarily issue: any registered
+ * host:port, mail servers over STARTTLS included. Each check reads the served
+ * chain and looks for expiry, hostname mismatch, weak keys and chains that do
+ * not verify (usually a missing intermediate), then raises or resolves
+ * monitoring alerts for the endpoint's owner.
+ */
+
+import { isIP } from 'net';
+import pool from '../db/index.js';
+import logger from '../config/logger.js';
+import { PROTOCOLS, DEFAULT_PORTS, probeTls } from '../utils/tlsProbe.js';
+import { publicAddress } from '../utils/netGuard.js';
+import { raiseAlert, clearAlerts } from '../controllers/monitoringController.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Smallest acceptable key sizes (NIST SP 800-57 until 2030)
+const MIN_KEY_BITS = { rsa: 2048, dsa: 2048, ec: 256 };
+
+const HOSTNAME = /^((?!-)[a-z0-9-]{1,63}(?<!-)\.)+[a-z]{2,63}$/i;
+
+// Verification errors that mean the server did not send its intermediates
+const INCOMPLETE_CHAIN_ERRORS = ['UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'UNABLE_TO_GET_ISSUER_CERT'];
+
+const SELF_SIGNED_ERRORS = ['DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN'];
+
+// Reported by our own date checks instead
+const DATE_ERRORS = ['CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID'];
+
+const SEVERITY_RANK = { ok: 0, warning: 1, critical: 2 };
+
+export { PROTOCOLS };
+
+/**
+ * Validate endpoint fields from a request
+ * @param {Object} input - { host, port, protocol, server_name, warn_days, critical_days, enabled }
+ * @param {Object} [current] - Stored endpoint when updating
+ * @returns {Object} - { values, errors: [{ field, message }] }
+ */
+export function validateEndpoint(input, current = {}) {
+  const errors = [];
+  const protocol = String(input.protocol ?? current.protocol ?? 'tls').toLowerCase();
+  const host = String(input.host ?? current.host ?? '').trim().toLowerCase().replace(/\.$/, '');
+  const port = parseInt(input.port ?? current.port ?? DEFAULT_PORTS[protocol], 10);
+  const serverName = input.server_name !== undefined ? input.server_name : current.server_name;
+  const warnDays = parseInt(input.warn_days ?? current.warn_days ?? 21, 10);
+  const criticalDays = parseInt(input.critical_days ?? current.critical_days ?? 7, 10);
+
+  if (!PROTOCOLS.includes(protocol)) {
+    errors.push({ field: 'protocol', message: `Protocol must be one of: ${PROTOCOLS.join(', ')}` });
+  }
+  if (!HOSTNAME.test(host) && !isIP(host)) {
+    errors.push({ field: 'host', message: 'Host must be a hostname or IP address' });
+  }
+  if (!(port >= 1 && port <= 65535)) {
+    errors.push({ field: 'port', message: 'Port must be between 1 and 65535' });
+  }
+  if (serverName && !HOSTNAME.test(serverName)) {
+    errors.push({ field: 'server_name', message: 'Server name must be a hostname' });
+  }
+  if (!(criticalDays >= 0 && warnDays >= criticalDays)) {
+    errors.push({ field: 'warn_days', message: 'warn_days must be at least critical_days, and both zero or more' });
+  }
+
+  return {
+    values: {
+      host,
+      port,
+      protocol,
+      server_name: serverName ? serverName.toLowerCase() : null,
+      warn_days: warnDays,
+      critical_days: criticalDays,
+      enabled: input.enabled ?? current.enabled ?? true
+    },
+    errors
+  };
+}
+
+function keyDetails(certificate) {
+  const { publicKey } = certificate;
+  const details = publicKey.asymmetricKeyDetails || {};
+  const type = publicKey.asymmetricKeyType;
+  const curveBits = details.namedCurve ? parseInt(details.namedCurve.match(/\d+/)?.[0] || '0', 10) : null;
+
+  if (type === 'rsa' || type === 'rsa-pss' || type === 'dsa') {
+    return { type: type === 'dsa' ? 'dsa' : 'rsa', bits: details.modulusLength };
+  }
+  if (type === 'ec') return { type: 'ec', bits: curveBits, curve: details.namedCurve };
+  return { type, bits: null };
+}
+
+/**
+ * Everything wrong with a served chain
+ * @param {X509Certificate[]} chain - Leaf first
+ * @param {Object} options
+ * @param {string} options.hostname - Name the certificate must cover
+ * @param {string} [options.authorizationError] - From the handshake
+ * @param {number} [options.warnDays] - Warn this many days before expiry (default: 21)
+ * @param {number} [options.criticalDays] - Critical from this many days (default: 7)
+ * @param {Date} [options.now]
+ * @returns {Object} - { status, subject, issuer, names, serialNumber, fingerprint256, validFrom, expiresAt, daysRemaining, key, chainLength, issues }
+ */
+export function analyzeChain(chain, { hostname, authorizationError = null, warnDays = 21, criticalDays = 7, now = new Date() }) {
+  const [leaf] = chain;
+  if (!leaf) {
+    return { status: 'critical', issues: [{ code: 'no_certificate', severity: 'critical', message: 'No certificate was presented' }] };
+  }
+
+  const issues = [];
+  const validFrom = new Date(leaf.validFrom);
+  const expiresAt = new Date(leaf.validTo);
+  const daysRemaining = Math.floor((expiresAt - now) / DAY_MS);
+  const key = keyDetails(leaf);
+
+  if (expiresAt <= now) {
+    issues.push({ code: 'expired', severity: 'critical', message: `Certificate expired on ${expiresAt.toISOString().slice(0, 10)}` });
+  } else if (daysRemaining < warnDays) {
+    issues.push({
+      code: 'expiring',
+      severity: daysRemaining < criticalDays ? 'critical' : 'warning',
+      message: `Certificate expires in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'} (${expiresAt.toISOString().slice(0, 10)})`
+    });
+  }
+  if (validFrom > now) {
+    issues.push({ code: 'not_yet_valid', severity: 'critical', message: `Certificate is not valid until ${validFrom.toISOString()}` });
+  }
+
+  const matches = isIP(hostname) ? leaf.checkIP(hostname) : leaf.checkHost(hostname);
+  if (!matches) {
+    issues.push({ code: 'hostname_mismatch', severity: 'critical', message: `Certificate does not cover ${hostname}` });
+  }
+
+  if (MIN_KEY_BITS[key.type] && !(key.bits >= MIN_KEY_BITS[key.type])) {
+    issues.push({ code: 'weak_key', severity: 'warning', message: `${key.type.toUpperCase()} key of ${key.bits} bits is below ${MIN_KEY_BITS[key.type]}` });
+  }
+
+  if (INCOMPLETE_CHAIN_ERRORS.includes(authorizationError)) {
+    issues.push({ code: 'incomplete_chain', severity: 'warning', message: 'Chain is incomplete; the server does not send its intermediate certificates' });
+  } else if (SELF_SIGNED_ERRORS.includes(authorizationError)) {
+    issues.push({ code: 'self_signed', severity: 'critical', message: 'Certificate is self-signed' });
+  } else if (authorizationError && !DATE_ERRORS.includes(authorizationError)) {
+    issues.push({ code: 'untrusted', severity: 'critical', message: `Certificate does not verify: ${authorizationError}` });
+  }
+
+  const worst = issues.reduce((status, issue) => (SEVERITY_RANK[issue.severity] > SEVERITY_RANK[status] ? issue.severity : status), 'ok');
+
+  return {
+    status: worst,
+    subject: leaf.subject,
+    issuer: leaf.issuer,
+    names: leaf.subjectAltName || null,
+    serialNumber: leaf.serialNumber,
+    fingerprint256: leaf.fingerprint256,
+    validFrom: validFrom.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    daysRemaining,
+    key,
+    chainLength: chain.length,
+    issues
+  };
+}
+
+/**
+ * Probe an endpoint and analyse what it serves. Never throws; connection
+ * failures come back as status 'error'. Only admins' endpoints may be on the
+ * panel's own network: others are resolved and checked on every check, and
+ * the probe connects to the checked address (the name still goes in SNI).
+ * @param {Object} endpoint - tls_endpoints row, with owner_role
+ * @param {Object} [options] - { timeoutMs, ca, now }
+ * @returns {Promise<Object>} - As analyzeChain, plus checkedAt and tls (protocol version and cipher)
+ */
+export async function checkEndpoint(endpoint, { timeoutMs, ca, now } = {}) {
+  const hostname = endpoint.server_name || endpoint.host;
+  const checkedAt = new Date().toISOString();
+
+  try {
+    const address = endpoint.owner_role === 'admin' ? endpoint.host : await publicAddress(endpoint.host);
+    const probe = await probeTls(address, endpoint.port, {
+      protocol: endpoint.protocol,
+      servername: hostname,
+      timeoutMs: timeoutMs ?? parseInt(process.env.TLS_MONITOR_TIMEOUT_MS || '10000', 10),
+      ca
+    });
+
+    return {
+      ...analyzeChain(probe.chain, {
+        hostname,
+        authorizationError: probe.authorizationError,
+        warnDays: endpoint.warn_days ?? 21,
+        criticalDays: endpoint.critical_days ?? 7,
+        now
+      }),
+      tls: { protocol: probe.protocol, cipher: probe.cipher },
+      checkedAt
+    };
+  } catch (error) {
+    return { status: 'error', error: error.message, issues: [], checkedAt };
+  }
+}
+
+const alertMessage = (endpoint, text) => `TLS ${endpoint.host}:${endpoint.port} (${endpoint.protocol}): ${text}`;
+
+/**
+ * Store a check on the endpoint, record its metrics and bring its alerts in
+ * line: one open alert per issue, resolved once the issue is gone
+ * @param {Object} endpoint - tls_endpoints row
+ * @param {Object} result - From checkEndpoint
+ */
+export async function recordEndpointCheck(endpoint, result) {
+  await pool.query(
+    `UPDATE tls_endpoints
+     SET last_status = $1, last_result = $2, expires_at = COALESCE($3, expires_at), last_checked_at = NOW(), updated_at = NOW()
+     WHERE id = $4`,
+    [result.status, JSON.stringify(result), result.expiresAt || null, endpoint.id]
+  );
+
+  if (result.status === 'error') {
+    // Unreachable is its own problem; the certificate alerts stay as they were
+    await raiseAlert({
+      userId: endpoint.user_id,
+      resourceType: 'tls_endpoint',
+      resourceId: endpoint.id,
+      key: 'tls:unreachable',
+      severity: 'warning',
+      message: alertMessage(endpoint, `check failed: ${result.error}`)
+    });
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO resource_metrics (user_id, resource_type, resource_id, metrics)
+     VALUES ($1, 'tls_endpoint', $2, $3)`,
+    [endpoint.user_id, endpoint.id, JSON.stringify({ days_until_expiry: result.daysRemaining, key_bits: result.key?.bits ?? null, issues: result.issues.length })]
+  );
+
+  for (const issue of result.issues) {
+    await raiseAlert({
+      userId: endpoint.user_id,
+      resourceType: 'tls_endpoint',
+      resourceId: endpoint.id,
+      key: `tls:${issue.code}`,
+      severity: issue.severity,
+      message: alertMessage(endpoint, issue.message)
+    });
+  }
+  await clearAlerts({
+    resourceType: 'tls_endpoint',
+    resourceId: endpoint.id,
+    keepKeys: result.issues.map((issue) => `tls:${issue.code}`)
+  });
+}
+
+/**
+ * Check every enabled endpoint, one at a time
+ * @returns {Promise<Object>} - { checked, ok, warning, critical, error }
+ */
+export async function checkAllEndpoints() {
+  const result = await pool.query(
+    `SELECT e.*, u.role AS owner_role
+     FROM tls_endpoints e
+     LEFT JOIN users u ON u.id = e.user_id
+     WHERE e.enabled = true
+     ORDER BY e.id`
+  );
+  const summary = { checked: 0, ok: 0, warning: 0, critical: 0, error: 0 };
+
+  for (const endpoint of result.rows) {
+    try {
+      const check = await checkEndpoint(endpoint);
+      await recordEndpointCheck(endpoint, check);
+      summary.checked++;
+      summary[check.status]++;
+    } catch (error) {
+      logger.error(`TLS check failed for endpoint ${endpoint.id} (${endpoint.host}:${endpoint.port}):`, error);
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  PROTOCOLS,
+  validateEndpoint,
+  analyzeChain,
+  checkEndpoint,
+  recordEndpointCheck,
+  checkAllEndpoints
+};
@@ -0,0 +1,105 @@
+/**
+ * VAT number validation
+ * Validators are pluggable: VAT_VALIDATOR picks one by name ('vies' by default,
+ * 'offline' for development and tests, which only checks the number's format).
+ */
+
+import axios from 'axios';
+import logger from '../config/logger.js';
+import { isValidVatFormat, parseVatNumber, vatPrefix } from '../config/euVat.js';
+
+const VIES_API_URL = process.env.VIES_API_URL || 'https://ec.europa.eu/taxation_customs/vies/rest-api';
+
+/**
+ * Check a number against the EU VIES service. When TAX_SELLER_VAT_NUMBER is
+ * set the request is made as that business, so VIES returns a consultation
+ * number that proves the check was done.
+ */
+async function viesValidator(parsed) {
+  const requester = parseVatNumber(process.env.TAX_SELLER_VAT_NUMBER);
+
+  const response = await axios.post(
+    `${VIES_API_URL}/check-vat-number`,
+    {
+      countryCode: parsed.prefix,
+      vatNumber: parsed.number,
+      ...(requester && {
+        requesterMemberStateCode: requester.prefix,
+        requesterNumber: requester.number,
+      }),
+    },
+    { timeout: parseInt(process.env.VIES_TIMEOUT_MS || '10000') }
+  );
+
+  const data = response.data || {};
+  if (data.actionSucceed === false || data.errorWrappers) {
+    const code = data.errorWrappers?.[0]?.error || 'SERVICE_UNAVAILABLE';
+    return { status: 'unavailable', error: code };
+  }
+
+  return {
+    status: data.valid ? 'valid' : 'invalid',
+    name: data.name && data.name !== '---' ? data.name : null,
+    address: data.address && data.address !== '---' ? data.address : null,
+    consultationNumber: data.requestIdentifier || null,
+  };
+}
+
+async function offlineValidator() {
+  // The format has already been checked; nothing else can be known offline
+  return { status: 'valid', name: null, address: null, consultationNumber: null };
+}
+
+const validators = {
+  vies: viesValidator,
+  offline: offlineValidator,
+};
+
+/**
+ * Register a validator. It receives { country, prefix, number, vatNumber } and
+ * resolves to { status: 'valid' | 'invalid' | 'unavailable', name?, address?,
+ * consultationNumber?, error? }.
+ */
+export function registerVatValidator(name, validator) {
+  validators[name] = validator;
+}
+
+/**
+ * Validate a VAT number. 'unavailable' means the registry could not be
+ * reached, so the number is neither accepted nor rejected.
+ */
+export async function validateVatNumber(vatNumber, { validator = process.env.VAT_VALIDATOR || 'vies' } = {}) {
+  const parsed = parseVatNumber(vatNumber);
+  const checkedAt = new Date().toISOString();
+
+  if (!parsed || !isValidVatFormat(vatNumber)) {
+    return {
+      status: 'invalid',
+      vatNumber: parsed?.vatNumber || String(vatNumber || '').toUpperCase(),
+      country: parsed?.country || null,
+      error: 'INVALID_FORMAT',
+      source: 'format',
+      checkedAt,
+    };
+  }
+
+  const check = validators[validator];
+  if (!check) {
+    throw new Error(`Unknown VAT validator: ${validator}`);
+  }
+
+  try {
+    const result = await check(parsed);
+    return { ...result, vatNumber: `${vatPrefix(parsed.country)}${parsed.number}`, country: parsed.country, source: validator, checkedAt };
+  } catch (error) {
+    logger.warn(`VAT validation of ${parsed.vatNumber} via ${validator} failed: ${error.message}`);
+    return {
+      status: 'unavailable',
+      vatNumber: parsed.vatNumber,
+      country: parsed.country,
+      error: error.message,
+      source: validator,
+      checkedAt,
+    };
+  }
+}
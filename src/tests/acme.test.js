@@ -0,0 +1,74 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import {
+  acmeDirectoryUrl,
+  normalizeDomains,
+  chooseChallenge,
+  challengeRecordName,
+  waitForTxtRecord
+} from '../services/acmeService.js';
+import { startDnsStandIn } from './dnsServerStandIn.js';
+
+describe('ACME orders', () => {
+  it('should resolve directory aliases and pass URLs through', () => {
+    const previous = process.env.ACME_DIRECTORY_URL;
+    try {
+      process.env.ACME_DIRECTORY_URL = 'letsencrypt-production';
+      assert.strictEqual(acmeDirectoryUrl(), 'https://acme-v02.api.letsencrypt.org/directory');
+      process.env.ACME_DIRECTORY_URL = 'https://localhost:14000/dir';
+      assert.strictEqual(acmeDirectoryUrl(), 'https://localhost:14000/dir');
+    } finally {
+      if (previous === undefined) delete process.env.ACME_DIRECTORY_URL;
+      else process.env.ACME_DIRECTORY_URL = previous;
+    }
+  });
+
+  it('should keep names in order without duplicates and flag bad ones', () => {
+    assert.deepStrictEqual(normalizeDomains(['Example.com', '*.example.com', 'example.com.', 'www.example.com']), {
+      domains: ['example.com', '*.example.com', 'www.example.com'],
+      invalid: []
+    });
+    assert.deepStrictEqual(normalizeDomains(['*.*.example.com', 'bad_name.example.com']).invalid, [
+      '*.*.example.com',
+      'bad_name.example.com'
+    ]);
+  });
+
+  it('should validate wildcard orders over DNS', () => {
+    assert.strictEqual(chooseChallenge(['example.com', 'www.example.com']), 'http-01');
+    assert.strictEqual(chooseChallenge(['example.com'], 'dns-01'), 'dns-01');
+    assert.strictEqual(chooseChallenge(['example.com', '*.example.com'], 'http-01'), 'dns-01');
+  });
+
+  it('should name the challenge record relative to the zone', () => {
+    assert.strictEqual(challengeRecordName('example.com', 'example.com'), '_acme-challenge');
+    assert.strictEqual(challengeRecordName('*.example.com', 'example.com'), '_acme-challenge');
+    assert.strictEqual(challengeRecordName('*.shop.example.com', 'example.com'), '_acme-challenge.shop');
+  });
+});
+
+describe('dns-01 propagation', () => {
+  let served;
+
+  before(async () => {
+    served = await startDnsStandIn((question) => ({
+      flags: { aa: true },
+      answers: [{ name: question.name, type: 'TXT', ttl: 60, data: '"token-value"' }]
+    }));
+  });
+
+  after(async () => {
+    await served.close();
+  });
+
+  it('should wait until every nameserver serves the TXT value', async () => {
+    assert.strictEqual(
+      await waitForTxtRecord('_acme-challenge.example.com', 'token-value', [served.address], { port: served.port, timeoutMs: 500 }),
+      true
+    );
+    assert.strictEqual(
+      await waitForTxtRecord('_acme-challenge.example.com', 'other-value', [served.address], { port: served.port, timeoutMs: 200, intervalMs: 50 }),
+      false
+    );
+  });
+});
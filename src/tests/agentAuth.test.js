@@ -0,0 +1,84 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert';
+import pool from '../db/index.js';
+import { authenticateAgent } from '../middleware/agentAuth.js';
+import agentJobService from '../services/agentJobService.js';
+
+const LEGACY_KEY = 'legacy-shared-key';
+const ENROLLED_AGENT = '7';
+
+function call(req) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  return authenticateAgent(req, res, () => { nextCalled = true; }).then(() => ({ res, nextCalled }));
+}
+
+const legacyRequest = (agentId) => ({
+  headers: { authorization: `Bearer ${LEGACY_KEY}` },
+  body: agentId ? { agentId } : {},
+  query: {}
+});
+
+describe('Legacy agent authentication', () => {
+  let queries;
+
+  before(() => {
+    process.env.AGENT_LEGACY_API_KEY = LEGACY_KEY;
+    process.env.AGENT_JOB_SIGNING_SECRET = 'shared-job-secret';
+  });
+
+  after(() => {
+    delete process.env.AGENT_LEGACY_API_KEY;
+    delete process.env.AGENT_JOB_SIGNING_SECRET;
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    queries = [];
+    mock.restoreAll();
+    mock.method(pool, 'query', async (sql, params = []) => {
+      queries.push(sql);
+      if (sql.includes('FROM agent_credentials')) {
+        return { rows: params[0] === ENROLLED_AGENT ? [{ '?column?': 1 }] : [] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should refuse the shared key for an enrolled agent', async () => {
+    const { res, nextCalled } = await call(legacyRequest(ENROLLED_AGENT));
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 403);
+
+    const viaQuery = await call({ ...legacyRequest(null), query: { agentId: ENROLLED_AGENT } });
+    assert.strictEqual(viaQuery.res.statusCode, 403);
+  });
+
+  it('should still accept the shared key for an agent that never enrolled', async () => {
+    const req = legacyRequest('12');
+    const { nextCalled } = await call(req);
+    assert.strictEqual(nextCalled, true);
+    assert.deepStrictEqual(req.agent, { id: '12', legacy: true });
+  });
+
+  it('should refuse a wrong shared key', async () => {
+    const { res, nextCalled } = await call({ headers: { authorization: 'Bearer legacy-shared-kez' }, body: {}, query: {} });
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 401);
+  });
+
+  it('should never sign an enrolled agent\'s jobs with the shared secret', async () => {
+    await assert.rejects(agentJobService.claimJobs(ENROLLED_AGENT), /enrolled/);
+    assert.ok(!queries.some((sql) => sql.includes('UPDATE agent_jobs')));
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert';
+import pool from '../db/index.js';
+import agentCredentialService from '../services/agentCredentialService.js';
+import { hmacHex, requestStringToSign } from '../utils/agentSigning.js';
+
+const AGENT_ID = 7;
+
+// Just enough of agent_credentials and agent_request_signatures for verification and rotation
+function fakeDatabase() {
+  const credentials = [];
+  const signatures = new Set();
+  const agent = { id: AGENT_ID, server_id: 3, status: 'active', rotation_requested: true };
+
+  const query = async (sql, params = []) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) return { rows: [] };
+    if (sql.includes('INSERT INTO agent_credentials')) {
+      credentials.push({ id: credentials.length + 1, agent_id: params[0], key_id: params[1], secret_encrypted: params[2], status: params[3] });
+      return { rows: [{ created_at: new Date() }] };
+    }
+    if (sql.includes("WHERE agent_id = $1 AND status = 'pending'")) {
+      credentials.filter((row) => row.status === 'pending').forEach((row) => { row.status = 'revoked'; });
+      return { rows: [] };
+    }
+    if (sql.includes("SET status = 'retiring'")) {
+      credentials.filter((row) => row.status === 'active').forEach((row) => {
+        row.status = 'retiring';
+        row.expires_at = new Date(Date.now() + params[1] * 1000);
+      });
+      return { rows: [] };
+    }
+    if (sql.includes("SET status = 'active' WHERE id = $1")) {
+      credentials.filter((row) => row.id === params[0] && row.status === 'pending').forEach((row) => { row.status = 'active'; });
+      return { rows: [] };
+    }
+    if (sql.includes('WHERE c.key_id = $1')) {
+      const row = credentials.find((entry) => entry.key_id === params[0]);
+      return {
+        rows: row
+          ? [{ ...row, server_id: agent.server_id, agent_status: agent.status, rotation_requested: agent.rotation_requested }]
+          : []
+      };
+    }
+    if (sql.includes('INSERT INTO agent_request_signatures')) {
+      const key = `${params[0]}:${params[1]}`;
+      if (signatures.has(key)) return { rows: [] };
+      signatures.add(key);
+      return { rows: [{ key_id: params[0] }] };
+    }
+    if (sql.includes('UPDATE servers_agents SET rotation_requested = false')) {
+      agent.rotation_requested = false;
+    }
+    return { rows: [] };
+  };
+
+  mock.method(pool, 'query', query);
+  mock.method(pool, 'connect', async () => ({ query, release: () => {} }));
+  return { credentials, agent };
+}
+
+function signedRequest(credential, { body = { agentId: AGENT_ID }, timestamp = new Date().toISOString() } = {}) {
+  const url = '/api/agent/heartbeat';
+  return {
+    method: 'POST',
+    originalUrl: url,
+    body,
+    headers: {
+      'x-agent-key-id': credential.keyId,
+      'x-agent-timestamp': timestamp,
+      'x-agent-signature': hmacHex(credential.secret, requestStringToSign({ method: 'POST', url, timestamp, body }))
+    }
+  };
+}
+
+const statusOf = (db, credential) => db.credentials.find((row) => row.key_id === credential.keyId).status;
+
+describe('Agent credentials', () => {
+  let db;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    db = fakeDatabase();
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('should keep the old credential until the agent signs with the rotated one', async () => {
+    const first = await agentCredentialService.issueCredential(AGENT_ID);
+    const unused = await agentCredentialService.rotateCredential(AGENT_ID);
+    assert.strictEqual(statusOf(db, unused), 'pending');
+
+    // The agent never saw that response, keeps signing with its credential and asks again
+    const agent = await agentCredentialService.verifyRequest(signedRequest(first));
+    assert.strictEqual(agent.id, AGENT_ID);
+    assert.strictEqual(agent.rotationRequested, true);
+    const second = await agentCredentialService.rotateCredential(AGENT_ID);
+    assert.strictEqual(statusOf(db, unused), 'revoked');
+    assert.strictEqual(statusOf(db, first), 'active');
+
+    const switched = await agentCredentialService.verifyRequest(signedRequest(second));
+    assert.strictEqual(switched.rotationRequested, false);
+    assert.strictEqual(db.agent.rotation_requested, false);
+    assert.strictEqual(statusOf(db, second), 'active');
+    assert.strictEqual(statusOf(db, first), 'retiring');
+
+    // In-flight requests on the old credential still work during the grace period, then not
+    await agentCredentialService.verifyRequest(signedRequest(first));
+    db.credentials.find((row) => row.key_id === first.keyId).expires_at = new Date(Date.now() - 1000);
+    await assert.rejects(agentCredentialService.verifyRequest(signedRequest(first)), /rotated out/);
+    await assert.rejects(agentCredentialService.verifyRequest(signedRequest(unused)), /Unknown or revoked/);
+  });
+
+  it('should accept each signed request only once', async () => {
+    const credential = await agentCredentialService.issueCredential(AGENT_ID);
+    const req = signedRequest(credential);
+
+    await agentCredentialService.verifyRequest(req);
+    await assert.rejects(agentCredentialService.verifyRequest(req), /already been received/);
+  });
+
+  it('should refuse stale, tampered and foreign requests', async () => {
+    const credential = await agentCredentialService.issueCredential(AGENT_ID);
+
+    const stale = signedRequest(credential, { timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+    await assert.rejects(agentCredentialService.verifyRequest(stale), /outside the allowed window/);
+
+    const tampered = signedRequest(credential);
+    tampered.body = { agentId: 8 };
+    await assert.rejects(agentCredentialService.verifyRequest(tampered), /Invalid agent signature/);
+
+    const forged = signedRequest({ keyId: credential.keyId, secret: 'guessed' });
+    await assert.rejects(agentCredentialService.verifyRequest(forged), /Invalid agent signature/);
+
+    db.agent.status = 'revoked';
+    await assert.rejects(agentCredentialService.verifyRequest(signedRequest(credential)), /Unknown or revoked/);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { hmacHex, requestStringToSign, safeEqualHex } from '../utils/agentSigning.js';
+import agentJobService from '../services/agentJobService.js';
+import { signRequest, verifyJobSignature } from '../../server-agent/src/signing.js';
+
+const SECRET = 'agent-credential-secret';
+
+// The agent carries its own copy of the signing code; both sides must agree
+describe('Agent signing', () => {
+  const job = {
+    id: 12,
+    agent_id: 3,
+    action: 'create_vhost',
+    payload: { username: 'site', domain: 'example.com', documentRoot: '/home/site/public_html' },
+    expires_at: '2026-10-19T12:00:00.000Z'
+  };
+
+  it('should sign jobs the agent accepts', () => {
+    const signed = agentJobService.signJob(job, SECRET);
+
+    assert.strictEqual(verifyJobSignature(signed, [SECRET]), true);
+    assert.strictEqual(verifyJobSignature(signed, ['another-secret']), false);
+  });
+
+  it('should sign jobs the agent refuses once changed', () => {
+    const signed = agentJobService.signJob(job, SECRET);
+
+    assert.strictEqual(verifyJobSignature({ ...signed, payload: { ...signed.payload, domain: 'evil.example' } }, [SECRET]), false);
+    assert.strictEqual(verifyJobSignature({ ...signed, action: 'create_system_user' }, [SECRET]), false);
+    assert.strictEqual(verifyJobSignature({ ...signed, signature: undefined }, [SECRET]), false);
+  });
+
+  it('should refuse to sign without a secret', () => {
+    assert.throws(() => agentJobService.signJob(job, null), /No job signing secret/);
+  });
+
+  it('should verify request signatures made by the agent', () => {
+    const request = {
+      method: 'post',
+      url: '/api/agent/metrics',
+      timestamp: '2026-10-19T12:00:00.000Z',
+      body: { metrics: { cpu: { usage: 12 } }, agentId: 3 }
+    };
+    const signature = signRequest(SECRET, request);
+
+    assert.strictEqual(safeEqualHex(signature, hmacHex(SECRET, requestStringToSign(request))), true);
+    assert.strictEqual(
+      safeEqualHex(signature, hmacHex(SECRET, requestStringToSign({ ...request, url: '/api/agent/metrics?agentId=4' }))),
+      false
+    );
+    assert.strictEqual(safeEqualHex('', ''), false);
+  });
+});
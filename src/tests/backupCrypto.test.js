@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  InvalidPassphraseError,
+  generateKeyPair,
+  wrapPrivateKey,
+  unwrapPrivateKey,
+  seal,
+  open,
+  isSealed,
+  sealedKeyId,
+  keyedChunkId
+} from '../utils/backupCrypto.js';
+import { writeSnapshot, restoreSnapshot } from '../services/backupSnapshotService.js';
+
+// Cheap scrypt so the suite stays fast
+const FAST_KDF = { N: 1024, r: 8, p: 1 };
+
+function memoryStore() {
+  const objects = new Map();
+  return {
+    objects,
+    async put(key, body) { objects.set(key, Buffer.from(body)); },
+    async get(key) {
+      if (!objects.has(key)) throw new Error(`NoSuchKey: ${key}`);
+      return objects.get(key);
+    },
+    async delete(key) { objects.delete(key); }
+  };
+}
+
+function memoryIndex() {
+  const known = new Set();
+  return {
+    async missing(hashes) { return new Set(hashes.filter((hash) => !known.has(hash))); },
+    async add(chunks) { chunks.forEach((chunk) => known.add(chunk.hash)); }
+  };
+}
+
+describe('Customer-held backup keys', () => {
+  const pair = generateKeyPair();
+  const key = { id: 42, ...pair };
+
+  it('should unwrap the private key with the passphrase only', async () => {
+    const { wrappedKey, kdf } = await wrapPrivateKey(pair.privateKey, 'correct horse battery', FAST_KDF);
+
+    assert.strictEqual(await unwrapPrivateKey(wrappedKey, kdf, 'correct horse battery'), pair.privateKey);
+    await assert.rejects(unwrapPrivateKey(wrappedKey, kdf, 'wrong passphrase!'), InvalidPassphraseError);
+  });
+
+  it('should re-wrap for a new passphrase without changing the key', async () => {
+    const first = await wrapPrivateKey(pair.privateKey, 'first passphrase', FAST_KDF);
+    const privateKey = await unwrapPrivateKey(first.wrappedKey, first.kdf, 'first passphrase');
+    const second = await wrapPrivateKey(privateKey, 'second passphrase', FAST_KDF);
+
+    const sealed = seal(Buffer.from('backup'), key);
+    const reopened = await unwrapPrivateKey(second.wrappedKey, second.kdf, 'second passphrase');
+    assert.strictEqual(open(sealed, { publicKey: pair.publicKey, privateKey: reopened }).toString(), 'backup');
+  });
+
+  it('should seal to the public key and record the key id', () => {
+    const data = crypto.randomBytes(4096);
+    const sealed = seal(data, key);
+
+    assert.ok(isSealed(sealed));
+    assert.ok(!isSealed(data));
+    assert.strictEqual(sealedKeyId(sealed), 42);
+    assert.ok(!seal(data, key).equals(sealed), 'each seal uses a fresh ephemeral key');
+    assert.ok(open(sealed, pair).equals(data));
+  });
+
+  it('should refuse tampered objects, other keys and a changed key id', () => {
+    const sealed = seal(Buffer.from('database dump'), key);
+
+    const tampered = Buffer.from(sealed);
+    tampered[tampered.length - 1] ^= 1;
+    assert.throws(() => open(tampered, pair), /failed authentication/);
+
+    assert.throws(() => open(sealed, generateKeyPair()), /failed authentication/);
+
+    const relabelled = Buffer.from(sealed);
+    relabelled.writeUInt32BE(43, 4);
+    assert.throws(() => open(relabelled, pair), /failed authentication/);
+  });
+
+  it('should name chunks by a keyed id', () => {
+    const data = Buffer.from('same content');
+    const idKey = crypto.randomBytes(32);
+
+    assert.strictEqual(keyedChunkId(idKey, data), keyedChunkId(idKey, data));
+    assert.notStrictEqual(keyedChunkId(idKey, data), keyedChunkId(crypto.randomBytes(32), data));
+    assert.notStrictEqual(keyedChunkId(idKey, data), crypto.createHash('sha256').update(data).digest('hex'));
+  });
+});
+
+describe('Encrypted backup snapshots', () => {
+  const pair = generateKeyPair();
+  const idKey = crypto.randomBytes(32);
+  const encryption = {
+    seal: (data) => seal(data, { id: 7, publicKey: pair.publicKey }),
+    chunkId: (data) => keyedChunkId(idKey, data)
+  };
+  const decryption = {
+    open: (data) => open(data, pair),
+    chunkId: (data) => keyedChunkId(idKey, data)
+  };
+  let root;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'mpanel-sealed-'));
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should store only sealed chunks and restore them with the key', async () => {
+    const store = memoryStore();
+    const secret = 'INSERT INTO patients VALUES (1, \'Jane Doe\');\n';
+    const { manifest, hashes } = await writeSnapshot([{ type: 'file', name: 'databases/clinic.sql', content: secret }], {
+      store, index: memoryIndex(), encryption
+    });
+
+    assert.ok(hashes.length > 0);
+    for (const body of store.objects.values()) {
+      assert.ok(isSealed(body));
+      assert.strictEqual(sealedKeyId(body), 7);
+    }
+
+    const target = path.join(root, 'restore');
+    await restoreSnapshot(manifest, target, { store, encryption: decryption });
+    assert.strictEqual(await fs.readFile(path.join(target, 'databases/clinic.sql'), 'utf8'), secret);
+
+    await assert.rejects(restoreSnapshot(manifest, path.join(root, 'nokey'), { store }));
+  });
+});
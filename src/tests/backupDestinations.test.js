@@ -0,0 +1,132 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage } from '../services/backupDrivers/local.js';
+import { createSftpStorage, hostKeyFingerprint } from '../services/backupDrivers/sftp.js';
+import { validateDestination, publicDestination } from '../services/backupDestinationService.js';
+import { assertPublicHost } from '../utils/netGuard.js';
+import { startSftpStandIn } from './sftpStandIn.js';
+
+describe('Local backup storage', () => {
+  let root;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'mpanel-destination-'));
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should store, read and delete objects under its directory', async () => {
+    const storage = createLocalStorage({ path: root });
+
+    await storage.put('chunks/ab/abcdef', Buffer.from('chunk'));
+    assert.strictEqual((await storage.get('chunks/ab/abcdef')).toString(), 'chunk');
+    assert.strictEqual((await fs.stat(path.join(root, 'chunks/ab/abcdef'))).mode & 0o777, 0o600);
+
+    await storage.delete('chunks/ab/abcdef');
+    await storage.delete('chunks/ab/abcdef');
+    await assert.rejects(storage.get('chunks/ab/abcdef'), { code: 'ENOENT' });
+    assert.deepStrictEqual(await storage.test(), {});
+  });
+
+  it('should refuse keys outside its directory', async () => {
+    const storage = createLocalStorage({ path: root });
+
+    await assert.rejects(storage.put('../escaped', Buffer.from('x')), /escapes/);
+    assert.throws(() => createLocalStorage({ path: 'relative/dir' }), /absolute/);
+  });
+});
+
+describe('SFTP backup storage', () => {
+  let server;
+
+  before(async () => {
+    server = await startSftpStandIn();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('should create directories, store, read and delete objects', async () => {
+    const storage = createSftpStorage({ ...server, hostKey: null, path: '/backups/mpanel' });
+    try {
+      await storage.put('snapshots/7/12.json.gz', Buffer.from('manifest'));
+      assert.ok(server.directories.has('/backups/mpanel/snapshots/7'));
+      assert.strictEqual((await storage.get('snapshots/7/12.json.gz')).toString(), 'manifest');
+
+      await storage.delete('snapshots/7/12.json.gz');
+      await storage.delete('snapshots/7/12.json.gz');
+      assert.ok(!server.files.has('/backups/mpanel/snapshots/7/12.json.gz'));
+    } finally {
+      await storage.close();
+    }
+  });
+
+  it('should report the host key on test and refuse a different pinned one', async () => {
+    const expected = hostKeyFingerprint(Buffer.from(server.hostKey.split(' ')[1], 'base64'));
+
+    const first = createSftpStorage({ ...server, hostKey: null, path: '/backups' });
+    assert.deepStrictEqual(await first.test().finally(() => first.close()), { hostKey: expected });
+
+    const pinned = createSftpStorage({ ...server, hostKey: expected, path: '/backups' });
+    await pinned.test().finally(() => pinned.close());
+
+    const impostor = createSftpStorage({ ...server, hostKey: 'SHA256:somethingelse', path: '/backups' });
+    await assert.rejects(impostor.test().finally(() => impostor.close()), /does not match the pinned/);
+  });
+
+  it('should fail with the wrong password', async () => {
+    const storage = createSftpStorage({ ...server, hostKey: null, password: 'wrong', path: '/backups' });
+    await assert.rejects(storage.test().finally(() => storage.close()), /authentication/i);
+  });
+});
+
+describe('Backup destination rules', () => {
+  it('should require the fields of each type', () => {
+    const errors = validateDestination({ name: 'Offsite', type: 'sftp', config: { host: 'backup.example.com' } }, { isAdmin: false });
+    assert.deepStrictEqual(errors.map((error) => error.field), ['config.username', 'credentials']);
+
+    assert.deepStrictEqual(validateDestination({
+      name: 'My bucket',
+      type: 's3',
+      config: { bucket: 'site-backups', endpoint: 'https://s3.eu-central-1.wasabisys.com' },
+      credentials: { access_key_id: 'AKIA', secret_access_key: 'secret' }
+    }, { isAdmin: false }), []);
+
+    assert.strictEqual(validateDestination({ name: 'x', type: 'ftp' }, { isAdmin: true })[0].field, 'type');
+  });
+
+  it('should keep local paths and plain http endpoints to admins', () => {
+    const local = { name: 'NAS', type: 'local', config: { path: '/mnt/nas/backups' } };
+    assert.deepStrictEqual(validateDestination(local, { isAdmin: true }), []);
+    assert.match(validateDestination(local, { isAdmin: false })[0].message, /administrators/);
+
+    const minio = {
+      name: 'MinIO',
+      type: 's3',
+      config: { bucket: 'b', endpoint: 'http://minio.internal:9000' },
+      credentials: { access_key_id: 'a', secret_access_key: 'b' }
+    };
+    assert.deepStrictEqual(validateDestination(minio, { isAdmin: true }), []);
+    assert.match(validateDestination(minio, { isAdmin: false })[0].message, /https/);
+  });
+
+  it('should refuse hosts on private networks', async () => {
+    for (const host of ['127.0.0.1', '10.1.2.3', '192.168.1.10', '169.254.169.254', '::1', '::ffff:127.0.0.1', 'fd00::1']) {
+      await assert.rejects(assertPublicHost(host), /private address/, host);
+    }
+    await assertPublicHost('203.0.113.50');
+    await assertPublicHost('2001:db8::1');
+  });
+
+  it('should never return credentials', () => {
+    const shown = publicDestination({ id: 3, name: 'Offsite', type: 'sftp', config: { host: 'h' }, credentials_encrypted: 'iv:secret' });
+    assert.strictEqual(shown.credentials_encrypted, undefined);
+    assert.strictEqual(shown.has_credentials, true);
+  });
+});
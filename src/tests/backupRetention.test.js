@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  selectRetained,
+  validateRetention,
+  retentionOverLimits,
+  scheduleRetention
+} from '../services/backupRetentionService.js';
+
+// One backup every 6 hours, newest first, from 2026-10-19 18:00 UTC back
+const backupsEvery6Hours = (count) => Array.from({ length: count }, (_, index) => ({
+  id: count - index,
+  created_at: new Date(Date.UTC(2026, 9, 19, 18) - index * 6 * 3600 * 1000).toISOString()
+}));
+
+const ids = (backups) => backups.map((backup) => backup.id);
+
+describe('Backup retention selection', () => {
+  it('should keep the newest backup of each recent day', () => {
+    const backups = backupsEvery6Hours(12);
+    const { keep, prune } = selectRetained(backups, { daily: 2 });
+
+    // 2026-10-19 18:00 and the last of 2026-10-18 (18:00)
+    assert.deepStrictEqual(keep.map(({ backup }) => backup.id), [12, 8]);
+    assert.deepStrictEqual(keep[1].reasons, [{ rule: 'daily', period: '2026-10-18' }]);
+    assert.strictEqual(prune.length, 10);
+  });
+
+  it('should apply each rule independently', () => {
+    const backups = backupsEvery6Hours(4 * 40);
+    const { keep } = selectRetained(backups, { hourly: 3, daily: 3, weekly: 2, monthly: 2 });
+
+    const newest = keep[0];
+    assert.strictEqual(newest.backup.id, 160);
+    assert.deepStrictEqual(newest.reasons.map((reason) => reason.rule), ['hourly', 'daily', 'weekly', 'monthly']);
+
+    // Backups 6 hours apart each start a new hour
+    const byRule = (rule) => keep.filter(({ reasons }) => reasons.some((reason) => reason.rule === rule)).map(({ backup }) => backup.id);
+    assert.deepStrictEqual(byRule('hourly'), [160, 159, 158]);
+    assert.deepStrictEqual(byRule('daily'), [160, 156, 152]);
+    // 2026-10-19 is a Monday, so Sunday 18:00 is the last backup of the week before
+    assert.deepStrictEqual(byRule('weekly'), [160, 156]);
+    assert.deepStrictEqual(byRule('monthly'), [160, 84]);
+    assert.strictEqual(keep.length, 6);
+  });
+
+  it('should count only periods that have a backup', () => {
+    const backups = [
+      { id: 3, created_at: '2026-10-19T02:00:00Z' },
+      { id: 2, created_at: '2026-06-01T02:00:00Z' },
+      { id: 1, created_at: '2025-01-01T02:00:00Z' }
+    ];
+
+    assert.deepStrictEqual(ids(selectRetained(backups, { daily: 3 }).prune), []);
+    assert.deepStrictEqual(ids(selectRetained(backups, { yearly: 1 }).prune), [2, 1]);
+  });
+
+  it('should read a schedule row', () => {
+    assert.deepStrictEqual(
+      scheduleRetention({ keep_hourly: 0, keep_daily: 7, keep_weekly: 4, keep_monthly: 12, keep_yearly: 2 }),
+      { hourly: 0, daily: 7, weekly: 4, monthly: 12, yearly: 2 }
+    );
+  });
+});
+
+describe('Backup retention rules', () => {
+  it('should require whole numbers and at least one backup kept', () => {
+    assert.deepStrictEqual(validateRetention({ daily: 7, monthly: 12 }), []);
+    assert.strictEqual(validateRetention({ daily: -1 })[0].field, 'retention.daily');
+    assert.strictEqual(validateRetention({ daily: 1.5 })[0].field, 'retention.daily');
+    assert.strictEqual(validateRetention({ minutely: 5, daily: 1 })[0].field, 'retention.minutely');
+    assert.match(validateRetention({ daily: 0 })[0].message, /at least one/);
+    assert.strictEqual(validateRetention('30')[0].field, 'retention');
+  });
+
+  it('should report rules over the plan limits', () => {
+    const limits = { hourly: 0, daily: 14, weekly: 4, monthly: 6, yearly: -1 };
+
+    assert.deepStrictEqual(retentionOverLimits({ daily: 14, yearly: 10 }, limits), []);
+    assert.deepStrictEqual(
+      retentionOverLimits({ hourly: 24, daily: 30 }, limits).map((error) => error.field),
+      ['retention.hourly', 'retention.daily']
+    );
+    assert.match(retentionOverLimits({ monthly: 12 }, limits)[0].message, /at most 6 monthly/);
+    assert.deepStrictEqual(
+      retentionOverLimits(undefined, limits, { frequency: 'hourly' }).map((error) => error.field),
+      ['frequency']
+    );
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { chunkBuffer, chunkStream } from '../utils/contentChunker.js';
+import { writeSnapshot, restoreSnapshot, listSnapshotEntries, chunkKey } from '../services/backupSnapshotService.js';
+
+const SMALL = { minSize: 1024, avgSize: 4096, maxSize: 16384 };
+
+// Same bytes on every run
+function pseudoRandom(size, seed) {
+  const data = Buffer.alloc(size);
+  let state = seed;
+  for (let i = 0; i < size; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    data[i] = state >>> 24;
+  }
+  return data;
+}
+
+function memoryStore() {
+  const objects = new Map();
+  return {
+    objects,
+    async put(key, body) { objects.set(key, Buffer.from(body)); },
+    async get(key) {
+      if (!objects.has(key)) throw new Error(`NoSuchKey: ${key}`);
+      return objects.get(key);
+    },
+    async delete(key) { objects.delete(key); }
+  };
+}
+
+function memoryIndex() {
+  const known = new Set();
+  return {
+    async missing(hashes) { return new Set(hashes.filter((hash) => !known.has(hash))); },
+    async add(chunks) { chunks.forEach((chunk) => known.add(chunk.hash)); }
+  };
+}
+
+describe('Content-defined chunking', () => {
+  const data = pseudoRandom(256 * 1024, 7);
+
+  it('should cover the input with chunks inside the size bounds', () => {
+    const chunks = chunkBuffer(data, SMALL);
+    assert.ok(Buffer.concat(chunks).equals(data));
+    chunks.slice(0, -1).forEach((chunk) => {
+      assert.ok(chunk.length >= SMALL.minSize && chunk.length <= SMALL.maxSize, `chunk of ${chunk.length} bytes`);
+    });
+  });
+
+  it('should cut a stream where it cuts the same bytes in memory', async () => {
+    const pieces = [];
+    for (let offset = 0; offset < data.length; offset += 3000) pieces.push(data.subarray(offset, offset + 3000));
+
+    const streamed = [];
+    for await (const chunk of chunkStream(pieces, SMALL)) streamed.push(chunk.toString('hex'));
+    assert.deepStrictEqual(streamed, chunkBuffer(data, SMALL).map((chunk) => chunk.toString('hex')));
+  });
+
+  it('should keep most chunks after an insertion near the start', () => {
+    const edited = Buffer.concat([data.subarray(0, 5000), Buffer.from('inserted bytes'), data.subarray(5000)]);
+    const before = new Set(chunkBuffer(data, SMALL).map((chunk) => chunk.toString('hex')));
+    const after = chunkBuffer(edited, SMALL);
+    const shared = after.filter((chunk) => before.has(chunk.toString('hex'))).length;
+
+    assert.ok(shared >= after.length - 3, `${shared} of ${after.length} chunks shared`);
+  });
+});
+
+describe('Backup snapshots', () => {
+  let root;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'mpanel-snapshot-'));
+    await fs.mkdir(path.join(root, 'site/assets'), { recursive: true });
+    await fs.writeFile(path.join(root, 'site/index.html'), '<h1>Hello</h1>');
+    await fs.writeFile(path.join(root, 'site/assets/video.bin'), pseudoRandom(128 * 1024, 11));
+    await fs.writeFile(path.join(root, 'site/assets/copy.bin'), pseudoRandom(128 * 1024, 11));
+    await fs.symlink('index.html', path.join(root, 'site/home.html'));
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should upload each chunk once and only changes on the next run', async () => {
+    const store = memoryStore();
+    const index = memoryIndex();
+    const sources = [{ type: 'directory', path: path.join(root, 'site'), prefix: '' }];
+
+    const first = await writeSnapshot(sources, { store, index, chunking: SMALL });
+    assert.strictEqual(first.stats.files, 3);
+    assert.strictEqual(first.stats.newChunks, first.hashes.length);
+    assert.ok(first.stats.newChunks < first.stats.chunks, 'identical files share chunks');
+    first.hashes.forEach((hash) => assert.ok(store.objects.has(chunkKey(hash))));
+
+    const unchanged = await writeSnapshot(sources, { store, index, chunking: SMALL });
+    assert.strictEqual(unchanged.stats.newChunks, 0);
+    assert.strictEqual(unchanged.stats.uploadedSize, 0);
+
+    await fs.writeFile(path.join(root, 'site/index.html'), '<h1>Hello again</h1>');
+    const edited = await writeSnapshot(sources, { store, index, chunking: SMALL });
+    assert.strictEqual(edited.stats.newChunks, 1);
+  });
+
+  it('should restore files, links and in-memory sources', async () => {
+    const store = memoryStore();
+    const { manifest } = await writeSnapshot([
+      { type: 'directory', path: path.join(root, 'site'), prefix: 'websites/example.com' },
+      { type: 'file', name: 'databases/shop.sql', content: 'CREATE TABLE t (id int);\n' }
+    ], { store, index: memoryIndex(), chunking: SMALL });
+
+    const target = path.join(root, 'restore');
+    const restored = await restoreSnapshot(manifest, target, { store });
+    assert.strictEqual(restored.files, 4);
+
+    const site = path.join(target, 'websites/example.com');
+    assert.ok((await fs.readFile(path.join(site, 'assets/video.bin'))).equals(pseudoRandom(128 * 1024, 11)));
+    assert.strictEqual(await fs.readlink(path.join(site, 'home.html')), 'index.html');
+    assert.strictEqual(await fs.readFile(path.join(target, 'databases/shop.sql'), 'utf8'), 'CREATE TABLE t (id int);\n');
+
+    const only = path.join(root, 'restore-site');
+    await restoreSnapshot(manifest, only, { store, prefix: 'websites/example.com' });
+    assert.strictEqual(
+      await fs.readFile(path.join(only, 'index.html'), 'utf8'),
+      await fs.readFile(path.join(root, 'site/index.html'), 'utf8')
+    );
+  });
+
+  it('should refuse corrupt chunks and entries outside the target', async () => {
+    const store = memoryStore();
+    const { manifest } = await writeSnapshot([{ type: 'file', name: 'a.txt', content: 'original' }], { store, index: memoryIndex(), chunking: SMALL });
+
+    const [key] = store.objects.keys();
+    store.objects.set(key, gzipSync('tampered'));
+    await assert.rejects(restoreSnapshot(manifest, path.join(root, 'corrupt'), { store }), /corrupt/);
+
+    const escaping = { ...manifest, entries: [{ path: '../outside.txt', type: 'file', mode: 0o644, size: 0, chunks: [] }] };
+    await assert.rejects(restoreSnapshot(escaping, path.join(root, 'escape'), { store }), /escapes/);
+  });
+
+  it('should list a directory with totals for subdirectories', async () => {
+    const { manifest } = await writeSnapshot([
+      { type: 'directory', path: path.join(root, 'site'), prefix: 'websites/example.com' },
+      { type: 'file', name: 'databases/shop.sql', content: 'SELECT 1;\n' }
+    ], { store: memoryStore(), index: memoryIndex(), chunking: SMALL });
+
+    assert.deepStrictEqual(listSnapshotEntries(manifest).map((entry) => [entry.path, entry.type]), [
+      ['databases', 'dir'],
+      ['websites', 'dir']
+    ]);
+
+    const site = listSnapshotEntries(manifest, '/websites/example.com/');
+    assert.deepStrictEqual(site.map((entry) => [entry.name, entry.type]), [
+      ['assets', 'dir'],
+      ['home.html', 'symlink'],
+      ['index.html', 'file']
+    ]);
+    assert.strictEqual(site[0].size, 256 * 1024);
+    assert.ok(site[0].mtime);
+  });
+
+  it('should restore only the selected paths, through no outside links', async () => {
+    const store = memoryStore();
+    const { manifest } = await writeSnapshot([{ type: 'directory', path: path.join(root, 'site'), prefix: '' }], {
+      store, index: memoryIndex(), chunking: SMALL
+    });
+
+    const target = path.join(root, 'granular');
+    const restored = await restoreSnapshot(manifest, target, { store, paths: ['index.html', 'assets'] });
+    assert.strictEqual(restored.files, 3);
+    assert.deepStrictEqual((await fs.readdir(target)).sort(), ['assets', 'index.html']);
+
+    const planted = path.join(root, 'planted');
+    const elsewhere = path.join(root, 'elsewhere');
+    await fs.mkdir(planted);
+    await fs.mkdir(elsewhere);
+    await fs.symlink(elsewhere, path.join(planted, 'assets'));
+    await assert.rejects(restoreSnapshot(manifest, planted, { store, paths: ['assets'] }), /outside the restore directory/);
+    assert.deepStrictEqual(await fs.readdir(elsewhere), []);
+
+    // A destination reached through a link in the site is refused as a whole
+    await fs.symlink(elsewhere, path.join(planted, 'uploads'));
+    await assert.rejects(
+      restoreSnapshot(manifest, path.join(planted, 'uploads', 'restored'), { store, paths: ['index.html'], jail: planted }),
+      /leads outside/
+    );
+    assert.deepStrictEqual(await fs.readdir(elsewhere), []);
+
+    // Restoring over files already there replaces them
+    const again = await restoreSnapshot(manifest, target, { store, paths: ['index.html'], jail: target });
+    assert.strictEqual(again.files, 1);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { certificateSerial, uncoveredNames, probeName, verifyDeployment } from '../services/certificateDeployService.js';
+import { startTlsStandIn, ROOT_CA, INTERMEDIATE, LEAF } from './tlsStandIn.js';
+
+describe('Certificate deployment verification', () => {
+  const servers = {};
+  let endpoints;
+
+  before(async () => {
+    servers.web = await startTlsStandIn();
+    servers.smtp = await startTlsStandIn({ protocol: 'smtp' });
+    endpoints = {
+      nginx: { port: servers.web.port, protocol: 'tls' },
+      postfix: { port: servers.smtp.port, protocol: 'smtp' }
+    };
+  });
+
+  after(async () => {
+    await Promise.all(Object.values(servers).map((server) => server.close()));
+  });
+
+  it('should ask for a concrete name when the certificate has wildcards', () => {
+    assert.strictEqual(probeName(['*.example.test', 'example.test']), 'example.test');
+    assert.strictEqual(probeName(['*.example.test']), 'www.example.test');
+  });
+
+  it('should only deploy to names the certificate covers', () => {
+    assert.deepStrictEqual(uncoveredNames(LEAF, ['mail.example.test', 'IMAP.example.test']), []);
+    assert.deepStrictEqual(uncoveredNames(LEAF, ['mail.example.test', 'bank.example.com', '*.example.test']), ['bank.example.com', '*.example.test']);
+  });
+
+  it('should confirm the new serial on every deployed service', async () => {
+    const checks = await verifyDeployment('127.0.0.1', ['mail.example.test'], certificateSerial(LEAF), ['nginx', 'postfix'], {
+      endpoints,
+      ca: ROOT_CA,
+      attempts: 1
+    });
+
+    assert.deepStrictEqual(checks.map((check) => [check.target, check.status]), [['nginx', 'ok'], ['postfix', 'ok']]);
+  });
+
+  it('should report a node still serving another certificate', async () => {
+    const checks = await verifyDeployment('127.0.0.1', ['mail.example.test'], certificateSerial(INTERMEDIATE), ['nginx'], {
+      endpoints,
+      ca: ROOT_CA,
+      attempts: 2,
+      delayMs: 10
+    });
+
+    assert.strictEqual(checks[0].status, 'mismatch');
+    assert.strictEqual(checks[0].servedSerial, certificateSerial(LEAF));
+  });
+});
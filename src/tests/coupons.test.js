@@ -0,0 +1,162 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import pool from '../config/database.js';
+import CouponService from '../services/CouponService.js';
+import StripeService from '../services/StripeService.js';
+
+describe('Coupons', () => {
+  const coupon = {
+    id: 'coupon-1',
+    code: 'LAUNCH50',
+    discount_type: 'percent',
+    amount: '50.00',
+    currency: 'USD',
+    duration: 'repeating',
+    duration_cycles: 3,
+    applies_to: [],
+    max_redemptions: 100,
+    max_per_customer: 1,
+    times_redeemed: 0,
+    active: true,
+  };
+
+  it('should take a percentage off every eligible item', () => {
+    const { discount } = CouponService.calculateDiscount(coupon, [
+      { id: 'starter', amount: 2.99 },
+      { id: 'domain', amount: 10.00 },
+    ]);
+
+    assert.strictEqual(discount, 6.50);
+  });
+
+  it('should cap fixed discounts at the eligible subtotal', () => {
+    const fixed = { ...coupon, discount_type: 'fixed', amount: '20.00', applies_to: ['starter'] };
+    const result = CouponService.calculateDiscount(fixed, [
+      { id: 'starter', amount: 2.99 },
+      { id: 'domain', amount: 10.00 },
+    ]);
+
+    assert.strictEqual(result.discount, 2.99);
+    assert.strictEqual(result.allItemsEligible, false);
+  });
+
+  it('should round percentage discounts to the order currency', () => {
+    const { discount } = CouponService.calculateDiscount({ ...coupon, amount: '15.00' }, [
+      { id: 'starter', amount: 999 },
+    ], 'JPY');
+
+    assert.strictEqual(discount, 150);
+  });
+
+  it('should reject plans outside the restriction', () => {
+    const restricted = { ...coupon, applies_to: ['premium', 'business'] };
+
+    assert.match(
+      CouponService.checkEligibility(restricted, { itemIds: ['starter'] }),
+      /does not apply/
+    );
+    assert.strictEqual(CouponService.checkEligibility(restricted, { itemIds: ['premium'] }), null);
+  });
+
+  it('should enforce expiry and redemption limits', () => {
+    const now = new Date('2026-10-19T00:00:00.000Z');
+
+    assert.match(
+      CouponService.checkEligibility({ ...coupon, expires_at: '2026-10-01T00:00:00.000Z' }, { now }),
+      /expired/
+    );
+    assert.match(
+      CouponService.checkEligibility({ ...coupon, times_redeemed: 100 }, { now }),
+      /redemption limit/
+    );
+    assert.match(
+      CouponService.checkEligibility(coupon, { customerRedemptions: 1, now }),
+      /already used/
+    );
+  });
+
+  it('should count billing cycles by duration', () => {
+    assert.strictEqual(CouponService.cyclesFor(coupon), 3);
+    assert.strictEqual(CouponService.cyclesFor({ ...coupon, duration: 'once' }), 1);
+    assert.strictEqual(CouponService.cyclesFor({ ...coupon, duration: 'forever' }), null);
+  });
+
+  describe('Stripe checkouts', () => {
+    const response = () => ({
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('should discount the plan but not the setup fee', async () => {
+      process.env.PRICE_STARTER_MONTHLY = 'price_starter_monthly';
+      process.env.PRICE_SETUP_FEE = 'price_setup_fee';
+      const { startPublicCheckout } = await import('../controllers/publicController.js');
+
+      mock.method(CouponService, 'validate', async () => ({ coupon }));
+      mock.method(StripeService, 'getPriceProductId', async (priceId) => `prod_for_${priceId}`);
+      const createCoupon = mock.method(StripeService, 'createCoupon', async () => ({ id: 'stripe_scoped' }));
+      const createSession = mock.method(StripeService, 'createCheckoutSession', async () => ({ id: 'cs_1', url: 'https://checkout' }));
+      const updates = mock.method(pool, 'query', async () => ({ rows: [] }));
+
+      const res = response();
+      await startPublicCheckout({ body: { planId: 'starter', term: 'monthly', couponCode: 'LAUNCH50' } }, res);
+
+      assert.strictEqual(res.statusCode, 200);
+      const session = createSession.mock.calls[0].arguments[0];
+      assert.deepStrictEqual(session.lineItems.map((item) => item.price), ['price_starter_monthly', 'price_setup_fee']);
+      assert.deepStrictEqual(session.discounts, [{ coupon: 'stripe_scoped' }]);
+      assert.deepStrictEqual(createCoupon.mock.calls[0].arguments[0].applies_to, { products: ['prod_for_price_starter_monthly'] });
+      assert.deepStrictEqual(updates.mock.calls[0].arguments[1], ['prod_for_price_starter_monthly', 'stripe_scoped', coupon.id]);
+
+      // The product's Stripe coupon is reused once stored
+      const stored = { ...coupon, stripe_product_coupons: { prod_for_price_starter_monthly: 'stripe_scoped' } };
+      assert.strictEqual(await CouponService.ensureProductStripeCoupon(stored, 'prod_for_price_starter_monthly'), 'stripe_scoped');
+      assert.strictEqual(createCoupon.mock.callCount(), 1);
+    });
+
+    it('should not count a checkout past the redemption limit', async () => {
+      const statements = [];
+      let timesRedeemed = 99;
+      let sessionRecorded = false;
+      mock.method(pool, 'connect', async () => ({
+        query: async (sql) => {
+          statements.push(sql.trim().split(/\s+/)[0]);
+          if (sql.includes('FROM coupons WHERE id = $1 FOR UPDATE')) {
+            return { rows: [{ code: coupon.code, max_redemptions: 100, times_redeemed: timesRedeemed }] };
+          }
+          if (sql.includes('SELECT id FROM coupon_redemptions')) {
+            return { rows: sessionRecorded ? [{ id: 'r1' }] : [] };
+          }
+          if (sql.includes('INSERT INTO coupon_redemptions')) {
+            sessionRecorded = true;
+            return { rows: [{ id: 'r1' }] };
+          }
+          if (sql.includes('times_redeemed = times_redeemed + 1')) timesRedeemed++;
+          return { rows: [] };
+        },
+        release: () => {}
+      }));
+      const session = (id) => ({ id, currency: 'usd', metadata: { coupon_id: coupon.id }, total_details: { amount_discount: 150 } });
+
+      assert.deepStrictEqual(await CouponService.recordCheckoutRedemption(session('cs_1')), { id: 'r1' });
+      assert.strictEqual(timesRedeemed, 100);
+
+      statements.length = 0;
+      sessionRecorded = false;
+      assert.strictEqual(await CouponService.recordCheckoutRedemption(session('cs_2')), null);
+      assert.strictEqual(timesRedeemed, 100);
+      assert.deepStrictEqual(statements, ['BEGIN', 'SELECT', 'SELECT', 'ROLLBACK']);
+    });
+  });
+});
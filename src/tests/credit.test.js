@@ -0,0 +1,137 @@
+import { describe, it, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert';
+import pool from '../config/database.js';
+import apiPool from '../db/index.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import BillingService from '../services/BillingService.js';
+import StripeService from '../services/StripeService.js';
+import { payInvoice } from '../controllers/invoiceController.js';
+
+// Just enough of customers and customer_credit_ledger for the credit paths
+function fakeDatabase(customers) {
+  const ledger = [];
+  const dueInvoices = [];
+
+  const query = async (sql, params = []) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) return { rows: [] };
+    if (sql.includes('SELECT i.*')) return { rows: dueInvoices };
+    if (sql.includes('FROM customers WHERE id = $1 FOR UPDATE')) {
+      const customer = customers[params[0]];
+      return { rows: customer ? [customer] : [] };
+    }
+    if (sql.includes('UPDATE customers SET credit_balance')) {
+      customers[params[1]].credit_balance = params[0];
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO customer_credit_ledger')) {
+      const entry = { id: ledger.length + 1, customer_id: params[1], amount: params[2], type: params[5], invoice_id: params[8] };
+      ledger.push(entry);
+      return { rows: [entry] };
+    }
+    if (sql.includes('FROM customer_credit_ledger WHERE invoice_id = $1')) {
+      return { rows: ledger.filter((entry) => entry.invoice_id === params[0] && entry.type === 'top_up') };
+    }
+    return { rows: [] };
+  };
+
+  mock.method(pool, 'query', query);
+  mock.method(pool, 'connect', async () => ({ query, release: () => {} }));
+  return { ledger, dueInvoices };
+}
+
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('Account credit', () => {
+  let customers;
+  let db;
+  let recorded;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    customers = { c1: { id: 'c1', credit_balance: 0, currency: 'USD', currency_locked_at: new Date() } };
+    db = fakeDatabase(customers);
+    recorded = [];
+    mock.method(Payment, 'create', async (data) => ({ id: `pay-${recorded.length + 1}`, ...data }));
+    mock.method(Payment, 'markCompleted', async () => {});
+    mock.method(Invoice, 'recordPayment', async (id, amount) => { recorded.push({ id, amount }); });
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('should only credit a top-up once Stripe confirms the full amount', async () => {
+    const invoice = {
+      id: 'inv-1', invoice_number: 'INV-1', customer_id: 'c1', total: '50.00', amount_paid: 0,
+      currency: 'USD', status: 'sent', metadata: { creditTopUp: true }
+    };
+    mock.method(Invoice, 'findById', async () => invoice);
+    mock.method(StripeService, 'createPaymentIntent', async () => ({ client_secret: 'pi_secret' }));
+
+    const res = response();
+    await payInvoice({ params: { id: 'inv-1' }, body: { paymentMethod: 'stripe' }, user: { id: 'u1', role: 'admin' } }, res);
+    assert.strictEqual(res.statusCode, 202);
+    assert.strictEqual(customers.c1.credit_balance, 0);
+
+    const intent = (amountReceived) => ({ id: 'pi_1', currency: 'usd', amount_received: amountReceived, metadata: { invoice_id: 'inv-1' } });
+    assert.strictEqual(await BillingService.handlePaymentIntentSucceeded(intent(4999)), null);
+    assert.strictEqual(customers.c1.credit_balance, 0);
+
+    const entry = await BillingService.handlePaymentIntentSucceeded(intent(5000));
+    assert.strictEqual(entry.type, 'top_up');
+    assert.strictEqual(customers.c1.credit_balance, 50);
+
+    // Webhook retries must not credit it again
+    invoice.status = 'paid';
+    assert.strictEqual(await BillingService.handlePaymentIntentSucceeded(intent(5000)), null);
+    assert.strictEqual(customers.c1.credit_balance, 50);
+  });
+
+  it('should keep an overpayment as credit', async () => {
+    const invoice = { id: 'inv-2', invoice_number: 'INV-2', customer_id: 'c1', total: '20.00', amount_paid: '0', currency: 'USD' };
+
+    await BillingService.processPayment(invoice, { method: 'bank_transfer', amount: '25.504', transactionId: 'bt-1' });
+
+    assert.deepStrictEqual(recorded, [{ id: 'inv-2', amount: 20 }]);
+    assert.strictEqual(customers.c1.credit_balance, 5.5);
+    assert.strictEqual(db.ledger[0].type, 'overpayment');
+  });
+
+  it('should settle due invoices from credit, only in the customer\'s currency', async () => {
+    customers.c1.credit_balance = 30;
+    db.dueInvoices.push(
+      { id: 'inv-3', invoice_number: 'INV-3', customer_id: 'c1', total: '20.00', currency: 'USD', metadata: {} },
+      { id: 'inv-4', invoice_number: 'INV-4', customer_id: 'c1', total: '15.00', currency: 'EUR', metadata: {} },
+      { id: 'inv-5', invoice_number: 'INV-5', customer_id: 'c1', total: '20.00', currency: 'USD', metadata: {} }
+    );
+
+    const results = await BillingService.applyCreditToDueInvoices();
+
+    assert.deepStrictEqual(results, { applied: 2, failed: 1 });
+    assert.deepStrictEqual(recorded, [{ id: 'inv-3', amount: 20 }, { id: 'inv-5', amount: 10 }]);
+    assert.strictEqual(customers.c1.credit_balance, 0);
+  });
+
+  it('should not let a customer pay someone else\'s invoice', async () => {
+    mock.method(Invoice, 'findById', async () => ({ id: 'inv-6', customer_id: 'c1', total: '10.00', status: 'sent', metadata: {} }));
+    mock.method(apiPool, 'query', async () => ({ rows: [{ id: 'c2' }] }));
+    const processPayment = mock.method(BillingService, 'processPayment', async () => ({ id: 'pay-x' }));
+
+    const res = response();
+    await payInvoice({ params: { id: 'inv-6' }, body: { paymentMethod: 'credit' }, user: { id: 'u2', role: 'customer' } }, res);
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(processPayment.mock.callCount(), 0);
+  });
+});
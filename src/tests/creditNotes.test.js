@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import CreditNoteService from '../services/CreditNoteService.js';
+
+describe('Credit notes', () => {
+  const invoice = { currency: 'USD', tax_rate: '0.1000', tax_amount: '10.00', total: '90.00', amount_credited: '0.00' };
+  const items = [
+    { id: 'hosting', description: 'Hosting', amount: '80.00', taxable: true },
+    { id: 'domain', description: 'Domain', amount: '20.00', taxable: true },
+    { id: 'credit', description: 'Account credit applied', amount: '-20.00', taxable: false },
+  ];
+
+  it('should credit every sold line and its tax in a full credit note', () => {
+    const plan = CreditNoteService.plan(invoice, items);
+    assert.deepStrictEqual(plan.items.map((item) => item.invoiceItemId), ['hosting', 'domain']);
+    assert.strictEqual(plan.subtotal, 100);
+    assert.strictEqual(plan.taxAmount, 10);
+    assert.strictEqual(plan.total, 110);
+    assert.strictEqual(plan.fullyCredited, true);
+  });
+
+  it('should credit part of a line and refuse more than is left', () => {
+    const plan = CreditNoteService.plan(invoice, items, [{ invoiceItemId: 'hosting', amount: 30 }]);
+    assert.strictEqual(plan.total, 33);
+    assert.strictEqual(plan.fullyCredited, false);
+
+    const credited = new Map([['hosting', 70]]);
+    const tooMuch = CreditNoteService.plan(invoice, items, [{ invoiceItemId: 'hosting', amount: 30 }], { credited });
+    assert.match(tooMuch.error, /At most 10/);
+
+    assert.ok(CreditNoteService.plan(invoice, items, [{ invoiceItemId: 'credit' }]).error);
+  });
+
+  it('should refund Stripe charges to the card and everything else to account credit', () => {
+    const payments = [
+      { id: 'p2', payment_method: 'stripe', transaction_id: 'pi_123', amount: '50.00', amount_refunded: '10.00' },
+      { id: 'p1', payment_method: 'bank_transfer', transaction_id: 'manual-1', amount: '40.00', amount_refunded: '0' },
+    ];
+
+    const allocations = CreditNoteService.allocateRefund(100, payments, { currency: 'USD' });
+    assert.deepStrictEqual(
+      allocations.map(({ payment, method, amount }) => [payment?.id || null, method, amount]),
+      [['p2', 'stripe', 40], ['p1', 'credit', 40], [null, 'credit', 20]]
+    );
+
+    const toCredit = CreditNoteService.allocateRefund(25, payments, { refundTo: 'credit', currency: 'USD' });
+    assert.deepStrictEqual(toCredit.map(({ method, amount }) => [method, amount]), [['credit', 25]]);
+  });
+});
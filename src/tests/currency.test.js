@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { formatMoney, fromMinorUnits, normalizeCurrency, roundMoney, toMinorUnits } from '../config/currencies.js';
+import { resolvePlanAmount, resolvePriceId } from '../config/planCatalog.js';
+
+describe('Currencies', () => {
+  it('should round to each currency\'s minor unit', () => {
+    assert.strictEqual(roundMoney(10.005, 'EUR'), 10.01);
+    assert.strictEqual(roundMoney(1234.5, 'JPY'), 1235);
+    assert.strictEqual(toMinorUnits(5.99, 'GBP'), 599);
+  });
+
+  it('should convert Stripe amounts in and out of minor units', () => {
+    assert.strictEqual(toMinorUnits(1500, 'JPY'), 1500);
+    assert.strictEqual(toMinorUnits(1.234, 'KWD'), 1234);
+    assert.strictEqual(fromMinorUnits(1500, 'jpy'), 1500);
+    assert.strictEqual(fromMinorUnits(1234, 'kwd'), 1.234);
+    assert.strictEqual(fromMinorUnits(599, 'gbp'), 5.99);
+    assert.strictEqual(fromMinorUnits(null, 'usd'), 0);
+  });
+
+  it('should format amounts with the invoice currency', () => {
+    assert.strictEqual(formatMoney('12.5', 'EUR'), '€12.50');
+    assert.strictEqual(formatMoney(12.5, 'GBP'), '£12.50');
+    assert.strictEqual(formatMoney(12.5), '$12.50');
+  });
+
+  it('should only accept supported currencies', () => {
+    assert.strictEqual(normalizeCurrency('eur'), 'EUR');
+    assert.strictEqual(normalizeCurrency('XYZ'), null);
+  });
+
+  it('should not sell plans in a currency without a price book entry', () => {
+    assert.strictEqual(resolvePlanAmount('starter', 'monthly'), 2.99);
+    assert.strictEqual(resolvePlanAmount('starter', 'monthly', 'EUR'), null);
+    assert.strictEqual(resolvePriceId('starter', 'monthly', 'EUR'), null);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { snapshotRecords, diffSnapshots, summarizeChanges } from '../services/dnsHistoryService.js';
+
+describe('DNS change history', () => {
+  const domain = 'example.com';
+  const before = snapshotRecords([
+    { type: 'A', name: '@', content: '192.0.2.1', ttl: 300 },
+    { type: 'MX', name: 'example.com.', content: 'mx1.example.com.', ttl: 3600, prio: 10 },
+    { type: 'MX', name: '@', content: 'mx2.example.com.', ttl: 3600, priority: 20 },
+    { type: 'TXT', name: '@', content: 'v=spf1 mx ~all', ttl: '3600' },
+  ], domain);
+
+  it('should normalise names, priorities and ttls in snapshots', () => {
+    const mx = before.filter((r) => r.type === 'MX');
+    assert.deepStrictEqual(mx.map((r) => [r.name, r.priority]), [['@', 10], ['@', 20]]);
+    assert.strictEqual(before.find((r) => r.type === 'TXT').ttl, 3600);
+  });
+
+  it('should report deleted, added and changed rrsets', () => {
+    const after = snapshotRecords([
+      { type: 'A', name: '@', content: '192.0.2.2', ttl: 300 },
+      { type: 'TXT', name: '@', content: 'v=spf1 mx ~all', ttl: 3600 },
+      { type: 'CNAME', name: 'www', content: 'example.com.', ttl: 3600 },
+    ], domain);
+
+    const changes = diffSnapshots(before, after);
+    assert.deepStrictEqual(changes.map((c) => `${c.type} ${c.name}`), ['A @', 'MX @', 'CNAME www']);
+
+    const mx = changes.find((c) => c.type === 'MX');
+    assert.strictEqual(mx.before.length, 2);
+    assert.deepStrictEqual(mx.after, []);
+    assert.strictEqual(summarizeChanges(changes), 'Changed A @, Deleted MX @, Added CNAME www');
+  });
+
+  it('should find no changes between equal snapshots', () => {
+    assert.deepStrictEqual(diffSnapshots(before, [...before].reverse()), []);
+    assert.strictEqual(summarizeChanges([]), 'No record changes');
+  });
+
+  it('should shorten long summaries', () => {
+    const changes = ['a', 'b', 'c', 'd', 'e'].map((name) => ({ name, type: 'A', before: [], after: [{}] }));
+    assert.strictEqual(summarizeChanges(changes), 'Added A a, Added A b, Added A c and 2 more');
+  });
+});
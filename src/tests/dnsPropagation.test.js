@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { encodeMessage, decodeMessage } from '../utils/dnsWire.js';
+import { expectedAnswers, checkPropagation } from '../services/dnsPropagationService.js';
+import { startDnsStandIn } from './dnsServerStandIn.js';
+
+describe('DNS wire format', () => {
+  it('should read back the records it writes', () => {
+    const message = decodeMessage(encodeMessage({
+      id: 4242,
+      flags: { qr: true, aa: true },
+      questions: [{ name: 'example.test', type: 'MX' }],
+      answers: [
+        { name: 'example.test.', type: 'MX', ttl: 60, data: '10 mail.example.test.' },
+        { name: 'example.test.', type: 'TXT', ttl: 60, data: '"v=spf1 mx" "~all"' },
+        { name: 'example.test.', type: 'AAAA', ttl: 60, data: '2001:db8::1' },
+        { name: 'example.test.', type: 'SOA', ttl: 60, data: 'ns1.example.test. admin.example.test. 2026101901 3600 1800 1209600 300' }
+      ]
+    }));
+
+    assert.strictEqual(message.id, 4242);
+    assert.ok(message.flags.aa);
+    assert.deepStrictEqual(message.answers.map((rr) => rr.data), [
+      '10 mail.example.test.',
+      '"v=spf1 mx" "~all"',
+      '2001:db8::1',
+      'ns1.example.test. admin.example.test. 2026101901 3600 1800 1209600 300'
+    ]);
+  });
+});
+
+describe('DNS propagation', () => {
+  const zone = { id: 1, domain: 'example.test', serial: 2026101902 };
+  const records = [
+    { type: 'SOA', name: '@', content: 'ns1.example.test. admin.example.test. 1 3600 1800 1209600 300', ttl: 3600 },
+    { type: 'NS', name: '@', content: 'ns1.example.test.', ttl: 3600 },
+    { type: 'A', name: 'ns1', content: '127.0.0.1', ttl: 3600 },
+    { type: 'A', name: 'www', content: '192.0.2.10', ttl: 300 },
+    { type: 'CNAME', name: 'shop', content: 'shops.example.net.', ttl: 300 }
+  ];
+
+  let fresh;
+  let stale;
+
+  // One server plays the recursive resolver, the "test." parent and the authoritative server
+  const authoritative = (question, { recursion }) => {
+    const name = question.name.replace(/\.$/, '');
+    if (recursion) {
+      if (name === 'test' && question.type === 'NS') return { answers: [{ name: 'test.', type: 'NS', data: 'ns.parent.test.' }] };
+      if (question.type === 'A' && ['ns.parent.test', 'ns1.example.test'].includes(name)) {
+        return { answers: [{ name: question.name, type: 'A', data: '127.0.0.1' }] };
+      }
+    }
+    if (name === 'example.test' && question.type === 'NS' && !recursion) {
+      return {
+        authority: [{ name: 'example.test.', type: 'NS', data: 'ns1.example.test.' }],
+        additional: [{ name: 'ns1.example.test.', type: 'A', data: '127.0.0.1' }]
+      };
+    }
+    if (name === 'example.test' && question.type === 'SOA') {
+      return { flags: { aa: !recursion }, answers: [{ name: 'example.test.', type: 'SOA', data: 'ns1.example.test. admin.example.test. 2026101902 3600 1800 1209600 300' }] };
+    }
+    if (name === 'www.example.test' && question.type === 'A') {
+      return { flags: { aa: !recursion }, answers: [{ name: 'www.example.test.', type: 'A', ttl: 300, data: '192.0.2.10' }] };
+    }
+    return { flags: { aa: !recursion, rcode: 'NXDOMAIN' } };
+  };
+
+  before(async () => {
+    fresh = await startDnsStandIn(authoritative);
+    stale = await startDnsStandIn(() => ({
+      answers: [{ name: 'www.example.test.', type: 'A', ttl: 120, data: '192.0.2.99' }]
+    }));
+  });
+
+  after(async () => {
+    await fresh.close();
+    await stale.close();
+  });
+
+  it('should expect the alias when a name is a CNAME', () => {
+    assert.deepStrictEqual(expectedAnswers(zone, records, 'shop', 'A'), { type: 'CNAME', values: ['shops.example.net.'] });
+    assert.deepStrictEqual(expectedAnswers(zone, records, 'www', 'A'), { type: 'A', values: ['192.0.2.10'] });
+  });
+
+  it('should report delegation, authoritative and per-resolver status', async () => {
+    const result = await checkPropagation(zone, records, {
+      name: 'www',
+      type: 'A',
+      resolvers: [{ name: 'Fresh', address: fresh.address }, { name: 'Stale', address: stale.address }],
+      port: fresh.port
+    });
+
+    assert.strictEqual(result.delegation.status, 'ok');
+    assert.strictEqual(result.delegation.parent, 'test');
+    assert.deepStrictEqual(result.delegation.nameservers, ['ns1.example.test']);
+    assert.deepStrictEqual(result.delegation.glue, [
+      { nameserver: 'ns1.example.test', addresses: ['127.0.0.1'], expected: ['127.0.0.1'], status: 'ok' }
+    ]);
+
+    assert.strictEqual(result.authoritative[0].status, 'propagated');
+    assert.strictEqual(result.authoritative[0].serial, 2026101902);
+
+    assert.deepStrictEqual(result.resolvers.map((r) => [r.resolver, r.status]), [['Fresh', 'propagated'], ['Stale', 'stale']]);
+    assert.deepStrictEqual(result.resolvers[1].values, ['192.0.2.99']);
+    assert.strictEqual(result.summary.propagated, false);
+    assert.strictEqual(result.summary.resolvers, '1/2');
+  });
+
+  it('should flag glue that does not match the zone', async () => {
+    const moved = records.map((r) => (r.name === 'ns1' ? { ...r, content: '127.0.0.2' } : r));
+    const result = await checkPropagation(zone, moved, {
+      name: 'www',
+      resolvers: [{ name: 'Fresh', address: fresh.address }],
+      port: fresh.port
+    });
+
+    assert.strictEqual(result.delegation.status, 'mismatch');
+    assert.strictEqual(result.delegation.glue[0].status, 'mismatch');
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Local UDP DNS server for tests. Every query goes to answer(question,
+ * { recursion }), which returns the parts of the reply.
+ */
+
+import dgram from 'dgram';
+import { encodeMessage, decodeMessage } from '../utils/dnsWire.js';
+
+export async function startDnsStandIn(answer) {
+  const queries = [];
+  const socket = dgram.createSocket('udp4');
+
+  socket.on('message', (message, remote) => {
+    const query = decodeMessage(message);
+    const question = query.questions[0];
+    queries.push({ ...question, recursion: query.flags.rd });
+
+    const { flags = {}, ...sections } = answer(question, { recursion: query.flags.rd }) || {};
+    const reply = encodeMessage({
+      id: query.id,
+      flags: { qr: true, rd: query.flags.rd, ...flags },
+      questions: query.questions,
+      ...sections
+    });
+    socket.send(reply, remote.port, remote.address);
+  });
+
+  await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+
+  return {
+    address: `127.0.0.1:${socket.address().port}`,
+    port: socket.address().port,
+    queries,
+    close: () => new Promise((resolve) => socket.close(resolve))
+  };
+}
+
+export default startDnsStandIn;
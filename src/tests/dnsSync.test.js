@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createPowerDNSDriver } from '../services/dnsDrivers/powerdns.js';
+import { pushZone } from '../services/dnsSyncService.js';
+import { startPowerDNSStandIn } from './powerdnsStandIn.js';
+
+describe('PowerDNS sync', () => {
+  let standIn;
+  let driver;
+
+  const zone = { id: 1, domain: 'example.com', default_ttl: 3600, serial: 1700000000000, type: null };
+  const records = [
+    { type: 'SOA', name: '@', content: 'ns1.example.com. admin.example.com. 1 3600 1800 1209600 300', ttl: 3600 },
+    { type: 'NS', name: '@', content: 'ns1.example.com.', ttl: 3600 },
+    { type: 'NS', name: '@', content: 'ns2.example.com.', ttl: 3600 },
+    { type: 'A', name: '@', content: '192.0.2.1', ttl: 300 },
+    { type: 'MX', name: '@', content: 'mail.example.com', ttl: 3600, priority: 10 },
+    { type: 'TXT', name: '@', content: 'v=spf1 mx ~all', ttl: 3600 },
+    { type: 'CNAME', name: 'www', content: 'example.com.', ttl: 3600 },
+  ];
+
+  const remoteSet = (name, type) => standIn.zones.get('example.com.').rrsets.find((r) => r.name === name && r.type === type);
+
+  before(async () => {
+    standIn = await startPowerDNSStandIn();
+    driver = createPowerDNSDriver({ apiUrl: standIn.url, apiKey: standIn.apiKey });
+  });
+
+  after(async () => {
+    await standIn.close();
+  });
+
+  it('should create a missing zone with all rrsets', async () => {
+    const result = await pushZone(driver, zone, records, { nameservers: [] });
+    assert.strictEqual(result.created, true);
+
+    assert.strictEqual(remoteSet('example.com.', 'SOA').records[0].content, 'ns1.example.com. admin.example.com. 1700000000 3600 1800 1209600 300');
+    assert.deepStrictEqual(remoteSet('example.com.', 'MX').records.map((r) => r.content), ['10 mail.example.com.']);
+    assert.deepStrictEqual(remoteSet('example.com.', 'TXT').records.map((r) => r.content), ['"v=spf1 mx ~all"']);
+    assert.strictEqual(remoteSet('example.com.', 'NS').records.length, 2);
+    assert.strictEqual(remoteSet('www.example.com.', 'CNAME').records[0].content, 'example.com.');
+  });
+
+  it('should change nothing when the nameserver is in sync', async () => {
+    const result = await pushZone(driver, zone, records);
+    assert.deepStrictEqual(result, { created: false, changes: 0 });
+  });
+
+  it('should repair drift and remove rrsets that are gone', async () => {
+    remoteSet('example.com.', 'A').records = [{ content: '203.0.113.9' }];
+    standIn.zones.get('example.com.').rrsets.push({ name: 'rogue.example.com.', type: 'A', ttl: 60, records: [{ content: '203.0.113.10' }] });
+
+    const edited = { ...zone, serial: 1700000005000 };
+    const result = await pushZone(driver, edited, records.filter((r) => r.type !== 'CNAME'));
+
+    // A replaced, rogue and www deleted, SOA bumped
+    assert.strictEqual(result.changes, 4);
+    assert.deepStrictEqual(remoteSet('example.com.', 'A').records.map((r) => r.content), ['192.0.2.1']);
+    assert.strictEqual(remoteSet('rogue.example.com.', 'A'), undefined);
+    assert.strictEqual(remoteSet('www.example.com.', 'CNAME'), undefined);
+    assert.strictEqual(standIn.zones.get('example.com.').serial, 1700000005);
+  });
+
+  it('should report API errors', async () => {
+    const badDriver = createPowerDNSDriver({ apiUrl: standIn.url, apiKey: 'wrong' });
+    await assert.rejects(() => pushZone(badDriver, zone, records), /Unauthorized/);
+  });
+});
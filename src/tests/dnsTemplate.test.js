@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BUILTIN_TEMPLATE,
+  renderTemplate,
+  validateTemplate,
+  planTemplateApply,
+  templateVariableNames
+} from '../services/dnsTemplateService.js';
+
+describe('DNS templates', () => {
+  const mailTemplate = {
+    variables: { mail_host: 'mx.mailprovider.net' },
+    records: [
+      { type: 'A', name: '@', content: '{{server_ip}}', ttl: 300 },
+      { type: 'MX', name: '@', content: '{{mail_host}}', ttl: 3600, priority: '{{mx_priority}}' },
+      { type: 'TXT', name: '@', content: 'v=spf1 include:{{spf_include}} ~all', ttl: 3600 },
+    ],
+  };
+
+  it('should list the variables a template uses', () => {
+    assert.deepStrictEqual(templateVariableNames(mailTemplate.records), ['mail_host', 'mx_priority', 'server_ip', 'spf_include']);
+  });
+
+  it('should render variables, qualify host targets and report missing values', () => {
+    const partial = renderTemplate(mailTemplate, 'example.com', { server_ip: '192.0.2.10', mx_priority: 5 });
+    assert.deepStrictEqual(partial.missing, ['spf_include']);
+
+    const { records, missing } = renderTemplate(mailTemplate, 'example.com', {
+      server_ip: '192.0.2.10',
+      mx_priority: 5,
+      spf_include: 'spf.mailprovider.net'
+    });
+    assert.deepStrictEqual(missing, []);
+    assert.deepStrictEqual(records, [
+      { type: 'A', name: '@', content: '192.0.2.10', ttl: 300, priority: null },
+      { type: 'MX', name: '@', content: 'mx.mailprovider.net.', ttl: 3600, priority: 5 },
+      { type: 'TXT', name: '@', content: 'v=spf1 include:spf.mailprovider.net ~all', ttl: 3600, priority: null },
+    ]);
+  });
+
+  it('should render the built-in template like the old default records', () => {
+    const { records } = renderTemplate(BUILTIN_TEMPLATE, 'example.com', { server_ip: '192.0.2.1' });
+    assert.deepStrictEqual(records.map((r) => `${r.type} ${r.name} ${r.content}`), [
+      'NS @ ns1.example.com.',
+      'NS @ ns2.example.com.',
+      'A @ 192.0.2.1',
+      'CNAME www example.com.',
+      'MX @ mail.example.com.',
+    ]);
+  });
+
+  it('should reject SOA records and invalid rendered records', () => {
+    const errors = validateTemplate({
+      records: [
+        { type: 'SOA', name: '@', content: 'ns1. admin. 1 2 3 4 5' },
+        { type: 'A', name: 'www', content: '{{domain}}' },
+        { type: 'CNAME', name: 'shop', content: '{{shop_host}}' },
+      ],
+    });
+    assert.deepStrictEqual(errors.map((e) => [e.index, e.field]), [[0, 'type'], [1, 'content']]);
+    assert.deepStrictEqual(validateTemplate(BUILTIN_TEMPLATE), []);
+  });
+
+  it('should swap the records of the previous apply and keep the customer\'s own', () => {
+    const domain = 'example.com';
+    const existing = [
+      { id: 1, type: 'SOA', name: '@', content: 'ns1.example.com. admin.example.com. 1 3600 1800 1209600 300', ttl: 3600 },
+      { id: 2, type: 'MX', name: '@', content: 'mx.oldprovider.net.', ttl: 3600, priority: 10 },
+      { id: 3, type: 'TXT', name: '@', content: 'google-site-verification=abc', ttl: 3600 },
+      { id: 4, type: 'A', name: '@', content: '192.0.2.1', ttl: 3600 },
+    ];
+    const previous = [
+      { type: 'MX', name: '@', content: 'mx.oldprovider.net.', ttl: 3600, priority: 10 },
+      { type: 'A', name: '@', content: '192.0.2.1', ttl: 3600, priority: null },
+    ];
+    const rendered = [
+      { type: 'MX', name: '@', content: 'mx.newprovider.net.', ttl: 3600, priority: 10 },
+      { type: 'A', name: '@', content: '192.0.2.1', ttl: 300, priority: null },
+    ];
+
+    const merge = planTemplateApply(existing, rendered, { domain, mode: 'merge', previous });
+    assert.deepStrictEqual(merge.add.map((r) => r.content), ['mx.newprovider.net.']);
+    assert.deepStrictEqual(merge.remove.map((r) => r.id), [2]);
+    assert.deepStrictEqual(merge.update.map((u) => [u.id, u.to.ttl]), [[4, 300]]);
+
+    const replace = planTemplateApply(existing, rendered, { domain, mode: 'replace', previous });
+    assert.deepStrictEqual(replace.remove.map((r) => r.id), [2, 3]);
+  });
+});
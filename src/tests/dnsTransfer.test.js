@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createPowerDNSDriver } from '../services/dnsDrivers/powerdns.js';
+import { pushZone } from '../services/dnsSyncService.js';
+import { parseEndpoint, isAclEntry, validateTransferSettings } from '../services/dnsTransferService.js';
+import { startPowerDNSStandIn } from './powerdnsStandIn.js';
+
+describe('DNS transfer settings', () => {
+  it('should accept addresses with optional ports as endpoints', () => {
+    assert.strictEqual(parseEndpoint('192.0.2.1'), '192.0.2.1');
+    assert.strictEqual(parseEndpoint(' 192.0.2.1:5300 '), '192.0.2.1:5300');
+    assert.strictEqual(parseEndpoint('2001:db8::1'), '2001:db8::1');
+    assert.strictEqual(parseEndpoint('[2001:db8::1]:53'), '[2001:db8::1]:53');
+    assert.strictEqual(parseEndpoint('ns1.example.com'), null);
+    assert.strictEqual(parseEndpoint('192.0.2.1:70000'), null);
+  });
+
+  it('should accept addresses and CIDR blocks in transfer ACLs', () => {
+    assert.ok(isAclEntry('192.0.2.0/24'));
+    assert.ok(isAclEntry('2001:db8::/32'));
+    assert.ok(isAclEntry('192.0.2.7'));
+    assert.ok(!isAclEntry('192.0.2.0/33'));
+    assert.ok(!isAclEntry('any'));
+  });
+
+  it('should require primaries for a secondary zone and report bad entries', () => {
+    const secondary = validateTransferSettings({ type: 'slave' });
+    assert.strictEqual(secondary.values.type, 'SLAVE');
+    assert.deepStrictEqual(secondary.errors.map((e) => e.field), ['primaries']);
+
+    const master = validateTransferSettings({
+      type: 'MASTER',
+      allow_transfer: ['198.51.100.0/24', 'everyone'],
+      also_notify: ['198.51.100.53', '198.51.100.53']
+    });
+    assert.deepStrictEqual(master.errors.map((e) => e.field), ['allow_transfer']);
+    assert.deepStrictEqual(master.values.also_notify, ['198.51.100.53']);
+  });
+});
+
+describe('PowerDNS zone transfers', () => {
+  let standIn;
+  let driver;
+
+  const tsig = { name: 'transfer.example.net', algorithm: 'hmac-sha256', secret: 'c2VjcmV0LXNlY3JldC1zZWNyZXQ=' };
+
+  before(async () => {
+    standIn = await startPowerDNSStandIn();
+    driver = createPowerDNSDriver({ apiUrl: standIn.url, apiKey: standIn.apiKey });
+  });
+
+  after(async () => {
+    await standIn.close();
+  });
+
+  it('should create a secondary zone with its primaries and TSIG key', async () => {
+    const zone = { id: 1, domain: 'example.net', serial: 1, type: 'SLAVE' };
+    const transfer = { primaries: ['192.0.2.1', '192.0.2.2:5300'], primaryTsig: tsig };
+
+    const result = await pushZone(driver, zone, [], { transfer });
+    assert.strictEqual(result.created, true);
+
+    const remote = standIn.zones.get('example.net.');
+    assert.strictEqual(remote.kind, 'Slave');
+    assert.deepStrictEqual(remote.masters, ['192.0.2.1', '192.0.2.2:5300']);
+    assert.deepStrictEqual(remote.metadata['AXFR-MASTER-TSIG'], ['transfer.example.net']);
+    assert.strictEqual(standIn.tsigKeys.get('transfer.example.net').key, tsig.secret);
+  });
+
+  it('should report the serial of a transferred secondary zone', async () => {
+    Object.assign(standIn.zones.get('example.net.'), { serial: 2026101901, last_check: 1792396800 });
+
+    const result = await pushZone(driver, { id: 1, domain: 'example.net', serial: 1, type: 'SLAVE' }, [], {
+      transfer: { primaries: ['192.0.2.9'] }
+    });
+    assert.deepStrictEqual(result.transfer, { serial: 2026101901, lastCheck: 1792396800 });
+
+    const remote = standIn.zones.get('example.net.');
+    assert.deepStrictEqual(remote.masters, ['192.0.2.9']);
+    assert.strictEqual(remote.metadata['AXFR-MASTER-TSIG'], undefined);
+  });
+
+  it('should publish transfer ACLs of a primary zone and NOTIFY on changes', async () => {
+    const zone = { id: 2, domain: 'example.org', default_ttl: 3600, serial: 1700000000000, type: 'MASTER' };
+    const records = [
+      { type: 'SOA', name: '@', content: 'ns1.example.org. admin.example.org. 1 3600 1800 1209600 300', ttl: 3600 },
+      { type: 'NS', name: '@', content: 'ns1.example.org.', ttl: 3600 },
+      { type: 'A', name: '@', content: '192.0.2.10', ttl: 300 }
+    ];
+    const transfer = { allowTransfer: ['198.51.100.0/24'], alsoNotify: ['198.51.100.53'], transferTsig: tsig };
+
+    await pushZone(driver, zone, records, { transfer });
+    const remote = standIn.zones.get('example.org.');
+    assert.strictEqual(remote.kind, 'Master');
+    assert.deepStrictEqual(remote.metadata['ALLOW-AXFR-FROM'], ['198.51.100.0/24']);
+    assert.deepStrictEqual(remote.metadata['ALSO-NOTIFY'], ['198.51.100.53']);
+    assert.deepStrictEqual(remote.metadata['TSIG-ALLOW-AXFR'], ['transfer.example.net']);
+
+    const notifies = () => standIn.calls.filter((call) => call.endsWith('/zones/example.org./notify')).length;
+    assert.strictEqual(notifies(), 0);
+
+    const edited = records.map((r) => (r.type === 'A' ? { ...r, content: '192.0.2.11' } : r));
+    await pushZone(driver, { ...zone, serial: 1700000005000 }, edited, { transfer });
+    assert.strictEqual(notifies(), 1);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { isPublicSuffix, validateRecord, validateRecordChanges } from '../utils/dnsValidation.js';
+import { lintRecords } from '../services/dnsLintService.js';
+
+const domain = 'example.com';
+
+describe('DNS record validation', () => {
+  it('should check per-type syntax', () => {
+    const errors = (record) => validateRecord({ name: '@', ttl: 3600, ...record }, { domain }).map((e) => e.field);
+
+    assert.deepStrictEqual(errors({ type: 'A', content: '192.0.2.1' }), []);
+    assert.deepStrictEqual(errors({ type: 'A', content: '192.0.2.300' }), ['content']);
+    assert.deepStrictEqual(errors({ type: 'AAAA', content: '2001:db8::1' }), []);
+    assert.deepStrictEqual(errors({ type: 'MX', content: 'mail.example.com.', priority: 0 }), []);
+    assert.deepStrictEqual(errors({ type: 'MX', content: '10 mail.example.com.' }), ['priority', 'content']);
+    assert.deepStrictEqual(errors({ type: 'SRV', name: '_sip._tcp', content: '60 5060 sip.example.com.', priority: 10 }), []);
+    assert.deepStrictEqual(errors({ type: 'SRV', name: 'sip', content: '5060 sip.example.com.', priority: 10 }), ['name', 'content']);
+    assert.deepStrictEqual(errors({ type: 'CAA', content: '0 issue "letsencrypt.org"' }), []);
+    assert.deepStrictEqual(errors({ type: 'CAA', content: '0 issue letsencrypt.org' }), ['content']);
+    assert.deepStrictEqual(errors({ type: 'TXT', content: 'x'.repeat(256) }), ['content']);
+    assert.deepStrictEqual(errors({ type: 'TXT', content: `"${'x'.repeat(255)}" "${'y'.repeat(100)}"` }), []);
+    assert.deepStrictEqual(errors({ type: 'HINFO', content: 'x' }), ['type']);
+    assert.deepStrictEqual(errors({ type: 'A', name: 'www.other.org.', content: '192.0.2.1' }), ['name']);
+  });
+
+  it('should enforce CNAME rules against the rest of the zone', () => {
+    const existing = [
+      { id: 1, type: 'A', name: '@', content: '192.0.2.1', ttl: 3600 },
+      { id: 2, type: 'A', name: 'www.example.com', content: '192.0.2.1', ttl: 3600 },
+      { id: 3, type: 'CNAME', name: 'blog', content: 'example.com.', ttl: 3600 },
+    ];
+    const check = (changes) => validateRecordChanges(existing, changes, { domain }).map((e) => e.message);
+
+    assert.match(check([{ type: 'CNAME', name: '@', content: 'other.org.' }])[0], /apex/);
+    assert.match(check([{ type: 'CNAME', name: 'www', content: 'example.com.' }])[0], /cannot have other records/);
+    assert.match(check([{ type: 'TXT', name: 'blog', content: 'hello' }])[0], /cannot have other records/);
+    assert.match(check([{ type: 'A', name: '@', content: '192.0.2.1' }])[0], /Duplicate/);
+
+    // Turning the A record into a CNAME replaces it rather than conflicting
+    assert.deepStrictEqual(check([{ id: 2, type: 'CNAME', name: 'www', content: 'example.com.' }]), []);
+  });
+});
+
+describe('DNS zone lint', () => {
+  it('should report missing mail policies and dangling CNAMEs', () => {
+    const problems = lintRecords([
+      { id: 1, type: 'A', name: '@', content: '192.0.2.1', ttl: 3600 },
+      { id: 2, type: 'MX', name: '@', content: 'mail.example.com.', priority: 10, ttl: 3600 },
+      { id: 3, type: 'CNAME', name: 'shop', content: 'store.example.com.', ttl: 3600 },
+      { id: 4, type: 'CNAME', name: 'www', content: '@', ttl: 3600 },
+    ], { domain });
+
+    const codes = problems.map((p) => p.code).sort();
+    assert.deepStrictEqual(codes, ['dangling_cname', 'missing_dmarc', 'missing_spf']);
+    assert.strictEqual(problems.find((p) => p.code === 'dangling_cname').recordId, 3);
+  });
+
+  it('should treat TLDs and public suffixes as unownable', () => {
+    for (const domain of ['com', 'co.uk', 'CO.UK.', 'github.io']) {
+      assert.strictEqual(isPublicSuffix(domain), true, domain);
+    }
+    for (const domain of ['example.com', 'example.co.uk', 'site.github.io']) {
+      assert.strictEqual(isPublicSuffix(domain), false, domain);
+    }
+  });
+});
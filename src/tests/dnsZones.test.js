@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert';
+import pool from '../db/index.js';
+import { createZone } from '../controllers/dnsZoneController.js';
+
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('DNS zone creation', () => {
+  let queries;
+  let zones;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    queries = [];
+    zones = [{ id: 1, user_id: 10, domain: 'example.com' }, { id: 2, user_id: 20, domain: 'shop.example.net' }];
+    mock.method(pool, 'query', async (sql, params = []) => {
+      queries.push(sql);
+      if (sql.includes('FROM dns_zones')) {
+        const [domain] = params;
+        return {
+          rows: zones.filter((zone) => zone.domain === domain
+            || domain.endsWith(`.${zone.domain}`) || zone.domain.endsWith(`.${domain}`))
+        };
+      }
+      return { rows: [] };
+    });
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  const create = async (domain, userId = 20) => {
+    const res = response();
+    await createZone({ user: { id: userId }, body: { domain } }, res);
+    return res;
+  };
+
+  it('should refuse public suffixes', async () => {
+    assert.strictEqual((await create('co.uk')).statusCode, 400);
+    assert.strictEqual((await create('com.')).statusCode, 400);
+    assert.ok(!queries.some((sql) => sql.includes('INSERT')));
+  });
+
+  it('should refuse a parent or child of another account\'s zone', async () => {
+    const child = await create('mail.example.com');
+    assert.strictEqual(child.statusCode, 409);
+
+    const parent = await create('EXAMPLE.NET', 10);
+    assert.strictEqual(parent.statusCode, 409);
+
+    assert.strictEqual((await create('example.com.')).statusCode, 400);
+    assert.ok(!queries.some((sql) => sql.includes('INSERT')));
+  });
+});
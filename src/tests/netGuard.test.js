@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { isBlockedAddress, publicAddress, publicLookup } from '../utils/netGuard.js';
+import { createS3Storage } from '../services/backupDrivers/s3.js';
+
+const lookup = (hostname, options) => new Promise((resolve, reject) => {
+  publicLookup(hostname, options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+});
+
+describe('Network guard', () => {
+  it('should tell internal addresses from public ones', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '100.64.0.1', '169.254.169.254', '::1', '::ffff:192.168.0.1', 'fe80::1',
+      // 10.0.0.1 through NAT64, 192.168.1.1 through 6to4
+      '64:ff9b::a00:1', '2002:c0a8:101::1']) {
+      assert.strictEqual(isBlockedAddress(address), true, address);
+    }
+    for (const address of ['203.0.113.50', '2001:db8::1', '::ffff:203.0.113.50']) {
+      assert.strictEqual(isBlockedAddress(address), false, address);
+    }
+  });
+
+  it('should refuse names that resolve inside when connecting', async () => {
+    await assert.rejects(lookup('localhost', {}), /private address/);
+    await assert.rejects(publicAddress('localhost'), /private address/);
+  });
+
+  it('should hand back a checked address to connect to', async () => {
+    assert.strictEqual(await publicAddress('203.0.113.50'), '203.0.113.50');
+    assert.strictEqual(await publicAddress('[2001:db8::1]'), '2001:db8::1');
+  });
+
+  it('should resolve S3 endpoints through the given lookup', async () => {
+    const looked = [];
+    const storage = createS3Storage({
+      endpoint: 'http://storage.example.test:9000',
+      bucket: 'backups',
+      accessKeyId: 'a',
+      secretAccessKey: 'b',
+      lookup: (hostname, options, callback) => {
+        looked.push(hostname);
+        callback(new Error(`${hostname} resolves to a private address (10.0.0.5)`));
+      }
+    });
+
+    await assert.rejects(storage.put('probe', Buffer.from('x')), /private address/);
+    assert.ok(looked.includes('storage.example.test'));
+    await storage.close();
+  });
+});
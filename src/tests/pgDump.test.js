@@ -0,0 +1,173 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { listDumpTables, extractTable, parseDump } from '../utils/pgDump.js';
+
+// Trimmed pg_dump 16 plain output: two tables, a serial, an index and a foreign key
+const DUMP = `--
+-- PostgreSQL database dump
+--
+
+SET statement_timeout = 0;
+SET client_encoding = 'UTF8';
+SET standard_conforming_strings = on;
+SELECT pg_catalog.set_config('search_path', '', false);
+
+--
+-- Name: orders; Type: TABLE; Schema: public; Owner: shop
+--
+
+CREATE TABLE public.orders (
+    id integer NOT NULL,
+    user_id integer,
+    total numeric(10,2)
+);
+
+
+ALTER TABLE public.orders OWNER TO shop;
+
+--
+-- Name: users; Type: TABLE; Schema: public; Owner: shop
+--
+
+CREATE TABLE public.users (
+    id integer NOT NULL,
+    email text NOT NULL
+);
+
+
+ALTER TABLE public.users OWNER TO shop;
+
+--
+-- Name: users_id_seq; Type: SEQUENCE; Schema: public; Owner: shop
+--
+
+CREATE SEQUENCE public.users_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.users_id_seq OWNER TO shop;
+
+--
+-- Name: users_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: shop
+--
+
+ALTER SEQUENCE public.users_id_seq OWNED BY public.users.id;
+
+
+--
+-- Name: users id; Type: DEFAULT; Schema: public; Owner: shop
+--
+
+ALTER TABLE ONLY public.users ALTER COLUMN id SET DEFAULT nextval('public.users_id_seq'::regclass);
+
+
+--
+-- Data for Name: orders; Type: TABLE DATA; Schema: public; Owner: shop
+--
+
+COPY public.orders (id, user_id, total) FROM stdin;
+1	1	9.99
+\\.
+
+
+--
+-- Data for Name: users; Type: TABLE DATA; Schema: public; Owner: shop
+--
+
+COPY public.users (id, email) FROM stdin;
+1	a@example.com
+2	b@example.com
+\\.
+
+
+--
+-- Name: users_id_seq; Type: SEQUENCE SET; Schema: public; Owner: shop
+--
+
+SELECT pg_catalog.setval('public.users_id_seq', 2, true);
+
+
+--
+-- Name: users users_pkey; Type: CONSTRAINT; Schema: public; Owner: shop
+--
+
+ALTER TABLE ONLY public.users
+    ADD CONSTRAINT users_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: idx_users_email; Type: INDEX; Schema: public; Owner: shop
+--
+
+CREATE UNIQUE INDEX idx_users_email ON public.users USING btree (email);
+
+
+--
+-- Name: orders orders_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: shop
+--
+
+ALTER TABLE ONLY public.orders
+    ADD CONSTRAINT orders_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id);
+
+
+--
+-- PostgreSQL database dump complete
+--
+`;
+
+describe('pg_dump parsing', () => {
+  it('should split the dump into its objects', () => {
+    const { preamble, objects } = parseDump(DUMP);
+    assert.match(preamble, /SET standard_conforming_strings = on;/);
+    assert.deepStrictEqual(objects.map((object) => object.type).slice(0, 4), ['TABLE', 'TABLE', 'SEQUENCE', 'SEQUENCE OWNED BY']);
+  });
+
+  it('should list tables with their row counts', () => {
+    assert.deepStrictEqual(listDumpTables(DUMP), [
+      { schema: 'public', name: 'orders', rows: 1 },
+      { schema: 'public', name: 'users', rows: 2 }
+    ]);
+  });
+
+  it('should extract a table with its sequence, default, data, keys and indexes', () => {
+    const sql = extractTable(DUMP, 'users', { replace: true });
+
+    assert.match(sql, /SET standard_conforming_strings = on;/);
+    assert.match(sql, /DROP TABLE IF EXISTS public\.users;\nDROP SEQUENCE IF EXISTS public\.users_id_seq;/);
+    assert.match(sql, /CREATE TABLE public\.users/);
+    assert.match(sql, /CREATE SEQUENCE public\.users_id_seq/);
+    assert.match(sql, /SET DEFAULT nextval\('public\.users_id_seq'::regclass\)/);
+    assert.match(sql, /2\tb@example\.com\n\\\./);
+    assert.match(sql, /setval\('public\.users_id_seq', 2, true\)/);
+    assert.match(sql, /ADD CONSTRAINT users_pkey/);
+    assert.match(sql, /CREATE UNIQUE INDEX idx_users_email ON public\.users/);
+    assert.doesNotMatch(sql, /CREATE TABLE public\.orders|orders_user_id_fkey/);
+    assert.ok(sql.indexOf('DROP TABLE') < sql.indexOf('CREATE TABLE'));
+  });
+
+  it('should keep foreign keys the table owns when replacing it', () => {
+    assert.match(extractTable(DUMP, 'orders', { replace: true }), /orders_user_id_fkey FOREIGN KEY \(user_id\) REFERENCES public\.users\(id\)/);
+  });
+
+  it('should restore side by side in another schema without foreign keys', () => {
+    const sql = extractTable(DUMP, 'orders', { targetSchema: 'restored_20261018' });
+    assert.match(sql, /CREATE SCHEMA IF NOT EXISTS restored_20261018;/);
+    assert.match(sql, /CREATE TABLE restored_20261018\.orders/);
+    assert.match(sql, /COPY restored_20261018\.orders \(id, user_id, total\) FROM stdin;/);
+    assert.doesNotMatch(sql, /FOREIGN KEY|public\.orders/);
+
+    const users = extractTable(DUMP, 'users', { targetSchema: 'restored_20261018' });
+    assert.match(users, /OWNED BY restored_20261018\.users\.id/);
+    assert.match(users, /nextval\('restored_20261018\.users_id_seq'::regclass\)/);
+    assert.doesNotMatch(users, /public\.users/);
+  });
+
+  it('should return null for a table the dump does not have', () => {
+    assert.strictEqual(extractTable(DUMP, 'missing'), null);
+  });
+});
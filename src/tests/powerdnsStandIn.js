@@ -0,0 +1,146 @@
+/**
+ * In-memory stand-in for the PowerDNS Authoritative HTTP API, covering the
+ * endpoints the PowerDNS driver uses. Start it on a random port and point
+ * the driver at its url.
+ */
+
+import http from 'http';
+
+export async function startPowerDNSStandIn({ apiKey = 'test-key', serverId = 'localhost' } = {}) {
+  const zones = new Map();
+  const tsigKeys = new Map();
+  const calls = [];
+  const serverPrefix = `/api/v1/servers/${serverId}`;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const handleTsigKeys = (req, res, path, body) => {
+    const keyName = decodeURIComponent(path.slice('/tsigkeys/'.length)).replace(/\.$/, '');
+    if (req.method === 'POST' && path === '/tsigkeys') {
+      if (tsigKeys.has(body.name)) return send(res, 409, { error: 'Conflict' });
+      tsigKeys.set(body.name, body);
+      return send(res, 201, body);
+    }
+    if (!tsigKeys.has(keyName)) return send(res, 404, { error: 'Not Found' });
+    if (req.method === 'PUT') {
+      tsigKeys.set(keyName, body);
+      return send(res, 200, body);
+    }
+    if (req.method === 'DELETE') {
+      tsigKeys.delete(keyName);
+      return send(res, 204);
+    }
+    send(res, 405, { error: 'Method Not Allowed' });
+  };
+
+  const handleZoneAction = (req, res, zone, action, body) => {
+    if (action === 'axfr-retrieve' || action === 'notify') {
+      return req.method === 'PUT' ? send(res, 200, { result: `${action} queued` }) : send(res, 405, { error: 'Method Not Allowed' });
+    }
+    if (action === 'metadata') {
+      return send(res, 200, Object.entries(zone.metadata).map(([kind, metadata]) => ({ kind, metadata })));
+    }
+    const kind = decodeURIComponent(action.slice('metadata/'.length));
+    if (req.method === 'PUT') {
+      zone.metadata[kind] = body.metadata;
+      return send(res, 200, body);
+    }
+    if (req.method === 'DELETE') {
+      delete zone.metadata[kind];
+      return send(res, 204);
+    }
+    send(res, 405, { error: 'Method Not Allowed' });
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      calls.push(`${req.method} ${req.url}`);
+      if (req.headers['x-api-key'] !== apiKey) {
+        return send(res, 401, { error: 'Unauthorized' });
+      }
+      if (!req.url.startsWith(serverPrefix)) {
+        return send(res, 404, { error: 'Not Found' });
+      }
+
+      const body = raw ? JSON.parse(raw) : {};
+      const path = req.url.slice(serverPrefix.length);
+      if (path.startsWith('/tsigkeys')) {
+        return handleTsigKeys(req, res, path, body);
+      }
+      if (!path.startsWith('/zones')) {
+        return send(res, 404, { error: 'Not Found' });
+      }
+
+      const [encodedName, ...rest] = path.slice('/zones/'.length).split('/');
+      const zoneName = decodeURIComponent(encodedName || '');
+      const zone = zones.get(zoneName);
+
+      if (req.method === 'GET' && !zoneName) {
+        return send(res, 200, [...zones.values()].map(({ name, kind, serial }) => ({ name, kind, serial })));
+      }
+      if (req.method === 'POST' && !zoneName) {
+        if (zones.has(body.name)) return send(res, 409, { error: 'Conflict' });
+        zones.set(body.name, {
+          name: body.name,
+          kind: body.kind,
+          serial: 0,
+          last_check: 0,
+          rrsets: body.rrsets || [],
+          nameservers: body.nameservers,
+          masters: body.masters || [],
+          metadata: {}
+        });
+        return send(res, 201, zones.get(body.name));
+      }
+      if (!zone) {
+        return send(res, 404, { error: 'Not Found' });
+      }
+      if (rest.length > 0) {
+        return handleZoneAction(req, res, zone, rest.join('/'), body);
+      }
+      if (req.method === 'GET') {
+        return send(res, 200, zone);
+      }
+      if (req.method === 'PUT') {
+        Object.assign(zone, { kind: body.kind ?? zone.kind, masters: body.masters ?? zone.masters });
+        return send(res, 204);
+      }
+      if (req.method === 'DELETE') {
+        zones.delete(zoneName);
+        return send(res, 204);
+      }
+      if (req.method === 'PATCH') {
+        for (const change of body.rrsets) {
+          zone.rrsets = zone.rrsets.filter((r) => !(r.name === change.name && r.type === change.type));
+          if (change.changetype === 'REPLACE') {
+            zone.rrsets.push({ name: change.name, type: change.type, ttl: change.ttl, records: change.records });
+          } else if (change.changetype !== 'DELETE') {
+            return send(res, 422, { error: `Unknown changetype ${change.changetype}` });
+          }
+        }
+        const soa = zone.rrsets.find((r) => r.type === 'SOA');
+        zone.serial = soa ? parseInt(soa.records[0].content.split(' ')[2], 10) : zone.serial;
+        return send(res, 204);
+      }
+      send(res, 405, { error: 'Method Not Allowed' });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    apiKey,
+    zones,
+    tsigKeys,
+    calls,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+export default startPowerDNSStandIn;
@@ -0,0 +1,158 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import pool from '../config/database.js';
+import ProrationService from '../services/ProrationService.js';
+import BillingService from '../services/BillingService.js';
+import CreditService from '../services/CreditService.js';
+
+describe('Proration', () => {
+  const period = {
+    periodStart: '2026-01-01T00:00:00.000Z',
+    periodEnd: '2026-01-31T00:00:00.000Z',
+    changeDate: '2026-01-16T00:00:00.000Z', // half way through
+  };
+
+  it('should charge only the difference for the rest of the period on upgrade', () => {
+    const proration = ProrationService.calculateProration({
+      currentPlanId: 'starter',
+      currentTerm: 'monthly',
+      currentAmount: 10.00,
+      newPlanId: 'premium',
+      newTerm: 'monthly',
+      newAmount: 20.00,
+      ...period,
+    });
+
+    assert.strictEqual(proration.unusedCredit, 5.00);
+    assert.strictEqual(proration.newCharge, 10.00);
+    assert.strictEqual(proration.amountDue, 5.00);
+    assert.strictEqual(proration.creditIssued, 0);
+    assert.strictEqual(proration.direction, 'upgrade');
+    assert.strictEqual(proration.newPeriodEnd, period.periodEnd);
+  });
+
+  it('should leave account credit on downgrade', () => {
+    const proration = ProrationService.calculateProration({
+      currentPlanId: 'business',
+      currentTerm: 'monthly',
+      currentAmount: 20.00,
+      newPlanId: 'starter',
+      newTerm: 'monthly',
+      newAmount: 10.00,
+      ...period,
+    });
+
+    assert.strictEqual(proration.amountDue, 0);
+    assert.strictEqual(proration.creditIssued, 5.00);
+    assert.strictEqual(proration.direction, 'downgrade');
+  });
+
+  it('should start a new full term when the term changes', () => {
+    const proration = ProrationService.calculateProration({
+      currentPlanId: 'starter',
+      currentTerm: 'monthly',
+      currentAmount: 10.00,
+      newPlanId: 'starter',
+      newTerm: 'triennially',
+      newAmount: 300.00,
+      ...period,
+    });
+
+    assert.strictEqual(proration.newCharge, 300.00);
+    assert.strictEqual(proration.amountDue, 295.00);
+    assert.strictEqual(proration.newPeriodStart, period.changeDate);
+    assert.strictEqual(proration.newPeriodEnd, '2029-01-16T00:00:00.000Z');
+  });
+
+  it('should give no credit once the period has ended', () => {
+    const proration = ProrationService.calculateProration({
+      currentPlanId: 'starter',
+      currentTerm: 'monthly',
+      currentAmount: 10.00,
+      newPlanId: 'premium',
+      newTerm: 'monthly',
+      newAmount: 20.00,
+      ...period,
+      changeDate: '2026-02-10T00:00:00.000Z',
+    });
+
+    assert.strictEqual(proration.unusedCredit, 0);
+    assert.strictEqual(proration.amountDue, 0);
+  });
+
+  it('should reject a change to the same plan and term', () => {
+    const subscription = {
+      id: 'sub-1',
+      billing_cycle: 'monthly',
+      price: '2.99',
+      next_billing_date: '2026-02-01',
+      metadata: { planId: 'starter' },
+    };
+
+    assert.throws(
+      () => ProrationService.previewChange(subscription, { newPlanId: 'starter' }),
+      /already on this plan/
+    );
+  });
+
+  describe('applying a local change', () => {
+    const subscription = { id: 'sub-1', tenant_id: 't1', billing_cycle: 'monthly', price: '10.00' };
+    const customer = { id: 'c1', currency: 'USD' };
+    const proration = ProrationService.calculateProration({
+      currentPlanId: 'starter',
+      currentTerm: 'monthly',
+      currentAmount: 10.00,
+      newPlanId: 'premium',
+      newTerm: 'monthly',
+      newAmount: 20.00,
+      ...period,
+    });
+
+    let statements;
+    let client;
+
+    const stubDatabase = () => {
+      statements = [];
+      client = {
+        query: async (sql) => {
+          statements.push(sql.trim().split(/\s+/)[0]);
+          return { rows: [{ ...subscription, price: '20.00' }] };
+        },
+        release: () => {},
+      };
+      mock.method(pool, 'connect', async () => client);
+    };
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('should credit, change the plan and invoice in one transaction', async () => {
+      stubDatabase();
+      const addCredit = mock.method(CreditService, 'addCredit', async () => ({ id: 1 }));
+      const invoiceFor = mock.method(BillingService, 'generateProrationInvoice', async () => ({ id: 'inv-1' }));
+
+      const result = await ProrationService.applyLocalChange(subscription, proration, { customer });
+
+      assert.strictEqual(result.invoice.id, 'inv-1');
+      assert.strictEqual(result.subscription.price, '20.00');
+      assert.strictEqual(addCredit.mock.calls[0].arguments[1], client);
+      assert.strictEqual(invoiceFor.mock.calls[0].arguments[3], client);
+      assert.deepStrictEqual(statements, ['BEGIN', 'UPDATE', 'COMMIT']);
+    });
+
+    it('should leave plan and credit untouched when the invoice fails', async () => {
+      stubDatabase();
+      mock.method(CreditService, 'addCredit', async () => ({ id: 1 }));
+      const recordEntry = mock.method(CreditService, 'recordEntry', async () => ({ id: 2 }));
+      mock.method(BillingService, 'generateProrationInvoice', async () => {
+        throw new Error('Customer c1 is billed in EUR, not USD');
+      });
+
+      await assert.rejects(ProrationService.applyLocalChange(subscription, proration, { customer }), /billed in EUR/);
+
+      assert.deepStrictEqual(statements, ['BEGIN', 'UPDATE', 'ROLLBACK']);
+      assert.strictEqual(recordEntry.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { encrypt, decrypt } from '../utils/secretBox.js';
+
+describe('Secret box', () => {
+  it('should round-trip a secret with a fresh IV each time', () => {
+    const first = encrypt('s3cret');
+    assert.match(first, /^[0-9a-f]{32}:[0-9a-f]+$/);
+    assert.notStrictEqual(encrypt('s3cret'), first);
+    assert.strictEqual(decrypt(first), 's3cret');
+  });
+
+  it('should read values stored before the helpers were shared', () => {
+    const key = crypto.scryptSync(process.env.ENCRYPTION_KEY || 'default-key', 'salt', 32);
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+    const stored = iv.toString('hex') + ':' + cipher.update('tsig-secret', 'utf8', 'hex') + cipher.final('hex');
+
+    assert.strictEqual(decrypt(stored), 'tsig-secret');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * In-memory SFTP server stand-in, covering the requests the SFTP backup
+ * driver makes. Start it on a random port; it accepts one username and
+ * password and keeps files in a Map.
+ */
+
+import crypto from 'crypto';
+import ssh2 from 'ssh2';
+
+const { Server, utils } = ssh2;
+const { STATUS_CODE, OPEN_MODE } = utils.sftp;
+
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+
+export async function startSftpStandIn({ username = 'backup', password = 'secret' } = {}) {
+  const hostKey = utils.generateKeyPairSync('ed25519');
+  const files = new Map();
+  const directories = new Set(['/', '.']);
+  const clients = new Set();
+
+  const server = new Server({ hostKeys: [hostKey.private] }, (client) => {
+    clients.add(client);
+    client.on('close', () => clients.delete(client));
+    client.on('error', () => {});
+
+    client.on('authentication', (ctx) => {
+      if (ctx.method === 'password' && ctx.username === username && ctx.password === password) {
+        return ctx.accept();
+      }
+      ctx.reject(['password']);
+    });
+
+    client.on('ready', () => {
+      client.on('session', (acceptSession) => {
+        acceptSession().on('sftp', (acceptSftp) => {
+          const sftp = acceptSftp();
+          const handles = new Map();
+
+          sftp.on('OPEN', (reqid, filename, flags) => {
+            if (flags & OPEN_MODE.WRITE) {
+              files.set(filename, Buffer.alloc(0));
+            } else if (!files.has(filename)) {
+              return sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+            }
+            const handle = crypto.randomBytes(4);
+            handles.set(handle.toString('hex'), filename);
+            sftp.handle(reqid, handle);
+          });
+
+          sftp.on('WRITE', (reqid, handle, offset, data) => {
+            const filename = handles.get(handle.toString('hex'));
+            const current = files.get(filename);
+            const next = Buffer.alloc(Math.max(current.length, offset + data.length));
+            current.copy(next);
+            data.copy(next, offset);
+            files.set(filename, next);
+            sftp.status(reqid, STATUS_CODE.OK);
+          });
+
+          sftp.on('READ', (reqid, handle, offset, length) => {
+            const body = files.get(handles.get(handle.toString('hex')));
+            if (offset >= body.length) return sftp.status(reqid, STATUS_CODE.EOF);
+            sftp.data(reqid, body.subarray(offset, offset + length));
+          });
+
+          sftp.on('FSTAT', (reqid, handle) => {
+            const body = files.get(handles.get(handle.toString('hex')));
+            sftp.attrs(reqid, { mode: S_IFREG | 0o600, size: body.length, uid: 0, gid: 0, atime: 0, mtime: 0 });
+          });
+
+          sftp.on('CLOSE', (reqid, handle) => {
+            handles.delete(handle.toString('hex'));
+            sftp.status(reqid, STATUS_CODE.OK);
+          });
+
+          sftp.on('MKDIR', (reqid, dir) => {
+            if (directories.has(dir)) return sftp.status(reqid, STATUS_CODE.FAILURE);
+            directories.add(dir);
+            sftp.status(reqid, STATUS_CODE.OK);
+          });
+
+          sftp.on('STAT', (reqid, target) => {
+            if (directories.has(target)) {
+              return sftp.attrs(reqid, { mode: S_IFDIR | 0o755, size: 0, uid: 0, gid: 0, atime: 0, mtime: 0 });
+            }
+            if (!files.has(target)) return sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+            sftp.attrs(reqid, { mode: S_IFREG | 0o600, size: files.get(target).length, uid: 0, gid: 0, atime: 0, mtime: 0 });
+          });
+
+          sftp.on('REMOVE', (reqid, target) => {
+            sftp.status(reqid, files.delete(target) ? STATUS_CODE.OK : STATUS_CODE.NO_SUCH_FILE);
+          });
+        });
+      });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    host: '127.0.0.1',
+    port: server.address().port,
+    username,
+    password,
+    hostKey: hostKey.public,
+    files,
+    directories,
+    async close() {
+      clients.forEach((client) => client.end());
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
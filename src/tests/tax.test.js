@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import TaxService from '../services/TaxService.js';
+import { validateVatNumber } from '../services/vatValidator.js';
+import { parseVatNumber } from '../config/euVat.js';
+import { roundMoney } from '../config/currencies.js';
+
+describe('EU VAT', () => {
+  const items = [
+    { description: 'Hosting', quantity: 1, unitPrice: 100, amount: 100, taxable: true },
+    { description: 'Account credit applied', quantity: 1, unitPrice: -10, amount: -10, taxable: false },
+  ];
+
+  it('should reverse charge validated businesses in another member state', () => {
+    const treatment = TaxService.determineTreatment(
+      { country: 'DE', vat_number: 'DE123456789', vat_status: 'valid' },
+      { sellerCountry: 'IE' }
+    );
+    assert.strictEqual(treatment.treatment, 'reverse_charge');
+    assert.strictEqual(treatment.country, 'DE');
+    assert.match(treatment.note, /Reverse charge/);
+  });
+
+  it('should charge consumers and unverified businesses the VAT of their own country', () => {
+    const consumer = TaxService.determineTreatment({ country: 'fr' }, { sellerCountry: 'IE' });
+    assert.deepStrictEqual([consumer.treatment, consumer.country], ['eu_b2c', 'FR']);
+
+    const unverified = TaxService.determineTreatment(
+      { country: 'DE', vat_number: 'DE123456789', vat_status: 'unavailable' },
+      { sellerCountry: 'IE' }
+    );
+    assert.strictEqual(unverified.treatment, 'eu_b2c');
+
+    const domestic = TaxService.determineTreatment(
+      { country: 'IE', vat_number: 'IE1234567T', vat_status: 'valid' },
+      { sellerCountry: 'IE' }
+    );
+    assert.strictEqual(domestic.treatment, 'domestic');
+
+    const outside = TaxService.determineTreatment({ country: 'US', state: 'CA' }, { sellerCountry: 'IE' });
+    assert.strictEqual(outside.treatment, 'standard');
+  });
+
+  it('should add tax on top of exclusive prices', () => {
+    const taxed = TaxService.applyTax(items, { rate: 0.19, name: 'VAT DE', country: 'DE', currency: 'EUR' });
+    assert.strictEqual(taxed.taxAmount, 19);
+    assert.strictEqual(taxed.subtotal, 90);
+    assert.deepStrictEqual(taxed.taxLines, [{ name: 'VAT DE', country: 'DE', rate: 0.19, taxableAmount: 100, taxAmount: 19 }]);
+  });
+
+  it('should split tax out of inclusive prices without changing what the customer pays', () => {
+    const taxed = TaxService.applyTax(
+      [{ description: 'Hosting', quantity: 1, unitPrice: 9.99, amount: 9.99, taxable: true }],
+      { rate: 0.23, name: 'VAT IE', country: 'IE', pricesIncludeTax: true, currency: 'EUR' }
+    );
+    assert.strictEqual(taxed.items[0].amount, 8.12);
+    assert.strictEqual(taxed.taxAmount, 1.87);
+    assert.strictEqual(roundMoney(taxed.subtotal + taxed.taxAmount, 'EUR'), 9.99);
+  });
+
+  it('should validate VAT numbers offline by format', async () => {
+    assert.deepStrictEqual(parseVatNumber('el 123.456.789'), { country: 'GR', prefix: 'EL', number: '123456789', vatNumber: 'EL123456789' });
+
+    const valid = await validateVatNumber('DE 123 456 789', { validator: 'offline' });
+    assert.strictEqual(valid.status, 'valid');
+    assert.strictEqual(valid.vatNumber, 'DE123456789');
+
+    const invalid = await validateVatNumber('DE12345', { validator: 'offline' });
+    assert.strictEqual(invalid.status, 'invalid');
+    assert.strictEqual((await validateVatNumber('US123456789', { validator: 'offline' })).status, 'invalid');
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { X509Certificate } from 'crypto';
+import { probeTls } from '../utils/tlsProbe.js';
+import { analyzeChain, validateEndpoint, checkEndpoint } from '../services/tlsMonitorService.js';
+import { startTlsStandIn, ROOT_CA, INTERMEDIATE, LEAF, WEAK_SELF_SIGNED } from './tlsStandIn.js';
+
+const codes = (result) => result.issues.map((issue) => issue.code);
+
+describe('TLS certificate analysis', () => {
+  const chain = [new X509Certificate(LEAF), new X509Certificate(INTERMEDIATE)];
+  const expiry = new Date(chain[0].validTo);
+  const daysBefore = (days) => new Date(expiry.getTime() - days * 24 * 60 * 60 * 1000 + 60 * 1000);
+
+  it('should pass a valid certificate for a covered name', () => {
+    const result = analyzeChain(chain, { hostname: 'imap.example.test', now: daysBefore(300) });
+    assert.strictEqual(result.status, 'ok');
+    assert.deepStrictEqual(result.key, { type: 'rsa', bits: 2048 });
+    assert.strictEqual(result.daysRemaining, 299);
+  });
+
+  it('should warn and then go critical as expiry approaches', () => {
+    assert.deepStrictEqual(
+      analyzeChain(chain, { hostname: 'mail.example.test', now: daysBefore(20) }).issues,
+      [{ code: 'expiring', severity: 'warning', message: `Certificate expires in 19 days (${expiry.toISOString().slice(0, 10)})` }]
+    );
+    assert.strictEqual(analyzeChain(chain, { hostname: 'mail.example.test', now: daysBefore(3) }).status, 'critical');
+
+    const expired = analyzeChain(chain, { hostname: 'mail.example.test', now: new Date(expiry.getTime() + 1000) });
+    assert.deepStrictEqual(codes(expired), ['expired']);
+  });
+
+  it('should report hostname mismatch, weak keys and chain problems', () => {
+    assert.deepStrictEqual(codes(analyzeChain(chain, { hostname: 'www.example.test', now: daysBefore(300) })), ['hostname_mismatch']);
+
+    const weak = analyzeChain([new X509Certificate(WEAK_SELF_SIGNED)], {
+      hostname: 'weak.example.test',
+      authorizationError: 'DEPTH_ZERO_SELF_SIGNED_CERT',
+      now: daysBefore(300)
+    });
+    assert.deepStrictEqual(codes(weak), ['weak_key', 'self_signed']);
+
+    const incomplete = analyzeChain(chain.slice(0, 1), {
+      hostname: 'mail.example.test',
+      authorizationError: 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+      now: daysBefore(300)
+    });
+    assert.deepStrictEqual(codes(incomplete), ['incomplete_chain']);
+  });
+
+  it('should validate endpoints and default the port from the protocol', () => {
+    const { values, errors } = validateEndpoint({ host: 'Mail.Example.Test.', protocol: 'SMTP' });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(values.host, 'mail.example.test');
+    assert.strictEqual(values.port, 587);
+
+    const invalid = validateEndpoint({ host: 'not a host', port: 70000, protocol: 'ftp', warn_days: 3, critical_days: 7 });
+    assert.deepStrictEqual(invalid.errors.map((e) => e.field), ['protocol', 'host', 'port', 'warn_days']);
+  });
+});
+
+describe('TLS probe', () => {
+  const servers = {};
+
+  before(async () => {
+    servers.tls = await startTlsStandIn();
+    servers.smtp = await startTlsStandIn({ protocol: 'smtp' });
+    servers.imap = await startTlsStandIn({ protocol: 'imap', chain: [LEAF] });
+  });
+
+  after(async () => {
+    await Promise.all(Object.values(servers).map((server) => server.close()));
+  });
+
+  it('should read a complete chain over implicit TLS', async () => {
+    const probe = await probeTls('127.0.0.1', servers.tls.port, { servername: 'mail.example.test', ca: ROOT_CA });
+    assert.strictEqual(probe.authorized, true);
+    assert.strictEqual(probe.chain[0].subject, 'CN=mail.example.test');
+  });
+
+  it('should upgrade SMTP with STARTTLS before reading the chain', async () => {
+    const probe = await probeTls('127.0.0.1', servers.smtp.port, { protocol: 'smtp', servername: 'mail.example.test', ca: ROOT_CA });
+    assert.strictEqual(probe.authorized, true);
+    assert.ok(probe.chain[0].checkHost('mail.example.test'));
+  });
+
+  it('should spot a server that leaves out its intermediate', async () => {
+    const probe = await probeTls('127.0.0.1', servers.imap.port, { protocol: 'imap', servername: 'imap.example.test', ca: ROOT_CA });
+    assert.strictEqual(probe.authorized, false);
+    assert.strictEqual(probe.authorizationError, 'UNABLE_TO_VERIFY_LEAF_SIGNATURE');
+  });
+
+  it('should only probe the panel network for admin endpoints', async () => {
+    const endpoint = { host: '127.0.0.1', port: servers.tls.port, protocol: 'tls', server_name: 'mail.example.test' };
+
+    const refused = await checkEndpoint({ ...endpoint, owner_role: 'client' }, { ca: ROOT_CA });
+    assert.strictEqual(refused.status, 'error');
+    assert.match(refused.error, /private address/);
+
+    const checked = await checkEndpoint({ ...endpoint, owner_role: 'admin' }, { ca: ROOT_CA });
+    assert.strictEqual(checked.status, 'ok');
+  });
+});
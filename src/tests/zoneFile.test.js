@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseZoneFile, diffZone, renderZoneFile, txtStrings } from '../utils/zoneFile.js';
+
+const ZONE = `
+$ORIGIN example.com.
+$TTL 1h
+@   IN  SOA ns1.example.com. hostmaster.example.com. (
+            2024010101 ; serial
+            1h         ; refresh
+            15m        ; retry
+            1w         ; expire
+            300 )      ; minimum
+    IN  NS  ns1
+    IN  NS  ns2.example.com.
+@       300 IN A     192.0.2.1
+www         IN CNAME @
+mail        IN MX    10 mx.provider.net.
+_sip._tcp   IN SRV   10 60 5060 sip
+@           IN TXT   "v=spf1 include:_spf.provider.net ~all"
+long        IN TXT   ( "first chunk; "
+                       "second \\"quoted\\" chunk" )
+$ORIGIN dev.example.com.
+api     60  IN A     192.0.2.10
+`;
+
+describe('Zone files', () => {
+  it('should parse directives, relative names, multi-line SOA and TXT chunks', () => {
+    const { records, errors } = parseZoneFile(ZONE, { domain: 'example.com' });
+    assert.deepStrictEqual(errors, []);
+
+    const find = (type, name) => records.find((r) => r.type === type && r.name === name);
+
+    assert.strictEqual(find('SOA', '@').content, 'ns1.example.com. hostmaster.example.com. 2024010101 3600 900 604800 300');
+    assert.deepStrictEqual(records.filter((r) => r.type === 'NS').map((r) => r.content), ['ns1.example.com.', 'ns2.example.com.']);
+    assert.strictEqual(find('A', '@').ttl, 300);
+    assert.strictEqual(find('CNAME', 'www').content, 'example.com.');
+    assert.strictEqual(find('CNAME', 'www').ttl, 3600);
+    assert.strictEqual(find('MX', 'mail').priority, 10);
+    assert.strictEqual(find('SRV', '_sip._tcp').content, '60 5060 sip.example.com.');
+    assert.strictEqual(find('TXT', 'long').content, 'first chunk; second "quoted" chunk');
+    assert.strictEqual(find('A', 'api.dev').ttl, 60);
+  });
+
+  it('should report errors with line numbers', () => {
+    const { errors } = parseZoneFile('@ IN A 192.0.2.1\nother.org. IN A 192.0.2.2\n$INCLUDE extra.zone\n', { domain: 'example.com' });
+    assert.deepStrictEqual(errors.map((e) => e.line), [2, 3]);
+    assert.match(errors[0].message, /outside the zone/);
+  });
+
+  it('should diff against stored records and keep the managed SOA and apex NS', () => {
+    const current = [
+      { id: 1, type: 'SOA', name: '@', content: 'ns1.example.com. admin.example.com. 1 3600 1800 1209600 300', ttl: 3600 },
+      { id: 2, type: 'NS', name: '@', content: 'ns1.example.com.', ttl: 3600 },
+      { id: 3, type: 'A', name: 'example.com', content: '192.0.2.1', ttl: 3600 },
+      { id: 4, type: 'A', name: 'old', content: '192.0.2.9', ttl: 3600 },
+      { id: 5, type: 'CNAME', name: 'www', content: 'example.com', ttl: 3600 },
+    ];
+    const { records } = parseZoneFile(ZONE, { domain: 'example.com' });
+
+    const diff = diffZone(current, records, { domain: 'example.com' });
+    assert.deepStrictEqual(diff.remove.map((r) => r.id), [4]);
+    assert.deepStrictEqual(diff.update.map((u) => [u.id, u.to.ttl]), [[3, 300]]);
+    assert.strictEqual(diff.unchanged, 1);
+    assert.strictEqual(diff.skipped.length, 3);
+    assert.ok(diff.add.every((r) => r.type !== 'NS' && r.type !== 'SOA'));
+
+    const merged = diffZone(current, records, { domain: 'example.com', mode: 'merge' });
+    assert.strictEqual(merged.remove.length, 0);
+  });
+
+  it('should export a zone that parses back to the same records', () => {
+    const zone = { domain: 'example.com', default_ttl: 3600, serial: 1700000000000 };
+    const records = [
+      { type: 'SOA', name: '@', content: 'ns1.example.com. admin.example.com. 1 3600 1800 1209600 300', ttl: 3600 },
+      { type: 'MX', name: '@', content: 'mx.example.com', ttl: 3600, priority: 5 },
+      { type: 'TXT', name: 'dkim._domainkey', content: `v=DKIM1; k=rsa; p=${'A'.repeat(400)}`, ttl: 3600 },
+      { type: 'A', name: 'www.example.com', content: '192.0.2.1', ttl: 600 },
+    ];
+
+    const text = renderZoneFile(zone, records);
+    assert.match(text, /1700000000 ; serial/);
+
+    const { records: parsed, errors } = parseZoneFile(text, { domain: 'example.com' });
+    assert.deepStrictEqual(errors, []);
+
+    const diff = diffZone(records.map((r, id) => ({ ...r, id })), parsed, { domain: 'example.com' });
+    assert.strictEqual(diff.add.length + diff.remove.length + diff.update.length, 0);
+    const dkim = parsed.find((r) => r.type === 'TXT').content;
+    assert.ok(txtStrings(dkim).every((chunk) => chunk.length <= 255));
+    assert.strictEqual(txtStrings(dkim).join(''), records[2].content);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Agent signing helpers
+ * Shared by the job queue and agent request authentication. The server agent
+ * carries a mirror of these functions in server-agent/src/signing.js - keep
+ * both in sync.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Serialize a value with sorted object keys so both sides sign identical bytes
+ * (JSONB and JSON parsing do not preserve key order).
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function hmacHex(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+/**
+ * String an agent signs for each request: method, path with query string,
+ * timestamp and a hash of the canonical JSON body (empty body hashes '').
+ */
+export function requestStringToSign({ method, url, timestamp, body }) {
+  const payload = body && Object.keys(body).length > 0 ? canonicalize(body) : '';
+  const bodyHash = crypto.createHash('sha256').update(payload).digest('hex');
+  return [method.toUpperCase(), url, timestamp, bodyHash].join('\n');
+}
+
+export function safeEqualHex(a, b) {
+  const left = Buffer.from(a || '', 'hex');
+  const right = Buffer.from(b || '', 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
@@ -0,0 +1,192 @@
+/**
+ * Customer-held backup encryption
+ * Each customer who opts in gets an X25519 key pair. The panel keeps the
+ * public key and seals every backup object to it, so scheduled backups run
+ * unattended; the private key is stored only wrapped (AES-256-GCM) under a
+ * key derived from the customer's passphrase with scrypt. Without the
+ * passphrase the panel can write backups but not read them.
+ *
+ * Changing the passphrase re-wraps the private key and nothing else, so no
+ * backup has to be re-encrypted.
+ *
+ * Sealed object: "MPK1" | key id (uint32) | ephemeral public key (SPKI DER) |
+ * nonce (12) | tag (16) | ciphertext
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const MAGIC = Buffer.from('MPK1');
+const SPKI_LENGTH = 44; // X25519 SubjectPublicKeyInfo
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 4 + SPKI_LENGTH + NONCE_LENGTH + TAG_LENGTH;
+const HKDF_INFO = Buffer.from('mpanel-backup-seal-v1');
+const scrypt = promisify(crypto.scrypt);
+
+export const DEFAULT_KDF = { N: 2 ** 15, r: 8, p: 1 };
+
+export const MIN_PASSPHRASE_LENGTH = 12;
+
+/**
+ * Passphrase that does not unwrap the key
+ */
+export class InvalidPassphraseError extends Error {
+  constructor() {
+    super('Incorrect backup passphrase');
+    this.name = 'InvalidPassphraseError';
+  }
+}
+
+// On the threadpool: at the default cost a derivation takes long enough to stall every other request
+function deriveKek(passphrase, { salt, N, r, p }) {
+  return scrypt(String(passphrase), Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * New key pair for a customer
+ * @returns {Object} - { publicKey, privateKey } as base64 DER (SPKI / PKCS#8)
+ */
+export function generateKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')
+  };
+}
+
+/**
+ * Wrap a private key under a passphrase
+ * @param {string} privateKey - base64 PKCS#8 DER
+ * @param {string} passphrase
+ * @param {Object} [params] - scrypt cost { N, r, p }
+ * @returns {Promise<Object>} - { wrappedKey, kdf: { salt, N, r, p } }
+ */
+export async function wrapPrivateKey(privateKey, passphrase, params = DEFAULT_KDF) {
+  const kdf = { salt: crypto.randomBytes(16).toString('base64'), ...params };
+  const iv = crypto.randomBytes(NONCE_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKek(passphrase, kdf), iv);
+  const encrypted = Buffer.concat([cipher.update(Buffer.from(privateKey, 'base64')), cipher.final()]);
+
+  return { wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64'), kdf };
+}
+
+/**
+ * Unwrap a private key
+ * @param {string} wrappedKey - From wrapPrivateKey
+ * @param {Object} kdf - From wrapPrivateKey
+ * @param {string} passphrase
+ * @returns {Promise<string>} - base64 PKCS#8 DER
+ * @throws {InvalidPassphraseError}
+ */
+export async function unwrapPrivateKey(wrappedKey, kdf, passphrase) {
+  const data = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', await deriveKek(passphrase, kdf), data.subarray(0, NONCE_LENGTH));
+  decipher.setAuthTag(data.subarray(NONCE_LENGTH, NONCE_LENGTH + TAG_LENGTH));
+
+  try {
+    return Buffer.concat([decipher.update(data.subarray(NONCE_LENGTH + TAG_LENGTH)), decipher.final()]).toString('base64');
+  } catch {
+    throw new InvalidPassphraseError();
+  }
+}
+
+// Both sides derive the same AES key from the X25519 shared secret
+function sealingKey(privateKey, publicKey, ephemeralDer, recipientDer) {
+  const secret = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.concat([ephemeralDer, recipientDer]), HKDF_INFO, 32));
+}
+
+/**
+ * Encrypt data so only the holder of the key id's private key can read it
+ * @param {Buffer} data
+ * @param {Object} key - { id, publicKey (base64 SPKI DER) }
+ * @returns {Buffer}
+ */
+export function seal(data, { id, publicKey }) {
+  const recipientDer = Buffer.from(publicKey, 'base64');
+  const recipient = crypto.createPublicKey({ key: recipientDer, format: 'der', type: 'spki' });
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralDer = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+
+  const nonce = crypto.randomBytes(NONCE_LENGTH);
+  const keyId = Buffer.alloc(4);
+  keyId.writeUInt32BE(id);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealingKey(ephemeral.privateKey, recipient, ephemeralDer, recipientDer), nonce);
+  cipher.setAAD(keyId);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return Buffer.concat([MAGIC, keyId, ephemeralDer, nonce, cipher.getAuthTag(), encrypted]);
+}
+
+/**
+ * Whether data was produced by seal
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+export function isSealed(data) {
+  return data.length >= HEADER_LENGTH && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Key id a sealed object was sealed to
+ * @param {Buffer} data
+ * @returns {number}
+ */
+export function sealedKeyId(data) {
+  if (!isSealed(data)) throw new Error('Data is not a sealed backup object');
+  return data.readUInt32BE(MAGIC.length);
+}
+
+/**
+ * Decrypt a sealed object
+ * @param {Buffer} data - From seal
+ * @param {Object} key - { publicKey, privateKey } (base64 DER) of the key it was sealed to
+ * @returns {Buffer}
+ */
+export function open(data, { publicKey, privateKey }) {
+  if (!isSealed(data)) throw new Error('Data is not a sealed backup object');
+
+  let offset = MAGIC.length;
+  const keyId = data.subarray(offset, offset += 4);
+  const ephemeralDer = data.subarray(offset, offset += SPKI_LENGTH);
+  const nonce = data.subarray(offset, offset += NONCE_LENGTH);
+  const tag = data.subarray(offset, offset += TAG_LENGTH);
+
+  const recipient = crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+  const ephemeral = crypto.createPublicKey({ key: ephemeralDer, format: 'der', type: 'spki' });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', sealingKey(recipient, ephemeral, ephemeralDer, Buffer.from(publicKey, 'base64')), nonce);
+  decipher.setAAD(keyId);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(data.subarray(offset)), decipher.final()]);
+  } catch {
+    throw new Error('Sealed backup object failed authentication');
+  }
+}
+
+/**
+ * Chunk id for an encrypted snapshot. Keyed, so chunk names reveal nothing
+ * about content to anyone without the customer's id key.
+ * @param {Buffer} idKey
+ * @param {Buffer} data
+ * @returns {string}
+ */
+export function keyedChunkId(idKey, data) {
+  return crypto.createHmac('sha256', idKey).update(data).digest('hex');
+}
+
+export default {
+  DEFAULT_KDF,
+  MIN_PASSPHRASE_LENGTH,
+  InvalidPassphraseError,
+  generateKeyPair,
+  wrapPrivateKey,
+  unwrapPrivateKey,
+  seal,
+  isSealed,
+  sealedKeyId,
+  open,
+  keyedChunkId
+};
@@ -0,0 +1,122 @@
+/**
+ * Content-defined chunking
+ * Splits a byte stream where its content says to (a gear rolling hash, as in
+ * FastCDC) rather than at fixed offsets, so an insertion early in a file only
+ * changes the chunks around it and everything after lines up again. Chunk
+ * boundaries depend on nothing but the bytes, which is what lets snapshots of
+ * the same site share chunks from one night to the next.
+ */
+
+import { createHash } from 'crypto';
+
+export const DEFAULT_CHUNKING = {
+  minSize: 256 * 1024,
+  avgSize: 1024 * 1024,
+  maxSize: 4 * 1024 * 1024
+};
+
+// Fixed per-byte values for the rolling hash. Derived rather than random so
+// every process (and every release) cuts the same data at the same places.
+const GEAR = Array.from({ length: 256 }, (_, i) => createHash('sha256').update(`mpanel-gear-${i}`).digest().readUInt32BE(0));
+
+// Mask of the top `bits` bits; the top bits of the gear hash cover the last 32 bytes
+const topBits = (bits) => (bits >= 32 ? 0xffffffff : ((2 ** bits - 1) * 2 ** (32 - bits)) >>> 0);
+
+/**
+ * Check chunking sizes and work out the hash masks
+ * @param {Object} [options] - { minSize, avgSize, maxSize }
+ * @returns {Object} - Sizes plus maskSmall/maskLarge
+ */
+export function chunkingParams(options = {}) {
+  const { minSize, avgSize, maxSize } = { ...DEFAULT_CHUNKING, ...options };
+  if (!(minSize > 0 && minSize < avgSize && avgSize < maxSize)) {
+    throw new Error('Chunk sizes must satisfy 0 < minSize < avgSize < maxSize');
+  }
+
+  // Normalized chunking: harder to cut before the average size, easier after,
+  // which keeps most chunks close to it
+  const bits = Math.round(Math.log2(avgSize));
+  return { minSize, avgSize, maxSize, maskSmall: topBits(bits + 1), maskLarge: topBits(bits - 1) };
+}
+
+/**
+ * Length of the next chunk at the start of a buffer
+ * @param {Buffer} data
+ * @param {Object} params - From chunkingParams
+ * @returns {number}
+ */
+export function cutPoint(data, { minSize, avgSize, maxSize, maskSmall, maskLarge }) {
+  if (data.length <= minSize) return data.length;
+
+  const end = Math.min(data.length, maxSize);
+  const normal = Math.min(end, avgSize);
+  let hash = 0;
+  let i = minSize;
+
+  for (; i < normal; i++) {
+    hash = ((hash << 1) + GEAR[data[i]]) >>> 0;
+    if ((hash & maskSmall) === 0) return i + 1;
+  }
+  for (; i < end; i++) {
+    hash = ((hash << 1) + GEAR[data[i]]) >>> 0;
+    if ((hash & maskLarge) === 0) return i + 1;
+  }
+  return end;
+}
+
+/**
+ * Split a stream into content-defined chunks
+ * @param {AsyncIterable<Buffer>} stream - Readable stream or any async iterable of buffers
+ * @param {Object} [options] - { minSize, avgSize, maxSize }
+ * @yields {Buffer}
+ */
+export async function* chunkStream(stream, options) {
+  const params = chunkingParams(options);
+  let parts = [];
+  let buffered = 0;
+
+  for await (const data of stream) {
+    parts.push(data);
+    buffered += data.length;
+    if (buffered < params.maxSize) continue;
+
+    // Only cut once a whole maximum-sized chunk is in hand, so a boundary
+    // never depends on how the stream happened to be read
+    let pending = Buffer.concat(parts, buffered);
+    while (pending.length >= params.maxSize) {
+      const cut = cutPoint(pending, params);
+      yield pending.subarray(0, cut);
+      pending = pending.subarray(cut);
+    }
+    parts = pending.length ? [pending] : [];
+    buffered = pending.length;
+  }
+
+  let pending = Buffer.concat(parts, buffered);
+  while (pending.length > 0) {
+    const cut = cutPoint(pending, params);
+    yield pending.subarray(0, cut);
+    pending = pending.subarray(cut);
+  }
+}
+
+/**
+ * Split a buffer into content-defined chunks
+ * @param {Buffer} data
+ * @param {Object} [options] - { minSize, avgSize, maxSize }
+ * @returns {Buffer[]}
+ */
+export function chunkBuffer(data, options) {
+  const params = chunkingParams(options);
+  const chunks = [];
+  let pending = data;
+
+  while (pending.length > 0) {
+    const cut = cutPoint(pending, params);
+    chunks.push(pending.subarray(0, cut));
+    pending = pending.subarray(cut);
+  }
+  return chunks;
+}
+
+export default { DEFAULT_CHUNKING, chunkingParams, cutPoint, chunkStream, chunkBuffer };
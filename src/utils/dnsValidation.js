@@ -0,0 +1,275 @@
+/**
+ * DNS record validation
+ * Per-type syntax checks and the zone-level rules records must satisfy
+ * together. Used by every path that writes dns_records, so records accept
+ * either column naming: priority or prio, relative or fully qualified names.
+ */
+
+import { isIPv4, isIPv6 } from 'net';
+import { relativeName, txtStrings } from './zoneFile.js';
+
+export const SUPPORTED_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'SRV', 'PTR', 'CAA', 'SPF'];
+
+const CAA_TAGS = ['issue', 'issuewild', 'iodef'];
+
+// RFC 2181: TTLs are unsigned 31-bit values
+const MAX_TTL = 2147483647;
+
+const LABEL = /^(?!-)[a-z0-9_-]{1,63}(?<!-)$/i;
+
+// Suffixes registrants get their own names under. A zone for one of these,
+// or for a bare TLD, would answer for everyone below it. Not the full Public
+// Suffix List; DNS_PUBLIC_SUFFIXES adds more.
+const PUBLIC_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk', 'sch.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au',
+  'co.nz', 'net.nz', 'org.nz', 'govt.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+  'com.br', 'net.br', 'org.br', 'com.cn', 'net.cn', 'org.cn', 'com.hk', 'com.sg', 'com.tw',
+  'co.in', 'net.in', 'org.in', 'co.za', 'org.za', 'com.mx', 'com.ar', 'com.tr', 'co.il', 'co.kr',
+  'eu.org', 'us.com', 'uk.com',
+  'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev', 'workers.dev',
+  'blogspot.com', 'appspot.com', 'azurewebsites.net', 'cloudfront.net', 'amazonaws.com', 'duckdns.org', 'no-ip.org',
+]);
+
+/**
+ * Lower-case a zone domain and drop its trailing dot
+ * @param {string} domain
+ * @returns {string}
+ */
+export function normalizeZoneDomain(domain) {
+  return String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Whether a domain is a TLD or a public suffix, which no one zone may own
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export function isPublicSuffix(domain) {
+  const name = normalizeZoneDomain(domain);
+  if (!name.includes('.')) return true;
+
+  const configured = (process.env.DNS_PUBLIC_SUFFIXES || '').split(',').map(normalizeZoneDomain).filter(Boolean);
+  return PUBLIC_SUFFIXES.has(name) || configured.includes(name);
+}
+
+const isUint16 = (value) => /^\d+$/.test(String(value)) && parseInt(value, 10) <= 65535;
+
+const recordPriority = (record) => record.priority ?? record.prio ?? null;
+
+function isHostname(value, { allowRoot = false } = {}) {
+  if (allowRoot && value === '.') return true;
+  if (value === '@') return true;
+  const name = String(value || '').replace(/\.$/, '');
+  if (name === '' || name.length > 253 || isIPv4(name) || isIPv6(name)) return false;
+  return name.split('.').every((label) => LABEL.test(label));
+}
+
+function isRecordName(name, domain) {
+  const relative = relativeName(name, domain);
+  if (relative === '@') return true;
+
+  const fqdnLength = relative.length + domain.replace(/\.$/, '').length + 1;
+  const labels = relative.split('.');
+  return fqdnLength <= 253 && labels.every((label, i) => (i === 0 && label === '*') || LABEL.test(label));
+}
+
+/**
+ * Check one record's syntax
+ * @param {Object} record - { name, type, content, ttl, priority|prio }
+ * @param {Object} options
+ * @param {string} options.domain - Zone domain, for resolving relative names
+ * @returns {Object[]} - Errors as { field, message }; empty when the record is valid
+ */
+export function validateRecord(record, { domain }) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  const type = String(record.type || '').toUpperCase();
+  const content = String(record.content ?? '').trim();
+  const priority = recordPriority(record);
+
+  if (!SUPPORTED_TYPES.includes(type)) {
+    fail('type', `Record type must be one of: ${SUPPORTED_TYPES.join(', ')}`);
+    return errors;
+  }
+  if (!record.name || !isRecordName(record.name, domain)) {
+    fail('name', `"${record.name ?? ''}" is not a valid record name`);
+  } else if (String(record.name).endsWith('.') && relativeName(record.name, domain) === String(record.name).toLowerCase().replace(/\.$/, '')) {
+    fail('name', `${record.name} is outside the zone ${domain}`);
+  }
+  if (record.ttl !== undefined && record.ttl !== null
+    && !(/^\d+$/.test(String(record.ttl)) && parseInt(record.ttl, 10) <= MAX_TTL)) {
+    fail('ttl', 'TTL must be a whole number of seconds');
+  }
+  if (content === '') {
+    fail('content', 'Content is required');
+    return errors;
+  }
+
+  switch (type) {
+    case 'A':
+      if (!isIPv4(content)) fail('content', `${type} record needs an IPv4 address`);
+      break;
+    case 'AAAA':
+      if (!isIPv6(content)) fail('content', `${type} record needs an IPv6 address`);
+      break;
+    case 'CNAME':
+    case 'NS':
+    case 'PTR':
+      if (!isHostname(content)) fail('content', `${type} record needs a host name, not "${content}"`);
+      break;
+    case 'MX':
+      if (priority === null || priority === '' || !isUint16(priority)) {
+        fail('priority', 'MX record needs a priority between 0 and 65535');
+      }
+      // RFC 7505 null MX is the only MX target that is not a host name
+      if (!isHostname(content, { allowRoot: true })) {
+        fail('content', /^\d+\s/.test(content)
+          ? 'Put the MX priority in the priority field, not in the content'
+          : `MX record needs a mail server host name, not "${content}"`);
+      }
+      break;
+    case 'SRV': {
+      if (!/^_[a-z0-9-]+\._(tcp|udp|tls|sctp)(\.|$)/i.test(relativeName(record.name || '', domain))) {
+        fail('name', 'SRV record name must start with _service._protocol');
+      }
+      if (priority === null || priority === '' || !isUint16(priority)) {
+        fail('priority', 'SRV record needs a priority between 0 and 65535');
+      }
+      const parts = content.split(/\s+/);
+      if (parts.length !== 3 || !isUint16(parts[0]) || !isUint16(parts[1]) || !isHostname(parts[2], { allowRoot: true })) {
+        fail('content', 'SRV content must be "weight port target"');
+      }
+      break;
+    }
+    case 'TXT':
+    case 'SPF': {
+      const strings = txtStrings(content);
+      if (!strings) {
+        fail('content', 'TXT content has unbalanced quotes');
+      } else if (strings.some((value) => value.length > 255)) {
+        fail('content', 'TXT strings are limited to 255 characters; split longer values into quoted strings of up to 255 characters');
+      }
+      break;
+    }
+    case 'CAA': {
+      const match = content.match(/^(\d+)\s+([a-z0-9]+)\s+"(.*)"$/i);
+      if (!match || parseInt(match[1], 10) > 255) {
+        fail('content', 'CAA content must be flags tag "value", e.g. 0 issue "letsencrypt.org"');
+      } else if (!CAA_TAGS.includes(match[2].toLowerCase())) {
+        fail('content', `CAA tag must be one of: ${CAA_TAGS.join(', ')}`);
+      } else if (match[2].toLowerCase() === 'iodef' && !/^(mailto:|https?:\/\/)/i.test(match[3])) {
+        fail('content', 'CAA iodef value must be a mailto: or https:// URL');
+      }
+      break;
+    }
+    case 'SOA': {
+      const parts = content.split(/\s+/);
+      if (parts.length !== 7 || !isHostname(parts[0]) || !isHostname(parts[1]) || !parts.slice(2).every((part) => /^\d+$/.test(part))) {
+        fail('content', 'SOA content must be "mname rname serial refresh retry expire minimum"');
+      }
+      break;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Rules that only show when records are looked at together
+ * @param {Object[]} records - All records of the zone
+ * @param {Object} options
+ * @param {string} options.domain - Zone domain
+ * @returns {Object[]} - Problems as { name, message, records }
+ */
+export function validateRecordSet(records, { domain }) {
+  const problems = [];
+  const byName = new Map();
+
+  for (const record of records) {
+    const name = relativeName(record.name, domain);
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(record);
+  }
+
+  for (const [name, group] of byName) {
+    const cnames = group.filter((r) => String(r.type).toUpperCase() === 'CNAME');
+    if (cnames.length === 0) continue;
+
+    if (name === '@') {
+      problems.push({ name, message: 'A CNAME cannot be used at the zone apex; use an A/AAAA record instead', records: cnames });
+    } else if (cnames.length > 1) {
+      problems.push({ name, message: `${name} has more than one CNAME record`, records: cnames });
+    }
+    const others = group.filter((r) => String(r.type).toUpperCase() !== 'CNAME');
+    if (name !== '@' && others.length > 0) {
+      problems.push({ name, message: `${name} has a CNAME record, so it cannot have other records`, records: group });
+    }
+  }
+
+  const seen = new Map();
+  for (const record of records) {
+    const key = [
+      String(record.type).toUpperCase(),
+      relativeName(record.name, domain),
+      recordPriority(record) ?? '',
+      String(record.content ?? '').trim().toLowerCase()
+    ].join('|');
+    if (seen.has(key)) {
+      problems.push({
+        name: relativeName(record.name, domain),
+        message: `Duplicate ${String(record.type).toUpperCase()} record for ${relativeName(record.name, domain)}`,
+        records: [seen.get(key), record]
+      });
+    } else {
+      seen.set(key, record);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate records about to be written to a zone. Zone-level problems are
+ * only reported when they involve one of the new records, so an existing
+ * mistake elsewhere in the zone does not block unrelated edits.
+ * @param {Object[]} existing - Current records of the zone
+ * @param {Object[]} changes - Records to create, or to update when they carry the id of an existing record
+ * @param {Object} options
+ * @param {string} options.domain - Zone domain
+ * @param {number[]} options.removing - Ids of records that are deleted in the same change
+ * @returns {Object[]} - Errors as { index, field, message }; empty when the change is valid
+ */
+export function validateRecordChanges(existing, changes, { domain, removing = [] }) {
+  const errors = [];
+
+  changes.forEach((record, index) => {
+    for (const error of validateRecord(record, { domain })) {
+      errors.push({ index, ...error });
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  const replaced = new Set([...removing, ...changes.map((r) => r.id).filter((id) => id !== undefined)].map(String));
+  const candidate = [...existing.filter((r) => !replaced.has(String(r.id))), ...changes];
+
+  for (const problem of validateRecordSet(candidate, { domain })) {
+    const index = changes.findIndex((record) => problem.records.includes(record));
+    if (index !== -1) {
+      errors.push({ index, field: 'name', message: problem.message });
+    }
+  }
+
+  return errors;
+}
+
+export default {
+  SUPPORTED_TYPES,
+  normalizeZoneDomain,
+  isPublicSuffix,
+  validateRecord,
+  validateRecordSet,
+  validateRecordChanges,
+};
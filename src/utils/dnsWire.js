@@ -0,0 +1,384 @@
+/**
+ * DNS wire format
+ * Just enough of RFC 1035 to ask a specific server a question and read the
+ * whole answer, including the authority and additional sections that the
+ * system resolver hides. Needed to follow delegations and check glue.
+ */
+
+import dgram from 'dgram';
+import net from 'net';
+import crypto from 'crypto';
+
+export const TYPES = {
+  A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, SRV: 33, DNAME: 39, OPT: 41, CAA: 257
+};
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, code]) => [code, name]));
+
+export const RCODES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED'];
+
+const FLAG_QR = 0x8000;
+const FLAG_AA = 0x0400;
+const FLAG_TC = 0x0200;
+const FLAG_RD = 0x0100;
+const FLAG_RA = 0x0080;
+
+// Large enough for most answers without fragmenting (DNS flag day 2020)
+const EDNS_UDP_SIZE = 1232;
+
+const quote = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const absolute = (name) => (name.endsWith('.') ? name : `${name}.`);
+
+/**
+ * Split "ip", "ip:port" or "[ipv6]:port" into host and port
+ * @param {string} endpoint
+ * @param {number} defaultPort
+ * @returns {{ host: string, port: number }}
+ */
+export function splitEndpoint(endpoint, defaultPort = 53) {
+  const text = String(endpoint).trim();
+  const bracketed = text.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) return { host: bracketed[1], port: parseInt(bracketed[2] || defaultPort, 10) };
+  if (net.isIP(text)) return { host: text, port: defaultPort };
+
+  const [host, port] = text.split(':');
+  return { host, port: parseInt(port || defaultPort, 10) };
+}
+
+function formatIPv6(buffer) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(buffer.readUInt16BE(i).toString(16));
+
+  // Collapse the longest run of two or more zero groups
+  let best = { start: -1, length: 0 };
+  for (let i = 0; i < 8;) {
+    let j = i;
+    while (j < 8 && groups[j] === '0') j++;
+    if (j - i > best.length && j - i > 1) best = { start: i, length: j - i };
+    i = j === i ? i + 1 : j;
+  }
+  if (best.start === -1) return groups.join(':');
+  return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`;
+}
+
+function parseIPv6(text) {
+  const [head, tail = null] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = tail === null ? left : [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+  const buffer = Buffer.alloc(16);
+  groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16), i * 2));
+  return buffer;
+}
+
+function encodeName(name) {
+  const labels = absolute(name).split('.').filter(Boolean);
+  const parts = labels.map((label) => {
+    const bytes = Buffer.from(label);
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Read a possibly compressed name
+ * @returns {{ name: string, offset: number }} - offset after the name in the original position
+ */
+function decodeName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+
+  for (let jumps = 0; jumps < 128; jumps++) {
+    const length = buffer[position];
+    if (length === undefined) throw new Error('Truncated name');
+    if (length === 0) {
+      return { name: labels.length > 0 ? `${labels.join('.')}.` : '.', offset: end ?? position + 1 };
+    }
+    if ((length & 0xC0) === 0xC0) {
+      end = end ?? position + 2;
+      position = buffer.readUInt16BE(position) & 0x3FFF;
+    } else {
+      labels.push(buffer.toString('utf8', position + 1, position + 1 + length).toLowerCase());
+      position += length + 1;
+    }
+  }
+  throw new Error('Name compression loop');
+}
+
+function characterStrings(buffer, start, end) {
+  const strings = [];
+  for (let position = start; position < end;) {
+    const length = buffer[position];
+    strings.push(buffer.toString('utf8', position + 1, position + 1 + length));
+    position += length + 1;
+  }
+  return strings;
+}
+
+/**
+ * Record data in presentation format, as a zone file would have it
+ */
+function decodeRdata(type, buffer, start, length) {
+  const end = start + length;
+  const name = (offset) => decodeName(buffer, offset);
+
+  switch (TYPE_NAMES[type]) {
+    case 'A':
+      return [...buffer.subarray(start, end)].join('.');
+    case 'AAAA':
+      return formatIPv6(buffer.subarray(start, end));
+    case 'NS':
+    case 'CNAME':
+    case 'PTR':
+    case 'DNAME':
+      return name(start).name;
+    case 'MX':
+      return `${buffer.readUInt16BE(start)} ${name(start + 2).name}`;
+    case 'TXT':
+      return characterStrings(buffer, start, end).map(quote).join(' ');
+    case 'SRV':
+      return `${buffer.readUInt16BE(start)} ${buffer.readUInt16BE(start + 2)} ${buffer.readUInt16BE(start + 4)} ${name(start + 6).name}`;
+    case 'CAA': {
+      const tagLength = buffer[start + 1];
+      const tag = buffer.toString('utf8', start + 2, start + 2 + tagLength);
+      return `${buffer[start]} ${tag} ${quote(buffer.toString('utf8', start + 2 + tagLength, end))}`;
+    }
+    case 'SOA': {
+      const mname = name(start);
+      const rname = name(mname.offset);
+      const numbers = [0, 4, 8, 12, 16].map((i) => buffer.readUInt32BE(rname.offset + i));
+      return `${mname.name} ${rname.name} ${numbers.join(' ')}`;
+    }
+    default:
+      return `\\# ${length} ${buffer.toString('hex', start, end)}`;
+  }
+}
+
+function encodeRdata(type, data) {
+  const fields = String(data).trim().split(/\s+/);
+
+  switch (type) {
+    case 'A':
+      return Buffer.from(fields[0].split('.').map(Number));
+    case 'AAAA':
+      return parseIPv6(fields[0]);
+    case 'NS':
+    case 'CNAME':
+    case 'PTR':
+    case 'DNAME':
+      return encodeName(fields[0]);
+    case 'MX': {
+      const preference = Buffer.alloc(2);
+      preference.writeUInt16BE(parseInt(fields[0], 10));
+      return Buffer.concat([preference, encodeName(fields[1])]);
+    }
+    case 'TXT': {
+      const strings = [...String(data).matchAll(/"((?:[^"\\]|\\.)*)"/g)].map((m) => m[1].replace(/\\(.)/g, '$1'));
+      return Buffer.concat((strings.length > 0 ? strings : [String(data)]).map((text) => {
+        const bytes = Buffer.from(text);
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+      }));
+    }
+    case 'SOA': {
+      const numbers = Buffer.alloc(20);
+      fields.slice(2, 7).forEach((value, i) => numbers.writeUInt32BE(Number(value) >>> 0, i * 4));
+      return Buffer.concat([encodeName(fields[0]), encodeName(fields[1]), numbers]);
+    }
+    default:
+      throw new Error(`Cannot encode ${type} records`);
+  }
+}
+
+function encodeRecord({ name, type, ttl = 300, data }) {
+  const rdata = encodeRdata(type, data);
+  const fixed = Buffer.alloc(10);
+  fixed.writeUInt16BE(TYPES[type], 0);
+  fixed.writeUInt16BE(1, 2);
+  fixed.writeUInt32BE(ttl, 4);
+  fixed.writeUInt16BE(rdata.length, 8);
+  return Buffer.concat([encodeName(name), fixed, rdata]);
+}
+
+/**
+ * Build a DNS message. Names are not compressed.
+ * @param {Object} message
+ * @param {number} message.id
+ * @param {Object} message.flags - { qr, aa, tc, rd, ra, rcode }
+ * @param {Object[]} message.questions - [{ name, type }]
+ * @param {Object[]} message.answers - [{ name, type, ttl, data }], data in presentation format
+ * @param {Object[]} message.authority
+ * @param {Object[]} message.additional
+ * @param {boolean} message.edns - Add an OPT record advertising a larger UDP size
+ * @returns {Buffer}
+ */
+export function encodeMessage({ id = 0, flags = {}, questions = [], answers = [], authority = [], additional = [], edns = false }) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(
+    (flags.qr ? FLAG_QR : 0) | (flags.aa ? FLAG_AA : 0) | (flags.tc ? FLAG_TC : 0)
+      | (flags.rd ? FLAG_RD : 0) | (flags.ra ? FLAG_RA : 0) | (RCODES.indexOf(flags.rcode || 'NOERROR') & 0x0F),
+    2
+  );
+  header.writeUInt16BE(questions.length, 4);
+  header.writeUInt16BE(answers.length, 6);
+  header.writeUInt16BE(authority.length, 8);
+  header.writeUInt16BE(additional.length + (edns ? 1 : 0), 10);
+
+  const question = ({ name, type }) => {
+    const fixed = Buffer.alloc(4);
+    fixed.writeUInt16BE(TYPES[type], 0);
+    fixed.writeUInt16BE(1, 2);
+    return Buffer.concat([encodeName(name), fixed]);
+  };
+
+  const parts = [header, ...questions.map(question), ...[...answers, ...authority, ...additional].map(encodeRecord)];
+  if (edns) {
+    const opt = Buffer.alloc(11);
+    opt.writeUInt16BE(TYPES.OPT, 1);
+    opt.writeUInt16BE(EDNS_UDP_SIZE, 3);
+    parts.push(opt);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse a DNS message
+ * @param {Buffer} buffer
+ * @returns {Object} - { id, flags: { qr, aa, tc, rd, ra }, rcode, questions, answers, authority, additional };
+ *   records as { name, type, ttl, data } with data in presentation format
+ */
+export function decodeMessage(buffer) {
+  if (buffer.length < 12) throw new Error('Message too short');
+
+  const flagBits = buffer.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map((offset) => buffer.readUInt16BE(offset));
+  let offset = 12;
+
+  const questions = [];
+  for (let i = 0; i < counts[0]; i++) {
+    const { name, offset: next } = decodeName(buffer, offset);
+    questions.push({ name, type: TYPE_NAMES[buffer.readUInt16BE(next)] || buffer.readUInt16BE(next) });
+    offset = next + 4;
+  }
+
+  const section = (count) => {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const { name, offset: next } = decodeName(buffer, offset);
+      const type = buffer.readUInt16BE(next);
+      const ttl = buffer.readUInt32BE(next + 4);
+      const length = buffer.readUInt16BE(next + 8);
+      offset = next + 10 + length;
+      if (offset > buffer.length) throw new Error('Truncated record');
+      if (type === TYPES.OPT) continue;
+      records.push({ name, type: TYPE_NAMES[type] || `TYPE${type}`, ttl, data: decodeRdata(type, buffer, next + 10, length) });
+    }
+    return records;
+  };
+
+  return {
+    id: buffer.readUInt16BE(0),
+    flags: {
+      qr: Boolean(flagBits & FLAG_QR),
+      aa: Boolean(flagBits & FLAG_AA),
+      tc: Boolean(flagBits & FLAG_TC),
+      rd: Boolean(flagBits & FLAG_RD),
+      ra: Boolean(flagBits & FLAG_RA)
+    },
+    rcode: RCODES[flagBits & 0x0F] || `RCODE${flagBits & 0x0F}`,
+    questions,
+    answers: section(counts[1]),
+    authority: section(counts[2]),
+    additional: section(counts[3])
+  };
+}
+
+function timeoutError(server, timeoutMs) {
+  return Object.assign(new Error(`${server} did not answer within ${timeoutMs}ms`), { code: 'ETIMEOUT' });
+}
+
+function exchangeUdp(host, port, query, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIP(host) === 6 ? 'udp6' : 'udp4');
+    const id = query.readUInt16BE(0);
+    const timer = setTimeout(() => {
+      socket.close();
+      reject(timeoutError(host, timeoutMs));
+    }, timeoutMs);
+
+    socket.on('message', (message) => {
+      // Ignore stray answers to other queries
+      if (message.length < 2 || message.readUInt16BE(0) !== id) return;
+      clearTimeout(timer);
+      socket.close();
+      resolve(message);
+    });
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      socket.close();
+      reject(error);
+    });
+    socket.send(query, port, host);
+  });
+}
+
+function exchangeTcp(host, port, query, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    const chunks = [];
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy();
+      reject(timeoutError(host, timeoutMs));
+    });
+
+    socket.on('connect', () => {
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(query.length);
+      socket.write(Buffer.concat([length, query]));
+    });
+    socket.on('data', (chunk) => {
+      chunks.push(chunk);
+      const data = Buffer.concat(chunks);
+      if (data.length >= 2 && data.length >= data.readUInt16BE(0) + 2) {
+        socket.destroy();
+        resolve(data.subarray(2, data.readUInt16BE(0) + 2));
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+/**
+ * Ask one server one question. Truncated UDP answers are retried over TCP.
+ * @param {string} server - "ip", "ip:port" or "[ipv6]:port"
+ * @param {string} name - Name to look up
+ * @param {string} type - Record type, e.g. 'A'
+ * @param {Object} options
+ * @param {boolean} options.recursion - Set RD; false to ask an authoritative server about its own data
+ * @param {number} options.timeoutMs - Per attempt (default: 3000)
+ * @param {number} options.port - Port when server has none (default: 53)
+ * @returns {Promise<Object>} - As decodeMessage
+ */
+export async function queryDns(server, name, type, { recursion = true, timeoutMs = 3000, port = 53 } = {}) {
+  const { host, port: serverPort } = splitEndpoint(server, port);
+  const query = encodeMessage({
+    id: crypto.randomInt(0, 0x10000),
+    flags: { rd: recursion },
+    questions: [{ name, type }],
+    edns: true
+  });
+
+  const answer = decodeMessage(await exchangeUdp(host, serverPort, query, timeoutMs));
+  return answer.flags.tc ? decodeMessage(await exchangeTcp(host, serverPort, query, timeoutMs)) : answer;
+}
+
+export default {
+  TYPES,
+  RCODES,
+  splitEndpoint,
+  encodeMessage,
+  decodeMessage,
+  queryDns,
+};
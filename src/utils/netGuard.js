@@ -0,0 +1,96 @@
+/**
+ * Network guard
+ * Keeps connections that customers point us at (backup destinations, TLS
+ * monitors) off the panel's own network. A name is checked when it is
+ * resolved for the connection itself, so a DNS answer that changes between a
+ * check and the connect (rebinding) cannot slip through.
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  // NAT64 and 6to4 wrap an IPv4 address, private ones included
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an address is on a private, loopback, link-local or otherwise
+ * internal network
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  const mapped = family === 6 && address.toLowerCase().startsWith('::ffff:') ? address.slice(7) : null;
+  if (mapped && net.isIPv4(mapped)) return blockedAddresses.check(mapped, 'ipv4');
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a host and refuse it if any of its addresses is internal
+ * @param {string} host - Name or IP address ([brackets] allowed)
+ * @returns {Promise<Object[]>} - [{ address, family }], all public
+ */
+export async function resolvePublicHost(host) {
+  const bare = host.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(bare)
+    ? [{ address: bare, family: net.isIP(bare) }]
+    : await dns.promises.lookup(bare, { all: true });
+
+  for (const { address } of addresses) {
+    if (isBlockedAddress(address)) {
+      throw new Error(`${host} resolves to a private address (${address})`);
+    }
+  }
+  return addresses;
+}
+
+/**
+ * Refuse hosts on the panel's own network
+ * @param {string} host
+ */
+export async function assertPublicHost(host) {
+  await resolvePublicHost(host);
+}
+
+/**
+ * The address to connect to for a host, checked. Connect to this rather
+ * than the name so it is not resolved again.
+ * @param {string} host
+ * @returns {Promise<string>}
+ */
+export async function publicAddress(host) {
+  const [first] = await resolvePublicHost(host);
+  return first.address;
+}
+
+/**
+ * dns.lookup replacement for net/tls/http agents that fails on internal
+ * addresses. IP literals never reach a lookup; check those with
+ * assertPublicHost.
+ */
+export function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  resolvePublicHost(hostname).then((addresses) => {
+    const wanted = options.family ? addresses.filter((entry) => entry.family === options.family) : addresses;
+    if (wanted.length === 0) {
+      const error = new Error(`${hostname} has no IPv${options.family} address`);
+      error.code = 'ENOTFOUND';
+      return callback(error);
+    }
+    if (options.all) return callback(null, wanted);
+    return callback(null, wanted[0].address, wanted[0].family);
+  }, (error) => callback(error));
+}
+
+export default { isBlockedAddress, resolvePublicHost, assertPublicHost, publicAddress, publicLookup };
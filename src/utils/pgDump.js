@@ -0,0 +1,161 @@
+/**
+ * pg_dump plain-format parsing
+ * A plain dump is a run of objects, each introduced by a header comment
+ * ("-- Name: users; Type: TABLE; Schema: public; Owner: app"). That header
+ * is enough to list the tables in a dump and to cut out everything one table
+ * needs - its definition, data, sequences, defaults, constraints, indexes and
+ * triggers - so it can be restored on its own.
+ */
+
+const HEADER = /^-- (Data for )?Name: (.*); Type: (.*); Schema: (.*); Owner: .*$/;
+
+const SIMPLE_IDENTIFIER = /^[a-z_][a-z0-9_$]*$/;
+
+/**
+ * Quote an identifier the way pg_dump writes it
+ * @param {string} name
+ * @returns {string}
+ */
+export function quoteIdent(name) {
+  return SIMPLE_IDENTIFIER.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a dump into its preamble (session settings) and objects
+ * @param {string} sql
+ * @returns {Object} - { preamble, objects: [{ name, type, schema, body }] }
+ */
+export function parseDump(sql) {
+  const lines = sql.split('\n');
+  const objects = [];
+  const preamble = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const header = lines[i - 1] === '--' && lines[i + 1] === '--' ? lines[i].match(HEADER) : null;
+    if (header) {
+      // The "--" line above the header belongs to the new object
+      (current ? current.lines : preamble).pop();
+      current = {
+        name: header[2],
+        type: header[1] ? 'TABLE DATA' : header[3],
+        schema: header[4] === '-' ? null : header[4],
+        lines: ['--', lines[i]]
+      };
+      objects.push(current);
+      continue;
+    }
+    (current ? current.lines : preamble).push(lines[i]);
+  }
+
+  return {
+    preamble: preamble.join('\n'),
+    objects: objects.map(({ lines: body, ...object }) => ({ ...object, body: body.join('\n') }))
+  };
+}
+
+/**
+ * Tables in a dump with the number of rows dumped for each
+ * @param {string} sql
+ * @returns {Object[]} - [{ schema, name, rows }]
+ */
+export function listDumpTables(sql) {
+  const { objects } = parseDump(sql);
+  const rows = new Map();
+
+  for (const object of objects) {
+    if (object.type !== 'TABLE DATA') continue;
+    const copy = object.body.split('\n');
+    const start = copy.findIndex((line) => /^COPY .* FROM stdin;$/.test(line));
+    const end = copy.indexOf('\\.', start);
+    rows.set(`${object.schema}.${object.name}`, start === -1 || end === -1 ? 0 : end - start - 1);
+  }
+
+  return objects
+    .filter((object) => object.type === 'TABLE')
+    .map((object) => ({ schema: object.schema, name: object.name, rows: rows.get(`${object.schema}.${object.name}`) || 0 }));
+}
+
+/**
+ * SQL that restores one table from a dump, in dump order
+ * @param {string} sql - The whole dump
+ * @param {string} table - Table name
+ * @param {Object} [options]
+ * @param {string} [options.schema] - Schema the table is in (default: public)
+ * @param {string} [options.targetSchema] - Restore into this schema instead,
+ *   next to the live table; foreign keys are left out since what they point
+ *   at is not there
+ * @param {boolean} [options.replace] - Drop the live table first (default: false)
+ * @returns {string|null} - null when the dump has no such table
+ */
+export function extractTable(sql, table, { schema = 'public', targetSchema = null, replace = false } = {}) {
+  const { preamble, objects } = parseDump(sql);
+  if (!objects.some((object) => object.type === 'TABLE' && object.schema === schema && object.name === table)) {
+    return null;
+  }
+
+  const qualified = `${quoteIdent(schema)}.${quoteIdent(table)}`;
+  const ownsPrefix = `${table} `;
+
+  // Sequences that belong to the table (serial and identity columns)
+  const ownedBy = new RegExp(`OWNED BY ${escapeRegExp(qualified)}\\.`);
+  const sequences = new Set(
+    objects
+      .filter((object) => object.type === 'SEQUENCE OWNED BY' && ownedBy.test(object.body))
+      .map((object) => object.name)
+  );
+
+  const selected = objects.filter((object) => {
+    if (object.schema !== schema) return false;
+    switch (object.type) {
+      case 'TABLE':
+      case 'TABLE DATA':
+        return object.name === table;
+      case 'SEQUENCE':
+      case 'SEQUENCE OWNED BY':
+      case 'SEQUENCE SET':
+        return sequences.has(object.name);
+      case 'DEFAULT':
+      case 'CONSTRAINT':
+      case 'TRIGGER':
+        return object.name.startsWith(ownsPrefix);
+      case 'FK CONSTRAINT':
+        return !targetSchema && object.name.startsWith(ownsPrefix);
+      case 'INDEX':
+        return new RegExp(` ON (ONLY )?${escapeRegExp(qualified)} `).test(object.body);
+      case 'COMMENT':
+        return object.name === `TABLE ${table}` || object.name.startsWith(`COLUMN ${table}.`);
+      default:
+        return false;
+    }
+  });
+
+  let body = selected.map((object) => object.body).join('\n');
+
+  if (targetSchema) {
+    // Point the table and its sequences at the new schema, wherever they are named
+    for (const name of [table, ...sequences]) {
+      const reference = new RegExp(`${escapeRegExp(`${quoteIdent(schema)}.${quoteIdent(name)}`)}(?![A-Za-z0-9_$"])`, 'g');
+      body = body.replace(reference, `${quoteIdent(targetSchema)}.${quoteIdent(name)}`);
+    }
+  }
+
+  // Make room: a side-by-side copy replaces an earlier copy from the same backup
+  const setup = [];
+  const dropIn = targetSchema || (replace ? schema : null);
+  if (targetSchema) {
+    setup.push(`CREATE SCHEMA IF NOT EXISTS ${quoteIdent(targetSchema)};`);
+  }
+  if (dropIn) {
+    setup.push(`DROP TABLE IF EXISTS ${quoteIdent(dropIn)}.${quoteIdent(table)};`);
+    for (const sequence of sequences) {
+      setup.push(`DROP SEQUENCE IF EXISTS ${quoteIdent(dropIn)}.${quoteIdent(sequence)};`);
+    }
+  }
+
+  return [preamble.trimEnd(), '', ...setup, '', body.trim(), ''].join('\n');
+}
+
+export default { quoteIdent, parseDump, listDumpTables, extractTable };
@@ -0,0 +1,38 @@
+/**
+ * Secrets at rest
+ * AES-256-CBC under a key derived from ENCRYPTION_KEY, stored as
+ * "<iv hex>:<ciphertext hex>". Values are already stored in this format, so
+ * it must not change without a migration.
+ */
+
+import crypto from 'crypto';
+
+let encryptionKey = null;
+
+// Derived once - scrypt is slow and agent request verification decrypts on every call
+function getEncryptionKey() {
+  if (!encryptionKey) {
+    encryptionKey = crypto.scryptSync(process.env.ENCRYPTION_KEY || 'default-key', 'salt', 32);
+  }
+  return encryptionKey;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function encrypt(text) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', getEncryptionKey(), iv);
+  return `${iv.toString('hex')}:${cipher.update(text, 'utf8', 'hex')}${cipher.final('hex')}`;
+}
+
+/**
+ * @param {string} text - A value from encrypt()
+ * @returns {string}
+ */
+export function decrypt(text) {
+  const [ivHex, encrypted] = text.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+  return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+}
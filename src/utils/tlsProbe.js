@@ -0,0 +1,154 @@
+/**
+ * TLS probe
+ * Connects to a host:port, upgrading with STARTTLS first for SMTP, IMAP and
+ * POP3, and returns the certificate chain exactly as the server presents it
+ * along with whether it verified. Verification failures are reported, not
+ * thrown, since an untrusted certificate is what we are looking for.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { X509Certificate } from 'crypto';
+
+export const PROTOCOLS = ['tls', 'smtp', 'imap', 'pop3'];
+
+export const DEFAULT_PORTS = { tls: 443, smtp: 587, imap: 143, pop3: 110 };
+
+// Plain-text exchange before the handshake: what to send, and the reply that ends each step
+const STARTTLS_DIALOGUES = {
+  smtp: [
+    { until: /^220 / },
+    { send: 'EHLO mpanel.monitor', until: /^250 / },
+    { send: 'STARTTLS', until: /^220 / }
+  ],
+  imap: [
+    { until: /^\* OK/i },
+    { send: 'a1 STARTTLS', until: /^a1 OK/i }
+  ],
+  pop3: [
+    { until: /^\+OK/ },
+    { send: 'STLS', until: /^\+OK/ }
+  ]
+};
+
+// Final reply lines that mean the server refused
+const STARTTLS_REFUSED = /^([45]\d\d |a1 (NO|BAD)|-ERR)/i;
+
+/**
+ * Run a STARTTLS dialogue on a connected plain socket
+ */
+function startTls(socket, protocol) {
+  const steps = [...STARTTLS_DIALOGUES[protocol]];
+  let buffer = '';
+
+  return new Promise((resolve, reject) => {
+    const next = () => {
+      const step = steps[0];
+      if (step?.send) socket.write(`${step.send}\r\n`);
+    };
+
+    const onData = (chunk) => {
+      buffer += chunk.toString('latin1');
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+
+        if (STARTTLS_REFUSED.test(line)) {
+          socket.off('data', onData);
+          return reject(new Error(`${protocol.toUpperCase()} server refused STARTTLS: ${line}`));
+        }
+        if (steps[0].until.test(line)) {
+          steps.shift();
+          if (steps.length === 0) {
+            socket.off('data', onData);
+            return resolve();
+          }
+          next();
+        }
+      }
+    };
+
+    socket.on('data', onData);
+    next();
+  });
+}
+
+/**
+ * Certificates presented by the server, leaf first, as X509Certificate
+ */
+function peerChain(socket) {
+  const chain = [];
+  const seen = new Set();
+  let cert = socket.getPeerCertificate(true);
+
+  while (cert?.raw && !seen.has(cert.fingerprint256)) {
+    seen.add(cert.fingerprint256);
+    chain.push(new X509Certificate(cert.raw));
+    cert = cert.issuerCertificate;
+  }
+  return chain;
+}
+
+/**
+ * Connect and read the served certificate chain
+ * @param {string} host
+ * @param {number} port
+ * @param {Object} [options]
+ * @param {string} [options.protocol] - tls, or smtp/imap/pop3 to STARTTLS first (default: tls)
+ * @param {string} [options.servername] - SNI name (default: host)
+ * @param {number} [options.timeoutMs] - Whole probe (default: 10000)
+ * @param {string|string[]} [options.ca] - Trust these CAs instead of the system store
+ * @returns {Promise<Object>} - { chain, authorized, authorizationError, protocol, cipher }
+ */
+export function probeTls(host, port, { protocol = 'tls', servername = host, timeoutMs = 10000, ca } = {}) {
+  return new Promise((resolve, reject) => {
+    const sockets = [];
+    const fail = (error) => {
+      clearTimeout(timer);
+      sockets.reverse().forEach((s) => s.destroy());
+      reject(error);
+    };
+    const timer = setTimeout(() => fail(new Error(`Timed out after ${timeoutMs}ms talking to ${host}:${port}`)), timeoutMs);
+
+    const handshake = (socket) => {
+      const secure = tls.connect({
+        ...(socket ? { socket } : { host, port }),
+        servername: net.isIP(servername) ? undefined : servername,
+        rejectUnauthorized: false,
+        ...(ca && { ca })
+      });
+      sockets.push(secure);
+      secure.on('error', fail);
+      secure.once('secureConnect', () => {
+        clearTimeout(timer);
+        const result = {
+          chain: peerChain(secure),
+          authorized: secure.authorized,
+          authorizationError: secure.authorizationError ? String(secure.authorizationError) : null,
+          protocol: secure.getProtocol(),
+          cipher: secure.getCipher()?.name || null
+        };
+        // Closes a STARTTLS plain socket too; destroying that one from under TLS crashes Node 20
+        secure.destroy();
+        resolve(result);
+      });
+    };
+
+    if (protocol === 'tls') {
+      return handshake();
+    }
+    if (!STARTTLS_DIALOGUES[protocol]) {
+      return fail(new Error(`Unknown protocol ${protocol}`));
+    }
+
+    const plain = net.connect({ host, port });
+    sockets.push(plain);
+    plain.on('error', fail);
+    plain.once('connect', () => {
+      startTls(plain, protocol).then(() => handshake(plain), fail);
+    });
+  });
+}
+
+export default { PROTOCOLS, DEFAULT_PORTS, probeTls };
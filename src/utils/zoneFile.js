@@ -0,0 +1,541 @@
+/**
+ * RFC 1035 zone file parsing and rendering
+ * Records use the dns_records shape: { name, type, content, ttl, priority },
+ * with names relative to the zone ('@' for the apex) and host names in
+ * content fully qualified with a trailing dot.
+ */
+
+const CLASSES = ['IN', 'CH', 'HS', 'CS'];
+
+// Record types whose data is a single host name
+const HOST_TYPES = ['CNAME', 'NS', 'PTR', 'DNAME'];
+
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Longest character-string a TXT record can hold
+const TXT_CHUNK = 255;
+
+const isTtl = (value) => /^\d+$/.test(value) || /^(\d+[smhdw])+$/i.test(value);
+
+/**
+ * Parse a BIND TTL such as 3600, 1h or 1h30m into seconds
+ * @param {string} value - TTL text
+ * @returns {number|null} - Seconds, or null when the value is not a TTL
+ */
+export function parseTtl(value) {
+  if (!value || !isTtl(value)) return null;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+  let seconds = 0;
+  for (const [, amount, unit] of value.toLowerCase().matchAll(/(\d+)([smhdw])/g)) {
+    seconds += parseInt(amount, 10) * TTL_UNITS[unit];
+  }
+  return seconds;
+}
+
+const decodeString = (value) =>
+  value.replace(/\\(\d{3}|.)/g, (match, escaped) =>
+    escaped.length === 3 ? String.fromCharCode(parseInt(escaped, 10)) : escaped);
+
+const encodeString = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * The character-strings of TXT content. Content is either one plain string
+ * or a sequence of quoted strings, which is how values longer than 255
+ * characters are stored.
+ * @param {string} content - Stored TXT content
+ * @returns {string[]|null} - Decoded strings, or null when the quoting is broken
+ */
+export function txtStrings(content) {
+  const value = String(content ?? '').trim();
+  if (!value.startsWith('"')) return [value];
+
+  const strings = [];
+  const pattern = /\s*"((?:[^"\\]|\\.)*)"/gy;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    strings.push(decodeString(match[1]));
+    if (pattern.lastIndex === value.length) return strings;
+  }
+  return null;
+}
+
+const withDot = (name) => (name.endsWith('.') ? name : `${name}.`);
+
+/**
+ * Make a name absolute, resolving '@' and relative names against origin
+ */
+function absoluteName(name, origin) {
+  if (name === '@') return origin;
+  if (name.endsWith('.')) return name.toLowerCase();
+  return `${name}.${origin}`.toLowerCase();
+}
+
+/**
+ * Name of a record relative to the zone apex, '@' for the apex itself.
+ * Accepts relative names, names with or without a trailing dot and fully
+ * qualified names, so records stored either way compare equal.
+ * @param {string} name - Record name
+ * @param {string} domain - Zone domain
+ * @returns {string} - Relative name
+ */
+export function relativeName(name, domain) {
+  const zone = domain.toLowerCase().replace(/\.$/, '');
+  const value = String(name || '@').toLowerCase().replace(/\.$/, '');
+
+  if (value === '@' || value === '' || value === zone) return '@';
+  if (value.endsWith(`.${zone}`)) return value.slice(0, -(zone.length + 1));
+  return value;
+}
+
+/**
+ * Host name in stored form: lower case and fully qualified. Names without a
+ * dot are taken as relative to the zone.
+ */
+export function storedHost(host, domain) {
+  const value = host.toLowerCase();
+  if (value === '@') return withDot(domain.toLowerCase());
+  if (value.endsWith('.')) return value;
+  return value.includes('.') ? `${value}.` : `${value}.${domain.toLowerCase()}.`;
+}
+
+/**
+ * Split zone file text into entries of tokens, joining parenthesised
+ * continuation lines and dropping comments
+ */
+function tokenize(text) {
+  const entries = [];
+  const errors = [];
+  let tokens = [];
+  let token = null;
+  let quoted = null;
+  let depth = 0;
+  let line = 1;
+  let entryLine = 1;
+  let lineStart = true;
+  let inheritsOwner = false;
+
+  const flushToken = () => {
+    if (token !== null) {
+      tokens.push({ value: token, quoted: false });
+      token = null;
+    }
+  };
+  const flushEntry = () => {
+    flushToken();
+    if (tokens.length > 0) {
+      entries.push({ tokens, inheritsOwner, line: entryLine });
+    }
+    tokens = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted !== null) {
+      if (ch === '\\') {
+        quoted += ch + (text[i + 1] ?? '');
+        i++;
+      } else if (ch === '"') {
+        tokens.push({ value: quoted, quoted: true });
+        quoted = null;
+      } else {
+        if (ch === '\n') line++;
+        quoted += ch;
+      }
+      continue;
+    }
+
+    if (ch === '\n') {
+      line++;
+      if (depth === 0) {
+        flushEntry();
+        lineStart = true;
+      } else {
+        flushToken();
+      }
+      continue;
+    }
+
+    if (lineStart && depth === 0) {
+      lineStart = false;
+      inheritsOwner = ch === ' ' || ch === '\t';
+      entryLine = line;
+    }
+
+    if (ch === ';') {
+      while (i + 1 < text.length && text[i + 1] !== '\n') i++;
+    } else if (ch === '"') {
+      flushToken();
+      quoted = '';
+    } else if (ch === '(') {
+      flushToken();
+      depth++;
+    } else if (ch === ')') {
+      flushToken();
+      if (depth === 0) {
+        errors.push({ line, message: 'Unexpected ")"' });
+      } else {
+        depth--;
+      }
+    } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+      flushToken();
+    } else if (ch === '\\') {
+      token = (token ?? '') + ch + (text[i + 1] ?? '');
+      i++;
+    } else {
+      token = (token ?? '') + ch;
+    }
+  }
+
+  if (quoted !== null) errors.push({ line: entryLine, message: 'Unterminated quoted string' });
+  if (depth > 0) errors.push({ line: entryLine, message: 'Unbalanced parentheses' });
+  flushEntry();
+
+  return { entries, errors };
+}
+
+/**
+ * Store short values as plain text and longer ones as their quoted strings
+ */
+function txtContent(strings) {
+  if (strings.some((value) => value.length > TXT_CHUNK)) {
+    throw new Error(`TXT strings are limited to ${TXT_CHUNK} characters`);
+  }
+  const joined = strings.join('');
+  return joined.length <= TXT_CHUNK ? joined : strings.map(encodeString).join(' ');
+}
+
+/**
+ * Turn a record's data tokens into stored content and priority
+ */
+function buildRecordData(type, rdata, origin, domain) {
+  const need = (count, layout) => {
+    if (rdata.length < count) {
+      throw new Error(`${type} record needs ${layout}`);
+    }
+  };
+  const host = (tokenValue) => storedHost(absoluteName(tokenValue, origin), domain);
+  const integer = (tokenValue, field) => {
+    if (!/^\d+$/.test(tokenValue)) throw new Error(`${type} ${field} must be a number`);
+    return parseInt(tokenValue, 10);
+  };
+
+  if (HOST_TYPES.includes(type)) {
+    need(1, 'a target name');
+    return { content: host(rdata[0].value), priority: null };
+  }
+
+  switch (type) {
+    case 'A':
+    case 'AAAA':
+      need(1, 'an address');
+      return { content: rdata[0].value.toLowerCase(), priority: null };
+    case 'MX':
+      need(2, 'a preference and an exchange');
+      return { content: host(rdata[1].value), priority: integer(rdata[0].value, 'preference') };
+    case 'SRV':
+      need(4, 'priority, weight, port and target');
+      return {
+        content: `${integer(rdata[1].value, 'weight')} ${integer(rdata[2].value, 'port')} ${host(rdata[3].value)}`,
+        priority: integer(rdata[0].value, 'priority')
+      };
+    case 'TXT':
+    case 'SPF':
+      need(1, 'at least one string');
+      return { content: txtContent(rdata.map((t) => decodeString(t.value))), priority: null };
+    case 'CAA':
+      need(3, 'flags, tag and value');
+      return { content: `${integer(rdata[0].value, 'flags')} ${rdata[1].value.toLowerCase()} ${encodeString(decodeString(rdata[2].value))}`, priority: null };
+    case 'SOA': {
+      need(7, 'mname, rname, serial, refresh, retry, expire and minimum');
+      const timers = rdata.slice(3, 7).map((t) => {
+        const seconds = parseTtl(t.value);
+        if (seconds === null) throw new Error(`SOA timer "${t.value}" is not a number`);
+        return seconds;
+      });
+      return {
+        content: [host(rdata[0].value), host(rdata[1].value), integer(rdata[2].value, 'serial'), ...timers].join(' '),
+        priority: null
+      };
+    }
+    default:
+      need(1, 'data');
+      return { content: rdata.map((t) => (t.quoted ? encodeString(decodeString(t.value)) : t.value)).join(' '), priority: null };
+  }
+}
+
+/**
+ * Parse a zone file
+ * @param {string} text - Zone file contents
+ * @param {Object} options
+ * @param {string} options.domain - Zone the file is for; the default $ORIGIN
+ * @param {number} options.defaultTtl - TTL for records when the file sets none (default: 3600)
+ * @returns {{ records: Object[], errors: Object[] }} - Parsed records and per-line errors
+ */
+export function parseZoneFile(text, { domain, defaultTtl = 3600 }) {
+  const zone = withDot(domain.toLowerCase());
+  const { entries, errors } = tokenize(String(text || ''));
+  const records = [];
+
+  let origin = zone;
+  let fileTtl = null;
+  let lastOwner = null;
+  let lastTtl = null;
+
+  for (const entry of entries) {
+    const { tokens, line } = entry;
+
+    try {
+      const first = tokens[0].value;
+
+      if (!entry.inheritsOwner && first.startsWith('$')) {
+        const directive = first.toUpperCase();
+        if (directive === '$ORIGIN') {
+          if (!tokens[1]) throw new Error('$ORIGIN needs a name');
+          origin = absoluteName(tokens[1].value, origin);
+        } else if (directive === '$TTL') {
+          fileTtl = parseTtl(tokens[1]?.value);
+          if (fileTtl === null) throw new Error('$TTL needs a time value');
+        } else {
+          throw new Error(`${directive} is not supported`);
+        }
+        continue;
+      }
+
+      let index = 0;
+      let owner = lastOwner;
+      if (!entry.inheritsOwner) {
+        owner = absoluteName(first, origin);
+        index = 1;
+      }
+      if (!owner) throw new Error('Record has no owner name');
+
+      // TTL and class may come in either order and are both optional
+      let ttl = null;
+      let recordClass = null;
+      for (let k = 0; k < 2 && tokens[index] && !tokens[index].quoted; k++) {
+        const value = tokens[index].value;
+        if (ttl === null && parseTtl(value) !== null) {
+          ttl = parseTtl(value);
+        } else if (recordClass === null && CLASSES.includes(value.toUpperCase())) {
+          recordClass = value.toUpperCase();
+        } else {
+          break;
+        }
+        index++;
+      }
+
+      if (recordClass && recordClass !== 'IN') throw new Error(`Class ${recordClass} is not supported`);
+      if (!tokens[index]) throw new Error('Record has no type');
+
+      const type = tokens[index].value.toUpperCase();
+      if (!/^[A-Z][A-Z0-9]*$/.test(type)) throw new Error(`Unknown record type "${tokens[index].value}"`);
+
+      lastOwner = owner;
+      if (ttl !== null) lastTtl = ttl;
+
+      if (owner !== zone && !owner.endsWith(`.${zone}`)) {
+        throw new Error(`${owner} is outside the zone ${zone}`);
+      }
+
+      const { content, priority } = buildRecordData(type, tokens.slice(index + 1), origin, domain);
+      records.push({
+        name: relativeName(owner, domain),
+        type,
+        content,
+        ttl: ttl ?? fileTtl ?? lastTtl ?? defaultTtl,
+        priority,
+        line
+      });
+    } catch (error) {
+      errors.push({ line, message: error.message });
+    }
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { records, errors };
+}
+
+/**
+ * Content in a form where equal records compare equal
+ */
+function comparableContent(record, domain) {
+  const type = record.type.toUpperCase();
+  const content = String(record.content).trim();
+
+  if (HOST_TYPES.includes(type) || type === 'MX') return storedHost(content, domain);
+  if (type === 'SRV') {
+    const [weight, port, target] = content.split(/\s+/);
+    return `${weight} ${port} ${target ? storedHost(target, domain) : ''}`;
+  }
+  if (type === 'SOA') {
+    // The serial is ours to manage, so it never counts as a change
+    const parts = content.split(/\s+/);
+    return [storedHost(parts[0] || '', domain), storedHost(parts[1] || '', domain), ...parts.slice(3)].join(' ');
+  }
+  if (type === 'TXT' || type === 'SPF') return (txtStrings(content) || [content]).join('');
+  return content.replace(/\s+/g, ' ').toLowerCase();
+}
+
+const recordKey = (record, domain) => [
+  record.type.toUpperCase(),
+  relativeName(record.name, domain),
+  ['MX', 'SRV'].includes(record.type.toUpperCase()) ? (record.priority ?? record.prio ?? 0) : '',
+  comparableContent(record, domain)
+].join('|');
+
+/**
+ * Compare imported records with a zone's current records
+ * @param {Object[]} current - Rows from dns_records
+ * @param {Object[]} incoming - Records from parseZoneFile
+ * @param {Object} options
+ * @param {string} options.domain - Zone domain
+ * @param {string} options.mode - 'replace' removes records missing from the file, 'merge' keeps them
+ * @param {boolean} options.includeApexNs - Take apex NS records from the file (default: keep ours)
+ * @returns {{ add: Object[], remove: Object[], update: Object[], unchanged: number, skipped: Object[] }}
+ */
+export function diffZone(current, incoming, { domain, mode = 'replace', includeApexNs = false }) {
+  const managed = (record) => record.type.toUpperCase() === 'SOA'
+    || (!includeApexNs && record.type.toUpperCase() === 'NS' && relativeName(record.name, domain) === '@');
+
+  const skipped = incoming
+    .filter(managed)
+    .map((record) => ({
+      ...record,
+      reason: record.type === 'SOA' ? 'The SOA record is managed by the panel' : 'Apex NS records are kept unless includeApexNs is set'
+    }));
+
+  // Match identical records first; whatever is left over is added or removed
+  const pool = new Map();
+  for (const record of current.filter((r) => !managed(r))) {
+    const key = recordKey(record, domain);
+    if (!pool.has(key)) pool.set(key, []);
+    pool.get(key).push(record);
+  }
+
+  const add = [];
+  const update = [];
+  let unchanged = 0;
+
+  for (const record of incoming.filter((r) => !managed(r))) {
+    const matches = pool.get(recordKey(record, domain));
+    const existing = matches?.shift();
+    if (!existing) {
+      add.push(record);
+    } else if (parseInt(existing.ttl, 10) !== record.ttl) {
+      update.push({ id: existing.id, from: existing, to: record });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const leftover = [...pool.values()].flat();
+  return {
+    add,
+    remove: mode === 'replace' ? leftover : [],
+    update,
+    unchanged: unchanged + (mode === 'replace' ? 0 : leftover.length),
+    skipped
+  };
+}
+
+/**
+ * SOA serial for the wire. Zones edited in the panel use a millisecond
+ * timestamp as their serial, which does not fit the 32-bit SOA field, so
+ * those are sent as seconds.
+ * @param {number|string} serial - dns_zones.serial
+ * @returns {number} - Serial between 1 and 2^32 - 1
+ */
+export function soaSerial(serial) {
+  const value = Number(serial) || 1;
+  return value > 0xFFFFFFFF ? Math.floor(value / 1000) % 0x100000000 : value;
+}
+
+/**
+ * Record data in presentation format, as written in zone files and accepted
+ * by nameserver APIs: host names qualified, priorities in front, TXT quoted
+ * @param {Object} record - Row from dns_records
+ * @param {string} domain - Zone domain
+ * @returns {string} - Record data
+ */
+export function recordData(record, domain) {
+  const type = record.type.toUpperCase();
+  const content = String(record.content).trim();
+
+  if (HOST_TYPES.includes(type)) return storedHost(content, domain);
+  if (type === 'MX') return `${record.priority ?? record.prio ?? 0} ${storedHost(content, domain)}`;
+  if (type === 'SRV') {
+    const [weight, port, target] = content.split(/\s+/);
+    return `${record.priority ?? record.prio ?? 0} ${weight} ${port} ${storedHost(target || '.', domain)}`;
+  }
+  if (type === 'TXT' || type === 'SPF') {
+    // Zone files need quoted strings of at most 255 characters
+    const chunks = [];
+    for (const text of txtStrings(content) || [content]) {
+      for (let i = 0; i < text.length; i += TXT_CHUNK) chunks.push(encodeString(text.slice(i, i + TXT_CHUNK)));
+    }
+    return chunks.length > 0 ? chunks.join(' ') : '""';
+  }
+  return content;
+}
+
+/**
+ * Render a zone as a zone file
+ * @param {Object} zone - Row from dns_zones
+ * @param {Object[]} records - Rows from dns_records
+ * @returns {string} - Zone file text
+ */
+export function renderZoneFile(zone, records) {
+  const domain = (zone.domain || zone.name).toLowerCase().replace(/\.$/, '');
+  const defaultTtl = zone.default_ttl || 3600;
+  const serial = soaSerial(zone.serial);
+
+  const soaRecord = records.find((r) => r.type.toUpperCase() === 'SOA');
+  const [mname, rname, , refresh = 3600, retry = 1800, expire = 1209600, minimum = 300] = soaRecord
+    ? String(soaRecord.content).trim().split(/\s+/)
+    : [`ns1.${domain}.`, `admin.${domain}.`];
+
+  const lines = [
+    `; Zone file for ${domain}`,
+    `; Exported ${new Date().toISOString()}`,
+    `$ORIGIN ${domain}.`,
+    `$TTL ${defaultTtl}`,
+    `@\t${soaRecord?.ttl || defaultTtl}\tIN\tSOA\t${storedHost(mname, domain)} ${storedHost(rname, domain)} (`,
+    `\t\t\t\t${serial} ; serial`,
+    `\t\t\t\t${refresh} ; refresh`,
+    `\t\t\t\t${retry} ; retry`,
+    `\t\t\t\t${expire} ; expire`,
+    `\t\t\t\t${minimum} ) ; minimum`,
+    ''
+  ];
+
+  const order = ['NS', 'A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA'];
+  const rank = (type) => (order.includes(type) ? order.indexOf(type) : order.length);
+  const sorted = records
+    .filter((r) => r.type.toUpperCase() !== 'SOA')
+    .sort((a, b) => {
+      const nameA = relativeName(a.name, domain);
+      const nameB = relativeName(b.name, domain);
+      if (nameA !== nameB) return nameA === '@' ? -1 : nameB === '@' ? 1 : nameA.localeCompare(nameB);
+      return rank(a.type.toUpperCase()) - rank(b.type.toUpperCase()) || (a.priority ?? a.prio ?? 0) - (b.priority ?? b.prio ?? 0);
+    });
+
+  for (const record of sorted) {
+    lines.push(`${relativeName(record.name, domain)}\t${record.ttl || defaultTtl}\tIN\t${record.type.toUpperCase()}\t${recordData(record, domain)}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+export default {
+  parseTtl,
+  parseZoneFile,
+  diffZone,
+  renderZoneFile,
+  relativeName,
+  txtStrings,
+  storedHost,
+  recordData,
+  soaSerial,
+};
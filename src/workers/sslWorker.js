@@ -1,7 +1,8 @@
 import 'dotenv/config';
 import { Worker } from 'bullmq';
 import pg from 'pg';
-import acme from 'acme-client';
+import { issueCertificate } from '../services/acmeService.js';
+import { deployCertificate } from '../services/certificateDeployService.js';
 
 const { Client } = pg;
 
@@ -16,10 +17,30 @@ const pgClient = new Client({
 });
 pgClient.connect().catch(console.error);
 
-async function issueLetsEncrypt(domainId) {
+// http-01 tokens go to acme_challenges, served from /.well-known/acme-challenge/
+const http01 = (domainId) => ({
+  create: async (challenge, keyAuthorization) => {
+    await pgClient.query(
+      `INSERT INTO acme_challenges (domain_id, token, key_authorization, created_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (token) DO UPDATE SET key_authorization = $3`,
+      [domainId, challenge.token, keyAuthorization]
+    );
+    console.log(`[SSL Worker] HTTP-01 challenge created: .well-known/acme-challenge/${challenge.token}`);
+  },
+  remove: async (challenge) => {
+    await pgClient.query(
+      `DELETE FROM acme_challenges WHERE token = $1`,
+      [challenge.token]
+    );
+    console.log(`[SSL Worker] HTTP-01 challenge removed: ${challenge.token}`);
+  },
+});
+
+async function issueLetsEncrypt(domainId, { domains, challenge } = {}) {
   // 1) Load domain + SSL row from DB
   const { rows } = await pgClient.query(
-    `SELECT d.domain_name, s.id as ssl_id
+    `SELECT d.domain_name, s.id as ssl_id, s.domains, s.challenge_type
      FROM domains d
      JOIN ssl_certificates s ON s.domain_id = d.id
      WHERE d.id = $1
@@ -30,76 +51,55 @@ async function issueLetsEncrypt(domainId) {
   if (rows.length === 0) throw new Error('Domain/SSL record not found');
 
   const { domain_name, ssl_id } = rows[0];
+  const names = domains || rows[0].domains || [domain_name];
 
-  console.log(`[SSL Worker] Issuing certificate for ${domain_name}...`);
-
-  // 2) Configure ACME client
-  const client = new acme.Client({
-    directoryUrl: acme.directory.letsencrypt.staging, // switch to .production later
-    accountKey: await acme.forge.createPrivateKey(),
-  });
-
-  const [key, csr] = await acme.forge.createCsr({
-    commonName: domain_name,
-  });
+  console.log(`[SSL Worker] Issuing certificate for ${names.join(', ')}...`);
 
-  // 3) Issue certificate with HTTP-01 challenge
-  const cert = await client.auto({
-    csr,
-    email: 'admin@migrahosting.com',
-    termsOfServiceAgreed: true,
-    challengeCreateFn: async (authz, challenge, keyAuthorization) => {
-      if (challenge.type === 'http-01') {
-        // Place challenge file in web root
-        const challengePath = `.well-known/acme-challenge/${challenge.token}`;
-        await pgClient.query(
-          `INSERT INTO acme_challenges (domain_id, token, key_authorization, created_at)
-           VALUES ($1, $2, $3, NOW())
-           ON CONFLICT (token) DO UPDATE SET key_authorization = $3`,
-          [domainId, challenge.token, keyAuthorization]
-        );
-        console.log(`[SSL Worker] HTTP-01 challenge created: ${challengePath}`);
-        // Your web server should serve this from /.well-known/acme-challenge/
-      } else if (challenge.type === 'dns-01') {
-        // Create DNS TXT record _acme-challenge.domain.com
-        console.log(`[SSL Worker] DNS-01 challenge - add TXT record: ${keyAuthorization}`);
-        // TODO: Integrate with your DNS provider API
-      }
-    },
-    challengeRemoveFn: async (authz, challenge, keyAuthorization) => {
-      if (challenge.type === 'http-01') {
-        await pgClient.query(
-          `DELETE FROM acme_challenges WHERE token = $1`,
-          [challenge.token]
-        );
-        console.log(`[SSL Worker] HTTP-01 challenge removed: ${challenge.token}`);
-      } else if (challenge.type === 'dns-01') {
-        console.log(`[SSL Worker] DNS-01 challenge - remove TXT record`);
-        // TODO: Remove DNS TXT record via your DNS provider API
-      }
-    },
+  // 2) Order from the configured ACME directory, wildcards over dns-01
+  const issued = await issueCertificate(names, {
+    challenge: challenge || rows[0].challenge_type,
+    http01: http01(domainId),
   });
 
-  // 4) Save cert + key in DB
+  // 3) Save cert + key in DB
   await pgClient.query(
     `UPDATE ssl_certificates
      SET status = 'issued',
          certificate_pem = $1,
          private_key_pem = $2,
-         issued_at = NOW()
-     WHERE id = $3`,
-    [cert, key.toString(), ssl_id]
+         domains = $3,
+         challenge_type = $4,
+         issued_at = NOW(),
+         expires_at = $5
+     WHERE id = $6`,
+    [issued.certificate, issued.privateKey, JSON.stringify(issued.domains), issued.challenge, issued.expiresAt, ssl_id]
   );
 
-  console.log(`[SSL Worker] Certificate issued for ${domain_name}`);
+  console.log(`[SSL Worker] Certificate issued for ${domain_name} (${issued.challenge})`);
+
+  // 4) Push it to the node serving the domain
+  await deployToNode(ssl_id);
+}
+
+/**
+ * Deploy a fresh certificate and verify it is served. A failed deployment is
+ * recorded on the certificate and must not fail (and re-run) the issuance.
+ */
+async function deployToNode(certificateId) {
+  try {
+    const deployment = await deployCertificate(certificateId);
+    console.log(`[SSL Worker] Deployment of certificate ${certificateId}: ${deployment?.status}${deployment?.error ? ` (${deployment.error})` : ''}`);
+  } catch (error) {
+    console.error(`[SSL Worker] Deployment of certificate ${certificateId} failed:`, error.message);
+  }
 }
 
 // Start worker
 new Worker(
   'ssl-issuance',
   async (job) => {
-    const { domainId } = job.data;
-    await issueLetsEncrypt(domainId);
+    const { domainId, domains, challenge } = job.data;
+    await issueLetsEncrypt(domainId, { domains, challenge });
   },
   { connection }
 );
@@ -107,53 +107,22 @@ new Worker(
 console.log('[SSL Worker] Started and listening for jobs...');
 
 /**
- * Renew an existing SSL certificate
+ * Renew an existing SSL certificate for the same names and challenge type
  */
 export async function renewCertificate(certificateId, domain, email) {
-  console.log(`[SSL Worker] Renewing certificate for ${domain}...`);
-
-  // Configure ACME client
-  const client = new acme.Client({
-    directoryUrl: acme.directory.letsencrypt.staging, // switch to .production later
-    accountKey: await acme.forge.createPrivateKey(),
-  });
-
-  const [key, csr] = await acme.forge.createCsr({
-    commonName: domain,
-  });
+  console.log(`[SSL Worker] Renewing certificate for ${domain}${email ? ` (owner ${email})` : ''}...`);
 
-  // Get domain ID from certificate
+  // Get domain ID and names from certificate
   const certResult = await pgClient.query(
-    `SELECT domain_id FROM ssl_certificates WHERE id = $1`,
+    `SELECT domain_id, domains, challenge_type FROM ssl_certificates WHERE id = $1`,
     [certificateId]
   );
-  const domainId = certResult.rows[0]?.domain_id;
-
-  // Issue new certificate
-  const cert = await client.auto({
-    csr,
-    email: email || 'admin@migrahosting.com',
-    termsOfServiceAgreed: true,
-    challengeCreateFn: async (authz, challenge, keyAuthorization) => {
-      if (challenge.type === 'http-01') {
-        await pgClient.query(
-          `INSERT INTO acme_challenges (domain_id, token, key_authorization, created_at)
-           VALUES ($1, $2, $3, NOW())
-           ON CONFLICT (token) DO UPDATE SET key_authorization = $3`,
-          [domainId, challenge.token, keyAuthorization]
-        );
-        console.log(`[SSL Worker] HTTP-01 challenge created for renewal: ${challenge.token}`);
-      }
-    },
-    challengeRemoveFn: async (authz, challenge, keyAuthorization) => {
-      if (challenge.type === 'http-01') {
-        await pgClient.query(
-          `DELETE FROM acme_challenges WHERE token = $1`,
-          [challenge.token]
-        );
-        console.log(`[SSL Worker] HTTP-01 challenge removed: ${challenge.token}`);
-      }
-    },
+  const { domain_id: domainId, domains, challenge_type: challenge } = certResult.rows[0] || {};
+
+  // Issue new certificate; the ACME contact email belongs to the account, not the order
+  const issued = await issueCertificate(domains || [domain], {
+    challenge,
+    http01: http01(domainId),
   });
 
   // Update certificate in database
@@ -162,13 +131,16 @@ export async function renewCertificate(certificateId, domain, email) {
      SET certificate_pem = $1,
          private_key_pem = $2,
          issued_at = NOW(),
-         expires_at = NOW() + INTERVAL '90 days'
-     WHERE id = $3`,
-    [cert, key.toString(), certificateId]
+         expires_at = $3
+     WHERE id = $4`,
+    [issued.certificate, issued.privateKey, issued.expiresAt, certificateId]
   );
 
   console.log(`[SSL Worker] Certificate renewed for ${domain}`);
-  return { success: true, domain };
+
+  // Without this the node keeps serving the old certificate
+  await deployToNode(certificateId);
+  return { success: true, domain, domains: issued.domains };
 }
 
 export default { renewCertificate };